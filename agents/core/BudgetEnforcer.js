@@ -0,0 +1,603 @@
+/**
+ * MONOLITH OS - Budget Enforcer
+ * Spending caps checked before every LLM call
+ *
+ * A cap limits spend for a tenant, a role or a task over a period:
+ *
+ *   { scope: 'role', id: 'cmo', period: 'day', soft: 5, hard: 10 }
+ *   { scope: 'tenant', id: '*', period: 'month', hard: 2000 }
+ *   { scope: 'task', id: '*', period: 'task', soft: 0.5, hard: 2 }
+ *
+ * An id of '*' covers every tenant, role or task without a cap of its own.
+ * Before a call, its estimated cost is added to what each applicable cap has
+ * already spent this period:
+ * - over a soft limit, the call is downgraded to the cheapest model among the
+ *   caller's candidates (LLMRouter and AgentExecutor take them from
+ *   TASK_TYPE_ROUTING)
+ * - over a hard limit, the call fails with a BUDGET_EXCEEDED error and
+ *   'budgetExceeded' is emitted once per cap and period so the CFO can act
+ *
+ * Calls marked exempt (the CFO's own review of an exhausted budget) are
+ * charged but never blocked.
+ *
+ * LLMRouter.complete and AgentExecutor.callLLM share the budgetEnforcer
+ * singleton and price calls through ModelPricing. When the database is
+ * available, caps persist in budget_caps (database/migrations/014) and every
+ * charge is written to budget_charges (database/migrations/023): loadSpend
+ * seeds this month's spend at startup, and refreshSpend reads a call's
+ * subjects back before it is checked, so caps survive restarts and count the
+ * spend of every process (the agent service and the dashboard's AgentExecutor).
+ * Both read totals summed by the budget_spend function (migration 024). When a
+ * subject's spend cannot be read back, calls under its caps fail with a
+ * BUDGET_UNAVAILABLE error until a later read succeeds.
+ */
+
+import { EventEmitter } from 'events';
+import databaseService from '../services/DatabaseService.js';
+import { calculateCallCost } from './ModelPricing.js';
+
+export const BUDGET_SCOPES = ['tenant', 'role', 'task'];
+
+const SCOPE_PERIODS = {
+  tenant: ['day', 'month'],
+  role: ['day', 'month'],
+  task: ['task'],
+};
+
+// MeteringService's single-tenant default
+export const DEFAULT_TENANT_ID = '00000000-0000-0000-0000-000000000001';
+
+// Same rough estimate as TokenTracker
+const TOKENS_PER_CHAR = 0.25;
+
+const round = (value) => Math.round(value * 1000000) / 1000000;
+
+const capKey = ({ scope, id, period }) => `${scope}:${id}:${period}`;
+
+/**
+ * Key of the current period: '2026-03-14' for day, '2026-03' for month
+ */
+function periodKey(period, at = new Date()) {
+  const iso = new Date(at).toISOString();
+  if (period === 'day') return iso.slice(0, 10);
+  if (period === 'month') return iso.slice(0, 7);
+  return 'task';
+}
+
+/**
+ * Start of the month a time falls in, the earliest charge a day or month cap counts
+ */
+function monthStart(at = new Date()) {
+  return `${periodKey('month', at)}-01T00:00:00.000Z`;
+}
+
+/**
+ * Start of the day a time falls in
+ */
+function dayStart(at = new Date()) {
+  return `${periodKey('day', at)}T00:00:00.000Z`;
+}
+
+/**
+ * Check a cap definition
+ * @returns {Object} { valid, errors }
+ */
+export function validateCap(cap) {
+  const errors = [];
+
+  if (!BUDGET_SCOPES.includes(cap?.scope)) {
+    errors.push(`scope must be one of ${BUDGET_SCOPES.join(', ')}`);
+  } else if (!SCOPE_PERIODS[cap.scope].includes(cap.period)) {
+    errors.push(`period for ${cap.scope} caps must be one of ${SCOPE_PERIODS[cap.scope].join(', ')}`);
+  }
+  if (typeof cap?.id !== 'string' || !cap.id) {
+    errors.push('id is required (use "*" for all)');
+  }
+
+  for (const limit of ['soft', 'hard']) {
+    if (cap?.[limit] != null && !(typeof cap[limit] === 'number' && cap[limit] >= 0)) {
+      errors.push(`${limit} must be a non-negative number`);
+    }
+  }
+  if (cap?.soft == null && cap?.hard == null) {
+    errors.push('a soft or hard limit is required');
+  }
+  if (cap?.soft != null && cap?.hard != null && cap.soft > cap.hard) {
+    errors.push('soft limit cannot exceed the hard limit');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+class BudgetEnforcer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.dbService = config.dbService || databaseService;
+    this.maxTrackedTasks = config.maxTrackedTasks || 5000;
+    this.refreshIntervalMs = config.refreshIntervalMs ?? 30000;
+
+    this.caps = new Map();
+    this.spend = new Map(); // 'role:cmo' -> { day, dayCost, month, monthCost, total }
+    this.escalated = new Set(); // Caps already escalated this period
+    this.refreshedAt = new Map(); // 'role:cmo' -> when its spend was last read back
+    this.unreadable = new Map(); // 'role:cmo' -> why its spend could not be read back
+
+    for (const cap of config.caps || []) {
+      this.addCap(cap);
+    }
+  }
+
+  // ============================================================================
+  // CAPS
+  // ============================================================================
+
+  /**
+   * Add or replace a cap in memory
+   */
+  addCap(cap) {
+    const { valid, errors } = validateCap(cap);
+    if (!valid) {
+      throw new Error(`Invalid budget cap: ${errors.join('; ')}`);
+    }
+
+    const normalized = {
+      scope: cap.scope,
+      id: cap.id,
+      period: cap.period,
+      soft: cap.soft ?? null,
+      hard: cap.hard ?? null,
+      updatedBy: cap.updatedBy || null,
+      updatedAt: cap.updatedAt || new Date().toISOString(),
+    };
+    this.caps.set(capKey(normalized), normalized);
+    return normalized;
+  }
+
+  /**
+   * Load persisted caps; config caps fill in scopes the database has no cap for
+   */
+  async loadCaps(defaults = []) {
+    if (this.dbService.isAvailable()) {
+      const { data, error } = await this.dbService.listBudgetCaps();
+      if (error) {
+        console.warn('[BUDGET] Could not load budget caps:', error.message);
+      }
+      for (const row of data) {
+        this.addCap({
+          scope: row.scope,
+          id: row.scope_id,
+          period: row.period,
+          soft: row.soft_limit == null ? null : Number(row.soft_limit),
+          hard: row.hard_limit == null ? null : Number(row.hard_limit),
+          updatedBy: row.updated_by,
+          updatedAt: row.updated_at,
+        });
+      }
+    }
+
+    for (const cap of defaults) {
+      if (!this.caps.has(capKey(cap))) this.addCap(cap);
+    }
+
+    return this.listCaps();
+  }
+
+  /**
+   * Create or change a cap and persist it
+   */
+  async setCap(cap, options = {}) {
+    const saved = this.addCap({ ...cap, updatedBy: options.updatedBy, updatedAt: null });
+
+    if (this.dbService.isAvailable()) {
+      const { error } = await this.dbService.upsertBudgetCap({
+        scope: saved.scope,
+        scope_id: saved.id,
+        period: saved.period,
+        soft_limit: saved.soft,
+        hard_limit: saved.hard,
+        updated_by: saved.updatedBy,
+        updated_at: saved.updatedAt,
+      });
+      if (error) throw new Error(`Failed to save budget cap: ${error.message}`);
+    }
+
+    console.log(`[BUDGET] Cap ${capKey(saved)} set: soft ${saved.soft ?? '-'}, hard ${saved.hard ?? '-'}`);
+    return saved;
+  }
+
+  /**
+   * Remove a cap
+   * @returns {boolean} Whether the cap existed
+   */
+  async removeCap(scope, id, period) {
+    const existed = this.caps.delete(capKey({ scope, id, period }));
+
+    if (existed && this.dbService.isAvailable()) {
+      const { error } = await this.dbService.deleteBudgetCap(scope, id, period);
+      if (error) throw new Error(`Failed to delete budget cap: ${error.message}`);
+    }
+
+    return existed;
+  }
+
+  listCaps() {
+    return [...this.caps.values()].map((cap) => ({ ...cap }));
+  }
+
+  // ============================================================================
+  // SPEND
+  // ============================================================================
+
+  /**
+   * Subjects a call is charged to
+   */
+  subjects(scope = {}) {
+    return {
+      tenant: scope.tenantId || DEFAULT_TENANT_ID,
+      role: scope.role || null,
+      task: scope.taskId || null,
+    };
+  }
+
+  /**
+   * Spend of a tenant, role or task in the current period
+   */
+  spentFor(scope, subject, period, at = new Date()) {
+    const entry = this.spend.get(`${scope}:${subject}`);
+    if (!entry) return 0;
+    if (period === 'day') return entry.day === periodKey('day', at) ? entry.dayCost : 0;
+    if (period === 'month') return entry.month === periodKey('month', at) ? entry.monthCost : 0;
+    return entry.total;
+  }
+
+  /**
+   * Charge an LLM call to its tenant, role and task
+   * @param {Object} call - { tenantId, role, taskId, model, cost } or
+   *   { ..., model, inputTokens, outputTokens } to price it here
+   * @returns {number} Cost charged
+   */
+  record(call) {
+    const cost = call.cost ?? calculateCallCost(call.model, call.inputTokens, call.outputTokens);
+    if (!cost) return 0;
+
+    const at = call.at || new Date();
+    const day = periodKey('day', at);
+    const month = periodKey('month', at);
+
+    const subjects = this.subjects(call);
+    for (const [scope, subject] of Object.entries(subjects)) {
+      if (!subject) continue;
+
+      const key = `${scope}:${subject}`;
+      const entry = this.spend.get(key) || { day, dayCost: 0, month, monthCost: 0, total: 0 };
+      if (entry.day !== day) Object.assign(entry, { day, dayCost: 0 });
+      if (entry.month !== month) Object.assign(entry, { month, monthCost: 0 });
+
+      entry.dayCost = round(entry.dayCost + cost);
+      entry.monthCost = round(entry.monthCost + cost);
+      entry.total = round(entry.total + cost);
+
+      // Re-insert so the least recently charged task is evicted first
+      this.spend.delete(key);
+      this.spend.set(key, entry);
+    }
+
+    this.pruneTasks();
+    this.persistCharge({ ...subjects, model: call.model, cost, at });
+    return cost;
+  }
+
+  /**
+   * Write a charge to budget_charges without holding up the call
+   */
+  persistCharge({ tenant, role, task, model, cost, at }) {
+    if (!this.dbService.isAvailable()) return;
+
+    this.dbService.insertBudgetCharge({
+      tenant_id: tenant,
+      role,
+      task_id: task,
+      model: model || null,
+      cost,
+      charged_at: new Date(at).toISOString(),
+    }).then(({ error }) => {
+      if (error) console.warn('[BUDGET] Could not persist charge:', error.message);
+    }).catch((error) => {
+      console.warn('[BUDGET] Could not persist charge:', error.message);
+    });
+  }
+
+  /**
+   * Seed spend from this month's persisted charges, e.g. at startup
+   * @returns {number} Charges read
+   */
+  async loadSpend(at = new Date()) {
+    if (!this.dbService.isAvailable()) return 0;
+
+    const { data, error } = await this.dbService.sumBudgetCharges({ since: monthStart(at), dayStart: dayStart(at) });
+    if (error) {
+      // Every subject is read back again before its first call is checked
+      console.warn('[BUDGET] Could not load spend:', error.message);
+      return 0;
+    }
+
+    for (const totals of data) {
+      this.mergeSpend(`${totals.scope}:${totals.subject}`, totals, at);
+    }
+
+    this.pruneTasks();
+    return data
+      .filter((totals) => totals.scope === 'tenant')
+      .reduce((count, totals) => count + Number(totals.charges), 0);
+  }
+
+  /**
+   * Read back the persisted spend of a call's tenant, role and task so charges
+   * made by other processes count. Each subject is read at most once per
+   * refreshIntervalMs; a subject that cannot be read is marked unreadable, and
+   * check() blocks calls under its caps until a read succeeds.
+   */
+  async refreshSpend(scope = {}, at = new Date()) {
+    if (!this.dbService.isAvailable()) return;
+
+    const now = Date.now();
+    for (const [subjectScope, subject] of Object.entries(this.subjects(scope))) {
+      if (!subject) continue;
+
+      const key = `${subjectScope}:${subject}`;
+      if (now - (this.refreshedAt.get(key) || 0) < this.refreshIntervalMs) continue;
+
+      const { data, error } = await this.dbService.sumBudgetCharges({
+        scope: subjectScope,
+        subject,
+        since: subjectScope === 'task' ? null : monthStart(at),
+        dayStart: dayStart(at),
+      });
+      if (error) {
+        console.warn(`[BUDGET] Could not refresh spend for ${key}:`, error.message);
+        this.unreadable.set(key, error.message);
+        continue;
+      }
+
+      this.mergeSpend(key, data[0] || {}, at);
+      this.unreadable.delete(key);
+      this.refreshedAt.set(key, now);
+    }
+  }
+
+  /**
+   * Fold a subject's persisted totals ({ day_cost, period_cost }, period_cost
+   * covering this month, or every charge of a task) into its spend. Charges
+   * this process made may not be written yet, so the larger of the two wins.
+   */
+  mergeSpend(key, totals, at = new Date()) {
+    const day = periodKey('day', at);
+    const month = periodKey('month', at);
+    const dayCost = Number(totals.day_cost) || 0;
+    const periodCost = Number(totals.period_cost) || 0;
+
+    const entry = this.spend.get(key);
+    this.spend.set(key, {
+      day,
+      dayCost: round(Math.max(dayCost, entry?.day === day ? entry.dayCost : 0)),
+      month,
+      monthCost: round(Math.max(periodCost, entry?.month === month ? entry.monthCost : 0)),
+      total: round(Math.max(periodCost, entry?.total || 0)),
+    });
+  }
+
+  pruneTasks() {
+    const tasks = [...this.spend.keys()].filter((key) => key.startsWith('task:'));
+    for (const key of tasks.slice(0, Math.max(0, tasks.length - this.maxTrackedTasks))) {
+      this.spend.delete(key);
+    }
+  }
+
+  /**
+   * Rough cost of a request before it is sent: prompt characters for input,
+   * output assumed as long as the input up to maxTokens
+   */
+  estimateCost(model, request = {}) {
+    const text = [
+      request.systemPrompt,
+      request.userMessage,
+      ...(request.messages || []).map((m) => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content))),
+    ].filter(Boolean).join('\n');
+
+    const inputTokens = Math.ceil(text.length * TOKENS_PER_CHAR);
+    const outputTokens = Math.min(request.maxTokens || 4096, inputTokens);
+    return calculateCallCost(model, inputTokens, outputTokens);
+  }
+
+  // ============================================================================
+  // ENFORCEMENT
+  // ============================================================================
+
+  /**
+   * Caps that apply to a call: for each scope and period the subject's own
+   * cap, else the '*' cap
+   */
+  applicableCaps(scope = {}) {
+    const applicable = [];
+
+    for (const [capScope, subject] of Object.entries(this.subjects(scope))) {
+      if (!subject) continue;
+
+      for (const period of SCOPE_PERIODS[capScope]) {
+        const cap = this.caps.get(capKey({ scope: capScope, id: subject, period }))
+          || this.caps.get(capKey({ scope: capScope, id: '*', period }));
+        if (cap) applicable.push({ cap, subject });
+      }
+    }
+
+    return applicable;
+  }
+
+  /**
+   * Decide whether a call may go ahead, and on which model
+   * @param {Object} request - { tenantId, role, taskId, modelId, estimatedCost, candidates, exempt }
+   * @returns {Object} { allowed, action: 'allow'|'downgrade'|'block', modelId,
+   *   requestedModelId, estimatedCost, caps, reason }
+   */
+  check(request) {
+    const at = request.at || new Date();
+    const estimatedCost = request.estimatedCost || 0;
+
+    const caps = request.exempt ? [] : this.applicableCaps(request).map(({ cap, subject }) => {
+      const spent = this.spentFor(cap.scope, subject, cap.period, at);
+      const projected = round(spent + estimatedCost);
+      let state = 'ok';
+      if (this.unreadable.has(`${cap.scope}:${subject}`)) {
+        state = 'unreadable';
+      } else if (cap.hard != null && (spent >= cap.hard || projected > cap.hard)) {
+        state = 'hard';
+      } else if (cap.soft != null && (spent >= cap.soft || projected > cap.soft)) {
+        state = 'soft';
+      }
+      return { ...cap, subject, spent, projected, state };
+    });
+
+    const decision = {
+      allowed: true,
+      action: 'allow',
+      modelId: request.modelId,
+      requestedModelId: request.modelId,
+      estimatedCost,
+      caps,
+      reason: null,
+    };
+
+    const hard = caps.find((cap) => cap.state === 'hard');
+    if (hard) {
+      return {
+        ...decision,
+        allowed: false,
+        action: 'block',
+        reason: `${hard.scope} ${hard.subject} ${hard.period} budget exhausted: ` +
+          `$${hard.spent.toFixed(2)} spent of $${hard.hard.toFixed(2)} hard limit`,
+      };
+    }
+
+    const unreadable = caps.find((cap) => cap.state === 'unreadable');
+    if (unreadable) {
+      return {
+        ...decision,
+        allowed: false,
+        action: 'block',
+        reason: `${unreadable.scope} ${unreadable.subject} spend could not be read: ` +
+          this.unreadable.get(`${unreadable.scope}:${unreadable.subject}`),
+      };
+    }
+
+    const soft = caps.find((cap) => cap.state === 'soft');
+    if (soft) {
+      const cheaper = this.cheapestModel(request);
+      const reason = `${soft.scope} ${soft.subject} ${soft.period} spend $${soft.projected.toFixed(2)} ` +
+        `is over the $${soft.soft.toFixed(2)} soft limit`;
+
+      if (cheaper && cheaper !== request.modelId) {
+        return { ...decision, action: 'downgrade', modelId: cheaper, reason };
+      }
+      return { ...decision, reason };
+    }
+
+    return decision;
+  }
+
+  /**
+   * Cheapest of the candidate models, if it is cheaper than the requested one
+   */
+  cheapestModel({ modelId, candidates = [] }) {
+    const price = (model) => calculateCallCost(model, 1000, 1000);
+
+    return [...new Set(candidates)]
+      .filter((model) => price(model) < price(modelId))
+      .sort((a, b) => price(a) - price(b))[0] || null;
+  }
+
+  /**
+   * Check a call and act on the decision: log downgrades, throw on a hard limit
+   * @returns {Object} The decision (use decision.modelId)
+   */
+  enforce(request) {
+    const decision = this.check(request);
+
+    if (decision.action === 'downgrade') {
+      console.log(`[BUDGET] ${decision.reason}, downgrading ${decision.requestedModelId} -> ${decision.modelId}`);
+    }
+
+    if (decision.action === 'block') {
+      console.warn(`[BUDGET] Blocked ${request.role || 'call'} on ${request.modelId}: ${decision.reason}`);
+      const exceeded = decision.caps.some((cap) => cap.state === 'hard');
+      if (exceeded) this.escalate(request, decision);
+
+      const error = new Error(`Budget ${exceeded ? 'exceeded' : 'unavailable'}: ${decision.reason}`);
+      error.code = exceeded ? 'BUDGET_EXCEEDED' : 'BUDGET_UNAVAILABLE';
+      error.budget = decision;
+      throw error;
+    }
+
+    return decision;
+  }
+
+  /**
+   * Emit budgetExceeded once per exhausted cap and period
+   */
+  escalate(request, decision) {
+    const cap = decision.caps.find((c) => c.state === 'hard');
+    const period = periodKey(cap.period, request.at);
+    const key = `${capKey(cap)}:${cap.subject}:${period}`;
+    if (this.escalated.has(key)) return;
+    this.escalated.add(key);
+
+    this.emit('budgetExceeded', {
+      cap,
+      periodKey: period,
+      reason: decision.reason,
+      tenantId: request.tenantId || DEFAULT_TENANT_ID,
+      role: request.role || null,
+      taskId: request.taskId || null,
+      modelId: request.modelId,
+      estimatedCost: decision.estimatedCost,
+    });
+  }
+
+  /**
+   * Caps with current spend, plus spend per tenant and role
+   */
+  getStatus(at = new Date()) {
+    const caps = this.listCaps().map((cap) => {
+      if (cap.id === '*') return cap;
+      const spent = this.spentFor(cap.scope, cap.id, cap.period, at);
+      return {
+        ...cap,
+        spent,
+        remaining: cap.hard != null ? round(Math.max(0, cap.hard - spent)) : null,
+      };
+    });
+
+    const spend = { tenant: {}, role: {} };
+    for (const key of this.spend.keys()) {
+      const [scope, subject] = key.split(/:(.*)/);
+      if (!spend[scope]) continue;
+      spend[scope][subject] = {
+        today: this.spentFor(scope, subject, 'day', at),
+        thisMonth: this.spentFor(scope, subject, 'month', at),
+      };
+    }
+
+    return { caps, spend };
+  }
+
+  reset() {
+    this.spend.clear();
+    this.escalated.clear();
+    this.refreshedAt.clear();
+    this.unreadable.clear();
+  }
+}
+
+const budgetEnforcer = new BudgetEnforcer();
+
+export { BudgetEnforcer };
+export default budgetEnforcer;
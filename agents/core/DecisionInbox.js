@@ -0,0 +1,799 @@
+/**
+ * MONOLITH OS - Decision Inbox
+ * One inbox for everything waiting on the CEO
+ *
+ * CEO-bound items live in several queues: orchestrator escalations, escalation
+ * engine reviews, blocked-task decisions (ResolutionSystem), financial
+ * authorizations (EscalationClient) and amendment exceptions
+ * (ExceptionEscalation). The inbox reads them all through source adapters and
+ * presents one item model with a priority and an SLA deadline.
+ *
+ * On top of the sources the inbox tracks:
+ * - deferral (the item comes back when the deferral ends)
+ * - delegation to a named executive, recorded in the audit log
+ * - an age-based escalation ladder: a reminder at half the SLA, a priority
+ *   bump when overdue, and at twice the SLA the item goes critical and
+ *   delegated items come back to the CEO
+ * - reminder digests sent through the configured notifiers
+ *
+ * Decisions are written back to the source the item came from. Inbox state
+ * persists in decision_inbox_state (database/migrations/017).
+ */
+
+import { EventEmitter } from 'events';
+import databaseService from '../services/DatabaseService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+export const INBOX_STATUS = {
+  OPEN: 'open',
+  DEFERRED: 'deferred',
+  DELEGATED: 'delegated',
+  DECIDED: 'decided',
+};
+
+// Hours to decide, by priority
+export const DEFAULT_SLA_HOURS = {
+  critical: 4,
+  high: 24,
+  medium: 72,
+  low: 168,
+};
+
+/**
+ * Escalation steps, reached as an item ages past a fraction of its SLA
+ * raisePriority: priority levels added while the step applies
+ * alert: notify immediately instead of waiting for the next digest
+ * returnToCeo: delegated items come back to the CEO's inbox
+ */
+export const DEFAULT_ESCALATION_LADDER = [
+  { level: 1, name: 'reminder', atSlaFraction: 0.5 },
+  { level: 2, name: 'overdue', atSlaFraction: 1, raisePriority: 1 },
+  { level: 3, name: 'critical', atSlaFraction: 2, raisePriority: 3, alert: true, returnToCeo: true },
+];
+
+/**
+ * Map the priority formats used by the sources onto the inbox priorities
+ * (CRITICAL/HIGH strings, 0-100 integers, urgency words, escalation tiers)
+ */
+export function normalizePriority(value) {
+  if (typeof value === 'number') {
+    if (value >= 100) return 'critical';
+    if (value >= 75) return 'high';
+    if (value >= 50) return 'medium';
+    return 'low';
+  }
+
+  const text = String(value || '').toLowerCase();
+  if (PRIORITIES.includes(text)) return text;
+  if (text === 'urgent') return 'critical';
+  if (text.startsWith('tier_3') || text.startsWith('tier_2')) return 'high';
+  if (text.startsWith('tier_1')) return 'medium';
+  if (text.startsWith('tier_0')) return 'low';
+  return 'medium';
+}
+
+function inboxError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class DecisionInbox extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.dbService = config.dbService || databaseService;
+    this.sources = [];
+    for (const source of config.sources || []) this.addSource(source);
+
+    this.slaHours = { ...DEFAULT_SLA_HOURS, ...config.slaHours };
+    this.ladder = [...(config.ladder || DEFAULT_ESCALATION_LADDER)].sort((a, b) => a.level - b.level);
+
+    // Named executives decisions can be delegated to (any name when empty)
+    this.executives = config.executives || [];
+
+    // Audit log for delegations: async (entry) => void
+    this.auditLog = config.auditLog || null;
+
+    // Reminder channels: [{ name, sendDigest(digest), sendAlert(item, step) }]
+    this.notifiers = config.notifiers || [];
+
+    this.defaultDeferHours = config.defaultDeferHours || 24;
+    this.reminderIntervalHours = config.reminderIntervalHours || 24;
+    this.checkInterval = config.checkInterval || 15 * 60 * 1000; // 15 minutes
+
+    this.state = new Map(); // Item id -> inbox state
+    this.sourceStatus = {};
+    this.loaded = null;
+    this.timer = null;
+  }
+
+  /**
+   * Register a source adapter
+   * @param {Object} source - { name, list(), decide(sourceId, decision) }
+   */
+  addSource(source) {
+    if (!source?.name || typeof source.list !== 'function' || typeof source.decide !== 'function') {
+      throw new Error('Decision inbox sources need a name, list() and decide()');
+    }
+    this.sources = this.sources.filter((s) => s.name !== source.name).concat(source);
+  }
+
+  /**
+   * Load persisted inbox state once
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.dbService.isAvailable()) return;
+
+        try {
+          const { data } = await this.dbService.listInboxState();
+          for (const row of data) {
+            this.state.set(row.item_id, this.stateFromRow(row));
+          }
+        } catch (error) {
+          console.warn('[DECISION-INBOX] Could not load inbox state:', error.message);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  // ============================================================================
+  // READING
+  // ============================================================================
+
+  /**
+   * Read every source into inbox items
+   * A failing source is reported in sourceStatus and skipped.
+   */
+  async collect(now = new Date()) {
+    await this.ensureLoaded();
+
+    const results = await Promise.all(this.sources.map(async (source) => {
+      try {
+        return { source, entries: (await source.list()) || [] };
+      } catch (error) {
+        console.warn(`[DECISION-INBOX] Source ${source.name} failed:`, error.message);
+        return { source, entries: [], error: error.message };
+      }
+    }));
+
+    const items = [];
+    for (const { source, entries, error } of results) {
+      this.sourceStatus[source.name] = { count: entries.length, error: error || null, checkedAt: now.toISOString() };
+      for (const entry of entries) {
+        items.push(await this.buildItem(source.name, entry, now));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Combine a source entry with its inbox state
+   */
+  async buildItem(sourceName, entry, now) {
+    const id = `${sourceName}:${entry.sourceId}`;
+    let state = this.state.get(id);
+    if (!state) {
+      state = {
+        itemId: id,
+        source: sourceName,
+        status: INBOX_STATUS.OPEN,
+        escalationLevel: 0,
+        firstSeenAt: now.toISOString(),
+      };
+      this.state.set(id, state);
+    }
+
+    // A deferral that has run out puts the item back in the inbox
+    if (state.status === INBOX_STATUS.DEFERRED && state.deferredUntil && new Date(state.deferredUntil) <= now) {
+      state.status = INBOX_STATUS.OPEN;
+      state.deferredUntil = null;
+      await this.persistState(state);
+      this.emit('itemReopened', { itemId: id });
+    }
+
+    const basePriority = normalizePriority(entry.priority);
+    const createdAt = entry.createdAt ? new Date(entry.createdAt) : new Date(state.firstSeenAt);
+    const slaHours = this.slaHours[basePriority];
+    const dueAt = entry.deadline ? new Date(entry.deadline) : new Date(createdAt.getTime() + slaHours * HOUR_MS);
+    const step = this.ladderStep(createdAt, dueAt, now);
+
+    return {
+      id,
+      source: sourceName,
+      sourceId: entry.sourceId,
+      type: entry.type || 'escalation',
+      title: entry.title || entry.description || 'Decision required',
+      description: entry.description || null,
+      requestingAgent: entry.requestingAgent || null,
+      priority: this.raisePriority(basePriority, step?.raisePriority || 0),
+      basePriority,
+      recommendation: entry.recommendation || null,
+      options: entry.options || null,
+      context: entry.context || null,
+      taskId: entry.taskId || null,
+      createdAt: createdAt.toISOString(),
+      dueAt: dueAt.toISOString(),
+      slaHours,
+      ageHours: (now - createdAt) / HOUR_MS,
+      overdue: now > dueAt,
+      escalationLevel: step?.level || 0,
+      escalationStep: step?.name || null,
+      status: state.status,
+      deferredUntil: state.deferredUntil || null,
+      deferredReason: state.deferredReason || null,
+      delegatedTo: state.delegatedTo || null,
+      delegatedBy: state.delegatedBy || null,
+      delegatedAt: state.delegatedAt || null,
+      lastRemindedAt: state.lastRemindedAt || null,
+    };
+  }
+
+  /**
+   * The highest ladder step an item has reached
+   */
+  ladderStep(createdAt, dueAt, now) {
+    const window = Math.max(dueAt - createdAt, 1);
+    const fraction = (now - createdAt) / window;
+
+    let reached = null;
+    for (const step of this.ladder) {
+      if (fraction >= step.atSlaFraction) reached = step;
+    }
+    return reached;
+  }
+
+  raisePriority(priority, levels) {
+    const index = PRIORITIES.indexOf(priority);
+    return PRIORITIES[Math.max(0, index - levels)];
+  }
+
+  /**
+   * List inbox items, most urgent first
+   * @param {Object} options - { status ('open' by default, 'all'), delegatedTo, source, now }
+   */
+  async list(options = {}) {
+    const now = options.now ? new Date(options.now) : new Date();
+    const status = options.status || INBOX_STATUS.OPEN;
+
+    return (await this.collect(now))
+      .filter((item) => status === 'all' || item.status === status)
+      .filter((item) => !options.delegatedTo || item.delegatedTo === options.delegatedTo)
+      .filter((item) => !options.source || item.source === options.source)
+      .sort((a, b) => {
+        const priorityDiff = PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority);
+        if (priorityDiff !== 0) return priorityDiff;
+        return new Date(a.dueAt) - new Date(b.dueAt);
+      });
+  }
+
+  /**
+   * Get one item by inbox id
+   */
+  async get(itemId, now = new Date()) {
+    const item = (await this.collect(now)).find((i) => i.id === itemId);
+    if (!item) {
+      throw inboxError(`Decision not found: ${itemId}`, 'ITEM_NOT_FOUND');
+    }
+    return item;
+  }
+
+  // ============================================================================
+  // ACTIONS
+  // ============================================================================
+
+  /**
+   * Act on an item: decide (the default), defer or delegate
+   * A choice starting with "defer" defers the item.
+   * @param {Object} action - { action, choice, notes, until, hours, to, actor }
+   */
+  async act(itemId, action = {}) {
+    const type = action.action || (/^defer/i.test(action.choice || '') ? 'defer' : 'decide');
+
+    switch (type) {
+      case 'decide':
+        return this.decide(itemId, { choice: action.choice, notes: action.notes, decidedBy: action.actor });
+      case 'defer':
+        return this.defer(itemId, { until: action.until, hours: action.hours, reason: action.notes, deferredBy: action.actor });
+      case 'delegate':
+        return this.delegate(itemId, { to: action.to, note: action.notes, delegatedBy: action.actor });
+      default:
+        throw inboxError(`Unknown action: ${type}. Use decide, defer or delegate`, 'INVALID_ACTION');
+    }
+  }
+
+  /**
+   * Decide an item; the decision is written back to its source
+   * @param {Object} decision - { choice, notes, decidedBy }
+   */
+  async decide(itemId, { choice, notes = null, decidedBy = 'ceo' } = {}) {
+    if (!choice) {
+      throw inboxError('choice is required', 'INVALID_ACTION');
+    }
+
+    const item = await this.get(itemId);
+    const source = this.sources.find((s) => s.name === item.source);
+    await source.decide(item.sourceId, { choice, notes, decidedBy, item });
+
+    const state = this.state.get(itemId);
+    Object.assign(state, {
+      status: INBOX_STATUS.DECIDED,
+      decidedChoice: choice,
+      decidedBy,
+      decidedAt: new Date().toISOString(),
+      decisionNotes: notes,
+    });
+    await this.persistState(state);
+
+    console.log(`[DECISION-INBOX] ${itemId} decided by ${decidedBy}: ${choice}`);
+    this.emit('itemDecided', { item: { ...item, status: state.status }, choice, notes, decidedBy });
+    return { ...item, status: state.status, decidedChoice: choice, decidedBy, decidedAt: state.decidedAt };
+  }
+
+  /**
+   * Defer an item until a time (or for a number of hours)
+   * @param {Object} deferral - { until, hours, reason, deferredBy }
+   */
+  async defer(itemId, { until, hours, reason = null, deferredBy = 'ceo' } = {}) {
+    const now = new Date();
+    const deferredUntil = until ? new Date(until) : new Date(now.getTime() + (hours || this.defaultDeferHours) * HOUR_MS);
+    if (Number.isNaN(deferredUntil.getTime()) || deferredUntil <= now) {
+      throw inboxError('Deferral must end in the future', 'INVALID_ACTION');
+    }
+
+    const item = await this.get(itemId, now);
+    const state = this.state.get(itemId);
+    Object.assign(state, {
+      status: INBOX_STATUS.DEFERRED,
+      deferredUntil: deferredUntil.toISOString(),
+      deferredReason: reason,
+    });
+    await this.persistState(state);
+
+    console.log(`[DECISION-INBOX] ${itemId} deferred by ${deferredBy} until ${state.deferredUntil}`);
+    this.emit('itemDeferred', { item, until: state.deferredUntil, reason, deferredBy });
+    return { ...item, status: state.status, deferredUntil: state.deferredUntil, deferredReason: reason };
+  }
+
+  /**
+   * Delegate an item to a named executive and record it in the audit log
+   * @param {Object} delegation - { to, note, delegatedBy }
+   */
+  async delegate(itemId, { to, note = null, delegatedBy = 'ceo' } = {}) {
+    const delegate = String(to || '').trim();
+    if (!delegate) {
+      throw inboxError('A named executive to delegate to is required', 'INVALID_ACTION');
+    }
+    if (this.executives.length > 0 && !this.executives.includes(delegate)) {
+      throw inboxError(`Cannot delegate to ${delegate}. Executives: ${this.executives.join(', ')}`, 'INVALID_ACTION');
+    }
+
+    const item = await this.get(itemId);
+    const state = this.state.get(itemId);
+    Object.assign(state, {
+      status: INBOX_STATUS.DELEGATED,
+      delegatedTo: delegate,
+      delegatedBy,
+      delegatedAt: new Date().toISOString(),
+      delegationNote: note,
+    });
+    await this.persistState(state);
+
+    if (this.auditLog) {
+      try {
+        await this.auditLog({
+          action: 'decision_delegated',
+          itemId,
+          source: item.source,
+          taskId: item.taskId,
+          title: item.title,
+          delegatedTo: delegate,
+          delegatedBy,
+          note,
+          at: state.delegatedAt,
+        });
+      } catch (error) {
+        console.warn(`[DECISION-INBOX] Could not write audit log for ${itemId}:`, error.message);
+      }
+    }
+
+    console.log(`[DECISION-INBOX] ${itemId} delegated by ${delegatedBy} to ${delegate}`);
+    this.emit('itemDelegated', { item, to: delegate, note, delegatedBy });
+    return { ...item, status: state.status, delegatedTo: delegate, delegatedBy, delegatedAt: state.delegatedAt };
+  }
+
+  // ============================================================================
+  // ESCALATION LADDER AND REMINDERS
+  // ============================================================================
+
+  /**
+   * Apply ladder steps items have newly reached
+   * Each step fires once per item; alert steps notify immediately.
+   * @returns {Array} { item, step } for each item that moved up the ladder
+   */
+  async runEscalationLadder(now = new Date()) {
+    const escalated = [];
+
+    for (const item of await this.collect(now)) {
+      if (item.status !== INBOX_STATUS.OPEN && item.status !== INBOX_STATUS.DELEGATED) continue;
+
+      const state = this.state.get(item.id);
+      if (item.escalationLevel <= (state.escalationLevel || 0)) continue;
+
+      const step = this.ladder.find((s) => s.level === item.escalationLevel);
+      state.escalationLevel = step.level;
+
+      if (step.returnToCeo && state.status === INBOX_STATUS.DELEGATED) {
+        state.status = INBOX_STATUS.OPEN;
+        item.status = INBOX_STATUS.OPEN;
+      }
+      await this.persistState(state);
+
+      if (step.alert) {
+        await this.notify('sendAlert', item, step);
+      }
+
+      escalated.push({ item, step });
+      this.emit('itemEscalated', { item, step });
+    }
+
+    if (escalated.length > 0) {
+      console.log(`[DECISION-INBOX] ${escalated.length} decisions moved up the escalation ladder`);
+    }
+
+    return escalated;
+  }
+
+  /**
+   * Send a reminder digest when items past their reminder point have not
+   * been reminded about within the reminder interval
+   * @returns {Object} { sent, items, digest, results }
+   */
+  async sendReminders(now = new Date()) {
+    const items = await this.list({ status: 'all', now });
+    const open = items.filter((i) => i.status === INBOX_STATUS.OPEN);
+    const intervalMs = this.reminderIntervalHours * HOUR_MS;
+
+    const due = open.filter((i) => i.escalationLevel >= 1 &&
+      (!i.lastRemindedAt || now - new Date(i.lastRemindedAt) >= intervalMs));
+    if (due.length === 0) {
+      return { sent: false, items: 0 };
+    }
+
+    const digest = this.buildDigest(items, due, now);
+    const results = await this.notify('sendDigest', digest);
+
+    for (const item of due) {
+      const state = this.state.get(item.id);
+      state.lastRemindedAt = now.toISOString();
+      await this.persistState(state);
+    }
+
+    this.emit('remindersSent', { digest, results });
+    return { sent: true, items: due.length, digest, results };
+  }
+
+  /**
+   * Reminder digest: counts for the whole inbox plus the items to act on
+   */
+  buildDigest(items, reminderItems, now = new Date()) {
+    const open = items.filter((i) => i.status === INBOX_STATUS.OPEN);
+    const byPriority = Object.fromEntries(PRIORITIES.map((p) => [p, open.filter((i) => i.priority === p).length]));
+
+    return {
+      generatedAt: now.toISOString(),
+      open: open.length,
+      overdue: open.filter((i) => i.overdue).length,
+      delegated: items.filter((i) => i.status === INBOX_STATUS.DELEGATED).length,
+      deferred: items.filter((i) => i.status === INBOX_STATUS.DEFERRED).length,
+      byPriority,
+      items: reminderItems.map((i) => ({
+        id: i.id,
+        title: i.title,
+        priority: i.priority,
+        requestingAgent: i.requestingAgent,
+        recommendation: i.recommendation,
+        dueAt: i.dueAt,
+        overdue: i.overdue,
+        ageHours: Math.round(i.ageHours),
+        escalationStep: i.escalationStep,
+      })),
+    };
+  }
+
+  /**
+   * Call a method on every notifier that has it
+   */
+  async notify(method, ...args) {
+    return Promise.all(this.notifiers
+      .filter((notifier) => typeof notifier[method] === 'function')
+      .map(async (notifier) => {
+        try {
+          await notifier[method](...args);
+          return { channel: notifier.name, success: true };
+        } catch (error) {
+          console.warn(`[DECISION-INBOX] ${notifier.name} ${method} failed:`, error.message);
+          return { channel: notifier.name, success: false, error: error.message };
+        }
+      }));
+  }
+
+  /**
+   * Inbox counts for status endpoints
+   */
+  async getSummary(now = new Date()) {
+    const items = await this.list({ status: 'all', now });
+    const open = items.filter((i) => i.status === INBOX_STATUS.OPEN);
+
+    return {
+      open: open.length,
+      overdue: open.filter((i) => i.overdue).length,
+      deferred: items.filter((i) => i.status === INBOX_STATUS.DEFERRED).length,
+      delegated: items.filter((i) => i.status === INBOX_STATUS.DELEGATED).length,
+      byPriority: Object.fromEntries(PRIORITIES.map((p) => [p, open.filter((i) => i.priority === p).length])),
+      sources: this.sourceStatus,
+    };
+  }
+
+  // ============================================================================
+  // PERSISTENCE
+  // ============================================================================
+
+  async persistState(state) {
+    if (!this.dbService.isAvailable()) return;
+
+    await this.dbService.upsertInboxState({
+      item_id: state.itemId,
+      source: state.source,
+      status: state.status,
+      escalation_level: state.escalationLevel || 0,
+      deferred_until: state.deferredUntil || null,
+      deferred_reason: state.deferredReason || null,
+      delegated_to: state.delegatedTo || null,
+      delegated_by: state.delegatedBy || null,
+      delegated_at: state.delegatedAt || null,
+      delegation_note: state.delegationNote || null,
+      decided_choice: state.decidedChoice || null,
+      decided_by: state.decidedBy || null,
+      decided_at: state.decidedAt || null,
+      decision_notes: state.decisionNotes || null,
+      last_reminded_at: state.lastRemindedAt || null,
+      first_seen_at: state.firstSeenAt,
+    });
+  }
+
+  stateFromRow(row) {
+    return {
+      itemId: row.item_id,
+      source: row.source,
+      status: row.status,
+      escalationLevel: row.escalation_level || 0,
+      deferredUntil: row.deferred_until,
+      deferredReason: row.deferred_reason,
+      delegatedTo: row.delegated_to,
+      delegatedBy: row.delegated_by,
+      delegatedAt: row.delegated_at,
+      delegationNote: row.delegation_note,
+      decidedChoice: row.decided_choice,
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at,
+      decisionNotes: row.decision_notes,
+      lastRemindedAt: row.last_reminded_at,
+      firstSeenAt: row.first_seen_at,
+    };
+  }
+
+  // ============================================================================
+  // SCHEDULING
+  // ============================================================================
+
+  /**
+   * Run the escalation ladder and reminders periodically
+   */
+  start() {
+    if (this.timer) return;
+
+    const tick = async () => {
+      try {
+        await this.runEscalationLadder();
+        await this.sendReminders();
+      } catch (error) {
+        console.warn('[DECISION-INBOX] Inbox check failed:', error.message);
+      }
+    };
+
+    tick();
+    this.timer = setInterval(tick, this.checkInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+function summarize(text, length = 120) {
+  if (!text) return null;
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+/**
+ * Escalations agents raised through TaskOrchestrator (ceoQueue or the
+ * escalations table)
+ */
+export function fromTaskOrchestrator(orchestrator) {
+  return {
+    name: 'orchestrator',
+    async list() {
+      const queue = await orchestrator.getCEOQueue();
+      return queue.map((entry) => {
+        const task = entry.tasks || entry.task || entry.context?.task || {};
+        return {
+          sourceId: entry.id,
+          type: 'escalation',
+          title: task.title || summarize(task.content) || entry.reason,
+          description: entry.reason,
+          requestingAgent: entry.from_role || entry.role,
+          priority: entry.priority || task.priority,
+          recommendation: entry.recommendation,
+          createdAt: entry.created_at || entry.createdAt,
+          taskId: entry.task_id || task.id,
+        };
+      });
+    },
+    async decide(sourceId, { choice, notes, decidedBy }) {
+      await orchestrator.resolveEscalation(sourceId, { choice, notes, decidedBy });
+    },
+  };
+}
+
+/**
+ * Escalations the CEO agent has analyzed and left for human review
+ */
+export function fromEscalationEngine(engine) {
+  return {
+    name: 'escalation_engine',
+    async list() {
+      const escalations = await engine.getEscalationsForHumanReview();
+      return escalations.map((entry) => ({
+        sourceId: entry.id,
+        type: 'escalation',
+        title: summarize(entry.task?.title || entry.task?.content) || entry.reason,
+        description: entry.reason,
+        requestingAgent: entry.role,
+        priority: entry.priority,
+        recommendation: entry.recommendation,
+        context: summarize(entry.ceoAnalysis, 500),
+        createdAt: entry.queuedAt,
+        taskId: entry.task?.id,
+      }));
+    },
+    async decide(sourceId, { choice, notes, decidedBy }) {
+      await engine.resolveEscalation(sourceId, { choice, notes, resolvedBy: decidedBy });
+    },
+  };
+}
+
+/**
+ * Decisions blocked tasks are waiting on (monolith_ceo_decisions)
+ */
+export function fromResolutionSystem(resolutionSystem) {
+  return {
+    name: 'resolution',
+    async list() {
+      const decisions = await resolutionSystem.getPendingCEODecisions();
+      return decisions.map((entry) => ({
+        sourceId: entry.id,
+        type: entry.decision_type || 'approval',
+        title: entry.title,
+        description: entry.description,
+        requestingAgent: entry.requesting_agent,
+        priority: entry.priority ?? entry.urgency,
+        recommendation: entry.agent_recommendation || entry.recommendation,
+        options: entry.options,
+        context: entry.agent_reasoning || entry.reasoning,
+        createdAt: entry.created_at,
+        deadline: entry.deadline,
+        taskId: entry.task_id,
+      }));
+    },
+    async decide(sourceId, { choice, notes }) {
+      const result = await resolutionSystem.handleCEODecision(sourceId, choice, notes);
+      if (!result.success) {
+        throw new Error(result.error || 'Decision not recorded');
+      }
+    },
+  };
+}
+
+/**
+ * Financial authorizations waiting for the CEO (monolith_escalation_log)
+ */
+export function fromEscalationClient(client) {
+  return {
+    name: 'authorization',
+    async list() {
+      const { data, error } = await client.getPendingEscalations();
+      if (error && client.isAvailable()) throw new Error(error.message);
+      return (data || []).map((entry) => ({
+        sourceId: entry.id,
+        type: 'authorization',
+        title: entry.action_requested || `${entry.trigger_type} authorization`,
+        description: entry.vendor
+          ? `${entry.vendor}${entry.cost_estimate_cad ? ` - $${entry.cost_estimate_cad} CAD${entry.cost_frequency ? ` ${entry.cost_frequency}` : ''}` : ''}`
+          : null,
+        requestingAgent: entry.agent_role,
+        priority: entry.escalation_tier,
+        recommendation: entry.mona_recommendation,
+        createdAt: entry.mona_prepared_at || entry.created_at,
+        taskId: entry.task_id,
+      }));
+    },
+    async decide(sourceId, { choice, notes }) {
+      const { error } = await client.recordFrankDecision(sourceId, { decision: choice, notes });
+      if (error) throw new Error(error.message);
+    },
+  };
+}
+
+/**
+ * Amendment exceptions the CEO must approve (exception_escalations)
+ */
+export function fromExceptionEscalation(exceptionEscalation) {
+  const resolutions = { approve: 'approved', approved: 'approved', deny: 'rejected', reject: 'rejected', rejected: 'rejected' };
+
+  return {
+    name: 'exception',
+    async list() {
+      const { data, error } = await exceptionEscalation.getActiveEscalations();
+      if (error && exceptionEscalation.isAvailable()) throw new Error(error.message);
+      return (data || []).map((entry) => ({
+        sourceId: entry.id,
+        type: 'amendment',
+        title: `${entry.agent_role?.toUpperCase()} amendment: ${entry.reason.replace(/_/g, ' ')}`,
+        description: entry.amendment?.instruction_delta || null,
+        requestingAgent: entry.agent_role,
+        priority: entry.reason === 'cross_agent_pattern' ? 'high' : 'medium',
+        options: ['Approve', 'Reject', 'Dismiss'],
+        createdAt: entry.created_at,
+      }));
+    },
+    async decide(sourceId, { choice, notes, decidedBy }) {
+      const resolution = resolutions[choice.toLowerCase()] || 'dismissed';
+      const { error } = await exceptionEscalation.resolveEscalation(sourceId, resolution, decidedBy, notes);
+      if (error) throw new Error(error.message);
+    },
+  };
+}
+
+/**
+ * Plain-text digest for chat notifiers
+ */
+export function formatDigestText(digest) {
+  const lines = [
+    `${digest.open} decisions waiting (${digest.overdue} overdue, ${digest.delegated} delegated, ${digest.deferred} deferred)`,
+    '',
+    ...digest.items.map((item) =>
+      `• [${item.priority.toUpperCase()}] ${item.title} - ${item.requestingAgent?.toUpperCase() || 'Unknown'}, ` +
+      `${item.overdue ? `overdue since ${new Date(item.dueAt).toLocaleString()}` : `due ${new Date(item.dueAt).toLocaleString()}`}`
+    ),
+  ];
+  return lines.join('\n');
+}
+
+export { DecisionInbox };
+export default DecisionInbox;
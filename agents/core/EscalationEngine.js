@@ -1,8 +1,22 @@
 /**
  * MONOLITH OS - Escalation Engine
  * Determines when tasks require CEO decision
+ *
+ * Escalation rules are an EscalationPolicy document (see EscalationPolicy.js).
+ * Until a policy version is published and activated, the engine evaluates the
+ * policy equivalent of its thresholds.
  */
 
+import {
+  POLICY_PRIORITIES,
+  buildFacts,
+  evaluatePolicy,
+  policyFromThresholds,
+  validatePolicy,
+  SpendLedger,
+} from './EscalationPolicy.js';
+import moneyExtractor, { formatMoney } from './MoneyExtractor.js';
+
 // Default escalation thresholds
 const DEFAULT_THRESHOLDS = {
   // Financial thresholds
@@ -64,6 +78,11 @@ class EscalationEngine {
     this.thresholds = { ...DEFAULT_THRESHOLDS, ...config.thresholds };
     this.customRules = config.customRules || [];
 
+    // Versioned policy storage (optional) and spend history for policy facts
+    this.policyStore = config.policyStore || null;
+    this.ledger = config.ledger || new SpendLedger();
+    this.setPolicy(config.policy || null);
+
     // CEO Agent integration for processing escalations
     this.ceoAgent = config.ceoAgent || null;
 
@@ -333,49 +352,255 @@ class EscalationEngine {
 
   /**
    * Check if a task requires CEO escalation
+   * Returns the reasons plus the policy version and rules behind them
+   * @param {Object} context - { at, ledger } when replaying history
    */
-  shouldEscalate(task, result, role) {
-    const reasons = [];
+  shouldEscalate(task, result, role, context = {}) {
+    const evaluation = this.evaluate(this.policy, task, result, role, context);
 
-    // Check explicit escalation markers
-    if (this.hasExplicitEscalation(task)) {
-      reasons.push('Task explicitly marked for CEO approval');
+    // Function rules added with addRule() run after the policy
+    const customReason = this.checkCustomRules(task, result, role);
+    if (customReason) {
+      evaluation.reasons.push(customReason);
+      evaluation.firedRules.push({ ruleId: 'custom', description: null, reason: customReason, priority: null, matched: {} });
     }
 
-    // Check financial thresholds
-    const financialReason = this.checkFinancialThresholds(task, result, role);
-    if (financialReason) {
-      reasons.push(financialReason);
+    return {
+      shouldEscalate: evaluation.reasons.length > 0,
+      reasons: evaluation.reasons,
+      priority: this.resolvePriority(evaluation, task),
+      policy: evaluation.policy,
+      firedRules: evaluation.firedRules,
+      facts: evaluation.facts,
+    };
+  }
+
+  /**
+   * Evaluate a policy for one task without custom rules
+   */
+  evaluate(policy, task, result, role, context = {}) {
+    const facts = buildFacts(task, result, role, {
+      policy,
+      ledger: context.ledger || this.ledger,
+      at: context.at,
+    });
+    return { ...evaluatePolicy(policy, facts), facts };
+  }
+
+  /**
+   * Highest of the priorities set on fired rules and the priority derived
+   * from the reasons and the task
+   */
+  resolvePriority(evaluation, task) {
+    const derived = this.calculateEscalationPriority(evaluation.reasons, task);
+    return evaluation.firedRules
+      .map((rule) => rule.priority)
+      .filter(Boolean)
+      .reduce((highest, priority) =>
+        POLICY_PRIORITIES.indexOf(priority) > POLICY_PRIORITIES.indexOf(highest) ? priority : highest,
+      derived);
+  }
+
+  /**
+   * Record spend from a completed task, for vendor novelty and monthly spend conditions
+   */
+  recordSpend(task, result, role, at = new Date().toISOString()) {
+    const facts = buildFacts(task, result, role, { policy: this.policy, at });
+    if (facts.amount > 0) {
+      this.ledger.record({ amount: facts.amount, role, vendor: facts.vendor, at });
     }
+  }
+
+  // ============================================================================
+  // POLICY MANAGEMENT
+  // ============================================================================
 
-    // Check risk keywords
-    const riskReason = this.checkRiskKeywords(task, result);
-    if (riskReason) {
-      reasons.push(riskReason);
+  /**
+   * Replace the policy being evaluated
+   * @param {Object|null} document - Policy document, or null to use the thresholds
+   */
+  setPolicy(document) {
+    if (!document) {
+      this.policy = policyFromThresholds(this.thresholds);
+      this.usesThresholdPolicy = true;
+      return this.policy;
     }
 
-    // Check strategic keywords
-    const strategicReason = this.checkStrategicKeywords(task, result);
-    if (strategicReason) {
-      reasons.push(strategicReason);
+    const validation = validatePolicy(document);
+    if (!validation.valid) {
+      throw new Error(`Invalid escalation policy: ${validation.errors.join('; ')}`);
+    }
+
+    this.policy = document;
+    this.usesThresholdPolicy = false;
+    console.log(`[ESCALATION] Policy ${document.name} v${document.version ?? 0} in effect`);
+    return this.policy;
+  }
+
+  /**
+   * Get the policy being evaluated
+   */
+  getPolicy() {
+    return this.policy;
+  }
+
+  /**
+   * Load the active version of a stored policy
+   * @returns {Object|null} Active version, or null if none is stored
+   */
+  async loadPolicy(name = 'default') {
+    if (!this.policyStore) return null;
+
+    try {
+      const active = await this.policyStore.getActive(name);
+      if (active) {
+        this.setPolicy(active.document);
+      }
+      return active;
+    } catch (error) {
+      console.error(`[ESCALATION] Failed to load policy ${name}, keeping the current one:`, error.message);
+      return null;
     }
+  }
 
-    // Check role-specific rules
-    const roleReason = this.checkRoleSpecificRules(task, result, role);
-    if (roleReason) {
-      reasons.push(roleReason);
+  /**
+   * Store a policy as a new version, optionally making it the active one
+   * @param {Object} options - { createdBy, notes, activate }
+   */
+  async publishPolicy(document, options = {}) {
+    if (!this.policyStore) {
+      throw new Error('No escalation policy store configured');
     }
 
-    // Check custom rules
-    const customReason = this.checkCustomRules(task, result, role);
-    if (customReason) {
-      reasons.push(customReason);
+    const saved = await this.policyStore.save(document, options);
+    if (!options.activate) return saved;
+
+    return this.activatePolicy(saved.name, saved.version, { activatedBy: options.createdBy });
+  }
+
+  /**
+   * Activate a stored policy version and start evaluating it
+   */
+  async activatePolicy(name, version, options = {}) {
+    if (!this.policyStore) {
+      throw new Error('No escalation policy store configured');
+    }
+
+    const activated = await this.policyStore.activate(name, version, options);
+    if (activated) {
+      this.setPolicy(activated.document);
+      this.emit('policyActivated', { name, version: activated.version });
+    }
+    return activated;
+  }
+
+  /**
+   * Evaluate historical decisions against a proposed policy and report what
+   * would have changed relative to the policy in effect
+   * @param {Object} document - Proposed policy document
+   * @param {Array} decisions - DecisionLogger entries or decision rows
+   * @returns {Object} { policy, baseline, summary, changes }
+   */
+  dryRun(document, decisions = []) {
+    const validation = validatePolicy(document);
+    if (!validation.valid) {
+      throw new Error(`Invalid escalation policy: ${validation.errors.join('; ')}`);
+    }
+
+    // Replay oldest first so vendor novelty and monthly spend build up as they did
+    const cases = decisions
+      .map((entry) => EscalationEngine.decisionToCase(entry))
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    const ledgers = { baseline: new SpendLedger(), proposed: new SpendLedger() };
+    const summary = {
+      evaluated: cases.length,
+      baselineEscalations: 0,
+      proposedEscalations: 0,
+      newlyEscalated: 0,
+      noLongerEscalated: 0,
+      rulesChanged: 0,
+    };
+    const changes = [];
+
+    for (const item of cases) {
+      const outcome = {};
+      for (const [key, policy] of [['baseline', this.policy], ['proposed', document]]) {
+        const evaluation = this.evaluate(policy, item.task, item.result, item.role, { at: item.at, ledger: ledgers[key] });
+        if (evaluation.facts.amount > 0) {
+          ledgers[key].record({ amount: evaluation.facts.amount, role: item.role, vendor: evaluation.facts.vendor, at: item.at });
+        }
+        outcome[key] = {
+          shouldEscalate: evaluation.shouldEscalate,
+          rules: evaluation.firedRules.map((rule) => rule.ruleId),
+          reasons: evaluation.reasons,
+        };
+      }
+
+      const { baseline, proposed } = outcome;
+      if (baseline.shouldEscalate) summary.baselineEscalations++;
+      if (proposed.shouldEscalate) summary.proposedEscalations++;
+
+      let change = null;
+      if (!baseline.shouldEscalate && proposed.shouldEscalate) {
+        change = 'newly_escalated';
+        summary.newlyEscalated++;
+      } else if (baseline.shouldEscalate && !proposed.shouldEscalate) {
+        change = 'no_longer_escalated';
+        summary.noLongerEscalated++;
+      } else if (baseline.rules.join() !== proposed.rules.join()) {
+        change = 'rules_changed';
+        summary.rulesChanged++;
+      }
+
+      if (change) {
+        changes.push({
+          decisionId: item.id,
+          taskId: item.task.id,
+          role: item.role,
+          at: item.at,
+          change,
+          wasEscalated: item.escalated,
+          baseline,
+          proposed,
+        });
+      }
     }
 
     return {
-      shouldEscalate: reasons.length > 0,
-      reasons,
-      priority: this.calculateEscalationPriority(reasons, task),
+      policy: { name: document.name, version: document.version ?? null },
+      baseline: { name: this.policy.name, version: this.policy.version ?? null },
+      summary,
+      changes,
+    };
+  }
+
+  /**
+   * Rebuild the task, result and role a logged decision was made on
+   * Accepts DecisionLogger entries (taskId, role) and database rows (task_id, role_id)
+   */
+  static decisionToCase(entry) {
+    const metadata = entry.metadata || {};
+    const taskInfo = metadata.task || {};
+
+    return {
+      id: entry.id,
+      role: entry.role || entry.role_id,
+      at: entry.timestamp || entry.logged_at || entry.created_at,
+      escalated: Boolean(entry.escalated),
+      task: {
+        id: entry.taskId || entry.task_id,
+        content: taskInfo.content || metadata.question || '',
+        notes: taskInfo.notes || '',
+        vendor: taskInfo.vendor || metadata.vendor,
+        task_type: taskInfo.type || metadata.taskType,
+        priority: taskInfo.priority,
+      },
+      result: {
+        decision: entry.decision || '',
+        action: entry.action || '',
+        analysis: entry.reasoning || '',
+      },
     };
   }
 
@@ -398,36 +623,32 @@ class EscalationEngine {
 
   /**
    * Check financial thresholds
+   * Amounts are compared as total commitments in the base currency, so
+   * "CAD 30k" is converted and "$5,000/month for 2 years" counts as $120,000
    */
   checkFinancialThresholds(task, result, role) {
-    const content = (task.content + ' ' + (result?.action || '')).toLowerCase();
-
-    // Try to extract dollar amounts
-    const amountMatch = content.match(/\$[\d,]+(?:\.\d{2})?|\d+(?:,\d{3})*(?:\.\d{2})?\s*(?:dollars?|usd)/gi);
+    const content = task.content + ' ' + (result?.action || '');
+    const amount = moneyExtractor.largest(content);
+    if (!amount) return null;
 
-    if (amountMatch) {
-      for (const match of amountMatch) {
-        const amount = parseFloat(match.replace(/[$,\s]/g, '').replace(/dollars?|usd/i, ''));
+    const total = amount.totalCommitment;
+    const described = moneyExtractor.describe(amount);
+    const { financial } = this.thresholds;
 
-        // Check against role-specific threshold
-        const roleRules = this.thresholds.roleSpecificRules[role];
-        if (roleRules?.escalateAbove && amount > roleRules.escalateAbove) {
-          return `Financial amount $${amount.toLocaleString()} exceeds ${role.toUpperCase()} authority ($${roleRules.escalateAbove.toLocaleString()})`;
-        }
+    // Check for contract mentions
+    if (content.toLowerCase().includes('contract') && total > financial.contractValue) {
+      return `Contract value ${described} exceeds threshold (${formatMoney(financial.contractValue)})`;
+    }
 
-        // Check against general thresholds
-        if (amount > this.thresholds.financial.singleExpense) {
-          return `Financial amount $${amount.toLocaleString()} exceeds single expense threshold ($${this.thresholds.financial.singleExpense.toLocaleString()})`;
-        }
-      }
+    // Check against role-specific threshold
+    const roleRules = this.thresholds.roleSpecificRules[role];
+    if (roleRules?.escalateAbove && total > roleRules.escalateAbove) {
+      return `Financial amount ${described} exceeds ${role.toUpperCase()} authority (${formatMoney(roleRules.escalateAbove)})`;
     }
 
-    // Check for contract mentions
-    if (content.includes('contract') && amountMatch) {
-      const amount = parseFloat(amountMatch[0].replace(/[$,\s]/g, '').replace(/dollars?|usd/i, ''));
-      if (amount > this.thresholds.financial.contractValue) {
-        return `Contract value $${amount.toLocaleString()} exceeds threshold ($${this.thresholds.financial.contractValue.toLocaleString()})`;
-      }
+    // Check against general thresholds
+    if (total > financial.singleExpense) {
+      return `Financial amount ${described} exceeds single expense threshold (${formatMoney(financial.singleExpense)})`;
     }
 
     return null;
@@ -567,6 +788,10 @@ class EscalationEngine {
       financial: { ...this.thresholds.financial, ...updates.financial },
       roleSpecificRules: { ...this.thresholds.roleSpecificRules, ...updates.roleSpecificRules },
     };
+
+    if (this.usesThresholdPolicy) {
+      this.setPolicy(null);
+    }
   }
 
   /**
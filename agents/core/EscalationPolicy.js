@@ -0,0 +1,499 @@
+/**
+ * MONOLITH OS - Escalation Policy
+ * Declarative, versioned escalation rules evaluated by EscalationEngine
+ *
+ * A policy is a plain JSON/YAML document:
+ *
+ *   {
+ *     name: 'default',
+ *     version: 3,
+ *     tags: { legal: ['lawsuit', 'legal liability'], ... },
+ *     rules: [
+ *       {
+ *         id: 'cfo-authority',
+ *         when: { role: 'cfo', amount: { gt: 25000 } },
+ *         reason: 'Financial amount {amount} exceeds {ROLE} authority ({limit})',
+ *         priority: 'HIGH',          // optional, otherwise derived from the reason
+ *       },
+ *     ],
+ *   }
+ *
+ * Every condition in `when` must hold for a rule to fire:
+ *   role, taskType, priority   string or list of accepted values
+ *   amount                     { gt, gte, lt, lte } on the largest total commitment found in
+ *                              the task, in the base currency (see MoneyExtractor)
+ *   currency                   string or list; any extracted amount stated in that currency
+ *   vendor                     { new: true|false, in: [...] }
+ *   monthlySpend               { gt, ..., per: 'role' | 'vendor' | 'all' } month-to-date spend
+ *                              including this task's amount; only tasks that spend match
+ *   riskTags                   { any: [...], all: [...] } tags from `tags` keywords or task.risk_tags
+ *   text                       { any: [...], fields: [...] } keyword match on task/result text
+ *   all / any / not            combine nested conditions
+ *
+ * evaluatePolicy() returns every rule that fired with the values that made it
+ * fire, so each escalation can cite the rule and version behind it.
+ */
+
+import moneyExtractor, { formatMoney } from './MoneyExtractor.js';
+
+export const POLICY_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const TEXT_FIELDS = ['content', 'notes', 'action', 'analysis', 'decision'];
+
+// Fields each default rule reads, matching the keyword checks they replace
+const AMOUNT_FIELDS = ['content', 'action'];
+const TAG_FIELDS = ['content', 'notes', 'analysis', 'decision'];
+
+const COMPARATORS = {
+  gt: (value, limit) => value > limit,
+  gte: (value, limit) => value >= limit,
+  lt: (value, limit) => value < limit,
+  lte: (value, limit) => value <= limit,
+};
+
+const CONDITION_KEYS = [
+  'role', 'taskType', 'priority', 'amount', 'currency', 'vendor',
+  'monthlySpend', 'riskTags', 'text', 'all', 'any', 'not',
+];
+
+// ============================================================================
+// FACTS
+// ============================================================================
+
+/**
+ * Month-to-date spend and known vendors, used for monthlySpend and vendor
+ * novelty conditions
+ */
+export class SpendLedger {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * @param {Object} entry - { amount (base currency), role, vendor, at }
+   */
+  record(entry) {
+    if (!entry.amount) return;
+    this.entries.push({ ...entry, at: entry.at || new Date().toISOString() });
+  }
+
+  /**
+   * Spend in the calendar month of `at`, up to `at`
+   * @param {Object} scope - { role, vendor, at }
+   */
+  monthToDate(scope = {}) {
+    const at = new Date(scope.at || Date.now());
+    const monthStart = new Date(at.getFullYear(), at.getMonth(), 1);
+
+    return this.entries
+      .filter((e) => {
+        const time = new Date(e.at);
+        return time >= monthStart && time <= at &&
+          (!scope.role || e.role === scope.role) &&
+          (!scope.vendor || e.vendor === scope.vendor);
+      })
+      .reduce((sum, e) => sum + e.amount, 0);
+  }
+
+  /**
+   * Whether spend with a vendor was recorded before `at`
+   */
+  hasVendor(vendor, at = Date.now()) {
+    const before = new Date(at);
+    return this.entries.some((e) => e.vendor === vendor && new Date(e.at) <= before);
+  }
+}
+
+/**
+ * Build the facts a policy is evaluated against
+ * @param {Object} task - Task being checked
+ * @param {Object} result - Agent result ({ action, decision, analysis, vendor })
+ * @param {string} role - Agent role
+ * @param {Object} context - { policy, ledger, at, money: MoneyExtractor }
+ */
+export function buildFacts(task = {}, result = {}, role = null, context = {}) {
+  const text = {
+    content: task.content || task.title || '',
+    notes: task.notes || '',
+    action: result?.action || '',
+    analysis: result?.analysis || '',
+    decision: result?.decision || '',
+  };
+
+  const money = context.money || moneyExtractor;
+  const amounts = money.extract(AMOUNT_FIELDS.map((field) => text[field]).join(' '))
+    .filter((a) => a.totalCommitment !== null);
+  const largest = amounts.reduce((max, a) => (!max || a.totalCommitment > max.totalCommitment ? a : max), null);
+
+  const vendor = task.vendor || result?.vendor || task.metadata?.vendor || null;
+  const at = context.at || new Date().toISOString();
+  const ledger = context.ledger;
+
+  // Tags from the policy's keyword lists, plus any the task already carries
+  const tagText = TAG_FIELDS.map((field) => text[field]).join(' ').toLowerCase();
+  const matchedTags = {};
+  for (const [tag, keywords] of Object.entries(context.policy?.tags || {})) {
+    const hits = keywords.filter((keyword) => tagText.includes(keyword.toLowerCase()));
+    if (hits.length > 0) matchedTags[tag] = hits;
+  }
+  const riskTags = [...new Set([...(task.risk_tags || task.riskTags || []), ...Object.keys(matchedTags)])];
+
+  const amount = largest?.totalCommitment || 0;
+  const monthlySpend = ledger
+    ? {
+      role: ledger.monthToDate({ role, at }) + amount,
+      vendor: vendor ? ledger.monthToDate({ vendor, at }) + amount : amount,
+      all: ledger.monthToDate({ at }) + amount,
+    }
+    : { role: amount, vendor: amount, all: amount };
+
+  return {
+    role,
+    taskType: task.task_type || task.taskType || task.type || task.category || null,
+    priority: task.priority || null,
+    text,
+    amounts,
+    amount,
+    amountText: largest ? money.describe(largest) : null,
+    currency: largest?.currency || null,
+    baseCurrency: largest?.baseCurrency || money.baseCurrency,
+    vendor,
+    vendorIsNew: vendor ? !(ledger?.hasVendor(vendor, at)) : false,
+    monthlySpend,
+    riskTags,
+    matchedTags,
+    at,
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(condition)) {
+    if (!CONDITION_KEYS.includes(key)) {
+      errors.push(`${path}.${key} is not a known condition`);
+      continue;
+    }
+
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${path}.${key} must be a non-empty list`);
+      } else {
+        value.forEach((nested, i) => validateCondition(nested, `${path}.${key}[${i}]`, errors));
+      }
+    } else if (key === 'not') {
+      validateCondition(value, `${path}.not`, errors);
+    } else if (key === 'amount' || key === 'monthlySpend') {
+      const bounds = Object.keys(value || {}).filter((op) => op !== 'per');
+      if (bounds.length === 0 || bounds.some((op) => !COMPARATORS[op] || typeof value[op] !== 'number')) {
+        errors.push(`${path}.${key} needs numeric gt/gte/lt/lte bounds`);
+      }
+      if (key === 'monthlySpend' && value.per && !['role', 'vendor', 'all'].includes(value.per)) {
+        errors.push(`${path}.monthlySpend.per must be role, vendor or all`);
+      }
+    } else if (key === 'riskTags' || key === 'text') {
+      const lists = key === 'text' ? ['any'] : ['any', 'all'];
+      if (!lists.some((list) => Array.isArray(value?.[list]) && value[list].length > 0)) {
+        errors.push(`${path}.${key} needs a non-empty ${lists.join(' or ')} list`);
+      }
+    } else if (key === 'vendor') {
+      if (value?.new === undefined && !Array.isArray(value?.in)) {
+        errors.push(`${path}.vendor needs new or in`);
+      }
+    } else if (typeof value !== 'string' && !(Array.isArray(value) && value.length > 0)) {
+      errors.push(`${path}.${key} must be a value or a list of values`);
+    }
+  }
+}
+
+/**
+ * Validate a policy document
+ * @returns {Object} { valid, errors }
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object') {
+    return { valid: false, errors: ['Policy must be an object'] };
+  }
+  if (!policy.name || typeof policy.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(policy.rules)) {
+    errors.push('rules must be a list');
+  }
+
+  for (const [tag, keywords] of Object.entries(policy.tags || {})) {
+    if (!Array.isArray(keywords)) errors.push(`tags.${tag} must be a list of keywords`);
+  }
+
+  const ids = new Set();
+  (policy.rules || []).forEach((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!rule.id) {
+      errors.push(`${path}.id is required`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${path}.id "${rule.id}" is not unique`);
+    }
+    ids.add(rule.id);
+
+    if (!rule.reason) errors.push(`${path}.reason is required`);
+    if (rule.priority && !POLICY_PRIORITIES.includes(rule.priority)) {
+      errors.push(`${path}.priority must be one of ${POLICY_PRIORITIES.join(', ')}`);
+    }
+    validateCondition(rule.when, `${path}.when`, errors);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+function oneOf(expected, actual) {
+  const values = Array.isArray(expected) ? expected : [expected];
+  return values.some((value) => String(value).toLowerCase() === String(actual ?? '').toLowerCase());
+}
+
+function compare(bounds, value) {
+  const failed = Object.entries(bounds)
+    .filter(([op]) => op !== 'per')
+    .some(([op, limit]) => !COMPARATORS[op](value, limit));
+  return !failed;
+}
+
+/**
+ * Check a condition against the facts
+ * @returns {Object|null} Matched values when the condition holds, else null
+ */
+function matchCondition(condition, facts) {
+  const matched = {};
+
+  for (const [key, value] of Object.entries(condition)) {
+    switch (key) {
+      case 'role':
+      case 'taskType':
+      case 'priority':
+        if (!oneOf(value, facts[key])) return null;
+        matched[key] = facts[key];
+        break;
+
+      case 'amount':
+        if (facts.amounts.length === 0 || !compare(value, facts.amount)) return null;
+        matched.amount = facts.amount;
+        matched.limit = value.gt ?? value.gte ?? value.lt ?? value.lte;
+        break;
+
+      case 'currency': {
+        const currency = facts.amounts.find((a) => oneOf(value, a.currency))?.currency;
+        if (!currency) return null;
+        matched.currency = currency;
+        break;
+      }
+
+      case 'vendor':
+        if (!facts.vendor) return null;
+        if (value.new !== undefined && value.new !== facts.vendorIsNew) return null;
+        if (value.in && !oneOf(value.in, facts.vendor)) return null;
+        matched.vendor = facts.vendor;
+        break;
+
+      case 'monthlySpend': {
+        const spend = facts.monthlySpend[value.per || 'role'];
+        if (facts.amounts.length === 0 || !compare(value, spend)) return null;
+        matched.monthlySpend = spend;
+        matched.limit = value.gt ?? value.gte ?? value.lt ?? value.lte;
+        break;
+      }
+
+      case 'riskTags': {
+        const tags = facts.riskTags;
+        if (value.all && !value.all.every((tag) => tags.includes(tag))) return null;
+        const hit = value.any ? value.any.find((tag) => tags.includes(tag)) : value.all?.[0];
+        if (!hit) return null;
+        matched.riskTag = hit;
+        matched.keyword = facts.matchedTags[hit]?.[0] || hit;
+        break;
+      }
+
+      case 'text': {
+        const fields = value.fields || TEXT_FIELDS;
+        const haystack = fields.map((field) => facts.text[field] || '').join(' ').toLowerCase();
+        const keyword = value.any.find((k) => haystack.includes(k.toLowerCase()));
+        if (!keyword) return null;
+        matched.keyword = keyword;
+        break;
+      }
+
+      case 'all':
+        for (const nested of value) {
+          const result = matchCondition(nested, facts);
+          if (!result) return null;
+          Object.assign(matched, result);
+        }
+        break;
+
+      case 'any': {
+        const result = value.map((nested) => matchCondition(nested, facts)).find(Boolean);
+        if (!result) return null;
+        Object.assign(matched, result);
+        break;
+      }
+
+      case 'not':
+        if (matchCondition(value, facts)) return null;
+        break;
+
+      default:
+        return null;
+    }
+  }
+
+  return matched;
+}
+
+function renderReason(template, matched, facts) {
+  const values = {
+    amount: matched.amount !== undefined ? facts.amountText : '',
+    limit: matched.limit !== undefined ? formatMoney(matched.limit, facts.baseCurrency) : '',
+    monthlySpend: matched.monthlySpend !== undefined ? formatMoney(matched.monthlySpend, facts.baseCurrency) : '',
+    currency: matched.currency || facts.currency || '',
+    keyword: matched.keyword || '',
+    vendor: facts.vendor || '',
+    role: facts.role || '',
+    ROLE: String(facts.role || '').toUpperCase(),
+    riskTag: matched.riskTag || '',
+  };
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+}
+
+/**
+ * Evaluate a policy against the facts for one task
+ * @returns {Object} { shouldEscalate, reasons, firedRules, policy: { name, version } }
+ */
+export function evaluatePolicy(policy, facts) {
+  const firedRules = [];
+
+  for (const rule of policy.rules) {
+    if (rule.enabled === false) continue;
+
+    const matched = matchCondition(rule.when || {}, facts);
+    if (!matched) continue;
+
+    firedRules.push({
+      ruleId: rule.id,
+      description: rule.description || null,
+      reason: renderReason(rule.reason, matched, facts),
+      priority: rule.priority || null,
+      matched,
+    });
+  }
+
+  return {
+    shouldEscalate: firedRules.length > 0,
+    reasons: firedRules.map((rule) => rule.reason),
+    firedRules,
+    policy: { name: policy.name, version: policy.version ?? null },
+  };
+}
+
+// ============================================================================
+// DEFAULT POLICY
+// ============================================================================
+
+const EXPLICIT_MARKERS = [
+  'ceo approval',
+  'ceo decision',
+  'requires ceo',
+  'escalate to ceo',
+  'executive decision',
+  'board approval',
+];
+
+/**
+ * Translate EscalationEngine thresholds into the equivalent policy, so the
+ * engine behaves the same until a stored policy is published
+ */
+export function policyFromThresholds(thresholds) {
+  const roleRules = thresholds.roleSpecificRules || {};
+  const rolesWithAuthority = Object.keys(roleRules).filter((role) => roleRules[role].escalateAbove);
+
+  const rules = [
+    {
+      id: 'explicit-ceo-marker',
+      description: 'Task text asks for a CEO or board decision',
+      when: { text: { any: EXPLICIT_MARKERS, fields: ['content', 'notes'] } },
+      reason: 'Task explicitly marked for CEO approval',
+    },
+    ...rolesWithAuthority.map((role) => ({
+      id: `${role}-spending-authority`,
+      description: `Amount above the ${role.toUpperCase()} spending authority`,
+      when: { role, amount: { gt: roleRules[role].escalateAbove } },
+      reason: 'Financial amount {amount} exceeds {ROLE} authority ({limit})',
+    })),
+    {
+      id: 'single-expense',
+      description: 'Amount above the general single expense threshold',
+      when: { amount: { gt: thresholds.financial.singleExpense } },
+      reason: 'Financial amount {amount} exceeds single expense threshold ({limit})',
+    },
+    {
+      id: 'contract-value',
+      description: 'Contract above the contract value threshold',
+      when: {
+        text: { any: ['contract'], fields: AMOUNT_FIELDS },
+        amount: { gt: thresholds.financial.contractValue },
+      },
+      reason: 'Contract value {amount} exceeds threshold ({limit})',
+    },
+    {
+      id: 'risk-indicator',
+      description: 'Legal, compliance or security risk',
+      when: { riskTags: { any: ['risk'] } },
+      reason: 'Risk indicator detected: "{keyword}"',
+    },
+    {
+      id: 'strategic-decision',
+      description: 'Strategic direction, market or funding decision',
+      when: { riskTags: { any: ['strategic'] } },
+      reason: 'Strategic decision required: "{keyword}"',
+    },
+    ...Object.entries(roleRules)
+      .filter(([, rules]) => rules.alwaysEscalate?.length)
+      .map(([role, rules]) => ({
+        id: `${role}-always-escalate`,
+        description: `Decisions the ${role.toUpperCase()} may never make alone`,
+        when: { role, text: { any: rules.alwaysEscalate, fields: ['content', 'notes', 'action'] } },
+        reason: '{ROLE} role requires CEO approval for: "{keyword}"',
+      })),
+  ];
+
+  return {
+    name: 'default',
+    version: 0,
+    description: 'Built from the escalation engine thresholds',
+    tags: {
+      risk: thresholds.riskKeywords || [],
+      strategic: thresholds.strategicKeywords || [],
+    },
+    rules,
+  };
+}
+
+export default {
+  POLICY_PRIORITIES,
+  buildFacts,
+  validatePolicy,
+  evaluatePolicy,
+  policyFromThresholds,
+  SpendLedger,
+};
@@ -0,0 +1,133 @@
+/**
+ * MONOLITH OS - Escalation Policy Store
+ * Versioned storage for escalation policy documents
+ *
+ * Saving a policy creates the next version as a draft; activating a version
+ * retires the previously active one. Versions live in the escalation_policies
+ * table (database/migrations/012) when the database is available, otherwise
+ * in memory for the life of the process.
+ */
+
+import databaseService from '../services/DatabaseService.js';
+import { validatePolicy } from './EscalationPolicy.js';
+
+export const POLICY_STATUS = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  RETIRED: 'retired',
+};
+
+class EscalationPolicyStore {
+  constructor(config = {}) {
+    this.dbService = config.dbService || databaseService;
+    this.versions = []; // In-memory versions (used when no database)
+  }
+
+  useDatabase() {
+    return this.dbService.isAvailable();
+  }
+
+  /**
+   * List versions of a policy, newest first
+   * @param {Object} filters - { name, status, version }
+   */
+  async list(filters = {}) {
+    if (this.useDatabase()) {
+      const { data, error } = await this.dbService.listEscalationPolicies(filters);
+      if (error) throw new Error(`Failed to list escalation policies: ${error.message}`);
+      return data;
+    }
+
+    return this.versions
+      .filter((row) => !filters.name || row.name === filters.name)
+      .filter((row) => !filters.status || row.status === filters.status)
+      .filter((row) => filters.version === undefined || row.version === filters.version)
+      .sort((a, b) => b.version - a.version)
+      .map((row) => structuredClone(row));
+  }
+
+  /**
+   * Get one version of a policy
+   */
+  async get(name, version) {
+    const [row] = await this.list({ name, version: Number(version) });
+    return row || null;
+  }
+
+  /**
+   * Get the active version of a policy
+   */
+  async getActive(name = 'default') {
+    const [row] = await this.list({ name, status: POLICY_STATUS.ACTIVE });
+    return row || null;
+  }
+
+  /**
+   * Save a policy document as the next draft version
+   * @param {Object} document - Policy document
+   * @param {Object} options - { createdBy, notes }
+   * @returns {Object} Stored version
+   */
+  async save(document, options = {}) {
+    const validation = validatePolicy(document);
+    if (!validation.valid) {
+      throw new Error(`Invalid escalation policy: ${validation.errors.join('; ')}`);
+    }
+
+    const [latest] = await this.list({ name: document.name });
+    const version = (latest?.version || 0) + 1;
+    const row = {
+      name: document.name,
+      version,
+      document: { ...document, version },
+      status: POLICY_STATUS.DRAFT,
+      notes: options.notes || null,
+      created_by: options.createdBy || null,
+      created_at: new Date().toISOString(),
+    };
+
+    if (this.useDatabase()) {
+      const { data, error } = await this.dbService.insertEscalationPolicy(row);
+      if (error) throw new Error(`Failed to save escalation policy: ${error.message}`);
+      return data;
+    }
+
+    const stored = { id: `policy-${document.name}-${version}`, ...row };
+    this.versions.push(stored);
+    return structuredClone(stored);
+  }
+
+  /**
+   * Make a version the active one, retiring the version it replaces
+   * @returns {Object|null} Activated version, or null if it does not exist
+   */
+  async activate(name, version, options = {}) {
+    const target = await this.get(name, version);
+    if (!target) return null;
+
+    const current = await this.getActive(name);
+    if (current && current.id !== target.id) {
+      await this.update(current.id, { status: POLICY_STATUS.RETIRED });
+    }
+
+    return this.update(target.id, {
+      status: POLICY_STATUS.ACTIVE,
+      activated_by: options.activatedBy || null,
+      activated_at: new Date().toISOString(),
+    });
+  }
+
+  async update(id, updates) {
+    if (this.useDatabase()) {
+      const { data, error } = await this.dbService.updateEscalationPolicy(id, updates);
+      if (error) throw new Error(`Failed to update escalation policy: ${error.message}`);
+      return data;
+    }
+
+    const row = this.versions.find((v) => v.id === id);
+    Object.assign(row, updates);
+    return structuredClone(row);
+  }
+}
+
+export default EscalationPolicyStore;
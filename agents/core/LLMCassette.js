@@ -0,0 +1,233 @@
+/**
+ * MONOLITH OS - LLM Cassette
+ * Record-and-replay of LLMRouter traffic as a JSONL "cassette".
+ *
+ * record: the cassette file is started afresh once per process and every
+ *         completion (request + response) is appended to it, so re-recording never
+ *         mixes in stale entries and every router in the process records to one file
+ * replay: completions are served from the cassette; unmatched requests throw
+ *
+ * Requests are matched on model, prompts, messages, temperature, maxTokens,
+ * jsonMode and tool names. Timestamps and epoch-millisecond ids in prompts are
+ * masked first, so a TaskOrchestrator or WorkflowEngine run replays even though
+ * its task ids differ. Identical requests replay in recorded order.
+ *
+ * Environment:
+ *   LLM_CASSETTE=<file>                 - cassette path
+ *   LLM_CASSETTE_MODE=record|replay     - defaults to replay when LLM_CASSETTE is set
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MODES = ['record', 'replay'];
+
+// Cassettes this process has started recording; later routers append to them
+const recordingPaths = new Set();
+
+// Volatile values that differ between otherwise identical runs
+const VOLATILE_PATTERNS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>'],
+  [/\b\d{13}\b/g, '<epoch>'],
+];
+
+function normalize(value) {
+  if (typeof value === 'string') {
+    return VOLATILE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalize(v)]));
+  }
+  return value;
+}
+
+/**
+ * The recorded form of a request: what determines the completion
+ */
+function toRecordedRequest(options) {
+  return {
+    modelId: options.modelId || null,
+    systemPrompt: options.systemPrompt || '',
+    userMessage: options.userMessage || '',
+    messages: options.messages || [],
+    temperature: options.temperature ?? null,
+    maxTokens: options.maxTokens ?? null,
+    jsonMode: options.jsonMode || false,
+    tools: (options.tools || []).map((tool) => tool.name),
+    toolChoice: options.toolChoice || null,
+  };
+}
+
+/**
+ * Match key for a request, stable across runs
+ */
+export function requestKey(options) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalize(toRecordedRequest(options))))
+    .digest('hex')
+    .slice(0, 24);
+}
+
+class LLMCassette {
+  /**
+   * @param {Object} config - { path, mode: 'record' | 'replay' }
+   */
+  constructor(config = {}) {
+    this.path = config.path;
+    this.mode = config.mode || 'replay';
+
+    if (!this.path) {
+      throw new Error('LLM cassette requires a path');
+    }
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown cassette mode: ${this.mode} (expected ${MODES.join(' or ')})`);
+    }
+
+    this.entries = [];
+    this.queues = new Map(); // key -> entries not yet replayed
+
+    if (this.mode === 'replay') {
+      this.load();
+    } else {
+      this.startRecording();
+    }
+
+    console.log(`[LLM-CASSETTE] ${this.mode === 'record' ? 'Recording to' : 'Replaying from'} ${this.path}`);
+  }
+
+  /**
+   * Build a cassette from LLM_CASSETTE / LLM_CASSETTE_MODE, or null when unset
+   */
+  static fromEnv(env = process.env) {
+    if (!env.LLM_CASSETTE) return null;
+    return new LLMCassette({ path: env.LLM_CASSETTE, mode: env.LLM_CASSETTE_MODE || 'replay' });
+  }
+
+  /**
+   * Empty the cassette the first time this process records to it
+   */
+  startRecording() {
+    const resolved = path.resolve(this.path);
+    if (recordingPaths.has(resolved)) return;
+
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.writeFileSync(resolved, '');
+    recordingPaths.add(resolved);
+  }
+
+  load() {
+    if (!fs.existsSync(this.path)) {
+      throw new Error(`LLM cassette not found: ${this.path}`);
+    }
+
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n').filter((line) => line.trim());
+    this.entries = lines.map((line) => JSON.parse(line));
+
+    for (const entry of this.entries) {
+      if (!this.queues.has(entry.key)) {
+        this.queues.set(entry.key, []);
+      }
+      this.queues.get(entry.key).push(entry);
+    }
+  }
+
+  /**
+   * Append a completed request/response pair
+   */
+  record(options, response) {
+    const entry = {
+      key: requestKey(options),
+      recordedAt: new Date().toISOString(),
+      context: options.context || null,
+      request: toRecordedRequest(options),
+      response: {
+        content: response.content,
+        toolCalls: response.toolCalls || [],
+        model: response.model,
+        provider: response.provider,
+        inputTokens: response.inputTokens,
+        outputTokens: response.outputTokens,
+        cost: response.cost,
+        latencyMs: response.latencyMs,
+      },
+    };
+
+    fs.appendFileSync(this.path, JSON.stringify(entry) + '\n');
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Take the next recorded response for a request, or throw
+   */
+  replay(options) {
+    const key = requestKey(options);
+    const queue = this.queues.get(key);
+
+    if (!queue || queue.length === 0) {
+      const recorded = toRecordedRequest(options);
+      const hint = queue ? 'all recorded responses for this request were already replayed' : 'no recorded request matches';
+      throw new Error(
+        `LLM cassette mismatch (${hint}) in ${this.path}: ` +
+        `model=${recorded.modelId || 'auto'}, key=${key}, userMessage="${recorded.userMessage.substring(0, 120)}"`
+      );
+    }
+
+    const entry = queue.shift();
+    return { ...entry.response, replayed: true };
+  }
+
+  /**
+   * Streaming replay: the recorded content as a single delta, then done
+   */
+  async *replayStream(options) {
+    const response = this.replay(options);
+    if (response.content) {
+      yield { type: 'delta', text: response.content, model: response.model, provider: response.provider };
+    }
+    yield { type: 'done', ...response };
+  }
+
+  /**
+   * Streaming record: pass events through and record the final completion
+   */
+  async *recordStream(options, stream) {
+    for await (const event of stream) {
+      if (event.type === 'done') {
+        const { type, ...response } = event;
+        this.record(options, response);
+      }
+      yield event;
+    }
+  }
+
+  /**
+   * Recorded entries for a task or role, e.g. to inspect the traffic behind a logged decision
+   */
+  find({ taskId, role } = {}) {
+    return this.entries.filter((entry) =>
+      (!taskId || entry.context?.taskId === taskId) &&
+      (!role || entry.context?.role === role)
+    );
+  }
+
+  /**
+   * Replay progress: how many recorded responses have not been served yet
+   */
+  getStats() {
+    const remaining = [...this.queues.values()].reduce((sum, queue) => sum + queue.length, 0);
+    return {
+      mode: this.mode,
+      path: this.path,
+      entries: this.entries.length,
+      remaining: this.mode === 'replay' ? remaining : 0,
+    };
+  }
+}
+
+export default LLMCassette;
@@ -5,6 +5,10 @@
  */
 
 import Anthropic from '@anthropic-ai/sdk';
+import MockLLMProvider from './MockLLMProvider.js';
+import LLMCassette from './LLMCassette.js';
+import { MODEL_PRICING } from './ModelPricing.js';
+import budgetEnforcer from './BudgetEnforcer.js';
 
 // LLM Provider configurations
 const LLM_CONFIGS = {
@@ -12,58 +16,66 @@ const LLM_CONFIGS = {
     provider: 'anthropic',
     model: 'claude-opus-4-20250514',
     maxTokens: 8192,
-    costPer1kInput: 0.015,
-    costPer1kOutput: 0.075,
+    costPer1kInput: MODEL_PRICING['claude-opus-4'].input,
+    costPer1kOutput: MODEL_PRICING['claude-opus-4'].output,
     capabilities: ['strategic', 'reasoning', 'analysis', 'creative'],
   },
   'claude-sonnet-4': {
     provider: 'anthropic',
     model: 'claude-sonnet-4-20250514',
     maxTokens: 8192,
-    costPer1kInput: 0.003,
-    costPer1kOutput: 0.015,
+    costPer1kInput: MODEL_PRICING['claude-sonnet-4'].input,
+    costPer1kOutput: MODEL_PRICING['claude-sonnet-4'].output,
     capabilities: ['analysis', 'coding', 'documentation', 'general'],
   },
   'claude-haiku': {
     provider: 'anthropic',
     model: 'claude-3-5-haiku-20241022',
     maxTokens: 4096,
-    costPer1kInput: 0.0008,
-    costPer1kOutput: 0.004,
+    costPer1kInput: MODEL_PRICING['claude-haiku'].input,
+    costPer1kOutput: MODEL_PRICING['claude-haiku'].output,
     capabilities: ['routing', 'classification', 'summarization', 'fast'],
   },
   'gpt-4o': {
     provider: 'openai',
     model: 'gpt-4o',
     maxTokens: 4096,
-    costPer1kInput: 0.005,
-    costPer1kOutput: 0.015,
+    costPer1kInput: MODEL_PRICING['gpt-4o'].input,
+    costPer1kOutput: MODEL_PRICING['gpt-4o'].output,
     capabilities: ['structured', 'json', 'coding', 'general'],
   },
   'gpt-4o-mini': {
     provider: 'openai',
     model: 'gpt-4o-mini',
     maxTokens: 4096,
-    costPer1kInput: 0.00015,
-    costPer1kOutput: 0.0006,
+    costPer1kInput: MODEL_PRICING['gpt-4o-mini'].input,
+    costPer1kOutput: MODEL_PRICING['gpt-4o-mini'].output,
     capabilities: ['fast', 'classification', 'simple'],
   },
   'gemini-1.5-pro': {
     provider: 'google',
     model: 'gemini-1.5-pro',
     maxTokens: 8192,
-    costPer1kInput: 0.00125,
-    costPer1kOutput: 0.005,
+    costPer1kInput: MODEL_PRICING['gemini-1.5-pro'].input,
+    costPer1kOutput: MODEL_PRICING['gemini-1.5-pro'].output,
     capabilities: ['long-context', 'documents', 'analysis'],
   },
   'ollama-llama3': {
     provider: 'ollama',
     model: 'llama3',
     maxTokens: 4096,
-    costPer1kInput: 0,
-    costPer1kOutput: 0,
+    costPer1kInput: MODEL_PRICING['ollama-llama3'].input,
+    costPer1kOutput: MODEL_PRICING['ollama-llama3'].output,
     capabilities: ['privacy', 'local', 'general'],
   },
+  'mock': {
+    provider: 'mock',
+    model: 'mock-deterministic',
+    maxTokens: 8192,
+    costPer1kInput: MODEL_PRICING['mock'].input,
+    costPer1kOutput: MODEL_PRICING['mock'].output,
+    capabilities: ['offline', 'deterministic', 'testing'],
+  },
 };
 
 // Task type to LLM mapping
@@ -81,6 +93,9 @@ const TASK_TYPE_ROUTING = {
   general: ['claude-sonnet-4', 'gpt-4o'],
 };
 
+// Providers with native tool calling; others answer without tools
+const TOOL_CALLING_PROVIDERS = ['anthropic', 'openai', 'mock'];
+
 class LLMRouter {
   constructor(config = {}) {
     this.anthropic = null;
@@ -93,6 +108,9 @@ class LLMRouter {
       byModel: {},
     };
 
+    // Spending caps checked before every call
+    this.budget = config.budgetEnforcer || budgetEnforcer;
+
     // Initialize providers based on available API keys
     this.initializeProviders(config);
   }
@@ -121,6 +139,18 @@ class LLMRouter {
 
     // Ollama (Local)
     this.ollamaEndpoint = config.ollamaEndpoint || process.env.OLLAMA_ENDPOINT || 'http://localhost:11434';
+
+    // Mock (offline, deterministic) - LLM_PROVIDER=mock routes every request to it
+    this.mockMode = config.mockMode ?? process.env.LLM_PROVIDER === 'mock';
+    this.mock = new MockLLMProvider(config.mock || {});
+    if (this.mockMode) {
+      console.log('[LLM-ROUTER] Mock provider enabled, all requests served offline');
+    }
+
+    // Cassette (record/replay of LLM traffic) - LLM_CASSETTE + LLM_CASSETTE_MODE
+    this.cassette = config.cassette
+      ? (config.cassette instanceof LLMCassette ? config.cassette : new LLMCassette(config.cassette))
+      : LLMCassette.fromEnv();
   }
 
   /**
@@ -129,6 +159,10 @@ class LLMRouter {
   selectLLM(task) {
     const { type, containsPII, confidential, priority, contextLength } = task;
 
+    if (this.mockMode) {
+      return 'mock';
+    }
+
     // Privacy-sensitive data always uses local
     if (containsPII || confidential) {
       return 'ollama-llama3';
@@ -156,6 +190,11 @@ class LLMRouter {
   }
 
   isProviderAvailable(provider) {
+    // Mock mode must never fall back to a network provider
+    if (this.mockMode) {
+      return provider === 'mock';
+    }
+
     switch (provider) {
       case 'anthropic':
         return !!this.anthropic;
@@ -165,6 +204,8 @@ class LLMRouter {
         return !!this.googleApiKey;
       case 'ollama':
         return true; // Assume local is always available
+      case 'mock':
+        return true;
       default:
         return false;
     }
@@ -172,8 +213,93 @@ class LLMRouter {
 
   /**
    * Execute a completion request
+   * With `stream: true` this returns an async iterator of stream events
+   * (see streamCompletion) instead of a promise for the whole completion.
+   * When a cassette is configured, traffic is recorded to or replayed from it;
+   * options.context (e.g. { taskId, role }) is stored with recorded entries.
+   * Live calls go through the budget enforcer first (see applyBudget), which
+   * may switch options.modelId to a cheaper model or reject the call.
    */
-  async complete(options) {
+  complete(options) {
+    if (this.cassette?.mode === 'replay') {
+      return options.stream
+        ? this.cassette.replayStream(options)
+        : Promise.resolve().then(() => this.cassette.replay(options));
+    }
+
+    if (options.stream) {
+      return this.budgetedStream(options);
+    }
+
+    return this.applyBudget(options).then(async (budgeted) => {
+      const response = await this.completeRequest(budgeted);
+      this.budget.record({ ...this.budgetScope(budgeted), model: response.model, cost: response.cost });
+      // Keyed by the caller's request, which is what replay looks up
+      this.cassette?.record(options, response);
+      return response;
+    });
+  }
+
+  /**
+   * Streamed completion behind the budget check; a rejected call throws on
+   * the first iteration
+   */
+  async *budgetedStream(options) {
+    const budgeted = await this.applyBudget(options);
+    const stream = this.meterStream(budgeted, this.streamCompletion(budgeted));
+    yield* this.cassette ? this.cassette.recordStream(options, stream) : stream;
+  }
+
+  /**
+   * Tenant, role and task a call is charged to, from options.context
+   */
+  budgetScope(options) {
+    const { tenantId, role, taskId } = options.context || {};
+    return { tenantId, role, taskId };
+  }
+
+  /**
+   * Check a call against the spending caps. Over a soft limit the model is
+   * downgraded to the cheapest available TASK_TYPE_ROUTING candidate for the
+   * task type (options.context.taskType) or the routing tier; over a hard
+   * limit this rejects with a BUDGET_EXCEEDED error. Spend recorded by other
+   * processes is read back first; if it cannot be, capped calls reject with
+   * BUDGET_UNAVAILABLE.
+   * @returns {Promise<Object>} options, with modelId replaced on a downgrade
+   */
+  async applyBudget(options) {
+    const modelId = this.mockMode ? 'mock' : options.modelId || this.selectLLM({ type: 'general' });
+    const taskType = options.context?.taskType || 'general';
+    const candidates = [
+      ...(TASK_TYPE_ROUTING[taskType] || TASK_TYPE_ROUTING.general),
+      ...TASK_TYPE_ROUTING.routing,
+    ].filter((candidate) => this.isProviderAvailable(LLM_CONFIGS[candidate].provider));
+
+    await this.budget.refreshSpend(this.budgetScope(options));
+    const decision = this.budget.enforce({
+      ...this.budgetScope(options),
+      modelId,
+      estimatedCost: this.budget.estimateCost(modelId, options),
+      candidates,
+      exempt: options.context?.budgetExempt,
+    });
+
+    return decision.action === 'downgrade' ? { ...options, modelId: decision.modelId } : options;
+  }
+
+  /**
+   * Charge a streamed completion once it is done
+   */
+  async *meterStream(options, stream) {
+    for await (const event of stream) {
+      if (event.type === 'done') {
+        this.budget.record({ ...this.budgetScope(options), model: event.model, cost: event.cost });
+      }
+      yield event;
+    }
+  }
+
+  async completeRequest(options, triedModels = []) {
     const {
       modelId,
       systemPrompt,
@@ -182,9 +308,11 @@ class LLMRouter {
       maxTokens = 4096,
       temperature = 0.7,
       jsonMode = false,
+      tools = [],
+      toolChoice,
     } = options;
 
-    const selectedModel = modelId || this.selectLLM({ type: 'general' });
+    const selectedModel = this.mockMode ? 'mock' : modelId || this.selectLLM({ type: 'general' });
     const config = LLM_CONFIGS[selectedModel];
 
     if (!config) {
@@ -194,13 +322,18 @@ class LLMRouter {
     const startTime = Date.now();
     let result;
 
+    if (tools.length > 0 && !TOOL_CALLING_PROVIDERS.includes(config.provider)) {
+      console.warn(`[LLM-ROUTER] ${selectedModel} does not support tool calling, tools ignored`);
+    }
+    const toolOptions = { tools, toolChoice };
+
     try {
       switch (config.provider) {
         case 'anthropic':
-          result = await this.completeWithAnthropic(config, systemPrompt, userMessage, messages, maxTokens, temperature);
+          result = await this.completeWithAnthropic(config, systemPrompt, userMessage, messages, maxTokens, temperature, toolOptions);
           break;
         case 'openai':
-          result = await this.completeWithOpenAI(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode);
+          result = await this.completeWithOpenAI(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode, toolOptions);
           break;
         case 'google':
           result = await this.completeWithGoogle(config, systemPrompt, userMessage, messages, maxTokens, temperature);
@@ -208,88 +341,399 @@ class LLMRouter {
         case 'ollama':
           result = await this.completeWithOllama(config, systemPrompt, userMessage, messages, maxTokens, temperature);
           break;
+        case 'mock':
+          result = await this.mock.complete({ systemPrompt, userMessage, messages, maxTokens, ...toolOptions });
+          break;
         default:
           throw new Error(`Unsupported provider: ${config.provider}`);
       }
 
       // Track usage
-      this.trackUsage(selectedModel, result.inputTokens, result.outputTokens, config);
+      const cost = this.trackUsage(selectedModel, result.inputTokens, result.outputTokens, config);
 
       return {
         content: result.content,
+        toolCalls: result.toolCalls || [],
         model: selectedModel,
         provider: config.provider,
         inputTokens: result.inputTokens,
         outputTokens: result.outputTokens,
+        cost,
         latencyMs: Date.now() - startTime,
       };
     } catch (error) {
       console.error(`[LLM-ROUTER] Error with ${selectedModel}:`, error.message);
 
       // Try fallback
-      const fallbacks = TASK_TYPE_ROUTING.general.filter((m) => m !== selectedModel);
-      for (const fallbackModel of fallbacks) {
-        const fallbackConfig = LLM_CONFIGS[fallbackModel];
-        if (this.isProviderAvailable(fallbackConfig.provider)) {
-          console.log(`[LLM-ROUTER] Falling back to ${fallbackModel}`);
-          return this.complete({ ...options, modelId: fallbackModel });
+      const tried = [...triedModels, selectedModel];
+      const fallbackModel = this.selectFallbackModel(options, tried);
+      if (!fallbackModel) {
+        throw error;
+      }
+
+      console.log(`[LLM-ROUTER] Falling back to ${fallbackModel}`);
+      return this.completeRequest({ ...options, modelId: fallbackModel }, tried);
+    }
+  }
+
+  /**
+   * Next model to try after a provider error, for whole and streamed
+   * completions alike: the task type's routing (options.context.taskType),
+   * then the general tier, skipping models already tried and unavailable providers
+   */
+  selectFallbackModel(options, triedModels) {
+    const taskType = options.context?.taskType;
+    return [...(TASK_TYPE_ROUTING[taskType] || []), ...TASK_TYPE_ROUTING.general].find(
+      (m) => !triedModels.includes(m) && this.isProviderAvailable(LLM_CONFIGS[m].provider)
+    ) || null;
+  }
+
+  /**
+   * Stream a completion as unified events, whatever the provider:
+   *   { type: 'delta', text, model, provider }            - partial output
+   *   { type: 'fallback', from, to, error }               - provider failed before its first token
+   *   { type: 'done', content, model, provider, inputTokens, outputTokens, cost, latencyMs }
+   * Usage is tracked once the stream finishes. A failure after the first
+   * token is rethrown, since the consumer has already seen partial output.
+   */
+  async *streamCompletion(options, triedModels = []) {
+    const {
+      modelId,
+      systemPrompt,
+      userMessage,
+      messages = [],
+      maxTokens = 4096,
+      temperature = 0.7,
+      jsonMode = false,
+    } = options;
+
+    const selectedModel = this.mockMode ? 'mock' : modelId || this.selectLLM({ type: 'general' });
+    const config = LLM_CONFIGS[selectedModel];
+
+    if (!config) {
+      throw new Error(`Unknown model: ${selectedModel}`);
+    }
+
+    const startTime = Date.now();
+    let content = '';
+    let usage = { inputTokens: 0, outputTokens: 0 };
+    let started = false;
+
+    try {
+      const chunks = this.streamFromProvider(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode);
+
+      for await (const chunk of chunks) {
+        if (chunk.type === 'usage') {
+          usage = { inputTokens: chunk.inputTokens, outputTokens: chunk.outputTokens };
+          continue;
         }
+        if (!chunk.text) continue;
+
+        started = true;
+        content += chunk.text;
+        yield { type: 'delta', text: chunk.text, model: selectedModel, provider: config.provider };
+      }
+    } catch (error) {
+      console.error(`[LLM-ROUTER] Stream error with ${selectedModel}:`, error.message);
+
+      if (started) {
+        throw error;
+      }
+
+      const tried = [...triedModels, selectedModel];
+      const fallbackModel = this.selectFallbackModel(options, tried);
+      if (!fallbackModel) {
+        throw error;
       }
 
-      throw error;
+      console.log(`[LLM-ROUTER] Falling back to ${fallbackModel}`);
+      yield { type: 'fallback', from: selectedModel, to: fallbackModel, error: error.message };
+      yield* this.streamCompletion({ ...options, modelId: fallbackModel }, tried);
+      return;
     }
+
+    const cost = this.trackUsage(selectedModel, usage.inputTokens, usage.outputTokens, config);
+
+    yield {
+      type: 'done',
+      content,
+      model: selectedModel,
+      provider: config.provider,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      cost,
+      latencyMs: Date.now() - startTime,
+    };
   }
 
-  async completeWithAnthropic(config, systemPrompt, userMessage, messages, maxTokens, temperature) {
+  /**
+   * Provider streams yield { type: 'text', text } chunks and a final
+   * { type: 'usage', inputTokens, outputTokens }
+   */
+  streamFromProvider(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode) {
+    switch (config.provider) {
+      case 'anthropic':
+        return this.streamWithAnthropic(config, systemPrompt, userMessage, messages, maxTokens, temperature);
+      case 'openai':
+        return this.streamWithOpenAI(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode);
+      case 'google':
+        return this.streamWithGoogle(config, systemPrompt, userMessage, messages, maxTokens, temperature);
+      case 'ollama':
+        return this.streamWithOllama(config, systemPrompt, userMessage, messages, maxTokens, temperature);
+      case 'mock':
+        return this.mock.stream({ systemPrompt, userMessage, messages, maxTokens });
+      default:
+        throw new Error(`Unsupported provider: ${config.provider}`);
+    }
+  }
+
+  async completeWithAnthropic(config, systemPrompt, userMessage, messages, maxTokens, temperature, toolOptions = {}) {
     if (!this.anthropic) {
       throw new Error('Anthropic not initialized');
     }
 
     const formattedMessages = messages.length > 0
-      ? messages
+      ? this.formatAnthropicMessages(messages)
       : [{ role: 'user', content: userMessage }];
 
+    const { tools = [], toolChoice } = toolOptions;
     const response = await this.anthropic.messages.create({
       model: config.model,
       max_tokens: Math.min(maxTokens, config.maxTokens),
       temperature,
       system: systemPrompt,
       messages: formattedMessages,
+      ...(tools.length > 0 && {
+        tools: tools.map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.inputSchema,
+        })),
+        tool_choice: { type: toolChoice || 'auto' },
+      }),
     });
 
     return {
-      content: response.content[0].text,
+      content: response.content.filter((block) => block.type !== 'tool_use').map((block) => block.text).join(''),
+      toolCalls: response.content
+        .filter((block) => block.type === 'tool_use')
+        .map((block) => ({ id: block.id, name: block.name, input: block.input })),
       inputTokens: response.usage.input_tokens,
       outputTokens: response.usage.output_tokens,
     };
   }
 
-  async completeWithOpenAI(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode) {
+  /**
+   * Convert provider-neutral conversation turns to Anthropic messages.
+   * Assistant turns carry toolCalls; { role: 'tool', toolCallId, content }
+   * turns become tool_result blocks, merged into the following user message.
+   */
+  formatAnthropicMessages(messages) {
+    const formatted = [];
+
+    for (const msg of messages) {
+      let entry;
+      if (msg.role === 'tool') {
+        entry = {
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }],
+        };
+      } else if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        entry = {
+          role: 'assistant',
+          content: [
+            ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+            ...msg.toolCalls.map((call) => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input })),
+          ],
+        };
+      } else {
+        entry = { role: msg.role, content: msg.content };
+      }
+
+      // Anthropic expects alternating roles, so merge consecutive user turns
+      const previous = formatted[formatted.length - 1];
+      if (previous && previous.role === 'user' && entry.role === 'user') {
+        const toBlocks = (content) => (typeof content === 'string' ? [{ type: 'text', text: content }] : content);
+        previous.content = [...toBlocks(previous.content), ...toBlocks(entry.content)];
+      } else {
+        formatted.push(entry);
+      }
+    }
+
+    return formatted;
+  }
+
+  async *streamWithAnthropic(config, systemPrompt, userMessage, messages, maxTokens, temperature) {
+    if (!this.anthropic) {
+      throw new Error('Anthropic not initialized');
+    }
+
+    const formattedMessages = messages.length > 0
+      ? this.formatAnthropicMessages(messages)
+      : [{ role: 'user', content: userMessage }];
+
+    const stream = await this.anthropic.messages.create({
+      model: config.model,
+      max_tokens: Math.min(maxTokens, config.maxTokens),
+      temperature,
+      system: systemPrompt,
+      messages: formattedMessages,
+      stream: true,
+    });
+
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        inputTokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield { type: 'text', text: event.delta.text };
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens || outputTokens;
+      }
+    }
+
+    yield { type: 'usage', inputTokens, outputTokens };
+  }
+
+  async completeWithOpenAI(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode, toolOptions = {}) {
     // Dynamic import OpenAI
     const { default: OpenAI } = await import('openai');
     const openai = new OpenAI({ apiKey: this.openaiApiKey });
 
     const formattedMessages = [
       { role: 'system', content: systemPrompt },
-      ...(messages.length > 0 ? messages : [{ role: 'user', content: userMessage }]),
+      ...(messages.length > 0 ? this.formatOpenAIMessages(messages) : [{ role: 'user', content: userMessage }]),
     ];
 
+    const { tools = [], toolChoice } = toolOptions;
     const response = await openai.chat.completions.create({
       model: config.model,
       max_tokens: Math.min(maxTokens, config.maxTokens),
       temperature,
       messages: formattedMessages,
       response_format: jsonMode ? { type: 'json_object' } : undefined,
+      ...(tools.length > 0 && {
+        tools: tools.map((tool) => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.inputSchema },
+        })),
+        tool_choice: toolChoice || 'auto',
+      }),
     });
 
+    const message = response.choices[0].message;
     return {
-      content: response.choices[0].message.content,
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function.name,
+        input: JSON.parse(call.function.arguments || '{}'),
+      })),
       inputTokens: response.usage.prompt_tokens,
       outputTokens: response.usage.completion_tokens,
     };
   }
 
+  /**
+   * Convert provider-neutral conversation turns to OpenAI chat messages
+   */
+  formatOpenAIMessages(messages) {
+    return messages.map((msg) => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+      if (msg.role === 'assistant' && msg.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.input) },
+          })),
+        };
+      }
+      return { role: msg.role, content: msg.content };
+    });
+  }
+
+  async *streamWithOpenAI(config, systemPrompt, userMessage, messages, maxTokens, temperature, jsonMode) {
+    const { default: OpenAI } = await import('openai');
+    const openai = new OpenAI({ apiKey: this.openaiApiKey });
+
+    const formattedMessages = [
+      { role: 'system', content: systemPrompt },
+      ...(messages.length > 0 ? this.formatOpenAIMessages(messages) : [{ role: 'user', content: userMessage }]),
+    ];
+
+    const stream = await openai.chat.completions.create({
+      model: config.model,
+      max_tokens: Math.min(maxTokens, config.maxTokens),
+      temperature,
+      messages: formattedMessages,
+      response_format: jsonMode ? { type: 'json_object' } : undefined,
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        yield { type: 'text', text };
+      }
+      // The usage chunk arrives last, with an empty choices array
+      if (chunk.usage) {
+        inputTokens = chunk.usage.prompt_tokens;
+        outputTokens = chunk.usage.completion_tokens;
+      }
+    }
+
+    yield { type: 'usage', inputTokens, outputTokens };
+  }
+
   async completeWithGoogle(config, systemPrompt, userMessage, messages, maxTokens, temperature) {
+    const { chat, currentInput } = await this.startGeminiChat(config, systemPrompt, userMessage, messages, maxTokens, temperature);
+
+    // Send the current message
+    const result = await chat.sendMessage(currentInput);
+    const response = result.response;
+
+    // Extract usage metadata if available
+    const usageMetadata = response.usageMetadata || {};
+
+    return {
+      content: response.text(),
+      inputTokens: usageMetadata.promptTokenCount || 0,
+      outputTokens: usageMetadata.candidatesTokenCount || 0,
+    };
+  }
+
+  async *streamWithGoogle(config, systemPrompt, userMessage, messages, maxTokens, temperature) {
+    const { chat, currentInput } = await this.startGeminiChat(config, systemPrompt, userMessage, messages, maxTokens, temperature);
+
+    const result = await chat.sendMessageStream(currentInput);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield { type: 'text', text };
+      }
+    }
+
+    // The aggregated response carries the final usage metadata
+    const usageMetadata = (await result.response).usageMetadata || {};
+    yield {
+      type: 'usage',
+      inputTokens: usageMetadata.promptTokenCount || 0,
+      outputTokens: usageMetadata.candidatesTokenCount || 0,
+    };
+  }
+
+  async startGeminiChat(config, systemPrompt, userMessage, messages, maxTokens, temperature) {
     // Dynamic import for Google Generative AI
     const { GoogleGenerativeAI } = await import('@google/generative-ai');
     const genAI = new GoogleGenerativeAI(this.googleApiKey);
@@ -312,7 +756,6 @@ class LLMRouter {
 
     // Get the last message as the current input
     const lastMessage = formattedMessages[formattedMessages.length - 1];
-    const currentInput = lastMessage.content;
 
     // Start chat with system instruction and history
     const chat = model.startChat({
@@ -324,17 +767,29 @@ class LLMRouter {
       systemInstruction: systemPrompt,
     });
 
-    // Send the current message
-    const result = await chat.sendMessage(currentInput);
-    const response = result.response;
+    return { chat, currentInput: lastMessage.content };
+  }
 
-    // Extract usage metadata if available
-    const usageMetadata = response.usageMetadata || {};
+  /**
+   * Ollama /api/generate request body. A conversation (messages) is written
+   * into the prompt as User:/Assistant: turns after the system prompt.
+   */
+  buildOllamaRequest(config, systemPrompt, userMessage, messages, maxTokens, temperature, stream) {
+    const turns = messages.length > 0 ? messages : [{ role: 'user', content: userMessage }];
+    const conversation = turns.map((msg) => {
+      const speaker = msg.role === 'assistant' ? 'Assistant' : 'User';
+      const content = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content);
+      return `${speaker}: ${content}`;
+    });
 
     return {
-      content: response.text(),
-      inputTokens: usageMetadata.promptTokenCount || 0,
-      outputTokens: usageMetadata.candidatesTokenCount || 0,
+      model: config.model,
+      prompt: [systemPrompt, ...conversation].join('\n\n'),
+      stream,
+      options: {
+        num_predict: maxTokens,
+        temperature,
+      },
     };
   }
 
@@ -342,15 +797,7 @@ class LLMRouter {
     const response = await fetch(`${this.ollamaEndpoint}/api/generate`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: config.model,
-        prompt: `${systemPrompt}\n\nUser: ${userMessage}`,
-        stream: false,
-        options: {
-          num_predict: maxTokens,
-          temperature,
-        },
-      }),
+      body: JSON.stringify(this.buildOllamaRequest(config, systemPrompt, userMessage, messages, maxTokens, temperature, false)),
     });
 
     if (!response.ok) {
@@ -365,6 +812,50 @@ class LLMRouter {
     };
   }
 
+  async *streamWithOllama(config, systemPrompt, userMessage, messages, maxTokens, temperature) {
+    const response = await fetch(`${this.ollamaEndpoint}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildOllamaRequest(config, systemPrompt, userMessage, messages, maxTokens, temperature, true)),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama error: ${response.statusText}`);
+    }
+
+    // Ollama streams newline-delimited JSON objects; the last has done: true
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    const parse = function* (lines) {
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.response) {
+          yield { type: 'text', text: data.response };
+        }
+        if (data.done) {
+          inputTokens = data.prompt_eval_count || 0;
+          outputTokens = data.eval_count || 0;
+        }
+      }
+    };
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      yield* parse(lines);
+    }
+
+    // The last object may end without a newline
+    yield* parse([buffer + decoder.decode()]);
+
+    yield { type: 'usage', inputTokens, outputTokens };
+  }
+
   trackUsage(modelId, inputTokens, outputTokens, config) {
     const cost =
       (inputTokens / 1000) * config.costPer1kInput +
@@ -382,6 +873,8 @@ class LLMRouter {
     this.usageStats.byModel[modelId].inputTokens += inputTokens;
     this.usageStats.byModel[modelId].outputTokens += outputTokens;
     this.usageStats.byModel[modelId].cost += cost;
+
+    return cost;
   }
 
   getUsageStats() {
@@ -400,4 +893,4 @@ class LLMRouter {
 }
 
 export default LLMRouter;
-export { LLM_CONFIGS, TASK_TYPE_ROUTING };
+export { LLM_CONFIGS, TASK_TYPE_ROUTING, TOOL_CALLING_PROVIDERS };
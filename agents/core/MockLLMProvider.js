@@ -0,0 +1,186 @@
+/**
+ * MONOLITH OS - Mock LLM Provider
+ * Deterministic, offline stand-in for hosted models.
+ *
+ * Enable for the whole agent stack with LLM_PROVIDER=mock. Responses are
+ * looked up by prompt hash (scripted or loaded from a fixture file), then by
+ * substring/RegExp rules, and otherwise generated deterministically in the
+ * ANALYSIS/ACTION/DECISION format RoleAgent parses.
+ *
+ * Environment:
+ *   LLM_PROVIDER=mock            - route every LLMRouter request here
+ *   MOCK_LLM_FIXTURES=<file>     - JSON fixture file: { "<promptHash>": response }
+ *   MOCK_LLM_LATENCY_MS=<ms>     - simulated latency per call
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Stable hash of everything that determines a completion
+ */
+export function hashPrompt({ systemPrompt = '', userMessage = '', messages = [] } = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ systemPrompt, userMessage, messages }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Rough token estimate so usage tracking and budgets see plausible numbers
+const estimateTokens = (text) => Math.max(1, Math.ceil((text || '').length / 4));
+
+class MockLLMProvider {
+  /**
+   * @param {Object} config
+   * @param {Object} config.responses - promptHash -> response (string or { content, toolCalls, inputTokens, outputTokens, latencyMs, error })
+   * @param {Array} config.rules - [{ match: string|RegExp|Function, response }] checked in order when no hash matches
+   * @param {string} config.fixturesPath - JSON fixture file merged into responses
+   * @param {number} config.latencyMs - Simulated latency per call
+   * @param {Object} config.tokens - Fixed { input, output } token counts (otherwise estimated from text)
+   * @param {Array} config.failures - Injected failures: [{ match, error, times }]
+   */
+  constructor(config = {}) {
+    this.responses = new Map(Object.entries(config.responses || {}));
+    this.rules = [...(config.rules || [])];
+    this.latencyMs = config.latencyMs ?? parseInt(process.env.MOCK_LLM_LATENCY_MS || '0', 10);
+    this.tokens = config.tokens || null;
+    this.failures = (config.failures || []).map((failure) => ({ times: Infinity, ...failure }));
+    this.calls = [];
+
+    const fixturesPath = config.fixturesPath || process.env.MOCK_LLM_FIXTURES;
+    if (fixturesPath) {
+      this.loadFixtures(fixturesPath);
+    }
+  }
+
+  /**
+   * Load a JSON fixture file of promptHash -> response
+   */
+  loadFixtures(filePath) {
+    const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [hash, response] of Object.entries(fixtures)) {
+      this.responses.set(hash, response);
+    }
+    console.log(`[MOCK-LLM] Loaded ${Object.keys(fixtures).length} fixtures from ${filePath}`);
+  }
+
+  /**
+   * Script a response for an exact prompt hash, or for prompts matching a rule
+   */
+  script(matchOrHash, response) {
+    if (typeof matchOrHash === 'string' && /^[0-9a-f]{16}$/.test(matchOrHash)) {
+      this.responses.set(matchOrHash, response);
+    } else {
+      this.rules.push({ match: matchOrHash, response });
+    }
+    return this;
+  }
+
+  /**
+   * Fail matching calls (all calls for match '*') with the given error, `times` times
+   */
+  injectFailure(match, error = 'Injected mock failure', times = Infinity) {
+    this.failures.push({ match, error, times });
+    return this;
+  }
+
+  reset() {
+    this.responses.clear();
+    this.rules = [];
+    this.failures = [];
+    this.calls = [];
+  }
+
+  matches(match, hash, text) {
+    if (match === '*' || match === hash) return true;
+    if (match instanceof RegExp) return match.test(text);
+    if (typeof match === 'function') return match(text, hash);
+    return typeof match === 'string' && text.includes(match);
+  }
+
+  promptText({ systemPrompt = '', userMessage = '', messages = [] }) {
+    const conversation = messages.map((m) => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content)));
+    return [systemPrompt, userMessage, ...conversation].join('\n');
+  }
+
+  /**
+   * Resolve the response for a request without side effects
+   */
+  resolve(request) {
+    const hash = hashPrompt(request);
+    const text = this.promptText(request);
+
+    if (this.responses.has(hash)) {
+      return { hash, response: this.responses.get(hash) };
+    }
+
+    const rule = this.rules.find((r) => this.matches(r.match, hash, text));
+    if (rule) {
+      const response = typeof rule.response === 'function' ? rule.response(request, hash) : rule.response;
+      return { hash, response };
+    }
+
+    return { hash, response: this.defaultResponse(request, hash) };
+  }
+
+  /**
+   * Deterministic fallback in the structured format RoleAgent.parseResponse expects
+   */
+  defaultResponse(request, hash) {
+    const lastUserTurn = [...(request.messages || [])].reverse().find((m) => m.role === 'user');
+    const prompt = (request.userMessage || lastUserTurn?.content || '').toString();
+    const subject = prompt.split('\n').find((line) => line.trim()) || 'the request';
+
+    return [
+      `ANALYSIS: Mock analysis of "${subject.trim().substring(0, 80)}" [${hash}]`,
+      'ACTION: Proceed with the standard process',
+      'DECISION: Approved (mock)',
+      'HANDOFF: None',
+      'ESCALATE: NO',
+    ].join('\n');
+  }
+
+  async complete(request) {
+    const { hash, response } = this.resolve(request);
+    const text = this.promptText(request);
+    this.calls.push({ hash, request });
+
+    const normalized = typeof response === 'string' ? { content: response } : { ...response };
+    const latency = normalized.latencyMs ?? this.latencyMs;
+    if (latency > 0) {
+      await new Promise((resolve) => setTimeout(resolve, latency));
+    }
+
+    const failure = this.failures.find((f) => f.times > 0 && this.matches(f.match, hash, text));
+    if (failure) {
+      failure.times--;
+      throw new Error(failure.error);
+    }
+    if (normalized.error) {
+      throw new Error(normalized.error);
+    }
+
+    const content = normalized.content || '';
+    return {
+      content,
+      toolCalls: request.tools?.length && request.toolChoice !== 'none' ? normalized.toolCalls || [] : [],
+      inputTokens: normalized.inputTokens ?? this.tokens?.input ?? estimateTokens(text),
+      outputTokens: normalized.outputTokens ?? this.tokens?.output ?? estimateTokens(content),
+    };
+  }
+
+  /**
+   * Stream the same response word by word, ending with usage
+   */
+  async *stream(request) {
+    const result = await this.complete(request);
+
+    for (const word of result.content.match(/\S+\s*/g) || []) {
+      yield { type: 'text', text: word };
+    }
+    yield { type: 'usage', inputTokens: result.inputTokens, outputTokens: result.outputTokens };
+  }
+}
+
+export default MockLLMProvider;
@@ -0,0 +1,57 @@
+/**
+ * MONOLITH OS - Model Pricing
+ * One price table for every LLM cost calculation
+ *
+ * Prices are USD per 1K tokens. Keys cover the LLMRouter model ids
+ * ('claude-sonnet-4', 'gemini-1.5-pro', ...) and the provider model names
+ * used directly by AgentExecutor, TokenTracker and MeteringService
+ * ('gpt-4o-mini', 'claude-3-5-sonnet', ...). LLMRouter, TokenTracker,
+ * MeteringService, CostOptimizer and BudgetEnforcer all price calls here.
+ */
+
+export const MODEL_PRICING = {
+  // Anthropic
+  'claude-opus-4': { input: 0.015, output: 0.075 },
+  'claude-sonnet-4': { input: 0.003, output: 0.015 },
+  'claude-haiku': { input: 0.0008, output: 0.004 },
+  'claude-3-opus': { input: 0.015, output: 0.075 },
+  'claude-3-sonnet': { input: 0.003, output: 0.015 },
+  'claude-3-5-sonnet': { input: 0.003, output: 0.015 },
+  'claude-3-haiku': { input: 0.00025, output: 0.00125 },
+
+  // OpenAI
+  'gpt-4o': { input: 0.005, output: 0.015 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+
+  // Google
+  'gemini-1.5-pro': { input: 0.00125, output: 0.005 },
+  'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
+  'gemini-pro': { input: 0.00025, output: 0.0005 },
+
+  // Local and offline
+  'ollama-llama3': { input: 0, output: 0 },
+  'mock': { input: 0, output: 0 },
+
+  // Unknown models
+  'default': { input: 0.001, output: 0.002 },
+};
+
+/**
+ * Pricing for a model, or the default pricing if it is not listed
+ */
+export function getModelPricing(model) {
+  return MODEL_PRICING[model] || MODEL_PRICING.default;
+}
+
+/**
+ * Cost in USD of a call
+ */
+export function calculateCallCost(model, inputTokens = 0, outputTokens = 0) {
+  const pricing = getModelPricing(model);
+  return (inputTokens / 1000) * pricing.input + (outputTokens / 1000) * pricing.output;
+}
+
+export default MODEL_PRICING;
@@ -0,0 +1,261 @@
+/**
+ * MONOLITH OS - Money Extractor
+ * Finds monetary amounts in free text and normalises them to total commitments
+ *
+ * Parses currencies ("CAD 30k", "€12,500", "US$1.2M", "40 GBP"), magnitudes
+ * (k, M, bn), recurring periods ("/month", "per year", "ARR") and contract
+ * terms ("for 3 years", "24-month contract"), then converts to the base
+ * currency through a local rate table:
+ *
+ *   "€12,500/month for 3 years"
+ *     -> { currency: 'EUR', value: 12500, period: 'month', termMonths: 36,
+ *          baseValue: 13500, annualValue: 162000, totalCommitment: 486000 }
+ *
+ * A recurring amount without a term is annualised. Escalation thresholds
+ * (EscalationEngine, EscalationClient) and CFOAgent compare totalCommitment;
+ * EscalationClient's thresholds are CAD, so it converts it with convert().
+ *
+ * Rates are units of the base currency per unit of each currency. Override the
+ * defaults with config.rates, or a JSON file ({ "base": "USD", "rates": {...} })
+ * named by config.ratesFile or MONEY_RATES_FILE.
+ */
+
+import fs from 'fs';
+
+// Approximate USD rates; deployments should keep their own table current
+export const DEFAULT_RATES = {
+  USD: 1,
+  CAD: 0.73,
+  EUR: 1.08,
+  GBP: 1.27,
+  AUD: 0.66,
+  CHF: 1.13,
+  JPY: 0.0067,
+  INR: 0.012,
+};
+
+const SYMBOLS = {
+  'US$': 'USD',
+  'C$': 'CAD',
+  'CA$': 'CAD',
+  'A$': 'AUD',
+  'AU$': 'AUD',
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+};
+
+const WORDS = {
+  dollar: 'USD',
+  dollars: 'USD',
+  euro: 'EUR',
+  euros: 'EUR',
+  pound: 'GBP',
+  pounds: 'GBP',
+};
+
+const CODES = ['USD', 'CAD', 'EUR', 'GBP', 'AUD', 'CHF', 'JPY', 'INR'];
+
+const MAGNITUDES = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  million: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  billion: 1e9,
+};
+
+const PERIOD_MONTHS = { day: 12 / 365, week: 12 / 52, month: 1, quarter: 3, year: 12 };
+
+const PERIOD_ALIASES = {
+  day: 'day', daily: 'day',
+  week: 'week', wk: 'week', weekly: 'week',
+  month: 'month', mo: 'month', monthly: 'month', mrr: 'month',
+  quarter: 'quarter', qtr: 'quarter', quarterly: 'quarter',
+  year: 'year', yr: 'year', annum: 'year', annually: 'year', yearly: 'year', arr: 'year', 'p.a.': 'year',
+};
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+
+const symbolPattern = Object.keys(SYMBOLS)
+  .sort((a, b) => b.length - a.length)
+  .map((symbol) => symbol.replace(/\$/g, '\\$'))
+  .join('|');
+
+const AMOUNT_PATTERN = new RegExp(
+  `(?:(${symbolPattern})\\s?|\\b(${CODES.join('|')})\\s?)?` + // currency before
+  '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)' + // number
+  '(?:\\s?(thousand|million|billion|bn|mm|k|m|b)\\b)?' + // magnitude
+  `(?:\\s?(${CODES.join('|')}|dollars?|euros?|pounds?)\\b)?`, // currency after
+  'gi'
+);
+
+const PERIOD_PATTERN = /^\s*(?:(?:\/|per|a|an|each)\s*(day|week|wk|month|mo|quarter|qtr|year|yr|annum)\b|(daily|weekly|monthly|quarterly|annually|yearly|p\.a\.|mrr|arr)(?=\W|$))/i;
+
+const TERM_COUNT = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten|twelve)';
+const TERM_PATTERN = new RegExp(
+  `\\b(?:for|over)\\s+${TERM_COUNT}[\\s-]*(years?|yrs?|months?|mos?)\\b|` + // "for 3 years"
+  `\\b${TERM_COUNT}[\\s-](year|month)\\s+(?:term|contract|commitment|agreement|deal|subscription)\\b`, // "24-month contract"
+  'i'
+);
+
+// Clause boundaries a term must not cross
+const CLAUSE_END = /[.;\n](?:\s|$)/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Format an amount for messages: "$12,500" for USD, "12,500 EUR" otherwise
+ */
+export function formatMoney(value, currency = 'USD') {
+  const formatted = Number(value).toLocaleString();
+  return currency === 'USD' ? `$${formatted}` : `${formatted} ${currency}`;
+}
+
+/**
+ * Contract term in months stated in the same clause as an amount, looking
+ * after the amount first ("$500/month for 2 years"), then before it
+ * ("a 24-month contract at $500/month")
+ */
+function parseTerm(before, after) {
+  const clauseAfter = after.split(CLAUSE_END)[0].slice(0, 80);
+  const clauseBefore = before.split(CLAUSE_END).pop().slice(-80);
+  const match = TERM_PATTERN.exec(clauseAfter) || TERM_PATTERN.exec(clauseBefore);
+  if (!match) return null;
+
+  const count = match[1] || match[3];
+  const unit = (match[2] || match[4]).toLowerCase();
+  const n = NUMBER_WORDS[count.toLowerCase()] ?? Number(count);
+  return unit.startsWith('y') ? n * 12 : n;
+}
+
+class MoneyExtractor {
+  constructor(config = {}) {
+    this.baseCurrency = config.baseCurrency || 'USD';
+    this.rates = { ...DEFAULT_RATES };
+
+    const ratesFile = config.ratesFile || process.env.MONEY_RATES_FILE;
+    if (ratesFile) {
+      this.loadRates(ratesFile);
+    }
+    if (config.rates) {
+      this.setRates(config.rates);
+    }
+  }
+
+  /**
+   * Load a local rate table file
+   */
+  loadRates(file) {
+    try {
+      const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (table.base) this.baseCurrency = table.base;
+      this.setRates(table.rates || {});
+      console.log(`[MONEY] Loaded ${Object.keys(table.rates || {}).length} exchange rates from ${file}`);
+    } catch (error) {
+      console.warn(`[MONEY] Could not load exchange rates from ${file}, using defaults:`, error.message);
+    }
+  }
+
+  /**
+   * Add or replace exchange rates (base currency units per unit)
+   */
+  setRates(rates) {
+    for (const [code, rate] of Object.entries(rates)) {
+      this.rates[code.toUpperCase()] = Number(rate);
+    }
+  }
+
+  /**
+   * Convert between currencies
+   * @returns {number|null} Converted value, or null if either rate is unknown
+   */
+  convert(value, from, to = this.baseCurrency) {
+    const fromRate = this.rates[from];
+    const toRate = this.rates[to];
+    if (!fromRate || !toRate) return null;
+    return round((value * fromRate) / toRate);
+  }
+
+  /**
+   * Find every monetary amount in a text
+   * Numbers need a currency symbol, code or word to count as money
+   * @returns {Array} [{ text, currency, value, period, termMonths, recurring,
+   *   baseCurrency, baseValue, annualValue, totalCommitment, index }]
+   */
+  extract(text) {
+    const source = String(text || '');
+    const amounts = [];
+
+    for (const match of source.matchAll(AMOUNT_PATTERN)) {
+      const [raw, symbol, codeBefore, number, magnitude, after] = match;
+      const afterCode = after?.toUpperCase();
+      const currency = (symbol && SYMBOLS[symbol.toUpperCase()]) || codeBefore?.toUpperCase() ||
+        (CODES.includes(afterCode) ? afterCode : WORDS[after?.toLowerCase()]);
+      if (!currency) continue;
+
+      const value = parseFloat(number.replace(/,/g, '')) * (magnitude ? MAGNITUDES[magnitude.toLowerCase()] : 1);
+      const rest = source.slice(match.index + raw.length);
+
+      const periodMatch = PERIOD_PATTERN.exec(rest);
+      const period = periodMatch ? PERIOD_ALIASES[(periodMatch[1] || periodMatch[2]).toLowerCase()] : null;
+      const termMonths = parseTerm(
+        source.slice(0, match.index),
+        periodMatch ? rest.slice(periodMatch[0].length) : rest
+      );
+
+      const baseValue = this.convert(value, currency);
+      let annualValue = null;
+      let totalCommitment = baseValue;
+      if (period && baseValue !== null) {
+        annualValue = round(baseValue * (12 / PERIOD_MONTHS[period]));
+        totalCommitment = round(baseValue * ((termMonths || 12) / PERIOD_MONTHS[period]));
+      }
+
+      amounts.push({
+        text: (raw + (periodMatch ? periodMatch[0] : '')).trim(),
+        currency,
+        value: round(value),
+        period,
+        termMonths,
+        recurring: Boolean(period),
+        baseCurrency: this.baseCurrency,
+        baseValue,
+        annualValue,
+        totalCommitment,
+        index: match.index,
+      });
+    }
+
+    return amounts;
+  }
+
+  /**
+   * The amount with the largest total commitment in a text
+   * @returns {Object|null}
+   */
+  largest(text) {
+    return this.extract(text)
+      .filter((amount) => amount.totalCommitment !== null)
+      .reduce((max, amount) => (!max || amount.totalCommitment > max.totalCommitment ? amount : max), null);
+  }
+
+  /**
+   * Describe an extracted amount: "$13,500 (€12,500/month)" when it was
+   * converted or recurring, otherwise "$13,500"
+   */
+  describe(amount) {
+    const total = formatMoney(amount.totalCommitment, amount.baseCurrency);
+    return amount.currency === amount.baseCurrency && !amount.recurring
+      ? total
+      : `${total} (${amount.text})`;
+  }
+}
+
+const moneyExtractor = new MoneyExtractor();
+
+export { MoneyExtractor };
+export default moneyExtractor;
@@ -6,6 +6,7 @@
 
 import LLMRouter from './LLMRouter.js';
 import DecisionLogger from './DecisionLogger.js';
+import ToolRegistry from './ToolRegistry.js';
 import { EventEmitter } from 'events';
 
 class RoleAgent extends EventEmitter {
@@ -24,18 +25,24 @@ class RoleAgent extends EventEmitter {
     this.reportsTo = config.reportsTo || 'ceo';
     this.directReports = config.directReports || [];
 
-    // System prompt for this role
-    this.systemPrompt = this.buildSystemPrompt(config);
+    // System prompt for this role (personas may supply their own)
+    this.systemPrompt = config.systemPrompt || this.buildSystemPrompt(config);
 
     // Dependencies
     this.llm = config.llmRouter || new LLMRouter();
     this.logger = config.decisionLogger || new DecisionLogger();
+    this.knowledgeComputer = config.knowledgeComputer || null;
+    this.intelligenceHub = config.intelligenceHub || null;
 
     // Optional service integrations
     this.gmailService = config.gmailService || null;
     this.browserService = config.browserService || null;
     this.mediaGenerationService = config.mediaGenerationService || null;
 
+    // Tool calling: every tool call is gated by the escalation client
+    this.escalationClient = config.escalationClient || null;
+    this.maxToolTurns = config.maxToolTurns || 5;
+
     // State
     this.isActive = false;
     this.currentTask = null;
@@ -123,20 +130,25 @@ Be concise, professional, and decisive.`;
       // Determine task type for LLM selection
       const taskType = this.classifyTask(task);
 
-      // Build task-specific prompt
-      const taskPrompt = this.buildTaskPrompt(task);
-
-      // Get LLM response
-      const response = await this.llm.complete({
-        modelId: this.selectModelForTask(taskType),
-        systemPrompt: this.systemPrompt,
-        userMessage: taskPrompt,
-        temperature: 0.7,
-      });
+      // Reuse the answer to a similar task from the semantic cache, else ask the model
+      const response = (await this.getCachedResponse(task)) || (await this.completeTask(task, taskType));
 
       // Parse the response
       const result = this.parseResponse(response.content, task);
 
+      if (response.toolCalls?.length) {
+        result.toolCalls = response.toolCalls;
+
+        // A blocked tool call needs a human decision even if the model did not ask for one
+        const blocked = response.toolCalls.filter(call => call.blocked);
+        if (blocked.length > 0 && !result.escalate) {
+          result.escalate = true;
+          result.escalateReason = `Tool call blocked pending approval: ${blocked
+            .map(call => `${call.name} (${call.escalation.tier})`)
+            .join(', ')}`;
+        }
+      }
+
       // Log the decision
       await this.logDecision(task, result, response);
 
@@ -185,6 +197,265 @@ Be concise, professional, and decisive.`;
     }
   }
 
+  /**
+   * Get the LLM response for a task, letting the model call tools when the
+   * agent has any, and cache it for similar tasks
+   */
+  async completeTask(task, taskType) {
+    // Build task-specific prompt with similar past decisions and their outcomes
+    const pastDecisions = await this.getPastDecisions(task);
+    const taskPrompt = this.buildTaskPrompt(task, pastDecisions);
+
+    // Apply any amendment guidance from the knowledge layer
+    const guidance = await this.getKnowledgeGuidance(task, taskType);
+
+    const request = {
+      modelId: this.selectModelForTask(taskType, task),
+      systemPrompt: this.buildGuidedSystemPrompt(guidance),
+      userMessage: taskPrompt,
+      temperature: 0.7,
+      context: {
+        taskId: task.id,
+        role: this.roleId,
+        taskType,
+        tenantId: task.tenant_id,
+        budgetExempt: task.budget_exempt,
+      },
+    };
+    const tools = new ToolRegistry(this, { escalationClient: this.escalationClient });
+    const response = tools.size > 0
+      ? await this.completeWithTools(request, tools)
+      : await this.llm.complete(request);
+
+    await this.cacheResponse(task, response);
+    return response;
+  }
+
+  /**
+   * Response cached for a similar task with this role's current knowledge
+   * version, shaped like a completion that cost nothing
+   * @returns {Object|null}
+   */
+  async getCachedResponse(task) {
+    if (!this.intelligenceHub?.checkCache) return null;
+
+    try {
+      const cached = await this.intelligenceHub.checkCache(task.content, this.roleId);
+      if (!cached.hit) return null;
+
+      console.log(`[${this.roleAbbr}] Cached response for task ${task.id} (similarity ${cached.similarity.toFixed(2)})`);
+      return {
+        ...cached.response,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        latencyMs: 0,
+        cached: true,
+        savedCost: cached.savedCost,
+      };
+    } catch (error) {
+      console.warn(`[${this.roleAbbr}] Response cache unavailable:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a completion for similar tasks. Responses that called tools are not
+   * cached, since replaying one would skip the tool calls.
+   */
+  async cacheResponse(task, response) {
+    if (!this.intelligenceHub?.cacheResponse || response.toolCalls?.length) return;
+
+    try {
+      await this.intelligenceHub.cacheResponse(task.content, {
+        content: response.content,
+        model: response.model,
+        provider: response.provider,
+      }, response.cost || 0, this.roleId);
+    } catch (error) {
+      console.warn(`[${this.roleAbbr}] Could not cache response:`, error.message);
+    }
+  }
+
+  /**
+   * Answer a free-form question from this role's perspective
+   * Shares model selection, knowledge guidance and decision logging with processTask,
+   * but returns the raw response instead of parsing the structured output format.
+   * Pass options.onDelta to receive the answer as it streams.
+   */
+  async consult(question, options = {}) {
+    const task = {
+      id: options.taskId || `consult-${this.roleId}-${Date.now()}`,
+      content: question,
+      category: options.category,
+      containsPII: options.containsPII,
+      confidential: options.confidential,
+    };
+
+    const taskType = this.classifyTask(task);
+    const guidance = await this.getKnowledgeGuidance(task, taskType);
+
+    const request = {
+      modelId: this.selectModelForTask(taskType, task),
+      systemPrompt: this.buildGuidedSystemPrompt(guidance),
+      userMessage: question,
+      maxTokens: options.maxTokens,
+      temperature: options.temperature ?? 0.7,
+      context: { taskId: task.id, role: this.roleId, taskType, tenantId: task.tenant_id },
+    };
+    const response = options.onDelta
+      ? await this.streamCompletion(request, options.onDelta)
+      : await this.llm.complete(request);
+
+    const decisionId = await this.logger.log({
+      taskId: task.id,
+      role: this.roleId,
+      roleName: this.roleName,
+      decision: response.content.substring(0, 500),
+      action: 'consultation',
+      escalated: false,
+      model: response.model,
+      tokens: response.inputTokens + response.outputTokens,
+      latencyMs: response.latencyMs,
+      cost: response.cost,
+      metadata: {
+        source: options.source || 'consult',
+        question,
+        taskType,
+        guidanceApplied: guidance.length,
+      },
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      content: response.content,
+      model: response.model,
+      provider: response.provider,
+      inputTokens: response.inputTokens,
+      outputTokens: response.outputTokens,
+      cost: response.cost,
+      latencyMs: response.latencyMs,
+      taskType,
+      guidance,
+      decisionId,
+    };
+  }
+
+  /**
+   * Run the model/tool loop: execute requested tool calls, feed results back,
+   * and repeat until the model answers without tools or maxToolTurns is reached.
+   * Returns the final completion with usage summed across turns and a record of tool calls.
+   */
+  async completeWithTools(request, tools) {
+    const messages = [{ role: 'user', content: request.userMessage }];
+    const toolCalls = [];
+    const totals = { inputTokens: 0, outputTokens: 0, cost: 0, latencyMs: 0 };
+
+    const call = async (extra) => {
+      const response = await this.llm.complete({ ...request, messages, tools: tools.getDefinitions(), ...extra });
+      totals.inputTokens += response.inputTokens || 0;
+      totals.outputTokens += response.outputTokens || 0;
+      totals.cost += response.cost || 0;
+      totals.latencyMs += response.latencyMs || 0;
+      return response;
+    };
+
+    for (let turn = 0; turn < this.maxToolTurns; turn++) {
+      const response = await call();
+      if (!response.toolCalls?.length) {
+        return { ...response, ...totals, toolCalls };
+      }
+
+      messages.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+
+      for (const toolCall of response.toolCalls) {
+        const outcome = await tools.execute(toolCall.name, toolCall.input);
+        toolCalls.push({ id: toolCall.id, name: toolCall.name, input: toolCall.input, ...outcome });
+
+        const content = outcome.blocked
+          ? { blocked: true, reason: `Requires ${outcome.escalation.tier} approval. Do not retry; recommend escalation instead.` }
+          : outcome.success ? outcome.result : { error: outcome.error || outcome.result?.error };
+        messages.push({ role: 'tool', toolCallId: toolCall.id, name: toolCall.name, content: JSON.stringify(content) });
+      }
+    }
+
+    // Out of turns: ask for the final answer with tools disabled
+    messages.push({ role: 'user', content: 'Tool call limit reached. Provide your final response now.' });
+    const response = await call({ toolChoice: 'none' });
+    return { ...response, ...totals, toolCalls };
+  }
+
+  /**
+   * Stream a completion, passing each text delta to onDelta
+   * Resolves to the final 'done' event, which has the same shape as complete()
+   */
+  async streamCompletion(request, onDelta) {
+    let final = null;
+
+    for await (const event of this.llm.complete({ ...request, stream: true })) {
+      if (event.type === 'delta') {
+        onDelta(event.text, event);
+      } else if (event.type === 'done') {
+        final = event;
+      }
+    }
+
+    if (!final) {
+      throw new Error('Stream ended without a completion');
+    }
+    return final;
+  }
+
+  /**
+   * Get amendment instructions from the knowledge layer that apply to a task
+   */
+  async getKnowledgeGuidance(task, taskType) {
+    if (!this.knowledgeComputer) return [];
+
+    try {
+      return await this.knowledgeComputer.getApplicableInstructions(this.roleId, {
+        category: task.category || taskType,
+        tools: this.capabilities,
+        phase: task.phase,
+        priority: task.priority,
+        content: task.content,
+        amount: task.amount,
+        tags: task.tags || [],
+        workflow: task.workflow,
+      });
+    } catch (error) {
+      console.warn(`[${this.roleAbbr}] Knowledge guidance unavailable:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get similar past decisions for a task from the intelligence hub
+   */
+  async getPastDecisions(task) {
+    if (!this.intelligenceHub) return [];
+
+    try {
+      const context = await this.intelligenceHub.getTaskContext(task, this.roleId);
+      return context.knowledge?.similarPastDecisions || [];
+    } catch (error) {
+      console.warn(`[${this.roleAbbr}] Past decisions unavailable:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Append knowledge guidance to the role's system prompt
+   */
+  buildGuidedSystemPrompt(guidance = []) {
+    if (guidance.length === 0) return this.systemPrompt;
+
+    return `${this.systemPrompt}
+
+## Applied Guidance
+${guidance.map(g => `- ${g}`).join('\n')}`;
+  }
+
   /**
    * Classify the task type for LLM routing
    */
@@ -213,7 +484,12 @@ Be concise, professional, and decisive.`;
   /**
    * Select appropriate model for task type
    */
-  selectModelForTask(taskType) {
+  selectModelForTask(taskType, task = {}) {
+    // Privacy-sensitive work is left to the router's PII-aware selection
+    if (task.containsPII || task.confidential) {
+      return this.llm.selectLLM({ ...task, type: taskType });
+    }
+
     // High-priority or strategic tasks use more capable models
     const modelPriority = {
       strategic_decision: 'claude-opus-4',
@@ -230,7 +506,7 @@ Be concise, professional, and decisive.`;
   /**
    * Build the task-specific prompt
    */
-  buildTaskPrompt(task) {
+  buildTaskPrompt(task, pastDecisions = []) {
     return `## Task Details
 - Task ID: ${task.id}
 - Priority: ${task.priority}
@@ -242,13 +518,34 @@ Be concise, professional, and decisive.`;
 ${task.content}
 
 ${task.notes ? `## Additional Notes\n${task.notes}` : ''}
-
+${this.buildPastDecisionsSection(pastDecisions)}
 ## Your Assignment
 Complete this task within your authority as ${this.roleName}.
 If you need input from another role, specify the handoff.
 If CEO decision is required, explain why and provide your recommendation.`;
   }
 
+  /**
+   * Summarize similar past decisions and how they turned out
+   */
+  buildPastDecisionsSection(pastDecisions = []) {
+    if (pastDecisions.length === 0) return '';
+
+    const outcomeText = (decision) => {
+      if (!decision.outcome) return 'outcome not yet known';
+      const notes = decision.outcome.notes ? ` (${decision.outcome.notes})` : '';
+      return `${decision.outcome.success ? 'succeeded' : 'failed'}${notes}`;
+    };
+
+    return `
+## Similar Past Decisions
+${pastDecisions.map(d => `- ${(d.role || 'unknown').toUpperCase()} on ${d.timestamp?.slice(0, 10) || 'unknown date'}: "${(d.task?.content || '').substring(0, 160)}"
+  Action: ${(d.action || 'none recorded').substring(0, 240)}
+  Outcome: ${outcomeText(d)}`).join('\n')}
+Weigh these precedents, especially their outcomes, but decide on the merits of this task.
+`;
+  }
+
   /**
    * Parse the LLM response into structured result
    */
@@ -317,6 +614,23 @@ If CEO decision is required, explain why and provide your recommendation.`;
       model: response.model,
       tokens: response.inputTokens + response.outputTokens,
       latencyMs: response.latencyMs,
+      cost: response.cost,
+      metadata: {
+        // What the decision was made on, so escalation policy dry runs can replay it
+        task: {
+          content: task.content,
+          notes: task.notes,
+          vendor: task.vendor,
+          priority: task.priority,
+        },
+        ...(result.toolCalls ? {
+          toolCalls: result.toolCalls.map(call => ({
+            name: call.name,
+            success: call.success,
+            blocked: call.blocked || false,
+          })),
+        } : {}),
+      },
       timestamp: result.timestamp,
     });
   }
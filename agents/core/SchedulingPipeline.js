@@ -0,0 +1,404 @@
+/**
+ * MONOLITH OS - Scheduling Pipeline
+ * The one path every task takes: intake -> routing -> dependency gate ->
+ * execution -> audit
+ *
+ * - Intake gives the task an ID.
+ * - Routing applies TaskRouter's rules first. When several rules match, or
+ *   none does, SmartRouter's ranking decides, and the outcome of every routed
+ *   task is recorded back to SmartRouter so its ranking learns.
+ * - The dependency gate holds a task until its blockedBy tasks are complete
+ *   and any blocker an agent reported (another agent's task, a decision, an
+ *   authorization or payment) is resolved.
+ * - Execution is TaskOrchestrator leasing work from the durable TaskQueue.
+ *   ExecutionEngine-style executors are registered as agents here.
+ * - Audit is the orchestrator's AuditAgent, when one is attached.
+ *
+ * getStatus() is the status model (see TaskStatus.js) the agent service
+ * serves to the dashboard. It is built from the jobs in the durable TaskQueue,
+ * not kept in this process, so it survives restarts and every process sharing
+ * the queue reports the same tasks. A pipeline that is never started (the
+ * dashboard's, while the agent service is down) still takes tasks in: they
+ * wait in the shared queue for an orchestrator to claim them.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import TaskOrchestrator from './TaskOrchestrator.js';
+import { JOB_STATUS } from './TaskQueue.js';
+import { TASK_STATUS, toUnifiedStatus, isBlockerResolved, fromQueueJob, summarizeTasks } from './TaskStatus.js';
+import { TaskRouter, TEAM_LEADS, AGENT_TO_TEAM } from '../orchestration/TaskRouter.js';
+import { BLOCKER_TYPES } from '../orchestration/ExecutionEngine.js';
+import SmartRouter from '../intelligence/SmartRouter.js';
+
+export const PIPELINE_STAGES = ['intake', 'routing', 'dependency_gate', 'execution', 'audit'];
+
+export const ROUTING_SOURCES = {
+  EXPLICIT: 'explicit', // Task arrived assigned to a registered agent
+  RULE: 'rule', // Exactly one TaskRouter rule target
+  TIE_BREAK: 'tie_break', // Several rule targets, ranked by SmartRouter
+  SMART: 'smart', // No rule matched, SmartRouter picked
+};
+
+// Queue job statuses behind each unified status
+const JOB_STATUSES = {
+  [TASK_STATUS.QUEUED]: [JOB_STATUS.READY],
+  [TASK_STATUS.BLOCKED]: [JOB_STATUS.READY],
+  [TASK_STATUS.ACTIVE]: [JOB_STATUS.LEASED],
+  [TASK_STATUS.COMPLETED]: [JOB_STATUS.COMPLETED],
+  [TASK_STATUS.ESCALATED]: [JOB_STATUS.COMPLETED],
+  [TASK_STATUS.FAILED]: [JOB_STATUS.DEAD],
+};
+
+/**
+ * Runs an ExecutionEngine-style executor, (task) => { outputs } or
+ * { blocked, blockerInfo }, as an orchestrator agent
+ */
+class ExecutorAgent extends EventEmitter {
+  constructor(roleId, executor) {
+    super();
+    this.roleId = roleId;
+    this.roleAbbr = roleId.toUpperCase();
+    this.executor = executor;
+    this.isActive = false;
+  }
+
+  async processTask(task) {
+    this.isActive = true;
+    try {
+      const result = await this.executor(task);
+      if (result?.blocked) {
+        return { blocked: true, blockerInfo: result.blockerInfo };
+      }
+      return {
+        taskId: task.id,
+        role: this.roleId,
+        outputs: result?.outputs || {},
+        timestamp: new Date().toISOString(),
+      };
+    } finally {
+      this.isActive = false;
+    }
+  }
+
+  getStatus() {
+    return { role: this.roleId, roleAbbr: this.roleAbbr, isActive: this.isActive, executor: true };
+  }
+}
+
+class SchedulingPipeline extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.orchestrator = config.orchestrator || new TaskOrchestrator(config);
+    this.taskRouter = config.taskRouter || new TaskRouter();
+    this.smartRouter = config.smartRouter || new SmartRouter({ dbService: this.orchestrator.dbService });
+    this.servedRoles = config.servedRoles || null; // Intake-only pipelines: roles another process runs
+    this.maxOpen = config.maxOpen || 1000; // Queued, blocked and active tasks in the status model
+    this.maxFinished = config.maxFinished || 500; // Most recently finished tasks in the status model
+
+    this.orchestrator.setDependencyGate((task) => this.checkBlocker(task));
+    this.attachOrchestratorEvents();
+
+    console.log('[PIPELINE] Scheduling pipeline initialized');
+  }
+
+  /**
+   * Register an ExecutionEngine-style executor for a role
+   * @param {string} role - Agent role
+   * @param {Function} executor - async (task) => { outputs } | { blocked: true, blockerInfo }
+   */
+  registerExecutor(role, executor) {
+    this.orchestrator.registerAgent(new ExecutorAgent(role, executor));
+  }
+
+  setAuditAgent(auditAgent) {
+    this.orchestrator.setAuditAgent(auditAgent);
+  }
+
+  async start() {
+    return this.orchestrator.start();
+  }
+
+  stop() {
+    this.orchestrator.stop();
+  }
+
+  // ============================================================================
+  // INTAKE AND ROUTING
+  // ============================================================================
+
+  /**
+   * Take a task in, route it and queue it
+   * @param {Object} task - Task; assigned_role is kept if it names a registered agent
+   * @returns {Object} The task's status record
+   */
+  async submit(task) {
+    if (!task.id) {
+      task.id = `task-${randomUUID()}`;
+    }
+    if (!task.content && task.title) {
+      task.content = task.title;
+    }
+
+    await this.route(task);
+    await this.orchestrator.queueTask(task);
+
+    // queueTask does not re-run a task that already finished, and logs rather
+    // than throws when the queue is unreachable
+    const record = await this.getTask(task.id);
+    if (!record) {
+      throw new Error(`Task ${task.id} could not be queued`);
+    }
+    return record;
+  }
+
+  /**
+   * Pick the agent for a task: TaskRouter rules first, SmartRouter ranking to
+   * break ties or when no rule matches. Sets task.assigned_role and task.routing.
+   * @returns {Object} Routing { source, role, candidates, confidence, reasoning }
+   */
+  async route(task) {
+    let source;
+    let candidates;
+
+    if (task.assigned_role && this.hasAgent(task.assigned_role)) {
+      source = ROUTING_SOURCES.EXPLICIT;
+      candidates = [task.assigned_role];
+    } else {
+      candidates = this.toRegisteredRoles(this.taskRouter.matchingRoles(task));
+      if (candidates.length === 1) {
+        source = ROUTING_SOURCES.RULE;
+      } else if (candidates.length > 1) {
+        source = ROUTING_SOURCES.TIE_BREAK;
+      } else {
+        source = ROUTING_SOURCES.SMART;
+        const analysis = this.smartRouter.analyzeTask(task);
+        candidates = this.toRegisteredRoles(this.smartRouter.findCandidates(analysis));
+        if (candidates.length === 0) {
+          candidates = this.toRegisteredRoles([this.taskRouter.getTeamLead(task.team)]);
+        }
+        if (candidates.length === 0) {
+          candidates = ['cos'];
+        }
+      }
+    }
+
+    // SmartRouter ranks even a single candidate so the outcome is recorded against it
+    const ranking = await this.smartRouter.route(task, { candidates });
+
+    const routing = {
+      source,
+      role: ranking.primaryAgent,
+      candidates,
+      confidence: ranking.confidence,
+      reasoning: ranking.reasoning,
+      routedAt: ranking.timestamp,
+    };
+
+    task.assigned_role = routing.role;
+    task.routing = routing;
+    this.smartRouter.updateLoad(routing.role, 1);
+
+    this.emit('taskRouted', { task, routing });
+    console.log(`[PIPELINE] Routed task ${task.id} to ${routing.role} (${source})`);
+    return routing;
+  }
+
+  /**
+   * Whether a role can run here; an intake-only pipeline has no agents and
+   * routes to the roles it was told another process serves (any, if none given)
+   */
+  hasAgent(role) {
+    if (this.orchestrator.agents.size > 0) {
+      return this.orchestrator.agents.has(role);
+    }
+    return !this.servedRoles || this.servedRoles.includes(role);
+  }
+
+  /**
+   * Roles with a registered agent; a role without one falls back to its team lead
+   */
+  toRegisteredRoles(roles) {
+    const registered = roles
+      .filter(Boolean)
+      .map((role) => {
+        if (this.hasAgent(role)) return role;
+        const lead = TEAM_LEADS[AGENT_TO_TEAM[role]];
+        return lead && this.hasAgent(lead) ? lead : null;
+      })
+      .filter(Boolean);
+    return [...new Set(registered)];
+  }
+
+  // ============================================================================
+  // DEPENDENCY GATE
+  // ============================================================================
+
+  /**
+   * Whether the blocker an agent reported for this task has been resolved
+   */
+  async checkBlocker(task) {
+    const blocker = task.blocker_info;
+    const completedIds = blocker?.type === BLOCKER_TYPES.AGENT && blocker.blocked_by_task_id
+      ? await this.orchestrator.queue.completedIds([blocker.blocked_by_task_id])
+      : undefined;
+    return isBlockerResolved(blocker, completedIds);
+  }
+
+  /**
+   * Mark a blocked task's decision, authorization or payment as resolved so
+   * it can be claimed again
+   * @param {string} taskId - Task ID
+   * @param {Object} resolution - { decision, resolvedBy }
+   * @returns {Object|null} The task's status record, or null if it is not waiting
+   */
+  async resolveBlocker(taskId, resolution = {}) {
+    const resolve = (task) => {
+      const blocker = { ...task.blocker_info };
+      if (blocker.type === BLOCKER_TYPES.DECISION) {
+        blocker.decision_needed = { ...blocker.decision_needed, resolved: true, decision: resolution.decision };
+      } else if (blocker.type === BLOCKER_TYPES.AUTH) {
+        blocker.auth_context = { ...blocker.auth_context, authorized: true };
+      } else if (blocker.type === BLOCKER_TYPES.PAYMENT) {
+        blocker.auth_context = { ...blocker.auth_context, authorized: true, payment_approved: true };
+      }
+      blocker.resolved_by = resolution.resolvedBy || null;
+      blocker.resolved_at = new Date().toISOString();
+      return { ...task, blocker_info: blocker };
+    };
+
+    const job = await this.orchestrator.queue.updateTask(taskId, resolve);
+    if (!job) {
+      return null;
+    }
+
+    const local = this.orchestrator.taskQueue.find((task) => task.id === job.id);
+    if (local) {
+      local.blocker_info = job.task.blocker_info;
+    }
+
+    this.emit('taskUnblocked', { task: job.task, resolution });
+    return this.getTask(job.id);
+  }
+
+  // ============================================================================
+  // EXECUTION AND AUDIT
+  // ============================================================================
+
+  attachOrchestratorEvents() {
+    const orchestrator = this.orchestrator;
+
+    orchestrator.on('taskCompleted', ({ task, result }) => {
+      this.recordOutcome(task, { success: result?.success !== false && !result?.error, escalated: Boolean(result?.escalate) });
+    });
+
+    orchestrator.on('taskFailed', ({ task, error }) => {
+      this.recordOutcome(task, { success: false, error: error?.message });
+    });
+  }
+
+  /**
+   * Feed a finished task's outcome back to SmartRouter
+   */
+  recordOutcome(task, outcome) {
+    const role = task.assigned_role;
+    this.smartRouter.recordOutcome(task.id, outcome).catch((error) => {
+      console.warn(`[PIPELINE] Failed to record routing outcome for ${task.id}:`, error.message);
+    });
+    if (role) {
+      this.smartRouter.updateLoad(role, -1);
+    }
+  }
+
+  // ============================================================================
+  // STATUS MODEL
+  // ============================================================================
+
+  /**
+   * Status records for queue jobs
+   */
+  async toRecords(jobs) {
+    const blockedOn = jobs
+      .map((job) => job.task?.blocker_info)
+      .filter((blocker) => blocker?.type === BLOCKER_TYPES.AGENT && blocker.blocked_by_task_id)
+      .map((blocker) => blocker.blocked_by_task_id);
+    const completedIds = await this.orchestrator.queue.completedIds([...new Set(blockedOn)]);
+    const audited = Boolean(this.orchestrator.auditAgent);
+
+    return jobs.map((job) => fromQueueJob(job, { completedIds, audited }));
+  }
+
+  /**
+   * Status record for one task
+   */
+  async getTask(taskId) {
+    const job = await this.orchestrator.getQueueJob(taskId);
+    if (!job) {
+      return null;
+    }
+    const [record] = await this.toRecords([job]);
+    return record;
+  }
+
+  /**
+   * Status records, most recently updated first
+   * @param {Object} filters - { status, role, limit }
+   */
+  async listTasks(filters = {}) {
+    const status = filters.status ? toUnifiedStatus(filters.status) : null;
+    const limit = filters.limit || 100;
+    const jobStatuses = status ? JOB_STATUSES[status] || [] : [undefined];
+    const roles = filters.role ? [filters.role] : undefined;
+
+    const jobs = [];
+    for (const jobStatus of jobStatuses) {
+      jobs.push(...(await this.orchestrator.queue.list({ status: jobStatus, roles, limit })));
+    }
+
+    return (await this.toRecords(jobs))
+      .filter((record) => !status || record.status === status)
+      .slice(0, limit);
+  }
+
+  /**
+   * Task counts, per-agent work status and queue state. Counts cover queued,
+   * blocked and active tasks and the most recently finished ones.
+   * @param {Object} options - { roles: agents to report besides the registered ones }
+   */
+  async getStatus(options = {}) {
+    const queue = this.orchestrator.queue;
+    const jobs = [
+      ...(await queue.list({ status: JOB_STATUS.READY, limit: this.maxOpen })),
+      ...(await queue.list({ status: JOB_STATUS.LEASED, limit: this.maxOpen })),
+      ...(await queue.list({ status: JOB_STATUS.COMPLETED, limit: this.maxFinished })),
+      ...(await queue.list({ status: JOB_STATUS.DEAD, limit: this.maxFinished })),
+    ];
+    const records = await this.toRecords(jobs);
+
+    const roles = [...new Set([...this.orchestrator.agents.keys(), ...(options.roles || [])])];
+    const { counts, agents, summary, throughput } = summarizeTasks(records, { roles });
+
+    const routing = Object.fromEntries(Object.values(ROUTING_SOURCES).map((source) => [source, 0]));
+    for (const record of records) {
+      if (record.routing?.source in routing) routing[record.routing.source]++;
+    }
+
+    return {
+      source: 'pipeline',
+      stages: PIPELINE_STAGES,
+      isRunning: this.orchestrator.isRunning,
+      counts,
+      agents,
+      summary,
+      throughput,
+      routing,
+      queue: await this.orchestrator.getQueueStats(),
+      pendingDecisions: this.orchestrator.ceoQueue.filter((e) => e.status === 'pending').length,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+export { SchedulingPipeline, ExecutorAgent };
+export default SchedulingPipeline;
@@ -2,6 +2,11 @@
  * MONOLITH OS - Task Orchestrator
  * Manages task queue, scheduling, and agent coordination
  * Persists task state to database with file fallback
+ *
+ * Work is claimed from a durable TaskQueue: each task is leased to one
+ * orchestrator process at a time, so several processes can share the load and
+ * a crash mid-task hands the task to the next claimant instead of losing it.
+ * `taskQueue` is this process's view of the tasks waiting to run.
  */
 
 import { EventEmitter } from 'events';
@@ -9,6 +14,7 @@ import { randomUUID } from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import databaseService from '../services/DatabaseService.js';
+import TaskQueue from './TaskQueue.js';
 
 // Priority weights for scoring
 const PRIORITY_WEIGHTS = {
@@ -38,9 +44,20 @@ class TaskOrchestrator extends EventEmitter {
     // Database service
     this.dbService = config.dbService || databaseService;
 
+    // Durable work queue (leases, heartbeats, dead-letter queue)
+    this.queue = config.queue || new TaskQueue({
+      dbService: this.dbService,
+      leaseMs: config.leaseMs,
+      maxAttempts: config.maxAttempts,
+    });
+    this.heartbeatInterval = config.heartbeatInterval || Math.floor(this.queue.leaseMs / 3);
+
     // Audit agent (Phase 11) - optional, set via setAuditAgent()
     this.auditAgent = config.auditAgent || null;
 
+    // Extra dependency check before a task is claimed - optional, set via setDependencyGate()
+    this.dependencyGate = config.dependencyGate || null;
+
     console.log('[ORCHESTRATOR] Task Orchestrator initialized');
   }
 
@@ -53,6 +70,14 @@ class TaskOrchestrator extends EventEmitter {
     console.log('[ORCHESTRATOR] Audit Agent attached');
   }
 
+  /**
+   * Set an extra dependency check, consulted before a task is claimed
+   * @param {Function} gate - async (task) => boolean, false keeps the task waiting
+   */
+  setDependencyGate(gate) {
+    this.dependencyGate = gate;
+  }
+
   /**
    * Log a state change to the database for event tracking (Phase 11)
    * @param {Object} params - State change parameters
@@ -257,11 +282,27 @@ class TaskOrchestrator extends EventEmitter {
     }
 
     // Add to queue
+    this.removeFromLocalQueue(task.id);
     this.taskQueue.push(task);
 
     // Sort by priority score (highest first)
     this.taskQueue.sort((a, b) => b.priorityScore - a.priorityScore);
 
+    // Add to the durable queue. A task that is already there (queued by another
+    // orchestrator, or before a restart) keeps its job and attempt count.
+    try {
+      const { job, created } = await this.queue.enqueue(task);
+      if (!created && job?.status === 'completed') {
+        this.removeFromLocalQueue(task.id);
+        console.log(`[ORCHESTRATOR] Task ${task.id} already completed, not queued again`);
+        return;
+      }
+    } catch (error) {
+      this.removeFromLocalQueue(task.id);
+      console.error(`[ORCHESTRATOR] Task ${task.id} not queued:`, error.message);
+      return;
+    }
+
     // Log state change (Phase 11)
     await this.logStateChange({
       taskId: task.dbId || task.id,
@@ -351,36 +392,56 @@ class TaskOrchestrator extends EventEmitter {
    * Process one tick - assign tasks to available agents
    */
   async processTick() {
-    // Check for available agents
-    const availableAgents = [];
-    for (const [roleId, agent] of this.agents) {
-      if (!agent.isActive) {
-        availableAgents.push(agent);
+    try {
+      // Return tasks whose worker crashed or hung to the queue
+      const reclaimed = await this.queue.reclaimExpired();
+      for (const entry of reclaimed) {
+        await this.handleReclaimed(entry);
       }
-    }
 
-    if (availableAgents.length === 0 || this.taskQueue.length === 0) {
-      return;
-    }
+      // Check for available agents
+      const availableAgents = [];
+      for (const [roleId, agent] of this.agents) {
+        if (!agent.isActive) {
+          availableAgents.push(agent);
+        }
+      }
 
-    // Limit concurrent tasks
-    if (this.inProgress.size >= this.maxConcurrent) {
-      return;
-    }
+      if (availableAgents.length === 0) {
+        return;
+      }
 
-    // Find tasks that match available agents
-    for (const agent of availableAgents) {
-      if (this.inProgress.size >= this.maxConcurrent) break;
+      // Limit concurrent tasks
+      if (this.inProgress.size >= this.maxConcurrent) {
+        return;
+      }
 
-      // Find a task for this agent
-      const taskIndex = this.taskQueue.findIndex(
-        (task) => task.assigned_role === agent.roleId && this.canProcess(task)
-      );
+      // Lease a task for each available agent
+      for (const agent of availableAgents) {
+        if (this.inProgress.size >= this.maxConcurrent) break;
+
+        const lease = await this.queue.claim({
+          roles: [agent.roleId],
+          accept: (task) => this.isUnblocked(task),
+        });
 
-      if (taskIndex >= 0) {
-        const task = this.taskQueue.splice(taskIndex, 1)[0];
-        await this.assignTask(agent, task);
+        if (lease) {
+          this.removeFromLocalQueue(lease.task.id);
+          await this.assignTask(agent, lease.task, lease);
+        }
       }
+    } catch (error) {
+      console.error('[ORCHESTRATOR] Task queue error:', error.message);
+    }
+  }
+
+  /**
+   * Drop a task from this process's view of the queue
+   */
+  removeFromLocalQueue(taskId) {
+    const index = this.taskQueue.findIndex((task) => task.id === taskId);
+    if (index >= 0) {
+      this.taskQueue.splice(index, 1);
     }
   }
 
@@ -401,15 +462,58 @@ class TaskOrchestrator extends EventEmitter {
     return true;
   }
 
+  /**
+   * Dependencies resolved here or, for blockers another orchestrator
+   * completed, in the shared queue
+   */
+  async isUnblocked(task) {
+    const resolved = this.canProcess(task) || (await this.queue.allCompleted(task.blockedBy));
+    if (!resolved || !this.dependencyGate) {
+      return resolved;
+    }
+    return this.dependencyGate(task);
+  }
+
+  /**
+   * Keep a lease alive while the agent works on its task
+   * @returns {Function} Stops the heartbeat
+   */
+  startHeartbeat(lease) {
+    const timer = setInterval(async () => {
+      try {
+        if (!(await this.queue.heartbeat(lease))) {
+          console.warn(`[ORCHESTRATOR] Lease on task ${lease.id} lost, its result will be discarded`);
+          clearInterval(timer);
+        }
+      } catch (error) {
+        console.warn(`[ORCHESTRATOR] Heartbeat for task ${lease.id} failed:`, error.message);
+      }
+    }, this.heartbeatInterval);
+    timer.unref?.();
+
+    return () => clearInterval(timer);
+  }
+
   /**
    * Assign a task to an agent
+   * @param {Object} lease - Lease from queue.claim(); claimed here when omitted
    */
-  async assignTask(agent, task) {
+  async assignTask(agent, task, lease = null) {
+    if (!lease) {
+      await this.queue.enqueue(task);
+      lease = await this.queue.claim({ id: task.id });
+      if (!lease) {
+        console.warn(`[ORCHESTRATOR] Task ${task.id} is leased elsewhere or finished, not assigning`);
+        return;
+      }
+    }
+
     console.log(`[ORCHESTRATOR] Assigning task ${task.id} to ${agent.roleAbbr}`);
 
     this.inProgress.set(task.id, {
       agent: agent.roleId,
       startTime: Date.now(),
+      leaseExpiresAt: lease.expiresAt,
     });
 
     // Update task status in database
@@ -430,14 +534,32 @@ class TaskOrchestrator extends EventEmitter {
       metadata: { startTime: Date.now() },
     });
 
+    this.emit('taskStarted', { task, role: agent.roleId });
+    const stopHeartbeat = this.startHeartbeat(lease);
+
     try {
       const result = await agent.processTask(task);
+      stopHeartbeat();
+
+      // Agent is waiting on something outside the task (another agent, a
+      // decision, an authorization): park it without using up an attempt
+      if (result?.blocked) {
+        await this.blockTask(agent, task, lease, result.blockerInfo);
+        return;
+      }
 
       // Capture start time before removing from inProgress (for audit)
       const taskStartTime = this.inProgress.get(task.id)?.startTime;
+      this.inProgress.delete(task.id);
+
+      // Exactly-once completion: only the current lease holder records a result
+      const { completed, reason } = await this.queue.complete(lease, result);
+      if (!completed) {
+        console.warn(`[ORCHESTRATOR] Result for task ${task.id} discarded (${reason})`);
+        return;
+      }
 
       // Move to completed
-      this.inProgress.delete(task.id);
       this.completed.push(result);
 
       // Determine final status
@@ -483,24 +605,33 @@ class TaskOrchestrator extends EventEmitter {
             completed_at: new Date().toISOString(),
           };
           // Fire and forget - don't block task completion
-          this.auditAgent.auditCompletedTask(auditTask, result).catch(err => {
-            console.warn(`[ORCHESTRATOR] Audit failed for task ${task.id}:`, err.message);
-          });
+          this.auditAgent.auditCompletedTask(auditTask, result)
+            .then((audit) => this.emit('taskAudited', { task, audit }))
+            .catch(err => {
+              console.warn(`[ORCHESTRATOR] Audit failed for task ${task.id}:`, err.message);
+            });
         } catch (auditErr) {
           console.warn(`[ORCHESTRATOR] Audit setup error:`, auditErr.message);
         }
       }
 
     } catch (error) {
+      stopHeartbeat();
       this.inProgress.delete(task.id);
       console.error(`[ORCHESTRATOR] Task ${task.id} failed:`, error.message);
 
-      // Requeue with lower priority
-      task.priorityScore = Math.max(0, task.priorityScore - 20);
-      task.retryCount = (task.retryCount || 0) + 1;
+      // Requeue with lower priority, or dead-letter once out of attempts
+      task.priorityScore = Math.max(0, (task.priorityScore || 0) - 20);
+      const outcome = await this.queue.fail(lease, error, { task, priorityScore: task.priorityScore });
+      if (outcome.status === 'lost') {
+        console.warn(`[ORCHESTRATOR] Failure of task ${task.id} not recorded (${outcome.reason})`);
+        return;
+      }
+      task.retryCount = outcome.attempts;
 
       // Determine status based on retry count
-      const failedStatus = task.retryCount >= 3 ? 'failed' : 'pending';
+      const willRetry = outcome.status === 'ready';
+      const failedStatus = willRetry ? 'pending' : 'failed';
 
       // Update task in database
       if (this.dbService.isAvailable()) {
@@ -527,18 +658,164 @@ class TaskOrchestrator extends EventEmitter {
         metadata: {
           error: error.message,
           retryCount: task.retryCount,
-          willRetry: task.retryCount < 3,
+          willRetry,
+          deadLettered: !willRetry,
         },
       });
 
-      if (task.retryCount < 3) {
+      if (willRetry) {
         this.taskQueue.push(task);
+        this.emit('taskRetry', { task, error });
       } else {
         this.emit('taskFailed', { task, error });
       }
     }
   }
 
+  /**
+   * Return a task whose agent reported a blocker to the queue, carrying the
+   * blocker so the dependency gate holds it until the blocker is resolved
+   */
+  async blockTask(agent, task, lease, blockerInfo = {}) {
+    this.inProgress.delete(task.id);
+
+    const blockedTask = { ...task, blocker_info: blockerInfo };
+    if (!(await this.queue.release(lease, { task: blockedTask }))) {
+      console.warn(`[ORCHESTRATOR] Lease on task ${task.id} lost, blocker not recorded`);
+      return;
+    }
+    task.blocker_info = blockerInfo;
+
+    if (this.dbService.isAvailable()) {
+      await this.updateTaskInDb(task.dbId || task.id, {
+        status: 'blocked',
+        metadata: { ...task.metadata, blockerInfo },
+      });
+    }
+
+    await this.logStateChange({
+      taskId: task.dbId || task.id,
+      changeType: 'status_change',
+      oldValue: 'active',
+      newValue: 'blocked',
+      changedBy: agent.roleId,
+      changedByType: 'agent',
+      metadata: { blockerInfo },
+    });
+
+    this.taskQueue.push(task);
+    this.emit('taskBlocked', { task, blockerInfo });
+    console.log(`[ORCHESTRATOR] Task ${task.id} blocked: ${blockerInfo.type || 'unknown'}`);
+  }
+
+  /**
+   * A task whose lease expired was returned to the queue or, out of attempts,
+   * dead-lettered
+   */
+  async handleReclaimed({ status, attempts, job }) {
+    const task = { ...job.task, retryCount: attempts };
+    const deadLettered = status === 'dead';
+
+    if (this.dbService.isAvailable()) {
+      await this.updateTaskInDb(task.dbId || task.id, {
+        status: deadLettered ? 'failed' : 'pending',
+        retryCount: attempts,
+        metadata: {
+          ...task.metadata,
+          lastError: job.last_error,
+          lastAttempt: new Date().toISOString(),
+        },
+      });
+    }
+
+    await this.logStateChange({
+      taskId: task.dbId || task.id,
+      changeType: 'status_change',
+      oldValue: 'active',
+      newValue: deadLettered ? 'failed' : 'pending',
+      changedBy: 'orchestrator',
+      changedByType: 'system',
+      metadata: {
+        error: job.last_error,
+        retryCount: attempts,
+        willRetry: !deadLettered,
+        deadLettered,
+      },
+    });
+
+    if (deadLettered) {
+      this.emit('taskFailed', { task, error: new Error(job.last_error) });
+      return;
+    }
+
+    if (!this.taskQueue.some((queued) => queued.id === task.id)) {
+      this.taskQueue.push(task);
+    }
+    this.emit('taskRetry', { task, error: new Error(job.last_error) });
+  }
+
+  // ============================================================================
+  // DEAD-LETTER QUEUE
+  // ============================================================================
+
+  /**
+   * Tasks that ran out of attempts
+   */
+  async getDeadLetters(limit = 100) {
+    return this.queue.listDeadLetters(limit);
+  }
+
+  /**
+   * Queue job for a task (any status), for inspection
+   */
+  async getQueueJob(taskId) {
+    return this.queue.get(taskId);
+  }
+
+  /**
+   * Put a dead-lettered task back on the queue with fresh attempts
+   * @param {string} taskId - Task ID
+   * @param {Object} options - { resetAttempts, requeuedBy }
+   * @returns {Object|null} The requeued task, or null if it is not dead-lettered
+   */
+  async requeueDeadLetter(taskId, options = {}) {
+    const job = await this.queue.requeue(taskId, options);
+    if (!job) {
+      return null;
+    }
+
+    const task = job.task;
+    if (this.dbService.isAvailable()) {
+      await this.updateTaskInDb(task.dbId || task.id, {
+        status: 'pending',
+        retryCount: job.attempts,
+      });
+    }
+
+    await this.logStateChange({
+      taskId: task.dbId || task.id,
+      changeType: 'status_change',
+      oldValue: 'failed',
+      newValue: 'queued',
+      changedBy: options.requeuedBy || 'operator',
+      changedByType: 'human',
+      metadata: { requeuedFromDeadLetter: true, retryCount: job.attempts },
+    });
+
+    this.removeFromLocalQueue(task.id);
+    this.taskQueue.push(task);
+    this.emit('taskQueued', task);
+    console.log(`[ORCHESTRATOR] Requeued dead-lettered task ${task.id}`);
+    return task;
+  }
+
+  /**
+   * Job counts by status across every orchestrator sharing the queue
+   */
+  async getQueueStats() {
+    return this.queue.getStats();
+  }
+
   /**
    * Handle handoff from one agent to another
    */
@@ -698,6 +975,7 @@ class TaskOrchestrator extends EventEmitter {
       queuedTasks: this.taskQueue.length,
       inProgress: this.inProgress.size,
       completed: this.completed.length,
+      queueBackend: this.queue.backend,
       ceoQueue: this.ceoQueue.filter((e) => e.status === 'pending').length,
       agents: Array.from(this.agents.values()).map((a) => a.getStatus()),
       databaseConnected: this.dbService.isAvailable(),
@@ -0,0 +1,453 @@
+/**
+ * MONOLITH OS - Task Queue
+ * Durable, lease-based work queue behind TaskOrchestrator
+ *
+ * A claimed job is leased to one worker until `lease_expires_at`; the worker
+ * extends the lease with heartbeats while its agent runs. If the worker dies,
+ * the lease expires and the job returns to the queue (counting as an attempt),
+ * so another orchestrator process picks it up. Completion is a compare-and-set
+ * on the lease token, which makes it exactly-once even when a slow worker and
+ * its replacement both finish. Jobs that use up `max_attempts` are moved to the
+ * dead-letter queue, where they wait for inspection and requeue.
+ *
+ * Jobs live in the task_queue_jobs table (database/migrations/011) when the
+ * database is available, so every orchestrator sharing it shares the queue.
+ * Without a database they are kept in memory, which is neither crash-safe nor
+ * shared.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import os from 'os';
+import databaseService from '../services/DatabaseService.js';
+
+export const JOB_STATUS = {
+  READY: 'ready',
+  LEASED: 'leased',
+  COMPLETED: 'completed',
+  DEAD: 'dead',
+};
+
+const CLAIM_BATCH = 20;
+
+const timestamp = (ms = Date.now()) => new Date(ms).toISOString();
+const toMs = (value) => (value ? new Date(value).getTime() : 0);
+
+/**
+ * In-process job store (offline mode and tests)
+ */
+export class MemoryQueueStore {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+  }
+
+  async insert(row) {
+    if (this.jobs.has(row.id)) return null;
+    const now = timestamp();
+    const job = { created_at: now, updated_at: now, ...structuredClone(row) };
+    this.jobs.set(row.id, job);
+    return structuredClone(job);
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? structuredClone(job) : null;
+  }
+
+  async list(filters = {}) {
+    return [...this.jobs.values()]
+      .filter((job) => !filters.status || job.status === filters.status)
+      .filter((job) => !filters.roles || filters.roles.includes(job.role_id))
+      .filter((job) => !filters.ids || filters.ids.includes(job.id))
+      .filter((job) => !filters.availableBefore || toMs(job.available_at) <= toMs(filters.availableBefore))
+      .filter((job) => !filters.leaseExpiredBefore || (job.lease_expires_at && toMs(job.lease_expires_at) < toMs(filters.leaseExpiredBefore)))
+      .sort(filters.recent
+        ? (a, b) => toMs(b.updated_at) - toMs(a.updated_at)
+        : (a, b) => b.priority_score - a.priority_score || toMs(a.created_at) - toMs(b.created_at))
+      .slice(0, filters.limit || 100)
+      .map((job) => structuredClone(job));
+  }
+
+  async count(status) {
+    return [...this.jobs.values()].filter((job) => job.status === status).length;
+  }
+
+  async updateIf(id, expected, updates) {
+    const job = this.jobs.get(id);
+    if (!job || !Object.entries(expected).every(([column, value]) => (job[column] ?? null) === value)) {
+      return null;
+    }
+    Object.assign(job, structuredClone(updates), { updated_at: timestamp() });
+    return structuredClone(job);
+  }
+}
+
+/**
+ * Job store on the task_queue_jobs table via DatabaseService
+ */
+export class DatabaseQueueStore {
+  constructor(dbService) {
+    this.name = 'database';
+    this.dbService = dbService;
+  }
+
+  async insert(row) {
+    return this.unwrap(await this.dbService.insertQueueJob(row));
+  }
+
+  async get(id) {
+    return this.unwrap(await this.dbService.getQueueJob(id));
+  }
+
+  async list(filters = {}) {
+    return this.unwrap(await this.dbService.listQueueJobs(filters));
+  }
+
+  async count(status) {
+    return this.unwrap(await this.dbService.countQueueJobs(status));
+  }
+
+  async updateIf(id, expected, updates) {
+    return this.unwrap(await this.dbService.updateQueueJobIf(id, expected, updates));
+  }
+
+  unwrap({ data, error }) {
+    if (error) {
+      throw new Error(`Task queue storage error: ${error.message}`);
+    }
+    return data;
+  }
+}
+
+class TaskQueue extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Object} config.store - Job store ({ insert, get, list, count, updateIf }); default database, else memory
+   * @param {string} config.workerId - Lease owner name for this process
+   * @param {number} config.leaseMs - Lease length (default 60s)
+   * @param {number} config.maxAttempts - Attempts before dead-lettering (default 3)
+   * @param {number} config.retryDelayMs - Delay before a failed job is claimable again
+   */
+  constructor(config = {}) {
+    super();
+
+    this.dbService = config.dbService || databaseService;
+    this.store = config.store || (this.dbService.isAvailable() ? new DatabaseQueueStore(this.dbService) : new MemoryQueueStore());
+    this.workerId = config.workerId || `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.leaseMs = config.leaseMs || 60000;
+    this.maxAttempts = config.maxAttempts || 3;
+    this.retryDelayMs = config.retryDelayMs || 0;
+
+    if (this.store.name === 'memory') {
+      console.warn('[TASK-QUEUE] Database unavailable, queue is in-memory (not crash-safe)');
+    }
+  }
+
+  get backend() {
+    return this.store.name;
+  }
+
+  /**
+   * Add a task to the queue. Idempotent by task ID: a task that is already
+   * queued, leased or dead-lettered is left as it is.
+   * @returns {Object} { job, created }
+   */
+  async enqueue(task, options = {}) {
+    const inserted = await this.store.insert({
+      id: String(task.id),
+      role_id: options.role || task.assigned_role,
+      task,
+      priority_score: Math.round(options.priorityScore ?? task.priorityScore ?? 50),
+      status: JOB_STATUS.READY,
+      attempts: task.retryCount || 0,
+      max_attempts: options.maxAttempts || this.maxAttempts,
+      available_at: timestamp(),
+      lease_owner: null,
+      lease_token: null,
+      lease_expires_at: null,
+    });
+
+    if (inserted) {
+      return { job: inserted, created: true };
+    }
+    return { job: await this.store.get(String(task.id)), created: false };
+  }
+
+  /**
+   * Lease the highest-priority ready job
+   * @param {Object} options
+   * @param {Array} options.roles - Only jobs for these agent roles
+   * @param {string} options.id - Only this job
+   * @param {Function} options.accept - async (task, job) => boolean, e.g. dependency checks
+   * @returns {Object|null} Lease { id, token, task, attempts, expiresAt }
+   */
+  async claim(options = {}) {
+    const candidates = await this.store.list({
+      status: JOB_STATUS.READY,
+      roles: options.roles,
+      ids: options.id ? [String(options.id)] : undefined,
+      availableBefore: timestamp(),
+      limit: CLAIM_BATCH,
+    });
+
+    for (const job of candidates) {
+      if (options.accept && !(await options.accept(job.task, job))) continue;
+
+      const token = randomUUID();
+      const leased = await this.store.updateIf(job.id, { status: JOB_STATUS.READY, lease_token: job.lease_token }, {
+        status: JOB_STATUS.LEASED,
+        lease_owner: this.workerId,
+        lease_token: token,
+        lease_expires_at: timestamp(Date.now() + (options.leaseMs || this.leaseMs)),
+        started_at: timestamp(),
+      });
+
+      // null when another worker leased it first; try the next candidate
+      if (leased) {
+        return this.toLease(leased);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extend a lease while the agent is still working
+   * @returns {boolean} False if the lease was lost (expired and reclaimed)
+   */
+  async heartbeat(lease, extendMs = this.leaseMs) {
+    const expiresAt = timestamp(Date.now() + extendMs);
+    const job = await this.store.updateIf(lease.id, { status: JOB_STATUS.LEASED, lease_token: lease.token }, {
+      lease_expires_at: expiresAt,
+    });
+    if (job) {
+      lease.expiresAt = expiresAt;
+    }
+    return Boolean(job);
+  }
+
+  /**
+   * Complete a leased job. Only the current lease holder can complete it, and
+   * only once.
+   * @returns {Object} { completed, reason? }
+   */
+  async complete(lease, result = null) {
+    const job = await this.store.updateIf(lease.id, { status: JOB_STATUS.LEASED, lease_token: lease.token }, {
+      status: JOB_STATUS.COMPLETED,
+      result,
+      completed_at: timestamp(),
+      lease_expires_at: null,
+    });
+    if (job) {
+      return { completed: true, job };
+    }
+    return { completed: false, reason: await this.lostReason(lease.id) };
+  }
+
+  /**
+   * Record a failed attempt: back to the queue, or to the dead-letter queue
+   * once max_attempts is reached
+   * @param {Object} options - { task: updated task snapshot, priorityScore, retryDelayMs }
+   * @returns {Object} { status: 'ready'|'dead'|'lost', attempts }
+   */
+  async fail(lease, error, options = {}) {
+    const current = await this.store.get(lease.id);
+    if (!current || current.status !== JOB_STATUS.LEASED || current.lease_token !== lease.token) {
+      return { status: 'lost', reason: await this.lostReason(lease.id) };
+    }
+
+    const attempts = current.attempts + 1;
+    const dead = attempts >= current.max_attempts;
+    const updates = {
+      status: dead ? JOB_STATUS.DEAD : JOB_STATUS.READY,
+      attempts,
+      last_error: error?.message || String(error),
+      lease_expires_at: null,
+      available_at: timestamp(Date.now() + (options.retryDelayMs ?? this.retryDelayMs)),
+      dead_lettered_at: dead ? timestamp() : null,
+    };
+    if (options.task) updates.task = { ...options.task, retryCount: attempts };
+    if (options.priorityScore !== undefined) updates.priority_score = Math.round(options.priorityScore);
+
+    const job = await this.store.updateIf(lease.id, { status: JOB_STATUS.LEASED, lease_token: lease.token }, updates);
+    if (!job) {
+      return { status: 'lost', reason: await this.lostReason(lease.id) };
+    }
+
+    if (dead) {
+      this.emit('deadLettered', { job, reason: updates.last_error });
+    }
+    return { status: job.status, attempts, job };
+  }
+
+  /**
+   * Return a leased job to the queue without counting an attempt
+   * @param {Object} options - { task: updated task snapshot, e.g. with blocker info }
+   */
+  async release(lease, options = {}) {
+    const updates = {
+      status: JOB_STATUS.READY,
+      lease_expires_at: null,
+    };
+    if (options.task) updates.task = options.task;
+
+    const job = await this.store.updateIf(lease.id, { status: JOB_STATUS.LEASED, lease_token: lease.token }, updates);
+    return Boolean(job);
+  }
+
+  /**
+   * Update the task snapshot of a job waiting in the queue (not leased), e.g.
+   * to mark its blocker resolved
+   * @param {string} id - Job (task) ID
+   * @param {Function} update - (task) => updated task
+   * @returns {Object|null} The updated job, or null if it is not waiting
+   */
+  async updateTask(id, update) {
+    const current = await this.store.get(String(id));
+    if (!current || current.status !== JOB_STATUS.READY) {
+      return null;
+    }
+
+    return this.store.updateIf(current.id, { status: JOB_STATUS.READY, lease_token: current.lease_token }, {
+      task: update(current.task),
+    });
+  }
+
+  /**
+   * Return jobs whose lease expired (their worker crashed or hung) to the
+   * queue, counting the lost run as an attempt
+   * @returns {Array} [{ id, status, attempts, job }]
+   */
+  async reclaimExpired() {
+    const expired = await this.store.list({
+      status: JOB_STATUS.LEASED,
+      leaseExpiredBefore: timestamp(),
+      limit: CLAIM_BATCH,
+    });
+    const reclaimed = [];
+
+    for (const current of expired) {
+      const attempts = current.attempts + 1;
+      const dead = attempts >= current.max_attempts;
+      const reason = `Lease expired (held by ${current.lease_owner})`;
+
+      const job = await this.store.updateIf(current.id, { status: JOB_STATUS.LEASED, lease_token: current.lease_token }, {
+        status: dead ? JOB_STATUS.DEAD : JOB_STATUS.READY,
+        task: { ...current.task, retryCount: attempts },
+        attempts,
+        last_error: reason,
+        lease_expires_at: null,
+        available_at: timestamp(),
+        dead_lettered_at: dead ? timestamp() : null,
+      });
+      if (!job) continue;
+
+      console.warn(`[TASK-QUEUE] ${reason}: job ${job.id} ${dead ? 'dead-lettered' : 'returned to queue'}`);
+      reclaimed.push({ id: job.id, status: job.status, attempts, job });
+      this.emit(dead ? 'deadLettered' : 'reclaimed', { job, reason });
+    }
+
+    return reclaimed;
+  }
+
+  // ============================================================================
+  // DEAD-LETTER QUEUE
+  // ============================================================================
+
+  /**
+   * Jobs that ran out of attempts
+   */
+  async listDeadLetters(limit = 100) {
+    return this.store.list({ status: JOB_STATUS.DEAD, limit });
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue
+   * @param {string} id - Job (task) ID
+   * @param {Object} options - { resetAttempts: true }
+   * @returns {Object|null} The requeued job, or null if it is not dead-lettered
+   */
+  async requeue(id, options = {}) {
+    const current = await this.store.get(String(id));
+    if (!current || current.status !== JOB_STATUS.DEAD) {
+      return null;
+    }
+
+    const task = { ...current.task, retryCount: options.resetAttempts === false ? current.attempts : 0 };
+    return this.store.updateIf(current.id, { status: JOB_STATUS.DEAD, lease_token: current.lease_token }, {
+      status: JOB_STATUS.READY,
+      task,
+      attempts: task.retryCount,
+      available_at: timestamp(),
+      dead_lettered_at: null,
+    });
+  }
+
+  // ============================================================================
+  // INSPECTION
+  // ============================================================================
+
+  async get(id) {
+    return this.store.get(String(id));
+  }
+
+  /**
+   * Jobs, most recently updated first
+   * @param {Object} filters - { status, roles, ids, limit }
+   */
+  async list(filters = {}) {
+    return this.store.list({ ...filters, recent: true });
+  }
+
+  /**
+   * The given task IDs that have a completed job
+   * @returns {Set} Completed task IDs
+   */
+  async completedIds(ids = []) {
+    if (ids.length === 0) return new Set();
+    const jobs = await this.store.list({ ids: ids.map(String), status: JOB_STATUS.COMPLETED, limit: ids.length });
+    return new Set(jobs.map((job) => job.id));
+  }
+
+  /**
+   * True when every given task ID has a completed job
+   */
+  async allCompleted(ids = []) {
+    if (ids.length === 0) return true;
+    return (await this.completedIds(ids)).size === new Set(ids.map(String)).size;
+  }
+
+  /**
+   * Job counts by status
+   */
+  async getStats() {
+    const stats = { backend: this.backend, workerId: this.workerId };
+    for (const status of Object.values(JOB_STATUS)) {
+      stats[status] = await this.store.count(status);
+    }
+    return stats;
+  }
+
+  async lostReason(id) {
+    const job = await this.store.get(id);
+    if (!job) return 'not_found';
+    if (job.status === JOB_STATUS.COMPLETED) return 'already_completed';
+    if (job.status === JOB_STATUS.DEAD) return 'dead_lettered';
+    return 'lease_lost';
+  }
+
+  toLease(job) {
+    return {
+      id: job.id,
+      token: job.lease_token,
+      task: job.task,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      expiresAt: job.lease_expires_at,
+    };
+  }
+}
+
+export { TaskQueue };
+export default TaskQueue;
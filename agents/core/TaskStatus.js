@@ -0,0 +1,190 @@
+/**
+ * MONOLITH OS - Task Status Model
+ * One set of task statuses and one per-agent summary shared by the scheduling
+ * pipeline and every API that reports on it
+ *
+ * Task state has historically been recorded in three vocabularies: the
+ * orchestrator's (pending, in_progress, ...), the execution engine's
+ * (queued, active, blocked_agent, ...) and the task queue's (ready, leased,
+ * dead). toUnifiedStatus() maps all of them onto TASK_STATUS, and
+ * summarizeTasks() builds the counts and agent view that /api/orchestration
+ * and /api/v1/agents both report.
+ *
+ * The pipeline's records come from the durable queue (task_queue_jobs) via
+ * fromQueueJob(), so every process that shares the queue reports the same
+ * model and it survives restarts.
+ */
+
+export const TASK_STATUS = {
+  QUEUED: 'queued',
+  ACTIVE: 'active',
+  BLOCKED: 'blocked',
+  COMPLETED: 'completed',
+  ESCALATED: 'escalated',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const STATUS_ALIASES = {
+  // TaskOrchestrator / tasks table
+  pending: TASK_STATUS.QUEUED,
+  in_progress: TASK_STATUS.ACTIVE,
+  // ExecutionEngine / monolith_task_queue
+  blocked_agent: TASK_STATUS.BLOCKED,
+  blocked_decision: TASK_STATUS.BLOCKED,
+  blocked_auth: TASK_STATUS.BLOCKED,
+  blocked_payment: TASK_STATUS.BLOCKED,
+  // TaskQueue jobs
+  ready: TASK_STATUS.QUEUED,
+  leased: TASK_STATUS.ACTIVE,
+  dead: TASK_STATUS.FAILED,
+};
+
+const KNOWN_STATUSES = new Set(Object.values(TASK_STATUS));
+
+/**
+ * Map a status from any of the task vocabularies onto TASK_STATUS
+ * @param {string} status - Raw status
+ * @returns {string|null} Unified status, or null if unknown
+ */
+export function toUnifiedStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (KNOWN_STATUSES.has(value)) return value;
+  return STATUS_ALIASES[value] || null;
+}
+
+// Agent-reported blockers (ExecutionEngine BLOCKER_TYPES) other than another
+// agent's task, and when each counts as resolved
+const BLOCKER_RESOLVED = {
+  decision: (blocker) => Boolean(blocker.decision_needed?.resolved),
+  auth: (blocker) => Boolean(blocker.auth_context?.authorized),
+  payment: (blocker) => Boolean(blocker.auth_context?.payment_approved),
+};
+
+const STAGE_BY_STATUS = {
+  [TASK_STATUS.QUEUED]: 'dependency_gate',
+  [TASK_STATUS.BLOCKED]: 'dependency_gate',
+  [TASK_STATUS.ACTIVE]: 'execution',
+};
+
+/**
+ * Whether the blocker an agent reported for a task has been resolved
+ * @param {Object} blocker - Task blocker_info
+ * @param {Set} completedIds - Completed task IDs, for blockers on another agent's task
+ * @returns {boolean}
+ */
+export function isBlockerResolved(blocker, completedIds = new Set()) {
+  if (!blocker) return true;
+  if (blocker.type === 'agent') {
+    return Boolean(blocker.blocked_by_task_id) && completedIds.has(String(blocker.blocked_by_task_id));
+  }
+  return BLOCKER_RESOLVED[blocker.type]?.(blocker) || false;
+}
+
+/**
+ * Status record for a task queue job
+ * @param {Object} job - task_queue_jobs row
+ * @param {Object} options - { completedIds: see isBlockerResolved, audited: completed work goes to an audit agent }
+ * @returns {Object} { id, title, role, priority, routing, status, stage, attempts, blocker, error, queued_at, started_at, completed_at, updated_at }
+ */
+export function fromQueueJob(job, options = {}) {
+  const task = job.task || {};
+  const blocker = task.blocker_info || null;
+  const waiting = job.status === 'ready' && !isBlockerResolved(blocker, options.completedIds);
+
+  let status = toUnifiedStatus(job.status);
+  if (waiting) {
+    status = TASK_STATUS.BLOCKED;
+  } else if (status === TASK_STATUS.COMPLETED && job.result?.escalate) {
+    status = TASK_STATUS.ESCALATED;
+  }
+
+  return {
+    id: job.id,
+    title: task.title || task.content || null,
+    role: job.role_id || task.assigned_role || null,
+    priority: task.priority || null,
+    routing: task.routing || null,
+    status,
+    stage: STAGE_BY_STATUS[status] || (status === TASK_STATUS.COMPLETED && options.audited ? 'audit' : 'execution'),
+    attempts: job.attempts || 0,
+    blocker: waiting ? blocker : null,
+    error: job.last_error || null,
+    queued_at: job.created_at || null,
+    started_at: job.started_at || null,
+    completed_at: job.completed_at || job.dead_lettered_at || null,
+    updated_at: job.updated_at || null,
+  };
+}
+
+/**
+ * Count tasks by unified status and build each agent's work status
+ * @param {Array} tasks - [{ id, title, role, status, started_at, completed_at }]
+ * @param {Object} options - { roles: agents to report even when they have no tasks }
+ * @returns {Object} { counts, agents, summary, throughput }
+ */
+export function summarizeTasks(tasks = [], options = {}) {
+  const counts = Object.fromEntries(Object.values(TASK_STATUS).map((status) => [status, 0]));
+  const byRole = new Map((options.roles || []).map((role) => [role, []]));
+
+  for (const task of tasks) {
+    const status = toUnifiedStatus(task.status);
+    if (!status) continue;
+    counts[status]++;
+
+    if (task.role) {
+      if (!byRole.has(task.role)) byRole.set(task.role, []);
+      byRole.get(task.role).push({ ...task, status });
+    }
+  }
+
+  const agents = [...byRole].map(([role, roleTasks]) => {
+    const active = roleTasks.filter((t) => t.status === TASK_STATUS.ACTIVE);
+    const queueDepth = roleTasks.filter((t) => t.status === TASK_STATUS.QUEUED).length;
+    const blockedCount = roleTasks.filter((t) => t.status === TASK_STATUS.BLOCKED).length;
+
+    return {
+      role,
+      active_task: active.length > 0 ? {
+        id: active[0].id,
+        title: active[0].title,
+        started_at: active[0].started_at || null,
+        duration_minutes: active[0].started_at
+          ? Math.round((Date.now() - new Date(active[0].started_at).getTime()) / 60000)
+          : null,
+      } : null,
+      queue_depth: queueDepth,
+      blocked_count: blockedCount,
+      status: active.length > 0 ? 'working' : queueDepth > 0 ? 'ready' : 'idle',
+    };
+  });
+
+  const summary = {
+    working: agents.filter((a) => a.status === 'working').length,
+    ready: agents.filter((a) => a.status === 'ready').length,
+    idle: agents.filter((a) => a.status === 'idle').length,
+    total_queued: counts.queued,
+    total_blocked: counts.blocked,
+  };
+
+  // Completed since midnight, and how long they took from start to finish
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const completedToday = tasks.filter((t) =>
+    toUnifiedStatus(t.status) === TASK_STATUS.COMPLETED && t.completed_at && new Date(t.completed_at) >= today
+  );
+  const durations = completedToday
+    .filter((t) => t.started_at)
+    .map((t) => (new Date(t.completed_at) - new Date(t.started_at)) / 60000);
+
+  const throughput = {
+    completed_today: completedToday.length,
+    avg_completion_minutes: durations.length > 0
+      ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length)
+      : 0,
+  };
+
+  return { counts, agents, summary, throughput };
+}
+
+export default { TASK_STATUS, toUnifiedStatus, isBlockerResolved, fromQueueJob, summarizeTasks };
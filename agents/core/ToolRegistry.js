@@ -0,0 +1,216 @@
+/**
+ * MONOLITH OS - Tool Registry
+ * Exposes an agent's service capabilities as model-callable tools.
+ * Every invocation is checked by the EscalationClient first, so financial
+ * triggers (checkout pages, payment forms, purchases) are blocked, not executed.
+ */
+
+import { escalationClient as defaultEscalationClient } from '../neural-stack/EscalationClient.js';
+
+const contentSchema = (description) => ({
+  type: 'object',
+  properties: {
+    content: { type: 'string', description },
+    title: { type: 'string', description: 'Optional title' },
+  },
+  required: ['content'],
+});
+
+// Tool definitions keyed by the capability that enables them (see RoleAgent.capabilities)
+const TOOL_DEFINITIONS = {
+  'email:send': {
+    name: 'send_email',
+    description: 'Send an email on behalf of this role',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        to: { type: 'string', description: 'Recipient email address' },
+        subject: { type: 'string' },
+        body: { type: 'string', description: 'Email body (HTML allowed)' },
+      },
+      required: ['to', 'subject', 'body'],
+    },
+    escalationContext: (input) => ({ text: `${input.subject}\n${input.body}` }),
+    execute: (agent, input) => agent.gmailService.sendEmail(input.to, input.subject, input.body),
+  },
+  'email:search': {
+    name: 'search_emails',
+    description: 'Search the mailbox using Gmail query syntax',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'e.g. "from:vendor@example.com is:unread"' },
+        maxResults: { type: 'number' },
+      },
+      required: ['query'],
+    },
+    escalationContext: () => ({}),
+    execute: (agent, input) => agent.gmailService.searchEmails(input.query, input.maxResults),
+  },
+  'email:read': {
+    name: 'read_email',
+    description: 'Read the full content of an email by message id',
+    inputSchema: {
+      type: 'object',
+      properties: { messageId: { type: 'string' } },
+      required: ['messageId'],
+    },
+    escalationContext: () => ({}),
+    execute: (agent, input) => agent.gmailService.readEmail(input.messageId),
+  },
+  'browser:navigate': {
+    name: 'browser_navigate',
+    description: 'Open a URL in the browser',
+    inputSchema: {
+      type: 'object',
+      properties: { url: { type: 'string' } },
+      required: ['url'],
+    },
+    escalationContext: (input) => ({ url: input.url }),
+    execute: (agent, input) => agent.browserService.navigate(input.url),
+  },
+  'browser:screenshot': {
+    name: 'browser_screenshot',
+    description: 'Save a screenshot of the current page',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path for the screenshot' },
+        fullPage: { type: 'boolean' },
+      },
+      required: ['path'],
+    },
+    escalationContext: () => ({}),
+    execute: (agent, input) => agent.browserService.screenshot(input.path, { fullPage: input.fullPage }),
+  },
+  'browser:content': {
+    name: 'browser_get_content',
+    description: 'Get the text content of the current page',
+    inputSchema: { type: 'object', properties: {} },
+    escalationContext: () => ({}),
+    execute: (agent) => agent.browserService.getPageContent(),
+  },
+  'browser:form': {
+    name: 'browser_fill_form',
+    description: 'Fill form fields on the current page',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fields: {
+          type: 'object',
+          description: 'Map of CSS selector to value',
+          additionalProperties: { type: 'string' },
+        },
+      },
+      required: ['fields'],
+    },
+    escalationContext: (input, agent) => ({
+      url: agent.browserService?.page?.url?.(),
+      text: Object.entries(input.fields || {}).map(([selector, value]) => `${selector} ${value}`).join('\n'),
+    }),
+    execute: (agent, input) => agent.browserService.fillForm(input.fields),
+  },
+  'media:infographic': {
+    name: 'create_infographic',
+    description: 'Generate an infographic from content',
+    inputSchema: contentSchema('Content to visualise'),
+    escalationContext: (input) => ({ text: input.content }),
+    execute: (agent, input) => agent.mediaGenerationService.createInfographic(input.content, { title: input.title }),
+  },
+  'media:slides': {
+    name: 'create_slides',
+    description: 'Generate a slide presentation from content',
+    inputSchema: contentSchema('Presentation content'),
+    escalationContext: (input) => ({ text: input.content }),
+    execute: (agent, input) => agent.mediaGenerationService.createSlides(input.content, { title: input.title }),
+  },
+  'media:video': {
+    name: 'create_video',
+    description: 'Generate a short video from content',
+    inputSchema: contentSchema('Video script or content'),
+    escalationContext: (input) => ({ text: input.content }),
+    execute: (agent, input) => agent.mediaGenerationService.createVideo(input.content, { title: input.title }),
+  },
+  'media:podcast': {
+    name: 'create_podcast',
+    description: 'Generate an audio podcast from content',
+    inputSchema: contentSchema('Podcast source content'),
+    escalationContext: (input) => ({ text: input.content }),
+    execute: (agent, input) => agent.mediaGenerationService.createPodcast(input.content, { title: input.title }),
+  },
+  'media:social': {
+    name: 'create_social_graphic',
+    description: 'Generate a social media graphic from content',
+    inputSchema: contentSchema('Post content'),
+    escalationContext: (input) => ({ text: input.content }),
+    execute: (agent, input) => agent.mediaGenerationService.createSocialGraphic(input.content, { title: input.title }),
+  },
+};
+
+class ToolRegistry {
+  /**
+   * @param {RoleAgent} agent - Agent whose capabilities define the available tools
+   * @param {Object} options - { escalationClient }
+   */
+  constructor(agent, options = {}) {
+    this.agent = agent;
+    this.escalationClient = options.escalationClient || defaultEscalationClient;
+    this.tools = new Map();
+
+    for (const [capability, tool] of Object.entries(TOOL_DEFINITIONS)) {
+      if (agent.hasCapability(capability)) {
+        this.tools.set(tool.name, { ...tool, capability });
+      }
+    }
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Provider-neutral tool definitions for LLMRouter.complete({ tools })
+   */
+  getDefinitions() {
+    return [...this.tools.values()].map(({ name, description, inputSchema }) => ({
+      name,
+      description,
+      inputSchema,
+    }));
+  }
+
+  /**
+   * Run a tool call requested by the model
+   * Returns { success, result } | { success: false, error } | { success: false, blocked: true, escalation }
+   */
+  async execute(name, input = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+
+    const escalation = this.escalationClient.checkEscalationRequired({
+      ...tool.escalationContext(input, this.agent),
+      actionType: name,
+    });
+    if (escalation.required) {
+      console.log(`[TOOLS] ${this.agent.roleAbbr} ${name} blocked: ${escalation.tier} approval required`);
+      return { success: false, blocked: true, escalation };
+    }
+
+    try {
+      const result = await tool.execute(this.agent, input);
+      return { success: result?.success !== false, result };
+    } catch (error) {
+      console.error(`[TOOLS] ${this.agent.roleAbbr} ${name} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default ToolRegistry;
+export { TOOL_DEFINITIONS };
@@ -0,0 +1,265 @@
+/**
+ * Unit tests for BudgetEnforcer
+ * Tests cap validation, soft-limit downgrades, hard-limit blocks and CFO
+ * escalation events, cap and spend persistence, and enforcement in front of
+ * LLMRouter.complete (including recording downgraded calls to a cassette)
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('@anthropic-ai/sdk', () => ({
+  default: jest.fn().mockImplementation(() => ({
+    messages: {
+      create: jest.fn(async ({ stream }) => (stream
+        ? (async function* () {
+          yield { type: 'message_start', message: { usage: { input_tokens: 1000 } } };
+          yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Mock response' } };
+          yield { type: 'message_delta', usage: { output_tokens: 1000 } };
+        })()
+        : {
+          content: [{ text: 'Mock response' }],
+          usage: { input_tokens: 1000, output_tokens: 1000 },
+        })),
+    },
+  })),
+}));
+
+const { BudgetEnforcer, validateCap, DEFAULT_TENANT_ID } = await import('../BudgetEnforcer.js');
+const { default: LLMRouter } = await import('../LLMRouter.js');
+const { DatabaseService } = await import('../../services/DatabaseService.js');
+const { resetStorage } = await import('../../storage/index.js');
+
+const offlineDb = { isAvailable: () => false };
+const originalEnv = process.env;
+
+describe('BudgetEnforcer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('validates caps', () => {
+    expect(validateCap({ scope: 'role', id: 'cmo', period: 'day', soft: 5, hard: 10 }).valid).toBe(true);
+    expect(validateCap({ scope: 'task', id: '*', period: 'month', soft: 10, hard: 5 }).errors).toEqual([
+      'period for task caps must be one of task',
+      'soft limit cannot exceed the hard limit',
+    ]);
+    expect(() => new BudgetEnforcer({ dbService: offlineDb, caps: [{ scope: 'team', id: 'x' }] }))
+      .toThrow('Invalid budget cap');
+  });
+
+  test('downgrades over a soft limit and blocks over a hard limit', () => {
+    const enforcer = new BudgetEnforcer({
+      dbService: offlineDb,
+      caps: [{ scope: 'role', id: 'cmo', period: 'day', soft: 1, hard: 2 }],
+    });
+    const request = { role: 'cmo', modelId: 'claude-sonnet-4', estimatedCost: 0.2, candidates: ['claude-sonnet-4', 'claude-haiku'] };
+
+    expect(enforcer.check(request)).toMatchObject({ action: 'allow', modelId: 'claude-sonnet-4' });
+
+    enforcer.record({ role: 'cmo', taskId: 't1', cost: 0.9 });
+    expect(enforcer.check(request)).toMatchObject({
+      action: 'downgrade',
+      modelId: 'claude-haiku',
+      requestedModelId: 'claude-sonnet-4',
+      reason: 'role cmo day spend $1.10 is over the $1.00 soft limit',
+    });
+
+    const exceeded = jest.fn();
+    enforcer.on('budgetExceeded', exceeded);
+    enforcer.record({ role: 'cmo', cost: 1.1 });
+
+    expect(() => enforcer.enforce(request)).toThrow('Budget exceeded: role cmo day budget exhausted: $2.00 spent of $2.00 hard limit');
+    expect(() => enforcer.enforce(request)).toThrow(expect.objectContaining({ code: 'BUDGET_EXCEEDED' }));
+    expect(exceeded).toHaveBeenCalledTimes(1);
+    expect(exceeded.mock.calls[0][0]).toMatchObject({ role: 'cmo', tenantId: DEFAULT_TENANT_ID, cap: { scope: 'role', subject: 'cmo' } });
+
+    expect(enforcer.check({ ...request, exempt: true }).action).toBe('allow');
+  });
+
+  test('prefers a subject\'s own cap over the default and resets each period', () => {
+    const enforcer = new BudgetEnforcer({
+      dbService: offlineDb,
+      caps: [
+        { scope: 'task', id: '*', period: 'task', hard: 0.5 },
+        { scope: 'task', id: 'big-task', period: 'task', hard: 5 },
+        { scope: 'tenant', id: '*', period: 'month', hard: 10 },
+      ],
+    });
+
+    enforcer.record({ taskId: 'small-task', cost: 1, at: '2026-03-31T10:00:00Z' });
+    enforcer.record({ taskId: 'big-task', cost: 1, at: '2026-03-31T10:00:00Z' });
+    enforcer.record({ taskId: 'other', cost: 7.7, at: '2026-03-31T10:00:00Z' });
+
+    expect(enforcer.check({ taskId: 'small-task', at: '2026-03-31T11:00:00Z' }).action).toBe('block');
+    expect(enforcer.check({ taskId: 'big-task', at: '2026-03-31T11:00:00Z' }).action).toBe('allow');
+    expect(enforcer.check({ taskId: 'new-task', estimatedCost: 0.4, at: '2026-03-31T11:00:00Z' }).reason)
+      .toBe(`tenant ${DEFAULT_TENANT_ID} month budget exhausted: $9.70 spent of $10.00 hard limit`);
+    expect(enforcer.check({ taskId: 'new-task', estimatedCost: 0.4, at: '2026-04-01T09:00:00Z' }).action).toBe('allow');
+  });
+
+  describe('cap storage', () => {
+    afterAll(() => resetStorage());
+
+    test('persists caps and keeps them over config defaults', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+
+      const admin = new BudgetEnforcer({ dbService });
+      await admin.setCap({ scope: 'role', id: 'cto', period: 'month', soft: 50, hard: 100 }, { updatedBy: 'cfo' });
+      await admin.setCap({ scope: 'role', id: 'cmo', period: 'day', hard: 5 });
+      await admin.removeCap('role', 'cmo', 'day');
+
+      const restarted = new BudgetEnforcer({ dbService });
+      const caps = await restarted.loadCaps([
+        { scope: 'role', id: 'cto', period: 'month', hard: 1 },
+        { scope: 'tenant', id: '*', period: 'month', hard: 2000 },
+      ]);
+
+      expect(caps.map((cap) => [cap.scope, cap.id, cap.period, cap.soft, cap.hard])).toEqual([
+        ['role', 'cto', 'month', 50, 100],
+        ['tenant', '*', 'month', null, 2000],
+      ]);
+      expect(caps[0].updatedBy).toBe('cfo');
+    });
+
+    test('seeds spend after a restart and reads back charges from other processes', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+      const caps = [{ scope: 'role', id: 'cmo', period: 'day', hard: 1 }];
+      const at = new Date();
+      const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+      const before = new BudgetEnforcer({ dbService, caps });
+      before.record({ role: 'cmo', taskId: 'task-1', cost: 0.6, at });
+      await settle();
+
+      const restarted = new BudgetEnforcer({ dbService, caps });
+      expect(await restarted.loadSpend(at)).toBe(1);
+      expect(restarted.spentFor('role', 'cmo', 'day', at)).toBeCloseTo(0.6);
+      expect(restarted.spentFor('task', 'task-1', 'task', at)).toBeCloseTo(0.6);
+
+      const dashboard = new BudgetEnforcer({ dbService, caps, refreshIntervalMs: 0 });
+      dashboard.record({ role: 'cmo', cost: 0.5, at });
+      await settle();
+
+      await restarted.refreshSpend({ role: 'cmo' }, at);
+      expect(() => restarted.enforce({ role: 'cmo', modelId: 'claude-haiku', estimatedCost: 0.01, at }))
+        .toThrow(expect.objectContaining({ code: 'BUDGET_EXCEEDED' }));
+    });
+
+    test('blocks calls under caps whose spend cannot be read back', async () => {
+      let failure = { message: 'connection reset' };
+      const dbService = {
+        isAvailable: () => true,
+        sumBudgetCharges: jest.fn(async () => ({ data: failure ? [] : [{ day_cost: 0.2, period_cost: 0.2 }], error: failure })),
+      };
+      const enforcer = new BudgetEnforcer({
+        dbService,
+        caps: [{ scope: 'role', id: 'cmo', period: 'day', hard: 1 }],
+        refreshIntervalMs: 0,
+      });
+      const request = { role: 'cmo', modelId: 'claude-haiku', estimatedCost: 0.01 };
+
+      await enforcer.refreshSpend({ role: 'cmo' });
+      expect(() => enforcer.enforce(request))
+        .toThrow(expect.objectContaining({ code: 'BUDGET_UNAVAILABLE', message: 'Budget unavailable: role cmo spend could not be read: connection reset' }));
+      expect(enforcer.enforce({ ...request, exempt: true }).allowed).toBe(true);
+      expect(enforcer.enforce({ ...request, role: 'cto' }).allowed).toBe(true);
+
+      failure = null;
+      await enforcer.refreshSpend({ role: 'cmo' });
+      expect(enforcer.enforce(request).allowed).toBe(true);
+      expect(enforcer.spentFor('role', 'cmo', 'day')).toBeCloseTo(0.2);
+    });
+  });
+
+  describe('LLMRouter', () => {
+    beforeEach(() => {
+      process.env = { ...originalEnv, ANTHROPIC_API_KEY: 'test-key' };
+      delete process.env.OPENAI_API_KEY;
+      delete process.env.LLM_PROVIDER;
+      delete process.env.LLM_CASSETTE;
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    test('charges calls and switches to a cheaper routing model over a soft limit', async () => {
+      const budgetEnforcer = new BudgetEnforcer({
+        dbService: offlineDb,
+        caps: [{ scope: 'role', id: 'cfo', period: 'day', soft: 0.01, hard: 1 }],
+      });
+      const router = new LLMRouter({ budgetEnforcer });
+      const request = {
+        modelId: 'claude-sonnet-4',
+        systemPrompt: 'You are the CFO.',
+        userMessage: 'Summarize the quarter',
+        context: { taskId: 'task-1', role: 'cfo', taskType: 'analysis' },
+      };
+
+      const first = await router.complete(request);
+      const second = await router.complete(request);
+
+      expect(first.model).toBe('claude-sonnet-4');
+      expect(second.model).toBe('claude-haiku');
+      expect(budgetEnforcer.getStatus().spend.role.cfo.today).toBeCloseTo(0.018 + 0.0048);
+    });
+
+    test('records downgraded calls under the requested model so they replay', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-cassette-'));
+      const cassettePath = path.join(dir, 'run.jsonl');
+      const caps = [{ scope: 'role', id: 'cfo', period: 'day', soft: 0.01, hard: 1 }];
+      const request = {
+        modelId: 'claude-sonnet-4',
+        systemPrompt: 'You are the CFO.',
+        userMessage: 'Summarize the quarter',
+        context: { taskId: 'task-1', role: 'cfo', taskType: 'analysis' },
+      };
+
+      try {
+        const recorder = new LLMRouter({
+          budgetEnforcer: new BudgetEnforcer({ dbService: offlineDb, caps }),
+          cassette: { path: cassettePath, mode: 'record' },
+        });
+        await recorder.complete(request);
+        for await (const event of recorder.complete({ ...request, stream: true })) {
+          // drain
+        }
+
+        const player = new LLMRouter({ cassette: { path: cassettePath, mode: 'replay' } });
+        await player.complete(request);
+        const events = [];
+        for await (const event of player.complete({ ...request, stream: true })) {
+          events.push(event);
+        }
+
+        expect(events.at(-1)).toMatchObject({ type: 'done', model: 'claude-haiku', replayed: true });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('rejects calls over a hard limit', async () => {
+      const budgetEnforcer = new BudgetEnforcer({
+        dbService: offlineDb,
+        caps: [{ scope: 'task', id: '*', period: 'task', hard: 0.01 }],
+      });
+      const router = new LLMRouter({ budgetEnforcer });
+      const request = { modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U', context: { taskId: 'task-2', role: 'cmo' } };
+
+      await router.complete(request);
+      await expect(router.complete(request)).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+      await expect(router.complete({ ...request, context: { ...request.context, budgetExempt: true } })).resolves.toBeDefined();
+    });
+  });
+});
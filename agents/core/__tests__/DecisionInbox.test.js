@@ -0,0 +1,274 @@
+/**
+ * Unit tests for DecisionInbox
+ * Tests the item model (priority, SLA deadline), the escalation ladder,
+ * deferral, delegation with the audit log, reminder digests, decisions
+ * written back to sources and persisted inbox state
+ */
+
+import { jest } from '@jest/globals';
+import {
+  DecisionInbox,
+  INBOX_STATUS,
+  normalizePriority,
+  fromExceptionEscalation,
+  formatDigestText,
+} from '../DecisionInbox.js';
+import { DatabaseService } from '../../services/DatabaseService.js';
+import { resetStorage } from '../../storage/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const offlineDb = { isAvailable: () => false };
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+// A source whose decided entries drop out of its list, like the real queues
+const fakeSource = (name, entries) => {
+  const decided = [];
+  return {
+    name,
+    decided,
+    list: async () => entries.filter((e) => !decided.some((d) => d.sourceId === e.sourceId)),
+    decide: async (sourceId, decision) => {
+      decided.push({ sourceId, ...decision });
+    },
+  };
+};
+
+const fakeNotifier = (name = 'test') => ({
+  name,
+  sendDigest: jest.fn(async () => {}),
+  sendAlert: jest.fn(async () => {}),
+});
+
+describe('DecisionInbox', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('item model', () => {
+    test('normalizes the priority formats the sources use', () => {
+      expect(normalizePriority('CRITICAL')).toBe('critical');
+      expect(normalizePriority(100)).toBe('critical');
+      expect(normalizePriority(75)).toBe('high');
+      expect(normalizePriority(50)).toBe('medium');
+      expect(normalizePriority(10)).toBe('low');
+      expect(normalizePriority('urgent')).toBe('critical');
+      expect(normalizePriority('TIER_3_FRANK_REQUIRED')).toBe('high');
+      expect(normalizePriority('TIER_0_AUTO')).toBe('low');
+      expect(normalizePriority(undefined)).toBe('medium');
+    });
+
+    test('gives every item an SLA deadline and sorts by priority then deadline', async () => {
+      const createdAt = hoursAgo(1);
+      const deadline = new Date(Date.now() + 2 * HOUR_MS).toISOString();
+      const inbox = new DecisionInbox({
+        dbService: offlineDb,
+        sources: [
+          fakeSource('a', [
+            { sourceId: '1', title: 'Low', priority: 'low', createdAt },
+            { sourceId: '2', title: 'High', priority: 'TIER_2_NOTIFY', createdAt },
+          ]),
+          fakeSource('b', [
+            { sourceId: '3', title: 'High, sooner', priority: 'high', createdAt, deadline },
+          ]),
+        ],
+      });
+
+      const items = await inbox.list();
+
+      expect(items.map((i) => i.id)).toEqual(['b:3', 'a:2', 'a:1']);
+      expect(items[1]).toMatchObject({ priority: 'high', slaHours: 24, overdue: false, status: INBOX_STATUS.OPEN });
+      expect(items[1].dueAt).toBe(new Date(new Date(createdAt).getTime() + 24 * HOUR_MS).toISOString());
+      expect(items[0].dueAt).toBe(deadline);
+    });
+
+    test('reports a failing source without losing the others', async () => {
+      const inbox = new DecisionInbox({
+        dbService: offlineDb,
+        sources: [
+          fakeSource('ok', [{ sourceId: '1', createdAt: hoursAgo(1) }]),
+          { name: 'broken', list: async () => { throw new Error('table missing'); }, decide: async () => {} },
+        ],
+      });
+
+      expect(await inbox.list()).toHaveLength(1);
+      expect(inbox.sourceStatus.broken).toMatchObject({ count: 0, error: 'table missing' });
+    });
+  });
+
+  describe('escalation ladder', () => {
+    test('raises an overdue item one priority level, once', async () => {
+      const inbox = new DecisionInbox({
+        dbService: offlineDb,
+        sources: [fakeSource('a', [{ sourceId: '1', priority: 'medium', createdAt: hoursAgo(80) }])],
+      });
+      const listener = jest.fn();
+      inbox.on('itemEscalated', listener);
+
+      const escalated = await inbox.runEscalationLadder();
+
+      expect(escalated).toHaveLength(1);
+      expect(escalated[0].step.name).toBe('overdue');
+      expect(escalated[0].item).toMatchObject({ priority: 'high', basePriority: 'medium', overdue: true });
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(await inbox.runEscalationLadder()).toHaveLength(0);
+    });
+
+    test('at twice the SLA alerts and takes a delegated item back to the CEO', async () => {
+      const notifier = fakeNotifier();
+      const inbox = new DecisionInbox({
+        dbService: offlineDb,
+        notifiers: [notifier],
+        sources: [fakeSource('a', [{ sourceId: '1', priority: 'high', createdAt: hoursAgo(50) }])],
+      });
+
+      await inbox.delegate('a:1', { to: 'cfo' });
+      const [{ item, step }] = await inbox.runEscalationLadder();
+
+      expect(step.name).toBe('critical');
+      expect(item).toMatchObject({ priority: 'critical', status: INBOX_STATUS.OPEN });
+      expect(notifier.sendAlert).toHaveBeenCalledWith(expect.objectContaining({ id: 'a:1' }), step);
+      expect((await inbox.list()).map((i) => i.id)).toEqual(['a:1']);
+    });
+  });
+
+  describe('actions', () => {
+    test('defers an item until the deferral runs out', async () => {
+      const inbox = new DecisionInbox({
+        dbService: offlineDb,
+        sources: [fakeSource('a', [{ sourceId: '1', createdAt: hoursAgo(1) }])],
+      });
+      const reopened = jest.fn();
+      inbox.on('itemReopened', reopened);
+
+      const deferred = await inbox.act('a:1', { choice: 'Defer', notes: 'After the board meeting' });
+      expect(deferred).toMatchObject({ status: INBOX_STATUS.DEFERRED, deferredReason: 'After the board meeting' });
+      expect(await inbox.list()).toHaveLength(0);
+
+      const later = new Date(Date.now() + 25 * HOUR_MS);
+      expect((await inbox.list({ now: later })).map((i) => i.id)).toEqual(['a:1']);
+      expect(reopened).toHaveBeenCalledWith({ itemId: 'a:1' });
+
+      await expect(inbox.defer('a:1', { until: hoursAgo(1) })).rejects.toMatchObject({ code: 'INVALID_ACTION' });
+    });
+
+    test('delegates to a named executive and records it in the audit log', async () => {
+      const auditLog = jest.fn(async () => {});
+      const inbox = new DecisionInbox({
+        dbService: offlineDb,
+        executives: ['cfo', 'cto'],
+        auditLog,
+        sources: [fakeSource('a', [{ sourceId: '1', title: 'Renew AWS contract', taskId: 't1', createdAt: hoursAgo(1) }])],
+      });
+
+      await expect(inbox.delegate('a:1', { to: 'cmo' })).rejects.toMatchObject({ code: 'INVALID_ACTION' });
+      await expect(inbox.act('a:1', { action: 'delegate' })).rejects.toMatchObject({ code: 'INVALID_ACTION' });
+
+      const item = await inbox.act('a:1', { action: 'delegate', to: 'cfo', notes: 'Your budget', actor: 'frank' });
+
+      expect(item).toMatchObject({ status: INBOX_STATUS.DELEGATED, delegatedTo: 'cfo', delegatedBy: 'frank' });
+      expect(auditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'decision_delegated',
+        itemId: 'a:1',
+        taskId: 't1',
+        title: 'Renew AWS contract',
+        delegatedTo: 'cfo',
+        delegatedBy: 'frank',
+        note: 'Your budget',
+      }));
+      expect(await inbox.list()).toHaveLength(0);
+      expect((await inbox.list({ status: 'delegated', delegatedTo: 'cfo' })).map((i) => i.id)).toEqual(['a:1']);
+    });
+
+    test('writes decisions back to the source', async () => {
+      const source = fakeSource('a', [{ sourceId: '1', createdAt: hoursAgo(1) }]);
+      const inbox = new DecisionInbox({ dbService: offlineDb, sources: [source] });
+      const decided = jest.fn();
+      inbox.on('itemDecided', decided);
+
+      await expect(inbox.act('a:1', {})).rejects.toMatchObject({ code: 'INVALID_ACTION' });
+      await expect(inbox.act('a:1', { action: 'archive' })).rejects.toMatchObject({ code: 'INVALID_ACTION' });
+
+      const item = await inbox.act('a:1', { choice: 'Approve', notes: 'Go ahead', actor: 'frank' });
+
+      expect(item).toMatchObject({ status: INBOX_STATUS.DECIDED, decidedChoice: 'Approve', decidedBy: 'frank' });
+      expect(source.decided).toEqual([expect.objectContaining({ sourceId: '1', choice: 'Approve', notes: 'Go ahead' })]);
+      expect(decided).toHaveBeenCalledTimes(1);
+      await expect(inbox.get('a:1')).rejects.toMatchObject({ code: 'ITEM_NOT_FOUND' });
+    });
+  });
+
+  describe('reminders', () => {
+    test('sends a digest for items past their reminder point, once per interval', async () => {
+      const notifier = fakeNotifier();
+      const inbox = new DecisionInbox({
+        dbService: offlineDb,
+        notifiers: [notifier],
+        sources: [fakeSource('a', [
+          { sourceId: '1', title: 'Waiting', priority: 'medium', requestingAgent: 'cfo', createdAt: hoursAgo(40) },
+          { sourceId: '2', title: 'Fresh', priority: 'medium', createdAt: hoursAgo(1) },
+        ])],
+      });
+      const now = new Date();
+
+      const result = await inbox.sendReminders(now);
+
+      expect(result).toMatchObject({ sent: true, items: 1, results: [{ channel: 'test', success: true }] });
+      const digest = notifier.sendDigest.mock.calls[0][0];
+      expect(digest).toMatchObject({ open: 2, overdue: 0, byPriority: { medium: 2 } });
+      expect(digest.items.map((i) => i.title)).toEqual(['Waiting']);
+      expect(formatDigestText(digest)).toContain('[MEDIUM] Waiting - CFO');
+
+      expect((await inbox.sendReminders(new Date(now.getTime() + HOUR_MS))).sent).toBe(false);
+      expect((await inbox.sendReminders(new Date(now.getTime() + 25 * HOUR_MS))).sent).toBe(true);
+    });
+  });
+
+  describe('sources', () => {
+    test('maps amendment exceptions and translates the CEO choice', async () => {
+      const exceptions = {
+        isAvailable: () => true,
+        getActiveEscalations: async () => ({
+          data: [{ id: 'e1', agent_role: 'cmo', reason: 'cross_agent_pattern', amendment: { instruction_delta: 'Cite sources' }, created_at: hoursAgo(2) }],
+          error: null,
+        }),
+        resolveEscalation: jest.fn(async () => ({ error: null })),
+      };
+      const inbox = new DecisionInbox({ dbService: offlineDb, sources: [fromExceptionEscalation(exceptions)] });
+
+      const [item] = await inbox.list();
+      expect(item).toMatchObject({ id: 'exception:e1', type: 'amendment', priority: 'high', description: 'Cite sources' });
+
+      await inbox.decide(item.id, { choice: 'Reject', notes: 'Too broad', decidedBy: 'frank' });
+      expect(exceptions.resolveEscalation).toHaveBeenCalledWith('e1', 'rejected', 'frank', 'Too broad');
+    });
+  });
+
+  describe('persistence', () => {
+    afterAll(() => resetStorage());
+
+    test('reloads deferrals, delegations and ladder levels from the database', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+      const entries = [
+        { sourceId: '1', priority: 'medium', createdAt: hoursAgo(80) },
+        { sourceId: '2', priority: 'medium', createdAt: hoursAgo(1) },
+      ];
+
+      const inbox = new DecisionInbox({ dbService, sources: [fakeSource('a', entries)] });
+      await inbox.runEscalationLadder();
+      await inbox.delegate('a:2', { to: 'coo' });
+
+      const reloaded = new DecisionInbox({ dbService, sources: [fakeSource('a', entries)] });
+      const items = await reloaded.list({ status: 'all' });
+
+      expect(items.find((i) => i.id === 'a:2')).toMatchObject({ status: INBOX_STATUS.DELEGATED, delegatedTo: 'coo' });
+      expect(await reloaded.runEscalationLadder()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Unit tests for EscalationPolicy
+ * Tests the policy language (conditions, validation, explanations), the
+ * default policy built from thresholds, versioned storage and dry runs of a
+ * proposed policy against historical decisions
+ */
+
+import { jest } from '@jest/globals';
+import EscalationEngine from '../EscalationEngine.js';
+import EscalationPolicyStore from '../EscalationPolicyStore.js';
+import {
+  buildFacts,
+  evaluatePolicy,
+  validatePolicy,
+  SpendLedger,
+} from '../EscalationPolicy.js';
+import { DatabaseService } from '../../services/DatabaseService.js';
+import { resetStorage } from '../../storage/index.js';
+
+const offlineDb = { isAvailable: () => false };
+
+const spendPolicy = {
+  name: 'default',
+  tags: { security: ['breach', 'vulnerability'] },
+  rules: [
+    {
+      id: 'new-vendor-large-spend',
+      when: { vendor: { new: true }, amount: { gte: 5000 } },
+      reason: 'First payment of {amount} to new vendor {vendor}',
+    },
+    {
+      id: 'monthly-budget',
+      when: { role: ['cmo', 'cto'], monthlySpend: { gt: 20000 } },
+      reason: '{ROLE} spend this month reaches {monthlySpend} (limit {limit})',
+      priority: 'HIGH',
+    },
+    {
+      id: 'foreign-currency',
+      when: { currency: ['EUR', 'GBP'], not: { taskType: 'payroll' } },
+      reason: 'Payment in {currency} needs treasury review',
+    },
+    {
+      id: 'security-risk',
+      when: { riskTags: { any: ['security'] } },
+      reason: 'Security risk: "{keyword}"',
+      priority: 'CRITICAL',
+    },
+  ],
+};
+
+function facts(task, role = 'cto', context = {}) {
+  return buildFacts(task, {}, role, { policy: spendPolicy, ...context });
+}
+
+describe('EscalationPolicy', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('conditions', () => {
+    test('compares amounts as base-currency total commitments', () => {
+      const result = evaluatePolicy(spendPolicy, facts({ content: 'Hosting at €1,000/month for 2 years, or 40 GBP' }, 'cfo'));
+
+      expect(result.firedRules.map((r) => r.ruleId)).toEqual(['foreign-currency']);
+      expect(facts({ content: 'Hosting at €1,000/month for 2 years' })).toMatchObject({
+        amount: 25920,
+        currency: 'EUR',
+        amountText: '$25,920 (€1,000/month)',
+      });
+    });
+
+    test('cites the rule that fired and the values that made it fire', () => {
+      const result = evaluatePolicy(spendPolicy, facts({ content: 'Pay $8,000 for onboarding', vendor: 'Acme' }));
+
+      expect(result.shouldEscalate).toBe(true);
+      expect(result.firedRules).toEqual([expect.objectContaining({
+        ruleId: 'new-vendor-large-spend',
+        reason: 'First payment of $8,000 to new vendor Acme',
+        matched: { vendor: 'Acme', amount: 8000, limit: 5000 },
+      })]);
+    });
+
+    test('tracks vendor novelty and month-to-date spend in the ledger', () => {
+      const ledger = new SpendLedger();
+      ledger.record({ amount: 15000, role: 'cto', vendor: 'Acme', at: '2026-03-02T10:00:00Z' });
+      ledger.record({ amount: 9000, role: 'cto', vendor: 'Acme', at: '2026-02-27T10:00:00Z' });
+
+      const result = evaluatePolicy(spendPolicy, facts(
+        { content: 'Renew hosting for $6,000', vendor: 'Acme' },
+        'cto',
+        { ledger, at: '2026-03-10T10:00:00Z' }
+      ));
+
+      expect(result.firedRules.map((r) => r.ruleId)).toEqual(['monthly-budget']);
+      expect(result.reasons[0]).toBe('CTO spend this month reaches $21,000 (limit $20,000)');
+    });
+
+    test('combines currency, task type and risk tag conditions', () => {
+      expect(evaluatePolicy(spendPolicy, facts({ content: 'Send €900 to the Berlin office' })).reasons)
+        .toEqual(['Payment in EUR needs treasury review']);
+      expect(evaluatePolicy(spendPolicy, facts({ content: 'Send €900 salaries', task_type: 'payroll' })).shouldEscalate)
+        .toBe(false);
+      expect(evaluatePolicy(spendPolicy, facts({ content: 'Patch a data breach', risk_tags: ['security'] })).firedRules[0])
+        .toMatchObject({ ruleId: 'security-risk', matched: { riskTag: 'security', keyword: 'breach' } });
+    });
+
+    test('rejects malformed policies', () => {
+      const { valid, errors } = validatePolicy({
+        name: 'broken',
+        rules: [
+          { id: 'a', reason: 'x', when: { amount: { above: 5 } } },
+          { id: 'a', when: { spend: 1 }, priority: 'URGENT' },
+        ],
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'rules[0].when.amount needs numeric gt/gte/lt/lte bounds',
+        'rules[1].id "a" is not unique',
+        'rules[1].reason is required',
+        'rules[1].priority must be one of LOW, MEDIUM, HIGH, CRITICAL',
+        'rules[1].when.spend is not a known condition',
+      ]);
+    });
+  });
+
+  describe('EscalationEngine', () => {
+    test('explains default threshold escalations by rule', () => {
+      const engine = new EscalationEngine();
+      const result = engine.shouldEscalate({ content: 'Sign contract valued at $60,000' }, {}, 'cfo');
+
+      expect(result.policy).toEqual({ name: 'default', version: 0 });
+      expect(result.firedRules.map((r) => r.ruleId)).toEqual(['cfo-spending-authority', 'single-expense', 'contract-value']);
+      expect(result.reasons).toContain('Contract value $60,000 exceeds threshold ($50,000)');
+    });
+
+    test('checks role authority alongside the general expense threshold', () => {
+      const engine = new EscalationEngine();
+
+      expect(engine.shouldEscalate({ content: 'Approve $8,000 expense' }, {}, 'cfo').shouldEscalate).toBe(false);
+      expect(engine.shouldEscalate({ content: 'Approve $20,000 expense' }, {}, 'coo').firedRules.map((r) => r.ruleId)).toEqual(['single-expense']);
+      expect(engine.shouldEscalate({ content: 'Approve $30,000 expense' }, {}, 'cfo').firedRules.map((r) => r.ruleId))
+        .toEqual(['cfo-spending-authority', 'single-expense']);
+    });
+
+    test('raises priority to the highest rule priority', () => {
+      const engine = new EscalationEngine({ policy: spendPolicy });
+
+      expect(engine.shouldEscalate({ content: 'Pay $100', risk_tags: ['security'] }, {}, 'cto').priority).toBe('CRITICAL');
+      expect(() => engine.setPolicy({ name: 'x', rules: [{ id: 'r' }] })).toThrow('Invalid escalation policy');
+    });
+
+    test('follows threshold updates until a policy is set', () => {
+      const engine = new EscalationEngine();
+      engine.updateThresholds({ financial: { singleExpense: 500 } });
+
+      expect(engine.shouldEscalate({ content: 'Buy supplies for $800' }, {}, 'coo').shouldEscalate).toBe(true);
+    });
+  });
+
+  describe('versioned storage', () => {
+    const stores = {
+      memory: async () => new EscalationPolicyStore({ dbService: offlineDb }),
+      database: async () => {
+        await resetStorage();
+        return new EscalationPolicyStore({ dbService: new DatabaseService({ adapter: 'local', storagePath: ':memory:' }) });
+      },
+    };
+
+    afterAll(() => resetStorage());
+
+    test.each(Object.keys(stores))('publishes and activates versions (%s store)', async (storeName) => {
+      const policyStore = await stores[storeName]();
+      const engine = new EscalationEngine({ policyStore });
+
+      const draft = await engine.publishPolicy(spendPolicy, { createdBy: 'ceo' });
+      const active = await engine.publishPolicy({ ...spendPolicy, rules: spendPolicy.rules.slice(0, 1) }, { activate: true });
+
+      expect(draft).toMatchObject({ version: 1, status: 'draft', created_by: 'ceo' });
+      expect(active).toMatchObject({ version: 2, status: 'active' });
+      expect(engine.getPolicy().version).toBe(2);
+
+      await engine.activatePolicy('default', 1);
+      const versions = await policyStore.list({ name: 'default' });
+      expect(versions.map((v) => [v.version, v.status])).toEqual([[2, 'retired'], [1, 'active']]);
+
+      const reloaded = new EscalationEngine({ policyStore });
+      expect(await reloaded.loadPolicy('default')).toMatchObject({ version: 1 });
+      expect(reloaded.getPolicy().rules).toHaveLength(4);
+      expect(await engine.activatePolicy('default', 9)).toBeNull();
+    });
+  });
+
+  describe('dry run', () => {
+    test('reports which historical decisions would change', () => {
+      const engine = new EscalationEngine();
+      const decisions = [
+        {
+          id: 'dec-2', taskId: 't2', role: 'cto', escalated: false, timestamp: '2026-03-05T10:00:00Z',
+          action: 'Approved the renewal', metadata: { task: { content: 'Renew hosting for $9,000', vendor: 'Acme' } },
+        },
+        {
+          id: 'dec-1', task_id: 't1', role_id: 'cto', escalated: false, timestamp: '2026-03-01T10:00:00Z',
+          action: 'Paid $9,500', metadata: { task: { content: 'Onboard hosting provider', vendor: 'Acme' } },
+        },
+        {
+          id: 'dec-0', task_id: 't0', role_id: 'cto', escalated: false, timestamp: '2026-03-01T09:00:00Z',
+          action: 'Paid $4,000', metadata: { task: { content: 'Buy test devices', vendor: 'Globex' } },
+        },
+        {
+          id: 'dec-3', taskId: 't3', role: 'cto', escalated: true, timestamp: '2026-03-06T10:00:00Z',
+          action: 'Signed', metadata: { task: { content: 'Architecture change for billing' } },
+        },
+      ];
+
+      const report = engine.dryRun({ name: 'proposed', version: 2, tags: spendPolicy.tags, rules: spendPolicy.rules }, decisions);
+
+      expect(report.summary).toEqual({
+        evaluated: 4,
+        baselineEscalations: 1,
+        proposedEscalations: 2,
+        newlyEscalated: 2,
+        noLongerEscalated: 1,
+        rulesChanged: 0,
+      });
+      expect(report.changes.map((c) => [c.decisionId, c.change, c.proposed.rules])).toEqual([
+        ['dec-1', 'newly_escalated', ['new-vendor-large-spend']],
+        ['dec-2', 'newly_escalated', ['monthly-budget']],
+        ['dec-3', 'no_longer_escalated', []],
+      ]);
+      expect(report.changes[2]).toMatchObject({ wasEscalated: true, baseline: { rules: ['cto-always-escalate'] } });
+      expect(() => engine.dryRun({ name: 'x' }, decisions)).toThrow('rules must be a list');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for LLMCassette and LLMRouter record/replay
+ * Uses the mock provider to record, then replays with no provider at all
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import LLMCassette, { requestKey } from '../LLMCassette.js';
+import LLMRouter from '../LLMRouter.js';
+import RoleAgent from '../RoleAgent.js';
+import WorkflowEngine from '../../workflows/WorkflowEngine.js';
+
+const originalEnv = process.env;
+
+describe('LLMCassette', () => {
+  let dir;
+  let cassettePath;
+
+  const recorder = (mock = {}) => new LLMRouter({ mockMode: true, mock, cassette: { path: cassettePath, mode: 'record' } });
+  const player = () => new LLMRouter({ mockMode: false, cassette: { path: cassettePath, mode: 'replay' } });
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.ANTHROPIC_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.LLM_CASSETTE;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cassette-'));
+    cassettePath = path.join(dir, 'run.jsonl');
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('requestKey', () => {
+    it('should ignore timestamps and epoch ids in prompts', () => {
+      const a = requestKey({ userMessage: 'Task ID: flow-1767225600000-step-0 at 2026-01-01T00:00:00.000Z' });
+      const b = requestKey({ userMessage: 'Task ID: flow-1767312000000-step-0 at 2026-01-02T09:30:00.000Z' });
+      expect(a).toBe(b);
+    });
+
+    it('should distinguish model and temperature', () => {
+      const base = { modelId: 'claude-sonnet-4', userMessage: 'Hi', temperature: 0.7 };
+      expect(requestKey(base)).not.toBe(requestKey({ ...base, modelId: 'gpt-4o' }));
+      expect(requestKey(base)).not.toBe(requestKey({ ...base, temperature: 0.2 }));
+    });
+  });
+
+  describe('constructor', () => {
+    it('should require a path', () => {
+      expect(() => new LLMCassette({ mode: 'record' })).toThrow('requires a path');
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => new LLMCassette({ path: cassettePath, mode: 'rewind' })).toThrow('Unknown cassette mode');
+    });
+
+    it('should fail when replaying a missing cassette', () => {
+      expect(() => new LLMCassette({ path: cassettePath, mode: 'replay' })).toThrow('not found');
+    });
+
+    it('should be configured from environment variables', () => {
+      process.env.LLM_CASSETTE = cassettePath;
+      process.env.LLM_CASSETTE_MODE = 'record';
+      const router = new LLMRouter();
+      expect(router.cassette.mode).toBe('record');
+      expect(router.cassette.path).toBe(cassettePath);
+    });
+  });
+
+  describe('record', () => {
+    it('should write each request and response as a JSONL line', async () => {
+      const router = recorder({ rules: [{ match: '*', response: 'Recorded answer' }] });
+      await router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U', temperature: 0.3, context: { taskId: 't-1', role: 'cfo' } });
+
+      const lines = fs.readFileSync(cassettePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(1);
+      expect(lines[0].request).toEqual(expect.objectContaining({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U', temperature: 0.3 }));
+      expect(lines[0].response.content).toBe('Recorded answer');
+      expect(lines[0].context).toEqual({ taskId: 't-1', role: 'cfo' });
+    });
+
+    it('should replace a cassette left by an earlier run when recording starts', async () => {
+      const stale = { key: requestKey({ userMessage: 'U' }), request: {}, response: { content: 'Stale answer' } };
+      fs.writeFileSync(cassettePath, JSON.stringify(stale) + '\n');
+      await recorder({ rules: [{ match: '*', response: 'Fresh answer' }] }).complete({ userMessage: 'U' });
+
+      const lines = fs.readFileSync(cassettePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(1);
+      expect(lines[0].response.content).toBe('Fresh answer');
+      expect((await player().complete({ userMessage: 'U' })).content).toBe('Fresh answer');
+    });
+
+    it('should keep what earlier routers in the process recorded', async () => {
+      await recorder({ rules: [{ match: '*', response: 'First answer' }] }).complete({ userMessage: 'First' });
+      await recorder({ rules: [{ match: '*', response: 'Second answer' }] }).complete({ userMessage: 'Second' });
+
+      const lines = fs.readFileSync(cassettePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.response.content)).toEqual(['First answer', 'Second answer']);
+      expect((await player().complete({ userMessage: 'First' })).content).toBe('First answer');
+    });
+
+    it('should record streamed completions once they finish', async () => {
+      const router = recorder({ rules: [{ match: '*', response: 'streamed words' }] });
+      for await (const event of router.complete({ systemPrompt: 'S', userMessage: 'U', stream: true })) {
+        // drain
+      }
+
+      const [entry] = fs.readFileSync(cassettePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(entry.response.content).toBe('streamed words');
+    });
+  });
+
+  describe('replay', () => {
+    it('should serve recorded responses without any provider', async () => {
+      await recorder({ rules: [{ match: '*', response: 'Original decision' }] })
+        .complete({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U' });
+
+      const router = player();
+      const result = await router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U' });
+
+      expect(router.isProviderAvailable('anthropic')).toBe(false);
+      expect(result.content).toBe('Original decision');
+      expect(result.replayed).toBe(true);
+    });
+
+    it('should fail loudly on unmatched requests', async () => {
+      await recorder().complete({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U' });
+
+      await expect(player().complete({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'Different' }))
+        .rejects.toThrow('LLM cassette mismatch');
+    });
+
+    it('should replay identical requests in recorded order', async () => {
+      const mock = new LLMRouter({ mockMode: true, cassette: { path: cassettePath, mode: 'record' } });
+      mock.mock.script('*', 'first');
+      await mock.complete({ userMessage: 'Same' });
+      mock.mock.reset();
+      mock.mock.script('*', 'second');
+      await mock.complete({ userMessage: 'Same' });
+
+      const router = player();
+      expect((await router.complete({ userMessage: 'Same' })).content).toBe('first');
+      expect((await router.complete({ userMessage: 'Same' })).content).toBe('second');
+      await expect(router.complete({ userMessage: 'Same' })).rejects.toThrow('already replayed');
+    });
+
+    it('should replay streams', async () => {
+      await recorder({ rules: [{ match: '*', response: 'Replayed stream' }] }).complete({ userMessage: 'U' });
+
+      const events = [];
+      for await (const event of player().complete({ userMessage: 'U', stream: true })) {
+        events.push(event);
+      }
+
+      expect(events.map(e => e.type)).toEqual(['delta', 'done']);
+      expect(events[1].content).toBe('Replayed stream');
+    });
+
+    it('should find the traffic behind a task', async () => {
+      const router = recorder();
+      await router.complete({ userMessage: 'A', context: { taskId: 'task-a', role: 'cfo' } });
+      await router.complete({ userMessage: 'B', context: { taskId: 'task-b', role: 'cto' } });
+
+      const cassette = new LLMCassette({ path: cassettePath, mode: 'replay' });
+      expect(cassette.find({ taskId: 'task-b' })).toHaveLength(1);
+      expect(cassette.find({ role: 'cfo' })[0].request.userMessage).toBe('A');
+      expect(cassette.getStats()).toEqual(expect.objectContaining({ entries: 2, remaining: 2 }));
+    });
+
+    it('should replay a workflow run with new instance ids', async () => {
+      const runWorkflow = async (llmRouter) => {
+        const decisionLogger = { log: jest.fn().mockResolvedValue('dec-1') };
+        const agents = {
+          cfo: new RoleAgent({ roleId: 'cfo', roleName: 'Chief Financial Officer', roleAbbr: 'CFO', tier: 1, llmRouter, decisionLogger }),
+        };
+        const engine = new WorkflowEngine({ orchestrator: { agents }, decisionLogger });
+        engine.registerWorkflow({
+          id: 'replay-flow',
+          name: 'Replay Flow',
+          steps: [{ name: 'Review', role: 'cfo', taskTemplate: 'Review spend for {{project}}' }],
+        });
+        return engine.startWorkflow('replay-flow', { project: 'Atlas' });
+      };
+
+      const recorded = await runWorkflow(recorder({ rules: [{ match: '*', response: 'ANALYSIS: ok\nDECISION: Odd call\nESCALATE: NO' }] }));
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const replayed = await runWorkflow(player());
+
+      expect(replayed.id).not.toBe(recorded.id);
+      expect(replayed.stepResults[0].result.decision).toBe('Odd call');
+    });
+  });
+});
@@ -466,6 +466,237 @@ describe('LLMRouter', () => {
     });
   });
 
+  describe('tool calling', () => {
+    const tools = [{
+      name: 'browser_navigate',
+      description: 'Open a URL',
+      inputSchema: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] },
+    }];
+
+    it('should send tools to Anthropic and return tool calls', async () => {
+      const router = new LLMRouter();
+      router.anthropic.messages.create = jest.fn().mockResolvedValue({
+        content: [
+          { type: 'text', text: 'Checking the docs.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'browser_navigate', input: { url: 'https://a.com' } },
+        ],
+        usage: { input_tokens: 20, output_tokens: 10 },
+      });
+
+      const result = await router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U', tools });
+
+      expect(router.anthropic.messages.create).toHaveBeenCalledWith(expect.objectContaining({
+        tools: [{ name: 'browser_navigate', description: 'Open a URL', input_schema: tools[0].inputSchema }],
+        tool_choice: { type: 'auto' },
+      }));
+      expect(result.content).toBe('Checking the docs.');
+      expect(result.toolCalls).toEqual([{ id: 'toolu_1', name: 'browser_navigate', input: { url: 'https://a.com' } }]);
+    });
+
+    it('should return no tool calls for plain completions', async () => {
+      const router = new LLMRouter();
+      const result = await router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'S', userMessage: 'U' });
+      expect(result.toolCalls).toEqual([]);
+    });
+
+    it('should format tool turns as Anthropic content blocks', () => {
+      const router = new LLMRouter();
+      const formatted = router.formatAnthropicMessages([
+        { role: 'user', content: 'Research the vendor' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 't1', name: 'browser_navigate', input: { url: 'https://a.com' } }] },
+        { role: 'tool', toolCallId: 't1', name: 'browser_navigate', content: '{"success":true}' },
+        { role: 'user', content: 'Now answer' },
+      ]);
+
+      expect(formatted).toHaveLength(3);
+      expect(formatted[1].content).toEqual([{ type: 'tool_use', id: 't1', name: 'browser_navigate', input: { url: 'https://a.com' } }]);
+      expect(formatted[2]).toEqual({
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 't1', content: '{"success":true}' },
+          { type: 'text', text: 'Now answer' },
+        ],
+      });
+    });
+
+    it('should format tool turns as OpenAI tool messages', () => {
+      const router = new LLMRouter();
+      const formatted = router.formatOpenAIMessages([
+        { role: 'assistant', content: '', toolCalls: [{ id: 'c1', name: 'browser_navigate', input: { url: 'https://a.com' } }] },
+        { role: 'tool', toolCallId: 'c1', content: '{}' },
+      ]);
+
+      expect(formatted[0].tool_calls[0]).toEqual({
+        id: 'c1',
+        type: 'function',
+        function: { name: 'browser_navigate', arguments: '{"url":"https://a.com"}' },
+      });
+      expect(formatted[1]).toEqual({ role: 'tool', tool_call_id: 'c1', content: '{}' });
+    });
+  });
+
+  describe('streaming', () => {
+    const collect = async (stream) => {
+      const events = [];
+      for await (const event of stream) {
+        events.push(event);
+      }
+      return events;
+    };
+
+    const anthropicStream = (...texts) => (async function* () {
+      yield { type: 'message_start', message: { usage: { input_tokens: 12 } } };
+      for (const text of texts) {
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text } };
+      }
+      yield { type: 'message_delta', usage: { output_tokens: 7 } };
+    })();
+
+    it('should yield unified delta events and a final done event', async () => {
+      const router = new LLMRouter();
+      router.anthropic.messages.create = jest.fn().mockResolvedValue(anthropicStream('Hel', 'lo'));
+
+      const events = await collect(router.complete({
+        modelId: 'claude-sonnet-4',
+        systemPrompt: 'Test',
+        userMessage: 'Test',
+        stream: true,
+      }));
+
+      expect(router.anthropic.messages.create).toHaveBeenCalledWith(expect.objectContaining({ stream: true }));
+      expect(events.filter(e => e.type === 'delta').map(e => e.text)).toEqual(['Hel', 'lo']);
+      expect(events[0]).toEqual({ type: 'delta', text: 'Hel', model: 'claude-sonnet-4', provider: 'anthropic' });
+
+      const done = events[events.length - 1];
+      expect(done).toEqual(expect.objectContaining({
+        type: 'done',
+        content: 'Hello',
+        model: 'claude-sonnet-4',
+        inputTokens: 12,
+        outputTokens: 7,
+      }));
+      expect(done.cost).toBeGreaterThan(0);
+    });
+
+    it('should track usage once the stream finishes', async () => {
+      const router = new LLMRouter();
+      router.anthropic.messages.create = jest.fn().mockResolvedValue(anthropicStream('a', 'b', 'c'));
+
+      await collect(router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'Test', userMessage: 'Test', stream: true }));
+
+      expect(router.usageStats.totalCalls).toBe(1);
+      expect(router.usageStats.totalInputTokens).toBe(12);
+      expect(router.usageStats.totalOutputTokens).toBe(7);
+    });
+
+    it('should fall back when the stream fails before the first token', async () => {
+      const router = new LLMRouter();
+      router.anthropic.messages.create = jest.fn().mockRejectedValue(new Error('overloaded'));
+      router.streamWithOpenAI = async function* () {
+        yield { type: 'text', text: 'From GPT' };
+        yield { type: 'usage', inputTokens: 3, outputTokens: 2 };
+      };
+
+      const events = await collect(router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'Test', userMessage: 'Test', stream: true }));
+
+      expect(events[0]).toEqual({ type: 'fallback', from: 'claude-sonnet-4', to: 'gpt-4o', error: 'overloaded' });
+      expect(events[events.length - 1]).toEqual(expect.objectContaining({ type: 'done', content: 'From GPT', model: 'gpt-4o' }));
+    });
+
+    it('should fall back along the task type routing like complete()', async () => {
+      const router = new LLMRouter();
+      const request = {
+        modelId: 'claude-sonnet-4',
+        systemPrompt: 'Test',
+        userMessage: 'Test',
+        context: { taskType: 'summarization' },
+      };
+
+      router.anthropic.messages.create = jest.fn()
+        .mockRejectedValueOnce(new Error('overloaded'))
+        .mockResolvedValueOnce(anthropicStream('Short'));
+      const events = await collect(router.complete({ ...request, stream: true }));
+
+      router.anthropic.messages.create = jest.fn()
+        .mockRejectedValueOnce(new Error('overloaded'))
+        .mockResolvedValueOnce({ content: [{ text: 'Short' }], usage: { input_tokens: 12, output_tokens: 7 } });
+      const response = await router.complete(request);
+
+      expect(events[0]).toEqual({ type: 'fallback', from: 'claude-sonnet-4', to: 'claude-haiku', error: 'overloaded' });
+      expect(response.model).toBe('claude-haiku');
+    });
+
+    it('should stream a conversation from Ollama, including a final line without a newline', async () => {
+      const router = new LLMRouter();
+      const encoder = new TextEncoder();
+      const lines = [
+        '{"response":"Hel","done":false}\n{"resp',
+        'onse":"lo","done":false}\n',
+        '{"response":"","done":true,"prompt_eval_count":9,"eval_count":2}',
+      ];
+      const originalFetch = global.fetch;
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        body: (async function* () {
+          for (const line of lines) yield encoder.encode(line);
+        })(),
+      });
+
+      try {
+        const events = await collect(router.complete({
+          modelId: 'ollama-llama3',
+          systemPrompt: 'Be brief',
+          messages: [
+            { role: 'user', content: 'Hi' },
+            { role: 'assistant', content: 'Hello' },
+            { role: 'user', content: 'Greet me again' },
+          ],
+          stream: true,
+        }));
+
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.prompt).toBe('Be brief\n\nUser: Hi\n\nAssistant: Hello\n\nUser: Greet me again');
+        expect(events[events.length - 1]).toEqual(expect.objectContaining({
+          type: 'done',
+          content: 'Hello',
+          inputTokens: 9,
+          outputTokens: 2,
+        }));
+      } finally {
+        global.fetch = originalFetch;
+      }
+    });
+
+    it('should rethrow when the stream fails after the first token', async () => {
+      const router = new LLMRouter();
+      router.anthropic.messages.create = jest.fn().mockResolvedValue((async function* () {
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'partial' } };
+        throw new Error('connection reset');
+      })());
+      const received = [];
+
+      await expect(async () => {
+        for await (const event of router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'Test', userMessage: 'Test', stream: true })) {
+          received.push(event);
+        }
+      }).rejects.toThrow('connection reset');
+
+      expect(received).toHaveLength(1);
+      expect(router.usageStats.totalCalls).toBe(0);
+    });
+
+    it('should throw when every provider fails before the first token', async () => {
+      const router = new LLMRouter();
+      router.anthropic.messages.create = jest.fn().mockRejectedValue(new Error('overloaded'));
+      router.streamWithOpenAI = async function* () {
+        throw new Error('rate limited');
+      };
+
+      await expect(collect(router.complete({ modelId: 'claude-sonnet-4', systemPrompt: 'Test', userMessage: 'Test', stream: true })))
+        .rejects.toThrow('rate limited');
+    });
+  });
+
   describe('provider methods', () => {
     describe('completeWithAnthropic', () => {
       it('should throw if Anthropic not initialized', async () => {
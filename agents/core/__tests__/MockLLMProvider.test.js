@@ -0,0 +1,208 @@
+/**
+ * Unit tests for MockLLMProvider and LLMRouter mock mode
+ * Tests scripted and fixture responses, latency, token counts, injected failures,
+ * and running the agent stack offline
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MockLLMProvider, { hashPrompt } from '../MockLLMProvider.js';
+import LLMRouter, { LLM_CONFIGS } from '../LLMRouter.js';
+import RoleAgent from '../RoleAgent.js';
+import WorkflowEngine from '../../workflows/WorkflowEngine.js';
+
+const originalEnv = process.env;
+
+describe('MockLLMProvider', () => {
+  const request = { systemPrompt: 'You are the CFO', userMessage: 'Approve the laptop budget' };
+
+  describe('hashPrompt', () => {
+    it('should be stable for the same prompt', () => {
+      expect(hashPrompt(request)).toBe(hashPrompt({ ...request }));
+      expect(hashPrompt(request)).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('should change when the prompt changes', () => {
+      expect(hashPrompt(request)).not.toBe(hashPrompt({ ...request, userMessage: 'Something else' }));
+    });
+  });
+
+  describe('complete', () => {
+    it('should return a deterministic structured response by default', async () => {
+      const mock = new MockLLMProvider();
+      const first = await mock.complete(request);
+      const second = await mock.complete(request);
+
+      expect(first).toEqual(second);
+      expect(first.content).toContain('ANALYSIS:');
+      expect(first.content).toContain('ESCALATE: NO');
+      expect(first.content).toContain(hashPrompt(request));
+    });
+
+    it('should replay responses scripted by prompt hash', async () => {
+      const mock = new MockLLMProvider({ responses: { [hashPrompt(request)]: 'Scripted answer' } });
+      const result = await mock.complete(request);
+      expect(result.content).toBe('Scripted answer');
+    });
+
+    it('should match rules by substring and RegExp', async () => {
+      const mock = new MockLLMProvider()
+        .script('laptop', { content: 'Laptops approved' })
+        .script(/vendor/i, 'Vendor answer');
+
+      expect((await mock.complete(request)).content).toBe('Laptops approved');
+      expect((await mock.complete({ userMessage: 'Pick a Vendor' })).content).toBe('Vendor answer');
+    });
+
+    it('should load fixture files keyed by prompt hash', async () => {
+      const fixturesPath = path.join(os.tmpdir(), `mock-llm-fixtures-${process.pid}.json`);
+      fs.writeFileSync(fixturesPath, JSON.stringify({ [hashPrompt(request)]: { content: 'From fixture', outputTokens: 3 } }));
+
+      try {
+        const mock = new MockLLMProvider({ fixturesPath });
+        const result = await mock.complete(request);
+        expect(result.content).toBe('From fixture');
+        expect(result.outputTokens).toBe(3);
+      } finally {
+        fs.unlinkSync(fixturesPath);
+      }
+    });
+
+    it('should use configured token counts', async () => {
+      const mock = new MockLLMProvider({ tokens: { input: 1000, output: 250 } });
+      const result = await mock.complete(request);
+      expect(result.inputTokens).toBe(1000);
+      expect(result.outputTokens).toBe(250);
+    });
+
+    it('should estimate token counts from text by default', async () => {
+      const mock = new MockLLMProvider({ rules: [{ match: '*', response: 'x'.repeat(40) }] });
+      const result = await mock.complete(request);
+      expect(result.outputTokens).toBe(10);
+      expect(result.inputTokens).toBeGreaterThan(0);
+    });
+
+    it('should simulate latency', async () => {
+      const mock = new MockLLMProvider({ latencyMs: 30 });
+      const start = Date.now();
+      await mock.complete(request);
+      expect(Date.now() - start).toBeGreaterThanOrEqual(25);
+    });
+
+    it('should inject failures a limited number of times', async () => {
+      const mock = new MockLLMProvider().injectFailure('laptop', 'Rate limited', 1);
+
+      await expect(mock.complete(request)).rejects.toThrow('Rate limited');
+      await expect(mock.complete(request)).resolves.toEqual(expect.objectContaining({ content: expect.any(String) }));
+    });
+
+    it('should only return scripted tool calls when tools are offered', async () => {
+      const toolCalls = [{ id: 't1', name: 'browser_navigate', input: { url: 'https://a.com' } }];
+      const mock = new MockLLMProvider().script('*', { content: '', toolCalls });
+
+      expect((await mock.complete(request)).toolCalls).toEqual([]);
+      expect((await mock.complete({ ...request, tools: [{ name: 'browser_navigate' }] })).toolCalls).toEqual(toolCalls);
+    });
+
+    it('should record calls', async () => {
+      const mock = new MockLLMProvider();
+      await mock.complete(request);
+      expect(mock.calls).toHaveLength(1);
+      expect(mock.calls[0].hash).toBe(hashPrompt(request));
+    });
+  });
+
+  describe('stream', () => {
+    it('should stream the same content followed by usage', async () => {
+      const mock = new MockLLMProvider().script('*', 'one two three');
+      const chunks = [];
+      for await (const chunk of mock.stream(request)) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks.filter(c => c.type === 'text').map(c => c.text).join('')).toBe('one two three');
+      expect(chunks[chunks.length - 1].type).toBe('usage');
+    });
+  });
+});
+
+describe('LLMRouter mock mode', () => {
+  beforeEach(() => {
+    process.env = { ...originalEnv, LLM_PROVIDER: 'mock' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should register the mock model in LLM_CONFIGS', () => {
+    expect(LLM_CONFIGS.mock.provider).toBe('mock');
+    expect(LLM_CONFIGS.mock.costPer1kInput).toBe(0);
+  });
+
+  it('should be enabled by LLM_PROVIDER=mock', () => {
+    const router = new LLMRouter();
+    expect(router.mockMode).toBe(true);
+    expect(router.selectLLM({ type: 'strategic_decision' })).toBe('mock');
+    expect(router.selectLLM({ containsPII: true })).toBe('mock');
+  });
+
+  it('should serve every request from the mock, whatever model is asked for', async () => {
+    const router = new LLMRouter();
+    const result = await router.complete({ modelId: 'claude-opus-4', systemPrompt: 'S', userMessage: 'U' });
+
+    expect(result.model).toBe('mock');
+    expect(result.provider).toBe('mock');
+    expect(result.cost).toBe(0);
+    expect(router.getUsageStats().byModel.mock.calls).toBe(1);
+  });
+
+  it('should surface injected failures instead of falling back to a network provider', async () => {
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    const router = new LLMRouter({ mock: { failures: [{ match: '*', error: 'Injected outage' }] } });
+
+    await expect(router.complete({ systemPrompt: 'S', userMessage: 'U' })).rejects.toThrow('Injected outage');
+    expect(router.isProviderAvailable('anthropic')).toBe(false);
+  });
+
+  it('should stream from the mock', async () => {
+    const router = new LLMRouter({ mock: { rules: [{ match: '*', response: 'streamed reply' }] } });
+    const events = [];
+    for await (const event of router.complete({ systemPrompt: 'S', userMessage: 'U', stream: true })) {
+      events.push(event);
+    }
+
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({ type: 'done', content: 'streamed reply', model: 'mock' }));
+  });
+
+  it('should run a workflow end-to-end offline', async () => {
+    const llmRouter = new LLMRouter({
+      mock: {
+        rules: [{ match: 'budget', response: 'ANALYSIS: Budget fits\nACTION: Fund it\nDECISION: Approved\nHANDOFF: None\nESCALATE: NO' }],
+      },
+    });
+    const decisionLogger = { log: jest.fn().mockResolvedValue('dec-1') };
+    const agents = {
+      cfo: new RoleAgent({ roleId: 'cfo', roleName: 'Chief Financial Officer', roleAbbr: 'CFO', tier: 1, llmRouter, decisionLogger }),
+      cto: new RoleAgent({ roleId: 'cto', roleName: 'Chief Technology Officer', roleAbbr: 'CTO', tier: 1, llmRouter, decisionLogger }),
+    };
+    const engine = new WorkflowEngine({ orchestrator: { agents }, decisionLogger });
+    engine.registerWorkflow({
+      id: 'mock-flow',
+      name: 'Mock Flow',
+      steps: [
+        { name: 'Review budget', role: 'cfo', taskTemplate: 'Review the budget for {{project}}' },
+        { name: 'Plan build', role: 'cto', taskTemplate: 'Plan the build for {{project}}' },
+      ],
+    });
+
+    const instance = await engine.startWorkflow('mock-flow', { project: 'Atlas' });
+
+    expect(instance.status).toBe('completed');
+    expect(instance.stepResults[0].result.decision).toBe('Approved');
+    expect(instance.stepResults[1].result.decision).toBe('Approved (mock)');
+    expect(llmRouter.mock.calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for MoneyExtractor
+ * Tests currency, magnitude, period and term parsing, conversion through the
+ * rate table, and the escalation paths that compare extracted commitments
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import moneyExtractor, { MoneyExtractor } from '../MoneyExtractor.js';
+import EscalationEngine from '../EscalationEngine.js';
+import { EscalationClient } from '../../neural-stack/EscalationClient.js';
+import CFOAgent from '../../roles/cfo/agent.js';
+
+describe('MoneyExtractor', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('extract', () => {
+    test('parses currency codes and magnitudes', () => {
+      expect(moneyExtractor.extract('Budget of CAD 30k')).toEqual([expect.objectContaining({
+        text: 'CAD 30k',
+        currency: 'CAD',
+        value: 30000,
+        recurring: false,
+        baseValue: 21900,
+        totalCommitment: 21900,
+      })]);
+      expect(moneyExtractor.largest('US$1.2M and 40 GBP')).toMatchObject({ currency: 'USD', value: 1200000 });
+    });
+
+    test('multiplies recurring amounts over the contract term', () => {
+      expect(moneyExtractor.largest('€12,500/month for 3 years')).toMatchObject({
+        period: 'month',
+        termMonths: 36,
+        baseValue: 13500,
+        annualValue: 162000,
+        totalCommitment: 486000,
+      });
+      expect(moneyExtractor.largest('A 24-month contract at £2,000 per month').termMonths).toBe(24);
+    });
+
+    test('annualises recurring amounts without a term', () => {
+      expect(moneyExtractor.largest('$2M ARR')).toMatchObject({ period: 'year', totalCommitment: 2000000 });
+      expect(moneyExtractor.largest('Plan costs $29/mo')).toMatchObject({ annualValue: 348, totalCommitment: 348 });
+    });
+
+    test('ignores numbers without a currency and terms from another clause', () => {
+      expect(moneyExtractor.extract('Grow to 30k users in 2 years')).toEqual([]);
+      expect(moneyExtractor.largest('$500/month. Renew for 3 years if it works').termMonths).toBeNull();
+    });
+
+    test('describes converted and recurring amounts with their source text', () => {
+      expect(moneyExtractor.describe(moneyExtractor.largest('€1,000 per year'))).toBe('$1,080 (€1,000 per year)');
+      expect(moneyExtractor.describe(moneyExtractor.largest('$15,000'))).toBe('$15,000');
+    });
+  });
+
+  describe('rate table', () => {
+    test('loads rates and the base currency from a local file', () => {
+      const file = path.join(os.tmpdir(), `rates-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify({ base: 'EUR', rates: { EUR: 1, USD: 0.9 } }));
+
+      try {
+        const extractor = new MoneyExtractor({ ratesFile: file, rates: { CAD: 0.7 } });
+        expect(extractor.convert(100, 'USD')).toBe(90);
+        expect(extractor.largest('CAD 1,000')).toMatchObject({ baseCurrency: 'EUR', totalCommitment: 700 });
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    test('leaves amounts in currencies without a rate unconverted', () => {
+      const extractor = new MoneyExtractor({ rates: { INR: 0 } });
+
+      expect(extractor.extract('INR 50,000')[0]).toMatchObject({ baseValue: null, totalCommitment: null });
+      expect(extractor.largest('INR 50,000')).toBeNull();
+    });
+  });
+
+  describe('escalation paths', () => {
+    test('EscalationEngine compares converted, annualised commitments', () => {
+      const engine = new EscalationEngine();
+
+      expect(engine.checkFinancialThresholds({ content: 'Approve CAD 12k' }, {}, 'coo'))
+        .toBeNull();
+      expect(engine.checkFinancialThresholds({ content: 'Renew tooling at $1,000/month' }, {}, 'coo'))
+        .toBe('Financial amount $12,000 ($1,000/month) exceeds single expense threshold ($10,000)');
+      expect(engine.checkFinancialThresholds({ content: 'Sign contract: €2,000/month for 3 years' }, {}, 'cfo'))
+        .toBe('Contract value $77,760 (€2,000/month) exceeds threshold ($50,000)');
+    });
+
+    test('EscalationClient uses the stated commitment, in CAD, as the cost estimate', () => {
+      const client = new EscalationClient({ supabaseUrl: '', supabaseKey: '' });
+
+      expect(client.checkTextTriggers('Team plan at CAD 40/month')).toMatchObject({
+        type: 'cost',
+        pattern: 'CAD 40/month',
+        amount: { totalCommitment: 350.4 },
+      });
+      expect(client.checkEscalationRequired({ text: 'Team plan at CAD 40/month', vendor: 'acme' }).costEstimate).toBe(480);
+      expect(client.checkEscalationRequired({ text: 'Invoice of $70', vendor: 'acme' })).toMatchObject({ tier: 'TIER_2_FINANCIAL', costEstimate: 95.89 });
+      // US$80 is over the CAD 100 strategic threshold
+      expect(client.checkEscalationRequired({ text: 'Invoice of $80', vendor: 'acme' })).toMatchObject({ tier: 'TIER_3_STRATEGIC', costEstimate: 109.59 });
+      expect(client.checkEscalationRequired({ text: 'Invoice of $70/year', vendor: 'acme' }).tier).toBe('TIER_3_STRATEGIC');
+    });
+
+    test('CFOAgent extracts the largest total commitment from a request', () => {
+      const cfo = new CFOAgent({ llmRouter: {}, decisionLogger: { log: jest.fn() } });
+
+      expect(cfo.extractAmount({ description: 'Vendor quote: €5k/month on a 12-month contract, setup $2,000' })).toBe(64800);
+      expect(cfo.extractAmount({ description: 'No cost' })).toBe(0);
+    });
+  });
+});
@@ -305,6 +305,200 @@ describe('RoleAgent', () => {
     });
   });
 
+  describe('tool calling', () => {
+    let browserService;
+    let escalationClient;
+
+    const reply = (overrides = {}) => ({
+      content: 'ANALYSIS: Checked\nACTION: Reviewed pricing\nDECISION: Proceed\nHANDOFF: None\nESCALATE: NO',
+      toolCalls: [],
+      model: 'claude-sonnet-4',
+      provider: 'anthropic',
+      inputTokens: 100,
+      outputTokens: 50,
+      cost: 0.01,
+      latencyMs: 100,
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      browserService = { navigate: jest.fn().mockResolvedValue({ success: true, title: 'Pricing' }) };
+      escalationClient = {
+        checkEscalationRequired: jest.fn().mockReturnValue({ required: false, tier: 'TIER_0_ROUTINE', trigger: null }),
+      };
+      agent = new RoleAgent({ ...mockConfig, browserService, escalationClient });
+    });
+
+    const task = { id: 'task-tools', content: 'Research the vendor pricing page' };
+
+    it('should not send tools when the agent has no capabilities', async () => {
+      const plain = new RoleAgent(mockConfig);
+      await plain.processTask(task);
+      expect(plain.llm.complete.mock.calls[0][0].tools).toBeUndefined();
+    });
+
+    it('should send tool definitions built from capabilities', async () => {
+      agent.llm.complete = jest.fn().mockResolvedValue(reply());
+      await agent.processTask(task);
+
+      const names = agent.llm.complete.mock.calls[0][0].tools.map(t => t.name);
+      expect(names).toEqual(expect.arrayContaining(['browser_navigate', 'browser_fill_form']));
+    });
+
+    it('should execute tool calls and feed results back to the model', async () => {
+      agent.llm.complete = jest.fn()
+        .mockResolvedValueOnce(reply({
+          content: '',
+          toolCalls: [{ id: 'call-1', name: 'browser_navigate', input: { url: 'https://vendor.com/docs' } }],
+        }))
+        .mockResolvedValueOnce(reply());
+
+      const result = await agent.processTask(task);
+
+      expect(browserService.navigate).toHaveBeenCalledWith('https://vendor.com/docs');
+      const secondTurn = agent.llm.complete.mock.calls[1][0].messages;
+      expect(secondTurn[1]).toEqual(expect.objectContaining({ role: 'assistant', toolCalls: expect.any(Array) }));
+      expect(secondTurn[2]).toEqual(expect.objectContaining({ role: 'tool', toolCallId: 'call-1' }));
+      expect(result.toolCalls).toHaveLength(1);
+      expect(result.toolCalls[0].success).toBe(true);
+      expect(result.decision).toBe('Proceed');
+    });
+
+    it('should sum usage across tool turns', async () => {
+      agent.llm.complete = jest.fn()
+        .mockResolvedValueOnce(reply({ toolCalls: [{ id: 'call-1', name: 'browser_navigate', input: { url: 'https://a.com' } }] }))
+        .mockResolvedValueOnce(reply());
+
+      await agent.processTask(task);
+
+      expect(agent.taskHistory[0].tokens).toBe(300);
+    });
+
+    it('should block tool calls that require escalation and escalate the task', async () => {
+      escalationClient.checkEscalationRequired.mockReturnValue({
+        required: true,
+        tier: 'TIER_2_FINANCIAL',
+        trigger: { type: 'payment_form' },
+      });
+      agent.llm.complete = jest.fn()
+        .mockResolvedValueOnce(reply({ toolCalls: [{ id: 'call-1', name: 'browser_navigate', input: { url: 'https://vendor.com/checkout' } }] }))
+        .mockResolvedValueOnce(reply());
+      const escalateHandler = jest.fn();
+      agent.on('escalate', escalateHandler);
+
+      const result = await agent.processTask(task);
+
+      expect(browserService.navigate).not.toHaveBeenCalled();
+      expect(escalationClient.checkEscalationRequired).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://vendor.com/checkout', actionType: 'browser_navigate' })
+      );
+      expect(result.escalate).toBe(true);
+      expect(result.escalateReason).toContain('TIER_2_FINANCIAL');
+      expect(escalateHandler).toHaveBeenCalled();
+    });
+
+    it('should stop calling tools after maxToolTurns', async () => {
+      agent.maxToolTurns = 2;
+      agent.llm.complete = jest.fn().mockImplementation(async (request) => (
+        request.toolChoice === 'none'
+          ? reply()
+          : reply({ toolCalls: [{ id: `call-${Math.random()}`, name: 'browser_navigate', input: { url: 'https://a.com' } }] })
+      ));
+
+      const result = await agent.processTask(task);
+
+      expect(agent.llm.complete).toHaveBeenCalledTimes(3);
+      expect(agent.llm.complete.mock.calls[2][0].toolChoice).toBe('none');
+      expect(result.toolCalls).toHaveLength(2);
+    });
+  });
+
+  describe('consult', () => {
+    it('should return the raw response with routing metadata', async () => {
+      const result = await agent.consult('What is our cash runway?');
+      expect(result.content).toContain('Test analysis');
+      expect(result.model).toBe('claude-sonnet-4');
+      expect(result.inputTokens).toBe(100);
+      expect(result.outputTokens).toBe(50);
+      expect(result.taskType).toBe('general');
+    });
+
+    it('should log the consultation as a decision', async () => {
+      await agent.consult('Should we renew the vendor?', { source: 'cli' });
+      expect(agent.logger.log).toHaveBeenCalledWith(expect.objectContaining({
+        role: 'cfo',
+        action: 'consultation',
+        model: 'claude-sonnet-4',
+        tokens: 150,
+        metadata: expect.objectContaining({ source: 'cli', question: 'Should we renew the vendor?' }),
+      }));
+    });
+
+    it('should select the model by task type', async () => {
+      await agent.consult('Summarize the quarter');
+      expect(agent.llm.complete).toHaveBeenCalledWith(expect.objectContaining({
+        modelId: 'claude-haiku',
+        userMessage: 'Summarize the quarter',
+      }));
+    });
+
+    it('should defer to the router for confidential questions', async () => {
+      agent.llm.selectLLM = jest.fn().mockReturnValue('ollama-llama3');
+      await agent.consult('Review salary data', { confidential: true });
+      expect(agent.llm.selectLLM).toHaveBeenCalledWith(expect.objectContaining({ confidential: true }));
+      expect(agent.llm.complete).toHaveBeenCalledWith(expect.objectContaining({ modelId: 'ollama-llama3' }));
+    });
+
+    it('should apply knowledge guidance to the system prompt', async () => {
+      agent.knowledgeComputer = {
+        getApplicableInstructions: jest.fn().mockResolvedValue(['Always state the payback period']),
+      };
+      const result = await agent.consult('Evaluate this investment');
+      expect(agent.knowledgeComputer.getApplicableInstructions).toHaveBeenCalledWith('cfo', expect.objectContaining({ category: 'analysis' }));
+      expect(agent.llm.complete.mock.calls[0][0].systemPrompt).toContain('Always state the payback period');
+      expect(result.guidance).toEqual(['Always state the payback period']);
+    });
+
+    it('should stream deltas to onDelta and return the final completion', async () => {
+      agent.llm.complete = jest.fn().mockImplementation(async function* () {
+        yield { type: 'delta', text: 'Runway is ' };
+        yield { type: 'delta', text: '18 months' };
+        yield {
+          type: 'done', content: 'Runway is 18 months', model: 'claude-sonnet-4', provider: 'anthropic',
+          inputTokens: 10, outputTokens: 5, cost: 0.001, latencyMs: 20,
+        };
+      });
+      const deltas = [];
+
+      const result = await agent.consult('What is our cash runway?', { onDelta: (text) => deltas.push(text) });
+
+      expect(agent.llm.complete).toHaveBeenCalledWith(expect.objectContaining({ stream: true }));
+      expect(deltas).toEqual(['Runway is ', '18 months']);
+      expect(result.content).toBe('Runway is 18 months');
+      expect(result.outputTokens).toBe(5);
+    });
+  });
+
+  describe('getKnowledgeGuidance', () => {
+    it('should return no guidance without a knowledge computer', async () => {
+      expect(await agent.getKnowledgeGuidance({ content: 'x' }, 'general')).toEqual([]);
+    });
+
+    it('should return no guidance when the knowledge layer fails', async () => {
+      agent.knowledgeComputer = {
+        getApplicableInstructions: jest.fn().mockRejectedValue(new Error('offline')),
+      };
+      expect(await agent.getKnowledgeGuidance({ content: 'x' }, 'general')).toEqual([]);
+    });
+  });
+
+  describe('systemPrompt override', () => {
+    it('should use a supplied persona prompt', () => {
+      const persona = new RoleAgent({ ...mockConfig, systemPrompt: 'You are the CFO persona.' });
+      expect(persona.systemPrompt).toBe('You are the CFO persona.');
+    });
+  });
+
   describe('buildTaskPrompt', () => {
     it('should include task details in prompt', () => {
       const task = {
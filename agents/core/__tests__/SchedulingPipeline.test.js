@@ -0,0 +1,213 @@
+/**
+ * Unit tests for SchedulingPipeline
+ * Tests rule-first routing with SmartRouter tie-breaking and outcome recording,
+ * the dependency gate for agent-reported blockers, executors registered as
+ * agents and the shared task status model built from the durable queue
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import SchedulingPipeline from '../SchedulingPipeline.js';
+import TaskOrchestrator from '../TaskOrchestrator.js';
+import TaskQueue, { MemoryQueueStore } from '../TaskQueue.js';
+import { toUnifiedStatus, summarizeTasks } from '../TaskStatus.js';
+import { TaskRouter } from '../../orchestration/TaskRouter.js';
+import { ExecutionEngine } from '../../orchestration/ExecutionEngine.js';
+import SmartRouter from '../../intelligence/SmartRouter.js';
+
+const offlineDb = { isAvailable: () => false };
+
+function createPipeline() {
+  const queue = new TaskQueue({ store: new MemoryQueueStore(), dbService: offlineDb, workerId: 'worker-a' });
+  const orchestrator = new TaskOrchestrator({ dbService: offlineDb, queue });
+  return new SchedulingPipeline({
+    orchestrator,
+    taskRouter: new TaskRouter(),
+    smartRouter: new SmartRouter({ dbService: offlineDb }),
+  });
+}
+
+function registerAgent(pipeline, roleId, processTask = async (task) => ({ taskId: task.id, role: roleId })) {
+  const agent = new EventEmitter();
+  Object.assign(agent, { roleId, roleAbbr: roleId.toUpperCase(), isActive: false, processTask, getStatus: () => ({}) });
+  pipeline.orchestrator.registerAgent(agent);
+  return agent;
+}
+
+describe('SchedulingPipeline', () => {
+  let pipeline;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    pipeline = createPipeline();
+    for (const role of ['cos', 'cfo', 'cto', 'chro', 'ciso']) {
+      registerAgent(pipeline, role);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('routing', () => {
+    test('keeps an explicit assignment to a registered agent', async () => {
+      const record = await pipeline.submit({ id: 't1', content: 'Review the budget', assigned_role: 'cto' });
+
+      expect(record).toMatchObject({ role: 'cto', status: 'queued', routing: { source: 'explicit', candidates: ['cto'] } });
+    });
+
+    test('applies a single matching rule, falling back to the team lead of an unregistered role', async () => {
+      const record = await pipeline.submit({ id: 't1', content: 'Reconcile expense receipts' });
+
+      expect(record.role).toBe('cfo');
+      expect(record.routing).toMatchObject({ source: 'rule', candidates: ['cfo'] });
+    });
+
+    test('breaks a tie between rule targets with SmartRouter ranking', async () => {
+      const record = await pipeline.submit({ id: 't1', content: 'Set the budget to hire a candidate' });
+
+      expect(record.routing.source).toBe('tie_break');
+      expect(record.routing.candidates.sort()).toEqual(['cfo', 'chro']);
+      expect(record.role).toBe('cfo');
+    });
+
+    test('lets SmartRouter pick when no rule matches', async () => {
+      const record = await pipeline.submit({ id: 't1', content: 'Assess vulnerability exposure' });
+
+      expect(record).toMatchObject({ role: 'ciso', routing: { source: 'smart' } });
+      expect((await pipeline.getStatus()).routing).toMatchObject({ smart: 1, rule: 0 });
+    });
+
+    test('records task outcomes back to SmartRouter', async () => {
+      registerAgent(pipeline, 'cto', async () => {
+        throw new Error('LLM unavailable');
+      });
+      await pipeline.submit({ id: 't1', content: 'Reconcile expense receipts' });
+      await pipeline.submit({ id: 't2', content: 'Investigate outage', assigned_role: 'cto', retryCount: 2 });
+      await pipeline.orchestrator.processTick();
+
+      expect(pipeline.smartRouter.learnings.get('cfo_general')).toMatchObject({ total: 1, success: 1 });
+      expect(pipeline.smartRouter.learnings.get('cto_investigation')).toMatchObject({ total: 1, success: 0 });
+      expect(await pipeline.getTask('t2')).toMatchObject({ status: 'failed', error: 'LLM unavailable' });
+    });
+  });
+
+  describe('dependency gate', () => {
+    test('holds a task an agent blocked on a decision until the decision is resolved', async () => {
+      const executor = jest.fn()
+        .mockResolvedValueOnce({ blocked: true, blockerInfo: ExecutionEngine.createDecisionBlocker({ title: 'Pick a vendor' }) })
+        .mockResolvedValue({ outputs: { vendor: 'acme' } });
+      pipeline.registerExecutor('coo', executor);
+
+      await pipeline.submit({ id: 't1', content: 'Choose a vendor', assigned_role: 'coo' });
+      await pipeline.orchestrator.processTick();
+
+      expect(await pipeline.getTask('t1')).toMatchObject({ status: 'blocked', stage: 'dependency_gate', blocker: { type: 'decision' } });
+
+      await pipeline.orchestrator.processTick();
+      expect(executor).toHaveBeenCalledTimes(1);
+
+      expect(await pipeline.resolveBlocker('t1', { decision: 'approve', resolvedBy: 'ceo' })).toMatchObject({ status: 'queued', blocker: null });
+      await pipeline.orchestrator.processTick();
+
+      expect(executor).toHaveBeenCalledTimes(2);
+      expect(executor.mock.calls[1][0].blocker_info.decision_needed).toMatchObject({ resolved: true, decision: 'approve' });
+      expect((await pipeline.getTask('t1')).status).toBe('completed');
+      expect(await pipeline.resolveBlocker('t1')).toBeNull();
+    });
+
+    test('releases a task blocked on another agent once that task completes', async () => {
+      const executor = jest.fn()
+        .mockResolvedValueOnce({ blocked: true, blockerInfo: ExecutionEngine.createAgentBlocker('cto', 't1') })
+        .mockResolvedValue({ outputs: {} });
+      pipeline.registerExecutor('coo', executor);
+
+      await pipeline.submit({ id: 't2', content: 'Publish the release notes', assigned_role: 'coo' });
+      await pipeline.orchestrator.processTick();
+      expect(await pipeline.checkBlocker(pipeline.orchestrator.taskQueue[0])).toBe(false);
+
+      await pipeline.orchestrator.processTick();
+      expect(executor).toHaveBeenCalledTimes(1);
+
+      // cto runs before coo within a tick, so t2 is claimed right after t1 completes
+      await pipeline.submit({ id: 't1', content: 'Ship the release', assigned_role: 'cto' });
+      await pipeline.orchestrator.processTick();
+      expect(executor).toHaveBeenCalledTimes(2);
+      expect(await pipeline.getTask('t2')).toMatchObject({ status: 'completed', blocker: null });
+    });
+  });
+
+  describe('status model', () => {
+    test('reports counts, per-agent work status and queue state', async () => {
+      let finish;
+      registerAgent(pipeline, 'cto', () => new Promise((resolve) => { finish = resolve; }));
+      await pipeline.submit({ id: 't1', content: 'Design the API', assigned_role: 'cto' });
+      await pipeline.submit({ id: 't2', content: 'Review the architecture', assigned_role: 'cto' });
+      await pipeline.submit({ id: 't3', content: 'Reconcile expense receipts' });
+
+      const tick = pipeline.orchestrator.processTick();
+      await new Promise((resolve) => setImmediate(resolve));
+      const status = await pipeline.getStatus();
+
+      // cfo's task ran first in the tick; cto is still working on t1
+      expect(status.counts).toMatchObject({ queued: 1, active: 1, completed: 1 });
+      expect(status.agents.find((a) => a.role === 'cto')).toMatchObject({ status: 'working', queue_depth: 1, active_task: { id: 't1' } });
+      expect(status.agents.find((a) => a.role === 'chro')).toMatchObject({ status: 'idle', queue_depth: 0 });
+      expect(status.queue).toMatchObject({ ready: 1, leased: 1, completed: 1 });
+
+      finish({ taskId: 't1', role: 'cto' });
+      await tick;
+      const after = await pipeline.getStatus();
+      expect(after.counts).toMatchObject({ queued: 1, active: 0, completed: 2 });
+      expect(after.throughput.completed_today).toBe(2);
+    });
+
+    test('is built from the shared queue, so other processes and restarts see the same tasks', async () => {
+      await pipeline.submit({ id: 't1', content: 'Design the API', assigned_role: 'cto' });
+      await pipeline.orchestrator.processTick();
+
+      // An intake-only pipeline (e.g. the dashboard's) on the same queue, never started
+      const store = pipeline.orchestrator.queue.store;
+      const queue = new TaskQueue({ store, dbService: offlineDb, workerId: 'worker-b' });
+      const other = new SchedulingPipeline({
+        orchestrator: new TaskOrchestrator({ dbService: offlineDb, queue }),
+        taskRouter: new TaskRouter(),
+        smartRouter: new SmartRouter({ dbService: offlineDb }),
+        servedRoles: ['cos', 'cfo', 'cto', 'chro', 'ciso'],
+      });
+      const submitted = await other.submit({ id: 't2', content: 'Reconcile expense receipts' });
+
+      expect(submitted).toMatchObject({ role: 'cfo', status: 'queued', routing: { source: 'rule' } });
+      expect(await pipeline.getTask('t2')).toMatchObject({ status: 'queued', role: 'cfo' });
+      expect(await other.getTask('t1')).toMatchObject({ status: 'completed', role: 'cto' });
+
+      const status = await other.getStatus({ roles: ['qa'] });
+      expect(status.counts).toMatchObject({ queued: 1, completed: 1 });
+      expect(status.routing).toMatchObject({ explicit: 1, rule: 1 });
+      expect(status.agents.find((a) => a.role === 'qa')).toMatchObject({ status: 'idle' });
+      expect((await other.listTasks({ status: 'queued' })).map((t) => t.id)).toEqual(['t2']);
+    });
+
+    test('maps every task vocabulary onto the unified statuses', () => {
+      expect(['pending', 'ready', 'queued'].map(toUnifiedStatus)).toEqual(['queued', 'queued', 'queued']);
+      expect(['in_progress', 'leased', 'active'].map(toUnifiedStatus)).toEqual(['active', 'active', 'active']);
+      expect(['blocked_decision', 'blocked_payment'].map(toUnifiedStatus)).toEqual(['blocked', 'blocked']);
+      expect(['dead', 'failed'].map(toUnifiedStatus)).toEqual(['failed', 'failed']);
+      expect(toUnifiedStatus('unknown')).toBeNull();
+    });
+
+    test('summarizes task table rows the same way', () => {
+      const { counts, agents, summary } = summarizeTasks([
+        { id: 'a', role: 'cfo', status: 'active', started_at: new Date().toISOString() },
+        { id: 'b', role: 'cfo', status: 'blocked_agent' },
+        { id: 'c', role: 'cto', status: 'queued' },
+      ], { roles: ['qa'] });
+
+      expect(counts).toMatchObject({ active: 1, blocked: 1, queued: 1 });
+      expect(agents.map((a) => [a.role, a.status])).toEqual([['qa', 'idle'], ['cfo', 'working'], ['cto', 'ready']]);
+      expect(summary).toMatchObject({ working: 1, ready: 1, idle: 1, total_queued: 1, total_blocked: 1 });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Unit tests for TaskQueue
+ * Tests leases, heartbeats, exactly-once completion and dead-lettering on the
+ * in-memory store and on the database store (embedded local storage), and how
+ * TaskOrchestrator processes share and recover work through it
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import TaskQueue, { MemoryQueueStore, DatabaseQueueStore } from '../TaskQueue.js';
+import TaskOrchestrator from '../TaskOrchestrator.js';
+import { DatabaseService } from '../../services/DatabaseService.js';
+import { resetStorage } from '../../storage/index.js';
+
+const offlineDb = { isAvailable: () => false };
+
+function createTask(id, extras = {}) {
+  return { id, content: `Task ${id}`, assigned_role: 'cfo', priority: 'MEDIUM', priorityScore: 50, ...extras };
+}
+
+const stores = {
+  memory: async () => new MemoryQueueStore(),
+  database: async () => {
+    await resetStorage();
+    return new DatabaseQueueStore(new DatabaseService({ adapter: 'local', storagePath: ':memory:' }));
+  },
+};
+
+describe.each(Object.keys(stores))('TaskQueue (%s store)', (storeName) => {
+  let store;
+  let queue;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    store = await stores[storeName]();
+    queue = new TaskQueue({ store, dbService: offlineDb, workerId: 'worker-a', leaseMs: 1000 });
+  });
+
+  afterAll(() => resetStorage());
+
+  test('enqueue is idempotent by task ID', async () => {
+    const first = await queue.enqueue(createTask('t1'));
+    const second = await queue.enqueue(createTask('t1', { content: 'changed' }));
+
+    expect(first.created).toBe(true);
+    expect(second.created).toBe(false);
+    expect(second.job.task.content).toBe('Task t1');
+  });
+
+  test('claims the highest-priority ready job for the role and leases it', async () => {
+    await queue.enqueue(createTask('low', { priorityScore: 25 }));
+    await queue.enqueue(createTask('high', { priorityScore: 75 }));
+    await queue.enqueue(createTask('other-role', { assigned_role: 'cto', priorityScore: 100 }));
+
+    const lease = await queue.claim({ roles: ['cfo'] });
+    const job = await queue.get('high');
+
+    expect(lease).toMatchObject({ id: 'high', attempts: 0 });
+    expect(job).toMatchObject({ status: 'leased', lease_owner: 'worker-a', lease_token: lease.token });
+    expect(await queue.claim({ roles: ['cfo'], accept: (task) => task.id !== 'low' })).toBeNull();
+  });
+
+  test('a job is leased to only one worker', async () => {
+    const other = new TaskQueue({ store, dbService: offlineDb, workerId: 'worker-b' });
+    await queue.enqueue(createTask('t1'));
+
+    const [a, b] = await Promise.all([queue.claim(), other.claim()]);
+
+    expect([a, b].filter(Boolean)).toHaveLength(1);
+  });
+
+  test('completes exactly once, and only for the lease holder', async () => {
+    await queue.enqueue(createTask('t1'));
+    const lease = await queue.claim();
+
+    expect(await queue.complete({ ...lease, token: 'stale' }, {})).toEqual({ completed: false, reason: 'lease_lost' });
+    expect((await queue.complete(lease, { decision: 'ok' })).completed).toBe(true);
+    expect(await queue.complete(lease, { decision: 'again' })).toEqual({ completed: false, reason: 'already_completed' });
+    expect((await queue.get('t1')).result).toEqual({ decision: 'ok' });
+  });
+
+  test('heartbeats extend the lease until it is lost', async () => {
+    await queue.enqueue(createTask('t1'));
+    const lease = await queue.claim({ leaseMs: 10 });
+    const before = lease.expiresAt;
+
+    expect(await queue.heartbeat(lease, 5000)).toBe(true);
+    expect(new Date(lease.expiresAt).getTime()).toBeGreaterThan(new Date(before).getTime());
+    expect(await queue.heartbeat({ ...lease, token: 'stale' })).toBe(false);
+  });
+
+  test('failed attempts return to the queue, then dead-letter', async () => {
+    const deadLettered = jest.fn();
+    queue.on('deadLettered', deadLettered);
+    await queue.enqueue(createTask('t1'), { maxAttempts: 2 });
+
+    const first = await queue.fail(await queue.claim(), new Error('boom'), { task: createTask('t1'), priorityScore: 30 });
+    const second = await queue.fail(await queue.claim(), new Error('boom again'));
+
+    expect(first).toMatchObject({ status: 'ready', attempts: 1 });
+    expect(second).toMatchObject({ status: 'dead', attempts: 2 });
+    expect(deadLettered).toHaveBeenCalledTimes(1);
+    expect(await queue.claim()).toBeNull();
+
+    const [dead] = await queue.listDeadLetters();
+    expect(dead).toMatchObject({ id: 't1', attempts: 2, last_error: 'boom again', priority_score: 30 });
+    expect(dead.task.retryCount).toBe(1);
+  });
+
+  test('expired leases are reclaimed and count as an attempt', async () => {
+    await queue.enqueue(createTask('t1'), { maxAttempts: 2 });
+    const crashed = await queue.claim({ leaseMs: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(await queue.reclaimExpired()).toEqual([expect.objectContaining({ id: 't1', status: 'ready', attempts: 1 })]);
+
+    const retry = await queue.claim({ leaseMs: 1 });
+    expect(retry.attempts).toBe(1);
+    expect(await queue.complete(crashed, {})).toEqual({ completed: false, reason: 'lease_lost' });
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(await queue.reclaimExpired()).toEqual([expect.objectContaining({ id: 't1', status: 'dead', attempts: 2 })]);
+  });
+
+  test('requeues dead letters with fresh attempts', async () => {
+    await queue.enqueue(createTask('t1'), { maxAttempts: 1 });
+    await queue.fail(await queue.claim(), new Error('boom'));
+
+    expect(await queue.requeue('missing')).toBeNull();
+    const job = await queue.requeue('t1');
+
+    expect(job).toMatchObject({ status: 'ready', attempts: 0 });
+    expect(await queue.getStats()).toMatchObject({ ready: 1, leased: 0, completed: 0, dead: 0 });
+    expect((await queue.claim()).id).toBe('t1');
+  });
+});
+
+describe('TaskOrchestrator with TaskQueue', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    store = new MemoryQueueStore();
+  });
+
+  function createOrchestrator(workerId, processTask, config = {}) {
+    const queue = new TaskQueue({ store, dbService: offlineDb, workerId, leaseMs: config.leaseMs || 1000 });
+    const orchestrator = new TaskOrchestrator({ dbService: offlineDb, queue, ...config });
+    const agent = new EventEmitter();
+    Object.assign(agent, { roleId: 'cfo', roleAbbr: 'CFO', isActive: false, processTask, getStatus: () => ({}) });
+    orchestrator.registerAgent(agent);
+    return orchestrator;
+  }
+
+  test('two orchestrators sharing a queue process each task once', async () => {
+    const processed = [];
+    const work = async (task) => {
+      processed.push(task.id);
+      return { taskId: task.id, role: 'cfo' };
+    };
+    const a = createOrchestrator('a', work);
+    const b = createOrchestrator('b', work);
+
+    await a.queueTask(createTask('t1'));
+    await b.queueTask(createTask('t2'));
+    await b.queueTask(createTask('t1'));
+    await Promise.all([a.processTick(), b.processTick()]);
+    await Promise.all([a.processTick(), b.processTick()]);
+
+    expect(processed.sort()).toEqual(['t1', 't2']);
+    expect(await a.getQueueStats()).toMatchObject({ completed: 2, ready: 0 });
+  });
+
+  test('a task leased by a crashed orchestrator is picked up by another', async () => {
+    // Never finishes and never heartbeats, like a process that died mid-task
+    const crashed = createOrchestrator('crashed', () => new Promise(() => {}), { leaseMs: 5, heartbeatInterval: 60000 });
+    await crashed.queueTask(createTask('t1'));
+    crashed.processTick();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const completed = jest.fn();
+    const survivor = createOrchestrator('survivor', async (task) => ({ taskId: task.id, role: 'cfo' }));
+    survivor.on('taskCompleted', completed);
+    await survivor.processTick();
+
+    expect(completed).toHaveBeenCalledWith(expect.objectContaining({ task: expect.objectContaining({ id: 't1', retryCount: 1 }) }));
+  });
+
+  test('dead-letters after repeated failures and requeues on request', async () => {
+    let failing = true;
+    const orchestrator = createOrchestrator('a', async (task) => {
+      if (failing) throw new Error('LLM unavailable');
+      return { taskId: task.id, role: 'cfo' };
+    });
+    const failed = jest.fn();
+    orchestrator.on('taskFailed', failed);
+
+    await orchestrator.queueTask(createTask('t1'));
+    for (let i = 0; i < 3; i++) await orchestrator.processTick();
+
+    expect(failed).toHaveBeenCalledTimes(1);
+    expect(orchestrator.taskQueue).toEqual([]);
+    expect(await orchestrator.getDeadLetters()).toEqual([expect.objectContaining({ id: 't1', attempts: 3, last_error: 'LLM unavailable' })]);
+
+    failing = false;
+    const task = await orchestrator.requeueDeadLetter('t1');
+    await orchestrator.processTick();
+
+    expect(task.retryCount).toBe(0);
+    expect((await orchestrator.getQueueJob('t1')).status).toBe('completed');
+    expect(await orchestrator.requeueDeadLetter('t1')).toBeNull();
+  });
+
+  test('does not run a completed task again when it is re-queued', async () => {
+    const work = jest.fn(async (task) => ({ taskId: task.id, role: 'cfo' }));
+    const orchestrator = createOrchestrator('a', work);
+
+    await orchestrator.queueTask(createTask('t1'));
+    await orchestrator.processTick();
+    await orchestrator.queueTask(createTask('t1'));
+    await orchestrator.processTick();
+
+    expect(work).toHaveBeenCalledTimes(1);
+    expect(orchestrator.taskQueue).toEqual([]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for ToolRegistry
+ * Tests capability-based tool exposure and escalation gating of tool calls
+ */
+
+import { jest } from '@jest/globals';
+import ToolRegistry from '../ToolRegistry.js';
+import { EscalationClient } from '../../neural-stack/EscalationClient.js';
+
+const createAgent = (services = {}) => {
+  const caps = [];
+  if (services.gmailService) caps.push('email:send', 'email:search', 'email:read');
+  if (services.browserService) caps.push('browser:navigate', 'browser:screenshot', 'browser:content', 'browser:form');
+  return {
+    roleAbbr: 'CFO',
+    ...services,
+    hasCapability: (capability) => caps.includes(capability),
+  };
+};
+
+describe('ToolRegistry', () => {
+  let escalationClient;
+  let browserService;
+  let gmailService;
+
+  beforeEach(() => {
+    escalationClient = new EscalationClient({ supabaseUrl: '', supabaseKey: '' });
+    browserService = {
+      navigate: jest.fn().mockResolvedValue({ success: true, title: 'Docs' }),
+      fillForm: jest.fn().mockResolvedValue({ success: true }),
+      getPageContent: jest.fn().mockRejectedValue(new Error('Browser crashed')),
+    };
+    gmailService = {
+      sendEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'msg-1' }),
+    };
+  });
+
+  describe('tool definitions', () => {
+    it('should only expose tools for available capabilities', () => {
+      const registry = new ToolRegistry(createAgent({ browserService }), { escalationClient });
+      const names = registry.getDefinitions().map(t => t.name);
+
+      expect(names).toContain('browser_navigate');
+      expect(names).toContain('browser_fill_form');
+      expect(names).not.toContain('send_email');
+    });
+
+    it('should be empty for agents without services', () => {
+      const registry = new ToolRegistry(createAgent(), { escalationClient });
+      expect(registry.size).toBe(0);
+    });
+
+    it('should describe inputs with JSON schema', () => {
+      const registry = new ToolRegistry(createAgent({ gmailService }), { escalationClient });
+      const sendEmail = registry.getDefinitions().find(t => t.name === 'send_email');
+
+      expect(sendEmail.inputSchema.type).toBe('object');
+      expect(sendEmail.inputSchema.required).toEqual(['to', 'subject', 'body']);
+    });
+  });
+
+  describe('execute', () => {
+    it('should run allowed tool calls against the service', async () => {
+      const registry = new ToolRegistry(createAgent({ browserService }), { escalationClient });
+      const outcome = await registry.execute('browser_navigate', { url: 'https://docs.example.com' });
+
+      expect(browserService.navigate).toHaveBeenCalledWith('https://docs.example.com');
+      expect(outcome).toEqual({ success: true, result: { success: true, title: 'Docs' } });
+    });
+
+    it('should block navigation to checkout pages', async () => {
+      const registry = new ToolRegistry(createAgent({ browserService }), { escalationClient });
+      const outcome = await registry.execute('browser_navigate', { url: 'https://vendor.com/checkout' });
+
+      expect(browserService.navigate).not.toHaveBeenCalled();
+      expect(outcome.blocked).toBe(true);
+      expect(outcome.escalation.required).toBe(true);
+      expect(outcome.escalation.trigger.url).toBe('https://vendor.com/checkout');
+    });
+
+    it('should block filling payment forms', async () => {
+      const registry = new ToolRegistry(createAgent({ browserService }), { escalationClient });
+      const outcome = await registry.execute('browser_fill_form', { fields: { '#card-number': '4242424242424242' } });
+
+      expect(browserService.fillForm).not.toHaveBeenCalled();
+      expect(outcome.blocked).toBe(true);
+    });
+
+    it('should block emails that commit to purchases', async () => {
+      const registry = new ToolRegistry(createAgent({ gmailService }), { escalationClient });
+      const outcome = await registry.execute('send_email', {
+        to: 'sales@vendor.com',
+        subject: 'Order',
+        body: 'Please place order for 20 seats',
+      });
+
+      expect(gmailService.sendEmail).not.toHaveBeenCalled();
+      expect(outcome.blocked).toBe(true);
+    });
+
+    it('should pass the tool name to the escalation check', async () => {
+      const check = jest.spyOn(escalationClient, 'checkEscalationRequired');
+      const registry = new ToolRegistry(createAgent({ browserService }), { escalationClient });
+
+      await registry.execute('browser_navigate', { url: 'https://docs.example.com' });
+
+      expect(check).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://docs.example.com', actionType: 'browser_navigate' }));
+    });
+
+    it('should return errors thrown by services', async () => {
+      const registry = new ToolRegistry(createAgent({ browserService }), { escalationClient });
+      const outcome = await registry.execute('browser_get_content', {});
+
+      expect(outcome).toEqual({ success: false, error: 'Browser crashed' });
+    });
+
+    it('should reject unknown tools', async () => {
+      const registry = new ToolRegistry(createAgent({ browserService }), { escalationClient });
+      const outcome = await registry.execute('send_email', {});
+
+      expect(outcome).toEqual({ success: false, error: 'Unknown tool: send_email' });
+    });
+  });
+});
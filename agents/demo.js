@@ -6,6 +6,7 @@
 
 import 'dotenv/config';
 import { runDemo, initializeAgentSystem } from './index.js';
+import { flattenSteps } from './workflows/WorkflowEngine.js';
 
 // Helper function to test an agent
 async function testAgent(roleId, task) {
@@ -266,8 +267,8 @@ async function main(argsOverride = null) {
       for (const wf of availableWorkflows) {
         console.log(`\n📋 ${wf.name} (${wf.id})`);
         console.log(`   ${wf.description}`);
-        console.log(`   Steps: ${wf.steps.length}`);
-        console.log(`   Roles: ${wf.steps.map(s => s.role).join(' → ')}`);
+        console.log(`   Steps: ${flattenSteps(wf).length}`);
+        console.log(`   Roles: ${flattenSteps(wf).map(s => s.role).join(' → ')}`);
       }
       break;
 
@@ -6,9 +6,24 @@
 import LLMRouter from './core/LLMRouter.js';
 import RoleAgent from './core/RoleAgent.js';
 import TaskOrchestrator from './core/TaskOrchestrator.js';
+import SchedulingPipeline from './core/SchedulingPipeline.js';
 import DecisionLogger from './core/DecisionLogger.js';
 import EscalationEngine from './core/EscalationEngine.js';
+import EscalationPolicyStore from './core/EscalationPolicyStore.js';
+import budgetEnforcer from './core/BudgetEnforcer.js';
+import DecisionInbox, {
+  fromTaskOrchestrator,
+  fromEscalationEngine,
+  fromResolutionSystem,
+  fromEscalationClient,
+  fromExceptionEscalation,
+  formatDigestText,
+} from './core/DecisionInbox.js';
 import EmailNotifier from './notifications/email/EmailNotifier.js';
+import SlackNotifier from './notifications/slack/SlackNotifier.js';
+import ResolutionSystem from './orchestration/ResolutionSystem.js';
+import escalationClient from './neural-stack/EscalationClient.js';
+import { ExceptionEscalation } from './neural-stack/ExceptionEscalation.js';
 
 // Role Agents - Phase 1
 import ChiefOfStaffAgent from './roles/cos/agent.js';
@@ -34,10 +49,17 @@ import QAAgent from './roles/qa/agent.js';
 
 // Workflows - Phase 4
 import WorkflowEngine from './workflows/WorkflowEngine.js';
+import WorkflowLoader from './workflows/WorkflowLoader.js';
 import { workflows } from './workflows/definitions.js';
 
 // Intelligence - Phase 5
 import IntelligenceHub from './intelligence/index.js';
+import outcomeTracker from './intelligence/OutcomeTracker.js';
+import { KnowledgeComputer } from './neural-stack/KnowledgeComputer.js';
+import { KnowledgeVersioning } from './neural-stack/KnowledgeVersioning.js';
+import { ShadowEvaluator } from './neural-stack/ShadowEvaluator.js';
+import { RecommendationGenerator } from './neural-stack/RecommendationGenerator.js';
+import { runDailyTeamLeadReviews, scheduleDailyReviews } from './neural-stack/DailyScheduler.js';
 
 // Production - Phase 6
 import ProductionWrapper from './production/index.js';
@@ -58,8 +80,21 @@ async function initializeAgentSystem(config = {}) {
   // Initialize core components
   const llmRouter = new LLMRouter(config.llm);
   const decisionLogger = new DecisionLogger(config.logging);
-  const escalationEngine = new EscalationEngine(config.escalation);
+  const escalationEngine = new EscalationEngine({
+    policyStore: new EscalationPolicyStore(),
+    ...config.escalation,
+  });
+  const activePolicy = await escalationEngine.loadPolicy(config.escalation?.policyName);
+  if (!activePolicy) {
+    console.log('[SYSTEM] No escalation policy published, using the default thresholds');
+  }
   const emailNotifier = new EmailNotifier(config.email);
+  const slackNotifier = new SlackNotifier(config.slack);
+
+  // Spending caps for every LLM call (persisted caps win over config defaults)
+  const budgetCaps = await budgetEnforcer.loadCaps(config.budget?.caps);
+  const budgetCharges = await budgetEnforcer.loadSpend();
+  console.log(`[SYSTEM] Budget enforcement active with ${budgetCaps.length} caps, ${budgetCharges} charges this month`);
   const orchestrator = new TaskOrchestrator(config.orchestrator);
 
   // Initialize all agents
@@ -113,6 +148,55 @@ async function initializeAgentSystem(config = {}) {
 
   console.log(`[SYSTEM] Initialized ${Object.keys(agents).length} role agents`);
 
+  // One inbox for everything waiting on the CEO, with SLAs, delegation and reminders
+  const decisionInbox = new DecisionInbox({
+    sources: [
+      fromTaskOrchestrator(orchestrator),
+      fromEscalationEngine(escalationEngine),
+      fromResolutionSystem(new ResolutionSystem()),
+      fromEscalationClient(escalationClient),
+      fromExceptionEscalation(new ExceptionEscalation()),
+    ],
+    executives: Object.keys(agents),
+    auditLog: (entry) => decisionLogger.log({
+      taskId: entry.taskId,
+      role: 'ceo',
+      roleName: 'Chief Executive Officer',
+      decision: `Delegated "${entry.title}" to ${entry.delegatedTo.toUpperCase()}`,
+      action: entry.action,
+      reasoning: entry.note || `Delegated by ${entry.delegatedBy}`,
+      metadata: { inboxItem: entry.itemId, source: entry.source, delegatedBy: entry.delegatedBy },
+    }),
+    notifiers: [
+      {
+        name: 'email',
+        sendDigest: (digest) => emailNotifier.sendDecisionReminder(digest),
+        sendAlert: (item) => emailNotifier.sendCriticalAlert({
+          reason: `${item.title} is ${Math.round(item.ageHours)}h old and past its ${item.slaHours}h SLA`,
+          role: item.requestingAgent,
+          recommendation: item.recommendation,
+          createdAt: item.createdAt,
+        }),
+      },
+      {
+        name: 'slack',
+        sendDigest: (digest) => slackNotifier.send({
+          title: `${digest.open} decisions waiting on the CEO`,
+          message: formatDigestText(digest),
+          priority: digest.overdue > 0 ? 'HIGH' : 'MEDIUM',
+          role: 'ceo',
+        }),
+        sendAlert: (item) => slackNotifier.send({
+          title: `Decision overdue: ${item.title}`,
+          message: `Waiting ${Math.round(item.ageHours)}h (SLA ${item.slaHours}h). ${item.recommendation ? `Recommendation: ${item.recommendation}` : ''}`,
+          priority: 'CRITICAL',
+          role: item.requestingAgent || 'ceo',
+        }),
+      },
+    ],
+    ...config.inbox,
+  });
+
   // Initialize Workflow Engine
   const workflowEngine = new WorkflowEngine({
     orchestrator: { agents },
@@ -126,11 +210,26 @@ async function initializeAgentSystem(config = {}) {
 
   console.log(`[SYSTEM] Registered ${workflows.length} workflows`);
 
+  // Declarative YAML/JSON workflows (hot-reloaded when watchWorkflows is set)
+  const workflowLoader = new WorkflowLoader(workflowEngine, { dir: config.workflowsDir });
+  if (config.watchWorkflows || process.env.WORKFLOWS_WATCH === 'true') {
+    workflowLoader.watch();
+  } else {
+    workflowLoader.loadAll();
+  }
+
+  // Restore workflow instances that were running or waiting on the CEO before a restart
+  await workflowEngine.rehydrate();
+
   // Initialize Intelligence Hub - Phase 5
   const intelligenceHub = new IntelligenceHub({
     knowledge: config.knowledge,
     performance: config.performance,
-    cost: config.cost || { dailyBudget: 100, monthlyBudget: 2000 },
+    cost: {
+      // Cached responses are scoped to each role's knowledge version
+      knowledgeComputer: new KnowledgeComputer(),
+      ...(config.cost || { dailyBudget: 100, monthlyBudget: 2000 }),
+    },
     routing: { agents },
     enableLearning: config.enableLearning !== false,
     enableCaching: config.enableCaching !== false,
@@ -138,8 +237,32 @@ async function initializeAgentSystem(config = {}) {
     enableSmartRouting: config.enableSmartRouting !== false,
   });
 
+  // Agents include similar past decisions from the knowledge base in their prompts
+  for (const agent of Object.values(agents)) {
+    agent.intelligenceHub = intelligenceHub;
+  }
+
+  // Decision outcomes update the knowledge base and feed routing and pattern detection
+  outcomeTracker.knowledgeBase = intelligenceHub.knowledgeBase;
+
   console.log('[SYSTEM] Intelligence Hub initialized');
 
+  // Snapshot agent knowledge whenever amendments are activated, baked or reverted
+  const knowledgeVersioning = new KnowledgeVersioning();
+
+  // Replays held-out tasks through these agents before an amendment from the
+  // daily reviews or the recommendation generator is auto-approved
+  const shadowEvaluator = new ShadowEvaluator({ agents });
+  const reviewOptions = { agents, shadowEvaluator };
+  const recommendationGenerator = new RecommendationGenerator(reviewOptions);
+  let dailyReviews = null;
+
+  // One scheduling pipeline: routing, dependency gate, execution and audit
+  const pipeline = new SchedulingPipeline({
+    orchestrator,
+    smartRouter: intelligenceHub.smartRouter,
+  });
+
   // Initialize Production Wrapper - Phase 6
   const productionConfig = configManager.load();
   const production = new ProductionWrapper({
@@ -166,13 +289,63 @@ async function initializeAgentSystem(config = {}) {
       escalation.role
     );
 
+    if (escCheck.shouldEscalate) {
+      const rules = escCheck.firedRules.map((rule) => rule.ruleId).join(', ');
+      console.log(`[SYSTEM] Escalation policy ${escCheck.policy.name} v${escCheck.policy.version} fired: ${rules}`);
+    }
+
     if (escCheck.priority === 'CRITICAL') {
       await emailNotifier.sendCriticalAlert(escalation);
     }
   });
 
+  // A hard budget limit stops LLM calls; the CFO reviews the exhausted budget
+  budgetEnforcer.on('budgetExceeded', async (event) => {
+    const { cap } = event;
+    console.warn(`[SYSTEM] Budget exceeded: ${event.reason}`);
+
+    try {
+      await pipeline.submit({
+        id: `budget-${cap.scope}-${cap.subject}-${cap.period}-${event.periodKey}`,
+        content: `LLM budget exhausted: ${event.reason}. Calls for this ${cap.scope} are blocked until ` +
+          `the ${cap.period === 'task' ? 'task cap' : `${cap.period}ly cap`} is raised or the period resets. ` +
+          'Review the spend and decide whether to raise the cap or keep the block.',
+        assigned_role: 'cfo',
+        priority: 'HIGH',
+        status: 'pending',
+        budget_exempt: true,
+        metadata: { budget: event },
+      });
+    } catch (error) {
+      console.warn(`[SYSTEM] Failed to raise the CFO budget review for ${cap.scope} ${cap.subject}:`, error.message);
+    }
+  });
+
   orchestrator.on('taskCompleted', ({ task, result }) => {
     console.log(`[SYSTEM] Task completed: ${task.id}`);
+    if (!result?.escalate) {
+      escalationEngine.recordSpend(task, result, task.assigned_role);
+    }
+
+    if (result) {
+      intelligenceHub.recordDecision({ role: task.assigned_role, task, result })
+        .then((decisionId) => outcomeTracker.trackDecision({ task, result, decisionId }))
+        .catch((error) => {
+          console.warn(`[SYSTEM] Failed to track decision for ${task.id}:`, error.message);
+        });
+    }
+  });
+
+  orchestrator.on('taskFailed', ({ task, error }) => {
+    outcomeTracker.trackFailure({ task, error }).catch((trackError) => {
+      console.warn(`[SYSTEM] Failed to record failure outcome for ${task.id}:`, trackError.message);
+    });
+  });
+
+  orchestrator.on('taskAudited', ({ task, audit }) => {
+    outcomeTracker.recordAudit({ task, audit }).catch((error) => {
+      console.warn(`[SYSTEM] Failed to record audit outcome for ${task.id}:`, error.message);
+    });
   });
 
   // Load initial tasks
@@ -189,7 +362,7 @@ async function initializeAgentSystem(config = {}) {
       registeredRoles.includes(task.assigned_role) &&
       pendingStatuses.includes(task.status?.toLowerCase())
     ) {
-      orchestrator.queueTask(task);
+      await pipeline.submit(task);
       queuedCount++;
     }
   }
@@ -198,27 +371,52 @@ async function initializeAgentSystem(config = {}) {
 
   return {
     orchestrator,
+    pipeline,
     llmRouter,
     decisionLogger,
     escalationEngine,
+    budgetEnforcer,
+    outcomeTracker,
+    decisionInbox,
     emailNotifier,
+    slackNotifier,
     agents,
     workflowEngine,
+    workflowLoader,
     intelligenceHub,
+    knowledgeVersioning,
+    shadowEvaluator,
+    recommendationGenerator,
     production,
     config: productionConfig,
 
     // Helper methods
     async start() {
       orchestrator.start();
+      outcomeTracker.start();
+      decisionInbox.start();
+      knowledgeVersioning.start();
+      if (config.dailyReviews || process.env.DAILY_REVIEWS === 'true') {
+        dailyReviews = scheduleDailyReviews(reviewOptions);
+      }
     },
 
     async stop() {
       orchestrator.stop();
+      outcomeTracker.stop();
+      decisionInbox.stop();
+      knowledgeVersioning.shutdown();
+      workflowLoader.close();
+      dailyReviews?.stop?.();
+      dailyReviews = null;
+    },
+
+    async runDailyReviews() {
+      return runDailyTeamLeadReviews(reviewOptions);
     },
 
     async getStatus() {
-      return orchestrator.getStatus();
+      return { ...orchestrator.getStatus(), pipeline: await pipeline.getStatus() };
     },
 
     async sendDailyDigest() {
@@ -228,7 +426,7 @@ async function initializeAgentSystem(config = {}) {
     },
 
     async processTask(task) {
-      orchestrator.queueTask(task);
+      return pipeline.submit(task);
     },
 
     // Workflow methods
@@ -244,6 +442,10 @@ async function initializeAgentSystem(config = {}) {
       return workflowEngine.getWorkflowStatus(instanceId);
     },
 
+    async resumeWorkflow(instanceId, decision) {
+      return workflowEngine.resumeWorkflow(instanceId, decision);
+    },
+
     // Intelligence methods
     getIntelligenceDashboard() {
       return intelligenceHub.getDashboard();
@@ -309,9 +511,14 @@ export {
   LLMRouter,
   RoleAgent,
   TaskOrchestrator,
+  SchedulingPipeline,
   DecisionLogger,
   EscalationEngine,
+  EscalationPolicyStore,
+  budgetEnforcer,
+  DecisionInbox,
   EmailNotifier,
+  SlackNotifier,
   // Phase 1 Agents
   ChiefOfStaffAgent,
   // Phase 2 Agents
@@ -332,9 +539,11 @@ export {
   QAAgent,
   // Workflows
   WorkflowEngine,
+  WorkflowLoader,
   workflows,
   // Intelligence
   IntelligenceHub,
+  outcomeTracker,
   // Production
   ProductionWrapper,
   configManager,
@@ -4,11 +4,15 @@
  *
  * Features:
  * - Smart model selection based on task complexity
- * - Response caching for similar queries
+ * - Semantic response caching, scoped by role and knowledge version
  * - Budget tracking and limits
  * - Cost recommendations
  */
 
+import { SemanticCache } from './SemanticCache.js';
+import { calculateCallCost } from '../core/ModelPricing.js';
+import { knowledgeEvents } from '../neural-stack/KnowledgeEvents.js';
+
 class CostOptimizer {
   constructor(config = {}) {
     this.budget = {
@@ -24,19 +28,31 @@ class CostOptimizer {
       },
     };
 
-    this.modelCosts = {
-      'claude-opus-4': { input: 15, output: 75 }, // per 1M tokens
-      'claude-sonnet-4': { input: 3, output: 15 },
-      'claude-haiku': { input: 0.25, output: 1.25 },
-      'gpt-4o': { input: 5, output: 15 },
-      'gpt-4o-mini': { input: 0.15, output: 0.6 },
-      'gemini-1.5-pro': { input: 3.5, output: 10.5 },
-      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
-    };
+    this.cache = config.semanticCache || new SemanticCache({
+      threshold: config.cacheSimilarityThreshold,
+      maxEntries: config.cacheMaxSize,
+      ttl: config.cacheTTL,
+      store: config.cacheStore,
+    });
 
-    this.cache = new Map();
-    this.cacheMaxSize = config.cacheMaxSize || 1000;
-    this.cacheTTL = config.cacheTTL || 3600000; // 1 hour
+    // Knowledge version hashes per role, re-read after versionHashTtl ms so
+    // knowledge changed by another process stops matching old entries; cleared
+    // at once when this process changes a role's knowledge
+    this.knowledgeComputer = config.knowledgeComputer || null;
+    this.versionHashTtl = config.versionHashTtl ?? 30000;
+    this.versionHashes = new Map(); // role -> { hash, readAt }
+
+    this.onKnowledgeChanged = ({ agentRole, reason }) => {
+      this.versionHashes.delete(agentRole);
+      this.invalidateCache(agentRole).then((removed) => {
+        if (removed > 0) {
+          console.log(`[COST-OPTIMIZER] Dropped ${removed} cached responses for ${agentRole} (knowledge ${reason})`);
+        }
+      }).catch((error) => {
+        console.warn(`[COST-OPTIMIZER] Could not drop cached responses for ${agentRole}:`, error.message);
+      });
+    };
+    knowledgeEvents.on('knowledgeChanged', this.onKnowledgeChanged);
 
     this.complexityThresholds = {
       simple: 100,    // Token count for simple tasks
@@ -178,14 +194,8 @@ class CostOptimizer {
    * Estimate cost for a task
    */
   estimateCost(model, tokens) {
-    const costs = this.modelCosts[model];
-    if (!costs) return 0;
-
     // Assume 2x output tokens vs input
-    const inputCost = (tokens / 1000000) * costs.input;
-    const outputCost = ((tokens * 2) / 1000000) * costs.output;
-
-    return inputCost + outputCost;
+    return calculateCallCost(model, tokens, tokens * 2);
   }
 
   /**
@@ -226,64 +236,61 @@ class CostOptimizer {
    * Calculate actual cost
    */
   calculateCost(model, inputTokens, outputTokens) {
-    const costs = this.modelCosts[model];
-    if (!costs) return 0;
-
-    const inputCost = (inputTokens / 1000000) * costs.input;
-    const outputCost = (outputTokens / 1000000) * costs.output;
-
-    return inputCost + outputCost;
+    return calculateCallCost(model, inputTokens, outputTokens);
   }
 
   /**
-   * Check and cache response
+   * Knowledge version hash for a role, or null without a KnowledgeComputer
    */
-  checkCache(taskContent) {
-    const cacheKey = this.generateCacheKey(taskContent);
-    const cached = this.cache.get(cacheKey);
+  async getVersionHash(role) {
+    if (!role || !this.knowledgeComputer) return null;
 
-    if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
-      return {
-        hit: true,
-        response: cached.response,
-        savedCost: cached.cost,
-      };
+    const cached = this.versionHashes.get(role);
+    if (cached && Date.now() - cached.readAt < this.versionHashTtl) {
+      return cached.hash;
+    }
+
+    try {
+      const hash = await this.knowledgeComputer.getVersionHash(role);
+      this.versionHashes.set(role, { hash, readAt: Date.now() });
+      return hash;
+    } catch (error) {
+      console.warn(`[COST-OPTIMIZER] Could not get knowledge version for ${role}:`, error.message);
+      return null;
     }
+  }
 
-    return { hit: false };
+  /**
+   * Check the cache for a response to a similar task
+   * @param {string} taskContent
+   * @param {Object} options - { role }
+   */
+  async checkCache(taskContent, options = {}) {
+    const versionHash = await this.getVersionHash(options.role);
+    return this.cache.lookup(taskContent, { role: options.role, versionHash });
   }
 
   /**
    * Store response in cache
+   * @param {Object} options - { role }
    */
-  cacheResponse(taskContent, response, cost) {
-    const cacheKey = this.generateCacheKey(taskContent);
-
-    this.cache.set(cacheKey, {
-      response,
-      cost,
-      timestamp: Date.now(),
-    });
+  async cacheResponse(taskContent, response, cost, options = {}) {
+    const versionHash = await this.getVersionHash(options.role);
+    await this.cache.store(taskContent, response, { role: options.role, versionHash, cost });
+  }
 
-    // Enforce cache size limit
-    if (this.cache.size > this.cacheMaxSize) {
-      const oldestKey = this.cache.keys().next().value;
-      this.cache.delete(oldestKey);
-    }
+  /**
+   * Drop cached responses for a role, or all of them
+   */
+  async invalidateCache(role = null) {
+    return this.cache.invalidate({ role });
   }
 
   /**
-   * Generate cache key
+   * Stop listening for knowledge changes
    */
-  generateCacheKey(content) {
-    // Simple hash function
-    let hash = 0;
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return `cache_${hash}`;
+  shutdown() {
+    knowledgeEvents.off('knowledgeChanged', this.onKnowledgeChanged);
   }
 
   /**
@@ -339,8 +346,8 @@ class CostOptimizer {
       }
 
       // Check cache hit rate
-      const cacheHits = this.cache.size;
-      if (cacheHits < 10 && last24h.length > 50) {
+      const cacheStats = this.cache.getStats();
+      if (cacheStats.hitRate < 0.05 && last24h.length > 50) {
         recommendations.push({
           type: 'caching',
           message: 'Enable response caching for repeated queries',
@@ -386,10 +393,7 @@ class CostOptimizer {
         cost: last24h.reduce((s, h) => s + h.cost, 0),
         tokens: last24h.reduce((s, h) => s + (h.inputTokens || 0) + (h.outputTokens || 0), 0),
       },
-      cache: {
-        size: this.cache.size,
-        maxSize: this.cacheMaxSize,
-      },
+      cache: this.cache.getStats(),
       recommendations: this.getRecommendations(),
     };
   }
@@ -7,21 +7,164 @@
  * - Find similar past situations
  * - Provide historical context for new tasks
  * - Track decision outcomes
+ *
+ * Decisions persist in the knowledge_decisions table (database/migrations/015)
+ * when the database is available, otherwise in memory. Each decision carries a
+ * local embedding of its task (intelligence/SemanticCache embed) and its
+ * keyword counts; similar decisions are ranked by a blend of vector and
+ * keyword similarity, weighted towards recent and successful decisions.
+ */
+
+import databaseService from '../services/DatabaseService.js';
+import { embed, cosineSimilarity } from './SemanticCache.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const OUTCOME_FILTERS = ['success', 'failure', 'pending', 'recorded'];
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * In-process decision store (no persistence)
  */
+export class MemoryKnowledgeStore {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  async load() {
+    return [];
+  }
+
+  async save() {}
+
+  async remove() {}
+}
+
+/**
+ * Decisions in the knowledge_decisions table
+ */
+export class DatabaseKnowledgeStore {
+  constructor(dbService = databaseService) {
+    this.name = 'database';
+    this.dbService = dbService;
+  }
+
+  /**
+   * The newest decisions, oldest first
+   */
+  async load(limit) {
+    const { data } = await this.dbService.listKnowledgeDecisions({ limit });
+    return data.map((row) => ({
+      id: row.id,
+      role: row.role_id,
+      task: row.task,
+      analysis: row.analysis,
+      action: row.action,
+      timestamp: row.created_at,
+      keywords: row.keywords || {},
+      embedding: row.embedding,
+      category: row.category,
+      outcome: row.outcome || null,
+    }));
+  }
+
+  async save(entry) {
+    await this.dbService.upsertKnowledgeDecision({
+      id: entry.id,
+      role_id: entry.role,
+      task_id: entry.task?.id || null,
+      task: entry.task,
+      analysis: entry.analysis,
+      action: entry.action,
+      category: entry.category,
+      keywords: entry.keywords,
+      embedding: entry.embedding,
+      outcome: entry.outcome,
+      created_at: entry.timestamp,
+    });
+  }
+
+  async remove(ids) {
+    await this.dbService.deleteKnowledgeDecisions(ids);
+  }
+}
+
+/**
+ * Pick the store: the database if available, otherwise memory
+ */
+export function resolveKnowledgeStore(options = {}) {
+  const dbService = options.dbService || databaseService;
+  return dbService.isAvailable() ? new DatabaseKnowledgeStore(dbService) : new MemoryKnowledgeStore();
+}
+
+// ============================================================================
+// KNOWLEDGE BASE
+// ============================================================================
 
 class KnowledgeBase {
   constructor(config = {}) {
     this.decisions = [];
     this.outcomes = new Map();
     this.patterns = new Map();
-    this.storage = config.storage || 'memory';
     this.maxDecisions = config.maxDecisions || 10000;
+    this.dimensions = config.dimensions || 512;
+
+    // Persistence: an explicit store, 'memory', or the database when available
+    this.persistence = config.store || (config.storage === 'memory' ? new MemoryKnowledgeStore() : null);
+    this.dbService = config.dbService;
+    this.loaded = null;
+
+    // Retrieval tuning
+    this.vectorWeight = config.vectorWeight ?? 0.7; // Keyword similarity gets the rest
+    this.minRelevance = config.minRelevance ?? 0.3;
+    this.recencyHalfLifeDays = config.recencyHalfLifeDays || 90;
+    this.recencyWeight = config.recencyWeight ?? 0.2;
+    this.outcomeWeights = { success: 1.15, failure: 0.85, pending: 1, ...config.outcomeWeights };
+  }
+
+  /**
+   * Load persisted decisions once, choosing the store on first use
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        this.persistence = this.persistence || resolveKnowledgeStore({ dbService: this.dbService });
+        try {
+          const stored = await this.persistence.load(this.maxDecisions);
+          if (stored.length > 0) {
+            const ids = new Set(this.decisions.map(d => d.id));
+            this.decisions = [...stored.filter(d => !ids.has(d.id)), ...this.decisions].slice(-this.maxDecisions);
+            this.rebuildPatterns();
+          }
+        } catch (error) {
+          console.warn(`[KNOWLEDGE-BASE] Could not load decisions from ${this.persistence.name}:`, error.message);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Persist a decision, logging rather than failing when the store is unavailable
+   */
+  async persist(entry) {
+    try {
+      await this.persistence.save(entry);
+    } catch (error) {
+      console.warn(`[KNOWLEDGE-BASE] Could not persist decision ${entry.id} to ${this.persistence.name}:`, error.message);
+    }
   }
 
   /**
    * Store a decision
    */
   async storeDecision(decision) {
+    await this.ensureLoaded();
+
+    const content = decision.task?.content || '';
     const entry = {
       id: decision.id || `dec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       role: decision.role,
@@ -29,7 +172,8 @@ class KnowledgeBase {
       analysis: decision.analysis,
       action: decision.action,
       timestamp: new Date().toISOString(),
-      keywords: this.extractKeywords(decision.task?.content || ''),
+      keywords: this.extractKeywords(content),
+      embedding: embed(content, this.dimensions),
       category: this.categorizeDecision(decision),
       outcome: null, // To be updated later
     };
@@ -38,12 +182,20 @@ class KnowledgeBase {
 
     // Keep within size limits
     if (this.decisions.length > this.maxDecisions) {
+      const dropped = this.decisions.slice(0, this.decisions.length - this.maxDecisions).map(d => d.id);
       this.decisions = this.decisions.slice(-this.maxDecisions);
+      try {
+        await this.persistence.remove(dropped);
+      } catch (error) {
+        console.warn(`[KNOWLEDGE-BASE] Could not remove old decisions from ${this.persistence.name}:`, error.message);
+      }
     }
 
     // Update patterns
     this.updatePatterns(entry);
 
+    await this.persist(entry);
+
     return entry.id;
   }
 
@@ -51,8 +203,11 @@ class KnowledgeBase {
    * Record the outcome of a decision
    */
   async recordOutcome(decisionId, outcome) {
+    await this.ensureLoaded();
+
     const decision = this.decisions.find(d => d.id === decisionId);
     if (decision) {
+      const wasSuccess = Boolean(decision.outcome?.success);
       decision.outcome = {
         ...outcome,
         recordedAt: new Date().toISOString(),
@@ -60,33 +215,105 @@ class KnowledgeBase {
       this.outcomes.set(decisionId, decision.outcome);
 
       // Update pattern success rates
-      this.updatePatternSuccess(decision);
+      this.updatePatternSuccess(decision, wasSuccess);
+
+      await this.persist(decision);
     }
   }
 
   /**
    * Find similar past decisions
+   * Relevance blends embedding and keyword similarity; the ranking score then
+   * favours recent decisions and decisions that turned out well.
+   * @param {Object} task - Task with content
+   * @param {Object} options - { limit, role, category, outcome, minRelevance, now }
+   *   outcome: 'success' | 'failure' | 'pending' (no outcome yet) | 'recorded' (any outcome)
    */
   async findSimilar(task, options = {}) {
+    await this.ensureLoaded();
+
     const limit = options.limit || 5;
-    const keywords = this.extractKeywords(task.content || '');
-    const category = options.category || null;
+    const content = task.content || '';
+    const keywords = this.extractKeywords(content);
+    const embedding = embed(content, this.dimensions);
+    const minRelevance = options.minRelevance ?? this.minRelevance;
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
 
-    // Score each decision based on similarity
     const scored = this.decisions
-      .filter(d => !category || d.category === category)
-      .map(decision => ({
-        decision,
-        score: this.calculateSimilarity(keywords, decision.keywords),
-      }))
-      .filter(item => item.score > 0.1)
+      .filter(d => !options.role || d.role === options.role)
+      .filter(d => !options.category || d.category === options.category)
+      .filter(d => this.matchesOutcome(d, options.outcome))
+      .map(decision => {
+        const vectorScore = Math.max(0, cosineSimilarity(embedding, this.getEmbedding(decision)));
+        const keywordScore = this.calculateSimilarity(keywords, decision.keywords || {});
+        const relevance = this.vectorWeight * vectorScore + (1 - this.vectorWeight) * keywordScore;
+
+        return {
+          decision,
+          vectorScore,
+          keywordScore,
+          relevance,
+          score: relevance * this.recencyFactor(decision, now) * this.outcomeFactor(decision),
+        };
+      })
+      .filter(item => item.relevance >= minRelevance)
       .sort((a, b) => b.score - a.score)
       .slice(0, limit);
 
-    return scored.map(item => ({
-      ...item.decision,
-      similarityScore: item.score,
-    }));
+    return scored.map(({ decision, ...scores }) => {
+      const { embedding: _embedding, ...rest } = decision;
+      return {
+        ...rest,
+        similarityScore: scores.score,
+        relevance: scores.relevance,
+        vectorScore: scores.vectorScore,
+        keywordScore: scores.keywordScore,
+      };
+    });
+  }
+
+  /**
+   * Check a decision against an outcome filter
+   */
+  matchesOutcome(decision, filter) {
+    if (!filter) return true;
+    if (!OUTCOME_FILTERS.includes(filter)) {
+      throw new Error(`Unknown outcome filter: ${filter} (expected one of ${OUTCOME_FILTERS.join(', ')})`);
+    }
+
+    const status = this.outcomeStatus(decision);
+    return filter === 'recorded' ? status !== 'pending' : status === filter;
+  }
+
+  /**
+   * 'success', 'failure' or 'pending' for a decision
+   */
+  outcomeStatus(decision) {
+    if (!decision.outcome) return 'pending';
+    return decision.outcome.success ? 'success' : 'failure';
+  }
+
+  /**
+   * Decisions stored before embeddings existed are embedded on first use
+   */
+  getEmbedding(decision) {
+    if (!decision.embedding || decision.embedding.length !== this.dimensions) {
+      decision.embedding = embed(decision.task?.content || '', this.dimensions);
+    }
+    return decision.embedding;
+  }
+
+  /**
+   * Between 1 (just made) and 1 - recencyWeight (long ago), halving with each half-life
+   */
+  recencyFactor(decision, now) {
+    const ageDays = Math.max(0, now - new Date(decision.timestamp).getTime()) / DAY_MS;
+    const decay = Math.pow(0.5, ageDays / this.recencyHalfLifeDays);
+    return 1 - this.recencyWeight + this.recencyWeight * decay;
+  }
+
+  outcomeFactor(decision) {
+    return this.outcomeWeights[this.outcomeStatus(decision)] ?? 1;
   }
 
   /**
@@ -217,10 +444,14 @@ class KnowledgeBase {
   /**
    * Update pattern success rates
    */
-  updatePatternSuccess(decision) {
+  updatePatternSuccess(decision, wasSuccess = false) {
     const pattern = this.patterns.get(decision.category);
     if (!pattern) return;
 
+    // A later outcome for the same decision replaces the earlier one
+    if (wasSuccess) {
+      pattern.successCount--;
+    }
     if (decision.outcome?.success) {
       pattern.successCount++;
     }
@@ -244,6 +475,38 @@ class KnowledgeBase {
       .map(([action]) => action);
   }
 
+  /**
+   * Recompute every category pattern from the stored decisions
+   */
+  rebuildPatterns() {
+    this.patterns = new Map();
+    this.outcomes = new Map();
+
+    for (const decision of this.decisions) {
+      this.updatePatterns(decision);
+      if (decision.outcome) {
+        this.outcomes.set(decision.id, decision.outcome);
+      }
+    }
+
+    for (const [category, pattern] of this.patterns.entries()) {
+      const withOutcome = this.decisions.filter(d => d.category === category && d.outcome?.success);
+      pattern.successCount = withOutcome.length;
+      if (this.decisions.some(d => d.category === category && d.outcome)) {
+        pattern.successRate = pattern.successCount / pattern.count;
+      }
+
+      const actionCounts = {};
+      for (const action of withOutcome.map(d => d.action).filter(Boolean)) {
+        actionCounts[action] = (actionCounts[action] || 0) + 1;
+      }
+      pattern.commonActions = Object.entries(actionCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([action]) => action);
+    }
+  }
+
   /**
    * Generate recommendations based on past decisions
    */
@@ -294,6 +557,7 @@ class KnowledgeBase {
     }
 
     return {
+      persistence: this.persistence?.name || null,
       totalDecisions: this.decisions.length,
       decisionsWithOutcomes: [...this.outcomes.keys()].length,
       categories: categoryStats,
@@ -315,15 +579,25 @@ class KnowledgeBase {
 
   /**
    * Import knowledge base
+   * Imported decisions are embedded if needed and written to the store
    */
   import(data) {
     if (data.decisions) {
-      this.decisions = data.decisions;
+      this.decisions = data.decisions.slice(-this.maxDecisions);
+      for (const decision of this.decisions) {
+        this.getEmbedding(decision);
+      }
+
+      const imported = this.decisions;
+      this.ensureLoaded().then(() => Promise.all(imported.map(d => this.persist(d))));
     }
     if (data.patterns) {
       this.patterns = new Map(Object.entries(data.patterns));
+    } else if (data.decisions) {
+      this.rebuildPatterns();
     }
   }
 }
 
+export { KnowledgeBase };
 export default KnowledgeBase;
@@ -0,0 +1,680 @@
+/**
+ * MONOLITH OS - Outcome Tracker
+ * Close the loop on agent decisions
+ *
+ * A decision is tracked when an agent completes a task. Outcomes then arrive
+ * from:
+ * - measurable signals: the task completing or failing, and AuditAgent grades
+ * - follow-up checks scheduled after the decision (e.g. 30 and 90 days after a
+ *   CFO approval) and answered by a human from the dashboard
+ * - a human recording an outcome directly
+ *
+ * Every outcome is scored from 0 to 1. A role's decision accuracy is the mean
+ * of its outcome scores, weighted by source (human judgement counts most) and
+ * by age. Accuracy feeds SmartRouter ranking and PatternDetector.
+ *
+ * Follow-ups and outcomes persist in decision_follow_ups and decision_outcomes
+ * (database/migrations/016) when the database is available.
+ */
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import databaseService from '../services/DatabaseService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const OUTCOME_SOURCES = {
+  TASK_COMPLETION: 'task_completion',
+  AUDIT: 'audit',
+  FOLLOW_UP: 'follow_up',
+  HUMAN: 'human',
+};
+
+export const FOLLOW_UP_STATUS = {
+  SCHEDULED: 'scheduled',
+  DUE: 'due',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// How much each kind of outcome counts towards a role's accuracy
+export const SOURCE_WEIGHTS = {
+  [OUTCOME_SOURCES.TASK_COMPLETION]: 0.25,
+  [OUTCOME_SOURCES.AUDIT]: 0.5,
+  [OUTCOME_SOURCES.FOLLOW_UP]: 1,
+  [OUTCOME_SOURCES.HUMAN]: 1,
+};
+
+/**
+ * Which decisions get follow-up checks, and when
+ * roles: roles the rule applies to (all when omitted)
+ * match: pattern tested against the decision and action text
+ * escalated: only decisions that were (or were not) escalated to the CEO
+ */
+export const DEFAULT_FOLLOW_UP_RULES = [
+  {
+    id: 'cfo-approval',
+    roles: ['cfo'],
+    match: 'approv',
+    days: [30, 90],
+    question: 'Did the approved spend deliver what was expected?',
+  },
+  {
+    id: 'contract-decision',
+    roles: ['clo', 'coo'],
+    match: 'contract|vendor|agreement',
+    days: [90],
+    question: 'Is the contract or vendor decision working out as intended?',
+  },
+  {
+    id: 'technical-decision',
+    roles: ['cto'],
+    match: 'architecture|migrat|adopt|platform',
+    days: [30, 90],
+    question: 'Is the technical decision holding up in practice?',
+  },
+  {
+    id: 'escalated-decision',
+    escalated: true,
+    days: [30],
+    question: 'Did the decision reviewed by the CEO turn out as recommended?',
+  },
+];
+
+/**
+ * Check a follow-up rule
+ * @returns {Object} { valid, errors }
+ */
+export function validateFollowUpRule(rule) {
+  const errors = [];
+
+  if (!rule?.id) errors.push('id is required');
+  if (!Array.isArray(rule?.days) || rule.days.length === 0 || rule.days.some((d) => !(d > 0))) {
+    errors.push('days must be a non-empty list of positive numbers');
+  }
+  if (!rule?.question) errors.push('question is required');
+  if (rule?.roles !== undefined && !Array.isArray(rule.roles)) errors.push('roles must be a list');
+  if (rule?.match !== undefined) {
+    try {
+      new RegExp(rule.match, 'i');
+    } catch (error) {
+      errors.push(`match is not a valid pattern: ${error.message}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+class OutcomeTracker extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.dbService = config.dbService || databaseService;
+    this.knowledgeBase = config.knowledgeBase || null;
+
+    this.rules = (config.followUpRules || DEFAULT_FOLLOW_UP_RULES).map((rule) => {
+      const { valid, errors } = validateFollowUpRule(rule);
+      if (!valid) {
+        throw new Error(`Invalid follow-up rule ${rule?.id || ''}: ${errors.join('; ')}`);
+      }
+      return rule;
+    });
+
+    this.auditPassScore = config.auditPassScore ?? 70; // AuditAgent grades are 0-100
+    this.minSamples = config.minSamples || 5; // Outcomes needed before accuracy affects routing
+    this.halfLifeDays = config.halfLifeDays || 180;
+    this.maxOutcomes = config.maxOutcomes || 10000;
+    this.checkInterval = config.checkInterval || 60 * 60 * 1000; // 1 hour
+
+    this.followUps = new Map();
+    this.outcomes = [];
+    this.decisionsByTask = new Map(); // Task id -> decision id, for signals that only know the task
+    this.loaded = null;
+    this.timer = null;
+  }
+
+  /**
+   * Load persisted follow-ups and outcomes once
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        if (!this.dbService.isAvailable()) return;
+
+        try {
+          const [followUps, outcomes] = await Promise.all([
+            this.dbService.listDecisionFollowUps(),
+            this.dbService.listDecisionOutcomes(),
+          ]);
+
+          for (const row of followUps.data) {
+            this.followUps.set(row.id, this.followUpFromRow(row));
+          }
+          this.outcomes = [...outcomes.data.map((row) => this.outcomeFromRow(row)), ...this.outcomes]
+            .slice(-this.maxOutcomes);
+          for (const outcome of this.outcomes) {
+            if (outcome.taskId) this.decisionsByTask.set(outcome.taskId, outcome.decisionId);
+          }
+        } catch (error) {
+          console.warn('[OUTCOME-TRACKER] Could not load follow-ups and outcomes:', error.message);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  // ============================================================================
+  // TRACKING
+  // ============================================================================
+
+  /**
+   * Track a decision an agent made on a completed task
+   * Records the completion signal and schedules any follow-up checks.
+   * @param {Object} params - { task, result, role, decisionId, at }
+   * @returns {Object} { decisionId, followUps }
+   */
+  async trackDecision({ task, result = {}, role, decisionId, at } = {}) {
+    await this.ensureLoaded();
+
+    const roleId = role || task.assigned_role;
+    const id = decisionId || task.id;
+    const decidedAt = at ? new Date(at) : new Date();
+    this.decisionsByTask.set(task.id, id);
+
+    // An escalated task has not been decided yet, so completing it says nothing
+    if (!result.escalate) {
+      await this.recordOutcome({
+        decisionId: id,
+        taskId: task.id,
+        role: roleId,
+        source: OUTCOME_SOURCES.TASK_COMPLETION,
+        success: result.success !== false && !result.error,
+        notes: result.error || null,
+        at: decidedAt,
+      });
+    }
+
+    const followUps = [];
+    for (const rule of this.matchingRules(roleId, result)) {
+      for (const days of rule.days) {
+        const followUp = {
+          id: randomUUID(),
+          decisionId: id,
+          taskId: task.id,
+          role: roleId,
+          ruleId: rule.id,
+          question: rule.question,
+          decisionSummary: (result.decision || result.action || task.content || '').substring(0, 500),
+          dueAt: new Date(decidedAt.getTime() + days * DAY_MS).toISOString(),
+          status: FOLLOW_UP_STATUS.SCHEDULED,
+          outcomeId: null,
+          createdAt: decidedAt.toISOString(),
+          completedAt: null,
+        };
+
+        this.followUps.set(followUp.id, followUp);
+        await this.persistFollowUp(followUp);
+        followUps.push(followUp);
+      }
+    }
+
+    if (followUps.length > 0) {
+      console.log(`[OUTCOME-TRACKER] Scheduled ${followUps.length} follow-up checks for ${roleId} decision ${id}`);
+    }
+
+    return { decisionId: id, followUps };
+  }
+
+  /**
+   * Record a task that failed before its agent reached a decision
+   */
+  async trackFailure({ task, error, role, at } = {}) {
+    return this.recordOutcome({
+      decisionId: task.id,
+      taskId: task.id,
+      role: role || task.assigned_role,
+      source: OUTCOME_SOURCES.TASK_COMPLETION,
+      success: false,
+      notes: error?.message || String(error || 'Task failed'),
+      at,
+    });
+  }
+
+  /**
+   * Record an AuditAgent grade for a completed task
+   * @param {Object} params - { task, audit } as emitted by TaskOrchestrator 'taskAudited'
+   */
+  async recordAudit({ task, audit, decisionId, role } = {}) {
+    const record = audit?.audit || audit;
+    if (!record || record.overall_score === undefined || record.overall_score === null) return null;
+
+    const overall = Number(record.overall_score);
+    return this.recordOutcome({
+      decisionId: decisionId || this.decisionsByTask.get(task.id) || task.id,
+      taskId: task.id,
+      role: role || task.assigned_role || record.audited_agent,
+      source: OUTCOME_SOURCES.AUDIT,
+      score: Math.min(1, Math.max(0, overall / 100)),
+      success: overall >= this.auditPassScore,
+      notes: record.drift_detected ? `Drift: ${record.drift_description || record.drift_severity}` : null,
+    });
+  }
+
+  /**
+   * Record the outcome of a decision
+   * @param {Object} outcome - { decisionId, taskId, role, source, success, score, notes, recordedBy, followUpId, at }
+   *   score defaults to 1 for success and 0 for failure
+   * @returns {Object} The stored outcome
+   */
+  async recordOutcome(outcome) {
+    await this.ensureLoaded();
+
+    const { valid, errors } = this.validateOutcome(outcome);
+    if (!valid) {
+      const error = new Error(`Invalid outcome: ${errors.join('; ')}`);
+      error.code = 'INVALID_OUTCOME';
+      throw error;
+    }
+
+    const score = outcome.score ?? (outcome.success ? 1 : 0);
+    const entry = {
+      id: randomUUID(),
+      decisionId: outcome.decisionId,
+      taskId: outcome.taskId || null,
+      role: outcome.role,
+      source: outcome.source,
+      score,
+      success: outcome.success ?? score >= 0.5,
+      notes: outcome.notes || null,
+      followUpId: outcome.followUpId || null,
+      recordedBy: outcome.recordedBy || null,
+      recordedAt: (outcome.at ? new Date(outcome.at) : new Date()).toISOString(),
+    };
+
+    this.outcomes.push(entry);
+    if (this.outcomes.length > this.maxOutcomes) {
+      this.outcomes = this.outcomes.slice(-this.maxOutcomes);
+    }
+
+    if (this.dbService.isAvailable()) {
+      await this.dbService.insertDecisionOutcome({
+        id: entry.id,
+        decision_id: entry.decisionId,
+        task_id: entry.taskId,
+        role_id: entry.role,
+        source: entry.source,
+        score: entry.score,
+        success: entry.success,
+        notes: entry.notes,
+        follow_up_id: entry.followUpId,
+        recorded_by: entry.recordedBy,
+        recorded_at: entry.recordedAt,
+      });
+    }
+
+    // The knowledge base shows the latest outcome next to the decision in agent prompts
+    if (this.knowledgeBase) {
+      try {
+        await this.knowledgeBase.recordOutcome(entry.decisionId, {
+          success: entry.success,
+          score: entry.score,
+          source: entry.source,
+          notes: entry.notes,
+        });
+      } catch (error) {
+        console.warn(`[OUTCOME-TRACKER] Could not update knowledge base for ${entry.decisionId}:`, error.message);
+      }
+    }
+
+    this.emit('outcomeRecorded', entry);
+    return entry;
+  }
+
+  validateOutcome(outcome = {}) {
+    const errors = [];
+
+    if (!outcome.decisionId) errors.push('decisionId is required');
+    if (!outcome.role) errors.push('role is required');
+    if (!Object.values(OUTCOME_SOURCES).includes(outcome.source)) {
+      errors.push(`source must be one of ${Object.values(OUTCOME_SOURCES).join(', ')}`);
+    }
+    if (outcome.score === undefined && typeof outcome.success !== 'boolean') {
+      errors.push('success or score is required');
+    }
+    if (outcome.score !== undefined && !(outcome.score >= 0 && outcome.score <= 1)) {
+      errors.push('score must be between 0 and 1');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // ============================================================================
+  // FOLLOW-UPS
+  // ============================================================================
+
+  /**
+   * Follow-up rules that apply to a decision
+   */
+  matchingRules(role, result = {}) {
+    const text = `${result.decision || ''} ${result.action || ''}`;
+
+    return this.rules.filter((rule) => {
+      if (rule.roles && !rule.roles.includes(role)) return false;
+      if (rule.escalated !== undefined && Boolean(result.escalate) !== rule.escalated) return false;
+      if (rule.match && !new RegExp(rule.match, 'i').test(text)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Mark scheduled follow-ups whose time has come as due
+   * @returns {Array} Follow-ups that became due
+   */
+  async checkDue(now = new Date()) {
+    await this.ensureLoaded();
+
+    const due = [];
+    for (const followUp of this.followUps.values()) {
+      if (followUp.status === FOLLOW_UP_STATUS.SCHEDULED && new Date(followUp.dueAt) <= now) {
+        followUp.status = FOLLOW_UP_STATUS.DUE;
+        await this.persistFollowUp(followUp);
+        due.push(followUp);
+        this.emit('followUpDue', followUp);
+      }
+    }
+
+    if (due.length > 0) {
+      console.log(`[OUTCOME-TRACKER] ${due.length} decision follow-ups are due`);
+    }
+
+    return due;
+  }
+
+  /**
+   * Answer a follow-up check
+   * @param {string} followUpId
+   * @param {Object} answer - { success, score, notes, recordedBy }
+   * @returns {Object} { followUp, outcome }
+   */
+  async completeFollowUp(followUpId, answer = {}) {
+    await this.ensureLoaded();
+
+    const followUp = this.followUps.get(followUpId);
+    if (!followUp) {
+      const error = new Error(`Follow-up not found: ${followUpId}`);
+      error.code = 'FOLLOW_UP_NOT_FOUND';
+      throw error;
+    }
+    if (followUp.status === FOLLOW_UP_STATUS.COMPLETED || followUp.status === FOLLOW_UP_STATUS.CANCELLED) {
+      const error = new Error(`Follow-up ${followUpId} is already ${followUp.status}`);
+      error.code = 'FOLLOW_UP_CLOSED';
+      throw error;
+    }
+
+    const outcome = await this.recordOutcome({
+      decisionId: followUp.decisionId,
+      taskId: followUp.taskId,
+      role: followUp.role,
+      source: OUTCOME_SOURCES.FOLLOW_UP,
+      success: answer.success,
+      score: answer.score,
+      notes: answer.notes,
+      recordedBy: answer.recordedBy,
+      followUpId,
+    });
+
+    followUp.status = FOLLOW_UP_STATUS.COMPLETED;
+    followUp.outcomeId = outcome.id;
+    followUp.completedAt = outcome.recordedAt;
+    await this.persistFollowUp(followUp);
+
+    return { followUp, outcome };
+  }
+
+  /**
+   * Cancel the open follow-ups for a decision (e.g. it was reversed)
+   * @returns {number} Follow-ups cancelled
+   */
+  async cancelFollowUps(decisionId) {
+    await this.ensureLoaded();
+
+    let cancelled = 0;
+    for (const followUp of this.followUps.values()) {
+      if (followUp.decisionId === decisionId &&
+          (followUp.status === FOLLOW_UP_STATUS.SCHEDULED || followUp.status === FOLLOW_UP_STATUS.DUE)) {
+        followUp.status = FOLLOW_UP_STATUS.CANCELLED;
+        await this.persistFollowUp(followUp);
+        cancelled++;
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * List follow-ups, soonest due first
+   * @param {Object} filters - { status, role }
+   */
+  async listFollowUps(filters = {}) {
+    await this.ensureLoaded();
+
+    return [...this.followUps.values()]
+      .filter((f) => !filters.status || f.status === filters.status)
+      .filter((f) => !filters.role || f.role === filters.role)
+      .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+  }
+
+  async persistFollowUp(followUp) {
+    if (!this.dbService.isAvailable()) return;
+
+    await this.dbService.upsertDecisionFollowUp({
+      id: followUp.id,
+      decision_id: followUp.decisionId,
+      task_id: followUp.taskId,
+      role_id: followUp.role,
+      rule_id: followUp.ruleId,
+      question: followUp.question,
+      decision_summary: followUp.decisionSummary,
+      due_at: followUp.dueAt,
+      status: followUp.status,
+      outcome_id: followUp.outcomeId,
+      created_at: followUp.createdAt,
+      completed_at: followUp.completedAt,
+    });
+  }
+
+  followUpFromRow(row) {
+    return {
+      id: row.id,
+      decisionId: row.decision_id,
+      taskId: row.task_id,
+      role: row.role_id,
+      ruleId: row.rule_id,
+      question: row.question,
+      decisionSummary: row.decision_summary,
+      dueAt: row.due_at,
+      status: row.status,
+      outcomeId: row.outcome_id,
+      createdAt: row.created_at,
+      completedAt: row.completed_at,
+    };
+  }
+
+  outcomeFromRow(row) {
+    return {
+      id: row.id,
+      decisionId: row.decision_id,
+      taskId: row.task_id,
+      role: row.role_id,
+      source: row.source,
+      score: Number(row.score),
+      success: row.success,
+      notes: row.notes,
+      followUpId: row.follow_up_id,
+      recordedBy: row.recorded_by,
+      recordedAt: row.recorded_at,
+    };
+  }
+
+  // ============================================================================
+  // SCORING
+  // ============================================================================
+
+  /**
+   * Outcomes for a role, newest first
+   * @param {Object} options - { since, until, limit }
+   */
+  getOutcomes(role, options = {}) {
+    const since = options.since ? new Date(options.since).getTime() : -Infinity;
+    const until = options.until ? new Date(options.until).getTime() : Infinity;
+
+    const outcomes = this.outcomes
+      .filter((o) => o.role === role)
+      .filter((o) => {
+        const at = new Date(o.recordedAt).getTime();
+        return at >= since && at <= until;
+      })
+      .sort((a, b) => new Date(b.recordedAt) - new Date(a.recordedAt));
+
+    return options.limit ? outcomes.slice(0, options.limit) : outcomes;
+  }
+
+  /**
+   * Weighted mean score of a set of outcomes
+   * @returns {Object|null} { accuracy, samples, weight, bySource }
+   */
+  scoreOutcomes(outcomes, now = Date.now()) {
+    if (outcomes.length === 0) return null;
+
+    let weighted = 0;
+    let totalWeight = 0;
+    const bySource = {};
+
+    for (const outcome of outcomes) {
+      const ageDays = Math.max(0, now - new Date(outcome.recordedAt).getTime()) / DAY_MS;
+      const weight = (SOURCE_WEIGHTS[outcome.source] ?? 0.5) * Math.pow(0.5, ageDays / this.halfLifeDays);
+
+      weighted += outcome.score * weight;
+      totalWeight += weight;
+
+      const source = bySource[outcome.source] || (bySource[outcome.source] = { samples: 0, total: 0 });
+      source.samples++;
+      source.total += outcome.score;
+    }
+
+    for (const source of Object.values(bySource)) {
+      source.average = source.total / source.samples;
+      delete source.total;
+    }
+
+    return {
+      accuracy: totalWeight > 0 ? weighted / totalWeight : 0,
+      samples: outcomes.length,
+      weight: totalWeight,
+      bySource,
+    };
+  }
+
+  /**
+   * A role's decision accuracy
+   * @param {Object} options - { since, until, now }
+   * @returns {Object|null} { role, accuracy, samples, weight, bySource }
+   */
+  getRoleScore(role, options = {}) {
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    const score = this.scoreOutcomes(this.getOutcomes(role, options), now);
+    return score ? { role, ...score } : null;
+  }
+
+  /**
+   * Decision accuracy for every role with outcomes
+   */
+  getRoleScores(options = {}) {
+    const roles = [...new Set(this.outcomes.map((o) => o.role))];
+    return Object.fromEntries(roles.map((role) => [role, this.getRoleScore(role, options)]));
+  }
+
+  /**
+   * Accuracy once enough outcomes exist for it to be trusted, otherwise null
+   */
+  getRoutingAccuracy(role) {
+    const score = this.getRoleScore(role);
+    return score && score.samples >= this.minSamples ? score.accuracy : null;
+  }
+
+  /**
+   * A role's accuracy per month (unweighted by age), oldest first
+   * @param {Object} options - { months, now }
+   */
+  getAccuracyHistory(role, options = {}) {
+    const months = options.months || 6;
+    const now = options.now ? new Date(options.now) : new Date();
+    const history = [];
+
+    for (let i = months - 1; i >= 0; i--) {
+      const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+      const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i + 1, 1) - 1);
+      const outcomes = this.getOutcomes(role, { since: start, until: end });
+      // Score as of the period end so older periods are not discounted for their age
+      const score = this.scoreOutcomes(outcomes, end.getTime());
+
+      history.push({
+        period: start.toISOString().slice(0, 7),
+        accuracy: score?.accuracy ?? null,
+        samples: outcomes.length,
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * Summary for the dashboard
+   */
+  async getSummary() {
+    await this.ensureLoaded();
+
+    const followUps = [...this.followUps.values()];
+    const countStatus = (status) => followUps.filter((f) => f.status === status).length;
+
+    return {
+      roles: this.getRoleScores(),
+      outcomes: this.outcomes.length,
+      followUps: {
+        scheduled: countStatus(FOLLOW_UP_STATUS.SCHEDULED),
+        due: countStatus(FOLLOW_UP_STATUS.DUE),
+        completed: countStatus(FOLLOW_UP_STATUS.COMPLETED),
+      },
+      minSamples: this.minSamples,
+    };
+  }
+
+  // ============================================================================
+  // SCHEDULING
+  // ============================================================================
+
+  /**
+   * Check for due follow-ups periodically
+   */
+  start() {
+    if (this.timer) return;
+
+    this.checkDue().catch((error) => console.warn('[OUTCOME-TRACKER] Follow-up check failed:', error.message));
+    this.timer = setInterval(() => {
+      this.checkDue().catch((error) => console.warn('[OUTCOME-TRACKER] Follow-up check failed:', error.message));
+    }, this.checkInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Shared tracker: SmartRouter and PatternDetector read the same scores
+const outcomeTracker = new OutcomeTracker();
+
+export { OutcomeTracker };
+export default outcomeTracker;
@@ -0,0 +1,402 @@
+/**
+ * MONOLITH OS - Semantic Cache
+ * Response cache matched by meaning rather than exact text
+ *
+ * Task content is embedded locally (hashed word and character-trigram
+ * features, no model calls) and a cached response is reused when a new task
+ * is similar enough. Entries are scoped: a response is only reused for the
+ * same role and the same knowledge version (KnowledgeComputer.getVersionHash),
+ * because a baked or reverted amendment changes what the right answer is.
+ *
+ * Similarity alone cannot tell "Should we hire X" from "Should we not hire X"
+ * or "$5,000" from "$500,000", so a hit also needs the same negations and the
+ * same numbers and amounts (guardTokens) as the cached task.
+ *
+ * Entries persist through Redis when RedisService is connected, otherwise the
+ * semantic_cache_entries table (database/migrations/013), otherwise memory.
+ */
+
+import { randomUUID } from 'crypto';
+import redisService from '../services/RedisService.js';
+import databaseService from '../services/DatabaseService.js';
+
+const DEFAULT_DIMENSIONS = 512;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'for', 'in', 'on', 'at', 'by', 'with',
+  'is', 'are', 'be', 'this', 'that', 'it', 'our', 'we', 'please', 'can', 'you',
+]);
+
+// Words that flip a task's meaning; "n't" contractions count as "not"
+const NEGATIONS = new Set(['not', 'no', 'never', 'none', 'nor', 'neither', 'without', 'cannot']);
+
+// Numbers with an optional currency symbol, magnitude or percent: "$5,000", "2.5m", "15%", "Q3"
+const NUMBER_PATTERN = /[$€£]?\d[\d,.]*(\s?(k|m|mm|bn|thousand|million|billion)\b|%)?/gi;
+
+/**
+ * FNV-1a hash of a string
+ */
+function hashFeature(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embed text as a normalised feature-hashing vector
+ * Words carry most of the weight; character trigrams let "budgets" match "budget"
+ * @returns {number[]}
+ */
+export function embed(text, dimensions = DEFAULT_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9$€£]+/)
+    .filter((word) => word && !STOPWORDS.has(word));
+
+  const add = (feature, weight) => {
+    const hash = hashFeature(feature);
+    // The sign bit keeps colliding features from always adding up
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  for (const word of words) {
+    add(`w:${word}`, 1);
+    const padded = `_${word}_`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`c:${padded.slice(i, i + 3)}`, 0.25);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+/**
+ * Tokens a cached task must share exactly with a new one: its negations and
+ * its numbers/amounts, each sorted
+ * @returns {string} Comparable signature
+ */
+export function guardTokens(text) {
+  const source = String(text || '').toLowerCase();
+
+  const negations = source
+    .split(/[^a-z']+/)
+    .map((word) => (word.endsWith("n't") ? 'not' : word))
+    .filter((word) => NEGATIONS.has(word));
+
+  const numbers = (source.match(NUMBER_PATTERN) || [])
+    .map((number) => number.replace(/[,\s]/g, '').replace(/\.+$/, ''));
+
+  return `${negations.sort().join(' ')}|${numbers.sort().join(' ')}`;
+}
+
+/**
+ * Cosine similarity of two normalised vectors
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * In-process entry store (no persistence)
+ */
+export class MemoryCacheStore {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  async load() {
+    return [];
+  }
+
+  async save() {}
+
+  async remove() {}
+}
+
+/**
+ * Entries as Redis keys with the entry TTL
+ */
+export class RedisCacheStore {
+  constructor(redis = redisService, prefix = 'semantic-cache:') {
+    this.name = 'redis';
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  async load() {
+    const keys = await this.redis.scan(`${this.prefix}*`);
+    const entries = await Promise.all(keys.map((key) => this.redis.get(key)));
+    return entries.filter(Boolean);
+  }
+
+  async save(entry) {
+    const ttlSeconds = Math.max(1, Math.ceil((new Date(entry.expiresAt) - Date.now()) / 1000));
+    await this.redis.set(`${this.prefix}${entry.id}`, entry, ttlSeconds);
+  }
+
+  async remove(ids) {
+    await Promise.all(ids.map((id) => this.redis.del(`${this.prefix}${id}`)));
+  }
+}
+
+/**
+ * Entries in the semantic_cache_entries table
+ */
+export class DatabaseCacheStore {
+  constructor(dbService = databaseService) {
+    this.name = 'database';
+    this.dbService = dbService;
+  }
+
+  /**
+   * The newest unexpired entries, oldest first
+   */
+  async load(limit) {
+    const { data } = await this.dbService.listCacheEntries({ notExpiredAt: new Date().toISOString(), limit });
+    return data.map((row) => ({
+      id: row.id,
+      role: row.role_id,
+      versionHash: row.version_hash,
+      content: row.content,
+      embedding: row.embedding,
+      response: row.response,
+      cost: Number(row.cost) || 0,
+      hits: row.hits || 0,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+    }));
+  }
+
+  async save(entry) {
+    await this.dbService.upsertCacheEntry({
+      id: entry.id,
+      role_id: entry.role,
+      version_hash: entry.versionHash,
+      content: entry.content,
+      embedding: entry.embedding,
+      response: entry.response,
+      cost: entry.cost,
+      hits: entry.hits,
+      created_at: entry.createdAt,
+      expires_at: entry.expiresAt,
+    });
+  }
+
+  async remove(ids) {
+    await this.dbService.deleteCacheEntries(ids);
+  }
+}
+
+/**
+ * Pick the store: Redis if connected, then the database, then memory
+ */
+export function resolveCacheStore(options = {}) {
+  const redis = options.redis || redisService;
+  const dbService = options.dbService || databaseService;
+
+  if (redis.isReady()) return new RedisCacheStore(redis);
+  if (dbService.isAvailable()) return new DatabaseCacheStore(dbService);
+  return new MemoryCacheStore();
+}
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+class SemanticCache {
+  constructor(config = {}) {
+    this.threshold = config.threshold ?? 0.95;
+    this.maxEntries = config.maxEntries || 1000;
+    this.ttl = config.ttl || 3600000; // 1 hour
+    this.dimensions = config.dimensions || DEFAULT_DIMENSIONS;
+    this.persistence = config.store || null;
+    this.storeOptions = { redis: config.redis, dbService: config.dbService };
+
+    this.entries = new Map();
+    this.loaded = null;
+
+    this.metrics = {
+      lookups: 0,
+      hits: 0,
+      misses: 0,
+      savedCost: 0,
+      stored: 0,
+      invalidated: 0,
+    };
+  }
+
+  /**
+   * Load persisted entries once, choosing the store on first use
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        this.persistence = this.persistence || resolveCacheStore(this.storeOptions);
+        try {
+          for (const entry of await this.persistence.load(this.maxEntries)) {
+            if (!this.isExpired(entry)) this.entries.set(entry.id, entry);
+          }
+        } catch (error) {
+          console.warn(`[SEMANTIC-CACHE] Could not load entries from ${this.persistence.name}:`, error.message);
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  isExpired(entry) {
+    return new Date(entry.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Find the most similar cached response in scope
+   * @param {string} content - Task content
+   * @param {Object} scope - { role, versionHash }
+   * @returns {Object} { hit, response, similarity, savedCost, entryId }
+   */
+  async lookup(content, scope = {}) {
+    await this.ensureLoaded();
+    this.metrics.lookups++;
+
+    const embedding = embed(content, this.dimensions);
+    const guards = guardTokens(content);
+    let best = null;
+    let bestSimilarity = 0;
+
+    for (const entry of this.entries.values()) {
+      if (entry.role !== (scope.role ?? null) || entry.versionHash !== (scope.versionHash ?? null)) continue;
+      if (this.isExpired(entry)) continue;
+      entry.guards ??= guardTokens(entry.content);
+      if (entry.guards !== guards) continue;
+
+      const similarity = cosineSimilarity(embedding, entry.embedding);
+      if (similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best || bestSimilarity < this.threshold) {
+      this.metrics.misses++;
+      return { hit: false, similarity: bestSimilarity };
+    }
+
+    best.hits++;
+    this.metrics.hits++;
+    this.metrics.savedCost += best.cost;
+
+    return {
+      hit: true,
+      response: best.response,
+      similarity: bestSimilarity,
+      savedCost: best.cost,
+      entryId: best.id,
+    };
+  }
+
+  /**
+   * Cache a response for its role and knowledge version
+   * @param {Object} options - { role, versionHash, cost }
+   */
+  async store(content, response, options = {}) {
+    await this.ensureLoaded();
+
+    const now = Date.now();
+    const entry = {
+      id: randomUUID(),
+      role: options.role ?? null,
+      versionHash: options.versionHash ?? null,
+      content,
+      embedding: embed(content, this.dimensions),
+      response,
+      cost: options.cost || 0,
+      hits: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl).toISOString(),
+    };
+
+    this.entries.set(entry.id, entry);
+    this.metrics.stored++;
+
+    // Evict the oldest entries over the size limit
+    const evicted = [];
+    while (this.entries.size > this.maxEntries) {
+      const oldestId = this.entries.keys().next().value;
+      this.entries.delete(oldestId);
+      evicted.push(oldestId);
+    }
+
+    try {
+      await this.persistence.save(entry);
+      if (evicted.length > 0) await this.persistence.remove(evicted);
+    } catch (error) {
+      console.warn(`[SEMANTIC-CACHE] Could not persist entry to ${this.persistence.name}:`, error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop entries for a role (or every role), optionally only those from
+   * other knowledge versions
+   * @param {Object} scope - { role, exceptVersionHash }
+   * @returns {number} Entries removed
+   */
+  async invalidate(scope = {}) {
+    await this.ensureLoaded();
+
+    const removed = [...this.entries.values()]
+      .filter((entry) => !scope.role || entry.role === scope.role)
+      .filter((entry) => !scope.exceptVersionHash || entry.versionHash !== scope.exceptVersionHash)
+      .map((entry) => entry.id);
+
+    for (const id of removed) {
+      this.entries.delete(id);
+    }
+    this.metrics.invalidated += removed.length;
+
+    if (removed.length > 0) {
+      try {
+        await this.persistence.remove(removed);
+      } catch (error) {
+        console.warn(`[SEMANTIC-CACHE] Could not remove entries from ${this.persistence.name}:`, error.message);
+      }
+    }
+
+    return removed.length;
+  }
+
+  /**
+   * Hit rate and savings
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxSize: this.maxEntries,
+      threshold: this.threshold,
+      persistence: this.persistence?.name || null,
+      lookups: this.metrics.lookups,
+      hits: this.metrics.hits,
+      misses: this.metrics.misses,
+      hitRate: this.metrics.lookups > 0 ? this.metrics.hits / this.metrics.lookups : 0,
+      savedCost: this.metrics.savedCost,
+      invalidated: this.metrics.invalidated,
+    };
+  }
+}
+
+export { SemanticCache };
+export default SemanticCache;
@@ -7,11 +7,12 @@
  * - Route tasks to best-fit agents
  * - Load balancing across agents
  * - Priority-aware scheduling
- * - Learn from routing outcomes
+ * - Learn from routing outcomes and decision accuracy (OutcomeTracker)
  * - Persist learnings to database
  */
 
 import databaseService from '../services/DatabaseService.js';
+import outcomeTracker from './OutcomeTracker.js';
 
 class SmartRouter {
   constructor(config = {}) {
@@ -24,6 +25,9 @@ class SmartRouter {
     // Database service
     this.dbService = config.dbService || databaseService;
 
+    // Decision accuracy from tracked outcomes
+    this.outcomeTracker = config.outcomeTracker || outcomeTracker;
+
     // Initialize default routing rules
     this.initializeDefaultRules();
 
@@ -105,10 +109,11 @@ class SmartRouter {
 
   /**
    * Route a task to the best agent(s)
+   * @param {Object} options - { candidates: only rank these roles (e.g. rule matches to break a tie) }
    */
-  async route(task) {
+  async route(task, options = {}) {
     const analysis = this.analyzeTask(task);
-    const candidates = this.findCandidates(analysis);
+    const candidates = options.candidates?.length ? options.candidates : this.findCandidates(analysis);
     const ranked = this.rankCandidates(candidates, task, analysis);
 
     const routing = {
@@ -284,6 +289,13 @@ class SmartRouter {
         factors.push(`historical_success_${Math.round(learning.successRate * 100)}%`);
       }
 
+      // Decision accuracy: how the role's past decisions turned out
+      const accuracy = this.outcomeTracker.getRoutingAccuracy(role);
+      if (accuracy !== null) {
+        score += (accuracy - 0.5) * 20;
+        factors.push(`decision_accuracy_${Math.round(accuracy * 100)}%`);
+      }
+
       ranked.push({
         role,
         score,
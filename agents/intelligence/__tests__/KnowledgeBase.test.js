@@ -0,0 +1,176 @@
+/**
+ * Unit tests for KnowledgeBase
+ * Tests hybrid keyword and vector retrieval, role/category/outcome filters,
+ * recency and outcome weighting, persistence through the database store and
+ * past decisions reaching agent prompts through IntelligenceHub
+ */
+
+import { jest } from '@jest/globals';
+import KnowledgeBase, { MemoryKnowledgeStore } from '../KnowledgeBase.js';
+import IntelligenceHub from '../index.js';
+import RoleAgent from '../../core/RoleAgent.js';
+import { DatabaseService } from '../../services/DatabaseService.js';
+import { resetStorage } from '../../storage/index.js';
+
+const memoryKnowledgeBase = (config = {}) => new KnowledgeBase({ store: new MemoryKnowledgeStore(), ...config });
+
+const decision = (id, role, content, extra = {}) => ({
+  id,
+  role,
+  task: { id: `task-${id}`, content },
+  action: `Action for ${id}`,
+  ...extra,
+});
+
+describe('KnowledgeBase', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findSimilar', () => {
+    test('ranks rephrased tasks first and leaves out unrelated ones', async () => {
+      const kb = memoryKnowledgeBase();
+      await kb.storeDecision(decision('d1', 'cfo', 'Approve the Q3 marketing budget increase'));
+      await kb.storeDecision(decision('d2', 'cto', 'Review the database migration plan'));
+      await kb.storeDecision(decision('d3', 'cmo', 'Plan the marketing campaign for the product launch'));
+
+      const similar = await kb.findSimilar({ content: 'Approve an increase to the marketing budget for Q3' });
+
+      expect(similar.map(d => d.id)).toEqual(['d1']);
+      expect(similar[0].vectorScore).toBeGreaterThan(0.8);
+      expect(similar[0].keywordScore).toBeGreaterThan(0);
+      expect(similar[0].embedding).toBeUndefined();
+    });
+
+    test('filters by role, category and outcome', async () => {
+      const kb = memoryKnowledgeBase({ minRelevance: 0 });
+      await kb.storeDecision(decision('d1', 'cfo', 'Approve vendor contract renewal budget'));
+      await kb.storeDecision(decision('d2', 'clo', 'Review vendor contract renewal terms'));
+      await kb.storeDecision(decision('d3', 'cfo', 'Approve vendor renewal budget for tooling'));
+      await kb.recordOutcome('d1', { success: true });
+      await kb.recordOutcome('d2', { success: false });
+
+      const task = { content: 'Vendor contract renewal' };
+      const ids = async (options) => (await kb.findSimilar(task, options)).map(d => d.id).sort();
+
+      expect(await ids({ role: 'cfo' })).toEqual(['d1', 'd3']);
+      expect(await ids({ category: 'legal' })).toEqual(['d2']);
+      expect(await ids({ outcome: 'success' })).toEqual(['d1']);
+      expect(await ids({ outcome: 'failure' })).toEqual(['d2']);
+      expect(await ids({ outcome: 'pending' })).toEqual(['d3']);
+      expect(await ids({ outcome: 'recorded' })).toEqual(['d1', 'd2']);
+      await expect(kb.findSimilar(task, { outcome: 'maybe' })).rejects.toThrow('Unknown outcome filter: maybe');
+    });
+
+    test('prefers recent and successful decisions among equally similar ones', async () => {
+      const kb = memoryKnowledgeBase();
+      const content = 'Renew the cloud hosting contract';
+      kb.import({
+        decisions: [
+          { ...decision('old', 'coo', content), timestamp: '2025-01-01T00:00:00Z', outcome: null },
+          { ...decision('new', 'coo', content), timestamp: '2026-06-01T00:00:00Z', outcome: null },
+          { ...decision('failed', 'coo', content), timestamp: '2026-06-01T00:00:00Z', outcome: { success: false } },
+          { ...decision('worked', 'coo', content), timestamp: '2026-06-01T00:00:00Z', outcome: { success: true } },
+        ],
+      });
+
+      const similar = await kb.findSimilar({ content }, { now: '2026-06-02T00:00:00Z' });
+
+      expect(similar.map(d => d.id)).toEqual(['worked', 'new', 'failed', 'old']);
+      expect(similar.every(d => d.relevance === similar[0].relevance)).toBe(true);
+    });
+  });
+
+  describe('persistence', () => {
+    afterAll(() => resetStorage());
+
+    test('reloads decisions, outcomes and patterns from the database store', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+
+      const writer = new KnowledgeBase({ dbService });
+      await writer.storeDecision(decision('d1', 'ciso', 'Respond to the phishing security incident'));
+      await writer.recordOutcome('d1', { success: true, notes: 'Contained within an hour' });
+
+      const reader = new KnowledgeBase({ dbService });
+      const similar = await reader.findSimilar({ content: 'Handle a phishing security incident' });
+
+      expect(similar).toHaveLength(1);
+      expect(similar[0]).toMatchObject({
+        id: 'd1',
+        role: 'ciso',
+        category: 'security',
+        outcome: { success: true, notes: 'Contained within an hour' },
+      });
+      expect(reader.getStats()).toMatchObject({
+        persistence: 'database',
+        totalDecisions: 1,
+        decisionsWithOutcomes: 1,
+        categories: { security: { count: 1, successRate: 1 } },
+      });
+    });
+
+    test('loads the newest decisions up to maxDecisions', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+      for (const [id, day] of [['d2', '02'], ['d1', '01'], ['d3', '03']]) {
+        await dbService.upsertKnowledgeDecision({
+          id,
+          role_id: 'cfo',
+          task: { id: `task-${id}`, content: `Review invoice ${id}` },
+          embedding: [],
+          created_at: `2026-03-${day}T00:00:00.000Z`,
+        });
+      }
+
+      const loadSpy = jest.spyOn(dbService, 'listKnowledgeDecisions');
+      const reader = new KnowledgeBase({ dbService, maxDecisions: 2 });
+      await reader.ensureLoaded();
+
+      expect(loadSpy).toHaveBeenCalledWith({ limit: 2 });
+      expect((await loadSpy.mock.results[0].value).data).toHaveLength(2);
+      expect(reader.decisions.map(d => d.id)).toEqual(['d2', 'd3']);
+    });
+  });
+
+  describe('agent prompts', () => {
+    test('include similar past decisions and their outcomes', async () => {
+      const intelligenceHub = new IntelligenceHub({
+        knowledge: { store: new MemoryKnowledgeStore() },
+        enableCostOptimization: false,
+        enableSmartRouting: false,
+      });
+      await intelligenceHub.recordDecision({
+        role: 'cfo',
+        task: { id: 'task-1', content: 'Approve the annual software license renewal' },
+        result: { action: 'Approved with a two-year term', success: true },
+      });
+
+      const llmRouter = {
+        complete: jest.fn().mockResolvedValue({ content: 'ANALYSIS: ok\nACTION: approve\nESCALATE: NO', inputTokens: 1, outputTokens: 1 }),
+      };
+      const agent = new RoleAgent({
+        roleId: 'cfo',
+        roleName: 'Chief Financial Officer',
+        roleAbbr: 'CFO',
+        llmRouter,
+        decisionLogger: { log: jest.fn() },
+        intelligenceHub,
+      });
+
+      await agent.processTask({ id: 'task-2', content: 'Approve the software license renewal for this year' });
+
+      const prompt = llmRouter.complete.mock.calls[0][0].userMessage;
+      expect(prompt).toContain('## Similar Past Decisions');
+      expect(prompt).toContain('"Approve the annual software license renewal"');
+      expect(prompt).toContain('Action: Approved with a two-year term');
+      expect(prompt).toContain('Outcome: succeeded');
+    });
+  });
+});
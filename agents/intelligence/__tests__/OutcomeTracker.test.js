@@ -0,0 +1,216 @@
+/**
+ * Unit tests for OutcomeTracker
+ * Tests follow-up scheduling and answers, outcome signals from task completion
+ * and audits, weighted accuracy and history, persistence through the database,
+ * and accuracy reaching SmartRouter ranking and PatternDetector
+ */
+
+import { jest } from '@jest/globals';
+import { OutcomeTracker, OUTCOME_SOURCES, FOLLOW_UP_STATUS } from '../OutcomeTracker.js';
+import KnowledgeBase, { MemoryKnowledgeStore } from '../KnowledgeBase.js';
+import SmartRouter from '../SmartRouter.js';
+import { PatternDetector, PATTERN_TYPES } from '../../neural-stack/PatternDetector.js';
+import { DatabaseService } from '../../services/DatabaseService.js';
+import { resetStorage } from '../../storage/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const offlineDb = { isAvailable: () => false };
+
+const memoryTracker = (config = {}) => new OutcomeTracker({ dbService: offlineDb, ...config });
+
+const recordMany = async (tracker, role, successes, { start = Date.now() - 20 * DAY_MS } = {}) => {
+  for (const [i, success] of successes.entries()) {
+    await tracker.recordOutcome({
+      decisionId: `${role}-d${i}`,
+      role,
+      source: OUTCOME_SOURCES.HUMAN,
+      success,
+      at: new Date(start + i * DAY_MS),
+    });
+  }
+};
+
+describe('OutcomeTracker', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('follow-ups', () => {
+    test('schedules 30 and 90 day checks for CFO approvals', async () => {
+      const tracker = memoryTracker();
+      const at = new Date('2026-01-01T00:00:00Z');
+
+      const { followUps } = await tracker.trackDecision({
+        task: { id: 't1', assigned_role: 'cfo', content: 'Approve vendor budget' },
+        result: { decision: 'Approved the $40K vendor budget' },
+        decisionId: 'd1',
+        at,
+      });
+
+      expect(followUps.map((f) => f.dueAt)).toEqual([
+        new Date(at.getTime() + 30 * DAY_MS).toISOString(),
+        new Date(at.getTime() + 90 * DAY_MS).toISOString(),
+      ]);
+      expect(followUps.every((f) => f.ruleId === 'cfo-approval' && f.status === FOLLOW_UP_STATUS.SCHEDULED)).toBe(true);
+
+      const none = await tracker.trackDecision({
+        task: { id: 't2', assigned_role: 'cfo' },
+        result: { decision: 'Rejected the request' },
+      });
+      expect(none.followUps).toHaveLength(0);
+    });
+
+    test('marks follow-ups due and records the human answer once', async () => {
+      const tracker = memoryTracker();
+      const at = new Date('2026-01-01T00:00:00Z');
+      const dueListener = jest.fn();
+      tracker.on('followUpDue', dueListener);
+
+      await tracker.trackDecision({
+        task: { id: 't1', assigned_role: 'cfo' },
+        result: { decision: 'Approved hiring budget' },
+        decisionId: 'd1',
+        at,
+      });
+
+      const due = await tracker.checkDue(new Date(at.getTime() + 31 * DAY_MS));
+      expect(due).toHaveLength(1);
+      expect(dueListener).toHaveBeenCalledTimes(1);
+      expect(await tracker.listFollowUps({ status: FOLLOW_UP_STATUS.DUE })).toHaveLength(1);
+
+      const { followUp, outcome } = await tracker.completeFollowUp(due[0].id, {
+        success: false,
+        notes: 'Hires did not ramp in time',
+        recordedBy: 'ceo@example.com',
+      });
+      expect(followUp.status).toBe(FOLLOW_UP_STATUS.COMPLETED);
+      expect(outcome).toMatchObject({ decisionId: 'd1', source: OUTCOME_SOURCES.FOLLOW_UP, score: 0, success: false });
+
+      await expect(tracker.completeFollowUp(due[0].id, { success: true }))
+        .rejects.toMatchObject({ code: 'FOLLOW_UP_CLOSED' });
+      await expect(tracker.completeFollowUp('missing', { success: true }))
+        .rejects.toMatchObject({ code: 'FOLLOW_UP_NOT_FOUND' });
+      await expect(tracker.completeFollowUp((await tracker.listFollowUps({ status: 'scheduled' }))[0].id, {}))
+        .rejects.toMatchObject({ code: 'INVALID_OUTCOME' });
+    });
+  });
+
+  describe('signals', () => {
+    test('records task completion and audit grades against the decision', async () => {
+      const kb = new KnowledgeBase({ store: new MemoryKnowledgeStore() });
+      const decisionId = await kb.storeDecision({ role: 'cto', task: { id: 't1', content: 'Pick a queue' }, action: 'Adopt Kafka' });
+      const tracker = memoryTracker({ knowledgeBase: kb });
+
+      await tracker.trackDecision({ task: { id: 't1', assigned_role: 'cto' }, result: { success: true }, decisionId });
+      await tracker.recordAudit({ task: { id: 't1', assigned_role: 'cto' }, audit: { success: true, audit: { overall_score: 55 } } });
+
+      const outcomes = tracker.getOutcomes('cto');
+      expect(outcomes.map((o) => o.source).sort()).toEqual([OUTCOME_SOURCES.AUDIT, OUTCOME_SOURCES.TASK_COMPLETION]);
+      const audit = outcomes.find((o) => o.source === OUTCOME_SOURCES.AUDIT);
+      expect(audit).toMatchObject({ decisionId, score: 0.55, success: false });
+      expect(kb.decisions.find((d) => d.id === decisionId).outcome).toMatchObject({ success: false, source: OUTCOME_SOURCES.AUDIT });
+    });
+
+    test('does not count an escalated task as a decided outcome', async () => {
+      const tracker = memoryTracker();
+
+      const { followUps } = await tracker.trackDecision({
+        task: { id: 't1', assigned_role: 'coo' },
+        result: { escalate: true },
+      });
+
+      expect(tracker.getOutcomes('coo')).toHaveLength(0);
+      expect(followUps.map((f) => f.ruleId)).toEqual(['escalated-decision']);
+    });
+  });
+
+  describe('scoring', () => {
+    test('weights human outcomes above task completion signals', async () => {
+      const tracker = memoryTracker();
+      const at = new Date();
+
+      await tracker.recordOutcome({ decisionId: 'd1', role: 'cfo', source: OUTCOME_SOURCES.TASK_COMPLETION, success: true, at });
+      await tracker.recordOutcome({ decisionId: 'd1', role: 'cfo', source: OUTCOME_SOURCES.HUMAN, success: false, at });
+
+      const score = tracker.getRoleScore('cfo', { now: at });
+      expect(score.accuracy).toBeCloseTo(0.2, 5);
+      expect(score.bySource[OUTCOME_SOURCES.HUMAN]).toEqual({ samples: 1, average: 0 });
+      expect(tracker.getRoutingAccuracy('cfo')).toBeNull();
+    });
+
+    test('reports accuracy by month', async () => {
+      const tracker = memoryTracker();
+      await tracker.recordOutcome({ decisionId: 'a', role: 'cmo', source: OUTCOME_SOURCES.HUMAN, success: true, at: '2026-02-10T00:00:00Z' });
+      await tracker.recordOutcome({ decisionId: 'b', role: 'cmo', source: OUTCOME_SOURCES.HUMAN, success: false, at: '2026-03-10T00:00:00Z' });
+      await tracker.recordOutcome({ decisionId: 'c', role: 'cmo', source: OUTCOME_SOURCES.HUMAN, success: true, at: '2026-03-20T00:00:00Z' });
+
+      const history = tracker.getAccuracyHistory('cmo', { months: 3, now: new Date('2026-03-31T00:00:00Z') });
+
+      expect(history.map((h) => h.period)).toEqual(['2026-01', '2026-02', '2026-03']);
+      expect(history[0]).toMatchObject({ accuracy: null, samples: 0 });
+      expect(history[1]).toMatchObject({ accuracy: 1, samples: 1 });
+      expect(history[2].samples).toBe(2);
+      expect(history[2].accuracy).toBeCloseTo(0.5, 1);
+    });
+  });
+
+  describe('consumers', () => {
+    test('SmartRouter prefers the role whose decisions work out', async () => {
+      const tracker = memoryTracker({ minSamples: 3 });
+      await recordMany(tracker, 'clo', [true, true, true, true]);
+      await recordMany(tracker, 'cco', [false, false, true, false]);
+
+      const router = new SmartRouter({ outcomeTracker: tracker, dbService: offlineDb });
+      const analysis = { keywordMatches: { clo: 1, cco: 1 }, priority: 'medium', taskType: 'compliance' };
+      const ranked = router.rankCandidates(['cco', 'clo'], {}, analysis);
+
+      expect(ranked[0].role).toBe('clo');
+      expect(ranked[0].factors).toContain('decision_accuracy_100%');
+    });
+
+    test('PatternDetector flags a decline in decision accuracy', async () => {
+      const tracker = memoryTracker();
+      await recordMany(tracker, 'cfo', [true, true, true, true, false, false, false, true]);
+
+      const detector = new PatternDetector({ outcomeTracker: tracker, adapter: 'local', storagePath: ':memory:' });
+      const pattern = detector.detectAccuracyDecline('cfo');
+
+      expect(pattern.type).toBe(PATTERN_TYPES.DECISION_ACCURACY_DECLINE);
+      expect(Number(pattern.data.decline_amount)).toBeGreaterThanOrEqual(0.15);
+      expect(pattern.data.failed_decisions).toHaveLength(3);
+      expect(detector.detectAccuracyDecline('cto')).toBeNull();
+    });
+  });
+
+  describe('persistence', () => {
+    afterAll(() => resetStorage());
+
+    test('reloads follow-ups and outcomes from the database', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+
+      const tracker = new OutcomeTracker({ dbService });
+      await tracker.trackDecision({
+        task: { id: 't1', assigned_role: 'cfo' },
+        result: { decision: 'Approved the cloud spend' },
+        decisionId: 'd1',
+        at: new Date('2026-01-01T00:00:00Z'),
+      });
+      const [due] = await tracker.checkDue(new Date('2026-02-15T00:00:00Z'));
+      await tracker.completeFollowUp(due.id, { success: true, score: 0.8 });
+
+      const reloaded = new OutcomeTracker({ dbService });
+      const followUps = await reloaded.listFollowUps();
+
+      expect(followUps.map((f) => f.status)).toEqual([FOLLOW_UP_STATUS.COMPLETED, FOLLOW_UP_STATUS.SCHEDULED]);
+      expect(reloaded.getOutcomes('cfo').map((o) => o.score).sort()).toEqual([0.8, 1]);
+      expect(reloaded.decisionsByTask.get('t1')).toBe('d1');
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Unit tests for SemanticCache
+ * Tests similarity matching, role and knowledge-version scoping, invalidation
+ * on knowledge changes, persistence through the database store and the cache
+ * metrics CostOptimizer reports, and RoleAgent completions served from it
+ */
+
+import { jest } from '@jest/globals';
+import SemanticCache, {
+  embed,
+  cosineSimilarity,
+  guardTokens,
+  MemoryCacheStore,
+  RedisCacheStore,
+  resolveCacheStore,
+} from '../SemanticCache.js';
+import CostOptimizer from '../CostOptimizer.js';
+import IntelligenceHub from '../index.js';
+import RoleAgent from '../../core/RoleAgent.js';
+import { emitKnowledgeChanged } from '../../neural-stack/KnowledgeEvents.js';
+import { DatabaseService } from '../../services/DatabaseService.js';
+import { resetStorage } from '../../storage/index.js';
+
+const memoryCache = (config = {}) => new SemanticCache({ store: new MemoryCacheStore(), ...config });
+
+describe('SemanticCache', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('embeddings', () => {
+    test('score rephrasings above unrelated tasks', () => {
+      const base = embed('Review the Q3 budget for marketing');
+
+      expect(cosineSimilarity(base, embed('Please review the marketing budget for Q3'))).toBeCloseTo(1);
+      expect(cosineSimilarity(base, embed('Review the Q3 budgets for marketing'))).toBeGreaterThan(0.75);
+      expect(cosineSimilarity(base, embed('Review the Q3 hiring plan'))).toBeLessThan(0.6);
+    });
+
+    test('keep different amounts apart', () => {
+      expect(cosineSimilarity(embed('Approve $5,000 for laptops'), embed('Approve $50,000 for laptops'))).toBeLessThan(0.9);
+    });
+  });
+
+  describe('lookup', () => {
+    test('returns the response cached for a similar task', async () => {
+      const cache = memoryCache();
+      await cache.store('Review the Q3 budget for marketing', { text: 'Looks fine' }, { role: 'cfo', versionHash: 'v1', cost: 0.02 });
+
+      const result = await cache.lookup('Please review the marketing budget for Q3', { role: 'cfo', versionHash: 'v1' });
+
+      expect(result).toMatchObject({ hit: true, response: { text: 'Looks fine' }, savedCost: 0.02 });
+      expect(await cache.lookup('Review the Q3 hiring plan', { role: 'cfo', versionHash: 'v1' }))
+        .toMatchObject({ hit: false });
+    });
+
+    test('does not return the answer to a negated task', async () => {
+      const cache = memoryCache({ threshold: 0.8 });
+      await cache.store('Should we hire a second sales engineer', 'Yes, hire', { role: 'chro' });
+
+      expect(cosineSimilarity(embed('Should we hire a second sales engineer'), embed('Should we not hire a second sales engineer')))
+        .toBeGreaterThan(0.8);
+      expect((await cache.lookup('Should we not hire a second sales engineer', { role: 'chro' })).hit).toBe(false);
+      expect((await cache.lookup("Shouldn't we hire a second sales engineer", { role: 'chro' })).hit).toBe(false);
+      expect((await cache.lookup('Should we hire a second sales engineer', { role: 'chro' })).hit).toBe(true);
+    });
+
+    test('does not return the answer for a different amount', async () => {
+      const cache = memoryCache({ threshold: 0.8 });
+      await cache.store('Approve $5,000 for new laptops', 'Approved', { role: 'cfo' });
+
+      expect(cosineSimilarity(embed('Approve $5,000 for new laptops'), embed('Approve $500,000 for new laptops')))
+        .toBeGreaterThan(0.8);
+      expect((await cache.lookup('Approve $500,000 for new laptops', { role: 'cfo' })).hit).toBe(false);
+      expect((await cache.lookup('Approve $5,000 for the new laptops', { role: 'cfo' })).hit).toBe(true);
+    });
+
+    test('compares negations and amounts exactly', () => {
+      expect(guardTokens("We don't need it")).toBe(guardTokens('We do not need it'));
+      expect(guardTokens('Spend $2.5M on ads.')).toBe(guardTokens('Spend $2.5m on ads'));
+      expect(guardTokens('Spend $2.5M on ads')).not.toBe(guardTokens('Spend $25M on ads'));
+      expect(guardTokens('Hire now')).not.toBe(guardTokens('Never hire'));
+    });
+
+    test('only matches entries for the same role and knowledge version', async () => {
+      const cache = memoryCache();
+      await cache.store('Summarize vendor contracts', 'summary', { role: 'clo', versionHash: 'v1' });
+
+      expect((await cache.lookup('Summarize vendor contracts', { role: 'cfo', versionHash: 'v1' })).hit).toBe(false);
+      expect((await cache.lookup('Summarize vendor contracts', { role: 'clo', versionHash: 'v2' })).hit).toBe(false);
+      expect((await cache.lookup('Summarize vendor contracts', { role: 'clo', versionHash: 'v1' })).hit).toBe(true);
+    });
+
+    test('ignores expired entries and evicts the oldest over the size limit', async () => {
+      const cache = memoryCache({ maxEntries: 2, ttl: 1000 });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await cache.store('first task', 1);
+      await cache.store('second task', 2);
+      await cache.store('third task', 3);
+      expect(cache.getStats().size).toBe(2);
+      expect((await cache.lookup('first task')).hit).toBe(false);
+
+      Date.now.mockReturnValue(now + 2000);
+      expect((await cache.lookup('third task')).hit).toBe(false);
+    });
+  });
+
+  describe('persistence', () => {
+    afterAll(() => resetStorage());
+
+    test('reloads entries from the database store', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+      const offlineRedis = { isReady: () => false };
+
+      const writer = new SemanticCache({ dbService, redis: offlineRedis });
+      await writer.store('Draft the security incident report', 'draft', { role: 'ciso', versionHash: 'v1', cost: 0.5 });
+      await writer.store('Plan the product launch', 'plan', { role: 'cmo', versionHash: 'v1' });
+      await writer.invalidate({ role: 'cmo' });
+
+      const reader = new SemanticCache({ dbService, redis: offlineRedis });
+      const result = await reader.lookup('Draft the security incident report', { role: 'ciso', versionHash: 'v1' });
+
+      expect(reader.getStats()).toMatchObject({ persistence: 'database', size: 1 });
+      expect(result).toMatchObject({ hit: true, response: 'draft', savedCost: 0.5 });
+    });
+
+    test('loads the newest entries up to maxEntries', async () => {
+      await resetStorage();
+      const dbService = new DatabaseService({ adapter: 'local', storagePath: ':memory:' });
+      const expiresAt = new Date(Date.now() + 60000).toISOString();
+      for (const [id, day] of [['e2', '02'], ['e1', '01'], ['e3', '03']]) {
+        await dbService.upsertCacheEntry({
+          id,
+          role_id: 'cfo',
+          content: `Review invoice ${id}`,
+          embedding: [],
+          response: id,
+          created_at: `2026-03-${day}T00:00:00.000Z`,
+          expires_at: expiresAt,
+        });
+      }
+
+      const reader = new SemanticCache({ dbService, redis: { isReady: () => false }, maxEntries: 2 });
+      await reader.ensureLoaded();
+
+      expect([...reader.entries.keys()]).toEqual(['e2', 'e3']);
+    });
+
+    test('reads Redis entries with SCAN rather than KEYS', async () => {
+      const redis = {
+        scan: jest.fn(async () => ['semantic-cache:e1']),
+        keys: jest.fn(),
+        get: jest.fn(async () => ({ id: 'e1', response: 'cached' })),
+      };
+
+      expect(await new RedisCacheStore(redis).load()).toEqual([{ id: 'e1', response: 'cached' }]);
+      expect(redis.scan).toHaveBeenCalledWith('semantic-cache:*');
+      expect(redis.keys).not.toHaveBeenCalled();
+    });
+
+    test('falls back to memory without Redis or a database', () => {
+      const store = resolveCacheStore({ redis: { isReady: () => false }, dbService: { isAvailable: () => false } });
+      expect(store.name).toBe('memory');
+    });
+  });
+
+  describe('CostOptimizer', () => {
+    let optimizer;
+    let versions;
+
+    beforeEach(() => {
+      versions = { cfo: 'v1', cto: 'v1' };
+      const knowledgeComputer = { getVersionHash: jest.fn(async (role) => versions[role]) };
+      optimizer = new CostOptimizer({ knowledgeComputer, cacheStore: new MemoryCacheStore() });
+    });
+
+    afterEach(() => {
+      optimizer.shutdown();
+    });
+
+    test('drops a role\'s cached responses when its knowledge is baked or reverted', async () => {
+      await optimizer.cacheResponse('Forecast Q4 cash flow', 'forecast', 0.1, { role: 'cfo' });
+      await optimizer.cacheResponse('Plan the database migration', 'plan', 0.1, { role: 'cto' });
+
+      versions.cfo = 'v2';
+      emitKnowledgeChanged({ agentRole: 'cfo', reason: 'baked', previousHash: 'v1', newHash: 'v2' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect((await optimizer.checkCache('Forecast Q4 cash flow', { role: 'cfo' })).hit).toBe(false);
+      expect((await optimizer.checkCache('Plan the database migration', { role: 'cto' })).hit).toBe(true);
+      expect(optimizer.knowledgeComputer.getVersionHash).toHaveBeenCalledTimes(3);
+    });
+
+    test('sees knowledge changed by another process once the version hash expires', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await optimizer.cacheResponse('Forecast Q4 cash flow', 'forecast', 0.1, { role: 'cfo' });
+
+      versions.cfo = 'v2';
+      expect((await optimizer.checkCache('Forecast Q4 cash flow', { role: 'cfo' })).hit).toBe(true);
+
+      Date.now.mockReturnValue(now + optimizer.versionHashTtl);
+      expect((await optimizer.checkCache('Forecast Q4 cash flow', { role: 'cfo' })).hit).toBe(false);
+    });
+
+    test('logs a failed invalidation on a knowledge change', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      optimizer.cache.invalidate = jest.fn().mockRejectedValue(new Error('Redis connection lost'));
+
+      emitKnowledgeChanged({ agentRole: 'cfo', reason: 'reverted', previousHash: 'v2', newHash: 'v1' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(warn).toHaveBeenCalledWith('[COST-OPTIMIZER] Could not drop cached responses for cfo:', 'Redis connection lost');
+    });
+
+    test('reports hit rate and savings in the summary', async () => {
+      await optimizer.cacheResponse('Forecast Q4 cash flow', 'forecast', 0.25, { role: 'cfo' });
+      await optimizer.checkCache('Forecast the Q4 cash flow', { role: 'cfo' });
+      await optimizer.checkCache('Hire a controller', { role: 'cfo' });
+
+      expect(optimizer.getSummary().cache).toMatchObject({
+        size: 1,
+        lookups: 2,
+        hits: 1,
+        hitRate: 0.5,
+        savedCost: 0.25,
+        persistence: 'memory',
+      });
+    });
+  });
+
+  describe('RoleAgent completions', () => {
+    test('serve similar tasks from the cache and ask the model otherwise', async () => {
+      const intelligenceHub = new IntelligenceHub({
+        cost: { knowledgeComputer: { getVersionHash: async () => 'v1' }, cacheStore: new MemoryCacheStore() },
+        enableLearning: false,
+        enableCostOptimization: false,
+        enableSmartRouting: false,
+      });
+      const llmRouter = {
+        complete: jest.fn().mockResolvedValue({
+          content: 'ANALYSIS: ok\nACTION: approve the renewal\nESCALATE: NO',
+          model: 'claude-sonnet-4',
+          provider: 'anthropic',
+          inputTokens: 100,
+          outputTokens: 50,
+          cost: 0.03,
+        }),
+      };
+      const agent = new RoleAgent({
+        roleId: 'cfo',
+        roleName: 'Chief Financial Officer',
+        roleAbbr: 'CFO',
+        llmRouter,
+        decisionLogger: { log: jest.fn() },
+        intelligenceHub,
+      });
+
+      await agent.processTask({ id: 'task-1', content: 'Approve the software license renewal' });
+      const cached = await agent.processTask({ id: 'task-2', content: 'Please approve the software license renewal' });
+
+      expect(llmRouter.complete).toHaveBeenCalledTimes(1);
+      expect(cached).toMatchObject({ action: 'approve the renewal' });
+      expect(intelligenceHub.costOptimizer.getSummary().cache).toMatchObject({ hits: 1, savedCost: 0.03 });
+
+      await agent.processTask({ id: 'task-3', content: 'Do not approve the software license renewal' });
+
+      expect(llmRouter.complete).toHaveBeenCalledTimes(2);
+      intelligenceHub.costOptimizer.shutdown();
+    });
+  });
+});
@@ -28,12 +28,18 @@ class IntelligenceHub {
 
   /**
    * Get context for a task
+   * context.knowledge.similarPastDecisions holds the most similar earlier
+   * decisions with their outcomes, for agents to include in their prompts.
    */
   async getTaskContext(task, role) {
     const context = {};
 
     if (this.enabled.learning) {
-      context.knowledge = await this.knowledgeBase.getContext(task, role);
+      try {
+        context.knowledge = await this.knowledgeBase.getContext(task, role);
+      } catch (error) {
+        console.warn(`[INTELLIGENCE] Knowledge context unavailable for ${task.id}:`, error.message);
+      }
     }
 
     if (this.enabled.costOptimization) {
@@ -66,21 +72,7 @@ class IntelligenceHub {
     });
 
     // Store decision in knowledge base
-    if (this.enabled.learning) {
-      const decisionId = await this.knowledgeBase.storeDecision({
-        role,
-        task,
-        analysis: result.analysis,
-        action: result.action,
-      });
-
-      // If outcome is known, record it
-      if (result.success !== undefined) {
-        await this.knowledgeBase.recordOutcome(decisionId, {
-          success: result.success,
-        });
-      }
-    }
+    await this.recordDecision({ role, task, result });
 
     // Record cost
     if (this.enabled.costOptimization && (tokens || cost)) {
@@ -101,6 +93,30 @@ class IntelligenceHub {
     }
   }
 
+  /**
+   * Store an agent's decision in the knowledge base
+   * @returns {string|null} Decision id
+   */
+  async recordDecision({ role, task, result }) {
+    if (!this.enabled.learning) return null;
+
+    const decisionId = await this.knowledgeBase.storeDecision({
+      role,
+      task,
+      analysis: result.analysis,
+      action: result.action,
+    });
+
+    // If outcome is known, record it
+    if (result.success !== undefined) {
+      await this.knowledgeBase.recordOutcome(decisionId, {
+        success: result.success,
+      });
+    }
+
+    return decisionId;
+  }
+
   /**
    * Record workflow completion
    */
@@ -111,19 +127,19 @@ class IntelligenceHub {
   /**
    * Check response cache
    */
-  checkCache(taskContent) {
+  async checkCache(taskContent, role = null) {
     if (!this.enabled.caching) {
       return { hit: false };
     }
-    return this.costOptimizer.checkCache(taskContent);
+    return this.costOptimizer.checkCache(taskContent, { role });
   }
 
   /**
    * Cache a response
    */
-  cacheResponse(taskContent, response, cost) {
+  async cacheResponse(taskContent, response, cost, role = null) {
     if (this.enabled.caching) {
-      this.costOptimizer.cacheResponse(taskContent, response, cost);
+      await this.costOptimizer.cacheResponse(taskContent, response, cost, { role });
     }
   }
 
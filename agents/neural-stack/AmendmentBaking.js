@@ -15,8 +15,9 @@
  * 6. Archive with full history
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
 import crypto from 'crypto';
+import { emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
 
 // Baking thresholds
 const BAKING_CONFIG = {
@@ -38,13 +39,9 @@ class AmendmentBaking {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
     }
   }
@@ -241,6 +238,14 @@ class AmendmentBaking {
     console.log(`[BAKING] Amendment baked for ${amendment.agent_role}: ${amendment.trigger_pattern}`);
     console.log(`[BAKING] Version hash: ${previousHash.substring(0, 8)}... -> ${newHash.substring(0, 8)}...`);
 
+    emitKnowledgeChanged({
+      agentRole: amendment.agent_role,
+      reason: KNOWLEDGE_CHANGE_REASONS.BAKED,
+      amendmentId,
+      previousHash,
+      newHash,
+    });
+
     return {
       data: {
         amendmentId,
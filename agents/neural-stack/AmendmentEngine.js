@@ -13,13 +13,25 @@
  * - Consecutive failure tracking
  * - CoS self-monitoring integration
  * - Amendment baking trigger
+ *
+ * Autonomous approval is gated on a passed shadow evaluation (ShadowEvaluator)
+ * when an evaluator is configured. Amendments whose trigger can never match a
+ * task (TriggerExpression) are not created.
+ *
+ * Proven amendments are proposed to peers with the same failure pattern
+ * (AmendmentPropagation), as are existing proven amendments when a
+ * cross-agent pattern is escalated.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
 import { PATTERN_TYPES } from './PatternDetector.js';
-import { ExceptionEscalation } from './ExceptionEscalation.js';
+import { ExceptionEscalation, ESCALATION_REASONS } from './ExceptionEscalation.js';
 import { CoSSelfMonitor } from './CoSSelfMonitor.js';
 import { AmendmentBaking } from './AmendmentBaking.js';
+import { shadowGate } from './ShadowEvaluator.js';
+import { emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
+import { validateTrigger } from './TriggerExpression.js';
+import { AmendmentPropagation } from './AmendmentPropagation.js';
 
 // Amendment templates by pattern type
 const AMENDMENT_TEMPLATES = {
@@ -105,6 +117,21 @@ const AMENDMENT_TEMPLATES = {
       },
     }),
   },
+
+  [PATTERN_TYPES.DECISION_ACCURACY_DECLINE]: {
+    amendment_type: 'judgment',
+    template: (pattern) => ({
+      trigger_pattern: 'decision:pre_commit',
+      instruction_delta: `Decision outcomes are declining. Recent accuracy: ${pattern.data.recent_accuracy}, Baseline: ${pattern.data.baseline_accuracy}. Before committing, state the expected result and how it will be checked, and compare against similar past decisions that did not work out.`,
+      knowledge_mutation: {
+        decision_review: {
+          baseline_accuracy: parseFloat(pattern.data.baseline_accuracy),
+          current_accuracy: parseFloat(pattern.data.recent_accuracy),
+          review_required: true,
+        },
+      },
+    }),
+  },
 };
 
 /**
@@ -120,6 +147,10 @@ class AmendmentEngine {
     this.exceptionEscalation = null;
     this.cosMonitor = null;
     this.amendmentBaking = null;
+    this.propagation = null;
+
+    // Replays held-out past tasks before an amendment is auto-approved
+    this.shadowEvaluator = config.shadowEvaluator || null;
 
     // PHASE 5E: Operating mode (autonomous by default)
     this.autonomousMode = config.autonomousMode !== false;
@@ -128,19 +159,16 @@ class AmendmentEngine {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
 
       // PHASE 5E: Initialize autonomous components
       this.exceptionEscalation = new ExceptionEscalation(config);
       this.cosMonitor = new CoSSelfMonitor(config);
       this.amendmentBaking = new AmendmentBaking(config);
+      this.propagation = new AmendmentPropagation(config);
     }
   }
 
@@ -188,6 +216,14 @@ class AmendmentEngine {
       return { data: null, error: { message: 'Database unavailable' } };
     }
 
+    const trigger = validateTrigger(amendment.trigger_pattern);
+    if (!trigger.valid) {
+      return {
+        data: null,
+        error: { message: `Invalid trigger "${amendment.trigger_pattern}": ${trigger.errors.join('; ')}` },
+      };
+    }
+
     // Check amendment limit (triggers baking if at threshold)
     const { data: amendments } = await this.supabase
       .from('monolith_amendments')
@@ -253,6 +289,11 @@ class AmendmentEngine {
             escalationCheck.analysis
           );
           escalationId = escalation?.id;
+
+          // Peers may already have a proven fix; offer it to their team leads meanwhile
+          if (escalationCheck.reason === ESCALATION_REASONS.CROSS_AGENT_PATTERN && this.propagation) {
+            await this.propagation.propagateForCrossAgentPattern(escalationCheck.analysis);
+          }
         } else {
           shouldAutoApprove = true; // Autonomous approval
         }
@@ -261,6 +302,24 @@ class AmendmentEngine {
       }
     }
 
+    // Only amendments that pass a shadow evaluation go live without approval;
+    // without an evaluator nothing can pass, so the amendment waits for approval
+    let shadow = {};
+    let approvalNotes = null;
+
+    if (shouldAutoApprove) {
+      if (this.shadowEvaluator) {
+        shadow = await this.shadowEvaluator.evaluate(agentRole, amendment);
+      }
+      const gate = shadowGate(shadow);
+
+      if (!gate.passed) {
+        shouldAutoApprove = false;
+        approvalNotes = gate.reason;
+        console.log(`[AMENDMENT] Held for approval (${agentRole}): ${gate.reason}`);
+      }
+    }
+
     // Create amendment
     const { data, error } = await this.supabase
       .from('monolith_amendments')
@@ -277,6 +336,8 @@ class AmendmentEngine {
         auto_approved: shouldAutoApprove,
         evaluation_status: shouldAutoApprove ? 'evaluating' : 'pending',
         escalation_id: escalationId,
+        approval_notes: approvalNotes,
+        ...shadow,
       }])
       .select()
       .single();
@@ -284,6 +345,10 @@ class AmendmentEngine {
     if (!error && data) {
       const approvalType = shouldAutoApprove ? 'auto-approved' : (escalationId ? 'escalated' : 'pending');
       console.log(`[AMENDMENT] Created ${amendment.amendment_type} amendment for ${agentRole} (${approvalType}): ${amendment.trigger_pattern}`);
+
+      if (shouldAutoApprove) {
+        emitKnowledgeChanged({ agentRole, reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED, amendmentId: data.id });
+      }
     }
 
     return { data, error, escalated: !!escalationId };
@@ -370,6 +435,12 @@ class AmendmentEngine {
 
     if (!error && data) {
       console.log(`[AMENDMENT] Approved by ${approvedBy}: ${data.trigger_pattern}`);
+
+      emitKnowledgeChanged({
+        agentRole: data.agent_role,
+        reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED,
+        amendmentId,
+      });
     }
 
     return { data, error };
@@ -418,6 +489,14 @@ class AmendmentEngine {
       .select()
       .single();
 
+    if (!error && data) {
+      emitKnowledgeChanged({
+        agentRole: data.agent_role,
+        reason: reason === 'auto_revert' ? KNOWLEDGE_CHANGE_REASONS.REVERTED : KNOWLEDGE_CHANGE_REASONS.DEACTIVATED,
+        amendmentId,
+      });
+    }
+
     return { data, error };
   }
 
@@ -561,6 +640,19 @@ class AmendmentEngine {
           await this.amendmentBaking.runAutoBaking(agentRole);
         }
       }
+
+      // Adapted copies keep their outcome on the propagation; proven originals go to peers
+      if (this.propagation) {
+        const { data: propagation } = await this.propagation.recordOutcome(amendmentId, {
+          status,
+          successCount,
+          failureCount,
+        });
+
+        if (status === 'proven' && !propagation) {
+          await this.propagation.propagateAmendment(amendmentId);
+        }
+      }
     }
 
     return { data, error };
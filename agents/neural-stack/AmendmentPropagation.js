@@ -0,0 +1,902 @@
+/**
+ * AMENDMENT PROPAGATION
+ * Cognalith Inc. | Monolith System
+ *
+ * Shares proven amendments between agents that fail the same way. When an
+ * amendment is proven (or baked), peers are found whose specialties overlap
+ * the source agent's (team configs merged with KnowledgeBot subordinate
+ * specialties) and who show the same pattern type: a recent entry in the
+ * pattern log or a reverted amendment for that pattern. Each peer gets an
+ * adapted copy, proposed to its team lead for approval.
+ *
+ * Cross-agent decline patterns (ExceptionEscalation) also propose existing
+ * proven amendments to the declining agents while the CEO escalation runs.
+ *
+ * Every proposal is recorded in monolith_amendment_propagations with the
+ * source, the adapted amendment and why the peer matched. Adapted amendments
+ * are evaluated like any other, but their outcome is kept on the propagation
+ * record so a copy's success never counts towards its source.
+ */
+
+import { getStorageClient } from '../storage/index.js';
+import { emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
+import { validateTrigger } from './TriggerExpression.js';
+import { getAllKnowledgeBots } from './KnowledgeBot.js';
+import { TEAM_LEAD_CONFIGS } from './TeamLeadReviewEngine.js';
+import { TECH_TEAM_BY_ROLE } from './tech-team-configs.js';
+import { MARKETING_TEAM_BY_ROLE } from './marketing-team-configs.js';
+import { PRODUCT_TEAM_BY_ROLE } from './product-team-configs.js';
+import { OPERATIONS_TEAM_BY_ROLE } from './operations-team-configs.js';
+import { FINANCE_TEAM_BY_ROLE } from './finance-team-configs.js';
+import { PEOPLE_TEAM_BY_ROLE } from './people-team-configs.js';
+
+const PROPAGATION_CONFIG = {
+  MIN_SHARED_TERMS: 2,        // Specialty keywords shared by peers without an identical specialty
+  PATTERN_LOOKBACK_DAYS: 14,  // How recent a peer's pattern must be
+  MAX_PEERS: 5,               // Adapted copies proposed per source amendment
+  MAX_SOURCES: 20,            // Proven amendments considered for a cross-agent pattern
+  MAX_ACTIVE_AMENDMENTS: 10,  // Same limit AmendmentEngine enforces
+};
+
+const PROPAGATION_STATUS = {
+  PROPOSED: 'proposed',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PROVEN: 'proven',
+  REVERTED: 'reverted',
+};
+
+// What started a propagation
+const PROPAGATION_TRIGGERS = {
+  PROVEN: 'proven',
+  CROSS_AGENT_PATTERN: 'cross_agent_pattern',
+  MANUAL: 'manual',
+};
+
+// source_pattern.source of adapted amendments
+const PROPAGATION_SOURCE = 'propagation';
+
+// Roles that may decide a proposal besides the peer's team lead
+const REVIEW_OVERRIDES = ['cos', 'ceo'];
+
+// Amendment fields carried over to an adapted copy
+const COPIED_FIELDS = [
+  'amendment_type',
+  'trigger_pattern',
+  'instruction_delta',
+  'knowledge_mutation',
+  'trigger_reason',
+  'target_area',
+  'content',
+  'performance_before',
+];
+
+const TEAM_CONFIGS_BY_ROLE = [
+  TECH_TEAM_BY_ROLE,
+  MARKETING_TEAM_BY_ROLE,
+  PRODUCT_TEAM_BY_ROLE,
+  OPERATIONS_TEAM_BY_ROLE,
+  FINANCE_TEAM_BY_ROLE,
+  PEOPLE_TEAM_BY_ROLE,
+];
+
+// Words too common across specialties to signal overlap
+const GENERIC_TERMS = new Set([
+  'and', 'for', 'the', 'management', 'strategy', 'strategies', 'optimization',
+  'techniques', 'methods', 'advanced', 'patterns', 'tools',
+]);
+
+// ============================================================================
+// SPECIALTY OVERLAP
+// ============================================================================
+
+const normalize = (specialty) => specialty.toLowerCase().trim();
+
+/**
+ * Distinct keywords across a list of specialties
+ */
+function specialtyTerms(specialties) {
+  const terms = new Set();
+  for (const specialty of specialties) {
+    for (const term of normalize(specialty).split(/[^a-z0-9]+/)) {
+      if (term.length >= 3 && !GENERIC_TERMS.has(term)) terms.add(term);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Overlap between two agents' specialties
+ * @returns {Object} { shared_specialties, shared_terms, score } - score is the
+ *   share of the smaller keyword set the two agents have in common
+ */
+function specialtyOverlap(a, b) {
+  const bSpecialties = new Set(b.map(normalize));
+  const shared_specialties = a.filter(s => bSpecialties.has(normalize(s)));
+
+  const aTerms = specialtyTerms(a);
+  const bTerms = specialtyTerms(b);
+  const shared_terms = [...aTerms].filter(t => bTerms.has(t)).sort();
+  const smaller = Math.min(aTerms.size, bTerms.size);
+
+  return {
+    shared_specialties,
+    shared_terms,
+    score: smaller > 0 ? Math.round((shared_terms.length / smaller) * 1000) / 1000 : 0,
+  };
+}
+
+/**
+ * Whether an overlap is strong enough to share amendments
+ */
+function isPeer(overlap) {
+  return overlap.shared_specialties.length > 0 || overlap.shared_terms.length >= PROPAGATION_CONFIG.MIN_SHARED_TERMS;
+}
+
+let agentDirectory = null;
+
+/**
+ * Subordinates with their team, team lead and specialties, from the team
+ * configs merged with each KnowledgeBot's subordinate specialties
+ * @returns {Map<string, Object>} role -> { role, team_id, team_lead, specialties }
+ */
+function getAgentDirectory() {
+  if (agentDirectory) return agentDirectory;
+
+  const directory = new Map();
+  const teamLeadOf = (role) => TEAM_LEAD_CONFIGS.find(c => c.subordinates.includes(role))?.role || null;
+
+  const add = (role, teamId, reportsTo, specialties) => {
+    const entry = directory.get(role) || { role, team_id: teamId, team_lead: teamLeadOf(role) || reportsTo, specialties: [] };
+    const known = new Set(entry.specialties.map(normalize));
+    for (const specialty of specialties || []) {
+      if (!known.has(normalize(specialty))) {
+        entry.specialties.push(specialty);
+        known.add(normalize(specialty));
+      }
+    }
+    directory.set(role, entry);
+  };
+
+  for (const byRole of TEAM_CONFIGS_BY_ROLE) {
+    for (const config of Object.values(byRole)) {
+      const specialties = config.subordinate_specialties || config.knowledge?.subordinate_specialties;
+      if (!specialties) continue;
+
+      for (const [role, list] of Object.entries(specialties)) {
+        add(role, config.team_id, config.reports_to, list);
+      }
+    }
+  }
+
+  for (const bot of getAllKnowledgeBots()) {
+    for (const role of bot.getSubordinates()) {
+      add(role, bot.config.team_id, bot.getTeamLead(), bot.getSubordinateSpecialties(role));
+    }
+  }
+
+  agentDirectory = directory;
+  return agentDirectory;
+}
+
+/**
+ * Replace the source role with the target role in every string of a value
+ */
+function replaceRole(value, from, to) {
+  if (typeof value === 'string') return value.split(from).join(to);
+  if (Array.isArray(value)) return value.map(v => replaceRole(v, from, to));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, replaceRole(v, from, to)]));
+  }
+  return value;
+}
+
+/**
+ * Status of a propagation, following its adapted amendment when it was
+ * approved, rejected or evaluated outside the propagation (e.g. the CEO
+ * approval queue)
+ */
+function effectiveStatus(propagation, adapted) {
+  if (!adapted) return propagation.status;
+  if (adapted.evaluation_status === 'proven') return PROPAGATION_STATUS.PROVEN;
+  if (adapted.evaluation_status === 'reverted') return PROPAGATION_STATUS.REVERTED;
+  if (adapted.approval_status === 'rejected') return PROPAGATION_STATUS.REJECTED;
+  if (['approved', 'auto_approved'].includes(adapted.approval_status)) return PROPAGATION_STATUS.APPROVED;
+  return propagation.status;
+}
+
+const successRate = (successes, failures) => {
+  const total = (successes || 0) + (failures || 0);
+  return total > 0 ? Math.round((successes / total) * 1000) / 1000 : null;
+};
+
+/**
+ * Amendment Propagation
+ * Proposes proven amendments to peers with the same failure pattern
+ */
+class AmendmentPropagation {
+  constructor(config = {}) {
+    this.supabase = null;
+    this.isConnected = false;
+
+    this.directory = config.agentDirectory || null;
+
+    this.initialize(config);
+  }
+
+  initialize(config) {
+    this.supabase = getStorageClient(config);
+
+    if (this.supabase) {
+      this.isConnected = true;
+    }
+  }
+
+  isAvailable() {
+    return this.isConnected && this.supabase !== null;
+  }
+
+  getDirectory() {
+    return this.directory || getAgentDirectory();
+  }
+
+  // ============================================================================
+  // PEER DISCOVERY
+  // ============================================================================
+
+  /**
+   * Agents whose specialties overlap the given agent's, strongest first
+   * @returns {Object[]} [{ role, team_id, team_lead, overlap }]
+   */
+  findPeers(agentRole) {
+    const directory = this.getDirectory();
+    const agent = directory.get(agentRole);
+    if (!agent) return [];
+
+    return [...directory.values()]
+      .filter(peer => peer.role !== agentRole)
+      .map(peer => ({
+        role: peer.role,
+        team_id: peer.team_id,
+        team_lead: peer.team_lead,
+        overlap: specialtyOverlap(agent.specialties, peer.specialties),
+      }))
+      .filter(peer => isPeer(peer.overlap))
+      .sort((a, b) => b.overlap.score - a.overlap.score || a.role.localeCompare(b.role));
+  }
+
+  /**
+   * Recent evidence of a pattern type per agent: logged patterns and
+   * amendments for that pattern that were reverted
+   * @returns {Object} role -> { patterns, reverted_amendments, confidence }
+   */
+  async getPatternEvidence(patternType, roles) {
+    const since = new Date();
+    since.setDate(since.getDate() - PROPAGATION_CONFIG.PATTERN_LOOKBACK_DAYS);
+
+    const { data: patterns, error } = await this.supabase
+      .from('monolith_pattern_log')
+      .select('agent_role, pattern_type, confidence, dismissed, created_at')
+      .eq('pattern_type', patternType)
+      .in('agent_role', roles)
+      .gte('created_at', since.toISOString());
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const { data: reverted } = await this.supabase
+      .from('monolith_amendments')
+      .select('agent_role, source_pattern, pattern_confidence, created_at')
+      .eq('evaluation_status', 'reverted')
+      .in('agent_role', roles)
+      .gte('created_at', since.toISOString());
+
+    const evidence = {};
+    const entry = (role) => {
+      evidence[role] = evidence[role] || { patterns: 0, reverted_amendments: 0, confidence: 0 };
+      return evidence[role];
+    };
+
+    for (const pattern of patterns || []) {
+      if (pattern.dismissed) continue;
+      const e = entry(pattern.agent_role);
+      e.patterns++;
+      e.confidence = Math.max(e.confidence, Number(pattern.confidence) || 0);
+    }
+
+    for (const amendment of reverted || []) {
+      if (amendment.source_pattern?.type !== patternType) continue;
+      const e = entry(amendment.agent_role);
+      e.reverted_amendments++;
+      e.confidence = Math.max(e.confidence, Number(amendment.pattern_confidence) || 0);
+    }
+
+    return evidence;
+  }
+
+  // ============================================================================
+  // PROPAGATION
+  // ============================================================================
+
+  /**
+   * Why an amendment cannot be propagated, or null
+   */
+  ineligibility(source) {
+    if (source.source_pattern?.source === PROPAGATION_SOURCE) {
+      return { message: 'Adapted amendments are not propagated again', code: 'ADAPTED_AMENDMENT' };
+    }
+    if (source.approval_status === 'rejected' || !(source.evaluation_status === 'proven' || source.is_baked)) {
+      return { message: `Amendment ${source.id} is not proven`, code: 'NOT_PROVEN' };
+    }
+    if (!source.source_pattern?.type) {
+      return { message: `Amendment ${source.id} has no source pattern type`, code: 'NO_PATTERN_TYPE' };
+    }
+    return null;
+  }
+
+  /**
+   * Propose adapted copies of a proven amendment to peers with the same pattern
+   * @param {string} amendmentId - Proven or baked amendment
+   * @param {Object} options - candidates (limit peers to these roles), triggeredBy
+   * @returns {Object} { data: { source_amendment_id, proposed, skipped }, error }
+   */
+  async propagateAmendment(amendmentId, { candidates = null, triggeredBy = PROPAGATION_TRIGGERS.PROVEN } = {}) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data: source } = await this.supabase
+      .from('monolith_amendments')
+      .select('*')
+      .eq('id', amendmentId)
+      .maybeSingle();
+
+    if (!source) {
+      return { data: null, error: { message: `Amendment not found: ${amendmentId}`, code: 'SOURCE_NOT_FOUND' } };
+    }
+
+    const ineligible = this.ineligibility(source);
+    if (ineligible) {
+      return { data: null, error: ineligible };
+    }
+
+    const patternType = source.source_pattern.type;
+    const skipped = [];
+
+    let peers = this.findPeers(source.agent_role);
+    if (candidates) {
+      peers = peers.filter(peer => candidates.includes(peer.role));
+    }
+
+    if (peers.length === 0) {
+      return { data: { source_amendment_id: source.id, proposed: [], skipped }, error: null };
+    }
+
+    const roles = peers.map(peer => peer.role);
+    const evidence = await this.getPatternEvidence(patternType, roles);
+
+    // Peers already offered this amendment, or already covering its trigger
+    const { data: existing } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .select('target_role')
+      .eq('source_amendment_id', source.id);
+    const offered = new Set((existing || []).map(p => p.target_role));
+
+    const { data: covering } = await this.supabase
+      .from('monolith_amendments')
+      .select('agent_role, is_active, approval_status')
+      .eq('trigger_pattern', source.trigger_pattern)
+      .in('agent_role', roles);
+    const covered = new Set((covering || [])
+      .filter(a => a.is_active || a.approval_status === 'pending')
+      .map(a => a.agent_role));
+
+    const proposed = [];
+
+    for (const peer of peers) {
+      if (proposed.length >= PROPAGATION_CONFIG.MAX_PEERS) break;
+
+      const reason = !evidence[peer.role] ? 'no_matching_pattern'
+        : offered.has(peer.role) ? 'already_proposed'
+          : covered.has(peer.role) ? 'trigger_covered'
+            : !peer.team_lead ? 'no_team_lead'
+              : null;
+
+      if (reason) {
+        skipped.push({ role: peer.role, reason });
+        continue;
+      }
+
+      const { data, error } = await this.proposeCopy(source, peer, evidence[peer.role], triggeredBy);
+      if (error) {
+        console.error(`[PROPAGATION] Failed to propose ${source.id} to ${peer.role}:`, error.message);
+        skipped.push({ role: peer.role, reason: 'error', error: error.message });
+        continue;
+      }
+
+      proposed.push(data);
+    }
+
+    if (proposed.length > 0) {
+      console.log(`[PROPAGATION] ${source.agent_role} ${patternType} amendment proposed to ${proposed.map(p => `${p.target_role} (via ${p.team_lead_role})`).join(', ')}`);
+    }
+
+    return { data: { source_amendment_id: source.id, proposed, skipped }, error: null };
+  }
+
+  /**
+   * Insert an adapted copy for a peer and record the propagation
+   */
+  async proposeCopy(source, peer, evidence, triggeredBy) {
+    const copy = {};
+    for (const field of COPIED_FIELDS) {
+      if (source[field] !== undefined && source[field] !== null) {
+        copy[field] = replaceRole(source[field], source.agent_role, peer.role);
+      }
+    }
+
+    const check = validateTrigger(copy.trigger_pattern);
+    if (!check.valid) {
+      return { data: null, error: { message: `Invalid trigger "${copy.trigger_pattern}": ${check.errors.join('; ')}` } };
+    }
+
+    const evaluations = (source.success_count || 0) + (source.failure_count || 0);
+    const provenBy = evaluations > 0 ? `${source.success_count}/${evaluations} successful evaluations` : 'baked';
+    const shared = peer.overlap.shared_specialties.length > 0 ? peer.overlap.shared_specialties : peer.overlap.shared_terms;
+
+    const { data: adapted, error } = await this.supabase
+      .from('monolith_amendments')
+      .insert([{
+        ...copy,
+        ...(source.amendment_id ? { amendment_id: `${source.amendment_id}:${peer.role}` } : {}),
+        agent_role: peer.role,
+        source_pattern: {
+          type: source.source_pattern.type,
+          source: PROPAGATION_SOURCE,
+          propagated_from: { amendment_id: source.id, agent_role: source.agent_role },
+          evidence,
+        },
+        pattern_confidence: evidence.confidence || source.pattern_confidence,
+        parent_amendment_id: source.id,
+        approval_status: 'pending',
+        is_active: false,
+        auto_approved: false,
+        evaluation_status: 'pending',
+        approval_notes: `Proposed to ${peer.team_lead}: proven on ${source.agent_role} (${provenBy}); shared specialties: ${shared.join(', ')}`,
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    const { data, error: recordError } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .insert([{
+        source_amendment_id: source.id,
+        source_role: source.agent_role,
+        adapted_amendment_id: adapted.id,
+        target_role: peer.role,
+        team_lead_role: peer.team_lead,
+        pattern_type: source.source_pattern.type,
+        triggered_by: triggeredBy,
+        overlap: peer.overlap,
+        evidence,
+        status: PROPAGATION_STATUS.PROPOSED,
+      }])
+      .select()
+      .single();
+
+    if (recordError) {
+      // No lineage, no proposal
+      await this.supabase.from('monolith_amendments').delete().eq('id', adapted.id);
+    }
+
+    return { data, error: recordError };
+  }
+
+  /**
+   * Offer proven amendments to the agents in a cross-agent decline pattern
+   * @param {Object} crossAgent - Result of ExceptionEscalation.checkCrossAgentPattern
+   *   or AmendmentSafety.detectCrossAgentPattern
+   */
+  async propagateForCrossAgentPattern(crossAgent) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const decliningAgents = crossAgent?.declining_agents || [];
+    if (!crossAgent?.detected || decliningAgents.length === 0) {
+      return { data: { proposed: [] }, error: null };
+    }
+
+    const { data: proven } = await this.supabase
+      .from('monolith_amendments')
+      .select('*')
+      .eq('evaluation_status', 'proven')
+      .order('created_at', { ascending: false })
+      .limit(PROPAGATION_CONFIG.MAX_SOURCES);
+
+    const { data: baked } = await this.supabase
+      .from('monolith_amendments')
+      .select('*')
+      .eq('is_baked', true)
+      .order('created_at', { ascending: false })
+      .limit(PROPAGATION_CONFIG.MAX_SOURCES);
+
+    const sources = new Map();
+    for (const amendment of [...(proven || []), ...(baked || [])]) {
+      if (!this.ineligibility(amendment)) sources.set(amendment.id, amendment);
+    }
+
+    const proposed = [];
+    for (const source of sources.values()) {
+      const { data } = await this.propagateAmendment(source.id, {
+        candidates: decliningAgents,
+        triggeredBy: PROPAGATION_TRIGGERS.CROSS_AGENT_PATTERN,
+      });
+      proposed.push(...(data?.proposed || []));
+    }
+
+    return { data: { proposed }, error: null };
+  }
+
+  // ============================================================================
+  // TEAM LEAD REVIEW
+  // ============================================================================
+
+  /**
+   * Proposals awaiting a team lead's decision
+   */
+  async getPendingProposals(teamLeadRole = null) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from('monolith_amendment_propagations')
+      .select('*')
+      .eq('status', PROPAGATION_STATUS.PROPOSED)
+      .order('created_at', { ascending: true });
+
+    if (teamLeadRole) {
+      query = query.eq('team_lead_role', teamLeadRole);
+    }
+
+    const { data, error } = await query;
+    return { data: data || [], error };
+  }
+
+  /**
+   * Load a proposal the reviewer may still decide
+   */
+  async getReviewableProposal(propagationId, reviewer) {
+    const { data: propagation } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .select('*')
+      .eq('id', propagationId)
+      .maybeSingle();
+
+    if (!propagation) {
+      return { error: { message: `Propagation not found: ${propagationId}`, code: 'PROPAGATION_NOT_FOUND' } };
+    }
+    if (propagation.status !== PROPAGATION_STATUS.PROPOSED) {
+      return { error: { message: `Propagation is already ${propagation.status}`, code: 'NOT_PENDING' } };
+    }
+    if (reviewer !== propagation.team_lead_role && !REVIEW_OVERRIDES.includes(reviewer)) {
+      return {
+        error: {
+          message: `Only ${propagation.team_lead_role} can review amendments for ${propagation.target_role}`,
+          code: 'NOT_TEAM_LEAD',
+        },
+      };
+    }
+
+    return { propagation };
+  }
+
+  /**
+   * Approve a proposal: the adapted amendment goes live and starts evaluation
+   */
+  async approveProposal(propagationId, reviewer, notes = null) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { propagation, error: reviewError } = await this.getReviewableProposal(propagationId, reviewer);
+    if (reviewError) {
+      return { data: null, error: reviewError };
+    }
+
+    const { data: active } = await this.supabase
+      .from('monolith_amendments')
+      .select('id')
+      .eq('agent_role', propagation.target_role)
+      .eq('is_active', true);
+
+    if ((active?.length || 0) >= PROPAGATION_CONFIG.MAX_ACTIVE_AMENDMENTS) {
+      return {
+        data: null,
+        error: { message: `${propagation.target_role} already has ${PROPAGATION_CONFIG.MAX_ACTIVE_AMENDMENTS} active amendments`, code: 'AMENDMENT_LIMIT' },
+      };
+    }
+
+    const reviewedAt = new Date().toISOString();
+
+    const { data: amendment, error } = await this.supabase
+      .from('monolith_amendments')
+      .update({
+        approval_status: 'approved',
+        approved_by: reviewer,
+        approved_at: reviewedAt,
+        approval_notes: notes,
+        is_active: true,
+        evaluation_status: 'evaluating',
+      })
+      .eq('id', propagation.adapted_amendment_id)
+      .eq('approval_status', 'pending')
+      .select()
+      .single();
+
+    if (error || !amendment) {
+      return { data: null, error: error || { message: 'Adapted amendment is no longer pending', code: 'NOT_PENDING' } };
+    }
+
+    const { data, error: updateError } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .update({
+        status: PROPAGATION_STATUS.APPROVED,
+        reviewed_by: reviewer,
+        reviewed_at: reviewedAt,
+        review_notes: notes,
+        updated_at: reviewedAt,
+      })
+      .eq('id', propagationId)
+      .select()
+      .single();
+
+    console.log(`[PROPAGATION] ${reviewer} approved ${propagation.source_role} amendment for ${propagation.target_role}`);
+
+    emitKnowledgeChanged({
+      agentRole: propagation.target_role,
+      reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED,
+      amendmentId: amendment.id,
+    });
+
+    return { data: { propagation: data, amendment }, error: updateError };
+  }
+
+  /**
+   * Reject a proposal
+   */
+  async rejectProposal(propagationId, reviewer, reason) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { propagation, error: reviewError } = await this.getReviewableProposal(propagationId, reviewer);
+    if (reviewError) {
+      return { data: null, error: reviewError };
+    }
+
+    const reviewedAt = new Date().toISOString();
+
+    const { data: amendment } = await this.supabase
+      .from('monolith_amendments')
+      .update({
+        approval_status: 'rejected',
+        approved_by: reviewer,
+        approved_at: reviewedAt,
+        approval_notes: reason,
+        is_active: false,
+      })
+      .eq('id', propagation.adapted_amendment_id)
+      .select()
+      .single();
+
+    const { data, error } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .update({
+        status: PROPAGATION_STATUS.REJECTED,
+        reviewed_by: reviewer,
+        reviewed_at: reviewedAt,
+        review_notes: reason,
+        updated_at: reviewedAt,
+      })
+      .eq('id', propagationId)
+      .select()
+      .single();
+
+    console.log(`[PROPAGATION] ${reviewer} rejected ${propagation.source_role} amendment for ${propagation.target_role}`);
+
+    return { data: { propagation: data, amendment }, error };
+  }
+
+  // ============================================================================
+  // EVALUATION
+  // ============================================================================
+
+  /**
+   * Record the finalized evaluation of an adapted amendment on its propagation
+   * Returns no data for amendments that were not propagated.
+   * @param {Object} outcome - { status: 'proven'|'reverted', successCount, failureCount }
+   */
+  async recordOutcome(amendmentId, { status, successCount, failureCount }) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data: propagation } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .select('id, source_role, target_role')
+      .eq('adapted_amendment_id', amendmentId)
+      .maybeSingle();
+
+    if (!propagation) {
+      return { data: null, error: null };
+    }
+
+    const evaluatedAt = new Date().toISOString();
+
+    const { data, error } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .update({
+        status: status === 'proven' ? PROPAGATION_STATUS.PROVEN : PROPAGATION_STATUS.REVERTED,
+        success_count: successCount,
+        failure_count: failureCount,
+        success_rate: successRate(successCount, failureCount),
+        evaluated_at: evaluatedAt,
+        updated_at: evaluatedAt,
+      })
+      .eq('id', propagation.id)
+      .select()
+      .single();
+
+    if (!error) {
+      console.log(`[PROPAGATION] Adapted ${propagation.source_role} amendment ${status} on ${propagation.target_role}`);
+    }
+
+    return { data, error };
+  }
+
+  // ============================================================================
+  // LINEAGE
+  // ============================================================================
+
+  /**
+   * Group propagation records into lineages: each source amendment with its
+   * adapted copies and their separate evaluation outcomes
+   */
+  async buildLineages(propagations) {
+    const amendmentIds = [...new Set(propagations.flatMap(p => [p.source_amendment_id, p.adapted_amendment_id]).filter(Boolean))];
+
+    const { data: amendments } = amendmentIds.length > 0
+      ? await this.supabase
+        .from('monolith_amendments')
+        .select('id, agent_role, trigger_pattern, instruction_delta, amendment_type, approval_status, evaluation_status, is_active, is_baked, success_count, failure_count, created_at')
+        .in('id', amendmentIds)
+      : { data: [] };
+
+    const byId = new Map((amendments || []).map(a => [a.id, a]));
+    const lineages = new Map();
+
+    for (const propagation of propagations) {
+      if (!lineages.has(propagation.source_amendment_id)) {
+        const source = byId.get(propagation.source_amendment_id) || null;
+        lineages.set(propagation.source_amendment_id, {
+          source_amendment_id: propagation.source_amendment_id,
+          source_role: propagation.source_role,
+          pattern_type: propagation.pattern_type,
+          source,
+          source_success_rate: source ? successRate(source.success_count, source.failure_count) : null,
+          propagations: [],
+        });
+      }
+
+      const adapted = byId.get(propagation.adapted_amendment_id) || null;
+      lineages.get(propagation.source_amendment_id).propagations.push({
+        ...propagation,
+        status: effectiveStatus(propagation, adapted),
+        adapted,
+      });
+    }
+
+    return [...lineages.values()].map(lineage => {
+      const summary = Object.fromEntries(Object.values(PROPAGATION_STATUS).map(s => [s, 0]));
+      let successes = 0;
+      let failures = 0;
+
+      for (const propagation of lineage.propagations) {
+        summary[propagation.status]++;
+        successes += propagation.success_count || 0;
+        failures += propagation.failure_count || 0;
+      }
+
+      return {
+        ...lineage,
+        summary: { ...summary, total: lineage.propagations.length },
+        adapted_success_rate: successRate(successes, failures),
+      };
+    });
+  }
+
+  /**
+   * Lineage of an amendment: its propagations, or the propagations of the
+   * source it was adapted from
+   */
+  async getLineage(amendmentId) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data: adaptedFrom } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .select('source_amendment_id')
+      .eq('adapted_amendment_id', amendmentId)
+      .maybeSingle();
+
+    const sourceId = adaptedFrom?.source_amendment_id || amendmentId;
+
+    const { data: propagations, error } = await this.supabase
+      .from('monolith_amendment_propagations')
+      .select('*')
+      .eq('source_amendment_id', sourceId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    if (!propagations || propagations.length === 0) {
+      return { data: null, error: { message: `No propagations for amendment ${amendmentId}`, code: 'PROPAGATION_NOT_FOUND' } };
+    }
+
+    const [lineage] = await this.buildLineages(propagations);
+    return { data: lineage, error: null };
+  }
+
+  /**
+   * Recent lineages, newest source first
+   * @param {Object} filters - teamLead, agentRole (source or target), limit (propagation records)
+   */
+  async getLineages({ teamLead = null, agentRole = null, limit = 100 } = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from('monolith_amendment_propagations')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (teamLead) {
+      query = query.eq('team_lead_role', teamLead);
+    }
+
+    const { data: propagations, error } = await query;
+    if (error) {
+      return { data: [], error };
+    }
+
+    const matching = (propagations || [])
+      .filter(p => !agentRole || p.source_role === agentRole || p.target_role === agentRole)
+      .reverse();
+
+    return { data: (await this.buildLineages(matching)).reverse(), error: null };
+  }
+}
+
+// Export
+export {
+  AmendmentPropagation,
+  PROPAGATION_CONFIG,
+  PROPAGATION_STATUS,
+  PROPAGATION_TRIGGERS,
+  PROPAGATION_SOURCE,
+  specialtyOverlap,
+  getAgentDirectory,
+};
+export default AmendmentPropagation;
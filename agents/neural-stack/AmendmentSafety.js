@@ -10,14 +10,21 @@
  * 3. Protected patterns cannot be modified
  * 4. Conflicting amendments are rejected
  * 5. Only CoS can generate amendments (agents cannot self-modify)
+ * 6. Triggers must parse and be able to match some task (TriggerExpression)
  *
  * PHASE 5E ADDITIONS:
  * - Cross-agent pattern detection (3+ agents declining)
  * - Detailed reversion logging
  * - Integration with exception escalation
+ *
+ * Knowledge rollbacks (KnowledgeVersioning) are validated here too: base
+ * knowledge is never rolled back and restored amendments obey the same
+ * limits and protected patterns as new ones.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
+import { emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
+import { validateTrigger } from './TriggerExpression.js';
 
 // Safety constraints
 const SAFETY_LIMITS = {
@@ -53,6 +60,9 @@ const CONSTRAINT_TYPES = {
   CONFLICTING_AMENDMENT: 'conflicting_amendment',
   CROSS_AGENT_PATTERN: 'cross_agent_pattern',       // PHASE 5E
   CONSECUTIVE_FAILURES: 'consecutive_failures',      // PHASE 5E
+  ROLLBACK_BLOCKED: 'rollback_blocked',
+  KNOWLEDGE_ROLLBACK: 'knowledge_rollback',
+  INVALID_TRIGGER: 'invalid_trigger',
 };
 
 // PHASE 5E: Cross-agent detection thresholds
@@ -75,13 +85,9 @@ class AmendmentSafety {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
     }
   }
@@ -101,6 +107,12 @@ class AmendmentSafety {
   async validateAmendment(agentRole, amendment) {
     const violations = [];
 
+    // Check the trigger can ever apply
+    const triggerViolation = this.checkTrigger(amendment);
+    if (triggerViolation) {
+      violations.push(triggerViolation);
+    }
+
     // Check protected patterns
     const protectedViolation = this.checkProtectedPatterns(amendment);
     if (protectedViolation) {
@@ -132,6 +144,24 @@ class AmendmentSafety {
     };
   }
 
+  /**
+   * Check the amendment's trigger parses and can match some task
+   */
+  checkTrigger(amendment) {
+    const { valid, errors } = validateTrigger(amendment.trigger_pattern);
+    if (valid) return null;
+
+    return {
+      type: CONSTRAINT_TYPES.INVALID_TRIGGER,
+      message: `Amendment trigger is invalid: ${errors.join('; ')}`,
+      data: {
+        trigger_pattern: amendment.trigger_pattern,
+        errors,
+      },
+      action: 'Amendment rejected - trigger can never match',
+    };
+  }
+
   /**
    * Check if amendment modifies protected patterns
    */
@@ -267,6 +297,76 @@ class AmendmentSafety {
     return false;
   }
 
+  /**
+   * Validate restoring an earlier knowledge version
+   * @param {string} agentRole - Agent being rolled back
+   * @param {Object} target - Version snapshot to restore
+   * @param {Object} current - Snapshot of the current knowledge
+   * Returns { valid: boolean, violations: string[] }
+   */
+  async validateRollback(agentRole, target, current) {
+    const violations = [];
+    const rollback = { target_version: target.version_number, current_version: current.version_number ?? null };
+
+    // Persona knowledge is immutable; a rollback only restores standard knowledge and amendments
+    if (target.base_hash !== current.base_hash) {
+      violations.push({
+        type: CONSTRAINT_TYPES.ROLLBACK_BLOCKED,
+        message: `Version ${target.version_number} has different base knowledge; base knowledge cannot be rolled back`,
+        data: rollback,
+        action: 'Rollback rejected - base knowledge changed since target version',
+      });
+    }
+
+    const targetAmendments = target.amendments || [];
+    if (targetAmendments.length > this.limits.MAX_ACTIVE_AMENDMENTS) {
+      violations.push({
+        type: CONSTRAINT_TYPES.ROLLBACK_BLOCKED,
+        message: `Version ${target.version_number} has ${targetAmendments.length} active amendments (max ${this.limits.MAX_ACTIVE_AMENDMENTS})`,
+        data: { ...rollback, amendment_count: targetAmendments.length },
+        action: 'Rollback rejected - limit exceeded',
+      });
+    }
+
+    // Amendments the rollback would re-activate
+    const currentIds = new Set((current.amendments || []).map(a => a.id));
+    const restoring = targetAmendments.filter(a => !currentIds.has(a.id));
+
+    for (const amendment of restoring) {
+      const protectedViolation = this.checkProtectedPatterns(amendment);
+      if (protectedViolation) {
+        violations.push({ ...protectedViolation, data: { ...protectedViolation.data, ...rollback, amendment_id: amendment.id } });
+      }
+    }
+
+    if (restoring.length > 0 && this.isAvailable()) {
+      const { data: existing } = await this.supabase
+        .from('monolith_amendments')
+        .select('id')
+        .in('id', restoring.map(a => a.id));
+
+      const existingIds = new Set((existing || []).map(a => a.id));
+      const missing = restoring.filter(a => !existingIds.has(a.id)).map(a => a.id);
+      if (missing.length > 0) {
+        violations.push({
+          type: CONSTRAINT_TYPES.ROLLBACK_BLOCKED,
+          message: `Amendments in version ${target.version_number} no longer exist: ${missing.join(', ')}`,
+          data: { ...rollback, missing_amendments: missing },
+          action: 'Rollback rejected - amendments missing',
+        });
+      }
+    }
+
+    for (const violation of violations) {
+      await this.logSafetyEvent(agentRole, violation.type, violation.data, violation.action);
+    }
+
+    return {
+      valid: violations.length === 0,
+      violations: violations.map(v => v.message),
+    };
+  }
+
   // ============================================================================
   // ENFORCEMENT ACTIONS
   // ============================================================================
@@ -387,6 +487,12 @@ class AmendmentSafety {
         `Amendment auto-reverted after ${this.limits.AUTO_REVERT_FAILURES} consecutive failures`
       );
 
+      emitKnowledgeChanged({
+        agentRole: amendment?.agent_role,
+        reason: KNOWLEDGE_CHANGE_REASONS.REVERTED,
+        amendmentId,
+      });
+
       console.log(`[SAFETY] Auto-reverted amendment ${amendmentId}`);
       return { reverted: true, error: null };
     }
@@ -13,10 +13,15 @@
  * - 'autonomous': CoS handles amendments, CEO only for exceptions
  * - 'strict': All amendments require CEO approval (legacy)
  * - 'trust': Trust-based auto-approval for proven agents
+ *
+ * In 'autonomous' and 'trust' mode an amendment is only approved without the
+ * CEO once its shadow evaluation (ShadowEvaluator) has passed.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
 import { ExceptionEscalation, ESCALATION_REASONS } from './ExceptionEscalation.js';
+import { shadowGate } from './ShadowEvaluator.js';
+import { emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
 
 // Approval tiers (for future relaxation)
 const APPROVAL_TIERS = {
@@ -58,17 +63,16 @@ class ApprovalWorkflow {
     // Initialize exception escalation for autonomous mode
     this.exceptionEscalation = null;
 
+    // Autonomous approval requires a passed shadow evaluation
+    this.requireShadowEvaluation = config.requireShadowEvaluation !== false;
+
     this.initialize(config);
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
 
       // Initialize exception escalation for autonomous mode
@@ -105,6 +109,9 @@ class ApprovalWorkflow {
         }
       }
 
+      const shadowRequirement = this.checkShadowEvaluation(amendment);
+      if (shadowRequirement) return shadowRequirement;
+
       // No exception - process autonomously
       return {
         required: false,
@@ -136,7 +143,10 @@ class ApprovalWorkflow {
       };
     }
 
+    const shadowRequirement = this.checkShadowEvaluation(amendment);
+
     if (tier === APPROVAL_TIERS.AUTO_APPROVED) {
+      if (shadowRequirement) return shadowRequirement;
       return {
         required: false,
         reason: 'Amendment type eligible for auto-approval',
@@ -148,6 +158,7 @@ class ApprovalWorkflow {
     // AUTO_AFTER_TRUST: check trust level
     const trust = await this.checkAgentTrust(agentRole);
     if (trust.trusted) {
+      if (shadowRequirement) return { ...shadowRequirement, tier };
       return {
         required: false,
         reason: `Agent ${agentRole} has established trust (${trust.provenAmendments} proven amendments, ${(trust.successRate * 100).toFixed(0)}% success)`,
@@ -165,6 +176,25 @@ class ApprovalWorkflow {
     };
   }
 
+  /**
+   * Approval requirement for an amendment without a passed shadow evaluation
+   * @returns {Object|null} Requirement, or null when the evaluation passed (or is not required)
+   */
+  checkShadowEvaluation(amendment) {
+    if (!this.requireShadowEvaluation) return null;
+
+    const gate = shadowGate(amendment);
+    if (gate.passed) return null;
+
+    return {
+      required: true,
+      reason: gate.reason,
+      tier: APPROVAL_TIERS.AUTO_AFTER_TRUST,
+      shadow: gate,
+      autonomous: false,
+    };
+  }
+
   /**
    * Process amendment autonomously (no CEO approval needed)
    * PHASE 5E: New method for autonomous processing
@@ -192,6 +222,7 @@ class ApprovalWorkflow {
 
     if (!error && data) {
       console.log(`[APPROVAL] Auto-approved (autonomous): ${data.trigger_pattern}`);
+      emitKnowledgeChanged({ agentRole: data.agent_role, reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED, amendmentId });
     }
 
     return { data, error };
@@ -329,6 +360,7 @@ Total: ${amendments.length} pending amendment(s)
 
     if (!error && data) {
       console.log(`[APPROVAL] Amendment approved by ${approverName}: ${data.trigger_pattern}`);
+      emitKnowledgeChanged({ agentRole: data.agent_role, reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED, amendmentId });
     }
 
     return { data, error };
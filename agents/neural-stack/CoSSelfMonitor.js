@@ -12,7 +12,7 @@
  * - CoS cannot modify its own evaluation logic
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
 
 // HARDCODED - CoS cannot modify these values
 const HARDCODED = Object.freeze({
@@ -47,13 +47,9 @@ class CoSSelfMonitor {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
     }
   }
@@ -12,10 +12,11 @@
  * - Integration with node-cron or simple interval scheduling
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
 import ChiefOfStaffAgent, { TEAM_LEADS, TEAM_LEAD_ROLES } from '../roles/cos/agent.js';
 import { PatternDetector } from './PatternDetector.js';
 import { AmendmentEngine } from './AmendmentEngine.js';
+import { ShadowEvaluator } from './ShadowEvaluator.js';
 
 // Team Lead configuration for scheduling
 const TEAM_LEAD_CONFIGS = Object.values(TEAM_LEADS);
@@ -26,19 +27,26 @@ let schedulerInterval = null;
 let lastReviewTime = null;
 
 /**
- * Initialize Supabase client
+ * Storage client (any configured adapter)
  */
 function initializeSupabase(config = {}) {
-  const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-  const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+  const supabase = getStorageClient(config);
 
-  if (!supabaseUrl || !supabaseKey) {
-    throw new Error('Supabase configuration required (SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY)');
+  if (!supabase) {
+    throw new Error('Storage configuration required (SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, DATABASE_URL, or STORAGE_ADAPTER=local)');
   }
 
-  return createClient(supabaseUrl, supabaseKey, {
-    auth: { autoRefreshToken: true, persistSession: false },
-  });
+  return supabase;
+}
+
+/**
+ * Amendment engine whose auto-approvals must pass a shadow evaluation.
+ * options.agents (role -> RoleAgent) replays the held-out tasks; roles without
+ * an agent cannot pass, so their amendments wait for approval.
+ */
+function createAmendmentEngine(options) {
+  const shadowEvaluator = options.shadowEvaluator || new ShadowEvaluator(options);
+  return new AmendmentEngine({ ...options, shadowEvaluator });
 }
 
 // ============================================================================
@@ -105,7 +113,7 @@ async function runTeamLeadReviewCycle(teamLeadConfig, options = {}) {
 
       // Generate Team Lead advisory amendment based on subordinate patterns
       if (subordinatePatterns.length >= 2) {
-        const amendmentEngine = new AmendmentEngine(options);
+        const amendmentEngine = createAmendmentEngine(options);
 
         const teamIssueAmendment = {
           amendment_type: 'team_oversight',
@@ -144,7 +152,7 @@ async function runTeamLeadReviewCycle(teamLeadConfig, options = {}) {
 
     // 4. Generate amendments for Team Lead patterns (not subordinates)
     if (leadPatterns.length > 0) {
-      const amendmentEngine = new AmendmentEngine(options);
+      const amendmentEngine = createAmendmentEngine(options);
 
       for (const pattern of leadPatterns) {
         const { error: genError, amendment } = amendmentEngine.generateAmendment(pattern);
@@ -288,7 +296,9 @@ async function runDailyTeamLeadReviews(options = {}) {
   };
 
   const supabase = options.supabase || initializeSupabase(options);
-  const sharedOptions = { ...options, supabase };
+  // One shadow evaluator gates the amendments of every cycle
+  const shadowEvaluator = options.shadowEvaluator || new ShadowEvaluator(options);
+  const sharedOptions = { ...options, supabase, shadowEvaluator };
 
   // 1. Run individual Team Lead review cycles
   for (const teamLeadConfig of TEAM_LEAD_CONFIGS) {
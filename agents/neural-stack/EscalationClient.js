@@ -7,7 +7,8 @@
  * No amendment can bypass this layer.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
+import moneyExtractor from '../core/MoneyExtractor.js';
 
 // Table names
 const TABLES = {
@@ -54,17 +55,13 @@ class EscalationClient {
   }
 
   initialize() {
-    const supabaseUrl = this.config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = this.config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(this.config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      console.log('[ESCALATION] Connected to Supabase');
+      console.log(`[ESCALATION] Connected to ${describeStorage(this.config)}`);
     } else {
-      console.warn('[ESCALATION] No Supabase credentials found');
+      console.warn('[ESCALATION] No storage configured, running in offline mode');
     }
   }
 
@@ -123,6 +120,12 @@ class EscalationClient {
       }
     }
 
+    // Check stated amounts ("CAD 30k", "€12,500/month for 3 years")
+    const amount = moneyExtractor.largest(text);
+    if (amount) {
+      return { type: 'cost', pattern: amount.text, amount };
+    }
+
     // Check cost keywords
     for (const keyword of FINANCIAL_TRIGGERS.COST_KEYWORDS) {
       if (text.includes(keyword)) {
@@ -135,6 +138,7 @@ class EscalationClient {
 
   /**
    * Determine escalation tier based on context
+   * @param {number} costEstimate - CAD
    */
   determineTier(triggerType, costEstimate = null, isNewVendor = false, isAnnualCommit = false) {
     // TIER_3_STRATEGIC: >$100, annual commits, new vendors
@@ -158,10 +162,19 @@ class EscalationClient {
 
   /**
    * Check if escalation is required for a given action
-   * Returns { required: boolean, tier: string, trigger: object } or null
+   * context.costEstimate is CAD, like cost_estimate_cad in the escalation log
+   * Returns { required: boolean, tier: string, trigger: object, costEstimate } or null
    */
   checkEscalationRequired(context) {
-    const { url, text, actionType, costEstimate, vendor, isAnnualCommit } = context;
+    const { url, text, actionType, vendor } = context;
+
+    // Without an explicit estimate, use the largest commitment stated in the
+    // text, converted from the extractor's base currency to CAD
+    const stated = moneyExtractor.largest(text);
+    const costEstimate = context.costEstimate ??
+      (stated ? moneyExtractor.convert(stated.totalCommitment, stated.baseCurrency, 'CAD') : null);
+    const isAnnualCommit = context.isAnnualCommit ||
+      Boolean(stated && (stated.period === 'year' || stated.termMonths >= 12));
 
     // Check URL triggers
     const urlTrigger = this.checkUrlTriggers(url);
@@ -171,6 +184,7 @@ class EscalationClient {
         required: tier !== 'TIER_0_ROUTINE',
         tier,
         trigger: { type: 'payment_form', ...urlTrigger, url },
+        costEstimate,
       };
     }
 
@@ -185,10 +199,11 @@ class EscalationClient {
         required: tier !== 'TIER_0_ROUTINE',
         tier,
         trigger: { type: triggerType, ...textTrigger },
+        costEstimate,
       };
     }
 
-    return { required: false, tier: 'TIER_0_ROUTINE', trigger: null };
+    return { required: false, tier: 'TIER_0_ROUTINE', trigger: null, costEstimate };
   }
 
   // ============================================================================
@@ -14,7 +14,8 @@
  * All other amendments are handled autonomously by CoS.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
+import { emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
 
 // Escalation reasons (HARDCODED - cannot be modified by CoS)
 const ESCALATION_REASONS = Object.freeze({
@@ -55,13 +56,9 @@ class ExceptionEscalation {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
     }
   }
@@ -389,6 +386,12 @@ class ExceptionEscalation {
             evaluation_status: 'evaluating',
           })
           .eq('id', data.amendment_id);
+
+        emitKnowledgeChanged({
+          agentRole: data.agent_role,
+          reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED,
+          amendmentId: data.amendment_id,
+        });
       }
 
       // Reset consecutive failures if this was that type of escalation
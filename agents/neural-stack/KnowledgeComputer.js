@@ -13,9 +13,13 @@
  * - Baking support (merging proven amendments into standard_knowledge)
  * - Version hash computation for tracking knowledge changes
  * - Knowledge layer queries for baking process
+ *
+ * Instruction deltas apply to a task when their trigger matches the task
+ * context (see TriggerExpression.js).
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
+import { matchesTrigger } from './TriggerExpression.js';
 import crypto from 'crypto';
 
 /**
@@ -32,13 +36,9 @@ class KnowledgeComputer {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
     }
   }
@@ -440,10 +440,11 @@ class KnowledgeComputer {
     if (!knowledge || !knowledge.amendments) return [];
 
     const instructions = knowledge.amendments.instruction_deltas || [];
+    const context = { role: agentRole, ...taskContext };
     const applicable = [];
 
     for (const delta of instructions) {
-      if (this.matchesTrigger(delta.trigger, taskContext)) {
+      if (this.matchesTrigger(delta.trigger, context)) {
         applicable.push(delta.instruction);
       }
     }
@@ -452,27 +453,28 @@ class KnowledgeComputer {
   }
 
   /**
-   * Check if trigger matches task context
+   * Instructions for a task with and without a candidate amendment applied,
+   * without activating it (used by shadow evaluation)
+   * @returns {Object} { baseline, candidate, applies }
    */
-  matchesTrigger(trigger, context) {
-    if (!trigger || !context) return false;
-
-    // Parse trigger format: "key:value"
-    const [key, value] = trigger.split(':');
-
-    if (key === 'task_category' && context.category) {
-      return context.category.toLowerCase() === value.toLowerCase();
-    }
-
-    if (key === 'tool_use' && context.tools) {
-      return context.tools.includes(value);
-    }
+  async getShadowInstructions(agentRole, taskContext, candidate) {
+    const baseline = await this.getApplicableInstructions(agentRole, taskContext);
+    const applies = !!candidate.instruction_delta
+      && this.matchesTrigger(candidate.trigger_pattern, { role: agentRole, ...taskContext });
 
-    if (key === 'quality_check' && context.phase) {
-      return context.phase === value;
-    }
+    return {
+      baseline,
+      candidate: applies ? [...baseline, candidate.instruction_delta] : baseline,
+      applies,
+    };
+  }
 
-    return false;
+  /**
+   * Check if trigger matches task context
+   * @param {Object} context - { category, tools, phase, priority, content, amount, tags, workflow, role, time }
+   */
+  matchesTrigger(trigger, context) {
+    return matchesTrigger(trigger, context);
   }
 
   /**
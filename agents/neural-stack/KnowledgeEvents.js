@@ -0,0 +1,41 @@
+/**
+ * KNOWLEDGE EVENTS
+ * Cognalith Inc. | Monolith System
+ *
+ * Process-wide notifications when an agent's effective knowledge changes.
+ * Baking merges an amendment into standard knowledge (new version hash);
+ * activating, reverting or deactivating an amendment changes the active set
+ * without changing the hash, and a rollback restores an earlier version.
+ * Either way, anything derived from the old knowledge (such as cached
+ * responses) is stale for that role.
+ *
+ *   knowledgeEvents.on('knowledgeChanged', ({ agentRole, reason }) => ...)
+ *
+ * Payload: { agentRole, reason: 'activated' | 'baked' | 'reverted' |
+ *            'deactivated' | 'rolled_back', amendmentId?, previousHash?,
+ *            newHash?, version? }
+ */
+
+import { EventEmitter } from 'events';
+
+export const KNOWLEDGE_CHANGE_REASONS = {
+  ACTIVATED: 'activated',
+  BAKED: 'baked',
+  REVERTED: 'reverted',
+  DEACTIVATED: 'deactivated',
+  ROLLED_BACK: 'rolled_back',
+};
+
+const knowledgeEvents = new EventEmitter();
+knowledgeEvents.setMaxListeners(0);
+
+/**
+ * Announce a knowledge change for a role
+ */
+export function emitKnowledgeChanged(change) {
+  if (!change.agentRole) return;
+  knowledgeEvents.emit('knowledgeChanged', { ...change, at: new Date().toISOString() });
+}
+
+export { knowledgeEvents };
+export default knowledgeEvents;
@@ -0,0 +1,552 @@
+/**
+ * KNOWLEDGE VERSIONING
+ * Cognalith Inc. | Monolith System
+ *
+ * Version history for an agent's knowledge. Every time the knowledge changes
+ * (an amendment is activated, baked, reverted or deactivated, see
+ * KnowledgeEvents) the three layers are snapshotted into
+ * monolith_knowledge_versions:
+ * - Base Knowledge (persona)
+ * - Standard Knowledge (including baked amendments)
+ * - Active amendments
+ *
+ * Any two versions can be diffed, and an agent can be rolled back to an
+ * earlier version. Rollbacks are validated by AmendmentSafety (base
+ * knowledge is immutable, restored amendments obey the same limits and
+ * protected patterns as new ones), logged to the safety log and recorded as
+ * a new version, so a rollback can itself be rolled back. If an update fails
+ * part-way, the updates already made are restored.
+ */
+
+import crypto from 'crypto';
+import { getStorageClient } from '../storage/index.js';
+import { KnowledgeComputer } from './KnowledgeComputer.js';
+import { AmendmentSafety, CONSTRAINT_TYPES } from './AmendmentSafety.js';
+import { knowledgeEvents, emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
+
+// Version reasons besides the knowledge change reasons
+const VERSION_REASONS = {
+  ...KNOWLEDGE_CHANGE_REASONS,
+  CAPTURED: 'captured', // Untracked state recorded before a rollback
+};
+
+const LAYERS = ['base_knowledge', 'standard_knowledge', 'amendments'];
+
+/**
+ * Value with object keys sorted at every level (JSONB does not keep key order)
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonical(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+const hashOf = (value) => crypto.createHash('sha256').update(JSON.stringify(canonical(value))).digest('hex');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Structured diff between two knowledge snapshots
+ * Amendments are compared by id; everything else by path.
+ * @returns {Object} { changes: [{ path, type: 'added'|'removed'|'changed', before?, after? }], summary }
+ */
+function diffKnowledge(before, after) {
+  const changes = [];
+
+  const compare = (path, a, b) => {
+    if (a === undefined && b === undefined) return;
+    if (a === undefined) {
+      changes.push({ path, type: 'added', after: b });
+      return;
+    }
+    if (b === undefined) {
+      changes.push({ path, type: 'removed', before: a });
+      return;
+    }
+    if (JSON.stringify(canonical(a)) === JSON.stringify(canonical(b))) return;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+      for (const key of keys) compare(`${path}.${key}`, a[key], b[key]);
+      return;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) compare(`${path}[${i}]`, a[i], b[i]);
+      return;
+    }
+    changes.push({ path, type: 'changed', before: a, after: b });
+  };
+
+  const byId = (amendments) => Object.fromEntries((amendments || []).map(a => [a.id, a]));
+
+  compare('base_knowledge', before.base_knowledge || {}, after.base_knowledge || {});
+  compare('standard_knowledge', before.standard_knowledge || {}, after.standard_knowledge || {});
+  compare('amendments', byId(before.amendments), byId(after.amendments));
+
+  const summary = { added: 0, removed: 0, changed: 0, by_layer: {} };
+  for (const change of changes) {
+    summary[change.type]++;
+    const layer = change.path.split(/[.[]/)[0];
+    summary.by_layer[layer] = (summary.by_layer[layer] || 0) + 1;
+  }
+
+  return { changes, summary };
+}
+
+/**
+ * Knowledge Versioning
+ * Snapshots, diffs and rolls back agent knowledge
+ */
+class KnowledgeVersioning {
+  constructor(config = {}) {
+    this.supabase = null;
+    this.isConnected = false;
+
+    this.knowledgeComputer = config.knowledgeComputer || new KnowledgeComputer(config);
+    this.safety = config.amendmentSafety || new AmendmentSafety(config);
+
+    // Snapshots and rollbacks run one at a time so version numbers stay in order
+    this.queue = Promise.resolve();
+
+    this.onKnowledgeChanged = ({ agentRole, reason, amendmentId }) => {
+      // Rollbacks record their own version
+      if (reason === KNOWLEDGE_CHANGE_REASONS.ROLLED_BACK) return;
+
+      this.enqueue(() => this.recordVersion(agentRole, { reason, amendmentId }))
+        .catch(error => console.error(`[KNOWLEDGE-VERSION] Snapshot failed for ${agentRole}:`, error.message));
+    };
+
+    this.initialize(config);
+  }
+
+  initialize(config) {
+    this.supabase = getStorageClient(config);
+
+    if (this.supabase) {
+      this.isConnected = true;
+    }
+  }
+
+  isAvailable() {
+    return this.isConnected && this.supabase !== null;
+  }
+
+  /**
+   * Snapshot knowledge whenever it changes
+   */
+  start() {
+    knowledgeEvents.on('knowledgeChanged', this.onKnowledgeChanged);
+    return this;
+  }
+
+  /**
+   * Stop listening for knowledge changes
+   */
+  shutdown() {
+    knowledgeEvents.off('knowledgeChanged', this.onKnowledgeChanged);
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Resolves once queued snapshots have been written
+   */
+  flush() {
+    return this.queue;
+  }
+
+  // ============================================================================
+  // SNAPSHOTS
+  // ============================================================================
+
+  /**
+   * Current knowledge layers and their hashes
+   */
+  async captureState(agentRole) {
+    const { data: layer } = await this.supabase
+      .from('monolith_knowledge_layer')
+      .select('base_knowledge, standard_knowledge')
+      .eq('agent_role', agentRole)
+      .maybeSingle();
+
+    const { data: active, error } = await this.supabase
+      .from('monolith_amendments')
+      .select('id, amendment_type, trigger_pattern, instruction_delta, knowledge_mutation')
+      .eq('agent_role', agentRole)
+      .eq('is_active', true)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const state = {
+      base_knowledge: layer?.base_knowledge || {},
+      standard_knowledge: layer?.standard_knowledge || {},
+      amendments: (active || []).map(a => ({
+        id: a.id,
+        amendment_type: a.amendment_type,
+        trigger_pattern: a.trigger_pattern,
+        instruction_delta: a.instruction_delta,
+        knowledge_mutation: a.knowledge_mutation || {},
+      })),
+    };
+
+    return {
+      ...state,
+      version_hash: hashOf(state),
+      base_hash: hashOf(state.base_knowledge),
+      // Same hash AmendmentBaking records for each bake
+      standard_hash: this.knowledgeComputer.computeVersionHash(state.standard_knowledge),
+    };
+  }
+
+  /**
+   * Record the agent's current knowledge as a new version
+   * Nothing is recorded when it matches the latest version (unless forced).
+   * @returns {Object} { data, error, created }
+   */
+  async recordVersion(agentRole, { reason, amendmentId = null, restoredVersion = null, actor = null, notes = null, force = false } = {}) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' }, created: false };
+    }
+
+    const state = await this.captureState(agentRole);
+    const { data: latest } = await this.getLatestVersion(agentRole);
+
+    if (!force && latest?.version_hash === state.version_hash) {
+      return { data: latest, error: null, created: false };
+    }
+
+    const { data, error } = await this.supabase
+      .from('monolith_knowledge_versions')
+      .insert([{
+        agent_role: agentRole,
+        version_number: (latest?.version_number || 0) + 1,
+        ...state,
+        reason,
+        amendment_id: amendmentId === null ? null : String(amendmentId),
+        restored_version: restoredVersion,
+        created_by: actor,
+        notes,
+      }])
+      .select()
+      .single();
+
+    if (!error && data) {
+      console.log(`[KNOWLEDGE-VERSION] ${agentRole} v${data.version_number} (${reason}): ${state.version_hash.substring(0, 8)}...`);
+    }
+
+    return { data, error, created: !error };
+  }
+
+  // ============================================================================
+  // HISTORY & DIFFS
+  // ============================================================================
+
+  async getLatestVersion(agentRole) {
+    const { data, error } = await this.supabase
+      .from('monolith_knowledge_versions')
+      .select('*')
+      .eq('agent_role', agentRole)
+      .order('version_number', { ascending: false })
+      .limit(1);
+
+    return { data: data?.[0] || null, error };
+  }
+
+  /**
+   * Version history for an agent, newest first (without the layer contents)
+   */
+  async getVersionHistory(agentRole, limit = 50) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from('monolith_knowledge_versions')
+      .select('*')
+      .eq('agent_role', agentRole)
+      .order('version_number', { ascending: false })
+      .limit(limit);
+
+    return { data: (data || []).map(v => this.summarizeVersion(v)), error };
+  }
+
+  summarizeVersion(version) {
+    const { base_knowledge, standard_knowledge, amendments, ...summary } = version;
+    return {
+      ...summary,
+      amendment_count: (amendments || []).length,
+      permanent_instruction_count: standard_knowledge?.permanent_instructions?.length || 0,
+    };
+  }
+
+  /**
+   * A single version with its layer contents
+   */
+  async getVersion(agentRole, versionNumber) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from('monolith_knowledge_versions')
+      .select('*')
+      .eq('agent_role', agentRole)
+      .eq('version_number', Number(versionNumber))
+      .maybeSingle();
+
+    if (!error && !data) {
+      return { data: null, error: { message: `Version ${versionNumber} not found for ${agentRole}`, code: 'VERSION_NOT_FOUND' } };
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * Diff two versions; without toVersion, diff against the current knowledge
+   */
+  async diffVersions(agentRole, fromVersion, toVersion = null) {
+    const { data: from, error: fromError } = await this.getVersion(agentRole, fromVersion);
+    if (fromError) return { data: null, error: fromError };
+
+    let to;
+    if (toVersion === null) {
+      to = { version_number: null, ...(await this.captureState(agentRole)) };
+    } else {
+      const { data, error } = await this.getVersion(agentRole, toVersion);
+      if (error) return { data: null, error };
+      to = data;
+    }
+
+    return {
+      data: {
+        agent_role: agentRole,
+        from: { version_number: from.version_number, version_hash: from.version_hash },
+        to: { version_number: to.version_number, version_hash: to.version_hash },
+        identical: from.version_hash === to.version_hash,
+        ...diffKnowledge(from, to),
+      },
+      error: null,
+    };
+  }
+
+  // ============================================================================
+  // ROLLBACK
+  // ============================================================================
+
+  /**
+   * Restore an agent's knowledge to an earlier version
+   * Standard knowledge and the active amendments are restored; base knowledge
+   * is never rolled back.
+   * @param {string} agentRole - Agent to roll back
+   * @param {number} versionNumber - Version to restore
+   * @param {Object} options - { actor, reason }
+   */
+  async rollback(agentRole, versionNumber, options = {}) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    return this.enqueue(() => this.applyRollback(agentRole, versionNumber, options));
+  }
+
+  async applyRollback(agentRole, versionNumber, { actor = 'system', reason = null } = {}) {
+    const { data: target, error: targetError } = await this.getVersion(agentRole, versionNumber);
+    if (targetError) return { data: null, error: targetError };
+
+    const current = await this.captureState(agentRole);
+    const { data: latest } = await this.getLatestVersion(agentRole);
+
+    if (target.version_hash === current.version_hash) {
+      return { data: null, error: { message: `${agentRole} knowledge already matches version ${versionNumber}`, code: 'NO_CHANGE' } };
+    }
+
+    const validation = await this.safety.validateRollback(agentRole, target, { ...current, version_number: latest?.version_number });
+    if (!validation.valid) {
+      return {
+        data: null,
+        error: { message: `Rollback blocked: ${validation.violations.join('; ')}`, code: 'ROLLBACK_BLOCKED', violations: validation.violations },
+      };
+    }
+
+    // Keep the state being replaced so the rollback can be undone
+    if (latest?.version_hash !== current.version_hash) {
+      await this.recordVersion(agentRole, { reason: VERSION_REASONS.CAPTURED, actor });
+    }
+
+    const now = new Date().toISOString();
+    const targetIds = new Set((target.amendments || []).map(a => a.id));
+    const currentIds = new Set(current.amendments.map(a => a.id));
+
+    const deactivated = current.amendments.filter(a => !targetIds.has(a.id)).map(a => a.id);
+    const reactivated = (target.amendments || []).filter(a => !currentIds.has(a.id)).map(a => a.id);
+
+    // standard_hash only covers top-level keys, so compare the full content
+    const standardRestored = hashOf(target.standard_knowledge || {}) !== hashOf(current.standard_knowledge);
+
+    const { data: updates, error: planError } = await this.planRollbackUpdates(agentRole, {
+      deactivated,
+      reactivated,
+      standardKnowledge: standardRestored ? target.standard_knowledge || {} : null,
+      now,
+    });
+    if (planError) return { data: null, error: planError };
+
+    const { error: applyError } = await this.applyUpdates(updates);
+    if (applyError) {
+      return {
+        data: null,
+        error: { ...applyError, message: `Rollback of ${agentRole} to version ${versionNumber} failed: ${applyError.message}` },
+      };
+    }
+
+    this.knowledgeComputer.invalidateCache(agentRole);
+    await this.knowledgeComputer.computeEffectiveKnowledge(agentRole);
+
+    const { data: version, error: versionError } = await this.recordVersion(agentRole, {
+      reason: VERSION_REASONS.ROLLED_BACK,
+      restoredVersion: target.version_number,
+      actor,
+      notes: reason,
+      force: true,
+    });
+    if (versionError) return { data: null, error: versionError };
+
+    await this.safety.logSafetyEvent(
+      agentRole,
+      CONSTRAINT_TYPES.KNOWLEDGE_ROLLBACK,
+      {
+        restored_version: target.version_number,
+        new_version: version.version_number,
+        deactivated_amendments: deactivated,
+        reactivated_amendments: reactivated,
+        standard_restored: standardRestored,
+        actor,
+        reason,
+      },
+      `Knowledge rolled back to version ${target.version_number} by ${actor}`
+    );
+
+    emitKnowledgeChanged({
+      agentRole,
+      reason: KNOWLEDGE_CHANGE_REASONS.ROLLED_BACK,
+      previousHash: current.standard_hash,
+      newHash: target.standard_hash,
+      version: version.version_number,
+    });
+
+    console.log(`[KNOWLEDGE-VERSION] ${agentRole} rolled back to v${target.version_number} by ${actor} (now v${version.version_number})`);
+
+    return {
+      data: {
+        version: this.summarizeVersion(version),
+        restoredVersion: target.version_number,
+        deactivated,
+        reactivated,
+        standardRestored,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * Updates a rollback makes, each with the values it replaces so it can be undone
+   * @returns {Object} { data: [{ table, key, id, values, previous }], error }
+   */
+  async planRollbackUpdates(agentRole, { deactivated, reactivated, standardKnowledge, now }) {
+    const ids = [...deactivated, ...reactivated];
+    const { data: rows, error } = ids.length > 0
+      ? await this.supabase
+        .from('monolith_amendments')
+        .select('id, is_active, is_baked, evaluation_status, superseded_at')
+        .in('id', ids)
+      : { data: [], error: null };
+    if (error) return { data: null, error };
+
+    const previous = new Map((rows || []).map(({ id, ...fields }) => [id, fields]));
+    const amendmentUpdate = (id, values) => ({
+      table: 'monolith_amendments',
+      key: 'id',
+      id,
+      values,
+      previous: Object.fromEntries(Object.keys(values).map(field => [field, previous.get(id)?.[field] ?? null])),
+    });
+
+    const updates = [
+      ...deactivated.map(id => amendmentUpdate(id, { is_active: false, evaluation_status: 'superseded', superseded_at: now })),
+      ...reactivated.map(id => amendmentUpdate(id, { is_active: true, is_baked: false, evaluation_status: 'evaluating', superseded_at: null })),
+    ];
+
+    if (standardKnowledge) {
+      const { data: layer, error: layerError } = await this.supabase
+        .from('monolith_knowledge_layer')
+        .select('standard_knowledge, last_computed_at')
+        .eq('agent_role', agentRole)
+        .maybeSingle();
+      if (layerError) return { data: null, error: layerError };
+
+      updates.push({
+        table: 'monolith_knowledge_layer',
+        key: 'agent_role',
+        id: agentRole,
+        values: { standard_knowledge: standardKnowledge, last_computed_at: now },
+        previous: { standard_knowledge: layer?.standard_knowledge || {}, last_computed_at: layer?.last_computed_at || null },
+      });
+    }
+
+    return { data: updates, error: null };
+  }
+
+  /**
+   * Apply updates in order; if one fails, restore the ones already applied
+   * @returns {Object} { error } with code ROLLBACK_UNDONE, or ROLLBACK_PARTIAL
+   *   when some applied updates could not be restored
+   */
+  async applyUpdates(updates) {
+    const applied = [];
+
+    for (const update of updates) {
+      const { error } = await this.supabase
+        .from(update.table)
+        .update(update.values)
+        .eq(update.key, update.id);
+
+      if (error) {
+        console.error(`[KNOWLEDGE-VERSION] Update of ${update.table} ${update.id} failed: ${error.message}`);
+        let undone = true;
+
+        for (const done of [...applied].reverse()) {
+          const { error: undoError } = await this.supabase
+            .from(done.table)
+            .update(done.previous)
+            .eq(done.key, done.id);
+          if (undoError) {
+            undone = false;
+            console.error(`[KNOWLEDGE-VERSION] Could not restore ${done.table} ${done.id}: ${undoError.message}`);
+          }
+        }
+
+        return { error: { message: error.message, code: undone ? 'ROLLBACK_UNDONE' : 'ROLLBACK_PARTIAL' } };
+      }
+
+      applied.push(update);
+    }
+
+    return { error: null };
+  }
+}
+
+// Export
+export { KnowledgeVersioning, VERSION_REASONS, diffKnowledge };
+export default KnowledgeVersioning;
@@ -15,7 +15,7 @@
  * 6. Future recommendations adjusted via adjustRecommendationPriority
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 
 // ============================================================================
 // TYPE DEFINITIONS (JSDoc)
@@ -94,17 +94,13 @@ class LearningTracker {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      console.log('[LEARNING-TRACKER] Connected to Supabase');
+      console.log(`[LEARNING-TRACKER] Connected to ${describeStorage(config)}`);
     } else {
-      console.warn('[LEARNING-TRACKER] Running in offline mode - no Supabase credentials');
+      console.warn('[LEARNING-TRACKER] No storage configured, running in offline mode');
     }
   }
 
@@ -7,7 +7,8 @@
  * amendment management, and trend analysis.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
+import { emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
 
 // Table names with monolith prefix
 const TABLES = {
@@ -32,20 +33,16 @@ class NeuralStackClient {
   }
 
   /**
-   * Initialize Supabase connection
+   * Initialize the storage connection
    */
   initialize() {
-    const supabaseUrl = this.config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = this.config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(this.config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      console.log('[NEURAL-STACK] Connected to Supabase');
+      console.log(`[NEURAL-STACK] Connected to ${describeStorage(this.config)}`);
     } else {
-      console.warn('[NEURAL-STACK] No Supabase credentials found');
+      console.warn('[NEURAL-STACK] No storage configured, running in offline mode');
     }
   }
 
@@ -497,6 +494,12 @@ class NeuralStackClient {
       .single();
 
     if (!error && amendment) {
+      emitKnowledgeChanged({
+        agentRole: amendment.agent_role,
+        reason: KNOWLEDGE_CHANGE_REASONS.REVERTED,
+        amendmentId,
+      });
+
       // Update agent memory
       const { data: memory } = await this.getAgentMemory(amendment.agent_role);
       if (memory) {
@@ -6,7 +6,8 @@
  * Only detects patterns when performance trends DECLINE - not proactively.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
+import outcomeTracker from '../intelligence/OutcomeTracker.js';
 
 // Pattern detection thresholds
 const THRESHOLDS = {
@@ -16,6 +17,8 @@ const THRESHOLDS = {
   QUALITY_DECLINE_THRESHOLD: 0.15, // 15% quality drop triggers
   CONFIDENCE_MIN: 0.6,            // Minimum confidence to report pattern
   LOOKBACK_WINDOW: 20,            // Number of recent tasks to analyze
+  MIN_OUTCOMES_FOR_ACCURACY: 6,   // Decision outcomes needed before accuracy analysis
+  ACCURACY_DECLINE_THRESHOLD: 0.15, // 15-point drop in decision accuracy triggers
 };
 
 // Pattern types
@@ -25,6 +28,7 @@ const PATTERN_TYPES = {
   QUALITY_DECLINE: 'quality_decline',
   CATEGORY_WEAKNESS: 'category_weakness',
   TOOL_INEFFICIENCY: 'tool_inefficiency',
+  DECISION_ACCURACY_DECLINE: 'decision_accuracy_decline',
 };
 
 /**
@@ -36,17 +40,14 @@ class PatternDetector {
     this.supabase = null;
     this.isConnected = false;
     this.thresholds = { ...THRESHOLDS, ...config.thresholds };
+    this.outcomeTracker = config.outcomeTracker || outcomeTracker;
     this.initialize(config);
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
     }
   }
@@ -80,7 +81,13 @@ class PatternDetector {
       return { patterns: [], error };
     }
 
+    // Decision accuracy comes from tracked outcomes rather than task history
+    const accuracyDecline = this.detectAccuracyDecline(agentRole);
+
     if (!tasks || tasks.length < this.thresholds.MIN_TASKS_FOR_ANALYSIS) {
+      if (accuracyDecline && accuracyDecline.confidence >= this.thresholds.CONFIDENCE_MIN) {
+        return { patterns: [accuracyDecline], error: null };
+      }
       return { patterns: [], error: null, message: 'Insufficient data for pattern detection' };
     }
 
@@ -102,6 +109,8 @@ class PatternDetector {
     const toolInefficiency = this.detectToolInefficiency(tasks);
     if (toolInefficiency) patterns.push(toolInefficiency);
 
+    if (accuracyDecline) patterns.push(accuracyDecline);
+
     // Filter by confidence threshold
     const significantPatterns = patterns.filter(
       p => p.confidence >= this.thresholds.CONFIDENCE_MIN
@@ -397,6 +406,55 @@ class PatternDetector {
     };
   }
 
+  /**
+   * Detect decisions turning out worse than they used to
+   * Compares the role's recent decision outcomes with the ones before them
+   */
+  detectAccuracyDecline(agentRole) {
+    const outcomes = this.outcomeTracker.getOutcomes(agentRole, { limit: this.thresholds.LOOKBACK_WINDOW });
+    if (outcomes.length < this.thresholds.MIN_OUTCOMES_FOR_ACCURACY) return null;
+
+    // Split into recent vs older (outcomes are newest first)
+    const midpoint = Math.floor(outcomes.length / 2);
+    const recent = outcomes.slice(0, midpoint);
+    const older = outcomes.slice(midpoint);
+
+    const now = new Date(outcomes[0].recordedAt).getTime();
+    const recentAccuracy = this.outcomeTracker.scoreOutcomes(recent, now).accuracy;
+    const baselineAccuracy = this.outcomeTracker.scoreOutcomes(older, now).accuracy;
+    const decline = baselineAccuracy - recentAccuracy;
+
+    if (decline < this.thresholds.ACCURACY_DECLINE_THRESHOLD) {
+      return null;
+    }
+
+    const failedDecisions = recent
+      .filter(o => !o.success)
+      .slice(0, 3)
+      .map(o => ({
+        decision_id: o.decisionId,
+        task_id: o.taskId,
+        source: o.source,
+        score: o.score,
+        notes: o.notes,
+      }));
+
+    const confidence = Math.min(0.9, decline * 2 + 0.4);
+
+    return {
+      type: PATTERN_TYPES.DECISION_ACCURACY_DECLINE,
+      confidence,
+      data: {
+        recent_accuracy: recentAccuracy.toFixed(2),
+        baseline_accuracy: baselineAccuracy.toFixed(2),
+        decline_amount: decline.toFixed(2),
+        outcomes_analyzed: outcomes.length,
+        failed_decisions: failedDecisions,
+      },
+      suggested_action: `Review decision-making. Recent decisions scoring ${recentAccuracy.toFixed(2)} vs baseline ${baselineAccuracy.toFixed(2)}.`,
+    };
+  }
+
   // ============================================================================
   // PATTERN LOGGING
   // ============================================================================
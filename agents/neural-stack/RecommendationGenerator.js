@@ -16,8 +16,9 @@
  * - Unselected recommendations expire after 7 days
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 import { AmendmentEngine } from './AmendmentEngine.js';
+import { ShadowEvaluator } from './ShadowEvaluator.js';
 
 // ============================================================================
 // PROMPT TEMPLATE
@@ -148,18 +149,19 @@ class RecommendationGenerator {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      this.amendmentEngine = new AmendmentEngine(config);
-      console.log('[RECOMMENDATION-GEN] Connected to Supabase');
+      // Amendments from selected recommendations only go live after a shadow
+      // evaluation; config.agents (role -> RoleAgent) replays the held-out tasks
+      this.amendmentEngine = new AmendmentEngine({
+        ...config,
+        shadowEvaluator: config.shadowEvaluator || new ShadowEvaluator(config),
+      });
+      console.log(`[RECOMMENDATION-GEN] Connected to ${describeStorage(config)}`);
     } else {
-      console.warn('[RECOMMENDATION-GEN] Running in offline mode - no Supabase credentials');
+      console.warn('[RECOMMENDATION-GEN] No storage configured, running in offline mode');
     }
   }
 
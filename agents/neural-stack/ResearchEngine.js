@@ -17,7 +17,7 @@
  * - Supports mock data for testing and real API integration when configured
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
 
 // ============================================================================
 // TYPE DEFINITIONS (JSDoc)
@@ -918,19 +918,16 @@ async function runKnowledgeBotResearchCycle(bot, options = {}) {
 // ============================================================================
 
 /**
- * Initialize Supabase client
+ * Storage client (any configured adapter)
  */
 function initializeSupabase(config = {}) {
-  const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-  const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+  const supabase = getStorageClient(config);
 
-  if (!supabaseUrl || !supabaseKey) {
-    throw new Error('Supabase configuration required');
+  if (!supabase) {
+    throw new Error('Storage configuration required (SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, DATABASE_URL, or STORAGE_ADAPTER=local)');
   }
 
-  return createClient(supabaseUrl, supabaseKey, {
-    auth: { autoRefreshToken: true, persistSession: false },
-  });
+  return supabase;
 }
 
 /**
@@ -0,0 +1,385 @@
+/**
+ * SHADOW EVALUATOR
+ * Cognalith Inc. | Monolith System
+ *
+ * Evaluates a candidate amendment offline before it goes live. Live
+ * evaluation (AmendmentEngine.recordEvaluation) only judges an amendment after
+ * it has already shaped real tasks, so a bad instruction delta can hurt
+ * several tasks before AmendmentSafety reverts it.
+ *
+ * The shadow evaluation replays a held-out set of the agent's past tasks from
+ * monolith_task_history (tasks older than the pattern detection window, that
+ * the amendment's trigger applies to) twice: once with the agent's current
+ * knowledge and once with the candidate applied through KnowledgeComputer.
+ * The AuditAgent grades both outputs and the paired score changes are
+ * summarised (means, mean change, 95% confidence interval, wins/losses).
+ *
+ * The summary is attached to the amendment (shadow_status, shadow_evaluation)
+ * and only amendments that passed are eligible for autonomous approval
+ * (ApprovalWorkflow.requiresApproval, AmendmentEngine.createAmendment).
+ */
+
+import { getStorageClient } from '../storage/index.js';
+import { KnowledgeComputer } from './KnowledgeComputer.js';
+import { THRESHOLDS as PATTERN_THRESHOLDS } from './PatternDetector.js';
+import AuditAgent from '../roles/audit/AuditAgent.js';
+
+const SHADOW_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  INSUFFICIENT_DATA: 'insufficient_data',
+  ERROR: 'error',
+};
+
+// Scores are AuditAgent overall scores (0-100)
+const SHADOW_THRESHOLDS = {
+  SAMPLE_SIZE: 8,          // Held-out tasks replayed per amendment
+  MIN_SAMPLES: 5,          // Fewer graded pairs than this cannot pass
+  MIN_IMPROVEMENT: 0,      // Mean score change the amendment must reach
+  MAX_REGRESSION: 2,       // The 95% CI lower bound may not fall below -MAX_REGRESSION
+  HISTORY_LIMIT: 200,      // Past tasks considered
+  DETECTION_WINDOW: PATTERN_THRESHOLDS.LOOKBACK_WINDOW, // Recent tasks patterns are detected on
+};
+
+// Two-sided 95% t critical values by degrees of freedom (1-30)
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Summarise paired baseline/candidate scores
+ * @param {Array} runs - [{ baseline_score, candidate_score }]
+ */
+function summarizeShadowRuns(runs) {
+  const n = runs.length;
+  if (n === 0) {
+    return { samples: 0, baseline_mean: null, candidate_mean: null, mean_delta: null, ci95: null, wins: 0, losses: 0, ties: 0 };
+  }
+
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const deltas = runs.map(r => r.candidate_score - r.baseline_score);
+  const meanDelta = mean(deltas);
+
+  let sd = null;
+  let stdError = null;
+  let ci95 = null;
+  if (n > 1) {
+    sd = Math.sqrt(deltas.reduce((sum, d) => sum + (d - meanDelta) ** 2, 0) / (n - 1));
+    stdError = sd / Math.sqrt(n);
+    const t = n - 1 <= T_CRITICAL_95.length ? T_CRITICAL_95[n - 2] : 1.96;
+    const margin = t * stdError;
+    ci95 = [round(meanDelta - margin), round(meanDelta + margin)];
+  }
+
+  return {
+    samples: n,
+    baseline_mean: round(mean(runs.map(r => r.baseline_score))),
+    candidate_mean: round(mean(runs.map(r => r.candidate_score))),
+    mean_delta: round(meanDelta),
+    sd_delta: sd === null ? null : round(sd),
+    std_error: stdError === null ? null : round(stdError),
+    ci95,
+    wins: deltas.filter(d => d > 0).length,
+    losses: deltas.filter(d => d < 0).length,
+    ties: deltas.filter(d => d === 0).length,
+  };
+}
+
+/**
+ * Whether an amendment's shadow evaluation allows autonomous approval
+ * @param {Object} amendment - Amendment (or evaluate() result) with shadow_status / shadow_evaluation
+ * @returns {Object} { passed, status, reason, summary }
+ */
+function shadowGate(amendment) {
+  const status = amendment?.shadow_status || null;
+  const summary = amendment?.shadow_evaluation || null;
+
+  if (status === SHADOW_STATUS.PASSED) {
+    return { passed: true, status, reason: summary?.reason || 'Shadow evaluation passed', summary };
+  }
+
+  const reason = status
+    ? `Shadow evaluation ${status.replace(/_/g, ' ')}${summary?.reason ? `: ${summary.reason}` : ''}`
+    : 'No shadow evaluation';
+
+  return { passed: false, status, reason, summary };
+}
+
+/**
+ * Shadow Evaluator
+ * Replays held-out past tasks with and without a candidate amendment
+ */
+class ShadowEvaluator {
+  constructor(config = {}) {
+    this.supabase = null;
+    this.isConnected = false;
+    this.thresholds = { ...SHADOW_THRESHOLDS, ...config.thresholds };
+
+    this.knowledgeComputer = config.knowledgeComputer || new KnowledgeComputer(config);
+
+    // Agents replay tasks (role -> RoleAgent); executeTask({ agentRole, task, instructions })
+    // can replace them and must return the output text
+    this.agents = config.agents || {};
+    this.executeTask = config.executeTask || null;
+
+    // Grades both outputs; created on first use
+    this.auditAgent = config.auditAgent || null;
+    this.auditConfig = config;
+
+    this.initialize(config);
+  }
+
+  initialize(config) {
+    this.supabase = getStorageClient(config);
+
+    if (this.supabase) {
+      this.isConnected = true;
+    }
+  }
+
+  isAvailable() {
+    return this.isConnected && this.supabase !== null;
+  }
+
+  // ============================================================================
+  // EVALUATION
+  // ============================================================================
+
+  /**
+   * Shadow-evaluate a candidate amendment
+   * @param {string} agentRole - Agent the amendment is for
+   * @param {Object} amendment - { trigger_pattern, instruction_delta, ... }
+   * @returns {Object} { shadow_status, shadow_evaluation, shadow_evaluated_at }, ready to store on the amendment
+   */
+  async evaluate(agentRole, amendment) {
+    const evaluatedAt = new Date().toISOString();
+
+    try {
+      const tasks = await this.selectHeldOutTasks(agentRole, amendment);
+
+      const runs = [];
+      const failedReplays = [];
+      for (const historyTask of tasks) {
+        try {
+          runs.push(await this.replayTask(agentRole, historyTask, amendment));
+        } catch (error) {
+          console.warn(`[SHADOW-EVAL] Replay of ${historyTask.task_id} failed:`, error.message);
+          failedReplays.push({ task_id: historyTask.task_id, error: error.message });
+        }
+      }
+
+      const summary = summarizeShadowRuns(runs);
+      const { status, reason } = this.judge(summary);
+
+      console.log(`[SHADOW-EVAL] ${agentRole} ${amendment.trigger_pattern}: ${status} (${reason})`);
+
+      return {
+        shadow_status: status,
+        shadow_evaluation: {
+          ...summary,
+          reason,
+          held_out_tasks: tasks.length,
+          failed_replays: failedReplays,
+          runs,
+          thresholds: {
+            min_samples: this.thresholds.MIN_SAMPLES,
+            min_improvement: this.thresholds.MIN_IMPROVEMENT,
+            max_regression: this.thresholds.MAX_REGRESSION,
+          },
+        },
+        shadow_evaluated_at: evaluatedAt,
+      };
+    } catch (error) {
+      console.error(`[SHADOW-EVAL] Evaluation failed for ${agentRole}:`, error.message);
+      return {
+        shadow_status: SHADOW_STATUS.ERROR,
+        shadow_evaluation: { reason: error.message },
+        shadow_evaluated_at: evaluatedAt,
+      };
+    }
+  }
+
+  /**
+   * Shadow-evaluate a stored amendment and attach the result to it
+   */
+  async evaluateAmendment(amendmentId) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data: amendment, error: fetchError } = await this.supabase
+      .from('monolith_amendments')
+      .select('*')
+      .eq('id', amendmentId)
+      .single();
+
+    if (fetchError || !amendment) {
+      return { data: null, error: fetchError || { message: 'Amendment not found' } };
+    }
+
+    const result = await this.evaluate(amendment.agent_role, amendment);
+
+    const { data, error } = await this.supabase
+      .from('monolith_amendments')
+      .update(result)
+      .eq('id', amendmentId)
+      .select()
+      .single();
+
+    return { data, error };
+  }
+
+  /**
+   * Pass/fail decision for a summary
+   */
+  judge(summary) {
+    const { MIN_SAMPLES, MIN_IMPROVEMENT, MAX_REGRESSION } = this.thresholds;
+
+    if (summary.samples < MIN_SAMPLES) {
+      return {
+        status: SHADOW_STATUS.INSUFFICIENT_DATA,
+        reason: `${summary.samples} held-out tasks replayed, ${MIN_SAMPLES} needed`,
+      };
+    }
+
+    // A single replay has no interval, so a regression cannot be ruled out
+    if (!summary.ci95) {
+      return {
+        status: SHADOW_STATUS.INSUFFICIENT_DATA,
+        reason: `${summary.samples} held-out task replayed, at least 2 needed for a confidence interval`,
+      };
+    }
+
+    const change = `mean score change ${summary.mean_delta >= 0 ? '+' : ''}${summary.mean_delta} ` +
+      `(95% CI ${summary.ci95[0]} to ${summary.ci95[1]}) over ${summary.samples} tasks`;
+
+    if (summary.mean_delta < MIN_IMPROVEMENT) {
+      return { status: SHADOW_STATUS.FAILED, reason: `${change} is below the required ${MIN_IMPROVEMENT}` };
+    }
+
+    if (summary.ci95[0] < -MAX_REGRESSION) {
+      return { status: SHADOW_STATUS.FAILED, reason: `${change} allows a regression of more than ${MAX_REGRESSION}` };
+    }
+
+    return { status: SHADOW_STATUS.PASSED, reason: change };
+  }
+
+  // ============================================================================
+  // REPLAY
+  // ============================================================================
+
+  /**
+   * Past tasks the amendment applies to, leaving out the recent tasks the
+   * pattern behind it was detected on
+   */
+  async selectHeldOutTasks(agentRole, amendment) {
+    if (!this.isAvailable()) {
+      throw new Error('Database unavailable');
+    }
+
+    const { data, error } = await this.supabase
+      .from('monolith_task_history')
+      .select('*')
+      .eq('agent_role', agentRole)
+      .order('completed_at', { ascending: false })
+      .limit(this.thresholds.HISTORY_LIMIT);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return (data || [])
+      .slice(this.thresholds.DETECTION_WINDOW)
+      .filter(task => this.knowledgeComputer.matchesTrigger(amendment.trigger_pattern, this.taskContext(task)))
+      .slice(0, this.thresholds.SAMPLE_SIZE);
+  }
+
+  /**
+   * Task context the knowledge layer matches triggers against, as of when
+   * the task originally ran
+   */
+  taskContext(historyTask) {
+    return {
+      category: historyTask.task_category,
+      tools: historyTask.tools_used || [],
+      phase: 'pre_delivery',
+      priority: historyTask.priority,
+      content: [historyTask.title, historyTask.description].filter(Boolean).join('\n\n'),
+      time: historyTask.started_at || historyTask.completed_at,
+    };
+  }
+
+  /**
+   * Run one past task with and without the amendment and grade both outputs
+   */
+  async replayTask(agentRole, historyTask, amendment) {
+    const instructions = await this.knowledgeComputer.getShadowInstructions(
+      agentRole,
+      this.taskContext(historyTask),
+      amendment
+    );
+
+    const task = {
+      id: `shadow-${historyTask.task_id}`,
+      content: [historyTask.title, historyTask.description].filter(Boolean).join('\n\n'),
+      category: historyTask.task_category,
+      priority: historyTask.priority || 'medium',
+      status: 'in_progress',
+    };
+
+    const baselineOutput = await this.runTask(agentRole, task, instructions.baseline);
+    const candidateOutput = await this.runTask(agentRole, task, instructions.candidate);
+
+    const auditAgent = this.getAuditAgent();
+    const baseline = await auditAgent.grade(task.content, baselineOutput);
+    const candidate = await auditAgent.grade(task.content, candidateOutput);
+
+    return {
+      task_id: historyTask.task_id,
+      baseline_score: round(baseline.overallScore),
+      candidate_score: round(candidate.overallScore),
+      delta: round(candidate.overallScore - baseline.overallScore),
+    };
+  }
+
+  /**
+   * Produce an agent's output for a task under a set of instructions,
+   * without logging a decision or calling tools
+   */
+  async runTask(agentRole, task, instructions) {
+    if (this.executeTask) {
+      return this.executeTask({ agentRole, task, instructions });
+    }
+
+    const agent = this.agents[agentRole];
+    if (!agent) {
+      throw new Error(`No agent available to replay ${agentRole} tasks`);
+    }
+
+    const taskType = agent.classifyTask(task);
+    const response = await agent.llm.complete({
+      modelId: agent.selectModelForTask(taskType, task),
+      systemPrompt: agent.buildGuidedSystemPrompt(instructions),
+      userMessage: agent.buildTaskPrompt(task),
+      temperature: 0.3,
+      context: { taskId: task.id, role: agentRole, taskType },
+    });
+
+    return response.content;
+  }
+
+  getAuditAgent() {
+    if (!this.auditAgent) {
+      this.auditAgent = new AuditAgent(this.auditConfig);
+    }
+    return this.auditAgent;
+  }
+}
+
+// Export
+export { ShadowEvaluator, SHADOW_STATUS, SHADOW_THRESHOLDS, summarizeShadowRuns, shadowGate };
+export default ShadowEvaluator;
@@ -18,7 +18,7 @@
  * - Escalations go to top-level CoS when thresholds are breached
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 import DatabaseService from '../services/DatabaseService.js';
 
 // ============================================================================
@@ -255,17 +255,13 @@ class TeamLeadReviewEngine {
   }
 
   initialize(config) {
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      console.log('[TEAM-LEAD-REVIEW] Connected to Supabase');
+      console.log(`[TEAM-LEAD-REVIEW] Connected to ${describeStorage(config)}`);
     } else {
-      console.warn('[TEAM-LEAD-REVIEW] Running in offline mode - no Supabase credentials');
+      console.warn('[TEAM-LEAD-REVIEW] No storage configured, running in offline mode');
     }
   }
 
@@ -715,14 +711,9 @@ async function generateAmendment(subordinateRole, trend, taskHistory) {
 
   // Save amendment to database
   try {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-
-    if (supabaseUrl && supabaseKey) {
-      const supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    const supabase = getStorageClient();
 
+    if (supabase) {
       const { data, error } = await supabase
         .from('monolith_amendments')
         .insert([{
@@ -800,14 +791,9 @@ function getRecommendedApproach(trend) {
  */
 async function countActiveAmendments(subordinateRole) {
   try {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-
-    if (!supabaseUrl || !supabaseKey) return 0;
+    const supabase = getStorageClient();
 
-    const supabase = createClient(supabaseUrl, supabaseKey, {
-      auth: { autoRefreshToken: true, persistSession: false },
-    });
+    if (!supabase) return 0;
 
     const { data, error } = await supabase
       .from('monolith_amendments')
@@ -833,17 +819,12 @@ async function escalateToCoS(teamLeadRole, subordinateRole, reason) {
   console.log(`[TEAM-LEAD-REVIEW] ESCALATION: ${teamLeadRole} escalating ${subordinateRole} - ${reason}`);
 
   try {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    const supabase = getStorageClient();
 
-    if (!supabaseUrl || !supabaseKey) {
+    if (!supabase) {
       return { error: 'Database unavailable' };
     }
 
-    const supabase = createClient(supabaseUrl, supabaseKey, {
-      auth: { autoRefreshToken: true, persistSession: false },
-    });
-
     // Create escalation record
     const { data, error } = await supabase
       .from('escalations')
@@ -896,18 +877,13 @@ async function escalateToCoS(teamLeadRole, subordinateRole, reason) {
  */
 async function logTeamLeadReview(reviewData) {
   try {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    const supabase = getStorageClient();
 
-    if (!supabaseUrl || !supabaseKey) {
+    if (!supabase) {
       console.log('[TEAM-LEAD-REVIEW] Review logged (offline):', reviewData.subordinate_role);
       return { offline: true };
     }
 
-    const supabase = createClient(supabaseUrl, supabaseKey, {
-      auth: { autoRefreshToken: true, persistSession: false },
-    });
-
     const { data, error } = await supabase
       .from('team_lead_reviews')
       .insert([{
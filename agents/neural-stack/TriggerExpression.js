@@ -0,0 +1,634 @@
+/**
+ * TRIGGER EXPRESSION - Phase 5E
+ * Cognalith Inc. | Monolith System
+ *
+ * The language amendment triggers are written in. KnowledgeComputer applies
+ * an amendment's instruction delta to a task when its trigger matches the
+ * task context; AmendmentSafety rejects triggers that can never match.
+ *
+ *   category:deployment AND (priority >= high OR keyword:"rollback plan")
+ *   tool:web_search AND NOT tag:internal
+ *   amount:10k..250k AND workflow:vendor_onboarding
+ *   day:mon..fri AND hour:9..17
+ *
+ * Predicates (values are case-insensitive; quote values with spaces):
+ *   category:<v>  phase:<v>  workflow:<v>  role:<v>   equal to the task's value
+ *   tool:<v>  tag:<v>                                 in the task's tools / tags
+ *   keyword:<v>                                       word or phrase in the task content
+ *   priority:<p>, priority >= <p>, priority:<p>..<p>  low < medium < high < critical
+ *   amount:<n>, amount > <n>, amount:<n>..<n>         task.amount, or the largest amount in
+ *                                                     the content (MoneyExtractor); 10k, 2.5m
+ *   hour:<h>, hour:<h>..<h>                           UTC hour 0-23 of context.time (or now)
+ *   day:<d>, day:<d>..<d>                             UTC weekday sun..sat; ranges may wrap
+ *   always                                            every task
+ * Combine with AND, OR, NOT and parentheses. Ranges are inclusive.
+ *
+ * Legacy triggers are single predicates whose value is the rest of the string:
+ *   task_category:<v>, tool_use:<v>, quality_check:<v>   category / tool / phase
+ *   decision:<v>                                          always
+ *   team_lead:<role>:<v>                                  role:<role>
+ *   recommendation:<pattern>                              category or keyword <pattern>
+ */
+
+import moneyExtractor from '../core/MoneyExtractor.js';
+
+export const PRIORITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Predicate kinds:
+//   equals  single-valued context field
+//   member  context list
+//   text    keyword search in the content
+//   set     ordered values, matched by index (priority, hour, day)
+//   number  numeric interval
+export const TRIGGER_FIELDS = {
+  category: { kind: 'equals', key: 'category' },
+  phase: { kind: 'equals', key: 'phase' },
+  workflow: { kind: 'equals', key: 'workflow' },
+  role: { kind: 'equals', key: 'role' },
+  tool: { kind: 'member', key: 'tools' },
+  tag: { kind: 'member', key: 'tags' },
+  keyword: { kind: 'text', key: 'content' },
+  priority: { kind: 'set', size: PRIORITY_LEVELS.length, wraps: false },
+  hour: { kind: 'set', size: 24, wraps: true },
+  day: { kind: 'set', size: DAYS.length, wraps: true },
+  amount: { kind: 'number' },
+};
+
+const LEGACY_PREFIXES = ['task_category', 'tool_use', 'quality_check', 'decision', 'team_lead', 'recommendation'];
+
+const BOOLEAN_WORDS = ['and', 'or', 'not'];
+const COMPARISONS = ['>=', '<=', '>', '<'];
+
+// Beyond this many AND/OR combinations the never-match check is skipped
+const MAX_TERMS = 64;
+
+const CACHE_LIMIT = 500;
+const compiled = new Map();
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ':') {
+      tokens.push({ type: char, pos: i });
+      i++;
+    } else if (source.startsWith('..', i)) {
+      tokens.push({ type: '..', pos: i });
+      i += 2;
+    } else if (COMPARISONS.some(op => source.startsWith(op, i))) {
+      const op = COMPARISONS.find(candidate => source.startsWith(candidate, i));
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new Error(`Unterminated string at position ${i}`);
+      }
+      tokens.push({ type: 'word', value, quoted: true, pos: i });
+      i = j + 1;
+    } else if (/[\w$\-/]/.test(char)) {
+      let j = i;
+      // A single dot belongs to the word (0.5, v1.2); two dots start a range
+      while (j < source.length && (/[\w$\-/]/.test(source[j]) || (source[j] === '.' && source[j + 1] !== '.'))) {
+        j++;
+      }
+      tokens.push({ type: 'word', value: source.slice(i, j), pos: i });
+      i = j;
+    } else {
+      throw new Error(`Unexpected '${char}' at position ${i}`);
+    }
+  }
+
+  return tokens;
+}
+
+function isBooleanWord(token, word) {
+  return token?.type === 'word' && !token.quoted && token.value.toLowerCase() === word;
+}
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  expect(type, what) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw new Error(`Expected ${what} ${describeToken(token)}`);
+    }
+    return token;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new Error('Trigger is empty');
+    }
+    const node = this.parseOr();
+    if (this.peek()) {
+      throw new Error(`Unexpected ${describeToken(this.peek())}`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    const nodes = [this.parseAnd()];
+    while (isBooleanWord(this.peek(), 'or')) {
+      this.next();
+      nodes.push(this.parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  parseAnd() {
+    const nodes = [this.parseNot()];
+    while (isBooleanWord(this.peek(), 'and')) {
+      this.next();
+      nodes.push(this.parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  parseNot() {
+    if (isBooleanWord(this.peek(), 'not')) {
+      this.next();
+      return { type: 'not', node: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token?.type === '(') {
+      const node = this.parseOr();
+      this.expect(')', "')'");
+      return node;
+    }
+
+    if (token?.type !== 'word' || token.quoted || BOOLEAN_WORDS.includes(token.value.toLowerCase())) {
+      throw new Error(`Expected a condition ${describeToken(token)}`);
+    }
+
+    const name = token.value.toLowerCase();
+    if (name === 'always') {
+      return { type: 'always' };
+    }
+
+    const spec = TRIGGER_FIELDS[name];
+    if (!spec) {
+      throw new Error(`Unknown field '${token.value}' at position ${token.pos} (known: ${Object.keys(TRIGGER_FIELDS).join(', ')}, always)`);
+    }
+
+    const operator = this.next();
+    if (operator?.type === 'op') {
+      const value = this.expect('word', `a value after '${name} ${operator.value}'`);
+      return comparisonPredicate(name, spec, operator.value, value.value);
+    }
+    if (operator?.type !== ':') {
+      throw new Error(`Expected ':' or a comparison after '${name}' ${describeToken(operator)}`);
+    }
+
+    const value = this.expect('word', `a value for '${name}'`);
+    if (this.peek()?.type === '..') {
+      this.next();
+      const upper = this.expect('word', `an upper bound for '${name}'`);
+      return rangePredicate(name, spec, value.value, upper.value);
+    }
+    return valuePredicate(name, spec, value.value);
+  }
+}
+
+function describeToken(token) {
+  if (!token) return 'at end of trigger';
+  const text = token.type === 'word' || token.type === 'op' ? token.value : token.type;
+  return `but found '${text}' at position ${token.pos}`;
+}
+
+// ============================================================================
+// PREDICATES
+// ============================================================================
+
+function parseNumber(field, raw) {
+  const match = String(raw).toLowerCase().replace(/^\$/, '').match(/^(-?\d+(?:\.\d+)?)([km]?)$/);
+  if (!match) {
+    throw new Error(`'${raw}' is not a valid ${field}`);
+  }
+  const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2]];
+  return Number(match[1]) * multiplier;
+}
+
+function setIndex(field, raw) {
+  const value = String(raw).toLowerCase();
+  let index = -1;
+
+  if (field === 'priority') {
+    index = PRIORITY_LEVELS.indexOf(value);
+  } else if (field === 'day') {
+    index = DAYS.indexOf(value.substring(0, 3));
+    if (value.length < 3) index = -1;
+  } else if (/^\d{1,2}$/.test(value)) {
+    index = Number(value);
+  }
+
+  if (index < 0 || index >= TRIGGER_FIELDS[field].size) {
+    const accepted = {
+      priority: PRIORITY_LEVELS.join(', '),
+      day: DAYS.join(', '),
+      hour: '0-23',
+    }[field];
+    throw new Error(`'${raw}' is not a valid ${field} (expected ${accepted})`);
+  }
+  return index;
+}
+
+function setRange(field, from, to) {
+  const { size, wraps } = TRIGGER_FIELDS[field];
+  if (from > to && !wraps) {
+    throw new Error(`${field} range is empty: lower bound is above the upper bound`);
+  }
+  const values = [];
+  for (let i = from; ; i = (i + 1) % size) {
+    values.push(i);
+    if (i === to) break;
+  }
+  return values;
+}
+
+function valuePredicate(field, spec, raw) {
+  if (spec.kind === 'set') {
+    return { type: 'predicate', field, values: [setIndex(field, raw)] };
+  }
+  if (spec.kind === 'number') {
+    const value = parseNumber(field, raw);
+    return { type: 'predicate', field, min: value, max: value, minInclusive: true, maxInclusive: true };
+  }
+  if (!String(raw).trim()) {
+    throw new Error(`${field} needs a value`);
+  }
+  return { type: 'predicate', field, value: String(raw).trim().toLowerCase() };
+}
+
+function rangePredicate(field, spec, lowerRaw, upperRaw) {
+  if (spec.kind === 'set') {
+    return { type: 'predicate', field, values: setRange(field, setIndex(field, lowerRaw), setIndex(field, upperRaw)) };
+  }
+  if (spec.kind === 'number') {
+    const min = parseNumber(field, lowerRaw);
+    const max = parseNumber(field, upperRaw);
+    if (min > max) {
+      throw new Error(`${field} range is empty: lower bound is above the upper bound`);
+    }
+    return { type: 'predicate', field, min, max, minInclusive: true, maxInclusive: true };
+  }
+  throw new Error(`${field} does not support ranges`);
+}
+
+function comparisonPredicate(field, spec, op, raw) {
+  if (spec.kind === 'set') {
+    // Comparisons use the natural order (hour 0-23, day sun-sat), without wrapping
+    const index = setIndex(field, raw);
+    const values = Array.from({ length: spec.size }, (_, i) => i).filter(i => compare(i, op, index));
+    return { type: 'predicate', field, values };
+  }
+  if (spec.kind === 'number') {
+    const value = parseNumber(field, raw);
+    const lower = op.startsWith('>');
+    return {
+      type: 'predicate',
+      field,
+      min: lower ? value : -Infinity,
+      max: lower ? Infinity : value,
+      minInclusive: op === '>=' || !lower,
+      maxInclusive: op === '<=' || lower,
+    };
+  }
+  throw new Error(`${field} does not support '${op}'`);
+}
+
+function compare(value, op, limit) {
+  switch (op) {
+    case '>': return value > limit;
+    case '>=': return value >= limit;
+    case '<': return value < limit;
+    default: return value <= limit;
+  }
+}
+
+/**
+ * Legacy single-predicate triggers; the value is the rest of the string
+ */
+function parseLegacy(trigger) {
+  const separator = trigger.indexOf(':');
+  const prefix = trigger.substring(0, separator).trim().toLowerCase();
+  const value = trigger.substring(separator + 1).trim();
+
+  if (prefix === 'decision') {
+    return { type: 'always' };
+  }
+  if (!value) {
+    throw new Error(`${prefix} needs a value`);
+  }
+
+  switch (prefix) {
+    case 'task_category':
+      return valuePredicate('category', TRIGGER_FIELDS.category, value);
+    case 'tool_use':
+      return valuePredicate('tool', TRIGGER_FIELDS.tool, value);
+    case 'quality_check':
+      return valuePredicate('phase', TRIGGER_FIELDS.phase, value);
+    case 'team_lead':
+      return valuePredicate('role', TRIGGER_FIELDS.role, value.split(':')[0]);
+    default:
+      return {
+        type: 'or',
+        nodes: [
+          valuePredicate('category', TRIGGER_FIELDS.category, value),
+          valuePredicate('keyword', TRIGGER_FIELDS.keyword, value),
+        ],
+      };
+  }
+}
+
+/**
+ * Parse a trigger into an expression tree
+ * @throws {Error} When the trigger is not valid
+ */
+export function parseTrigger(trigger) {
+  if (typeof trigger !== 'string' || !trigger.trim()) {
+    throw new Error('Trigger is empty');
+  }
+
+  const prefix = trigger.substring(0, trigger.indexOf(':')).trim().toLowerCase();
+  if (LEGACY_PREFIXES.includes(prefix)) {
+    return parseLegacy(trigger);
+  }
+
+  return new Parser(trigger).parse();
+}
+
+/**
+ * Parsed trigger from the cache; null when the trigger is not valid
+ */
+export function compileTrigger(trigger) {
+  if (compiled.has(trigger)) {
+    return compiled.get(trigger);
+  }
+
+  let expression = null;
+  try {
+    expression = parseTrigger(trigger);
+  } catch (error) {
+    console.warn(`[TRIGGER] Invalid trigger "${trigger}": ${error.message}`);
+  }
+
+  if (compiled.size >= CACHE_LIMIT) {
+    compiled.clear();
+  }
+  compiled.set(trigger, expression);
+  return expression;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+function contextTime(context) {
+  const time = context.time ? new Date(context.time) : new Date();
+  return Number.isNaN(time.getTime()) ? new Date() : time;
+}
+
+function contextAmount(context) {
+  if (typeof context.amount === 'number') return context.amount;
+  if (!context.content) return null;
+  return moneyExtractor.largest(context.content)?.totalCommitment ?? null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchesPredicate(node, context) {
+  const spec = TRIGGER_FIELDS[node.field];
+
+  switch (spec.kind) {
+    case 'equals': {
+      const value = context[spec.key];
+      return typeof value === 'string' && value.toLowerCase() === node.value;
+    }
+    case 'member':
+      return (context[spec.key] || []).some(item => String(item).toLowerCase() === node.value);
+    case 'text': {
+      const content = context[spec.key];
+      if (!content) return false;
+      return new RegExp(`(^|\\W)${escapeRegExp(node.value)}(\\W|$)`, 'i').test(content);
+    }
+    case 'set': {
+      let index;
+      if (node.field === 'priority') {
+        index = PRIORITY_LEVELS.indexOf(String(context.priority || '').toLowerCase());
+      } else if (node.field === 'hour') {
+        index = contextTime(context).getUTCHours();
+      } else {
+        index = contextTime(context).getUTCDay();
+      }
+      return node.values.includes(index);
+    }
+    default: {
+      const amount = contextAmount(context);
+      if (amount === null) return false;
+      const aboveMin = node.minInclusive ? amount >= node.min : amount > node.min;
+      const belowMax = node.maxInclusive ? amount <= node.max : amount < node.max;
+      return aboveMin && belowMax;
+    }
+  }
+}
+
+/**
+ * Evaluate a parsed trigger against a task context
+ * @param {Object} context - { category, tools, phase, priority, content, amount, tags, workflow, role, time }
+ */
+export function evaluateTrigger(node, context) {
+  switch (node.type) {
+    case 'always':
+      return true;
+    case 'not':
+      return !evaluateTrigger(node.node, context);
+    case 'and':
+      return node.nodes.every(child => evaluateTrigger(child, context));
+    case 'or':
+      return node.nodes.some(child => evaluateTrigger(child, context));
+    default:
+      return matchesPredicate(node, context);
+  }
+}
+
+/**
+ * Check a trigger string against a task context; invalid triggers never match
+ */
+export function matchesTrigger(trigger, context) {
+  if (!trigger || !context) return false;
+  const expression = compileTrigger(trigger);
+  return expression ? evaluateTrigger(expression, context) : false;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Disjunctive normal form: a list of terms, each a list of { node, negated }
+ * literals that must all hold. Null when it grows past MAX_TERMS.
+ */
+function toTerms(node, negated = false) {
+  if (node.type === 'not') {
+    return toTerms(node.node, !negated);
+  }
+  if (node.type === 'always') {
+    return negated ? [] : [[]];
+  }
+  if (node.type === 'predicate') {
+    return [[{ node, negated }]];
+  }
+
+  const children = node.nodes.map(child => toTerms(child, negated));
+  if (children.includes(null)) return null;
+
+  const conjunction = (node.type === 'and') !== negated;
+  if (!conjunction) {
+    const terms = children.flat();
+    return terms.length > MAX_TERMS ? null : terms;
+  }
+
+  let terms = [[]];
+  for (const child of children) {
+    const combined = [];
+    for (const term of terms) {
+      for (const childTerm of child) {
+        combined.push([...term, ...childTerm]);
+      }
+    }
+    if (combined.length > MAX_TERMS) return null;
+    terms = combined;
+  }
+  return terms;
+}
+
+/**
+ * Why a conjunction of literals can never hold, or null if it can
+ */
+function contradiction(term) {
+  const byField = new Map();
+  for (const literal of term) {
+    if (!byField.has(literal.node.field)) byField.set(literal.node.field, []);
+    byField.get(literal.node.field).push(literal);
+  }
+
+  for (const [field, literals] of byField) {
+    const spec = TRIGGER_FIELDS[field];
+    const required = literals.filter(l => !l.negated);
+    const excluded = literals.filter(l => l.negated);
+
+    if (spec.kind === 'set') {
+      let allowed = Array.from({ length: spec.size }, (_, i) => i);
+      for (const { node, negated } of literals) {
+        allowed = allowed.filter(i => node.values.includes(i) !== negated);
+      }
+      if (allowed.length === 0) return `no ${field} satisfies every condition`;
+      continue;
+    }
+
+    if (spec.kind === 'number') {
+      let min = -Infinity;
+      let max = Infinity;
+      let minInclusive = true;
+      let maxInclusive = true;
+      const bounds = required.map(l => l.node);
+      // A negated one-sided bound is the opposite bound; negated ranges are
+      // two intervals and are left out of the check
+      for (const { node } of excluded) {
+        if (node.min === -Infinity) {
+          bounds.push({ min: node.max, max: Infinity, minInclusive: !node.maxInclusive, maxInclusive: true });
+        } else if (node.max === Infinity) {
+          bounds.push({ min: -Infinity, max: node.min, minInclusive: true, maxInclusive: !node.minInclusive });
+        }
+      }
+      for (const bound of bounds) {
+        if (bound.min > min || (bound.min === min && !bound.minInclusive)) {
+          min = bound.min;
+          minInclusive = bound.minInclusive;
+        }
+        if (bound.max < max || (bound.max === max && !bound.maxInclusive)) {
+          max = bound.max;
+          maxInclusive = bound.maxInclusive;
+        }
+      }
+      if (min > max || (min === max && !(minInclusive && maxInclusive))) {
+        return `no ${field} satisfies every condition`;
+      }
+      continue;
+    }
+
+    const values = [...new Set(required.map(l => l.node.value))];
+    if (spec.kind === 'equals' && values.length > 1) {
+      return `${field} cannot be both ${values.join(' and ')}`;
+    }
+    const both = values.find(value => excluded.some(l => l.node.value === value));
+    if (both) {
+      return `${field} ${both} is both required and excluded`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a trigger: it must parse, and some task must be able to match it
+ * @returns {Object} { valid, errors }
+ */
+export function validateTrigger(trigger) {
+  let expression;
+  try {
+    expression = parseTrigger(trigger);
+  } catch (error) {
+    return { valid: false, errors: [error.message] };
+  }
+
+  const terms = toTerms(expression);
+  if (terms === null) {
+    return { valid: true, errors: [] };
+  }
+
+  const reasons = terms.map(contradiction);
+  if (terms.length === 0 || reasons.every(Boolean)) {
+    const reason = reasons[0] || 'it excludes every task';
+    return { valid: false, errors: [`Trigger can never match: ${reason}`] };
+  }
+
+  return { valid: true, errors: [] };
+}
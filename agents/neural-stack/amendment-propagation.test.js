@@ -0,0 +1,385 @@
+/**
+ * Amendment Propagation Test Suite
+ * Cognalith Inc. | Monolith System
+ *
+ * Tests peer discovery from team specialties, team lead proposals of adapted
+ * amendments, their separate evaluation tracking, and lineage.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  AmendmentPropagation,
+  PROPAGATION_STATUS,
+  PROPAGATION_TRIGGERS,
+  specialtyOverlap,
+} from './AmendmentPropagation.js';
+import { AmendmentEngine } from './AmendmentEngine.js';
+import { PATTERN_TYPES } from './PatternDetector.js';
+import { knowledgeEvents, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
+import { getStorageClient, resetStorage } from '../storage/index.js';
+
+const STORAGE = { adapter: 'local', storagePath: ':memory:' };
+
+// product_analytics_lead shares A/B testing with seo_growth_lead (marketing)
+// and cohort analysis with revenue_analytics_lead (finance)
+const SOURCE_ROLE = 'product_analytics_lead';
+
+let amendmentCount = 0;
+const insertAmendment = async (client, fields = {}) => {
+  amendmentCount++;
+  const { data } = await client.from('monolith_amendments').insert([{
+    amendment_id: `amend-${amendmentCount}`,
+    agent_role: SOURCE_ROLE,
+    trigger_reason: 'quality_issue',
+    amendment_type: 'quality',
+    target_area: 'task_approach',
+    content: 'product_analytics_lead must re-run the experiment readout before delivery',
+    performance_before: {},
+    trigger_pattern: 'quality_check:pre_delivery',
+    instruction_delta: 'product_analytics_lead must re-run the experiment readout before delivery',
+    knowledge_mutation: { quality_standards: { review_required: true } },
+    source_pattern: { type: PATTERN_TYPES.QUALITY_DECLINE, confidence: 0.8 },
+    pattern_confidence: 0.8,
+    approval_status: 'auto_approved',
+    is_active: true,
+    evaluation_status: 'proven',
+    success_count: 4,
+    failure_count: 1,
+    ...fields,
+  }]).select().single();
+  return data;
+};
+
+const logPattern = (client, agentRole, patternType, fields = {}) =>
+  client.from('monolith_pattern_log').insert([{
+    agent_role: agentRole,
+    pattern_type: patternType,
+    pattern_data: {},
+    confidence: 0.7,
+    ...fields,
+  }]);
+
+describe('Amendment propagation', () => {
+  let client;
+  let propagation;
+
+  const rows = async (table) => (await client.from(table).select('*')).data;
+
+  beforeEach(() => {
+    resetStorage();
+    client = getStorageClient(STORAGE);
+    propagation = new AmendmentPropagation(STORAGE);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetStorage();
+  });
+
+  describe('peer discovery', () => {
+    it('measures specialty overlap by shared specialties and keywords', () => {
+      expect(specialtyOverlap(['A/B Testing', 'Cohort Analysis'], ['A/B testing', 'Unit Testing'])).toEqual({
+        shared_specialties: ['A/B Testing'],
+        shared_terms: ['testing'],
+        score: 0.5,
+      });
+      expect(specialtyOverlap(['Brand Voice'], ['Docker']).score).toBe(0);
+    });
+
+    it('finds peers across teams with their team leads', () => {
+      const peers = propagation.findPeers(SOURCE_ROLE);
+
+      expect(peers.map(p => [p.role, p.team_lead])).toEqual(expect.arrayContaining([
+        ['seo_growth_lead', 'cmo'],
+        ['revenue_analytics_lead', 'cfo'],
+      ]));
+      expect(peers.find(p => p.role === 'seo_growth_lead').overlap.shared_specialties).toEqual(['A/B Testing']);
+      expect(peers.map(p => p.role)).not.toContain(SOURCE_ROLE);
+      expect(propagation.findPeers('ceo')).toEqual([]);
+    });
+  });
+
+  describe('propagateAmendment', () => {
+    it('proposes an adapted copy to peers with the same pattern type', async () => {
+      const source = await insertAmendment(client);
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE, { confidence: 0.65 });
+      await logPattern(client, 'revenue_analytics_lead', PATTERN_TYPES.TIME_REGRESSION);
+
+      const { data, error } = await propagation.propagateAmendment(source.id);
+
+      expect(error).toBeNull();
+      expect(data.proposed).toEqual([expect.objectContaining({
+        source_amendment_id: source.id,
+        source_role: SOURCE_ROLE,
+        target_role: 'seo_growth_lead',
+        team_lead_role: 'cmo',
+        pattern_type: PATTERN_TYPES.QUALITY_DECLINE,
+        triggered_by: PROPAGATION_TRIGGERS.PROVEN,
+        status: PROPAGATION_STATUS.PROPOSED,
+        evidence: { patterns: 1, reverted_amendments: 0, confidence: 0.65 },
+      })]);
+      expect(data.skipped).toContainEqual({ role: 'revenue_analytics_lead', reason: 'no_matching_pattern' });
+
+      const adapted = (await rows('monolith_amendments')).find(a => a.id === data.proposed[0].adapted_amendment_id);
+      expect(adapted).toMatchObject({
+        agent_role: 'seo_growth_lead',
+        trigger_pattern: source.trigger_pattern,
+        instruction_delta: 'seo_growth_lead must re-run the experiment readout before delivery',
+        parent_amendment_id: source.id,
+        approval_status: 'pending',
+        is_active: false,
+        evaluation_status: 'pending',
+        pattern_confidence: 0.65,
+        source_pattern: expect.objectContaining({
+          type: PATTERN_TYPES.QUALITY_DECLINE,
+          source: 'propagation',
+          propagated_from: { amendment_id: source.id, agent_role: SOURCE_ROLE },
+        }),
+      });
+      expect(adapted.approval_notes).toMatch(/^Proposed to cmo: proven on product_analytics_lead \(4\/5 successful evaluations\); shared specialties: A\/B Testing/);
+
+      // The source is untouched
+      expect((await rows('monolith_amendments')).find(a => a.id === source.id)).toMatchObject({ success_count: 4, failure_count: 1 });
+    });
+
+    it('counts reverted amendments for the pattern as evidence', async () => {
+      const source = await insertAmendment(client);
+      await insertAmendment(client, {
+        agent_role: 'revenue_analytics_lead',
+        trigger_pattern: 'task_category:forecast',
+        evaluation_status: 'reverted',
+        is_active: false,
+        pattern_confidence: 0.9,
+      });
+
+      const { data } = await propagation.propagateAmendment(source.id);
+
+      expect(data.proposed.map(p => [p.target_role, p.team_lead_role, p.evidence])).toEqual([
+        ['revenue_analytics_lead', 'cfo', { patterns: 0, reverted_amendments: 1, confidence: 0.9 }],
+      ]);
+    });
+
+    it('does not propose twice or when the peer already covers the trigger', async () => {
+      const source = await insertAmendment(client);
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE);
+      await logPattern(client, 'revenue_analytics_lead', PATTERN_TYPES.QUALITY_DECLINE);
+      await insertAmendment(client, { agent_role: 'revenue_analytics_lead', evaluation_status: 'evaluating' });
+
+      const first = await propagation.propagateAmendment(source.id);
+      expect(first.data.proposed.map(p => p.target_role)).toEqual(['seo_growth_lead']);
+      expect(first.data.skipped).toContainEqual({ role: 'revenue_analytics_lead', reason: 'trigger_covered' });
+
+      const second = await propagation.propagateAmendment(source.id);
+      expect(second.data.proposed).toEqual([]);
+      expect(second.data.skipped).toContainEqual({ role: 'seo_growth_lead', reason: 'already_proposed' });
+      expect(await rows('monolith_amendment_propagations')).toHaveLength(1);
+    });
+
+    it('ignores dismissed patterns and limits peers to candidates', async () => {
+      const source = await insertAmendment(client);
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE, { dismissed: true });
+      await logPattern(client, 'revenue_analytics_lead', PATTERN_TYPES.QUALITY_DECLINE);
+
+      const { data } = await propagation.propagateAmendment(source.id, { candidates: ['seo_growth_lead'] });
+
+      expect(data.proposed).toEqual([]);
+      expect(data.skipped).toEqual([{ role: 'seo_growth_lead', reason: 'no_matching_pattern' }]);
+    });
+
+    it('only propagates proven originals with a pattern type', async () => {
+      const evaluating = await insertAmendment(client, { evaluation_status: 'evaluating' });
+      const baked = await insertAmendment(client, { evaluation_status: 'superseded', is_baked: true, trigger_pattern: 'task_category:funnel' });
+      const teamLead = await insertAmendment(client, { source_pattern: { source: 'team_lead_review' }, trigger_pattern: 'task_category:cohorts' });
+      const adapted = await insertAmendment(client, {
+        source_pattern: { type: PATTERN_TYPES.QUALITY_DECLINE, source: 'propagation' },
+        trigger_pattern: 'task_category:retention',
+      });
+
+      expect((await propagation.propagateAmendment(evaluating.id)).error.code).toBe('NOT_PROVEN');
+      expect((await propagation.propagateAmendment(baked.id)).error).toBeNull();
+      expect((await propagation.propagateAmendment(teamLead.id)).error.code).toBe('NO_PATTERN_TYPE');
+      expect((await propagation.propagateAmendment(adapted.id)).error.code).toBe('ADAPTED_AMENDMENT');
+      expect((await propagation.propagateAmendment('missing')).error.code).toBe('SOURCE_NOT_FOUND');
+    });
+  });
+
+  describe('cross-agent patterns', () => {
+    it('offers proven amendments to the declining agents', async () => {
+      const source = await insertAmendment(client);
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE);
+      await logPattern(client, 'revenue_analytics_lead', PATTERN_TYPES.QUALITY_DECLINE);
+
+      const none = await propagation.propagateForCrossAgentPattern({ detected: false, declining_agents: ['seo_growth_lead'] });
+      expect(none.data.proposed).toEqual([]);
+
+      const { data } = await propagation.propagateForCrossAgentPattern({
+        detected: true,
+        declining_agents: ['seo_growth_lead', 'hiring_lead', 'qa_lead'],
+      });
+
+      expect(data.proposed.map(p => [p.source_amendment_id, p.target_role, p.triggered_by])).toEqual([
+        [source.id, 'seo_growth_lead', PROPAGATION_TRIGGERS.CROSS_AGENT_PATTERN],
+      ]);
+    });
+
+    it('runs when AmendmentEngine escalates a cross-agent pattern', async () => {
+      await insertAmendment(client);
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE);
+
+      const engine = new AmendmentEngine(STORAGE);
+      engine.exceptionEscalation.shouldEscalate = async () => ({
+        shouldEscalate: true,
+        reason: 'cross_agent_pattern',
+        analysis: { detected: true, declining_agents: ['seo_growth_lead', 'content_lead', 'brand_lead'] },
+      });
+      engine.exceptionEscalation.createEscalation = async () => ({ data: { id: 'esc-1' } });
+
+      const { escalated } = await engine.createAmendment('content_lead', {
+        amendment_type: 'quality',
+        trigger_pattern: 'task_category:newsletter',
+        instruction_delta: 'Proofread every newsletter twice.',
+        knowledge_mutation: {},
+        source_pattern: { type: PATTERN_TYPES.QUALITY_DECLINE },
+        pattern_confidence: 0.7,
+      });
+
+      expect(escalated).toBe(true);
+      expect((await rows('monolith_amendment_propagations')).map(p => [p.target_role, p.triggered_by])).toEqual([
+        ['seo_growth_lead', PROPAGATION_TRIGGERS.CROSS_AGENT_PATTERN],
+      ]);
+    });
+  });
+
+  describe('team lead review', () => {
+    let proposal;
+
+    beforeEach(async () => {
+      const source = await insertAmendment(client);
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE);
+      const { data } = await propagation.propagateAmendment(source.id);
+      proposal = data.proposed[0];
+    });
+
+    it('lists pending proposals per team lead', async () => {
+      expect((await propagation.getPendingProposals('cmo')).data.map(p => p.id)).toEqual([proposal.id]);
+      expect((await propagation.getPendingProposals('cfo')).data).toEqual([]);
+    });
+
+    it('only lets the peer\'s team lead (or CoS/CEO) decide', async () => {
+      const { error } = await propagation.approveProposal(proposal.id, 'cto');
+
+      expect(error).toEqual({
+        message: 'Only cmo can review amendments for seo_growth_lead',
+        code: 'NOT_TEAM_LEAD',
+      });
+    });
+
+    it('activates the adapted amendment on approval', async () => {
+      const changes = [];
+      const listener = (change) => changes.push(change);
+      knowledgeEvents.on('knowledgeChanged', listener);
+
+      const { data, error } = await propagation.approveProposal(proposal.id, 'cmo', 'Same readout issue');
+      knowledgeEvents.off('knowledgeChanged', listener);
+
+      expect(error).toBeNull();
+      expect(data.propagation).toMatchObject({ status: PROPAGATION_STATUS.APPROVED, reviewed_by: 'cmo', review_notes: 'Same readout issue' });
+      expect(data.amendment).toMatchObject({ approval_status: 'approved', approved_by: 'cmo', is_active: true, evaluation_status: 'evaluating' });
+      expect(changes).toEqual([expect.objectContaining({
+        agentRole: 'seo_growth_lead',
+        reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED,
+        amendmentId: proposal.adapted_amendment_id,
+      })]);
+
+      expect((await propagation.rejectProposal(proposal.id, 'cmo', 'late')).error.code).toBe('NOT_PENDING');
+    });
+
+    it('rejects the adapted amendment', async () => {
+      const { data } = await propagation.rejectProposal(proposal.id, 'ceo', 'Different audience');
+
+      expect(data.propagation.status).toBe(PROPAGATION_STATUS.REJECTED);
+      expect(data.amendment).toMatchObject({ approval_status: 'rejected', is_active: false, approval_notes: 'Different audience' });
+    });
+
+    it('respects the active amendment limit', async () => {
+      for (let i = 0; i < 10; i++) {
+        await insertAmendment(client, { agent_role: 'seo_growth_lead', trigger_pattern: `task_category:area-${i}`, evaluation_status: 'evaluating' });
+      }
+
+      expect((await propagation.approveProposal(proposal.id, 'cmo')).error.code).toBe('AMENDMENT_LIMIT');
+    });
+  });
+
+  describe('evaluation and lineage', () => {
+    const evaluate = async (engine, amendmentId, results) => {
+      for (const [i, success] of results.entries()) {
+        await engine.recordEvaluation(amendmentId, `task-${amendmentId}-${i}`, { success, time_seconds: 60, quality_score: 80 });
+      }
+    };
+
+    it('proposes a newly proven amendment and tracks the copy\'s outcome separately', async () => {
+      const engine = new AmendmentEngine(STORAGE);
+      const source = await insertAmendment(client, { evaluation_status: 'evaluating', success_count: 0, failure_count: 0 });
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE);
+
+      await evaluate(engine, source.id, [true, true, true, true, false]);
+
+      const [proposal] = await rows('monolith_amendment_propagations');
+      expect(proposal).toMatchObject({ source_amendment_id: source.id, target_role: 'seo_growth_lead', status: PROPAGATION_STATUS.PROPOSED });
+
+      await propagation.approveProposal(proposal.id, 'cmo');
+      await evaluate(engine, proposal.adapted_amendment_id, [true, false, false, true, false]);
+
+      const [evaluated] = await rows('monolith_amendment_propagations');
+      expect(evaluated).toMatchObject({
+        status: PROPAGATION_STATUS.REVERTED,
+        success_count: 2,
+        failure_count: 3,
+        success_rate: 0.4,
+      });
+      expect((await rows('monolith_amendments')).find(a => a.id === source.id)).toMatchObject({
+        evaluation_status: 'proven',
+        success_count: 4,
+        failure_count: 1,
+      });
+
+      const { data: lineage } = await propagation.getLineage(proposal.adapted_amendment_id);
+      expect(lineage).toMatchObject({
+        source_amendment_id: source.id,
+        source_role: SOURCE_ROLE,
+        pattern_type: PATTERN_TYPES.QUALITY_DECLINE,
+        source_success_rate: 0.8,
+        adapted_success_rate: 0.4,
+        summary: { proposed: 0, approved: 0, rejected: 0, proven: 0, reverted: 1, total: 1 },
+      });
+      expect(lineage.propagations[0].adapted).toMatchObject({ agent_role: 'seo_growth_lead', evaluation_status: 'reverted' });
+    });
+
+    it('follows approvals made outside the propagation and filters lineages', async () => {
+      const source = await insertAmendment(client);
+      await logPattern(client, 'seo_growth_lead', PATTERN_TYPES.QUALITY_DECLINE);
+      await logPattern(client, 'revenue_analytics_lead', PATTERN_TYPES.QUALITY_DECLINE);
+      const { data } = await propagation.propagateAmendment(source.id);
+
+      const cfoProposal = data.proposed.find(p => p.team_lead_role === 'cfo');
+      await new AmendmentEngine(STORAGE).approveAmendment(cfoProposal.adapted_amendment_id, 'frank');
+
+      const { data: lineages } = await propagation.getLineages();
+      expect(lineages).toHaveLength(1);
+      expect(lineages[0].summary).toMatchObject({ proposed: 1, approved: 1, total: 2 });
+
+      const { data: cfoLineages } = await propagation.getLineages({ teamLead: 'cfo' });
+      expect(cfoLineages[0].propagations.map(p => [p.target_role, p.status])).toEqual([
+        ['revenue_analytics_lead', PROPAGATION_STATUS.APPROVED],
+      ]);
+
+      expect((await propagation.getLineages({ agentRole: 'hiring_lead' })).data).toEqual([]);
+      expect((await propagation.getLineage('missing')).error.code).toBe('PROPAGATION_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * Knowledge Versioning Test Suite
+ * Cognalith Inc. | Monolith System
+ *
+ * Tests snapshots on knowledge changes, structured diffs, and guarded
+ * rollback through AmendmentSafety, undone if an update fails part-way.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { KnowledgeVersioning, VERSION_REASONS, diffKnowledge } from './KnowledgeVersioning.js';
+import { AmendmentEngine } from './AmendmentEngine.js';
+import { CONSTRAINT_TYPES } from './AmendmentSafety.js';
+import { knowledgeEvents, emitKnowledgeChanged, KNOWLEDGE_CHANGE_REASONS } from './KnowledgeEvents.js';
+import { getStorageClient, resetStorage } from '../storage/index.js';
+
+const STORAGE = { adapter: 'local', storagePath: ':memory:' };
+const ROLE = 'cto';
+
+const seedLayer = (client, standard = {}, base = { persona: { role: ROLE } }) =>
+  client.from('monolith_knowledge_layer').insert([{
+    agent_role: ROLE,
+    base_knowledge: base,
+    standard_knowledge: standard,
+  }]);
+
+let amendmentCount = 0;
+const insertAmendment = async (client, fields = {}) => {
+  amendmentCount++;
+  const { data } = await client.from('monolith_amendments').insert([{
+    amendment_id: `amend-${amendmentCount}`,
+    agent_role: ROLE,
+    trigger_reason: 'quality_issue',
+    amendment_type: 'append',
+    target_area: 'task_approach',
+    content: `Instruction ${amendmentCount}`,
+    performance_before: {},
+    trigger_pattern: `task_category:area-${amendmentCount}`,
+    instruction_delta: `Instruction ${amendmentCount}`,
+    knowledge_mutation: {},
+    is_active: true,
+    approval_status: 'approved',
+    created_at: new Date(Date.now() + amendmentCount).toISOString(),
+    ...fields,
+  }]).select().single();
+  return data;
+};
+
+const setActive = (client, id, isActive) =>
+  client.from('monolith_amendments').update({ is_active: isActive }).eq('id', id);
+
+describe('Knowledge versioning', () => {
+  let client;
+  let versioning;
+
+  beforeEach(() => {
+    resetStorage();
+    client = getStorageClient(STORAGE);
+    versioning = new KnowledgeVersioning(STORAGE);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    versioning.shutdown();
+    jest.restoreAllMocks();
+    resetStorage();
+  });
+
+  describe('diffKnowledge', () => {
+    it('reports added, removed and changed paths, matching amendments by id', () => {
+      const before = {
+        base_knowledge: { persona: { role: 'cto' } },
+        standard_knowledge: { procedures: { deploy: 'manual' }, permanent_instructions: [{ instruction: 'a' }] },
+        amendments: [{ id: 'a1', instruction_delta: 'one' }, { id: 'a2', instruction_delta: 'two' }],
+      };
+      const after = {
+        base_knowledge: { persona: { role: 'cto' } },
+        standard_knowledge: {
+          procedures: { deploy: 'pipeline' },
+          permanent_instructions: [{ instruction: 'a' }, { instruction: 'b' }],
+        },
+        amendments: [{ id: 'a2', instruction_delta: 'two' }, { id: 'a3', instruction_delta: 'three' }],
+      };
+
+      const { changes, summary } = diffKnowledge(before, after);
+
+      expect(changes).toEqual([
+        { path: 'standard_knowledge.permanent_instructions[1]', type: 'added', after: { instruction: 'b' } },
+        { path: 'standard_knowledge.procedures.deploy', type: 'changed', before: 'manual', after: 'pipeline' },
+        { path: 'amendments.a1', type: 'removed', before: { id: 'a1', instruction_delta: 'one' } },
+        { path: 'amendments.a3', type: 'added', after: { id: 'a3', instruction_delta: 'three' } },
+      ]);
+      expect(summary).toEqual({
+        added: 2,
+        removed: 1,
+        changed: 1,
+        by_layer: { standard_knowledge: 2, amendments: 2 },
+      });
+    });
+
+    it('ignores key order', () => {
+      const a = { standard_knowledge: { x: 1, y: { b: 2, a: 1 } } };
+      const b = { standard_knowledge: { y: { a: 1, b: 2 }, x: 1 } };
+      expect(diffKnowledge(a, b).changes).toEqual([]);
+    });
+  });
+
+  describe('snapshots', () => {
+    it('records a version for each knowledge change and skips unchanged knowledge', async () => {
+      await seedLayer(client);
+      versioning.start();
+
+      const first = await insertAmendment(client);
+      emitKnowledgeChanged({ agentRole: ROLE, reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED, amendmentId: first.id });
+      await versioning.flush();
+
+      await setActive(client, first.id, false);
+      emitKnowledgeChanged({ agentRole: ROLE, reason: KNOWLEDGE_CHANGE_REASONS.REVERTED, amendmentId: first.id });
+      emitKnowledgeChanged({ agentRole: ROLE, reason: KNOWLEDGE_CHANGE_REASONS.DEACTIVATED, amendmentId: first.id });
+      await versioning.flush();
+
+      const { data: history } = await versioning.getVersionHistory(ROLE);
+
+      expect(history.map(v => [v.version_number, v.reason, v.amendment_count])).toEqual([
+        [2, 'reverted', 0],
+        [1, 'activated', 1],
+      ]);
+      expect(history[1].amendment_id).toBe(String(first.id));
+      expect(history[0].base_knowledge).toBeUndefined();
+    });
+
+    it('snapshots amendments approved through AmendmentEngine', async () => {
+      await seedLayer(client);
+      versioning.start();
+      const pending = await insertAmendment(client, { is_active: false, approval_status: 'pending' });
+
+      await new AmendmentEngine(STORAGE).approveAmendment(pending.id, 'ceo');
+      await versioning.flush();
+
+      const { data: version } = await versioning.getVersion(ROLE, 1);
+      expect(version.reason).toBe(KNOWLEDGE_CHANGE_REASONS.ACTIVATED);
+      expect(version.amendments.map(a => a.id)).toEqual([pending.id]);
+    });
+
+    it('keeps the standard hash in line with the bake hashes', async () => {
+      const standard = { procedures: { deploy: 'pipeline' } };
+      await seedLayer(client, standard);
+
+      const { data } = await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.BAKED });
+
+      expect(data.standard_hash).toBe(versioning.knowledgeComputer.computeVersionHash(standard));
+    });
+  });
+
+  describe('diffVersions', () => {
+    it('diffs two versions and a version against the current knowledge', async () => {
+      await seedLayer(client);
+      const first = await insertAmendment(client);
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+      const second = await insertAmendment(client);
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+      await setActive(client, first.id, false);
+
+      const { data: between } = await versioning.diffVersions(ROLE, 1, 2);
+      expect(between.changes.map(c => [c.path, c.type])).toEqual([[`amendments.${second.id}`, 'added']]);
+
+      const { data: toCurrent } = await versioning.diffVersions(ROLE, 2);
+      expect(toCurrent.to.version_number).toBeNull();
+      expect(toCurrent.changes.map(c => [c.path, c.type])).toEqual([[`amendments.${first.id}`, 'removed']]);
+
+      const { error } = await versioning.diffVersions(ROLE, 9);
+      expect(error.code).toBe('VERSION_NOT_FOUND');
+    });
+  });
+
+  describe('rollback', () => {
+    it('restores standard knowledge and the active amendments of an earlier version', async () => {
+      await seedLayer(client, { procedures: { deploy: 'manual' } });
+      const kept = await insertAmendment(client);
+      const later = await insertAmendment(client, { is_active: false });
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+
+      // Knowledge moves on: a bake changes standard knowledge, amendments change
+      await client.from('monolith_knowledge_layer')
+        .update({ standard_knowledge: { procedures: { deploy: 'pipeline' } } })
+        .eq('agent_role', ROLE);
+      await setActive(client, kept.id, false);
+      await setActive(client, later.id, true);
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.BAKED });
+
+      const changes = [];
+      const listener = (change) => changes.push(change);
+      knowledgeEvents.on('knowledgeChanged', listener);
+      versioning.start();
+
+      const { data, error } = await versioning.rollback(ROLE, 1, { actor: 'ceo', reason: 'Pipeline guidance regressed' });
+      knowledgeEvents.off('knowledgeChanged', listener);
+      await versioning.flush();
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({
+        restoredVersion: 1,
+        deactivated: [later.id],
+        reactivated: [kept.id],
+        standardRestored: true,
+      });
+      expect(data.version).toMatchObject({ version_number: 3, reason: VERSION_REASONS.ROLLED_BACK, restored_version: 1, created_by: 'ceo' });
+
+      const { data: layer } = await client.from('monolith_knowledge_layer').select('*').eq('agent_role', ROLE).single();
+      expect(layer.standard_knowledge).toEqual({ procedures: { deploy: 'manual' } });
+      expect(layer.amendments_applied).toEqual([kept.id]);
+
+      const { data: current } = await versioning.getVersion(ROLE, 3);
+      const { data: restored } = await versioning.getVersion(ROLE, 1);
+      expect(current.version_hash).toBe(restored.version_hash);
+
+      expect(changes).toEqual([expect.objectContaining({ agentRole: ROLE, reason: KNOWLEDGE_CHANGE_REASONS.ROLLED_BACK, version: 3 })]);
+
+      // The rollback's own event does not add another version
+      const { data: history } = await versioning.getVersionHistory(ROLE);
+      expect(history).toHaveLength(3);
+
+      const { data: log } = await versioning.safety.getSafetyLog(ROLE);
+      expect(log[0]).toMatchObject({ constraint_type: CONSTRAINT_TYPES.KNOWLEDGE_ROLLBACK });
+      expect(log[0].constraint_data).toMatchObject({ restored_version: 1, new_version: 3, actor: 'ceo', reason: 'Pipeline guidance regressed' });
+    });
+
+    it('restores the amendments it already changed when an update fails part-way', async () => {
+      await seedLayer(client, { procedures: { deploy: 'manual' } });
+      const first = await insertAmendment(client);
+      const second = await insertAmendment(client);
+      const later = await insertAmendment(client, { is_active: false });
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+
+      await client.from('monolith_knowledge_layer')
+        .update({ standard_knowledge: { procedures: { deploy: 'pipeline' } } })
+        .eq('agent_role', ROLE);
+      await setActive(client, first.id, false);
+      await setActive(client, second.id, false);
+      await setActive(client, later.id, true);
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.BAKED });
+
+      // Reactivating the second amendment fails after the first two updates went through
+      const from = versioning.supabase.from.bind(versioning.supabase);
+      jest.spyOn(versioning.supabase, 'from').mockImplementation((table) => {
+        const builder = from(table);
+        const update = builder.update.bind(builder);
+        builder.update = (values) => {
+          const query = update(values);
+          const eq = query.eq.bind(query);
+          query.eq = (column, value) => (value === second.id && values.is_active
+            ? Promise.resolve({ data: null, error: { message: 'connection reset' } })
+            : eq(column, value));
+          return query;
+        };
+        return builder;
+      });
+
+      const { data, error } = await versioning.rollback(ROLE, 1, { actor: 'ceo', reason: 'test' });
+      versioning.supabase.from.mockRestore();
+
+      expect(data).toBeNull();
+      expect(error).toMatchObject({ code: 'ROLLBACK_UNDONE', message: expect.stringMatching(/connection reset/) });
+
+      const { data: amendments } = await client.from('monolith_amendments').select('id, is_active, evaluation_status').eq('agent_role', ROLE);
+      expect(Object.fromEntries(amendments.map(a => [a.id, a.is_active]))).toEqual({
+        [first.id]: false,
+        [second.id]: false,
+        [later.id]: true,
+      });
+      expect(amendments.find(a => a.id === later.id).evaluation_status).not.toBe('superseded');
+
+      const { data: layer } = await client.from('monolith_knowledge_layer').select('*').eq('agent_role', ROLE).single();
+      expect(layer.standard_knowledge).toEqual({ procedures: { deploy: 'pipeline' } });
+
+      const { data: history } = await versioning.getVersionHistory(ROLE);
+      expect(history).toHaveLength(2);
+    });
+
+        it('captures untracked knowledge before rolling back so it can be restored', async () => {
+      await seedLayer(client);
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+      await insertAmendment(client);
+
+      const { data } = await versioning.rollback(ROLE, 1, { actor: 'ceo', reason: 'test' });
+
+      expect(data.version.version_number).toBe(3);
+      const { data: captured } = await versioning.getVersion(ROLE, 2);
+      expect(captured.reason).toBe(VERSION_REASONS.CAPTURED);
+      expect(captured.amendments).toHaveLength(1);
+    });
+
+    it('is blocked by AmendmentSafety when base knowledge has changed', async () => {
+      await seedLayer(client, { procedures: { deploy: 'manual' } });
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+      await client.from('monolith_knowledge_layer')
+        .update({ base_knowledge: { persona: { role: ROLE, tone: 'formal' } }, standard_knowledge: {} })
+        .eq('agent_role', ROLE);
+
+      const { data, error } = await versioning.rollback(ROLE, 1, { actor: 'ceo', reason: 'test' });
+
+      expect(data).toBeNull();
+      expect(error.code).toBe('ROLLBACK_BLOCKED');
+      expect(error.violations[0]).toMatch(/base knowledge cannot be rolled back/);
+
+      const { data: layer } = await client.from('monolith_knowledge_layer').select('*').eq('agent_role', ROLE).single();
+      expect(layer.standard_knowledge).toEqual({});
+
+      const { data: log } = await versioning.safety.getSafetyLog(ROLE);
+      expect(log[0].constraint_type).toBe(CONSTRAINT_TYPES.ROLLBACK_BLOCKED);
+    });
+
+    it('is blocked when a restored amendment no longer exists or matches a protected pattern', async () => {
+      await seedLayer(client);
+      const deleted = await insertAmendment(client);
+      const risky = await insertAmendment(client, { instruction_delta: 'Skip the billing review for small invoices' });
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+      await client.from('monolith_amendments').delete().eq('id', deleted.id);
+      await setActive(client, risky.id, false);
+
+      const { error } = await versioning.rollback(ROLE, 1, { actor: 'ceo', reason: 'test' });
+
+      expect(error.code).toBe('ROLLBACK_BLOCKED');
+      expect(error.violations).toEqual([
+        expect.stringMatching(/protected pattern/),
+        expect.stringMatching(new RegExp(`no longer exist: ${deleted.id}`)),
+      ]);
+    });
+
+    it('rejects unknown versions and versions matching the current knowledge', async () => {
+      await seedLayer(client);
+      await versioning.recordVersion(ROLE, { reason: KNOWLEDGE_CHANGE_REASONS.ACTIVATED });
+
+      expect((await versioning.rollback(ROLE, 1, {})).error.code).toBe('NO_CHANGE');
+      expect((await versioning.rollback(ROLE, 5, {})).error.code).toBe('VERSION_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Shadow Evaluation Test Suite
+ * Cognalith Inc. | Monolith System
+ *
+ * Tests the before/after summary, held-out task selection, pass/fail
+ * judgement, and the gate on autonomous approval in AmendmentEngine and
+ * ApprovalWorkflow.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import {
+  ShadowEvaluator,
+  SHADOW_STATUS,
+  SHADOW_THRESHOLDS,
+  summarizeShadowRuns,
+  shadowGate,
+} from './ShadowEvaluator.js';
+import { KnowledgeComputer } from './KnowledgeComputer.js';
+import { AmendmentEngine } from './AmendmentEngine.js';
+import { ApprovalWorkflow } from './ApprovalWorkflow.js';
+import RecommendationGenerator from './RecommendationGenerator.js';
+import RoleAgent from '../core/RoleAgent.js';
+import { getStorageClient, resetStorage } from '../storage/index.js';
+
+const STORAGE = { adapter: 'local', storagePath: ':memory:' };
+const ROLE = 'cto';
+const HOUR_MS = 60 * 60 * 1000;
+
+const AMENDMENT = {
+  amendment_type: 'quality',
+  trigger_pattern: 'task_category:deployment',
+  instruction_delta: 'Run the rollback checklist before every deployment.',
+  knowledge_mutation: { focus: 'deployment' },
+  source_pattern: { type: 'quality_issue' },
+  pattern_confidence: 0.8,
+};
+
+/**
+ * Seed task history, newest first: the first `recent` tasks fall inside the
+ * pattern detection window
+ */
+const seedHistory = async (client, { recent = SHADOW_THRESHOLDS.DETECTION_WINDOW, older = 10, category = 'deployment' } = {}) => {
+  const now = Date.now();
+  const rows = [];
+  for (let i = 0; i < recent + older; i++) {
+    rows.push({
+      task_id: `${i < recent ? 'recent' : 'older'}-${i}`,
+      agent_role: ROLE,
+      title: `Deploy service ${i}`,
+      description: 'Ship the release to production',
+      task_category: i % 2 === 0 ? category : 'research',
+      tools_used: [],
+      completed_at: new Date(now - i * HOUR_MS).toISOString(),
+    });
+  }
+  await client.from('monolith_task_history').insert(rows);
+};
+
+/**
+ * Evaluator whose agent output records whether the amendment was applied and
+ * whose auditor scores each output from a per-task table
+ */
+const makeEvaluator = (scores = {}, config = {}) => {
+  const executeTask = jest.fn(async ({ task, instructions }) =>
+    `${task.id}|${instructions.includes(AMENDMENT.instruction_delta) ? 'candidate' : 'baseline'}`
+  );
+  const auditAgent = {
+    grade: jest.fn(async (request, output) => {
+      const [taskId, variant] = output.split('|');
+      const score = scores[taskId]?.[variant] ?? (variant === 'candidate' ? 80 : 70);
+      return { accuracy: score, completeness: score, quality: score, efficiency: score, overallScore: score };
+    }),
+  };
+
+  const evaluator = new ShadowEvaluator({ ...STORAGE, executeTask, auditAgent, ...config });
+  return { evaluator, executeTask, auditAgent };
+};
+
+/**
+ * Client recording what AmendmentEngine inserts (the engine writes its own
+ * amendment shape rather than the neural stack SQL schema's)
+ */
+const recordingClient = () => {
+  const inserted = [];
+  return {
+    inserted,
+    from: () => {
+      let row = null;
+      const builder = {
+        select: () => builder,
+        eq: () => builder,
+        insert: (rows) => {
+          row = { id: `amend-${inserted.length + 1}`, ...rows[0] };
+          inserted.push(row);
+          return builder;
+        },
+        single: async () => ({ data: row, error: null }),
+      };
+      return builder;
+    },
+  };
+};
+
+const makeEngine = (evaluator) => {
+  const engine = new AmendmentEngine({ ...STORAGE, shadowEvaluator: evaluator });
+  engine.supabase = recordingClient();
+  return engine;
+};
+
+describe('Shadow evaluation', () => {
+  let client;
+
+  beforeEach(() => {
+    resetStorage();
+    client = getStorageClient(STORAGE);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetStorage();
+  });
+
+  describe('summarizeShadowRuns', () => {
+    it('computes paired means, change and 95% confidence interval', () => {
+      const summary = summarizeShadowRuns([
+        { baseline_score: 70, candidate_score: 74 },
+        { baseline_score: 60, candidate_score: 66 },
+        { baseline_score: 80, candidate_score: 80 },
+        { baseline_score: 75, candidate_score: 73 },
+      ]);
+
+      expect(summary.samples).toBe(4);
+      expect(summary.baseline_mean).toBe(71.25);
+      expect(summary.candidate_mean).toBe(73.25);
+      expect(summary.mean_delta).toBe(2);
+      expect(summary.sd_delta).toBe(3.65);
+      // t(3) = 3.182, standard error = 3.65 / 2
+      expect(summary.ci95).toEqual([-3.81, 7.81]);
+      expect([summary.wins, summary.losses, summary.ties]).toEqual([2, 1, 1]);
+    });
+
+    it('has no interval for fewer than two runs', () => {
+      expect(summarizeShadowRuns([]).samples).toBe(0);
+      expect(summarizeShadowRuns([{ baseline_score: 50, candidate_score: 60 }]).ci95).toBeNull();
+    });
+  });
+
+  describe('shadowGate', () => {
+    it('only passes a passed evaluation', () => {
+      expect(shadowGate({ shadow_status: SHADOW_STATUS.PASSED }).passed).toBe(true);
+      expect(shadowGate({ shadow_status: SHADOW_STATUS.FAILED, shadow_evaluation: { reason: 'worse' } })).toMatchObject({
+        passed: false,
+        reason: 'Shadow evaluation failed: worse',
+      });
+      expect(shadowGate({}).reason).toBe('No shadow evaluation');
+      expect(shadowGate(null).passed).toBe(false);
+    });
+  });
+
+  describe('KnowledgeComputer.getShadowInstructions', () => {
+    it('adds the candidate delta only where its trigger applies', async () => {
+      const computer = new KnowledgeComputer(STORAGE);
+
+      const deployment = await computer.getShadowInstructions(ROLE, { category: 'deployment' }, AMENDMENT);
+      expect(deployment.applies).toBe(true);
+      expect(deployment.candidate).toEqual([...deployment.baseline, AMENDMENT.instruction_delta]);
+
+      const research = await computer.getShadowInstructions(ROLE, { category: 'research' }, AMENDMENT);
+      expect(research.applies).toBe(false);
+      expect(research.candidate).toEqual(research.baseline);
+    });
+  });
+
+  describe('ShadowEvaluator', () => {
+    it('replays only matching tasks outside the detection window', async () => {
+      await seedHistory(client);
+      const { evaluator } = makeEvaluator();
+
+      const tasks = await evaluator.selectHeldOutTasks(ROLE, AMENDMENT);
+
+      expect(tasks.length).toBeGreaterThan(0);
+      expect(tasks.length).toBeLessThanOrEqual(SHADOW_THRESHOLDS.SAMPLE_SIZE);
+      expect(tasks.every(t => t.task_id.startsWith('older-'))).toBe(true);
+      expect(tasks.every(t => t.task_category === 'deployment')).toBe(true);
+    });
+
+    it('passes an amendment that improves held-out scores', async () => {
+      await seedHistory(client, { older: 16 });
+      const { evaluator, executeTask, auditAgent } = makeEvaluator();
+
+      const result = await evaluator.evaluate(ROLE, AMENDMENT);
+
+      expect(result.shadow_status).toBe(SHADOW_STATUS.PASSED);
+      expect(result.shadow_evaluation).toMatchObject({
+        samples: 8,
+        baseline_mean: 70,
+        candidate_mean: 80,
+        mean_delta: 10,
+        wins: 8,
+      });
+      expect(result.shadow_evaluation.runs).toHaveLength(8);
+      expect(result.shadow_evaluated_at).toBeDefined();
+      expect(executeTask).toHaveBeenCalledTimes(16);
+      expect(auditAgent.grade).toHaveBeenCalledTimes(16);
+    });
+
+    it('fails an amendment that lowers held-out scores', async () => {
+      await seedHistory(client, { older: 16 });
+      const { evaluator } = makeEvaluator({}, {
+        auditAgent: {
+          grade: async (request, output) => ({ overallScore: output.endsWith('candidate') ? 60 : 70 }),
+        },
+      });
+
+      const result = await evaluator.evaluate(ROLE, AMENDMENT);
+
+      expect(result.shadow_status).toBe(SHADOW_STATUS.FAILED);
+      expect(result.shadow_evaluation.mean_delta).toBe(-10);
+      expect(result.shadow_evaluation.reason).toMatch(/below the required/);
+    });
+
+    it('fails when the interval allows a large regression', async () => {
+      await seedHistory(client, { older: 12 });
+      const scores = {
+        'shadow-older-20': { candidate: 100 },
+        'shadow-older-22': { candidate: 40 },
+      };
+      const { evaluator } = makeEvaluator(scores);
+
+      const result = await evaluator.evaluate(ROLE, AMENDMENT);
+
+      expect(result.shadow_evaluation.mean_delta).toBeGreaterThan(0);
+      expect(result.shadow_status).toBe(SHADOW_STATUS.FAILED);
+      expect(result.shadow_evaluation.reason).toMatch(/regression/);
+    });
+
+    it('reports insufficient data when too few tasks can be replayed', async () => {
+      await seedHistory(client, { older: 4 });
+      const { evaluator } = makeEvaluator();
+
+      const result = await evaluator.evaluate(ROLE, AMENDMENT);
+
+      expect(result.shadow_status).toBe(SHADOW_STATUS.INSUFFICIENT_DATA);
+      expect(result.shadow_evaluation.samples).toBe(2);
+    });
+
+    it('reports insufficient data for a single replay when one sample is allowed', () => {
+      const { evaluator } = makeEvaluator({}, { thresholds: { MIN_SAMPLES: 1 } });
+      const summary = summarizeShadowRuns([{ task_id: 'older-20', baseline_score: 70, candidate_score: 80, delta: 10 }]);
+
+      expect(summary.ci95).toBeNull();
+      expect(evaluator.judge(summary).status).toBe(SHADOW_STATUS.INSUFFICIENT_DATA);
+    });
+
+    it('records failed replays without aborting the evaluation', async () => {
+      await seedHistory(client, { older: 16 });
+      const { evaluator } = makeEvaluator({}, {
+        executeTask: async ({ task, instructions }) => {
+          if (task.id === 'shadow-older-20') throw new Error('model timeout');
+          return `${task.id}|${instructions.includes(AMENDMENT.instruction_delta) ? 'candidate' : 'baseline'}`;
+        },
+      });
+
+      const result = await evaluator.evaluate(ROLE, AMENDMENT);
+
+      expect(result.shadow_evaluation.samples).toBe(7);
+      expect(result.shadow_evaluation.failed_replays).toEqual([{ task_id: 'older-20', error: 'model timeout' }]);
+      expect(result.shadow_status).toBe(SHADOW_STATUS.PASSED);
+    });
+
+    it('attaches the result to a stored amendment', async () => {
+      await seedHistory(client, { older: 16 });
+      const { data: [stored] } = await client.from('monolith_amendments')
+        .insert([{
+          amendment_id: 'amend-001',
+          agent_role: ROLE,
+          trigger_reason: 'quality_issue',
+          trigger_pattern: AMENDMENT.trigger_pattern,
+          amendment_type: 'append',
+          target_area: 'task_approach',
+          content: AMENDMENT.instruction_delta,
+          instruction_delta: AMENDMENT.instruction_delta,
+          performance_before: {},
+          is_active: false,
+        }])
+        .select();
+      const { evaluator } = makeEvaluator();
+
+      const { data, error } = await evaluator.evaluateAmendment(stored.id);
+
+      expect(error).toBeNull();
+      expect(data.shadow_status).toBe(SHADOW_STATUS.PASSED);
+      expect(data.shadow_evaluation.samples).toBe(8);
+    });
+  });
+
+  describe('autonomous approval gate', () => {
+    it('AmendmentEngine holds an amendment that fails shadow evaluation', async () => {
+      await seedHistory(client, { older: 4 });
+      const { evaluator } = makeEvaluator();
+      const engine = makeEngine(evaluator);
+
+      const { data, error } = await engine.createAmendment(ROLE, AMENDMENT, true);
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({
+        approval_status: 'pending',
+        is_active: false,
+        shadow_status: SHADOW_STATUS.INSUFFICIENT_DATA,
+      });
+      expect(data.approval_notes).toMatch(/Shadow evaluation insufficient data/);
+    });
+
+    it('AmendmentEngine activates an amendment that passes shadow evaluation', async () => {
+      await seedHistory(client, { older: 16 });
+      const { evaluator } = makeEvaluator();
+      const engine = makeEngine(evaluator);
+
+      const { data } = await engine.createAmendment(ROLE, AMENDMENT, true);
+
+      expect(data).toMatchObject({ approval_status: 'auto_approved', is_active: true, shadow_status: SHADOW_STATUS.PASSED });
+      expect(data.shadow_evaluation.mean_delta).toBe(10);
+    });
+
+    it('AmendmentEngine holds an amendment for approval without a shadow evaluator', async () => {
+      await seedHistory(client, { older: 16 });
+      const engine = makeEngine(null);
+
+      const { data } = await engine.createAmendment(ROLE, AMENDMENT, true);
+
+      expect(data).toMatchObject({ approval_status: 'pending', is_active: false, approval_notes: 'No shadow evaluation' });
+    });
+
+    it('RecommendationGenerator gates its amendments with a shadow evaluator over the given agents', () => {
+      const agents = { [ROLE]: {} };
+      const { amendmentEngine } = new RecommendationGenerator({ ...STORAGE, agents });
+
+      expect(amendmentEngine.shadowEvaluator).toBeInstanceOf(ShadowEvaluator);
+      expect(amendmentEngine.shadowEvaluator.agents).toBe(agents);
+    });
+
+    it('RecommendationGenerator auto-approves an amendment its agents replay to a pass', async () => {
+      await seedHistory(client, { older: 16 });
+      const llmRouter = {
+        complete: jest.fn(async ({ systemPrompt }) => ({
+          content: systemPrompt.includes(AMENDMENT.instruction_delta) ? 'candidate' : 'baseline',
+        })),
+      };
+      const agents = {
+        [ROLE]: new RoleAgent({ roleId: ROLE, roleName: 'Chief Technology Officer', roleAbbr: 'CTO', tier: 1, llmRouter, decisionLogger: {} }),
+      };
+      const auditAgent = {
+        grade: jest.fn(async (request, output) => ({ overallScore: output === 'candidate' ? 80 : 70 })),
+      };
+      const shadowEvaluator = new ShadowEvaluator({ ...STORAGE, agents, auditAgent });
+      const { amendmentEngine } = new RecommendationGenerator({ ...STORAGE, agents, shadowEvaluator });
+      amendmentEngine.supabase = recordingClient();
+
+      const { data } = await amendmentEngine.createAmendment(ROLE, AMENDMENT, true);
+
+      expect(amendmentEngine.shadowEvaluator).toBe(shadowEvaluator);
+      expect(llmRouter.complete).toHaveBeenCalledTimes(2 * data.shadow_evaluation.samples);
+      expect(data).toMatchObject({ approval_status: 'auto_approved', is_active: true, shadow_status: SHADOW_STATUS.PASSED });
+    });
+
+    it('ApprovalWorkflow requires approval without a passed shadow evaluation', async () => {
+      const workflow = new ApprovalWorkflow({ ...STORAGE, mode: 'autonomous' });
+      workflow.exceptionEscalation = { shouldEscalate: async () => ({ shouldEscalate: false }) };
+
+      const unevaluated = await workflow.requiresApproval(ROLE, 'quality', { ...AMENDMENT });
+      expect(unevaluated).toMatchObject({ required: true, autonomous: false, reason: 'No shadow evaluation' });
+
+      const failed = await workflow.requiresApproval(ROLE, 'quality', {
+        ...AMENDMENT,
+        shadow_status: SHADOW_STATUS.FAILED,
+        shadow_evaluation: { reason: 'mean score change -4' },
+      });
+      expect(failed.required).toBe(true);
+      expect(failed.shadow.status).toBe(SHADOW_STATUS.FAILED);
+
+      const passed = await workflow.requiresApproval(ROLE, 'quality', { ...AMENDMENT, shadow_status: SHADOW_STATUS.PASSED });
+      expect(passed).toMatchObject({ required: false, autonomous: true });
+    });
+
+    it('ApprovalWorkflow holds trusted agents to shadow evaluation unless disabled', async () => {
+      const trusted = async () => ({ trusted: true, provenAmendments: 6, successRate: 0.9 });
+
+      const workflow = new ApprovalWorkflow({ ...STORAGE, mode: 'trust' });
+      workflow.checkAgentTrust = trusted;
+      expect(await workflow.requiresApproval(ROLE, 'quality', { ...AMENDMENT })).toMatchObject({
+        required: true,
+        tier: 'auto_after_trust',
+      });
+
+      const unchecked = new ApprovalWorkflow({ ...STORAGE, mode: 'trust', requireShadowEvaluation: false });
+      unchecked.checkAgentTrust = trusted;
+      expect((await unchecked.requiresApproval(ROLE, 'quality', { ...AMENDMENT })).required).toBe(false);
+    });
+  });
+});
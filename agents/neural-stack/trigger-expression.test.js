@@ -0,0 +1,211 @@
+/**
+ * Trigger Expression Test Suite
+ * Cognalith Inc. | Monolith System
+ *
+ * Tests the amendment trigger language: parsing, matching task contexts,
+ * legacy triggers and rejecting triggers that can never match.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { parseTrigger, validateTrigger, matchesTrigger } from './TriggerExpression.js';
+import { KnowledgeComputer } from './KnowledgeComputer.js';
+import { AmendmentSafety, CONSTRAINT_TYPES } from './AmendmentSafety.js';
+import { AmendmentEngine } from './AmendmentEngine.js';
+import { getStorageClient, resetStorage } from '../storage/index.js';
+
+const STORAGE = { adapter: 'local', storagePath: ':memory:' };
+
+describe('Trigger expressions', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matching', () => {
+    it('combines predicates with AND, OR, NOT and parentheses', () => {
+      const trigger = 'category:deployment AND (priority >= high OR keyword:"rollback plan") AND NOT tag:internal';
+
+      expect(matchesTrigger(trigger, { category: 'Deployment', priority: 'critical' })).toBe(true);
+      expect(matchesTrigger(trigger, { category: 'deployment', priority: 'low', content: 'Write the Rollback Plan first' })).toBe(true);
+      expect(matchesTrigger(trigger, { category: 'deployment', priority: 'low', content: 'Roll back later' })).toBe(false);
+      expect(matchesTrigger(trigger, { category: 'deployment', priority: 'high', tags: ['Internal'] })).toBe(false);
+      expect(matchesTrigger(trigger, { category: 'research', priority: 'high' })).toBe(false);
+    });
+
+    it('binds AND tighter than OR', () => {
+      expect(matchesTrigger('tool:a OR tool:b AND tool:c', { tools: ['a'] })).toBe(true);
+      expect(matchesTrigger('(tool:a OR tool:b) AND tool:c', { tools: ['a'] })).toBe(false);
+    });
+
+    it('matches keywords as whole words', () => {
+      expect(matchesTrigger('keyword:audit', { content: 'Prepare the audit.' })).toBe(true);
+      expect(matchesTrigger('keyword:audit', { content: 'An auditor will review' })).toBe(false);
+    });
+
+    it('compares amounts from the task or its content', () => {
+      expect(matchesTrigger('amount:10k..250k', { amount: 50000 })).toBe(true);
+      expect(matchesTrigger('amount:10k..250k', { content: 'Approve the $300,000 contract' })).toBe(false);
+      expect(matchesTrigger('amount > 25000', { content: 'Approve the $30,000 contract' })).toBe(true);
+      expect(matchesTrigger('amount > 25000', { content: 'No money involved' })).toBe(false);
+    });
+
+    it('matches priorities, workflows and roles', () => {
+      expect(matchesTrigger('priority:medium..high', { priority: 'HIGH' })).toBe(true);
+      expect(matchesTrigger('priority < medium', { priority: 'critical' })).toBe(false);
+      expect(matchesTrigger('workflow:vendor_onboarding', { workflow: 'Vendor_Onboarding' })).toBe(true);
+      expect(matchesTrigger('role:cfo', { role: 'cto' })).toBe(false);
+    });
+
+    it('matches UTC time windows, including ranges that wrap', () => {
+      const mondayNight = '2026-10-19T23:30:00Z';
+      const saturdayNoon = '2026-10-24T12:00:00Z';
+
+      expect(matchesTrigger('day:mon..fri AND hour:9..17', { time: mondayNight })).toBe(false);
+      expect(matchesTrigger('hour:22..6', { time: mondayNight })).toBe(true);
+      expect(matchesTrigger('day:fri..sun', { time: saturdayNoon })).toBe(true);
+      expect(matchesTrigger('day:monday', { time: saturdayNoon })).toBe(false);
+    });
+
+    it('never matches invalid triggers or missing contexts', () => {
+      expect(matchesTrigger('category:(deployment', { category: 'deployment' })).toBe(false);
+      expect(matchesTrigger('category:deployment', null)).toBe(false);
+      expect(matchesTrigger('always', {})).toBe(true);
+    });
+  });
+
+  describe('legacy triggers', () => {
+    it('keeps the key:value forms the templates produce', () => {
+      expect(matchesTrigger('task_category:market research', { category: 'Market Research' })).toBe(true);
+      expect(matchesTrigger('tool_use:web_search', { tools: ['web_search'] })).toBe(true);
+      expect(matchesTrigger('quality_check:pre_delivery', { phase: 'pre_delivery' })).toBe(true);
+      expect(matchesTrigger('decision:pre_commit', {})).toBe(true);
+    });
+
+    it('applies team lead and recommendation triggers', () => {
+      expect(matchesTrigger('team_lead:cto:daily_review', { role: 'cto' })).toBe(true);
+      expect(matchesTrigger('team_lead:cto:daily_review', { role: 'cfo' })).toBe(false);
+      expect(matchesTrigger('recommendation:vendor due diligence', { content: 'Run vendor due diligence on Acme' })).toBe(true);
+      expect(matchesTrigger('recommendation:Forecasting', { category: 'forecasting' })).toBe(true);
+    });
+
+    it('reads the rest of a legacy trigger literally', () => {
+      expect(parseTrigger('recommendation:timeouts and retries')).toEqual({
+        type: 'or',
+        nodes: [
+          { type: 'predicate', field: 'category', value: 'timeouts and retries' },
+          { type: 'predicate', field: 'keyword', value: 'timeouts and retries' },
+        ],
+      });
+    });
+  });
+
+  describe('validateTrigger', () => {
+    it('accepts triggers some task can match', () => {
+      for (const trigger of [
+        'category:deployment AND (priority >= high OR keyword:"rollback plan")',
+        'amount > 100 AND NOT amount > 500',
+        'hour:22..2 OR day:sat',
+        'task_category:deployment',
+      ]) {
+        expect(validateTrigger(trigger)).toEqual({ valid: true, errors: [] });
+      }
+    });
+
+    it.each([
+      ['', 'Trigger is empty'],
+      ['variance_percent > 0.10', "Unknown field 'variance_percent'"],
+      ['category:deployment AND', 'Expected a condition at end of trigger'],
+      ['(tool:a OR tool:b', "Expected ')' at end of trigger"],
+      ['keyword:"rollback', 'Unterminated string'],
+      ['priority:urgent', "'urgent' is not a valid priority"],
+      ['hour:25', "'25' is not a valid hour"],
+      ['amount:5k..1k', 'amount range is empty'],
+      ['task_category:', 'task_category needs a value'],
+    ])('rejects %j', (trigger, message) => {
+      const { valid, errors } = validateTrigger(trigger);
+      expect(valid).toBe(false);
+      expect(errors[0]).toContain(message);
+    });
+
+    it.each([
+      ['category:deployment AND category:research', 'category cannot be both deployment and research'],
+      ['amount > 100 AND amount < 50', 'no amount satisfies every condition'],
+      ['amount >= 10 AND NOT amount >= 10', 'no amount satisfies every condition'],
+      ['priority < low', 'no priority satisfies every condition'],
+      ['tool:git AND NOT tool:git', 'tool git is both required and excluded'],
+      ['NOT always', 'it excludes every task'],
+      ['(role:cfo OR role:cto) AND role:coo', 'role cannot be both cfo and coo'],
+    ])('rejects %j as never matching', (trigger, reason) => {
+      expect(validateTrigger(trigger)).toEqual({ valid: false, errors: [`Trigger can never match: ${reason}`] });
+    });
+  });
+
+  describe('KnowledgeComputer', () => {
+    it('applies instruction deltas whose triggers match the agent and task', async () => {
+      const computer = new KnowledgeComputer({ adapter: 'none' });
+      jest.spyOn(computer, 'getEffectiveKnowledge').mockResolvedValue({
+        data: {
+          amendments: {
+            instruction_deltas: [
+              { trigger: 'category:deployment AND priority:critical', instruction: 'Page the on-call lead' },
+              { trigger: 'team_lead:cto:daily_review', instruction: 'Review the team backlog' },
+              { trigger: 'keyword:migration', instruction: 'Attach a rollback script' },
+            ],
+          },
+        },
+      });
+
+      const instructions = await computer.getApplicableInstructions('cto', {
+        category: 'deployment',
+        priority: 'critical',
+        content: 'Ship the release',
+      });
+
+      expect(instructions).toEqual(['Page the on-call lead', 'Review the team backlog']);
+    });
+  });
+
+  describe('amendment creation', () => {
+    beforeEach(() => {
+      resetStorage();
+    });
+
+    afterEach(() => {
+      resetStorage();
+    });
+
+    it('AmendmentSafety rejects and logs triggers that can never match', async () => {
+      const safety = new AmendmentSafety(STORAGE);
+
+      const { valid, violations } = await safety.validateAmendment('cto', {
+        trigger_pattern: 'priority:high AND priority:low',
+        instruction_delta: 'Double-check estimates',
+      });
+
+      expect(valid).toBe(false);
+      expect(violations).toEqual(['Amendment trigger is invalid: Trigger can never match: no priority satisfies every condition']);
+
+      const { data: log } = await getStorageClient(STORAGE).from('monolith_safety_log').select('*');
+      expect(log).toEqual([expect.objectContaining({ constraint_type: CONSTRAINT_TYPES.INVALID_TRIGGER })]);
+    });
+
+    it('AmendmentEngine does not create amendments with invalid triggers', async () => {
+      const engine = new AmendmentEngine({ ...STORAGE, autonomousMode: false });
+
+      const { data, error } = await engine.createAmendment('cto', {
+        amendment_type: 'quality',
+        trigger_pattern: 'category:deployment AND',
+        instruction_delta: 'Add a rollback plan',
+      });
+
+      expect(data).toBeNull();
+      expect(error.message).toBe('Invalid trigger "category:deployment AND": Expected a condition at end of trigger');
+    });
+  });
+});
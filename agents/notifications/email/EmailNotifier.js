@@ -1,6 +1,6 @@
 /**
  * MONOLITH OS - Email Notifier
- * Sends daily digests and critical alerts to CEO
+ * Sends daily digests, decision reminders and critical alerts to CEO
  * Supports SendGrid and Resend as email providers
  */
 
@@ -66,6 +66,24 @@ class EmailNotifier {
     });
   }
 
+  /**
+   * Send a decision inbox reminder digest
+   * @param {Object} digest - From DecisionInbox.buildDigest
+   */
+  async sendDecisionReminder(digest) {
+    const subject = digest.overdue > 0
+      ? `[ACTION] MONOLITH: ${digest.overdue} overdue decisions`
+      : `MONOLITH: ${digest.items.length} decisions need your attention`;
+
+    return this.send({
+      to: this.ceoEmail,
+      subject,
+      html: this.buildDecisionReminderHTML(digest),
+      text: this.buildDecisionReminderText(digest),
+      priority: digest.overdue > 0 ? 'high' : 'normal',
+    });
+  }
+
   /**
    * Build daily digest HTML
    */
@@ -218,6 +236,82 @@ Reply to this email or access the dashboard to take action.
     return text;
   }
 
+  /**
+   * Build decision reminder HTML
+   */
+  buildDecisionReminderHTML(digest) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: 'Courier New', monospace; background: #0a0a0a; color: #e0e0e0; padding: 20px; }
+    .container { max-width: 700px; margin: 0 auto; }
+    .header { border-bottom: 2px solid #ffaa00; padding-bottom: 15px; margin-bottom: 20px; }
+    .header h1 { color: #ffaa00; margin: 0; font-size: 24px; }
+    .header p { color: #888; margin: 5px 0 0 0; }
+    .decision-item { background: #1a1a1a; border: 1px solid #333; border-left: 4px solid #ffaa00; padding: 15px; margin-bottom: 10px; }
+    .decision-item.overdue { border-left-color: #ff4444; }
+    .decision-title { color: #fff; font-weight: bold; margin-bottom: 8px; }
+    .decision-meta { color: #888; font-size: 12px; }
+    .footer { margin-top: 30px; padding-top: 15px; border-top: 1px solid #333; color: #666; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>DECISIONS WAITING ON YOU</h1>
+      <p>${digest.open} open | ${digest.overdue} overdue | ${digest.delegated} delegated | ${digest.deferred} deferred</p>
+    </div>
+
+    ${digest.items.map((item) => `
+      <div class="decision-item ${item.overdue ? 'overdue' : ''}">
+        <div class="decision-title">[${item.priority.toUpperCase()}] ${item.title}</div>
+        <div class="decision-meta">
+          From: ${item.requestingAgent?.toUpperCase() || 'Unknown'} |
+          Waiting ${item.ageHours}h |
+          ${item.overdue ? 'OVERDUE since' : 'Due'} ${new Date(item.dueAt).toLocaleString()}
+        </div>
+        ${item.recommendation ? `<div style="margin-top: 8px; color: #00ff88;">Recommendation: ${item.recommendation}</div>` : ''}
+      </div>
+    `).join('')}
+
+    <div class="footer">
+      <p>This is an automated reminder from MONOLITH OS.</p>
+      <p>Open the CEO decision queue in the dashboard to decide, defer or delegate.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Build decision reminder plain text
+   */
+  buildDecisionReminderText(digest) {
+    let text = `DECISIONS WAITING ON YOU
+${digest.open} open | ${digest.overdue} overdue | ${digest.delegated} delegated | ${digest.deferred} deferred
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+`;
+    digest.items.forEach((item, i) => {
+      text += `${i + 1}. [${item.priority.toUpperCase()}] ${item.title}
+   From: ${item.requestingAgent?.toUpperCase() || 'Unknown'} | Waiting ${item.ageHours}h
+   ${item.overdue ? 'OVERDUE since' : 'Due'} ${new Date(item.dueAt).toLocaleString()}
+   ${item.recommendation ? `Recommendation: ${item.recommendation}` : ''}
+
+`;
+    });
+
+    text += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Open the CEO decision queue in the dashboard to decide, defer or delegate.
+`;
+
+    return text;
+  }
+
   /**
    * Build critical alert HTML
    */
@@ -0,0 +1,79 @@
+/**
+ * MONOLITH OS - Slack Notifier
+ * Posts decision reminders and alerts to a Slack incoming webhook
+ */
+
+const PRIORITY_EMOJI = {
+  CRITICAL: '🚨',
+  HIGH: '🔴',
+  MEDIUM: '🟡',
+  LOW: '🟢',
+};
+
+class SlackNotifier {
+  constructor(config = {}) {
+    this.webhookUrl = config.webhookUrl || process.env.SLACK_WEBHOOK_URL;
+    this.fetch = config.fetch || globalThis.fetch;
+
+    console.log(`[SLACK] Slack Notifier initialized${this.webhookUrl ? '' : ' without a webhook (messages are skipped)'}`);
+  }
+
+  /**
+   * Post a message
+   * @param {Object} payload - { title, message, priority, role }
+   * @returns {Object} { success, reason }
+   */
+  async send({ title, message, priority, role }) {
+    if (!this.webhookUrl) {
+      return { success: false, reason: 'SLACK_WEBHOOK_URL not configured' };
+    }
+
+    try {
+      const response = await this.fetch(this.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.buildPayload({ title, message, priority, role })),
+      });
+
+      if (!response.ok) {
+        console.error('[SLACK] Failed to send notification:', response.status);
+        return { success: false, reason: `HTTP ${response.status}` };
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('[SLACK] Error sending notification:', error.message);
+      return { success: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Block Kit message: header, priority and role, the message, and a timestamp
+   */
+  buildPayload({ title, message, priority, role }) {
+    return {
+      blocks: [
+        {
+          type: 'header',
+          text: { type: 'plain_text', text: `${PRIORITY_EMOJI[priority] || '📋'} ${title}`, emoji: true },
+        },
+        {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*Priority:*\n${priority}` },
+            { type: 'mrkdwn', text: `*Assigned Role:*\n${role}` },
+          ],
+        },
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: message },
+        },
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `Sent from *MONOLITH OS* at ${new Date().toISOString()}` }],
+        },
+      ],
+    };
+  }
+}
+
+export default SlackNotifier;
@@ -12,6 +12,10 @@
 import OpenAI from 'openai';
 import { randomUUID } from 'crypto';
 import TokenTracker from './TokenTracker.js';
+import MockLLMProvider from '../core/MockLLMProvider.js';
+import { LLM_CONFIGS, TASK_TYPE_ROUTING } from '../core/LLMRouter.js';
+import budgetEnforcer from '../core/BudgetEnforcer.js';
+import { calculateCallCost } from '../core/ModelPricing.js';
 import { BLOCKER_TYPES } from './ExecutionEngine.js';
 import databaseService from '../services/DatabaseService.js';
 
@@ -138,9 +142,13 @@ class AgentExecutor {
       ...config,
     };
 
-    // Initialize OpenAI client
+    // Initialize OpenAI client (or the offline mock provider under LLM_PROVIDER=mock)
     this.openai = null;
-    if (process.env.OPENAI_API_KEY) {
+    this.mockProvider = null;
+    if (config.mockProvider || process.env.LLM_PROVIDER === 'mock') {
+      this.mockProvider = config.mockProvider || new MockLLMProvider();
+      console.log('[AGENT-EXECUTOR] Mock LLM provider enabled');
+    } else if (process.env.OPENAI_API_KEY) {
       this.openai = new OpenAI({
         apiKey: process.env.OPENAI_API_KEY,
       });
@@ -152,6 +160,9 @@ class AgentExecutor {
     // Initialize token tracker
     this.tokenTracker = new TokenTracker(config);
 
+    // Spending caps checked before every LLM call
+    this.budget = config.budgetEnforcer || budgetEnforcer;
+
     // Execution stats
     this.stats = {
       tasksExecuted: 0,
@@ -245,20 +256,24 @@ class AgentExecutor {
     let result;
 
     try {
-      if (!this.openai) {
+      if (this.mockProvider) {
+        result = await this.callMockLLM(systemPrompt, userPrompt);
+      } else if (!this.openai) {
         // Simulate execution if no API key
         result = await this.simulateExecution(agentRole, task);
       } else {
-        result = await this.callLLM(systemPrompt, userPrompt, task);
+        result = await this.callLLM(systemPrompt, userPrompt, task, agentRole);
       }
 
       const latencyMs = Date.now() - startTime;
 
+      const model = result.model || this.config.model;
+
       // Record actual token usage
       await this.tokenTracker.recordUsage({
         taskId: task.id,
         agentRole,
-        model: this.config.model,
+        model,
         inputTokens: result.usage?.prompt_tokens || estimation.inputTokens,
         outputTokens: result.usage?.completion_tokens || estimation.outputTokens,
         latencyMs,
@@ -278,7 +293,7 @@ class AgentExecutor {
         cost: this.tokenTracker.calculateCost(
           result.usage?.prompt_tokens || estimation.inputTokens,
           result.usage?.completion_tokens || estimation.outputTokens,
-          this.config.model
+          model
         ),
       });
 
@@ -307,7 +322,7 @@ class AgentExecutor {
       return {
         outputs: {
           response: result.content,
-          model: this.config.model,
+          model,
           tokensUsed: result.usage?.total_tokens,
           executedAt: new Date().toISOString(),
         },
@@ -378,14 +393,38 @@ IMPORTANT INSTRUCTIONS:
 
   /**
    * Call LLM API
+   * Checked against the spending caps first: over a soft limit the call moves
+   * to the cheapest OpenAI model in TASK_TYPE_ROUTING, over a hard limit it
+   * throws a BUDGET_EXCEEDED error.
    * @param {string} systemPrompt - System prompt
    * @param {string} userPrompt - User prompt
    * @param {Object} task - Task for context
+   * @param {string} agentRole - Role the call is charged to
    * @returns {Promise<Object>} LLM response
    */
-  async callLLM(systemPrompt, userPrompt, task) {
+  async callLLM(systemPrompt, userPrompt, task, agentRole = task.assigned_agent) {
+    const scope = { tenantId: task.tenant_id, role: agentRole, taskId: task.id };
+    const candidates = [
+      ...(TASK_TYPE_ROUTING[task.task_type] || TASK_TYPE_ROUTING.general),
+      ...TASK_TYPE_ROUTING.routing,
+    ].filter((modelId) => LLM_CONFIGS[modelId].provider === 'openai');
+
+    await this.budget.refreshSpend(scope);
+    const { modelId } = this.budget.enforce({
+      ...scope,
+      modelId: this.config.model,
+      estimatedCost: this.budget.estimateCost(this.config.model, {
+        systemPrompt,
+        userMessage: userPrompt,
+        maxTokens: this.config.maxTokens,
+      }),
+      candidates,
+      exempt: task.budget_exempt,
+    });
+    const model = LLM_CONFIGS[modelId]?.model || modelId;
+
     const response = await this.openai.chat.completions.create({
-      model: this.config.model,
+      model,
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt },
@@ -394,9 +433,39 @@ IMPORTANT INSTRUCTIONS:
       temperature: this.config.temperature,
     });
 
+    this.budget.record({
+      ...scope,
+      model,
+      cost: calculateCallCost(model, response.usage?.prompt_tokens, response.usage?.completion_tokens),
+    });
+
     return {
       content: response.choices[0]?.message?.content || '',
       usage: response.usage,
+      model,
+    };
+  }
+
+  /**
+   * Call the deterministic mock provider, returning the OpenAI-shaped result callLLM returns
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @returns {Promise<Object>} Mock LLM response
+   */
+  async callMockLLM(systemPrompt, userPrompt) {
+    const response = await this.mockProvider.complete({
+      systemPrompt,
+      userMessage: userPrompt,
+      maxTokens: this.config.maxTokens,
+    });
+
+    return {
+      content: response.content,
+      usage: {
+        prompt_tokens: response.inputTokens,
+        completion_tokens: response.outputTokens,
+        total_tokens: response.inputTokens + response.outputTokens,
+      },
     };
   }
 
@@ -9,7 +9,7 @@
  * - Error handling with retry logic
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 import { EventEmitter } from 'events';
 
 // Constants
@@ -61,20 +61,16 @@ class ExecutionEngine extends EventEmitter {
   }
 
   /**
-   * Initialize Supabase connection
+   * Initialize the storage connection
    */
   initialize() {
-    const supabaseUrl = this.config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = this.config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(this.config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      console.log('[EXECUTION-ENGINE] Connected to Supabase');
+      console.log(`[EXECUTION-ENGINE] Connected to ${describeStorage(this.config)}`);
     } else {
-      console.warn('[EXECUTION-ENGINE] No Supabase credentials found');
+      console.warn('[EXECUTION-ENGINE] No storage configured, running in offline mode');
     }
   }
 
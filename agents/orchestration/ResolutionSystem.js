@@ -8,7 +8,7 @@
  * - AutoEscalation: Escalates tasks blocked longer than threshold
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 import { EventEmitter } from 'events';
 
 // ============================================================================
@@ -68,20 +68,16 @@ class ResolutionSystem extends EventEmitter {
   }
 
   /**
-   * Initialize Supabase connection
+   * Initialize the storage connection
    */
   initialize() {
-    const supabaseUrl = this.config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = this.config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(this.config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      console.log('[RESOLUTION-SYSTEM] Connected to Supabase');
+      console.log(`[RESOLUTION-SYSTEM] Connected to ${describeStorage(this.config)}`);
     } else {
-      console.warn('[RESOLUTION-SYSTEM] No Supabase credentials found');
+      console.warn('[RESOLUTION-SYSTEM] No storage configured, running in offline mode');
     }
   }
 
@@ -6,7 +6,7 @@
  * Provides capacity checking and team lead fallback routing.
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 
 // ============================================================================
 // CONSTANTS
@@ -134,28 +134,21 @@ class TaskRouter {
   }
 
   /**
-   * Initialize Supabase connection
+   * Initialize the storage connection
    */
   initialize() {
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-
-    if (supabaseUrl && supabaseKey) {
-      try {
-        this.supabase = createClient(supabaseUrl, supabaseKey, {
-          auth: {
-            autoRefreshToken: true,
-            persistSession: false,
-          },
-        });
-        this.isConnected = true;
-        console.log('[TASK-ROUTER] Connected to Supabase');
-      } catch (error) {
-        console.error('[TASK-ROUTER] Failed to connect to Supabase:', error.message);
-        this.isConnected = false;
-      }
+    try {
+      this.supabase = getStorageClient();
+    } catch (error) {
+      console.error('[TASK-ROUTER] Failed to connect to storage:', error.message);
+      this.supabase = null;
+    }
+
+    if (this.supabase) {
+      this.isConnected = true;
+      console.log(`[TASK-ROUTER] Connected to ${describeStorage()}`);
     } else {
-      console.warn('[TASK-ROUTER] No Supabase credentials found, running in offline mode');
+      console.warn('[TASK-ROUTER] No storage configured, running in offline mode');
       this.isConnected = false;
     }
   }
@@ -332,6 +325,21 @@ class TaskRouter {
     return parts.join(' ');
   }
 
+  /**
+   * Get every role a task's matching rules assign it to, in rule order.
+   * Team rules are fallbacks: they only count when no keyword, tag, priority
+   * or assignment rule matched.
+   * @param {Object} task - The task to check
+   * @returns {Array} - Distinct agent roles (empty if no rule matched)
+   */
+  matchingRoles(task) {
+    const matched = this.routingRules.filter(rule => this.matchesRule(task, rule));
+    const specific = matched.filter(rule => Object.keys(rule.match).some(key => key !== 'team'));
+    const rules = specific.length > 0 ? specific : matched;
+
+    return [...new Set(rules.map(rule => rule.assign_to))];
+  }
+
   // ==========================================================================
   // CAPACITY MANAGEMENT
   // ==========================================================================
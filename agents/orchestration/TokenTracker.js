@@ -9,19 +9,8 @@
  * - Efficiency metrics
  */
 
-import { createClient } from '@supabase/supabase-js';
-
-// Token pricing per 1K tokens (as of 2026)
-const MODEL_PRICING = {
-  'gpt-4o': { input: 0.0025, output: 0.01 },
-  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
-  'gpt-4-turbo': { input: 0.01, output: 0.03 },
-  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
-  'claude-3-opus': { input: 0.015, output: 0.075 },
-  'claude-3-sonnet': { input: 0.003, output: 0.015 },
-  'claude-3-haiku': { input: 0.00025, output: 0.00125 },
-  'claude-3-5-sonnet': { input: 0.003, output: 0.015 },
-};
+import { getStorageClient, describeStorage } from '../storage/index.js';
+import { MODEL_PRICING, calculateCallCost } from '../core/ModelPricing.js';
 
 // Default model for cost estimation
 const DEFAULT_MODEL = 'gpt-4o-mini';
@@ -74,20 +63,16 @@ class TokenTracker {
   }
 
   /**
-   * Initialize Supabase connection
+   * Initialize the storage connection
    */
   initialize() {
-    const supabaseUrl = this.config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = this.config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+    this.supabase = getStorageClient(this.config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey, {
-        auth: { autoRefreshToken: true, persistSession: false },
-      });
+    if (this.supabase) {
       this.isConnected = true;
-      console.log('[TOKEN-TRACKER] Connected to Supabase');
+      console.log(`[TOKEN-TRACKER] Connected to ${describeStorage(this.config)}`);
     } else {
-      console.warn('[TOKEN-TRACKER] No Supabase credentials found');
+      console.warn('[TOKEN-TRACKER] No storage configured, running in offline mode');
     }
   }
 
@@ -178,10 +163,8 @@ class TokenTracker {
    * @returns {number} Cost in USD
    */
   calculateCost(inputTokens, outputTokens, model = DEFAULT_MODEL) {
-    const pricing = MODEL_PRICING[model] || MODEL_PRICING[DEFAULT_MODEL];
-    const inputCost = (inputTokens / 1000) * pricing.input;
-    const outputCost = (outputTokens / 1000) * pricing.output;
-    return Math.round((inputCost + outputCost) * 1000000) / 1000000; // 6 decimal places
+    const cost = calculateCallCost(MODEL_PRICING[model] ? model : DEFAULT_MODEL, inputTokens, outputTokens);
+    return Math.round(cost * 1000000) / 1000000; // 6 decimal places
   }
 
   /**
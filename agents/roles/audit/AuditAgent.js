@@ -14,7 +14,7 @@
  */
 
 import LLMRouter from '../../core/LLMRouter.js';
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../../storage/index.js';
 
 // Audit grading system prompt
 const AUDIT_SYSTEM_PROMPT = `You are an Audit Agent for MONOLITH OS, responsible for grading completed tasks.
@@ -77,16 +77,13 @@ class AuditAgent {
     // Initialize LLM router
     this.llm = config.llmRouter || new LLMRouter();
 
-    // Initialize Supabase client
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_ANON_KEY;
+    // Storage client (null in offline mode)
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey);
-      console.log('[AUDIT-AGENT] Supabase client initialized');
+    if (this.supabase) {
+      console.log(`[AUDIT-AGENT] Connected to ${describeStorage(config)}`);
     } else {
-      this.supabase = null;
-      console.warn('[AUDIT-AGENT] Supabase not configured - audits will be logged only');
+      console.warn('[AUDIT-AGENT] No storage configured - audits will be logged only');
     }
 
     // Audit thresholds
@@ -117,19 +114,8 @@ class AuditAgent {
         ? ((actualHours - estimatedHours) / estimatedHours) * 100
         : 0;
 
-      // 3. Use LLM to grade the task
-      const gradeResponse = await this.gradeTask(originalRequest, actualOutput);
-
-      // 4. Parse grades
-      const grades = this.parseGrades(gradeResponse);
-
-      // 5. Calculate overall score
-      const overallScore = (
-        grades.accuracy +
-        grades.completeness +
-        grades.quality +
-        grades.efficiency
-      ) / 4;
+      // 3-5. Use LLM to grade the task and calculate the overall score
+      const { overallScore, ...grades } = await this.grade(originalRequest, actualOutput);
 
       // 6. Build audit record
       const auditRecord = {
@@ -235,6 +221,24 @@ class AuditAgent {
     return task.estimated_hours || 1;
   }
 
+  /**
+   * Grade an output against a request without saving an audit
+   * Also used by the neural stack's shadow evaluation to compare outputs.
+   * @returns {Object} The parsed grades plus overallScore (0-100)
+   */
+  async grade(originalRequest, actualOutput) {
+    const grades = this.parseGrades(await this.gradeTask(originalRequest, actualOutput));
+
+    const overallScore = (
+      grades.accuracy +
+      grades.completeness +
+      grades.quality +
+      grades.efficiency
+    ) / 4;
+
+    return { ...grades, overallScore };
+  }
+
   /**
    * Use LLM to grade the task
    */
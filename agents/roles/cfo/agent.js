@@ -11,6 +11,7 @@
  */
 
 import RoleAgent from '../../core/RoleAgent.js';
+import moneyExtractor from '../../core/MoneyExtractor.js';
 
 const CFO_CONFIG = {
   roleId: 'cfo',
@@ -137,19 +138,11 @@ Provide your analysis in a structured format.`;
 
   /**
    * Extract amount from request
+   * Largest total commitment, converted to the base currency
    */
   extractAmount(request) {
-    const content = JSON.stringify(request).toLowerCase();
-    const matches = content.match(/\$[\d,]+(?:\.\d{2})?|(\d+(?:,\d{3})*(?:\.\d{2})?)\s*(?:dollars?|usd)/gi);
-
-    if (matches) {
-      const amounts = matches.map(m =>
-        parseFloat(m.replace(/[$,\s]/g, '').replace(/dollars?|usd/i, ''))
-      );
-      return Math.max(...amounts);
-    }
-
-    return 0;
+    const amount = moneyExtractor.largest(JSON.stringify(request));
+    return amount ? amount.totalCommitment : 0;
   }
 
   /**
@@ -9,14 +9,11 @@ import 'dotenv/config';
 
 import http from 'http';
 import { WebSocketServer } from 'ws';
-import { createClient } from '@supabase/supabase-js';
 import initializeAgentSystem from './index.js';
+import { getStorageClient } from './storage/index.js';
 
-// Initialize Supabase client for event log
-const supabase = createClient(
-  process.env.SUPABASE_URL || '',
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY || ''
-);
+// Storage client for the event log (null in offline mode)
+const supabase = getStorageClient();
 
 const PORT = process.env.PORT || process.env.AGENT_SERVICE_PORT || 3001;
 const WS_HEARTBEAT_INTERVAL = 30000; // 30 seconds
@@ -134,6 +131,18 @@ async function handleWebSocketMessage(clientId, message) {
         }
         break;
 
+      case 'resumeWorkflow':
+        if (agentSystem) {
+          const result = await agentSystem.resumeWorkflow(
+            payload.instanceId,
+            payload.decision
+          );
+          respond(true, result);
+        } else {
+          respond(false, null, 'Agent system not initialized');
+        }
+        break;
+
       case 'getWorkflowStatus':
         if (agentSystem) {
           const status = agentSystem.getWorkflowStatus(payload.instanceId);
@@ -143,6 +152,38 @@ async function handleWebSocketMessage(clientId, message) {
         }
         break;
 
+      case 'streamCompletion':
+        // Forward partial output as completionStream messages, then respond with the final result
+        if (agentSystem) {
+          const agent = payload.role ? agentSystem.agents[payload.role] : null;
+          if (payload.role && !agent) {
+            respond(false, null, `Unknown role: ${payload.role}`);
+            break;
+          }
+
+          const stream = agentSystem.llmRouter.complete({
+            modelId: payload.modelId,
+            systemPrompt: payload.systemPrompt || agent?.systemPrompt,
+            userMessage: payload.userMessage,
+            messages: payload.messages,
+            maxTokens: payload.maxTokens,
+            temperature: payload.temperature,
+            stream: true,
+          });
+
+          for await (const event of stream) {
+            if (event.type === 'done') {
+              const { type, ...result } = event;
+              respond(true, result);
+            } else {
+              sendToClient(clientId, 'completionStream', { requestId, ...event });
+            }
+          }
+        } else {
+          respond(false, null, 'Agent system not initialized');
+        }
+        break;
+
       case 'subscribe':
         // Subscribe to specific event types
         const client = clients.get(clientId);
@@ -168,7 +209,7 @@ function createHttpServer() {
   return http.createServer(async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
     if (req.method === 'OPTIONS') {
@@ -231,7 +272,7 @@ function createHttpServer() {
           return json({ error: 'Agent system not initialized' }, 503);
         }
         const body = await parseBody();
-        await agentSystem.processTask(body.task);
+        const record = await agentSystem.processTask(body.task);
 
         // Broadcast task queued event
         broadcast('taskQueued', { task: body.task });
@@ -239,9 +280,123 @@ function createHttpServer() {
         json({
           success: true,
           queued: true,
-          taskId: body.task.id,
-          message: `Task ${body.task.id} queued for processing`
+          taskId: record.id,
+          assignedTo: record.role,
+          routing: record.routing,
+          task: record,
+          message: `Task ${record.id} queued for processing`
+        });
+        return;
+      }
+
+      // Scheduling pipeline status: task counts, per-agent work status, queue
+      if (path === '/api/pipeline/status' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const status = await agentSystem.pipeline.getStatus();
+        json({ success: true, ...status });
+        return;
+      }
+
+      // Pipeline task status records
+      if (path === '/api/pipeline/tasks' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const tasks = await agentSystem.pipeline.listTasks({
+          status: url.searchParams.get('status'),
+          role: url.searchParams.get('role'),
+          limit: Math.min(parseInt(url.searchParams.get('limit') || '100'), 500),
+        });
+        json({ success: true, tasks });
+        return;
+      }
+
+      // Resolve the decision/authorization/payment a blocked task waits on
+      if (path.startsWith('/api/pipeline/tasks/') && path.endsWith('/resolve-blocker') && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const taskId = decodeURIComponent(path.split('/')[4]);
+        const body = await parseBody();
+        const task = await agentSystem.pipeline.resolveBlocker(taskId, {
+          decision: body.decision,
+          resolvedBy: body.resolvedBy,
+        });
+        if (!task) {
+          return json({ error: `Task ${taskId} is not waiting in the queue` }, 404);
+        }
+        json({ success: true, task });
+        return;
+      }
+
+      // Pipeline status record for one task
+      if (path.startsWith('/api/pipeline/tasks/') && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const taskId = decodeURIComponent(path.split('/').pop());
+        const task = await agentSystem.pipeline.getTask(taskId);
+        if (!task) {
+          return json({ error: `Task ${taskId} not found` }, 404);
+        }
+        json({ success: true, task });
+        return;
+      }
+
+      // Task queue job counts (ready / leased / completed / dead)
+      if (path === '/api/tasks/queue' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const stats = await agentSystem.orchestrator.getQueueStats();
+        json({ success: true, ...stats });
+        return;
+      }
+
+      // List dead-lettered tasks
+      if (path === '/api/tasks/dead-letters' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const limit = Math.min(parseInt(url.searchParams.get('limit') || '100'), 500);
+        const deadLetters = await agentSystem.orchestrator.getDeadLetters(limit);
+        json({ success: true, deadLetters });
+        return;
+      }
+
+      // Requeue a dead-lettered task
+      if (path === '/api/tasks/dead-letters/requeue' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        const task = await agentSystem.orchestrator.requeueDeadLetter(body.taskId, {
+          resetAttempts: body.resetAttempts,
+          requeuedBy: body.requeuedBy,
         });
+        if (!task) {
+          return json({ error: `Task ${body.taskId} is not in the dead-letter queue` }, 404);
+        }
+
+        broadcast('taskQueued', { task });
+
+        json({ success: true, requeued: true, taskId: task.id });
+        return;
+      }
+
+      // Inspect a task's queue job (attempts, lease, last error)
+      if (path.startsWith('/api/tasks/dead-letters/') && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const taskId = decodeURIComponent(path.split('/').pop());
+        const job = await agentSystem.orchestrator.getQueueJob(taskId);
+        if (!job) {
+          return json({ error: `No queue job for task ${taskId}` }, 404);
+        }
+        json({ success: true, job });
         return;
       }
 
@@ -273,6 +428,255 @@ function createHttpServer() {
         return;
       }
 
+      // Escalation policy in effect
+      if (path === '/api/escalation/policy' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        json({ success: true, policy: agentSystem.escalationEngine.getPolicy() });
+        return;
+      }
+
+      // Explain whether a task would escalate and which rules fire
+      if (path === '/api/escalation/explain' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        if (!body.task) {
+          return json({ error: 'task is required' }, 400);
+        }
+        const check = agentSystem.escalationEngine.shouldEscalate(body.task, body.result || {}, body.role);
+        json({ success: true, ...check });
+        return;
+      }
+
+      // Evaluate recent decisions against a proposed policy
+      if (path === '/api/escalation/policies/dry-run' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        const decisions = await agentSystem.decisionLogger.getRecent(body.limit || 200, { role: body.role });
+        try {
+          const report = agentSystem.escalationEngine.dryRun(body.policy, decisions);
+          json({ success: true, ...report });
+        } catch (error) {
+          json({ error: error.message }, 400);
+        }
+        return;
+      }
+
+      // List stored policy versions
+      if (path === '/api/escalation/policies' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const policies = await agentSystem.escalationEngine.policyStore.list({ name: url.searchParams.get('name') || undefined });
+        json({ success: true, policies });
+        return;
+      }
+
+      // Publish a new policy version (optionally activating it)
+      if (path === '/api/escalation/policies' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        try {
+          const version = await agentSystem.escalationEngine.publishPolicy(body.policy, {
+            createdBy: body.createdBy,
+            notes: body.notes,
+            activate: body.activate === true,
+          });
+          broadcast('escalationPolicyPublished', { name: version.name, version: version.version, status: version.status });
+          json({ success: true, policy: version });
+        } catch (error) {
+          json({ error: error.message }, 400);
+        }
+        return;
+      }
+
+      // Activate a stored policy version
+      const activateMatch = path.match(/^\/api\/escalation\/policies\/([^/]+)\/(\d+)\/activate$/);
+      if (activateMatch && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        const [, name, version] = activateMatch;
+        const activated = await agentSystem.escalationEngine.activatePolicy(decodeURIComponent(name), Number(version), {
+          activatedBy: body.activatedBy,
+        });
+        if (!activated) {
+          return json({ error: `No version ${version} of escalation policy ${name}` }, 404);
+        }
+        broadcast('escalationPolicyPublished', { name: activated.name, version: activated.version, status: activated.status });
+        json({ success: true, policy: activated });
+        return;
+      }
+
+      // LLM budget caps with current spend
+      if (path === '/api/budget' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        json({ success: true, ...agentSystem.budgetEnforcer.getStatus() });
+        return;
+      }
+
+      // Create or change a budget cap
+      if (path === '/api/budget/caps' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        try {
+          const cap = await agentSystem.budgetEnforcer.setCap(body, { updatedBy: body.updatedBy });
+          broadcast('budgetCapUpdated', { cap });
+          json({ success: true, cap });
+        } catch (error) {
+          json({ error: error.message }, 400);
+        }
+        return;
+      }
+
+      // Remove a budget cap
+      const capMatch = path.match(/^\/api\/budget\/caps\/([^/]+)\/([^/]+)\/([^/]+)$/);
+      if (capMatch && req.method === 'DELETE') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const [scope, id, period] = capMatch.slice(1).map(decodeURIComponent);
+        const removed = await agentSystem.budgetEnforcer.removeCap(scope, id, period);
+        if (!removed) {
+          return json({ error: `No ${period} budget cap for ${scope} ${id}` }, 404);
+        }
+        broadcast('budgetCapRemoved', { scope, id, period });
+        json({ success: true });
+        return;
+      }
+
+      // Decision accuracy for all roles, or one role's accuracy history and recent outcomes
+      if (path === '/api/outcomes' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const tracker = agentSystem.outcomeTracker;
+        const role = url.searchParams.get('role');
+        if (!role) {
+          return json({ success: true, ...(await tracker.getSummary()) });
+        }
+        await tracker.ensureLoaded();
+        json({
+          success: true,
+          role,
+          score: tracker.getRoleScore(role),
+          history: tracker.getAccuracyHistory(role, { months: parseInt(url.searchParams.get('months') || '6') }),
+          outcomes: tracker.getOutcomes(role, { limit: Math.min(parseInt(url.searchParams.get('limit') || '50'), 500) }),
+        });
+        return;
+      }
+
+      // Record a human judgement of a decision's outcome
+      if (path === '/api/outcomes' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        try {
+          const outcome = await agentSystem.outcomeTracker.recordOutcome({ ...body, source: 'human' });
+          broadcast('decisionOutcomeRecorded', { outcome });
+          json({ success: true, outcome });
+        } catch (error) {
+          json({ error: error.message }, error.code === 'INVALID_OUTCOME' ? 400 : 500);
+        }
+        return;
+      }
+
+      // Decision follow-up checks (?status=due for the ones waiting on an answer)
+      if (path === '/api/outcomes/follow-ups' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const followUps = await agentSystem.outcomeTracker.listFollowUps({
+          status: url.searchParams.get('status') || undefined,
+          role: url.searchParams.get('role') || undefined,
+        });
+        json({ success: true, followUps, count: followUps.length });
+        return;
+      }
+
+      // Answer a follow-up check
+      const followUpMatch = path.match(/^\/api\/outcomes\/follow-ups\/([^/]+)$/);
+      if (followUpMatch && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        try {
+          const result = await agentSystem.outcomeTracker.completeFollowUp(decodeURIComponent(followUpMatch[1]), body);
+          broadcast('decisionOutcomeRecorded', result);
+          json({ success: true, ...result });
+        } catch (error) {
+          const status = { FOLLOW_UP_NOT_FOUND: 404, FOLLOW_UP_CLOSED: 409, INVALID_OUTCOME: 400 }[error.code] || 500;
+          json({ error: error.message }, status);
+        }
+        return;
+      }
+
+      // CEO decision inbox (?status=open|deferred|delegated|decided|all, &delegatedTo=, &source=)
+      if (path === '/api/inbox' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const inbox = agentSystem.decisionInbox;
+        const items = await inbox.list({
+          status: url.searchParams.get('status') || undefined,
+          delegatedTo: url.searchParams.get('delegatedTo') || undefined,
+          source: url.searchParams.get('source') || undefined,
+        });
+        json({ success: true, items, count: items.length, summary: await inbox.getSummary() });
+        return;
+      }
+
+      // Inbox counts
+      if (path === '/api/inbox/summary' && req.method === 'GET') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        json({ success: true, ...(await agentSystem.decisionInbox.getSummary()) });
+        return;
+      }
+
+      // Send the reminder digest now
+      if (path === '/api/inbox/reminders' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const result = await agentSystem.decisionInbox.sendReminders();
+        json({ success: true, ...result });
+        return;
+      }
+
+      // Decide, defer or delegate an inbox item
+      const inboxMatch = path.match(/^\/api\/inbox\/([^/]+)$/);
+      if (inboxMatch && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        try {
+          const item = await agentSystem.decisionInbox.act(decodeURIComponent(inboxMatch[1]), body);
+          broadcast('decisionInboxUpdated', { item });
+          json({ success: true, item });
+        } catch (error) {
+          const status = { ITEM_NOT_FOUND: 404, INVALID_ACTION: 400 }[error.code] || 500;
+          json({ error: error.message }, status);
+        }
+        return;
+      }
+
       // Get daily summary
       if (path === '/api/daily-summary' && req.method === 'GET') {
         if (!agentSystem) {
@@ -294,6 +698,20 @@ function createHttpServer() {
         return;
       }
 
+      // Resume an escalated or interrupted workflow
+      if (path === '/api/workflows/resume' && req.method === 'POST') {
+        if (!agentSystem) {
+          return json({ error: 'Agent system not initialized' }, 503);
+        }
+        const body = await parseBody();
+        const result = await agentSystem.resumeWorkflow(body.instanceId, body.decision);
+
+        broadcast('workflowResumed', { instanceId: body.instanceId, status: result.status });
+
+        json({ success: true, ...result });
+        return;
+      }
+
       // List workflows
       if (path === '/api/workflows' && req.method === 'GET') {
         if (!agentSystem) {
@@ -710,6 +1128,14 @@ function setupAgentEventHandlers() {
     broadcast('taskFailed', { task, error: error.message });
   });
 
+  orchestrator.on('taskBlocked', ({ task, blockerInfo }) => {
+    broadcast('taskBlocked', { task, blockerInfo });
+  });
+
+  agentSystem.pipeline.on('taskRouted', ({ task, routing }) => {
+    broadcast('taskRouted', { taskId: task.id, routing });
+  });
+
   // Escalation events
   orchestrator.on('escalation', (escalation) => {
     broadcast('escalation', { escalation });
@@ -719,6 +1145,21 @@ function setupAgentEventHandlers() {
     broadcast('escalationResolved', { escalation });
   });
 
+  // Budget events
+  agentSystem.budgetEnforcer.on('budgetExceeded', (event) => {
+    broadcast('budgetExceeded', event);
+  });
+
+  // Decision follow-ups waiting on a human answer
+  agentSystem.outcomeTracker.on('followUpDue', (followUp) => {
+    broadcast('decisionFollowUpDue', { followUp });
+  });
+
+  // CEO decisions moving up the escalation ladder
+  agentSystem.decisionInbox.on('itemEscalated', ({ item, step }) => {
+    broadcast('decisionInboxEscalated', { item, step: step.name });
+  });
+
   // Handoff events
   orchestrator.on('handoffCreated', ({ original, new: newTask }) => {
     broadcast('handoffCreated', { originalTask: original, newTask });
@@ -756,7 +1197,8 @@ async function main() {
       orchestrator: {
         taskDataPath: process.env.TASK_DATA_PATH || '../dashboard/src/data/tasks',
         processingInterval: parseInt(process.env.PROCESSING_INTERVAL) || 5000,
-        maxConcurrent: parseInt(process.env.MAX_CONCURRENT_TASKS) || 5
+        maxConcurrent: parseInt(process.env.MAX_CONCURRENT_TASKS) || 5,
+        leaseMs: parseInt(process.env.TASK_LEASE_MS) || undefined
       }
     });
 
@@ -4,7 +4,7 @@
  * Provides CRUD for all tables with fallback support
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 
 class DatabaseService {
   constructor(config = {}) {
@@ -24,31 +24,25 @@ class DatabaseService {
   }
 
   /**
-   * Initialize Supabase connection
+   * Initialize the storage connection
    */
   initialize() {
-    const supabaseUrl = this.config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = this.config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
     this.tablePrefix = this.config.tablePrefix || process.env.SUPABASE_TABLE_PREFIX || '';
 
-    if (supabaseUrl && supabaseKey) {
-      try {
-        this.supabase = createClient(supabaseUrl, supabaseKey, {
-          auth: {
-            autoRefreshToken: true,
-            persistSession: false,
-          },
-        });
-        this.isConnected = true;
-        const prefixInfo = this.tablePrefix ? ` (table prefix: ${this.tablePrefix})` : '';
-        console.log(`[DATABASE-SERVICE] Connected to Supabase${prefixInfo}`);
-      } catch (error) {
-        console.error('[DATABASE-SERVICE] Failed to connect to Supabase:', error.message);
-        this.isConnected = false;
-      }
+    try {
+      this.supabase = getStorageClient(this.config);
+    } catch (error) {
+      console.error('[DATABASE-SERVICE] Failed to connect to storage:', error.message);
+      this.supabase = null;
+    }
+
+    if (this.supabase) {
+      this.isConnected = true;
+      const prefixInfo = this.tablePrefix ? ` (table prefix: ${this.tablePrefix})` : '';
+      console.log(`[DATABASE-SERVICE] Connected to ${describeStorage(this.config)}${prefixInfo}`);
     } else {
-      console.warn('[DATABASE-SERVICE] No Supabase credentials found, running in offline mode');
-      console.warn('[DATABASE-SERVICE] Expected: SUPABASE_URL and SUPABASE_ANON_KEY');
+      console.warn('[DATABASE-SERVICE] No storage configured, running in offline mode');
+      console.warn('[DATABASE-SERVICE] Expected: SUPABASE_URL and SUPABASE_ANON_KEY, DATABASE_URL, or STORAGE_ADAPTER=local');
       this.isConnected = false;
     }
   }
@@ -772,6 +766,569 @@ class DatabaseService {
     return { data, error };
   }
 
+  // ============================================================================
+  // TASK QUEUE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Insert a queue job unless one with the same ID exists
+   * @returns {Object} { data: inserted row or null if it already existed, error }
+   */
+  async insertQueueJob(job) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('task_queue_jobs'))
+      .upsert([job], { onConflict: 'id', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] insertQueueJob error:', error.message);
+    }
+
+    return { data: data?.[0] || null, error };
+  }
+
+  /**
+   * Get a queue job by ID
+   */
+  async getQueueJob(id) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('task_queue_jobs'))
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    return { data, error };
+  }
+
+  /**
+   * List queue jobs
+   * @param {Object} filters - { status, roles, ids, availableBefore, leaseExpiredBefore, recent, limit }
+   */
+  async listQueueJobs(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('task_queue_jobs'))
+      .select('*');
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.roles) query = query.in('role_id', filters.roles);
+    if (filters.ids) query = query.in('id', filters.ids);
+    if (filters.availableBefore) query = query.lte('available_at', filters.availableBefore);
+    if (filters.leaseExpiredBefore) query = query.lt('lease_expires_at', filters.leaseExpiredBefore);
+
+    // Claim order by default; most recently updated first for status views
+    query = filters.recent
+      ? query.order('updated_at', { ascending: false })
+      : query.order('priority_score', { ascending: false }).order('created_at', { ascending: true });
+
+    const { data, error } = await query.limit(filters.limit || 100);
+
+    return { data: data || [], error };
+  }
+
+  /**
+   * Count queue jobs with a status
+   */
+  async countQueueJobs(status) {
+    if (!this.isAvailable()) {
+      return { data: 0, error: { message: 'Database unavailable' } };
+    }
+
+    const { count, error } = await this.supabase
+      .from(this.table('task_queue_jobs'))
+      .select('*', { count: 'exact', head: true })
+      .eq('status', status);
+
+    return { data: count || 0, error };
+  }
+
+  /**
+   * Compare-and-set update of a queue job: applied only while the row still
+   * matches `expected` (e.g. { status: 'leased', lease_token }), so concurrent
+   * orchestrators cannot both claim or complete the same job
+   * @returns {Object} { data: updated row, or null if the row no longer matched, error }
+   */
+  async updateQueueJobIf(id, expected, updates) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('task_queue_jobs'))
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    for (const [column, value] of Object.entries(expected)) {
+      query = value === null ? query.is(column, null) : query.eq(column, value);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] updateQueueJobIf error:', error.message);
+    }
+
+    return { data: data?.[0] || null, error };
+  }
+
+  // ============================================================================
+  // ESCALATION POLICY OPERATIONS
+  // ============================================================================
+
+  /**
+   * Insert an escalation policy version
+   */
+  async insertEscalationPolicy(policy) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('escalation_policies'))
+      .insert([policy])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] insertEscalationPolicy error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * List escalation policy versions, newest first
+   * @param {Object} filters - { name, status, version }
+   */
+  async listEscalationPolicies(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('escalation_policies'))
+      .select('*');
+
+    if (filters.name) query = query.eq('name', filters.name);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.version !== undefined) query = query.eq('version', filters.version);
+
+    const { data, error } = await query.order('version', { ascending: false });
+
+    return { data: data || [], error };
+  }
+
+  /**
+   * Update an escalation policy version
+   */
+  async updateEscalationPolicy(id, updates) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('escalation_policies'))
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] updateEscalationPolicy error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  // ============================================================================
+  // SEMANTIC CACHE OPERATIONS
+  // ============================================================================
+
+  /**
+   * Insert or replace a semantic cache entry
+   */
+  async upsertCacheEntry(entry) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('semantic_cache_entries'))
+      .upsert([entry], { onConflict: 'id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] upsertCacheEntry error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * List semantic cache entries
+   * @param {Object} filters - { roleId, notExpiredAt }
+   */
+  async listCacheEntries(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('semantic_cache_entries'))
+      .select('*');
+
+    if (filters.roleId) query = query.eq('role_id', filters.roleId);
+    if (filters.notExpiredAt) query = query.gt('expires_at', filters.notExpiredAt);
+
+    // Newest entries up to the limit, returned oldest first
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 1000);
+
+    return { data: (data || []).reverse(), error };
+  }
+
+  /**
+   * Delete semantic cache entries by id
+   */
+  async deleteCacheEntries(ids) {
+    if (!this.isAvailable()) {
+      return { error: { message: 'Database unavailable' } };
+    }
+
+    const { error } = await this.supabase
+      .from(this.table('semantic_cache_entries'))
+      .delete()
+      .in('id', ids);
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] deleteCacheEntries error:', error.message);
+    }
+
+    return { error };
+  }
+
+  // ============================================================================
+  // BUDGET CAP OPERATIONS
+  // ============================================================================
+
+  /**
+   * List LLM budget caps
+   */
+  async listBudgetCaps() {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('budget_caps'))
+      .select('*');
+
+    return { data: data || [], error };
+  }
+
+  /**
+   * Insert or replace a budget cap for a scope and period
+   */
+  async upsertBudgetCap(cap) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('budget_caps'))
+      .upsert([cap], { onConflict: 'scope,scope_id,period' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] upsertBudgetCap error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * Delete a budget cap
+   */
+  async deleteBudgetCap(scope, scopeId, period) {
+    if (!this.isAvailable()) {
+      return { error: { message: 'Database unavailable' } };
+    }
+
+    const { error } = await this.supabase
+      .from(this.table('budget_caps'))
+      .delete()
+      .eq('scope', scope)
+      .eq('scope_id', scopeId)
+      .eq('period', period);
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] deleteBudgetCap error:', error.message);
+    }
+
+    return { error };
+  }
+
+  /**
+   * Record the cost of an LLM call against its tenant, role and task
+   */
+  async insertBudgetCharge(charge) {
+    if (!this.isAvailable()) {
+      return { error: { message: 'Database unavailable' } };
+    }
+
+    const { error } = await this.supabase
+      .from(this.table('budget_charges'))
+      .insert([charge]);
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] insertBudgetCharge error:', error.message);
+    }
+
+    return { error };
+  }
+
+  /**
+   * Total LLM charges per tenant, role and task, summed by the budget_spend
+   * function (database/migrations/024)
+   * @param {Object} filters - { since, dayStart, scope, subject }
+   * @returns {Object} { data: [{ scope, subject, day_cost, period_cost, charges }], error }
+   */
+  async sumBudgetCharges(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase.rpc('budget_spend', {
+      p_since: filters.since || null,
+      p_day_start: filters.dayStart,
+      p_scope: filters.scope || null,
+      p_subject: filters.subject || null,
+      p_table: this.table('budget_charges'),
+    });
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] sumBudgetCharges error:', error.message);
+    }
+
+    return { data: data || [], error };
+  }
+
+  // ============================================================================
+  // KNOWLEDGE DECISION OPERATIONS
+  // ============================================================================
+
+  /**
+   * Insert or replace a knowledge base decision
+   */
+  async upsertKnowledgeDecision(decision) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('knowledge_decisions'))
+      .upsert([decision], { onConflict: 'id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] upsertKnowledgeDecision error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * List knowledge base decisions, oldest first
+   * @param {Object} filters - { roleId, category }
+   */
+  async listKnowledgeDecisions(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('knowledge_decisions'))
+      .select('*');
+
+    if (filters.roleId) query = query.eq('role_id', filters.roleId);
+    if (filters.category) query = query.eq('category', filters.category);
+
+    // Newest decisions up to the limit, returned oldest first
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 10000);
+
+    return { data: (data || []).reverse(), error };
+  }
+
+  /**
+   * Delete knowledge base decisions by id
+   */
+  async deleteKnowledgeDecisions(ids) {
+    if (!this.isAvailable()) {
+      return { error: { message: 'Database unavailable' } };
+    }
+
+    const { error } = await this.supabase
+      .from(this.table('knowledge_decisions'))
+      .delete()
+      .in('id', ids);
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] deleteKnowledgeDecisions error:', error.message);
+    }
+
+    return { error };
+  }
+
+  // ============================================================================
+  // DECISION OUTCOME OPERATIONS
+  // ============================================================================
+
+  /**
+   * Insert or replace a decision follow-up check
+   */
+  async upsertDecisionFollowUp(followUp) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('decision_follow_ups'))
+      .upsert([followUp], { onConflict: 'id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] upsertDecisionFollowUp error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * List decision follow-up checks, soonest due first
+   * @param {Object} filters - { status, roleId }
+   */
+  async listDecisionFollowUps(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('decision_follow_ups'))
+      .select('*');
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.roleId) query = query.eq('role_id', filters.roleId);
+
+    const { data, error } = await query.order('due_at', { ascending: true });
+
+    return { data: data || [], error };
+  }
+
+  /**
+   * Record a decision outcome
+   */
+  async insertDecisionOutcome(outcome) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('decision_outcomes'))
+      .insert([outcome])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] insertDecisionOutcome error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * List decision outcomes, oldest first
+   * @param {Object} filters - { roleId, since }
+   */
+  async listDecisionOutcomes(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('decision_outcomes'))
+      .select('*');
+
+    if (filters.roleId) query = query.eq('role_id', filters.roleId);
+    if (filters.since) query = query.gte('recorded_at', filters.since);
+
+    const { data, error } = await query.order('recorded_at', { ascending: true });
+
+    return { data: data || [], error };
+  }
+
+  // ============================================================================
+  // DECISION INBOX OPERATIONS
+  // ============================================================================
+
+  /**
+   * Insert or replace the inbox state of a CEO decision item
+   */
+  async upsertInboxState(state) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Database unavailable' } };
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.table('decision_inbox_state'))
+      .upsert([{ ...state, updated_at: new Date().toISOString() }], { onConflict: 'item_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[DATABASE-SERVICE] upsertInboxState error:', error.message);
+    }
+
+    return { data, error };
+  }
+
+  /**
+   * List inbox state for CEO decision items
+   * @param {Object} filters - { status }
+   */
+  async listInboxState(filters = {}) {
+    if (!this.isAvailable()) {
+      return { data: [], error: { message: 'Database unavailable' } };
+    }
+
+    let query = this.supabase
+      .from(this.table('decision_inbox_state'))
+      .select('*');
+
+    if (filters.status) query = query.eq('status', filters.status);
+
+    const { data, error } = await query;
+
+    return { data: data || [], error };
+  }
+
   // ============================================================================
   // API KEYS OPERATIONS
   // ============================================================================
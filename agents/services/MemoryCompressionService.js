@@ -13,7 +13,7 @@
  */
 
 import LLMRouter from '../core/LLMRouter.js';
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient, describeStorage } from '../storage/index.js';
 
 // Compression system prompt
 const COMPRESSION_SYSTEM_PROMPT = `You are a Memory Compression Agent for MONOLITH OS.
@@ -52,16 +52,13 @@ class MemoryCompressionService {
     // Initialize LLM router
     this.llm = config.llmRouter || new LLMRouter();
 
-    // Initialize Supabase client
-    const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
-    const supabaseKey = config.supabaseKey || process.env.SUPABASE_ANON_KEY;
+    // Storage client (null in offline mode)
+    this.supabase = getStorageClient(config);
 
-    if (supabaseUrl && supabaseKey) {
-      this.supabase = createClient(supabaseUrl, supabaseKey);
-      console.log('[MEMORY-COMPRESSION] Supabase client initialized');
+    if (this.supabase) {
+      console.log(`[MEMORY-COMPRESSION] Connected to ${describeStorage(config)}`);
     } else {
-      this.supabase = null;
-      console.warn('[MEMORY-COMPRESSION] Supabase not configured - compression disabled');
+      console.warn('[MEMORY-COMPRESSION] No storage configured - compression disabled');
     }
 
     // Compression settings
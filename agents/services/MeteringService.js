@@ -10,6 +10,7 @@
  */
 
 import tenantService from './TenantService.js';
+import { MODEL_PRICING, getModelPricing } from '../core/ModelPricing.js';
 
 /**
  * Metric types for metering
@@ -25,30 +26,9 @@ export const MetricType = {
 };
 
 /**
- * LLM model pricing (per 1000 tokens)
+ * LLM model pricing (per 1000 tokens), shared with the rest of the system
  */
-export const LLM_PRICING = {
-  // OpenAI models
-  'gpt-4': { input: 0.03, output: 0.06 },
-  'gpt-4-turbo': { input: 0.01, output: 0.03 },
-  'gpt-4o': { input: 0.005, output: 0.015 },
-  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
-  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
-
-  // Anthropic models
-  'claude-3-opus': { input: 0.015, output: 0.075 },
-  'claude-3-sonnet': { input: 0.003, output: 0.015 },
-  'claude-3-haiku': { input: 0.00025, output: 0.00125 },
-  'claude-3-5-sonnet': { input: 0.003, output: 0.015 },
-
-  // Google models
-  'gemini-pro': { input: 0.00025, output: 0.0005 },
-  'gemini-1.5-pro': { input: 0.00125, output: 0.005 },
-  'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
-
-  // Default fallback
-  'default': { input: 0.001, output: 0.002 }
-};
+export const LLM_PRICING = MODEL_PRICING;
 
 /**
  * Service pricing
@@ -146,7 +126,7 @@ export class MeteringService {
     } = params;
 
     const totalTokens = inputTokens + outputTokens;
-    const pricing = LLM_PRICING[model] || LLM_PRICING.default;
+    const pricing = getModelPricing(model);
 
     // Calculate cost
     const inputCost = (inputTokens / 1000) * pricing.input;
@@ -515,7 +495,7 @@ export class MeteringService {
     switch (type) {
       case 'llm_request': {
         const { model = 'default', estimatedInputTokens = 0, estimatedOutputTokens = 0 } = params;
-        const pricing = LLM_PRICING[model] || LLM_PRICING.default;
+        const pricing = getModelPricing(model);
         const inputCost = (estimatedInputTokens / 1000) * pricing.input;
         const outputCost = (estimatedOutputTokens / 1000) * pricing.output;
         return {
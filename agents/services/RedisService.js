@@ -432,6 +432,22 @@ class RedisService {
 
     return await this.client.keys(pattern);
   }
+
+  /**
+   * Get keys matching pattern with SCAN, without blocking the server like KEYS
+   * @param {string} pattern - Key pattern (e.g., 'cache:*')
+   * @param {number} count - Keys to examine per SCAN call
+   * @returns {Promise<string[]>}
+   */
+  async scan(pattern, count = 100) {
+    this._ensureConnected();
+
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: count })) {
+      keys.push(key);
+    }
+    return keys;
+  }
 }
 
 // Export singleton instance
@@ -8,7 +8,7 @@
  * - Plan management
  */
 
-import { createClient } from '@supabase/supabase-js';
+import { getStorageClient } from '../storage/index.js';
 
 /**
  * Tenant plans with their limits
@@ -64,15 +64,13 @@ export const TENANT_STATUS = {
  */
 export class TenantService {
   constructor(options = {}) {
-    this.supabaseUrl = options.supabaseUrl || process.env.SUPABASE_URL;
-    this.supabaseKey = options.supabaseKey || process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
-
-    // Initialize Supabase client if credentials are available
-    if (this.supabaseUrl && this.supabaseKey) {
-      this.supabase = createClient(this.supabaseUrl, this.supabaseKey);
-    } else {
-      console.warn('[TenantService] Supabase not configured, using in-memory store');
-      this.supabase = null;
+    // Storage client if one is configured (SUPABASE_SERVICE_KEY is still honoured here)
+    this.supabase = getStorageClient({
+      ...options,
+      supabaseKey: options.supabaseKey || process.env.SUPABASE_SERVICE_KEY,
+    });
+    if (!this.supabase) {
+      console.warn('[TenantService] No storage configured, using in-memory store');
     }
 
     // In-memory tenant store for fallback
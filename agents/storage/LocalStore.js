@@ -0,0 +1,493 @@
+/**
+ * MONOLITH OS - Embedded Local Store
+ * File-backed table store for running the agent system without a hosted
+ * database. Tables come from the same SQL migrations Supabase runs (see
+ * sql.js), column defaults (uuid_generate_v4(), NOW(), literals) and primary
+ * key / UNIQUE constraints are honoured, and the whole store is one JSON file
+ * (or memory only, with file ':memory:').
+ *
+ * Triggers, views and SQL functions are not emulated. Tables the migrations
+ * never create (some live only in the hosted project) are created on first
+ * write, without constraints.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { applySql, migrationName } from './sql.js';
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * PostgREST-style error
+ */
+function storageError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+
+function equals(a, b) {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  if (typeof a === 'boolean' || typeof b === 'boolean') return String(a) === String(b);
+  return isNumeric(a) && isNumeric(b) ? Number(a) === Number(b) : String(a) === String(b);
+}
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * SQL LIKE pattern -> RegExp
+ */
+function likePattern(pattern, flags = '') {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * jsonb/array containment (@>)
+ */
+function contains(container, value) {
+  if (Array.isArray(container)) {
+    return [].concat(value).every((item) => container.some((entry) => equals(entry, item) || contains(entry, item)));
+  }
+  if (container && typeof container === 'object' && value && typeof value === 'object') {
+    return Object.entries(value).every(([key, item]) => key in container && (equals(container[key], item) || contains(container[key], item)));
+  }
+  return equals(container, value);
+}
+
+/**
+ * Evaluate one filter ({ column, operator, value, negate } or { or: [...] }) against a row
+ */
+export function matchesFilter(row, filter) {
+  if (filter.or) {
+    return filter.or.some((inner) => matchesFilter(row, inner));
+  }
+  if (filter.and) {
+    return filter.and.every((inner) => matchesFilter(row, inner));
+  }
+
+  const actual = filter.column.includes('->') ? jsonPath(row, filter.column) : row[filter.column];
+  const { value } = filter;
+  let result;
+
+  switch (filter.operator) {
+    case 'eq': result = equals(actual, value); break;
+    case 'neq': result = actual !== null && actual !== undefined && !equals(actual, value); break;
+    case 'gt': result = actual !== null && actual !== undefined && compare(actual, value) > 0; break;
+    case 'gte': result = actual !== null && actual !== undefined && compare(actual, value) >= 0; break;
+    case 'lt': result = actual !== null && actual !== undefined && compare(actual, value) < 0; break;
+    case 'lte': result = actual !== null && actual !== undefined && compare(actual, value) <= 0; break;
+    case 'like': result = actual !== null && actual !== undefined && likePattern(value).test(String(actual)); break;
+    case 'ilike': result = actual !== null && actual !== undefined && likePattern(value, 'i').test(String(actual)); break;
+    case 'is': result = value === null ? actual === null || actual === undefined : equals(actual, value); break;
+    case 'in': result = [].concat(value).some((item) => equals(actual, item)); break;
+    case 'cs': result = actual !== null && actual !== undefined && contains(actual, value); break;
+    case 'cd': result = actual !== null && actual !== undefined && contains(value, actual); break;
+    case 'ov': result = Array.isArray(actual) && [].concat(value).some((item) => actual.some((entry) => equals(entry, item))); break;
+    default:
+      throw storageError(`Unsupported filter operator: ${filter.operator}`, 'PGRST100');
+  }
+
+  return filter.negate ? !result : result;
+}
+
+/**
+ * `metadata->>status` / `metadata->tags` column paths
+ */
+function jsonPath(row, column) {
+  const [head, ...rest] = column.split(/->>?/);
+  return rest.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), row[head]);
+}
+
+/**
+ * Keep the selected columns ('*' or 'a, b, c')
+ */
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') {
+    return clone(row);
+  }
+  const projected = {};
+  for (const column of columns.split(',').map((name) => name.trim()).filter(Boolean)) {
+    if (column === '*') {
+      Object.assign(projected, clone(row));
+      continue;
+    }
+    const [source, alias] = column.includes(':') ? column.split(':').reverse() : [column, column];
+    projected[alias.trim()] = clone(row[source.trim()]) ?? null;
+  }
+  return projected;
+}
+
+class LocalStore {
+  /**
+   * @param {Object} config - { file: path or ':memory:' }
+   */
+  constructor(config = {}) {
+    this.file = config.file || ':memory:';
+    this.state = { tables: {}, migrations: [] };
+    this.sequences = {};
+    this.functions = new Map();
+
+    if (this.file !== ':memory:' && fs.existsSync(this.file)) {
+      this.state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+  }
+
+  // ============================================================================
+  // SCHEMA (used by the SQL interpreter)
+  // ============================================================================
+
+  table(name, create = false) {
+    if (!this.state.tables[name] && create) {
+      this.state.tables[name] = { columns: {}, primaryKey: [], unique: [], rows: [] };
+    }
+    return this.state.tables[name] || null;
+  }
+
+  describeTable(name) {
+    return this.table(name);
+  }
+
+  createTable(name, definition) {
+    // CREATE TABLE IF NOT EXISTS semantics; a table created implicitly by an
+    // earlier write adopts the definition and keeps its rows
+    const existing = this.table(name);
+    if (existing && Object.keys(existing.columns).length > 0) {
+      return;
+    }
+    this.state.tables[name] = {
+      columns: definition.columns,
+      primaryKey: definition.primaryKey,
+      unique: definition.unique,
+      rows: existing?.rows || [],
+    };
+  }
+
+  addColumn(name, column, definition) {
+    const table = this.table(name, true);
+    if (table.columns[column]) return;
+
+    table.columns[column] = definition;
+    for (const row of table.rows) {
+      if (!(column in row)) row[column] = this.defaultValue(name, definition);
+    }
+  }
+
+  addUnique(name, columns) {
+    this.table(name, true).unique.push(columns);
+  }
+
+  insertLiteralRows(name, literalRows, onConflict) {
+    const rows = literalRows.map((literals) => Object.fromEntries(
+      Object.entries(literals).map(([column, literal]) => [column, this.literalValue(name, literal)])
+    ));
+
+    if (!onConflict) {
+      this.writeRows(name, rows);
+      return;
+    }
+
+    const table = this.table(name, true);
+    const keys = onConflict.columns || table.primaryKey;
+    for (const row of rows) {
+      const existing = table.rows.find((current) => keys.every((key) => equals(current[key], row[key])));
+      if (!existing) {
+        this.writeRows(name, [row]);
+      } else if (onConflict.assignments) {
+        for (const assignment of onConflict.assignments) {
+          existing[assignment.column] = assignment.excluded !== undefined
+            ? row[assignment.excluded]
+            : this.literalValue(name, assignment.literal);
+        }
+      }
+    }
+  }
+
+  updateLiteralRows(name, assignments, conditions) {
+    const table = this.table(name);
+    if (!table) return;
+
+    for (const row of table.rows) {
+      if (conditions.every(({ column, value }) => equals(row[column], value))) {
+        for (const assignment of assignments) {
+          row[assignment.column] = this.literalValue(name, assignment.literal);
+        }
+      }
+    }
+  }
+
+  literalValue(name, literal) {
+    return 'value' in literal ? literal.value : this.generate(name, literal.default);
+  }
+
+  generate(name, kind) {
+    if (kind === 'now') return new Date().toISOString();
+    if (kind === 'uuid') return crypto.randomUUID();
+    if (kind === 'serial') {
+      const table = this.table(name);
+      this.sequences[name] = Math.max(this.sequences[name] || 0, ...table.rows.map((row) => Number(row.id) || 0)) + 1;
+      return this.sequences[name];
+    }
+    return null;
+  }
+
+  defaultValue(name, definition) {
+    if (!definition.default) return null;
+    return clone(this.literalValue(name, definition.default));
+  }
+
+  // ============================================================================
+  // MIGRATIONS
+  // ============================================================================
+
+  /**
+   * Apply migration files that have not been applied to this store yet
+   * @param {Array} files - SQL file paths, in order
+   * @returns {Array} [{ file, applied, ignored, skipped }] for newly applied files
+   */
+  migrate(files) {
+    const results = [];
+
+    for (const file of files) {
+      const name = migrationName(file);
+      if (this.state.migrations.includes(name)) continue;
+
+      const summary = applySql(this, fs.readFileSync(file, 'utf8'));
+      this.state.migrations.push(name);
+      results.push({ file: name, ...summary });
+    }
+
+    if (results.length > 0) this.save();
+    return results;
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  /**
+   * Coerce a written value to the column type, as Postgres would on insert
+   */
+  coerce(column, value) {
+    if (value === undefined || value === null || !column) return value ?? null;
+    switch (column.kind) {
+      case 'integer':
+      case 'serial':
+        return isNumeric(value) ? Math.trunc(Number(value)) : value;
+      case 'number':
+        return isNumeric(value) ? Number(value) : value;
+      case 'boolean':
+        return typeof value === 'string' ? ['t', 'true', 'yes', 'on', '1'].includes(value.toLowerCase()) : Boolean(value);
+      case 'timestamp':
+        return value instanceof Date ? value.toISOString() : value;
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Build full rows (defaults applied, values coerced) and enforce constraints
+   */
+  prepareRows(name, values) {
+    const table = this.table(name, true);
+
+    return values.map((values) => {
+      const row = {};
+      for (const [column, definition] of Object.entries(table.columns)) {
+        row[column] = column in values ? this.coerce(definition, values[column]) : this.defaultValue(name, definition);
+      }
+      for (const [column, value] of Object.entries(values)) {
+        if (!(column in row)) row[column] = clone(value) ?? null;
+      }
+
+      for (const [column, definition] of Object.entries(table.columns)) {
+        if (definition.notNull && (row[column] === null || row[column] === undefined)) {
+          throw storageError(`null value in column "${column}" of relation "${name}" violates not-null constraint`, '23502');
+        }
+      }
+      return clone(row);
+    });
+  }
+
+  /**
+   * Keys that must be unique in a table
+   */
+  uniqueKeys(table) {
+    return [table.primaryKey, ...table.unique].filter((keys) => keys.length > 0);
+  }
+
+  conflicting(table, row, ignore = null) {
+    return this.uniqueKeys(table).find((keys) =>
+      keys.every((key) => row[key] !== null && row[key] !== undefined) &&
+      table.rows.some((current) => current !== ignore && keys.every((key) => equals(current[key], row[key])))
+    );
+  }
+
+  writeRows(name, values) {
+    const table = this.table(name, true);
+    const rows = this.prepareRows(name, values);
+
+    for (const row of rows) {
+      const keys = this.conflicting(table, row);
+      if (keys) {
+        throw storageError(`duplicate key value violates unique constraint "${name}_${keys.join('_')}_key"`, '23505');
+      }
+      table.rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Run a query built by QueryBuilder
+   * @returns {Object} { data, count }
+   */
+  execute(query) {
+    const table = this.table(query.table);
+
+    switch (query.action) {
+      case 'select': {
+        const rows = this.filterRows(table, query.filters);
+        return { data: this.shape(rows, query), count: rows.length };
+      }
+      case 'insert': {
+        const rows = this.writeRows(query.table, [].concat(query.values));
+        this.save();
+        return { data: rows.map((row) => project(row, query.columns)), count: rows.length };
+      }
+      case 'upsert': {
+        const rows = this.upsertRows(query.table, [].concat(query.values), query.options);
+        this.save();
+        return { data: rows.map((row) => project(row, query.columns)), count: rows.length };
+      }
+      case 'update': {
+        const rows = this.filterRows(table, query.filters);
+        for (const row of rows) {
+          const updated = { ...row };
+          for (const [column, value] of Object.entries(query.values)) {
+            updated[column] = this.coerce(table.columns[column], clone(value));
+          }
+          const keys = this.conflicting(table, updated, row);
+          if (keys) {
+            throw storageError(`duplicate key value violates unique constraint "${query.table}_${keys.join('_')}_key"`, '23505');
+          }
+          Object.assign(row, updated);
+        }
+        if (rows.length > 0) this.save();
+        return { data: rows.map((row) => project(row, query.columns)), count: rows.length };
+      }
+      case 'delete': {
+        const rows = this.filterRows(table, query.filters);
+        if (table && rows.length > 0) {
+          table.rows = table.rows.filter((row) => !rows.includes(row));
+          this.save();
+        }
+        return { data: rows.map((row) => project(row, query.columns)), count: rows.length };
+      }
+      default:
+        throw storageError(`Unsupported action: ${query.action}`, 'PGRST100');
+    }
+  }
+
+  filterRows(table, filters) {
+    if (!table) return [];
+    return table.rows.filter((row) => filters.every((filter) => matchesFilter(row, filter)));
+  }
+
+  /**
+   * Order, page and project selected rows
+   */
+  shape(rows, query) {
+    let result = [...rows];
+
+    for (const { column, ascending, nullsFirst } of [...query.order].reverse()) {
+      result.sort((a, b) => {
+        const [x, y] = [a[column], b[column]];
+        const xNull = x === null || x === undefined;
+        const yNull = y === null || y === undefined;
+        if (xNull || yNull) {
+          if (xNull && yNull) return 0;
+          // Postgres puts NULLs last ascending and first descending by default
+          const nullsLow = nullsFirst ?? !ascending;
+          return (xNull ? -1 : 1) * (nullsLow ? 1 : -1);
+        }
+        return ascending ? compare(x, y) : compare(y, x);
+      });
+    }
+
+    const offset = query.offset || 0;
+    result = result.slice(offset, query.limit === null ? undefined : offset + query.limit);
+    return result.map((row) => project(row, query.columns));
+  }
+
+  upsertRows(name, values, options = {}) {
+    const table = this.table(name, true);
+    const keys = options.onConflict
+      ? options.onConflict.split(',').map((key) => key.trim())
+      : table.primaryKey;
+    const written = [];
+
+    for (const value of values) {
+      const existing = keys.length > 0
+        ? table.rows.find((row) => keys.every((key) => equals(row[key], value[key])))
+        : null;
+
+      if (!existing) {
+        written.push(...this.writeRows(name, [value]));
+      } else if (!options.ignoreDuplicates) {
+        for (const [column, item] of Object.entries(value)) {
+          existing[column] = this.coerce(table.columns[column], clone(item));
+        }
+        written.push(clone(existing));
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Register a JavaScript implementation for an rpc() call
+   */
+  defineFunction(name, implementation) {
+    this.functions.set(name, implementation);
+  }
+
+  rpc(name, args) {
+    const implementation = this.functions.get(name);
+    if (!implementation) {
+      throw storageError(`Could not find the function ${name} in the local store`, 'PGRST202');
+    }
+    return { data: implementation(args, this), count: null };
+  }
+
+  /**
+   * Persist to disk (atomically) unless the store is memory-only
+   */
+  save() {
+    if (this.file === ':memory:') return;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(this.state));
+    fs.renameSync(temporary, this.file);
+  }
+
+  /**
+   * Table names and row counts
+   */
+  stats() {
+    return Object.fromEntries(Object.entries(this.state.tables).map(([name, table]) => [name, table.rows.length]));
+  }
+}
+
+export { LocalStore, storageError };
+export default LocalStore;
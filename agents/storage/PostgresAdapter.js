@@ -0,0 +1,262 @@
+/**
+ * MONOLITH OS - Postgres Storage Adapter
+ * Runs QueryBuilder queries against a plain Postgres database (DATABASE_URL)
+ * using node-postgres, so a self-hosted database set up from
+ * database/schema.sql and the migrations behaves like the Supabase project.
+ *
+ * `pg` is an optional dependency, loaded on first use.
+ */
+
+import fs from 'fs';
+import { migrationName } from './sql.js';
+
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+const MIGRATIONS_TABLE = 'monolith_storage_migrations';
+
+/**
+ * Quote an identifier; `metadata->>status` becomes "metadata"->>'status'
+ */
+export function quoteIdentifier(name) {
+  const [head, ...segments] = name.split(/(->>?)/);
+  let result = `"${head.trim().replace(/"/g, '""')}"`;
+  for (let i = 0; i < segments.length; i += 2) {
+    result += `${segments[i]}'${segments[i + 1].replace(/'/g, "''")}'`;
+  }
+  return result;
+}
+
+/**
+ * Compile QueryBuilder queries to parameterised SQL
+ */
+export class SqlCompiler {
+  constructor(columnTypes = {}) {
+    this.columnTypes = columnTypes;
+    this.values = [];
+  }
+
+  param(value, column = null) {
+    const type = column ? this.columnTypes[column] : null;
+    // json/jsonb columns take arrays and objects as JSON, not as Postgres arrays
+    const encoded = type && /json/.test(type) && value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    this.values.push(encoded);
+    return `$${this.values.length}`;
+  }
+
+  columns(columns) {
+    if (!columns || columns.trim() === '*') return '*';
+    return columns.split(',').map((column) => column.trim()).filter(Boolean).map((column) => {
+      if (column === '*') return '*';
+      if (column.includes(':')) {
+        const [alias, source] = column.split(':');
+        return `${quoteIdentifier(source)} AS ${quoteIdentifier(alias)}`;
+      }
+      return quoteIdentifier(column);
+    }).join(', ');
+  }
+
+  condition(filter) {
+    if (filter.or) return `(${filter.or.map((inner) => this.condition(inner)).join(' OR ') || 'FALSE'})`;
+    if (filter.and) return `(${filter.and.map((inner) => this.condition(inner)).join(' AND ') || 'TRUE'})`;
+
+    const column = quoteIdentifier(filter.column);
+    let sql;
+    switch (filter.operator) {
+      case 'is':
+        sql = `${column} IS ${filter.value === null ? 'NULL' : filter.value ? 'TRUE' : 'FALSE'}`;
+        break;
+      case 'in':
+        sql = `${column} = ANY(${this.param([].concat(filter.value))})`;
+        break;
+      case 'cs':
+      case 'cd':
+      case 'ov': {
+        const operator = { cs: '@>', cd: '<@', ov: '&&' }[filter.operator];
+        sql = `${column} ${operator} ${this.param(filter.value, filter.column)}`;
+        break;
+      }
+      default:
+        if (!OPERATORS[filter.operator]) {
+          throw new Error(`Unsupported filter operator: ${filter.operator}`);
+        }
+        sql = `${column} ${OPERATORS[filter.operator]} ${this.param(filter.value, filter.column)}`;
+    }
+    return filter.negate ? `NOT (${sql})` : sql;
+  }
+
+  where(filters) {
+    return filters.length ? ` WHERE ${filters.map((filter) => this.condition(filter)).join(' AND ')}` : '';
+  }
+
+  /**
+   * @returns {Object} { text, values }
+   */
+  compile(query) {
+    const table = quoteIdentifier(query.table);
+    const returning = ` RETURNING ${this.columns(query.columns)}`;
+    let text;
+
+    switch (query.action) {
+      case 'select': {
+        text = `SELECT ${this.columns(query.columns)} FROM ${table}${this.where(query.filters)}`;
+        if (query.order.length) {
+          text += ` ORDER BY ${query.order.map(({ column, ascending, nullsFirst }) =>
+            `${quoteIdentifier(column)} ${ascending ? 'ASC' : 'DESC'}${nullsFirst === undefined ? '' : nullsFirst ? ' NULLS FIRST' : ' NULLS LAST'}`
+          ).join(', ')}`;
+        }
+        if (query.limit !== null) text += ` LIMIT ${Number(query.limit)}`;
+        if (query.offset) text += ` OFFSET ${Number(query.offset)}`;
+        break;
+      }
+      case 'insert':
+      case 'upsert': {
+        const rows = [].concat(query.values);
+        const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+        const tuples = rows.map((row) => `(${columns.map((column) => (column in row ? this.param(row[column], column) : 'DEFAULT')).join(', ')})`);
+        text = `INSERT INTO ${table} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${tuples.join(', ')}`;
+
+        if (query.action === 'upsert') {
+          const keys = (query.options.onConflict || 'id').split(',').map((key) => quoteIdentifier(key.trim()));
+          const updates = columns.filter((column) => !keys.includes(quoteIdentifier(column)));
+          text += query.options.ignoreDuplicates || updates.length === 0
+            ? ` ON CONFLICT (${keys.join(', ')}) DO NOTHING`
+            : ` ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${updates.map((column) => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`).join(', ')}`;
+        }
+        text += returning;
+        break;
+      }
+      case 'update': {
+        const assignments = Object.entries(query.values).map(([column, value]) => `${quoteIdentifier(column)} = ${this.param(value, column)}`);
+        text = `UPDATE ${table} SET ${assignments.join(', ')}${this.where(query.filters)}${returning}`;
+        break;
+      }
+      case 'delete':
+        text = `DELETE FROM ${table}${this.where(query.filters)}${returning}`;
+        break;
+      default:
+        throw new Error(`Unsupported action: ${query.action}`);
+    }
+
+    return { text, values: this.values };
+  }
+}
+
+class PostgresAdapter {
+  /**
+   * @param {Object} config - { connectionString, pool }
+   */
+  constructor(config = {}) {
+    this.connectionString = config.connectionString || process.env.DATABASE_URL;
+    this.pool = config.pool || null;
+    this.columnTypes = new Map();
+  }
+
+  async getPool() {
+    if (!this.pool) {
+      let pg;
+      try {
+        pg = (await import('pg')).default;
+      } catch {
+        throw new Error('The postgres storage adapter needs the optional "pg" package, which is not installed: npm install pg (or unset DATABASE_URL / set STORAGE_ADAPTER to use another adapter)');
+      }
+      this.pool = new pg.Pool({ connectionString: this.connectionString });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Column name -> data type for a table (cached), used to encode json values
+   */
+  async tableColumns(table) {
+    if (!this.columnTypes.has(table)) {
+      const pool = await this.getPool();
+      const { rows } = await pool.query(
+        'SELECT column_name, data_type FROM information_schema.columns WHERE table_name = $1',
+        [table]
+      );
+      this.columnTypes.set(table, Object.fromEntries(rows.map((row) => [row.column_name, row.data_type])));
+    }
+    return this.columnTypes.get(table);
+  }
+
+  async execute(query) {
+    const pool = await this.getPool();
+    const compiler = new SqlCompiler(await this.tableColumns(query.table));
+    const { text, values } = compiler.compile(query);
+
+    if (query.action === 'select' && query.head) {
+      const counter = new SqlCompiler();
+      const { rows } = await pool.query(`SELECT count(*)::int AS count FROM ${quoteIdentifier(query.table)}${counter.where(query.filters)}`, counter.values);
+      return { data: [], count: rows[0].count };
+    }
+
+    const { rows, rowCount } = await pool.query(text, values);
+    let count = rowCount;
+    if (query.action === 'select' && query.count && (query.limit !== null || query.offset)) {
+      const counter = new SqlCompiler();
+      const result = await pool.query(`SELECT count(*)::int AS count FROM ${quoteIdentifier(query.table)}${counter.where(query.filters)}`, counter.values);
+      count = result.rows[0].count;
+    }
+    return { data: rows, count };
+  }
+
+  /**
+   * Call a SQL function with named arguments, like PostgREST's /rpc
+   */
+  async rpc(name, args = {}) {
+    const pool = await this.getPool();
+    const entries = Object.entries(args);
+    const params = entries.map(([key], index) => `${quoteIdentifier(key)} => $${index + 1}`);
+    const { rows, fields } = await pool.query(
+      `SELECT * FROM ${quoteIdentifier(name)}(${params.join(', ')})`,
+      entries.map(([, value]) => value)
+    );
+
+    // Scalar functions come back as a single column named after the function
+    if (fields.length === 1 && fields[0].name === name) {
+      return { data: rows[0]?.[name] ?? null };
+    }
+    return { data: rows };
+  }
+
+  /**
+   * Apply migration files not yet recorded in monolith_storage_migrations
+   * @returns {Array} [{ file }] for newly applied files
+   */
+  async migrate(files) {
+    const pool = await this.getPool();
+    await pool.query(`CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (name TEXT PRIMARY KEY, applied_at TIMESTAMPTZ DEFAULT NOW())`);
+    const { rows } = await pool.query(`SELECT name FROM ${MIGRATIONS_TABLE}`);
+    const applied = new Set(rows.map((row) => row.name));
+    const results = [];
+
+    for (const file of files) {
+      const name = migrationName(file);
+      if (applied.has(name)) continue;
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(fs.readFileSync(file, 'utf8'));
+        await client.query(`INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES ($1)`, [name]);
+        await client.query('COMMIT');
+        results.push({ file: name });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${name} failed: ${error.message}`);
+      } finally {
+        client.release();
+      }
+    }
+
+    this.columnTypes.clear();
+    return results;
+  }
+
+  async close() {
+    await this.pool?.end();
+    this.pool = null;
+  }
+}
+
+export { PostgresAdapter };
+export default PostgresAdapter;
@@ -0,0 +1,280 @@
+/**
+ * MONOLITH OS - Storage Query Builder
+ * The subset of the supabase-js query builder the agent system uses, for
+ * adapters that are not Supabase. A builder records the query and hands it to
+ * the adapter's execute(query) when awaited, resolving like supabase-js does:
+ * { data, error, count, status } and never rejecting.
+ *
+ *   await client.from('monolith_amendments').select('id, status').eq('agent_role', 'cfo').order('created_at', { ascending: false }).limit(5)
+ */
+
+const FILTER_OPERATORS = new Set(['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in', 'cs', 'cd', 'ov']);
+
+/**
+ * Decode a PostgREST filter value ('null', 'true', '(a,b)') into a JS value
+ */
+function decodeFilterValue(operator, raw) {
+  if (typeof raw !== 'string') return raw;
+  if (operator === 'in') {
+    return raw.replace(/^\(|\)$/g, '').split(',').map((item) => item.trim().replace(/^"(.*)"$/, '$1'));
+  }
+  if (operator === 'cs' || operator === 'cd' || operator === 'ov') {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith('{') && !trimmed.includes(':')) {
+      return trimmed.slice(1, -1).split(',').map((item) => item.trim()).filter(Boolean);
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return raw;
+    }
+  }
+  if (raw === 'null') return null;
+  if (operator === 'is' && (raw === 'true' || raw === 'false')) return raw === 'true';
+  return raw;
+}
+
+/**
+ * Parse a PostgREST logic string: 'status.eq.open,and(priority.gte.2,owner.is.null)'
+ */
+export function parseLogicString(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+
+  return parts.map((part) => {
+    const group = /^(not\.)?(and|or)\(([\s\S]*)\)$/.exec(part.trim());
+    if (group) {
+      const inner = { [group[2]]: parseLogicString(group[3]) };
+      return group[1] ? negate(inner) : inner;
+    }
+
+    const match = /^([^.]+)\.(not\.)?([a-z]+)\.([\s\S]*)$/.exec(part.trim());
+    if (!match || !FILTER_OPERATORS.has(match[3])) {
+      throw new Error(`Unsupported filter: ${part}`);
+    }
+    return { column: match[1], operator: match[3], value: decodeFilterValue(match[3], match[4]), negate: Boolean(match[2]) };
+  });
+}
+
+/**
+ * not(and(...)) == or(not ...), not(or(...)) == and(not ...)
+ */
+function negate(filter) {
+  if (filter.or) return { and: filter.or.map(negate) };
+  if (filter.and) return { or: filter.and.map(negate) };
+  return { ...filter, negate: !filter.negate };
+}
+
+class QueryBuilder {
+  /**
+   * @param {Function} execute - async (query) => { data, count }
+   * @param {string} table - Table name
+   */
+  constructor(execute, table) {
+    this.executeQuery = execute;
+    this.query = {
+      table,
+      action: 'select',
+      columns: '*',
+      values: null,
+      options: {},
+      filters: [],
+      order: [],
+      limit: null,
+      offset: null,
+      returning: false,
+      count: null,
+      head: false,
+      single: null,
+    };
+  }
+
+  // --------------------------------------------------------------------------
+  // Actions
+  // --------------------------------------------------------------------------
+
+  select(columns = '*', options = {}) {
+    if (this.query.action === 'select') {
+      this.query.columns = columns;
+      this.query.count = options.count || null;
+      this.query.head = Boolean(options.head);
+    } else {
+      this.query.returning = true;
+      this.query.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values, options = {}) {
+    return this.write('insert', values, options);
+  }
+
+  upsert(values, options = {}) {
+    return this.write('upsert', values, options);
+  }
+
+  update(values, options = {}) {
+    return this.write('update', values, options);
+  }
+
+  delete(options = {}) {
+    return this.write('delete', null, options);
+  }
+
+  write(action, values, options) {
+    this.query.action = action;
+    this.query.values = values;
+    this.query.options = options;
+    this.query.count = options.count || null;
+    return this;
+  }
+
+  // --------------------------------------------------------------------------
+  // Filters
+  // --------------------------------------------------------------------------
+
+  filter(column, operator, value) {
+    const negated = operator.startsWith('not.');
+    const name = negated ? operator.slice(4) : operator;
+    if (!FILTER_OPERATORS.has(name)) {
+      throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+    this.query.filters.push({ column, operator: name, value: decodeFilterValue(name, value), negate: negated });
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, pattern) { return this.addFilter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ilike', pattern); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+  contains(column, value) { return this.addFilter(column, 'cs', value); }
+  containedBy(column, value) { return this.addFilter(column, 'cd', value); }
+  overlaps(column, value) { return this.addFilter(column, 'ov', value); }
+
+  not(column, operator, value) {
+    return this.filter(column, `not.${operator}`, value);
+  }
+
+  or(filters) {
+    this.query.filters.push({ or: parseLogicString(filters) });
+    return this;
+  }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  addFilter(column, operator, value) {
+    this.query.filters.push({ column, operator, value, negate: false });
+    return this;
+  }
+
+  // --------------------------------------------------------------------------
+  // Modifiers
+  // --------------------------------------------------------------------------
+
+  order(column, options = {}) {
+    this.query.order.push({ column, ascending: options.ascending !== false, nullsFirst: options.nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.query.limit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.query.offset = from;
+    this.query.limit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.query.single = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.query.single = 'maybe';
+    return this;
+  }
+
+  // --------------------------------------------------------------------------
+  // Execution
+  // --------------------------------------------------------------------------
+
+  async execute() {
+    const { query } = this;
+    try {
+      const result = await this.executeQuery(query);
+      let data = query.action === 'select' || query.returning ? result.data : null;
+      const count = query.count ? result.count : null;
+
+      if (query.head) {
+        data = null;
+      } else if (query.single && Array.isArray(data)) {
+        if (data.length > 1 || (data.length === 0 && query.single === 'single')) {
+          return {
+            data: null,
+            error: {
+              code: 'PGRST116',
+              message: 'JSON object requested, multiple (or no) rows returned',
+              details: `The result contains ${data.length} rows`,
+            },
+            count,
+            status: 406,
+          };
+        }
+        data = data[0] ?? null;
+      }
+
+      return { data, error: null, count, status: query.action === 'insert' ? 201 : 200 };
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || null }, count: null, status: 400 };
+    }
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * supabase-js compatible client over an adapter ({ execute(query), rpc(name, args) })
+ */
+export function createQueryClient(adapter) {
+  return {
+    adapter,
+    from: (table) => new QueryBuilder((query) => adapter.execute(query), table),
+    rpc: async (name, args = {}) => {
+      try {
+        const { data } = await adapter.rpc(name, args);
+        return { data, error: null, status: 200 };
+      } catch (error) {
+        return { data: null, error: { message: error.message, code: error.code || null }, status: 400 };
+      }
+    },
+  };
+}
+
+export { QueryBuilder };
+export default QueryBuilder;
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for the embedded local store
+ * Tests the SQL migration interpreter and supabase-js compatible queries
+ */
+
+import { LocalStore } from '../LocalStore.js';
+import { createQueryClient, parseLogicString } from '../QueryBuilder.js';
+import { applySql, splitStatements, parseLiteral } from '../sql.js';
+import { migrationFiles } from '../index.js';
+
+const SCHEMA = `
+  -- Tasks table
+  CREATE TABLE IF NOT EXISTS tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    priority INTEGER DEFAULT 2,
+    owner TEXT,
+    tags TEXT[] DEFAULT '{}',
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(title)
+  );
+  CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+  CREATE OR REPLACE FUNCTION touch() RETURNS trigger AS $$
+  BEGIN
+    NEW.created_at = NOW(); RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+  ALTER TABLE tasks ADD COLUMN IF NOT EXISTS archived BOOLEAN DEFAULT false;
+  INSERT INTO tasks (title, priority) VALUES ('seeded; with semicolon', 1) ON CONFLICT (title) DO NOTHING;
+`;
+
+function createClient() {
+  const store = new LocalStore({ file: ':memory:' });
+  applySql(store, SCHEMA);
+  return { store, client: createQueryClient(store) };
+}
+
+describe('sql', () => {
+  test('splits statements around comments, quotes and dollar-quoted bodies', () => {
+    const statements = splitStatements(SCHEMA);
+    expect(statements).toHaveLength(5);
+    expect(statements[2]).toMatch(/^CREATE OR REPLACE FUNCTION/);
+    expect(statements[4]).toContain("'seeded; with semicolon'");
+  });
+
+  test('parses literals and casts', () => {
+    expect(parseLiteral("'{}'::jsonb", 'json')).toEqual({ value: {} });
+    expect(parseLiteral("'{a,b}'", 'array')).toEqual({ value: ['a', 'b'] });
+    expect(parseLiteral('TRUE', 'boolean')).toEqual({ value: true });
+    expect(parseLiteral('NOW()')).toEqual({ default: 'now' });
+  });
+
+  test('applies tables, columns and seed rows, ignoring functions and indexes', () => {
+    const store = new LocalStore({ file: ':memory:' });
+    const result = applySql(store, SCHEMA);
+
+    expect(result.applied).toBe(3);
+    expect(result.ignored).toBe(2);
+    expect(store.describeTable('tasks').columns.archived).toBeDefined();
+    expect(store.stats()).toEqual({ tasks: 1 });
+  });
+});
+
+describe('LocalStore queries', () => {
+  let client;
+
+  beforeEach(async () => {
+    ({ client } = createClient());
+    await client.from('tasks').insert([
+      { title: 'Review budget', status: 'open', priority: 3, owner: 'cfo', tags: ['finance'], metadata: { region: 'eu' } },
+      { title: 'Ship release', status: 'open', priority: 2, owner: 'cto', tags: ['eng', 'release'] },
+      { title: 'Hire designer', status: 'done', priority: 1, tags: ['people'] },
+    ]);
+  });
+
+  test('fills column defaults on insert and returns rows with select()', async () => {
+    const { data, error, status } = await client.from('tasks').insert({ title: 'New task' }).select().single();
+
+    expect(error).toBeNull();
+    expect(status).toBe(201);
+    expect(data.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(data.status).toBe('pending');
+    expect(data.archived).toBe(false);
+    expect(data.metadata).toEqual({});
+  });
+
+  test('filters, orders, limits and projects columns', async () => {
+    const { data } = await client.from('tasks')
+      .select('title, level:priority')
+      .eq('status', 'open')
+      .order('priority', { ascending: false })
+      .limit(1);
+
+    expect(data).toEqual([{ title: 'Review budget', level: 3 }]);
+  });
+
+  test('supports or(), not(), in(), contains() and json paths', async () => {
+    const titles = async (query) => (await query).data.map((row) => row.title).sort();
+
+    expect(await titles(client.from('tasks').select('title').or('owner.eq.cto,priority.lt.2'))).toEqual(['Hire designer', 'Ship release', 'seeded; with semicolon']);
+    expect(await titles(client.from('tasks').select('title').not('owner', 'is', null).in('status', ['open']))).toEqual(['Review budget', 'Ship release']);
+    expect(await titles(client.from('tasks').select('title').contains('tags', ['release']))).toEqual(['Ship release']);
+    expect(await titles(client.from('tasks').select('title').eq('metadata->>region', 'eu'))).toEqual(['Review budget']);
+  });
+
+  test('counts rows with head requests', async () => {
+    const { data, count } = await client.from('tasks').select('*', { count: 'exact', head: true }).eq('status', 'open');
+
+    expect(data).toBeNull();
+    expect(count).toBe(2);
+  });
+
+  test('updates, upserts and deletes', async () => {
+    await client.from('tasks').update({ status: 'done' }).eq('owner', 'cto');
+    await client.from('tasks').upsert({ title: 'Review budget', priority: 5 }, { onConflict: 'title' });
+    await client.from('tasks').delete().eq('title', 'Hire designer');
+
+    const { data } = await client.from('tasks').select('title, status, priority').order('title');
+    expect(data).toEqual([
+      { title: 'Review budget', status: 'open', priority: 5 },
+      { title: 'seeded; with semicolon', status: 'pending', priority: 1 },
+      { title: 'Ship release', status: 'done', priority: 2 },
+    ]);
+  });
+
+  test('resolves constraint violations as PostgREST errors', async () => {
+    const duplicate = await client.from('tasks').insert({ title: 'Ship release' });
+    const missing = await client.from('tasks').insert({ status: 'open' });
+    const none = await client.from('tasks').select().eq('title', 'Nope').single();
+    const maybe = await client.from('tasks').select().eq('title', 'Nope').maybeSingle();
+
+    expect(duplicate.error.code).toBe('23505');
+    expect(missing.error.code).toBe('23502');
+    expect(none.error.code).toBe('PGRST116');
+    expect(maybe).toMatchObject({ data: null, error: null });
+  });
+
+  test('creates unknown tables on first write', async () => {
+    await client.from('monolith_agents').insert({ role: 'cfo', active: true });
+    const { data } = await client.from('monolith_agents').select('role').eq('active', true);
+
+    expect(data).toEqual([{ role: 'cfo' }]);
+  });
+
+  test('calls registered functions through rpc()', async () => {
+    const { store } = createClient();
+    store.defineFunction('open_count', (args, local) => local.table('tasks').rows.filter((row) => row.status === args.status).length);
+    const local = createQueryClient(store);
+
+    expect(await local.rpc('open_count', { status: 'pending' })).toMatchObject({ data: 1, error: null });
+    expect((await local.rpc('missing')).error.code).toBe('PGRST202');
+  });
+});
+
+describe('parseLogicString', () => {
+  test('parses nested groups and negation', () => {
+    expect(parseLogicString('status.eq.open,not.and(priority.gte.2,owner.is.null)')).toEqual([
+      { column: 'status', operator: 'eq', value: 'open', negate: false },
+      {
+        or: [
+          { column: 'priority', operator: 'gte', value: '2', negate: true },
+          { column: 'owner', operator: 'is', value: null, negate: true },
+        ],
+      },
+    ]);
+  });
+});
+
+describe('repository migrations', () => {
+  test('build a local store from the neural-stack and database migrations', () => {
+    const store = new LocalStore({ file: ':memory:' });
+    const results = store.migrate(migrationFiles());
+    const tables = store.stats();
+
+    expect(results.length).toBe(migrationFiles().length);
+    expect(tables).toHaveProperty('monolith_amendments');
+    expect(tables).toHaveProperty('monolith_task_queue');
+    expect(store.migrate(migrationFiles())).toEqual([]);
+  });
+});
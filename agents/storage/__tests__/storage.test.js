@@ -0,0 +1,106 @@
+/**
+ * Unit tests for storage adapter selection and the Postgres SQL compiler
+ */
+
+import { resolveStorage, getStorageClient, describeStorage, resetStorage } from '../index.js';
+import { SqlCompiler, quoteIdentifier } from '../PostgresAdapter.js';
+import QueryBuilder from '../QueryBuilder.js';
+
+const ENV_KEYS = ['STORAGE_ADAPTER', 'STORAGE_PATH', 'DATABASE_URL', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SUPABASE_ANON_KEY'];
+
+describe('resolveStorage', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(async () => {
+    ENV_KEYS.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+    await resetStorage();
+  });
+
+  test('is offline when nothing is configured', () => {
+    expect(resolveStorage().adapter).toBe('none');
+    expect(getStorageClient()).toBeNull();
+    expect(describeStorage()).toBe('offline (no storage configured)');
+  });
+
+  test('prefers supabase credentials, then DATABASE_URL', () => {
+    process.env.DATABASE_URL = 'postgres://localhost/monolith';
+    expect(resolveStorage().adapter).toBe('postgres');
+
+    process.env.SUPABASE_URL = 'https://example.supabase.co';
+    process.env.SUPABASE_ANON_KEY = 'anon';
+    expect(resolveStorage().adapter).toBe('supabase');
+  });
+
+  test('honours STORAGE_ADAPTER and explicit config', () => {
+    process.env.STORAGE_ADAPTER = 'local';
+    process.env.STORAGE_PATH = ':memory:';
+    expect(resolveStorage()).toMatchObject({ adapter: 'local', storagePath: ':memory:' });
+    expect(resolveStorage({ supabaseUrl: 'https://x.supabase.co', supabaseKey: 'key' }).adapter).toBe('supabase');
+    expect(() => resolveStorage({ adapter: 'mysql' })).toThrow('Unknown STORAGE_ADAPTER');
+  });
+
+  test('falls back to offline when the chosen adapter is missing settings', () => {
+    process.env.STORAGE_ADAPTER = 'postgres';
+    expect(resolveStorage()).toMatchObject({ adapter: 'none', reason: 'DATABASE_URL is not set' });
+  });
+
+  test('shares one client per storage', () => {
+    const first = getStorageClient({ adapter: 'local', storagePath: ':memory:' });
+    const second = getStorageClient({ adapter: 'local', storagePath: ':memory:' });
+
+    expect(first).toBe(second);
+    expect(typeof first.from).toBe('function');
+  });
+});
+
+describe('SqlCompiler', () => {
+  const compile = (build, columnTypes) => {
+    const builder = build(new QueryBuilder(null, 'monolith_tasks'));
+    return new SqlCompiler(columnTypes).compile(builder.query);
+  };
+
+  test('quotes identifiers and json paths', () => {
+    expect(quoteIdentifier('status')).toBe('"status"');
+    expect(quoteIdentifier('metadata->>region')).toBe(`"metadata"->>'region'`);
+  });
+
+  test('compiles selects with filters, order and paging', () => {
+    const { text, values } = compile((q) => q.select('id, name:title').eq('status', 'open').in('priority', [1, 2]).order('created_at', { ascending: false }).range(10, 19));
+
+    expect(text).toBe('SELECT "id", "title" AS "name" FROM "monolith_tasks" WHERE "status" = $1 AND "priority" = ANY($2) ORDER BY "created_at" DESC LIMIT 10 OFFSET 10');
+    expect(values).toEqual(['open', [1, 2]]);
+  });
+
+  test('compiles or groups and negated filters', () => {
+    const { text } = compile((q) => q.select('*').or('owner.is.null,priority.gt.2').not('status', 'eq', 'done'));
+
+    expect(text).toBe('SELECT * FROM "monolith_tasks" WHERE ("owner" IS NULL OR "priority" > $1) AND NOT ("status" = $2)');
+  });
+
+  test('compiles upserts and encodes json columns', () => {
+    const { text, values } = compile(
+      (q) => q.upsert({ task_id: 't1', metadata: { a: 1 }, tags: ['x'] }, { onConflict: 'task_id' }).select('id'),
+      { metadata: 'jsonb', tags: 'ARRAY' }
+    );
+
+    expect(text).toBe('INSERT INTO "monolith_tasks" ("task_id", "metadata", "tags") VALUES ($1, $2, $3) ON CONFLICT ("task_id") DO UPDATE SET "metadata" = EXCLUDED."metadata", "tags" = EXCLUDED."tags" RETURNING "id"');
+    expect(values).toEqual(['t1', '{"a":1}', ['x']]);
+  });
+
+  test('compiles updates and deletes', () => {
+    expect(compile((q) => q.update({ status: 'done' }).eq('id', 5)).text)
+      .toBe('UPDATE "monolith_tasks" SET "status" = $1 WHERE "id" = $2 RETURNING *');
+    expect(compile((q) => q.delete().lt('created_at', '2025-01-01')).text)
+      .toBe('DELETE FROM "monolith_tasks" WHERE "created_at" < $1 RETURNING *');
+  });
+});
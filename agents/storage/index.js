@@ -0,0 +1,197 @@
+/**
+ * MONOLITH OS - Storage
+ * The one place the agent system gets its database client from. Every adapter
+ * hands back a supabase-js compatible client (from(), select(), eq(), rpc() ...),
+ * so modules written against Supabase run unchanged on any of them.
+ *
+ *   STORAGE_ADAPTER=supabase  SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY (or SUPABASE_ANON_KEY)
+ *   STORAGE_ADAPTER=postgres  DATABASE_URL, schema from database/schema.sql + migrations
+ *   STORAGE_ADAPTER=local     embedded store in STORAGE_PATH (default agents/data/local-store.json,
+ *                             ':memory:' for a throwaway store), built from the same migrations;
+ *                             rpc() runs the JavaScript functions in localFunctions.js
+ *   STORAGE_ADAPTER=none      offline mode
+ *
+ * Without STORAGE_ADAPTER: supabase when its credentials are set, else postgres
+ * when DATABASE_URL is set, else offline.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import LocalStore from './LocalStore.js';
+import PostgresAdapter from './PostgresAdapter.js';
+import { createQueryClient } from './QueryBuilder.js';
+import { LOCAL_FUNCTIONS } from './localFunctions.js';
+import { migrationName } from './sql.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+export const STORAGE_ADAPTERS = ['supabase', 'postgres', 'local', 'none'];
+export const DEFAULT_LOCAL_PATH = path.join(__dirname, '..', 'data', 'local-store.json');
+
+/**
+ * Migration scripts in the order they are applied. The neural-stack migrations
+ * go first: where both sets define a table (monolith_knowledge_bots) the
+ * agents query the neural-stack shape, and later CREATE TABLE IF NOT EXISTS
+ * statements leave it alone.
+ */
+export const MIGRATION_SOURCES = [
+  path.join(__dirname, '..', 'neural-stack'),
+  path.join(REPO_ROOT, 'database', 'schema.sql'),
+  path.join(REPO_ROOT, 'database', 'migrations'),
+];
+
+const clients = new Map();
+
+/**
+ * Ordered list of migration files
+ */
+export function migrationFiles(sources = MIGRATION_SOURCES) {
+  return sources.flatMap((source) => {
+    if (!fs.existsSync(source)) return [];
+    if (fs.statSync(source).isFile()) return [source];
+    return fs.readdirSync(source)
+      .filter((name) => /^\d+_.*\.sql$/.test(name))
+      .sort()
+      .map((name) => path.join(source, name));
+  });
+}
+
+/**
+ * Work out which adapter to use
+ * @param {Object} config - { adapter, supabaseUrl, supabaseKey, databaseUrl, storagePath }
+ * @returns {Object} { adapter, ...settings }
+ */
+export function resolveStorage(config = {}) {
+  const supabaseUrl = config.supabaseUrl || process.env.SUPABASE_URL;
+  const supabaseKey = config.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+  const databaseUrl = config.databaseUrl || process.env.DATABASE_URL;
+
+  // Credentials handed to a module explicitly mean Supabase, as they always have
+  let adapter = config.adapter || (config.supabaseUrl && config.supabaseKey ? 'supabase' : process.env.STORAGE_ADAPTER);
+  if (!adapter) {
+    adapter = supabaseUrl && supabaseKey ? 'supabase' : databaseUrl ? 'postgres' : 'none';
+  }
+  adapter = adapter.toLowerCase();
+
+  if (!STORAGE_ADAPTERS.includes(adapter)) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${adapter}" (expected one of: ${STORAGE_ADAPTERS.join(', ')})`);
+  }
+  if (adapter === 'supabase' && !(supabaseUrl && supabaseKey)) {
+    return { adapter: 'none', reason: 'SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY/SUPABASE_ANON_KEY are not set' };
+  }
+  if (adapter === 'postgres' && !databaseUrl) {
+    return { adapter: 'none', reason: 'DATABASE_URL is not set' };
+  }
+
+  return {
+    adapter,
+    supabaseUrl,
+    supabaseKey,
+    databaseUrl,
+    storagePath: config.storagePath || process.env.STORAGE_PATH || DEFAULT_LOCAL_PATH,
+    reason: adapter === 'none' ? 'no storage configured' : null,
+  };
+}
+
+/**
+ * Shared client for the configured storage, or null in offline mode
+ * @param {Object} config - See resolveStorage
+ * @returns {Object|null} supabase-js compatible client
+ */
+export function getStorageClient(config = {}) {
+  const settings = resolveStorage(config);
+  if (settings.adapter === 'none') {
+    return null;
+  }
+
+  const key = settings.adapter === 'supabase' ? `supabase:${settings.supabaseUrl}:${settings.supabaseKey}`
+    : settings.adapter === 'postgres' ? `postgres:${settings.databaseUrl}`
+      : `local:${settings.storagePath}`;
+
+  if (!clients.has(key)) {
+    clients.set(key, createStorageClient(settings));
+  }
+  return clients.get(key);
+}
+
+function createStorageClient(settings) {
+  switch (settings.adapter) {
+    case 'supabase':
+      return createClient(settings.supabaseUrl, settings.supabaseKey, {
+        auth: {
+          autoRefreshToken: true,
+          persistSession: false,
+        },
+      });
+    case 'postgres':
+      return createQueryClient(new PostgresAdapter({ connectionString: settings.databaseUrl }));
+    case 'local': {
+      const store = new LocalStore({ file: settings.storagePath });
+      reportMigrations(store.migrate(migrationFiles()));
+      for (const [name, implementation] of Object.entries(LOCAL_FUNCTIONS)) {
+        store.defineFunction(name, implementation);
+      }
+      return createQueryClient(store);
+    }
+    default:
+      throw new Error(`Unknown storage adapter: ${settings.adapter}`);
+  }
+}
+
+function reportMigrations(results) {
+  for (const result of results) {
+    const skipped = result.skipped?.length ? `, ${result.skipped.length} skipped` : '';
+    console.log(`[STORAGE] Applied ${result.file}${result.applied !== undefined ? ` (${result.applied} statements${skipped})` : ''}`);
+    for (const { statement, reason } of result.skipped || []) {
+      console.warn(`[STORAGE]   skipped "${statement}": ${reason}`);
+    }
+  }
+}
+
+/**
+ * Human-readable name of the active storage, for startup logs and health checks
+ */
+export function describeStorage(config = {}) {
+  const settings = resolveStorage(config);
+  switch (settings.adapter) {
+    case 'supabase': return 'supabase';
+    case 'postgres': return 'postgres';
+    case 'local': return `local (${settings.storagePath})`;
+    default: return `offline (${settings.reason})`;
+  }
+}
+
+/**
+ * Apply pending migrations to the configured storage (postgres or local;
+ * Supabase projects are migrated with the Supabase CLI/dashboard)
+ * @returns {Promise<Array>} Newly applied migrations
+ */
+export async function migrateStorage(config = {}) {
+  const settings = resolveStorage(config);
+  const client = getStorageClient(config);
+
+  if (settings.adapter === 'supabase') {
+    throw new Error('Supabase projects are migrated with the Supabase CLI or dashboard');
+  }
+  if (!client) {
+    throw new Error(`No storage to migrate: ${settings.reason}`);
+  }
+
+  const results = await client.adapter.migrate(migrationFiles());
+  reportMigrations(results);
+  return results;
+}
+
+/**
+ * Drop cached clients (closing postgres pools); the next getStorageClient() reconnects
+ */
+export async function resetStorage() {
+  const closing = [...clients.values()].map((client) => client.adapter?.close?.());
+  clients.clear();
+  await Promise.all(closing);
+}
+
+export { LocalStore, PostgresAdapter, createQueryClient, migrationName };
@@ -0,0 +1,45 @@
+/**
+ * MONOLITH OS - Local Store Functions
+ * JavaScript versions of the SQL functions the migrations define, registered
+ * on the embedded store so rpc() calls behave as they do on Postgres.
+ */
+
+// budget_charges column holding each scope's subject
+const CHARGE_COLUMNS = { tenant: 'tenant_id', role: 'role', task: 'task_id' };
+
+const time = (value) => new Date(value).getTime();
+
+/**
+ * budget_spend (database/migrations/024): charge totals per tenant, role and task
+ */
+function budgetSpend({ p_since = null, p_day_start, p_scope = null, p_subject = null, p_table = 'budget_charges' }, store) {
+  const rows = store.table(p_table)?.rows || [];
+  const totals = new Map();
+
+  for (const [scope, column] of Object.entries(CHARGE_COLUMNS)) {
+    if (p_scope && p_scope !== scope) continue;
+
+    for (const row of rows) {
+      const subject = row[column];
+      if (subject == null) continue;
+      if (p_subject != null && String(subject) !== String(p_subject)) continue;
+      if (p_since && time(row.charged_at) < time(p_since)) continue;
+
+      const key = `${scope}:${subject}`;
+      const total = totals.get(key) || { scope, subject: String(subject), day_cost: 0, period_cost: 0, charges: 0 };
+      const cost = Number(row.cost) || 0;
+      if (time(row.charged_at) >= time(p_day_start)) total.day_cost += cost;
+      total.period_cost += cost;
+      total.charges += 1;
+      totals.set(key, total);
+    }
+  }
+
+  return [...totals.values()];
+}
+
+export const LOCAL_FUNCTIONS = {
+  budget_spend: budgetSpend,
+};
+
+export default LOCAL_FUNCTIONS;
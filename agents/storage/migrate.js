@@ -0,0 +1,19 @@
+/**
+ * Apply pending migrations to the configured storage
+ *
+ *   npm run storage:migrate                         # postgres via DATABASE_URL
+ *   STORAGE_ADAPTER=local npm run storage:migrate   # local store in STORAGE_PATH
+ */
+
+import 'dotenv/config';
+import { describeStorage, migrateStorage, resetStorage } from './index.js';
+
+try {
+  console.log(`[STORAGE] Migrating ${describeStorage()}`);
+  const applied = await migrateStorage();
+  console.log(`[STORAGE] ${applied.length ? `${applied.length} migration(s) applied` : 'Already up to date'}`);
+  await resetStorage();
+} catch (error) {
+  console.error(`[STORAGE] ${error.message}`);
+  process.exitCode = 1;
+}
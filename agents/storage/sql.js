@@ -0,0 +1,439 @@
+/**
+ * MONOLITH OS - SQL Migration Interpreter
+ * Applies the DDL and seed statements of the Postgres migrations to the
+ * embedded LocalStore: CREATE TABLE, ALTER TABLE ... ADD COLUMN, INSERT ...
+ * VALUES (with ON CONFLICT) and simple UPDATE ... WHERE col = value.
+ *
+ * Everything Postgres-specific (indexes, functions, triggers, views, policies,
+ * grants, comments, extensions) has no meaning in the local store and is
+ * skipped. Statements that look applicable but use expressions the
+ * interpreter does not understand are reported back as skipped, never guessed.
+ */
+
+import path from 'path';
+
+const IGNORED_STATEMENTS = /^(CREATE\s+(UNIQUE\s+)?INDEX|CREATE\s+(OR\s+REPLACE\s+)?(FUNCTION|VIEW|TRIGGER|POLICY|EXTENSION|TYPE)|DROP\s|COMMENT\s|GRANT\s|REVOKE\s|DO\s|SELECT\s|BEGIN|COMMIT|SET\s|ALTER\s+TABLE\s+\S+\s+(ENABLE|DISABLE|FORCE))/i;
+
+/**
+ * Name a migration is recorded under: its directory and file name,
+ * e.g. 'neural-stack/001_neural_stack_schema.sql'
+ */
+export const migrationName = (file) => `${path.basename(path.dirname(file))}/${path.basename(file)}`;
+
+/**
+ * Split a SQL script into statements, respecting quotes, comments and
+ * dollar-quoted function bodies
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const rest = sql.slice(i);
+
+    if (rest.startsWith('--')) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+      current += '\n';
+      continue;
+    }
+    if (rest.startsWith('/*')) {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      current += ' ';
+      continue;
+    }
+
+    const dollar = /^\$[A-Za-z_]*\$/.exec(rest);
+    if (dollar) {
+      const end = sql.indexOf(dollar[0], i + dollar[0].length);
+      const stop = end === -1 ? sql.length : end + dollar[0].length;
+      current += sql.slice(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (sql[i] === "'") {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === "'" && sql[j + 1] === "'") {
+          j += 2;
+        } else if (sql[j] === "'") {
+          break;
+        } else {
+          j++;
+        }
+      }
+      current += sql.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    if (sql[i] === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      i++;
+      continue;
+    }
+
+    current += sql[i];
+    i++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+/**
+ * Split on commas that are not nested in parentheses, brackets or quotes
+ */
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'") {
+      if (quoted && text[i + 1] === "'") {
+        current += "''";
+        i++;
+        continue;
+      }
+      quoted = !quoted;
+    } else if (!quoted && (char === '(' || char === '[')) {
+      depth++;
+    } else if (!quoted && (char === ')' || char === ']')) {
+      depth--;
+    } else if (!quoted && depth === 0 && char === separator) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Index of the parenthesis closing the one at `start`
+ */
+function closingParen(text, start) {
+  let depth = 0;
+  let quoted = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'") {
+      if (quoted && text[i + 1] === "'") {
+        i++;
+        continue;
+      }
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth++;
+    } else if (!quoted && char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+const unquoteIdentifier = (name) => name.trim().replace(/^"(.*)"$/, '$1');
+const tableName = (name) => unquoteIdentifier(name.replace(/^public\./i, ''));
+
+/**
+ * Map a Postgres column type to the kinds the local store coerces values to
+ */
+export function columnKind(type) {
+  const normalized = type.toLowerCase();
+  if (normalized.endsWith('[]')) return 'array';
+  if (/^jsonb?\b/.test(normalized)) return 'json';
+  if (/^(small|big)?serial\b/.test(normalized)) return 'serial';
+  if (/^(smallint|integer|int|int2|int4|int8|bigint)\b/.test(normalized)) return 'integer';
+  if (/^(numeric|decimal|real|double|float)/.test(normalized)) return 'number';
+  if (/^bool/.test(normalized)) return 'boolean';
+  if (/^(timestamp|date|time)/.test(normalized)) return 'timestamp';
+  if (/^uuid\b/.test(normalized)) return 'uuid';
+  return 'text';
+}
+
+/**
+ * Parse a literal SQL value: strings, numbers, booleans, NULL, NOW(),
+ * ARRAY[...], '{...}' array literals and ::casts
+ * @returns {Object} { value } or { default: 'now' | 'uuid' } for generated values
+ * @throws when the expression is not a literal
+ */
+export function parseLiteral(source, kind = null) {
+  const { expression: text, type } = splitCast(source.trim());
+  const target = type ? columnKind(type) : kind;
+
+  if (/^\(([\s\S]*)\)$/.test(text) && closingParen(text, 0) === text.length - 1) {
+    return parseLiteral(text.slice(1, -1), target);
+  }
+  if (/^null$/i.test(text)) return { value: null };
+  if (/^(true|false)$/i.test(text)) return { value: text.toLowerCase() === 'true' };
+  if (/^-?\d+(\.\d+)?$/.test(text)) return { value: Number(text) };
+  if (/^(now\(\)|current_timestamp|current_date|timezone\('utc',\s*now\(\)\))$/i.test(text)) return { default: 'now' };
+  if (/^(uuid_generate_v4|gen_random_uuid)\(\)$/i.test(text)) return { default: 'uuid' };
+
+  if (/^ARRAY\s*\[/i.test(text) && text.endsWith(']')) {
+    const inner = text.slice(text.indexOf('[') + 1, -1);
+    return { value: splitTopLevel(inner).map((item) => parseLiteral(item).value) };
+  }
+
+  const string = /^E?'([\s\S]*)'$/i.exec(text);
+  if (string) {
+    const value = string[1].replace(/''/g, "'");
+    if (target === 'json') return { value: JSON.parse(value) };
+    if (target === 'array') return { value: parseArrayLiteral(value) };
+    if (target === 'integer' || target === 'number') return { value: Number(value) };
+    if (target === 'boolean') return { value: ['t', 'true', 'yes', 'on', '1'].includes(value.toLowerCase()) };
+    return { value };
+  }
+
+  throw new Error(`Unsupported SQL expression: ${text.slice(0, 60)}`);
+}
+
+/**
+ * `'{}'::jsonb` -> { expression: "'{}'", type: 'jsonb' }; the cast must sit outside quotes
+ */
+function splitCast(text) {
+  let quoted = false;
+  let depth = 0;
+  let castAt = -1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'") quoted = !quoted;
+    if (quoted) continue;
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    if (depth === 0 && char === ':' && text[i + 1] === ':') castAt = i;
+  }
+
+  const type = castAt === -1 ? null : text.slice(castAt + 2).trim();
+  if (!type || !/^[a-z_ ]+(\(\d+(,\s*\d+)?\))?(\[\])?$/i.test(type)) {
+    return { expression: text, type: null };
+  }
+  return { expression: text.slice(0, castAt).trim(), type };
+}
+
+/**
+ * Postgres array literal '{a,"b c"}' -> ['a', 'b c']
+ */
+function parseArrayLiteral(text) {
+  const inner = text.trim().replace(/^\{|\}$/g, '');
+  if (!inner) return [];
+  return splitTopLevel(inner).map((item) => item.replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * CREATE TABLE column list -> { columns, primaryKey, unique }
+ */
+function parseTableDefinition(body) {
+  const columns = {};
+  let primaryKey = [];
+  const unique = [];
+
+  for (const part of splitTopLevel(body)) {
+    const constraint = /^(CONSTRAINT\s+\S+\s+)?(PRIMARY\s+KEY|UNIQUE)\s*\(([^)]+)\)/i.exec(part);
+    if (constraint) {
+      const keys = constraint[3].split(',').map(unquoteIdentifier);
+      if (/^PRIMARY/i.test(constraint[2])) primaryKey = keys;
+      else unique.push(keys);
+      continue;
+    }
+    if (/^(CONSTRAINT|CHECK|FOREIGN\s+KEY|EXCLUDE)\b/i.test(part)) {
+      continue;
+    }
+
+    const column = parseColumn(part);
+    columns[column.name] = column.definition;
+    if (column.primaryKey) primaryKey = [column.name];
+    if (column.unique) unique.push([column.name]);
+  }
+
+  return { columns, primaryKey, unique };
+}
+
+/**
+ * One column definition, e.g. `score NUMERIC(5,2) NOT NULL DEFAULT 0`
+ */
+function parseColumn(text) {
+  const match = /^("[^"]+"|\S+)\s+([\s\S]*)$/.exec(text.trim());
+  const name = unquoteIdentifier(match[1]);
+  const rest = match[2];
+
+  const typeMatch = /^([a-z_]+(\s+(varying|precision|with(out)?\s+time\s+zone))*(\s*\([^)]*\))?(\s*\[\])?)/i.exec(rest);
+  const type = typeMatch ? typeMatch[1] : 'text';
+  const kind = columnKind(type);
+  const definition = { type: type.toLowerCase(), kind };
+
+  if (/\bNOT\s+NULL\b/i.test(rest)) definition.notNull = true;
+  if (kind === 'serial') definition.default = { default: 'serial' };
+
+  const defaultMatch = /\bDEFAULT\s+/i.exec(rest);
+  if (defaultMatch) {
+    const expression = readExpression(rest.slice(defaultMatch.index + defaultMatch[0].length));
+    try {
+      definition.default = parseLiteral(expression, kind);
+    } catch {
+      // Computed defaults the store cannot evaluate leave the column unset
+    }
+  }
+
+  return {
+    name,
+    definition,
+    primaryKey: /\bPRIMARY\s+KEY\b/i.test(rest),
+    unique: /\bUNIQUE\b/i.test(rest),
+  };
+}
+
+/**
+ * Read a DEFAULT expression up to the next column keyword
+ */
+function readExpression(text) {
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'") quoted = !quoted;
+    if (quoted) continue;
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    if (depth === 0 && /\s/.test(char) && /^\s+(NOT\s+NULL|NULL|CHECK|REFERENCES|UNIQUE|PRIMARY|CONSTRAINT|GENERATED)\b/i.test(text.slice(i))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * `a = EXCLUDED.a, b = NOW()` -> [{ column, excluded } | { column, value }]
+ */
+function parseAssignments(text, table) {
+  return splitTopLevel(text).map((assignment) => {
+    const [, column, expression] = /^("[^"]+"|[\w.]+)\s*=\s*([\s\S]+)$/.exec(assignment.trim());
+    const name = unquoteIdentifier(column);
+    const excluded = /^EXCLUDED\.("[^"]+"|\w+)$/i.exec(expression.trim());
+    if (excluded) {
+      return { column: name, excluded: unquoteIdentifier(excluded[1]) };
+    }
+    return { column: name, literal: parseLiteral(expression, table?.columns[name]?.kind) };
+  });
+}
+
+/**
+ * Apply one statement to the store
+ * @returns {string} 'applied' | 'ignored'
+ * @throws when a data/DDL statement uses constructs the interpreter cannot apply
+ */
+export function applyStatement(store, statement) {
+  if (IGNORED_STATEMENTS.test(statement)) {
+    return 'ignored';
+  }
+
+  const create = /^CREATE\s+TABLE\s+(IF\s+NOT\s+EXISTS\s+)?("[^"]+"|[\w.]+)\s*\(/i.exec(statement);
+  if (create) {
+    const open = create[0].length - 1;
+    const body = statement.slice(open + 1, closingParen(statement, open));
+    store.createTable(tableName(create[2]), parseTableDefinition(body));
+    return 'applied';
+  }
+
+  const alter = /^ALTER\s+TABLE\s+(IF\s+EXISTS\s+)?(ONLY\s+)?("[^"]+"|[\w.]+)\s+([\s\S]+)$/i.exec(statement);
+  if (alter) {
+    const name = tableName(alter[3]);
+    for (const action of splitTopLevel(alter[4])) {
+      const add = /^ADD\s+(COLUMN\s+)?(IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i.exec(action);
+      if (add && !/^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)\b/i.test(add[3])) {
+        const column = parseColumn(add[3]);
+        store.addColumn(name, column.name, column.definition);
+        if (column.unique) store.addUnique(name, [column.name]);
+      } else if (/^(ADD\s+CONSTRAINT|DROP\s+CONSTRAINT|ALTER\s+COLUMN)\b/i.test(action)) {
+        // Constraint changes are not enforced locally
+      } else {
+        throw new Error(`Unsupported ALTER TABLE action: ${action.slice(0, 60)}`);
+      }
+    }
+    return 'applied';
+  }
+
+  const insert = /^INSERT\s+INTO\s+("[^"]+"|[\w.]+)\s*\(([^)]*)\)\s*VALUES\s*/i.exec(statement);
+  if (insert) {
+    const name = tableName(insert[1]);
+    const columns = insert[2].split(',').map(unquoteIdentifier);
+    const rest = statement.slice(insert[0].length);
+    const conflictAt = rest.search(/\bON\s+CONFLICT\b/i);
+    const valuesText = conflictAt === -1 ? rest : rest.slice(0, conflictAt);
+    const table = store.describeTable(name);
+
+    const rows = splitTopLevel(valuesText.trim()).map((tuple) => {
+      const values = splitTopLevel(tuple.trim().replace(/^\(|\)$/g, ''));
+      if (values.length !== columns.length) {
+        throw new Error(`INSERT INTO ${name}: ${columns.length} columns but ${values.length} values`);
+      }
+      return Object.fromEntries(columns.map((column, index) => {
+        const literal = parseLiteral(values[index], table?.columns[column]?.kind);
+        return [column, literal];
+      }));
+    });
+
+    let onConflict = null;
+    if (conflictAt !== -1) {
+      const conflict = /^ON\s+CONFLICT\s*(\(([^)]*)\))?\s*DO\s+(NOTHING|UPDATE\s+SET\s+([\s\S]+?))(\s+WHERE\s+[\s\S]+)?$/i.exec(rest.slice(conflictAt).trim());
+      if (!conflict) {
+        throw new Error(`Unsupported ON CONFLICT clause in INSERT INTO ${name}`);
+      }
+      onConflict = {
+        columns: conflict[2] ? conflict[2].split(',').map(unquoteIdentifier) : null,
+        assignments: conflict[4] ? parseAssignments(conflict[4], table) : null,
+      };
+    }
+
+    store.insertLiteralRows(name, rows, onConflict);
+    return 'applied';
+  }
+
+  const update = /^UPDATE\s+("[^"]+"|[\w.]+)\s+SET\s+([\s\S]+?)\s+WHERE\s+([\s\S]+)$/i.exec(statement);
+  if (update) {
+    const name = tableName(update[1]);
+    const table = store.describeTable(name);
+    const assignments = parseAssignments(update[2], table);
+    if (assignments.some((assignment) => assignment.excluded)) {
+      throw new Error(`Unsupported UPDATE of ${name}`);
+    }
+    const conditions = update[3].split(/\s+AND\s+/i).map((condition) => {
+      const match = /^("[^"]+"|\w+)\s*=\s*([\s\S]+)$/.exec(condition.trim());
+      if (!match) throw new Error(`Unsupported WHERE clause in UPDATE of ${name}`);
+      const column = unquoteIdentifier(match[1]);
+      return { column, value: parseLiteral(match[2], table?.columns[column]?.kind).value };
+    });
+    store.updateLiteralRows(name, assignments, conditions);
+    return 'applied';
+  }
+
+  throw new Error(`Unsupported statement: ${statement.slice(0, 60).replace(/\s+/g, ' ')}`);
+}
+
+/**
+ * Apply a whole migration script
+ * @returns {Object} { applied, ignored, skipped: [{ statement, reason }] }
+ */
+export function applySql(store, sql) {
+  const summary = { applied: 0, ignored: 0, skipped: [] };
+
+  for (const statement of splitStatements(sql)) {
+    try {
+      summary[applyStatement(store, statement)]++;
+    } catch (error) {
+      summary.skipped.push({ statement: statement.slice(0, 80).replace(/\s+/g, ' '), reason: error.message });
+    }
+  }
+
+  return summary;
+}
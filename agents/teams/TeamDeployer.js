@@ -0,0 +1,486 @@
+/**
+ * MONOLITH OS - Team Deployer
+ * Deploys, rolls back and inspects a team described by a manifest
+ * (see TeamManifest.js).
+ *
+ * Every change is planned first: storage is compared with the manifest and
+ * each difference becomes an operation (create, update or delete one row), so
+ * the plan can be printed before anything is written. Deploying an unchanged
+ * team plans nothing.
+ *
+ * Storage has no transactions, so applying a plan is made atomic by
+ * compensation: each operation records the row it replaced, and if one fails
+ * the operations already applied are undone in reverse order.
+ *
+ * Tables:
+ * - monolith_teams          team record (key team_id)
+ * - monolith_agents         lead, subordinates and knowledge bot (key role)
+ * - monolith_knowledge_bots research focus and subordinate specialties (key role)
+ * - monolith_agent_memory   initialized for new members, never updated (key agent_role)
+ * - tasks                   initial research cycle for a new knowledge bot
+ */
+
+import { getStorageClient } from '../storage/index.js';
+import { teamRecords, teamRoles } from './TeamManifest.js';
+
+export const OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// Columns the manifest owns, per table; other columns are left alone
+const MANAGED_FIELDS = {
+  monolith_teams: ['team_name', 'team_lead_role'],
+  monolith_agents: ['team_id', 'is_team_lead', 'is_knowledge_bot', 'reports_to', 'persona', 'skills', 'knowledge', 'model_config'],
+  monolith_knowledge_bots: ['team_id', 'reports_to', 'research_focus', 'subordinate_specialties'],
+};
+
+const KEYS = {
+  monolith_teams: 'team_id',
+  monolith_agents: 'role',
+  monolith_knowledge_bots: 'role',
+  monolith_agent_memory: 'agent_role',
+  tasks: 'external_id',
+};
+
+const initTaskId = (botRole) => `kb-init-${botRole}`;
+
+/**
+ * Value with object keys sorted at every level (JSONB does not keep key order)
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonical(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+function sameValue(current, desired) {
+  if (typeof desired === 'boolean') return Boolean(current) === desired;
+  return JSON.stringify(canonical(current ?? null)) === JSON.stringify(canonical(desired ?? null));
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Leaf-level differences between two values
+ * @returns {Array} [{ path, before, after }]
+ */
+export function diffValues(before, after, path = '') {
+  if (sameValue(before, after)) return [];
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()
+      .flatMap((key) => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  return [{ path, before, after }];
+}
+
+/**
+ * Field changes that turn current into desired
+ */
+function fieldChanges(table, current, desired) {
+  return MANAGED_FIELDS[table]
+    .filter((field) => !sameValue(current?.[field], desired[field]))
+    .map((field) => ({ field, before: current?.[field], after: desired[field] }));
+}
+
+function createOperation(table, row) {
+  return {
+    action: OPERATIONS.CREATE,
+    table,
+    key: row[KEYS[table]],
+    row,
+    changes: Object.entries(row).filter(([field]) => field !== KEYS[table]).map(([field, after]) => ({ field, after })),
+  };
+}
+
+function deleteOperation(table, row) {
+  return { action: OPERATIONS.DELETE, table, key: row[KEYS[table]], before: row, changes: [] };
+}
+
+function updateOperation(table, current, values) {
+  const changes = Object.entries(values)
+    .filter(([field, after]) => !sameValue(current[field], after))
+    .map(([field, after]) => ({ field, before: current[field], after }));
+  return changes.length > 0 ? { action: OPERATIONS.UPDATE, table, key: current[KEYS[table]], before: current, changes } : null;
+}
+
+/**
+ * Operations that take a member out of the team
+ * Leads stay in the org without a team; everyone else is deleted.
+ */
+function removalOperations(agent, state) {
+  if (agent.is_team_lead) {
+    return [updateOperation('monolith_agents', agent, { team_id: null, is_team_lead: false })].filter(Boolean);
+  }
+
+  const operations = [];
+  const bot = state.bots.get(agent.role);
+  if (bot) operations.push(deleteOperation('monolith_knowledge_bots', bot));
+  const memory = state.memory.get(agent.role);
+  if (memory) operations.push(deleteOperation('monolith_agent_memory', memory));
+  operations.push(deleteOperation('monolith_agents', agent));
+  return operations;
+}
+
+class TeamDeployer {
+  /**
+   * @param {Object} config - Storage configuration (see getStorageClient)
+   */
+  constructor(config = {}) {
+    this.supabase = getStorageClient(config);
+    this.tablePrefix = config.tablePrefix || process.env.SUPABASE_TABLE_PREFIX || '';
+  }
+
+  isAvailable() {
+    return this.supabase !== null;
+  }
+
+  /**
+   * Get table name with prefix; plans keep the unprefixed names
+   */
+  table(name) {
+    return `${this.tablePrefix}${name}`;
+  }
+
+  /**
+   * Current rows for the team and every role the manifest names
+   */
+  async readState(team) {
+    const roles = teamRoles(team).map((member) => member.role);
+    const botRole = team.knowledgeBot?.role;
+
+    const queries = await Promise.all([
+      this.supabase.from(this.table('monolith_teams')).select('*').eq('team_id', team.id),
+      this.supabase.from(this.table('monolith_agents')).select('*').in('role', roles),
+      this.supabase.from(this.table('monolith_agents')).select('*').eq('team_id', team.id),
+      this.supabase.from(this.table('monolith_knowledge_bots')).select('*').eq('team_id', team.id),
+      this.supabase.from(this.table('monolith_knowledge_bots')).select('*').in('role', roles),
+      this.supabase.from(this.table('monolith_agent_memory')).select('*').in('agent_role', roles),
+      botRole
+        ? this.supabase.from(this.table('tasks')).select('*').eq('external_id', initTaskId(botRole))
+        : Promise.resolve({ data: [], error: null }),
+    ]);
+
+    const failed = queries.find((result) => result.error);
+    if (failed) throw failed.error;
+
+    const [teams, namedAgents, teamAgents, teamBots, namedBots, memory, tasks] = queries.map((result) => result.data || []);
+    const byKey = (rows, key) => new Map(rows.map((row) => [row[key], row]));
+
+    // Members of the team in storage that the manifest no longer names
+    const removedRoles = [...teamAgents, ...teamBots].map((row) => row.role).filter((role) => !roles.includes(role));
+    let removedMemory = [];
+    if (removedRoles.length > 0) {
+      const { data, error } = await this.supabase.from(this.table('monolith_agent_memory')).select('*').in('agent_role', removedRoles);
+      if (error) throw error;
+      removedMemory = data || [];
+    }
+
+    return {
+      team: teams[0] || null,
+      agents: byKey([...teamAgents, ...namedAgents], 'role'),
+      bots: byKey([...teamBots, ...namedBots], 'role'),
+      memory: byKey([...memory, ...removedMemory], 'agent_role'),
+      initTask: tasks[0] || null,
+    };
+  }
+
+  /**
+   * Operations that make storage match the manifest
+   * @returns {Promise<Object>} { data: { team_id, operations }, error }
+   */
+  async plan(team) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Storage not configured' } };
+    }
+
+    try {
+      const state = await this.readState(team);
+      const records = teamRecords(team);
+      const roles = new Set(records.agents.map((agent) => agent.role));
+      const operations = [];
+
+      const upsert = (table, current, desired) => {
+        if (!current) {
+          operations.push(createOperation(table, desired));
+          return;
+        }
+        const changes = fieldChanges(table, current, desired);
+        if (changes.length > 0) {
+          operations.push({ action: OPERATIONS.UPDATE, table, key: desired[KEYS[table]], before: current, changes });
+        }
+      };
+
+      upsert('monolith_teams', state.team, records.team);
+
+      // The previous lead, and anyone else the manifest dropped, leaves first
+      for (const agent of state.agents.values()) {
+        if (agent.team_id === team.id && !roles.has(agent.role)) {
+          operations.push(...removalOperations(agent, state));
+        }
+      }
+      for (const bot of state.bots.values()) {
+        if (bot.team_id === team.id && !roles.has(bot.role) && !state.agents.has(bot.role)) {
+          operations.push(deleteOperation('monolith_knowledge_bots', bot));
+        }
+      }
+
+      for (const agent of records.agents) {
+        upsert('monolith_agents', state.agents.get(agent.role), agent);
+      }
+
+      if (records.knowledgeBot) {
+        upsert('monolith_knowledge_bots', state.bots.get(records.knowledgeBot.role), records.knowledgeBot);
+      }
+
+      // Memory is only initialized; learning data is never overwritten
+      for (const agent of records.agents) {
+        if (!agent.is_team_lead && !state.memory.has(agent.role)) {
+          operations.push(createOperation('monolith_agent_memory', {
+            agent_role: agent.role,
+            knowledge_version: 'v1.0.0',
+            current_trend: 'INSUFFICIENT_DATA',
+          }));
+        }
+      }
+
+      // A new knowledge bot starts with a research cycle
+      const botRole = records.knowledgeBot?.role;
+      if (botRole && !state.bots.has(botRole) && !state.initTask) {
+        operations.push(createOperation('tasks', {
+          external_id: initTaskId(botRole),
+          title: `Initial Research Cycle - ${botRole}`,
+          description: `Perform initial research cycle to gather baseline recommendations for ${team.name} subordinates`,
+          assigned_to: botRole,
+          status: 'pending',
+          priority: 'MEDIUM',
+          metadata: { type: 'knowledge_bot_research', is_initial_cycle: true, team_id: team.id },
+        }));
+      }
+
+      return { data: { team_id: team.id, operations }, error: null };
+    } catch (error) {
+      console.error('[TEAM-DEPLOYER] Error planning deployment:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Operations that remove the team
+   * Subordinates and the knowledge bot are deleted with their memory, the
+   * lead is detached from the team, and a research cycle that never started
+   * is cancelled.
+   * @returns {Promise<Object>} { data: { team_id, operations }, error }
+   */
+  async planRollback(team) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Storage not configured' } };
+    }
+
+    try {
+      const state = await this.readState(team);
+      const operations = [];
+
+      for (const agent of state.agents.values()) {
+        if (agent.team_id === team.id) operations.push(...removalOperations(agent, state));
+      }
+      for (const bot of state.bots.values()) {
+        if (bot.team_id === team.id && !state.agents.has(bot.role)) {
+          operations.push(deleteOperation('monolith_knowledge_bots', bot));
+        }
+      }
+      if (state.initTask?.status === 'pending') {
+        operations.push(deleteOperation('tasks', state.initTask));
+      }
+      if (state.team) {
+        operations.push(deleteOperation('monolith_teams', state.team));
+      }
+
+      // Detach leads before deleting anyone so the team row goes last
+      operations.sort((a, b) => (b.action === OPERATIONS.UPDATE) - (a.action === OPERATIONS.UPDATE));
+
+      return { data: { team_id: team.id, operations }, error: null };
+    } catch (error) {
+      console.error('[TEAM-DEPLOYER] Error planning rollback:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Apply a plan; if an operation fails, undo the ones already applied
+   * @returns {Promise<Object>} { data: { applied }, error }
+   */
+  async apply(plan) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Storage not configured' } };
+    }
+
+    const applied = [];
+    for (const operation of plan.operations) {
+      const { error } = await this.execute(operation);
+      if (error) {
+        console.error(`[TEAM-DEPLOYER] ${operation.action} ${operation.table} ${operation.key} failed: ${error.message}`);
+        const undone = await this.compensate(applied);
+        return {
+          data: null,
+          error: {
+            message: `Failed to ${operation.action} ${operation.table} ${operation.key}: ${error.message}`,
+            code: undone ? 'TEAM_DEPLOY_ROLLED_BACK' : 'TEAM_DEPLOY_PARTIAL',
+            operation,
+          },
+        };
+      }
+      applied.push(operation);
+    }
+
+    console.log(`[TEAM-DEPLOYER] Applied ${applied.length} operation(s) for team ${plan.team_id}`);
+    return { data: { applied: applied.length }, error: null };
+  }
+
+  /**
+   * Undo applied operations in reverse order
+   * @returns {Promise<boolean>} Whether everything was undone
+   */
+  async compensate(applied) {
+    let complete = true;
+
+    for (const operation of [...applied].reverse()) {
+      const { error } = await this.execute(this.inverse(operation));
+      if (error) {
+        complete = false;
+        console.error(`[TEAM-DEPLOYER] Could not undo ${operation.action} ${operation.table} ${operation.key}: ${error.message}`);
+      }
+    }
+
+    return complete;
+  }
+
+  inverse(operation) {
+    switch (operation.action) {
+      case OPERATIONS.CREATE:
+        return { action: OPERATIONS.DELETE, table: operation.table, key: operation.key };
+      case OPERATIONS.DELETE:
+        return { action: OPERATIONS.CREATE, table: operation.table, key: operation.key, row: operation.before };
+      default:
+        return {
+          action: OPERATIONS.UPDATE,
+          table: operation.table,
+          key: operation.key,
+          changes: operation.changes.map(({ field, before }) => ({ field, after: before ?? null })),
+        };
+    }
+  }
+
+  async execute(operation) {
+    const table = this.supabase.from(this.table(operation.table));
+    const key = KEYS[operation.table];
+
+    switch (operation.action) {
+      case OPERATIONS.CREATE:
+        return table.insert([operation.row]);
+      case OPERATIONS.DELETE:
+        return table.delete().eq(key, operation.key);
+      default: {
+        const values = Object.fromEntries(operation.changes.map(({ field, after }) => [field, after]));
+        return table.update({ ...values, updated_at: new Date().toISOString() }).eq(key, operation.key);
+      }
+    }
+  }
+
+  /**
+   * Plan and apply a deployment
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} { data: { plan, applied }, error }
+   */
+  async deploy(team, options = {}) {
+    return this.run(await this.plan(team), options);
+  }
+
+  /**
+   * Plan and apply a rollback
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} { data: { plan, applied }, error }
+   */
+  async rollback(team, options = {}) {
+    return this.run(await this.planRollback(team), options);
+  }
+
+  async run({ data: plan, error }, options) {
+    if (error) return { data: null, error };
+    if (options.dryRun || plan.operations.length === 0) {
+      return { data: { plan, applied: 0 }, error: null };
+    }
+
+    const result = await this.apply(plan);
+    return result.error ? { data: { plan, applied: 0 }, error: result.error } : { data: { plan, applied: result.data.applied }, error: null };
+  }
+
+  /**
+   * Deployment status of every member
+   * @returns {Promise<Object>} { data: { team_id, deployed, team, members, unmanaged }, error }
+   */
+  async status(team) {
+    if (!this.isAvailable()) {
+      return { data: null, error: { message: 'Storage not configured' } };
+    }
+
+    try {
+      const state = await this.readState(team);
+      const records = teamRecords(team);
+
+      const stateOf = (table, current, desired) => {
+        if (!current) return { state: 'missing', drift: [] };
+        const drift = fieldChanges(table, current, desired).map((change) => change.field);
+        return { state: drift.length > 0 ? 'drifted' : 'deployed', drift };
+      };
+
+      // records.agents is in teamRoles order
+      const members = teamRoles(team).map((member, i) => {
+        const agent = records.agents[i];
+        const status = stateOf('monolith_agents', state.agents.get(agent.role), agent);
+
+        if (member.kind === 'knowledge_bot' && status.state !== 'missing') {
+          const bot = stateOf('monolith_knowledge_bots', state.bots.get(agent.role), records.knowledgeBot);
+          if (bot.state === 'missing') {
+            status.drift.push('monolith_knowledge_bots');
+          } else {
+            status.drift.push(...bot.drift.map((field) => `monolith_knowledge_bots.${field}`));
+          }
+          if (status.drift.length > 0) status.state = 'drifted';
+        }
+
+        return { role: member.role, kind: member.kind, ...status };
+      });
+
+      const teamStatus = stateOf('monolith_teams', state.team, records.team);
+      const unmanaged = [...state.agents.values()]
+        .filter((agent) => agent.team_id === team.id && !members.some((m) => m.role === agent.role))
+        .map((agent) => agent.role);
+
+      return {
+        data: {
+          team_id: team.id,
+          deployed: teamStatus.state === 'deployed' && unmanaged.length === 0 && members.every((m) => m.state === 'deployed'),
+          team: teamStatus,
+          members,
+          unmanaged,
+        },
+        error: null,
+      };
+    } catch (error) {
+      console.error('[TEAM-DEPLOYER] Error reading status:', error);
+      return { data: null, error };
+    }
+  }
+}
+
+export { TeamDeployer };
+export default TeamDeployer;
@@ -0,0 +1,261 @@
+/**
+ * MONOLITH OS - Team Manifest Loader
+ * Loads a declarative YAML/JSON team manifest (team lead, subordinates,
+ * knowledge bot, specialties and escalation limits), validates it and resolves
+ * each member against the team's configs module.
+ *
+ * The manifest owns the team's structure; the configs module supplies the
+ * long-form persona, skills, knowledge and model of each role. Fields set in
+ * the manifest win over the configs module.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+import { validateTeamManifest } from './schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MANIFEST_DIR = path.join(__dirname, 'manifests');
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+export const isManifestFile = (file) => EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+/**
+ * Resolve a manifest path, or a team id from the bundled manifests
+ * @returns {string|null}
+ */
+export function resolveManifestPath(fileOrId, dir = MANIFEST_DIR) {
+  if (fs.existsSync(fileOrId) && fs.statSync(fileOrId).isFile()) {
+    return path.resolve(fileOrId);
+  }
+  for (const ext of EXTENSIONS) {
+    const candidate = path.join(dir, `${fileOrId}${ext}`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Ids of the bundled team manifests
+ */
+export function listTeamManifests(dir = MANIFEST_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(isManifestFile).sort().map((name) => path.basename(name, path.extname(name)));
+}
+
+/**
+ * Parse a YAML or JSON manifest file (YAML is loaded with the safe schema)
+ */
+export function parseManifestFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.safeLoad(text, { filename: file });
+  } catch (error) {
+    throw new Error(`Cannot parse ${path.basename(file)}: ${error.message}`);
+  }
+}
+
+/**
+ * Agent configs exported by a configs module, by role
+ */
+async function importConfigs(file) {
+  const module = await import(pathToFileURL(file).href);
+  const byRole = new Map();
+
+  for (const value of Object.values(module)) {
+    for (const config of Array.isArray(value) ? value : [value]) {
+      if (config && typeof config === 'object' && typeof config.role === 'string' && !byRole.has(config.role)) {
+        byRole.set(config.role, config);
+      }
+    }
+  }
+
+  return byRole;
+}
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Escalation settings: the config's, then the manifest's limits
+ */
+function buildEscalation(base, escalation, defaults) {
+  const merged = { ...clone(base), ...defaults };
+  if (escalation?.escalates_to) merged.escalates_to = escalation.escalates_to;
+  if (escalation?.approval_limit !== undefined) merged.approval_limit = escalation.approval_limit;
+  if (escalation?.always_escalate) merged.always_escalate = [...escalation.always_escalate];
+  return merged;
+}
+
+/**
+ * Resolve one manifest member against its config
+ */
+function resolveMember(entry, kind, config, team) {
+  const leadRole = team.lead.role;
+  const reportsTo = kind === 'lead'
+    ? entry.reports_to || entry.escalation?.escalates_to || config?.reports_to || config?.persona?.escalation?.escalates_to || null
+    : entry.reports_to || leadRole;
+
+  const persona = { ...clone(config?.persona), ...clone(entry.persona) };
+  persona.escalation = buildEscalation(persona.escalation, entry.escalation, {
+    escalates_to: reportsTo,
+    receives_escalations_from: kind === 'lead' ? team.subordinates.map((sub) => sub.role) : persona.escalation?.receives_escalations_from || [],
+  });
+
+  const member = {
+    role: entry.role,
+    kind,
+    reports_to: reportsTo,
+    persona,
+    skills: clone(entry.skills || config?.skills || {}),
+    knowledge: { ...clone(config?.knowledge), ...clone(entry.knowledge) },
+    model: { ...clone(config?.model), ...clone(entry.model) },
+  };
+
+  if (kind === 'lead') {
+    persona.team_lead_powers = {
+      ...persona.team_lead_powers,
+      subordinates: team.subordinates.map((sub) => sub.role),
+      knowledge_bot: team.knowledge_bot?.role || null,
+    };
+  }
+
+  if (kind === 'knowledge_bot') {
+    member.research_focus = [...(entry.research_focus || config?.knowledge?.research_focus || config?.research_focus || [])];
+    member.research = { ...clone(config?.research_config), ...clone(entry.research) };
+    persona.knowledge_bot_config = {
+      ...persona.knowledge_bot_config,
+      team_id: team.id,
+      team_lead_role: leadRole,
+      subordinates: team.subordinates.map((sub) => sub.role),
+      research_config: member.research,
+    };
+  }
+
+  return member;
+}
+
+/**
+ * Load, validate and resolve a team manifest
+ * @param {string} fileOrId - Manifest path, or the id of a bundled manifest
+ * @returns {Promise<Object>} { team, errors } - team is null when the manifest is invalid
+ */
+export async function loadTeamManifest(fileOrId, options = {}) {
+  const file = resolveManifestPath(fileOrId, options.dir);
+  if (!file) {
+    return { team: null, errors: [{ path: '', message: `Team manifest not found: ${fileOrId}` }] };
+  }
+
+  let manifest;
+  try {
+    manifest = parseManifestFile(file);
+  } catch (error) {
+    return { team: null, errors: [{ path: '', message: error.message }] };
+  }
+
+  const errors = validateTeamManifest(manifest);
+  if (errors.length > 0) {
+    return { team: null, errors };
+  }
+
+  let configs = new Map();
+  if (manifest.configs) {
+    const configsFile = path.resolve(path.dirname(file), manifest.configs);
+    try {
+      configs = await importConfigs(configsFile);
+    } catch (error) {
+      return { team: null, errors: [{ path: '/configs', message: `Cannot load ${manifest.configs}: ${error.message}` }] };
+    }
+  }
+
+  const members = [
+    { entry: manifest.lead, kind: 'lead', path: '/lead' },
+    ...manifest.subordinates.map((entry, i) => ({ entry, kind: 'subordinate', path: `/subordinates/${i}` })),
+    ...(manifest.knowledge_bot ? [{ entry: manifest.knowledge_bot, kind: 'knowledge_bot', path: '/knowledge_bot' }] : []),
+  ];
+
+  for (const { entry, path: at } of members) {
+    if (!configs.has(entry.role) && !entry.persona) {
+      errors.push({
+        path: `${at}/role`,
+        message: manifest.configs
+          ? `no config for "${entry.role}" in ${manifest.configs} and no inline persona`
+          : `"${entry.role}" needs an inline persona (the manifest has no configs module)`,
+      });
+    }
+  }
+  if (errors.length > 0) {
+    return { team: null, errors };
+  }
+
+  const [lead, ...rest] = members.map(({ entry, kind }) => resolveMember(entry, kind, configs.get(entry.role), manifest));
+  if (!lead.reports_to) {
+    return { team: null, errors: [{ path: '/lead/reports_to', message: 'the team lead needs reports_to' }] };
+  }
+
+  const subordinates = rest.filter((member) => member.kind === 'subordinate');
+  const knowledgeBot = rest.find((member) => member.kind === 'knowledge_bot') || null;
+  const botConfig = knowledgeBot ? configs.get(knowledgeBot.role) : null;
+  const configSpecialties = botConfig?.knowledge?.subordinate_specialties || botConfig?.subordinate_specialties || {};
+
+  manifest.subordinates.forEach((entry, i) => {
+    subordinates[i].specialties = [...(entry.specialties || configSpecialties[entry.role] || [])];
+  });
+
+  if (knowledgeBot) {
+    const specialties = Object.fromEntries(subordinates.map((sub) => [sub.role, sub.specialties]));
+    knowledgeBot.knowledge.research_focus = knowledgeBot.research_focus;
+    knowledgeBot.knowledge.subordinate_specialties = specialties;
+  }
+
+  return {
+    team: {
+      id: manifest.id,
+      name: manifest.name,
+      description: manifest.description || '',
+      source: file,
+      lead,
+      subordinates,
+      knowledgeBot,
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Every member of a resolved team, lead first
+ */
+export function teamRoles(team) {
+  return [team.lead, ...team.subordinates, ...(team.knowledgeBot ? [team.knowledgeBot] : [])];
+}
+
+/**
+ * Rows the team should have in storage
+ * @returns {Object} { team, agents, knowledgeBot }
+ */
+export function teamRecords(team) {
+  return {
+    team: { team_id: team.id, team_name: team.name, team_lead_role: team.lead.role },
+    agents: teamRoles(team).map((member) => ({
+      role: member.role,
+      team_id: team.id,
+      is_team_lead: member.kind === 'lead',
+      is_knowledge_bot: member.kind === 'knowledge_bot',
+      reports_to: member.reports_to,
+      persona: member.persona,
+      skills: member.skills,
+      knowledge: member.knowledge,
+      model_config: member.model,
+    })),
+    knowledgeBot: team.knowledgeBot
+      ? {
+        role: team.knowledgeBot.role,
+        team_id: team.id,
+        reports_to: team.knowledgeBot.reports_to,
+        research_focus: team.knowledgeBot.research_focus,
+        subordinate_specialties: team.knowledgeBot.knowledge.subordinate_specialties,
+      }
+      : null,
+  };
+}
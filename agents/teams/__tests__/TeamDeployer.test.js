@@ -0,0 +1,226 @@
+/**
+ * Unit tests for planning, applying and rolling back team deployments
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TeamDeployer, { OPERATIONS, diffValues } from '../TeamDeployer.js';
+import { loadTeamManifest } from '../TeamManifest.js';
+import { getStorageClient, resetStorage } from '../../storage/index.js';
+
+const STORAGE = { adapter: 'local', storagePath: ':memory:' };
+
+const manifest = (overrides = {}) => ({
+  id: 'research',
+  name: 'Research Team',
+  lead: { role: 'cro', reports_to: 'cos', persona: { identity: 'Chief Research Officer' }, escalation: { approval_limit: 5000 } },
+  subordinates: [
+    { role: 'lab_lead', persona: { identity: 'Lab Lead' }, specialties: ['Experiment design'] },
+    { role: 'papers_lead', persona: { identity: 'Papers Lead' }, specialties: ['Peer review'] },
+  ],
+  knowledge_bot: { role: 'research_knowledge_bot', persona: { identity: 'Research Knowledge Bot' }, research_focus: ['Replication'] },
+  ...overrides,
+});
+
+const ROLES = ['cro', 'lab_lead', 'papers_lead', 'research_knowledge_bot'];
+
+const summarize = (plan) => plan.operations.map((op) => `${op.action} ${op.table} ${op.key}`);
+
+describe('TeamDeployer', () => {
+  let dir;
+  let deployer;
+  let db;
+
+  const load = async (definition) => {
+    const file = path.join(dir, `${definition.id}.json`);
+    fs.writeFileSync(file, JSON.stringify(definition));
+    const { team, errors } = await loadTeamManifest(file);
+    expect(errors).toEqual([]);
+    return team;
+  };
+
+  const rows = async (table) => (await db.from(table).select('*')).data;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    resetStorage();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-deployer-'));
+    deployer = new TeamDeployer(STORAGE);
+    db = getStorageClient(STORAGE);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resetStorage();
+  });
+
+  it('is unavailable without storage', async () => {
+    const offline = new TeamDeployer({ adapter: 'none' });
+    expect(offline.isAvailable()).toBe(false);
+    expect((await offline.plan({})).error.message).toBe('Storage not configured');
+  });
+
+  it('plans a new team before writing anything', async () => {
+    const team = await load(manifest());
+
+    const { data: plan } = await deployer.plan(team);
+
+    expect(summarize(plan)).toEqual([
+      'create monolith_teams research',
+      'create monolith_agents cro',
+      'create monolith_agents lab_lead',
+      'create monolith_agents papers_lead',
+      'create monolith_agents research_knowledge_bot',
+      'create monolith_knowledge_bots research_knowledge_bot',
+      'create monolith_agent_memory lab_lead',
+      'create monolith_agent_memory papers_lead',
+      'create monolith_agent_memory research_knowledge_bot',
+      'create tasks kb-init-research_knowledge_bot',
+    ]);
+    expect(await rows('monolith_teams')).not.toContainEqual(expect.objectContaining({ team_id: 'research' }));
+  });
+
+  it('deploys idempotently', async () => {
+    const team = await load(manifest());
+
+    const first = await deployer.deploy(team);
+    expect(first.error).toBeNull();
+    expect(first.data.applied).toBe(10);
+
+    const agents = await rows('monolith_agents');
+    expect(agents.find((a) => a.role === 'cro')).toMatchObject({
+      team_id: 'research',
+      is_team_lead: true,
+      reports_to: 'cos',
+      persona: expect.objectContaining({ escalation: expect.objectContaining({ approval_limit: 5000 }) }),
+    });
+    expect((await rows('monolith_knowledge_bots')).find((b) => b.role === 'research_knowledge_bot').subordinate_specialties)
+      .toEqual({ lab_lead: ['Experiment design'], papers_lead: ['Peer review'] });
+
+    const second = await deployer.deploy(team);
+    expect(second.data).toEqual({ plan: { team_id: 'research', operations: [] }, applied: 0 });
+    expect((await rows('tasks')).filter((t) => t.assigned_to === 'research_knowledge_bot')).toHaveLength(1);
+  });
+
+  it('reads and writes the prefixed tables', async () => {
+    const team = await load(manifest());
+    const prefixed = new TeamDeployer({ ...STORAGE, tablePrefix: 'staging_' });
+
+    const first = await prefixed.deploy(team);
+    expect(first.error).toBeNull();
+    expect(first.data.plan.operations.every((op) => !op.table.startsWith('staging_'))).toBe(true);
+    expect((await rows('staging_monolith_agents')).map((a) => a.role).sort()).toEqual(ROLES);
+    expect((await rows('monolith_agents')).filter((a) => ROLES.includes(a.role))).toEqual([]);
+
+    expect((await prefixed.deploy(team)).data.applied).toBe(0);
+  });
+
+    it('plans only the differences when the manifest changes', async () => {
+    await deployer.deploy(await load(manifest()));
+
+    const changed = manifest({
+      lead: { role: 'chief_scientist', reports_to: 'cos', persona: { identity: 'Chief Scientist' } },
+      subordinates: [{ role: 'lab_lead', persona: { identity: 'Lab Lead' }, specialties: ['Experiment design', 'Lab safety'] }],
+    });
+    const { data: plan } = await deployer.plan(await load(changed));
+
+    expect(summarize(plan)).toEqual([
+      'update monolith_teams research',
+      'update monolith_agents cro',
+      'delete monolith_agent_memory papers_lead',
+      'delete monolith_agents papers_lead',
+      'create monolith_agents chief_scientist',
+      'update monolith_agents lab_lead',
+      'update monolith_agents research_knowledge_bot',
+      'update monolith_knowledge_bots research_knowledge_bot',
+    ]);
+    expect(plan.operations[1].changes.map((c) => c.field)).toEqual(['team_id', 'is_team_lead']);
+    expect(plan.operations.at(-1).changes).toEqual([
+      { field: 'reports_to', before: 'cro', after: 'chief_scientist' },
+      {
+        field: 'subordinate_specialties',
+        before: { lab_lead: ['Experiment design'], papers_lead: ['Peer review'] },
+        after: { lab_lead: ['Experiment design', 'Lab safety'] },
+      },
+    ]);
+  });
+
+  it('undoes applied operations when one fails', async () => {
+    const team = await load(manifest());
+    await deployer.deploy(team);
+    const before = await rows('monolith_agents');
+
+    const changed = await load(manifest({ subordinates: [{ role: 'lab_lead', persona: { identity: 'Lab Director' } }] }));
+    const execute = deployer.execute.bind(deployer);
+    jest.spyOn(deployer, 'execute').mockImplementation(async (operation) => (
+      operation.table === 'monolith_knowledge_bots' && operation.action === OPERATIONS.UPDATE
+        ? { data: null, error: { message: 'connection reset' } }
+        : execute(operation)
+    ));
+
+    const { data, error } = await deployer.deploy(changed);
+
+    expect(data.applied).toBe(0);
+    expect(error).toMatchObject({
+      message: 'Failed to update monolith_knowledge_bots research_knowledge_bot: connection reset',
+      code: 'TEAM_DEPLOY_ROLLED_BACK',
+    });
+    expect((await rows('monolith_agents')).map(({ updated_at, ...row }) => row))
+      .toEqual(expect.arrayContaining(before.map(({ updated_at, ...row }) => row)));
+    expect((await rows('monolith_agent_memory')).map((m) => m.agent_role)).toContain('papers_lead');
+  });
+
+  it('rolls a team back and detaches its lead', async () => {
+    const team = await load(manifest());
+    await deployer.deploy(team);
+
+    const { data, error } = await deployer.rollback(team);
+
+    expect(error).toBeNull();
+    expect(summarize(data.plan)[0]).toBe('update monolith_agents cro');
+    expect(summarize(data.plan).at(-1)).toBe('delete monolith_teams research');
+    const members = (await rows('monolith_agents')).filter((a) => ROLES.includes(a.role));
+    expect(members).toEqual([expect.objectContaining({ role: 'cro', team_id: null, is_team_lead: false })]);
+    // The lead keeps its memory
+    expect((await rows('monolith_agent_memory')).filter((m) => ROLES.includes(m.agent_role)).map((m) => m.agent_role)).toEqual(['cro']);
+    expect((await rows('tasks')).filter((t) => t.assigned_to === 'research_knowledge_bot')).toEqual([]);
+    expect((await rows('monolith_teams')).map((t) => t.team_id)).not.toContain('research');
+
+    expect((await deployer.rollback(team)).data.plan.operations).toEqual([]);
+  });
+
+  it('reports the status of every member', async () => {
+    const team = await load(manifest());
+    expect((await deployer.status(team)).data.team.state).toBe('missing');
+
+    await deployer.deploy(team);
+    await db.from('monolith_agents').update({ reports_to: 'ceo' }).eq('role', 'papers_lead');
+    await db.from('monolith_knowledge_bots').update({ research_focus: [] }).eq('role', 'research_knowledge_bot');
+    await db.from('monolith_agents').insert([{ role: 'intern', team_id: 'research' }]);
+
+    const { data } = await deployer.status(team);
+
+    expect(data.deployed).toBe(false);
+    expect(data.members).toEqual([
+      { role: 'cro', kind: 'lead', state: 'deployed', drift: [] },
+      { role: 'lab_lead', kind: 'subordinate', state: 'deployed', drift: [] },
+      { role: 'papers_lead', kind: 'subordinate', state: 'drifted', drift: ['reports_to'] },
+      { role: 'research_knowledge_bot', kind: 'knowledge_bot', state: 'drifted', drift: ['monolith_knowledge_bots.research_focus'] },
+    ]);
+    expect(data.unmanaged).toEqual(['intern']);
+  });
+
+  it('diffs nested values by path', () => {
+    expect(diffValues(
+      { identity: 'Lab Lead', escalation: { escalates_to: 'cro', approval_limit: 100 } },
+      { identity: 'Lab Lead', escalation: { escalates_to: 'cro', approval_limit: 200 }, purpose: 'Run labs' },
+    )).toEqual([
+      { path: 'escalation.approval_limit', before: 100, after: 200 },
+      { path: 'purpose', before: undefined, after: 'Run labs' },
+    ]);
+  });
+});
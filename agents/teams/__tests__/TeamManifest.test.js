@@ -0,0 +1,174 @@
+/**
+ * Unit tests for team manifest validation and loading
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listTeamManifests, loadTeamManifest, teamRecords } from '../TeamManifest.js';
+import { validateTeamManifest } from '../schema.js';
+import { TECH_KNOWLEDGE_BOT_CONFIG, CTO_CONFIG } from '../../neural-stack/tech-team-configs.js';
+
+const TECH_CONFIGS = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../neural-stack/tech-team-configs.js');
+
+const validManifest = (overrides = {}) => ({
+  id: 'research',
+  name: 'Research Team',
+  lead: { role: 'cro', reports_to: 'cos', persona: { identity: 'Chief Research Officer' } },
+  subordinates: [
+    { role: 'lab_lead', persona: { identity: 'Lab Lead' }, specialties: ['Experiment design'] },
+    { role: 'papers_lead', persona: { identity: 'Papers Lead' } },
+  ],
+  knowledge_bot: { role: 'research_knowledge_bot', persona: { identity: 'Research Knowledge Bot' }, research_focus: ['Peer review'] },
+  ...overrides,
+});
+
+describe('validateTeamManifest', () => {
+  it('accepts a valid manifest', () => {
+    expect(validateTeamManifest(validManifest())).toEqual([]);
+  });
+
+  it('reports schema errors with their paths', () => {
+    const errors = validateTeamManifest(validManifest({
+      id: 'Research Team',
+      subordinates: [],
+      lead: { role: 'cro', escalation: { approval_limit: -5 } },
+      owner: 'ceo',
+    }));
+
+    expect(errors.map((e) => e.path)).toEqual(expect.arrayContaining([
+      '/id',
+      '/subordinates',
+      '/lead/escalation/approval_limit',
+      '/owner',
+    ]));
+  });
+
+  it('rejects duplicate roles and escalation paths that leave the team', () => {
+    const manifest = validManifest();
+    manifest.subordinates.push({ role: 'lab_lead' });
+    manifest.subordinates[1].reports_to = 'cfo';
+    manifest.lead.reports_to = 'lab_lead';
+
+    expect(validateTeamManifest(manifest)).toEqual([
+      { path: '/subordinates/2/role', message: 'role "lab_lead" appears more than once in the team' },
+      { path: '/lead/reports_to', message: 'the team lead must report outside the team' },
+      { path: '/subordinates/1/reports_to', message: '"cfo" is not a member of the team (expected cro)' },
+    ]);
+  });
+});
+
+describe('loadTeamManifest', () => {
+  let dir;
+
+  const writeManifest = (manifest, name = 'team.json') => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(manifest));
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-manifest-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads every bundled team', async () => {
+    const ids = listTeamManifests();
+    expect(ids).toEqual(['finance', 'marketing', 'operations', 'people', 'product', 'tech']);
+
+    for (const id of ids) {
+      const { team, errors } = await loadTeamManifest(id);
+      expect(errors).toEqual([]);
+      expect(team.id).toBe(id);
+      expect(team.lead.persona.team_lead_powers.subordinates).toEqual(team.subordinates.map((s) => s.role));
+      expect(team.knowledgeBot.knowledge.subordinate_specialties).toEqual(
+        Object.fromEntries(team.subordinates.map((s) => [s.role, s.specialties]))
+      );
+    }
+  });
+
+  it('resolves members against the configs module with manifest overrides', async () => {
+    const { team } = await loadTeamManifest('tech');
+
+    expect(team.lead.persona.identity).toBe(CTO_CONFIG.persona.identity);
+    expect(team.lead.persona.escalation).toMatchObject({
+      escalates_to: 'cos',
+      approval_limit: 15000,
+      always_escalate: ['architecture change', 'vendor switch', 'security vulnerability'],
+    });
+    expect(team.subordinates.find((s) => s.role === 'qa_lead').persona.escalation.escalates_to).toBe('cto');
+    expect(team.knowledgeBot.persona.knowledge_bot_config).toMatchObject({
+      team_id: 'tech',
+      team_lead_role: 'cto',
+      research_config: TECH_KNOWLEDGE_BOT_CONFIG.research_config,
+    });
+
+    // The configs module is not modified by overrides
+    expect(CTO_CONFIG.persona.escalation.approval_limit).toBeUndefined();
+  });
+
+  it('builds team records from inline definitions', async () => {
+    const { team, errors } = await loadTeamManifest(writeManifest(validManifest()));
+    expect(errors).toEqual([]);
+
+    const records = teamRecords(team);
+    expect(records.team).toEqual({ team_id: 'research', team_name: 'Research Team', team_lead_role: 'cro' });
+    expect(records.agents.map((a) => [a.role, a.is_team_lead, a.is_knowledge_bot, a.reports_to])).toEqual([
+      ['cro', true, false, 'cos'],
+      ['lab_lead', false, false, 'cro'],
+      ['papers_lead', false, false, 'cro'],
+      ['research_knowledge_bot', false, true, 'cro'],
+    ]);
+    expect(records.knowledgeBot).toEqual({
+      role: 'research_knowledge_bot',
+      team_id: 'research',
+      reports_to: 'cro',
+      research_focus: ['Peer review'],
+      subordinate_specialties: { lab_lead: ['Experiment design'], papers_lead: [] },
+    });
+  });
+
+  it('parses YAML manifests', async () => {
+    const file = path.join(dir, 'team.yaml');
+    fs.writeFileSync(file, [
+      'id: research',
+      'name: Research Team',
+      'lead: { role: cro, reports_to: cos, persona: { identity: CRO } }',
+      'subordinates:',
+      '  - { role: lab_lead, persona: { identity: Lab Lead } }',
+    ].join('\n'));
+
+    const { team, errors } = await loadTeamManifest(file);
+    expect(errors).toEqual([]);
+    expect(team.knowledgeBot).toBeNull();
+  });
+
+  it('requires a config or an inline persona for each member', async () => {
+    const manifest = validManifest({ configs: TECH_CONFIGS });
+    delete manifest.subordinates[1].persona;
+
+    const file = writeManifest(manifest);
+    const { team, errors } = await loadTeamManifest(file);
+
+    expect(team).toBeNull();
+    expect(errors).toEqual([{
+      path: '/subordinates/1/role',
+      message: `no config for "papers_lead" in ${TECH_CONFIGS} and no inline persona`,
+    }]);
+  });
+
+  it('reports unknown manifests, parse errors and missing configs modules', async () => {
+    expect((await loadTeamManifest('no-such-team')).errors[0].message).toBe('Team manifest not found: no-such-team');
+
+    const broken = path.join(dir, 'broken.yaml');
+    fs.writeFileSync(broken, 'id: [unclosed');
+    expect((await loadTeamManifest(broken)).errors[0].message).toMatch(/^Cannot parse broken.yaml/);
+
+    const { errors } = await loadTeamManifest(writeManifest(validManifest({ configs: './missing.js' })));
+    expect(errors[0].path).toBe('/configs');
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * MONOLITH OS - Teams Module
+ * Export the team manifest loader and deployer
+ */
+
+import TeamDeployer, { OPERATIONS, diffValues } from './TeamDeployer.js';
+import {
+  MANIFEST_DIR,
+  listTeamManifests,
+  loadTeamManifest,
+  resolveManifestPath,
+  teamRecords,
+  teamRoles,
+} from './TeamManifest.js';
+import { TEAM_MANIFEST_SCHEMA, validateTeamManifest } from './schema.js';
+
+export {
+  TeamDeployer,
+  OPERATIONS,
+  diffValues,
+  MANIFEST_DIR,
+  listTeamManifests,
+  loadTeamManifest,
+  resolveManifestPath,
+  teamRecords,
+  teamRoles,
+  TEAM_MANIFEST_SCHEMA,
+  validateTeamManifest,
+};
+
+export default TeamDeployer;
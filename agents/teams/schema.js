@@ -0,0 +1,129 @@
+/**
+ * MONOLITH OS - Team Manifest Schema
+ * JSON Schema for declarative (YAML/JSON) team manifests, plus the checks a
+ * schema cannot express: roles that are unique within the team and escalation
+ * targets that exist.
+ *
+ * Errors are { path, message } with a JSON pointer path, as for workflows.
+ */
+
+import { validateSchema } from '../workflows/schema.js';
+
+const ROLE_PATTERN = '^[a-z][a-z0-9_]*$';
+
+const AGENT_PROPERTIES = {
+  role: { type: 'string', pattern: ROLE_PATTERN },
+  reports_to: { type: 'string', pattern: ROLE_PATTERN },
+  escalation: { $ref: '#/definitions/escalation' },
+  // Inline agent definition; fields set here override the configs module
+  persona: { type: 'object' },
+  skills: { type: 'object' },
+  knowledge: { type: 'object' },
+  model: { type: 'object' },
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+export const TEAM_MANIFEST_SCHEMA = {
+  $id: 'https://monolith.os/schemas/team.json',
+  type: 'object',
+  required: ['id', 'name', 'lead', 'subordinates'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z][a-z0-9_-]*$' },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    // Module with the agents' persona, skills, knowledge and model configs,
+    // relative to the manifest file
+    configs: { type: 'string', minLength: 1 },
+    lead: { $ref: '#/definitions/agent' },
+    subordinates: { type: 'array', minItems: 1, items: { $ref: '#/definitions/subordinate' } },
+    knowledge_bot: { $ref: '#/definitions/knowledgeBot' },
+  },
+  definitions: {
+    escalation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        escalates_to: { type: 'string', pattern: ROLE_PATTERN },
+        approval_limit: { type: 'number', minimum: 0 },
+        always_escalate: STRING_LIST,
+      },
+    },
+    agent: {
+      type: 'object',
+      required: ['role'],
+      additionalProperties: false,
+      properties: AGENT_PROPERTIES,
+    },
+    subordinate: {
+      type: 'object',
+      required: ['role'],
+      additionalProperties: false,
+      properties: { ...AGENT_PROPERTIES, specialties: STRING_LIST },
+    },
+    knowledgeBot: {
+      type: 'object',
+      required: ['role'],
+      additionalProperties: false,
+      properties: { ...AGENT_PROPERTIES, research_focus: STRING_LIST, research: { type: 'object' } },
+    },
+  },
+};
+
+/**
+ * Team members with their manifest paths, lead first
+ */
+export function teamMembers(manifest) {
+  const members = [];
+  if (manifest?.lead && typeof manifest.lead === 'object') {
+    members.push({ agent: manifest.lead, path: '/lead', kind: 'lead' });
+  }
+  (Array.isArray(manifest?.subordinates) ? manifest.subordinates : []).forEach((agent, index) => {
+    if (agent && typeof agent === 'object') {
+      members.push({ agent, path: `/subordinates/${index}`, kind: 'subordinate' });
+    }
+  });
+  if (manifest?.knowledge_bot && typeof manifest.knowledge_bot === 'object') {
+    members.push({ agent: manifest.knowledge_bot, path: '/knowledge_bot', kind: 'knowledge_bot' });
+  }
+  return members;
+}
+
+/**
+ * Validate a team manifest
+ * @returns {Array} [{ path, message }]
+ */
+export function validateTeamManifest(manifest) {
+  const errors = validateSchema(TEAM_MANIFEST_SCHEMA, manifest);
+  const members = teamMembers(manifest);
+  const roles = new Set();
+
+  for (const { agent, path } of members) {
+    if (typeof agent.role !== 'string') continue;
+    if (roles.has(agent.role)) {
+      errors.push({ path: `${path}/role`, message: `role "${agent.role}" appears more than once in the team` });
+    }
+    roles.add(agent.role);
+  }
+
+  const lead = manifest?.lead?.role;
+  for (const { agent, path, kind } of members) {
+    if (kind === 'lead') {
+      if (agent.reports_to && roles.has(agent.reports_to)) {
+        errors.push({ path: `${path}/reports_to`, message: 'the team lead must report outside the team' });
+      }
+      continue;
+    }
+
+    for (const [field, target] of [['reports_to', agent.reports_to], ['escalation/escalates_to', agent.escalation?.escalates_to]]) {
+      if (target && !roles.has(target)) {
+        errors.push({ path: `${path}/${field}`, message: `"${target}" is not a member of the team (expected ${lead})` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+export { formatErrors } from '../workflows/schema.js';
@@ -4,9 +4,125 @@
  *
  * Workflows define sequences of agent tasks that automatically
  * chain together, passing context and outputs between agents.
+ *
+ * Linear workflows list plain steps and run them in order. A workflow becomes
+ * a step graph as soon as a step uses any of:
+ *   dependsOn: ['step-id', ...]  - explicit edges (default: the previous step)
+ *   join: 'all' | 'any' | { quorum: n } - how many dependencies must succeed
+ *   parallel: [steps]            - a group whose steps run concurrently
+ *   branch: { on: 'step-id.path', cases: { value: ['step-id'] }, default: [...] }
+ * Graph steps are addressed by `id` (or their slugified name); their results are
+ * kept in instance.outputs for conditions, branches and {{step-id.field}} templates.
+ *
+ * Instances are checkpointed to the workflows / workflow_steps tables after every
+ * step, rehydrated with rehydrate() on startup, and an escalated instance continues
+ * with resumeWorkflow(instanceId, decision) once the CEO has decided.
  */
 
 import { EventEmitter } from 'events';
+import databaseService from '../services/DatabaseService.js';
+import { compileExpression } from './expressions.js';
+
+const JOIN_POLICIES = ['all', 'any'];
+
+/**
+ * Stable step id: explicit id, otherwise the slugified name
+ */
+export function stepId(step, index) {
+  if (step.id) return step.id;
+  const slug = String(step.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || `step-${index}`;
+}
+
+/**
+ * Whether a workflow uses the step graph model rather than a linear sequence
+ */
+export function isGraphWorkflow(workflow) {
+  return (workflow.steps || []).some((step) => step.dependsOn || step.parallel || step.branch || step.join);
+}
+
+/**
+ * All agent steps of a workflow, with parallel groups expanded (branch nodes have no agent)
+ */
+export function flattenSteps(workflow) {
+  return (workflow.steps || []).flatMap((step) => (step.parallel ? step.parallel : step.branch ? [] : [step]));
+}
+
+/**
+ * Read a dotted path ('decision', 'result.amount') from a value
+ */
+function getPath(value, path) {
+  if (!path) return value;
+  return String(path)
+    .split('.')
+    .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+// Instance status -> workflows.status (getActiveWorkflows loads pending, active and paused)
+const DB_STATUS = {
+  running: 'active',
+  escalated: 'paused',
+  interrupted: 'paused',
+  completed: 'completed',
+  failed: 'failed',
+  rejected: 'cancelled',
+};
+
+const DECISION_ACTIONS = [
+  ['approve', /^(approve|approved|yes|proceed)\b/i],
+  ['deny', /^(deny|denied|reject|rejected|no)\b/i],
+  ['defer', /^(defer|deferred|later)\b/i],
+];
+
+/**
+ * Normalize a CEO decision ('Approve' | 'Deny' | 'Defer', or { decision, notes, approved })
+ */
+function parseDecision(decision) {
+  const resolution = typeof decision === 'string' ? { decision } : { ...decision };
+  if (typeof resolution.approved === 'boolean') {
+    resolution.decision = resolution.decision || (resolution.approved ? 'Approve' : 'Deny');
+    return { ...resolution, action: resolution.approved ? 'approve' : 'deny' };
+  }
+
+  const match = DECISION_ACTIONS.find(([, pattern]) => pattern.test(String(resolution.decision || '').trim()));
+  if (!match) {
+    throw new Error(`Unknown decision "${resolution.decision}": expected approve, deny or defer`);
+  }
+  return { ...resolution, action: match[0] };
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Step timeout in milliseconds from a number (ms) or '500ms' | '30s' | '10m' | '2h' | '1d'
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && value > 0) return value;
+  const match = /^(\d+)(ms|s|m|h|d)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}": expected milliseconds or e.g. 30s, 10m, 2h`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Number of succeeded dependencies a join policy needs
+ */
+function requiredSuccesses(join, total) {
+  if (join === undefined || join === 'all') return total;
+  if (join === 'any') return Math.min(1, total);
+  return Math.min(join.quorum, total);
+}
+
+function validateJoin(join, id) {
+  const valid = join === undefined || JOIN_POLICIES.includes(join) ||
+    (join && Number.isInteger(join.quorum) && join.quorum > 0);
+  if (!valid) {
+    throw new Error(`Invalid join policy for step "${id}": expected 'all', 'any' or { quorum: n }`);
+  }
+}
 
 class WorkflowEngine extends EventEmitter {
   constructor(config = {}) {
@@ -16,6 +132,8 @@ class WorkflowEngine extends EventEmitter {
     this.runningWorkflows = new Map();
     this.orchestrator = config.orchestrator;
     this.decisionLogger = config.decisionLogger;
+    this.dbService = config.dbService || databaseService;
+    this.expressions = new Map(); // condition source -> compiled expression
   }
 
   /**
@@ -26,6 +144,10 @@ class WorkflowEngine extends EventEmitter {
       throw new Error('Invalid workflow: must have id, name, and steps');
     }
 
+    if (isGraphWorkflow(workflow)) {
+      this.buildGraph(workflow); // throws on unknown ids, cycles and bad join policies
+    }
+
     this.workflows.set(workflow.id, {
       ...workflow,
       registeredAt: new Date().toISOString(),
@@ -35,6 +157,17 @@ class WorkflowEngine extends EventEmitter {
     return workflow;
   }
 
+  /**
+   * Remove a workflow definition (running instances keep their copy)
+   */
+  unregisterWorkflow(workflowId) {
+    const removed = this.workflows.delete(workflowId);
+    if (removed) {
+      console.log(`[WORKFLOW] Unregistered workflow: ${workflowId}`);
+    }
+    return removed;
+  }
+
   /**
    * Start a workflow instance
    */
@@ -51,34 +184,144 @@ class WorkflowEngine extends EventEmitter {
       context,
       currentStep: 0,
       stepResults: [],
+      outputs: {},
+      stepRecords: {},
+      decisions: [],
       status: 'running',
       startedAt: new Date().toISOString(),
       completedAt: null,
     };
 
     this.runningWorkflows.set(instance.id, instance);
+    await this.checkpoint(instance);
     this.emit('workflowStarted', { instance, workflow });
 
     console.log(`[WORKFLOW] Starting: ${workflow.name} (${instance.id})`);
 
+    return this.runInstance(instance, () => this.executeWorkflow(instance));
+  }
+
+  /**
+   * Run (or continue) an instance, recording failures
+   */
+  async runInstance(instance, execute) {
     try {
-      await this.executeWorkflow(instance);
+      await execute();
+      await this.checkpoint(instance);
       return instance;
     } catch (error) {
       instance.status = 'failed';
       instance.error = error.message;
+      await this.checkpoint(instance);
       this.emit('workflowFailed', { instance, error });
       throw error;
     }
   }
 
   /**
-   * Execute workflow steps sequentially
+   * Continue a paused instance
+   *
+   * Escalated instances need the CEO decision: approve continues after the
+   * escalated step(s), deny ends the workflow as 'rejected', defer keeps it paused.
+   * Instances interrupted by a restart continue from their last checkpoint.
+   * @param {string} instanceId - Instance id (or its workflows row id)
+   * @param {string|Object} decision - 'Approve' | 'Deny' | 'Defer', or { decision, notes, approved }
+   */
+  async resumeWorkflow(instanceId, decision) {
+    const instance = this.getWorkflowStatus(instanceId);
+    if (!instance) {
+      throw new Error(`Workflow instance not found: ${instanceId}`);
+    }
+    if (!['escalated', 'interrupted'].includes(instance.status)) {
+      throw new Error(`Workflow ${instance.id} is ${instance.status}; only escalated or interrupted workflows can be resumed`);
+    }
+
+    let resolution = null;
+    if (instance.status === 'escalated') {
+      if (!decision) {
+        throw new Error(`Workflow ${instance.id} is waiting for a CEO decision`);
+      }
+
+      resolution = parseDecision(decision);
+      instance.decisions = [
+        ...(instance.decisions || []),
+        { ...resolution, step: instance.escalation?.step, decidedAt: new Date().toISOString() },
+      ];
+
+      if (resolution.action === 'defer') {
+        console.log(`[WORKFLOW] Decision deferred: ${instance.id}`);
+        await this.checkpoint(instance);
+        return instance;
+      }
+
+      if (resolution.action === 'deny') {
+        await this.settleEscalation(instance, 'rejected', { decision: resolution.decision, notes: resolution.notes });
+        instance.status = 'rejected';
+        instance.completedAt = new Date().toISOString();
+        await this.checkpoint(instance);
+        this.emit('workflowRejected', { instance, decision: resolution });
+        console.log(`[WORKFLOW] Rejected by CEO: ${instance.workflow.name} (${instance.id})`);
+        return instance;
+      }
+
+      await this.settleEscalation(instance, 'completed', { decision: resolution.decision, notes: resolution.notes });
+    }
+
+    instance.status = 'running';
+    instance.escalation = null;
+    instance.escalationReason = null;
+    await this.checkpoint(instance);
+    this.emit('workflowResumed', { instance, decision: resolution });
+
+    console.log(`[WORKFLOW] Resuming: ${instance.workflow.name} (${instance.id})`);
+
+    // Linear workflows record one stepResults entry per step, so that is where to continue
+    return this.runInstance(instance, () => this.executeWorkflow(instance, instance.stepResults.length));
+  }
+
+  /**
+   * Apply the CEO decision to the escalated step(s): 'completed' hands the
+   * step's result (with the decision attached) on to the next steps
    */
-  async executeWorkflow(instance) {
+  async settleEscalation(instance, status, ceoDecision) {
+    const decided = { ...ceoDecision, decidedAt: new Date().toISOString() };
+    const escalatedIds = instance.nodes
+      ? Object.keys(instance.nodes).filter((id) => instance.nodes[id].status === 'escalated')
+      : [instance.escalation.stepId];
+
+    for (const id of escalatedIds) {
+      const entry = [...instance.stepResults].reverse().find((r) => r.stepId === id);
+      const result = { ...entry?.result, escalate: false, ceoDecision: decided };
+      if (entry) entry.result = result;
+
+      if (status === 'completed') {
+        instance.outputs[id] = result;
+        instance.context = { ...instance.context, lastStepOutput: result };
+        if (!instance.nodes) {
+          instance.context[`step_${instance.escalation.index}_output`] = result;
+        }
+      }
+      if (instance.nodes) {
+        instance.nodes[id] = { ...instance.nodes[id], status, finishedAt: decided.decidedAt };
+      }
+
+      await this.checkpointStep(instance, id, { status, result, completedAt: decided.decidedAt });
+    }
+  }
+
+  /**
+   * Execute workflow steps sequentially, or as a step graph when the workflow defines one
+   * @param {number} startStep - Linear step to start from (when resuming)
+   */
+  async executeWorkflow(instance, startStep = 0) {
     const { workflow } = instance;
+    instance.outputs = instance.outputs || {};
 
-    for (let i = 0; i < workflow.steps.length; i++) {
+    if (isGraphWorkflow(workflow)) {
+      return this.executeGraph(instance);
+    }
+
+    for (let i = startStep; i < workflow.steps.length; i++) {
       const step = workflow.steps[i];
       instance.currentStep = i;
 
@@ -92,11 +335,15 @@ class WorkflowEngine extends EventEmitter {
           skipped: true,
           reason: 'Condition not met',
         });
+        await this.checkpoint(instance);
         continue;
       }
 
+      const id = stepId(step, i);
+
       // Build task from step definition
       const task = this.buildTask(step, instance);
+      await this.checkpointStep(instance, id, { step, stepNumber: i + 1, task });
 
       // Execute step
       const result = await this.executeStep(step, task, instance);
@@ -104,6 +351,7 @@ class WorkflowEngine extends EventEmitter {
       // Store result
       instance.stepResults.push({
         step: step.name,
+        stepId: id,
         role: step.role,
         result,
         completedAt: new Date().toISOString(),
@@ -114,17 +362,28 @@ class WorkflowEngine extends EventEmitter {
         console.log(`[WORKFLOW] Escalation triggered at step: ${step.name}`);
         instance.status = 'escalated';
         instance.escalationReason = result.escalateReason;
+        instance.escalation = this.describeEscalation(step, id, result, i);
+        await this.checkpointStep(instance, id, { status: 'escalated', result });
+        await this.checkpoint(instance);
         this.emit('workflowEscalated', { instance, step, result });
         return instance;
       }
 
       // Update context with step output
+      instance.outputs[id] = result;
       instance.context = {
         ...instance.context,
         [`step_${i}_output`]: result,
         lastStepOutput: result,
       };
 
+      await this.checkpointStep(instance, id, {
+        status: result.error ? 'failed' : 'completed',
+        result,
+        error: result.error,
+      });
+      await this.checkpoint(instance);
+
       this.emit('stepCompleted', { instance, step, result });
     }
 
@@ -137,6 +396,339 @@ class WorkflowEngine extends EventEmitter {
     return instance;
   }
 
+  /**
+   * Build the step graph: id -> { id, name, kind: 'step' | 'group' | 'branch', step, dependsOn, join }
+   * A parallel group becomes one node per member plus a group node that joins them.
+   */
+  buildGraph(workflow) {
+    const graph = new Map();
+    const explicit = new Set();
+    const add = (node) => {
+      if (graph.has(node.id)) {
+        throw new Error(`Invalid workflow ${workflow.id}: duplicate step id "${node.id}"`);
+      }
+      validateJoin(node.join, node.id);
+      graph.set(node.id, node);
+    };
+
+    let previousId = null;
+    workflow.steps.forEach((step, index) => {
+      const id = stepId(step, index);
+      const dependsOn = step.dependsOn !== undefined ? asArray(step.dependsOn) : previousId ? [previousId] : [];
+      if (step.dependsOn !== undefined) explicit.add(id);
+
+      if (step.parallel) {
+        const members = step.parallel.map((member, memberIndex) => {
+          const memberId = stepId(member, `${index}-${memberIndex}`);
+          if (member.dependsOn !== undefined) explicit.add(memberId);
+          add({
+            id: memberId,
+            name: member.name || memberId,
+            kind: 'step',
+            step: { ...member, name: member.name || memberId },
+            dependsOn: member.dependsOn !== undefined ? asArray(member.dependsOn) : dependsOn,
+            join: member.join,
+            group: id,
+          });
+          return memberId;
+        });
+        add({ id, name: step.name || id, kind: 'group', step, dependsOn: members, join: step.join, members });
+      } else {
+        add({ id, name: step.name || id, kind: step.branch ? 'branch' : 'step', step: { ...step, name: step.name || id }, dependsOn, join: step.join });
+      }
+
+      previousId = id;
+    });
+
+    for (const node of graph.values()) {
+      if (node.kind !== 'branch') continue;
+      const { on, cases = {}, default: fallback } = node.step.branch;
+      if (!on) {
+        throw new Error(`Invalid workflow ${workflow.id}: branch "${node.id}" needs an "on" step output`);
+      }
+
+      // Branch targets wait for the branch; without explicit edges they hang off it directly
+      for (const targetId of [...Object.values(cases), fallback].flatMap(asArray)) {
+        const target = graph.get(targetId);
+        if (!target) {
+          throw new Error(`Invalid workflow ${workflow.id}: branch "${node.id}" targets unknown step "${targetId}"`);
+        }
+        if (!explicit.has(targetId)) {
+          target.dependsOn = [node.id];
+        } else if (!target.dependsOn.includes(node.id)) {
+          target.dependsOn.push(node.id);
+        }
+      }
+    }
+
+    for (const node of graph.values()) {
+      const unknown = node.dependsOn.find((depId) => !graph.has(depId));
+      if (unknown) {
+        throw new Error(`Invalid workflow ${workflow.id}: step "${node.id}" depends on unknown step "${unknown}"`);
+      }
+    }
+
+    const visiting = new Set();
+    const visited = new Set();
+    const visit = (id, path) => {
+      if (visited.has(id)) return;
+      if (visiting.has(id)) {
+        throw new Error(`Invalid workflow ${workflow.id}: dependency cycle ${[...path, id].join(' -> ')}`);
+      }
+      visiting.add(id);
+      graph.get(id).dependsOn.forEach((depId) => visit(depId, [...path, id]));
+      visiting.delete(id);
+      visited.add(id);
+    };
+    graph.forEach((node, id) => visit(id, []));
+
+    return graph;
+  }
+
+  /**
+   * Execute a step graph: every step starts as soon as its join policy is met,
+   * so independent steps run concurrently
+   */
+  async executeGraph(instance) {
+    const { workflow } = instance;
+    const graph = this.buildGraph(workflow);
+    const running = new Map();
+    let escalation = null;
+
+    instance.nodes = instance.nodes || {};
+    for (const id of graph.keys()) {
+      instance.nodes[id] = instance.nodes[id] || { status: 'pending' };
+    }
+
+    const schedule = () => {
+      let changed = true;
+      while (changed && !escalation) {
+        changed = false;
+        for (const node of graph.values()) {
+          if (instance.nodes[node.id].status !== 'pending') continue;
+
+          const readiness = this.resolveReadiness(node, graph, instance);
+          if (readiness.state === 'wait') continue;
+          changed = true;
+
+          if (readiness.state !== 'ready') {
+            this.settleNode(node, instance, readiness.state, { reason: readiness.reason });
+            continue;
+          }
+
+          instance.nodes[node.id] = { status: 'running', startedAt: new Date().toISOString() };
+          const run = this.runNode(node, instance).then(async (result) => {
+            if (result?.escalate && !escalation) {
+              escalation = { node, result };
+            }
+            await this.checkpoint(instance);
+            running.delete(node.id);
+          });
+          running.set(node.id, run);
+        }
+      }
+    };
+
+    schedule();
+    while (running.size > 0) {
+      await Promise.race(running.values());
+      schedule();
+    }
+
+    if (escalation) {
+      const { node, result } = escalation;
+      console.log(`[WORKFLOW] Escalation triggered at step: ${node.name}`);
+      instance.status = 'escalated';
+      instance.escalationReason = result.escalateReason;
+      instance.escalation = this.describeEscalation(node.step, node.id, result);
+      await this.checkpoint(instance);
+      this.emit('workflowEscalated', { instance, step: node.step, result });
+      return instance;
+    }
+
+    // A failure only fails the workflow if no dependent carried on without it
+    const failed = [...graph.values()].find((node) =>
+      ['failed', 'blocked'].includes(instance.nodes[node.id].status) && !this.isAbsorbed(node, graph, instance)
+    );
+    if (failed) {
+      throw new Error(`Step "${failed.name}" failed: ${instance.nodes[failed.id].error || instance.nodes[failed.id].reason}`);
+    }
+
+    instance.status = 'completed';
+    instance.completedAt = new Date().toISOString();
+    this.emit('workflowCompleted', { instance });
+
+    console.log(`[WORKFLOW] Completed: ${workflow.name}`);
+    return instance;
+  }
+
+  /**
+   * Decide whether a pending node can run: 'ready', 'wait', 'skipped' or 'blocked'
+   */
+  resolveReadiness(node, graph, instance) {
+    const states = node.dependsOn.map((depId) => {
+      const { status } = instance.nodes[depId];
+      if (graph.get(depId).kind === 'branch' && status === 'completed') {
+        return instance.outputs[depId].selected.includes(node.id) ? 'succeeded' : 'notTaken';
+      }
+      if (status === 'completed') return 'succeeded';
+      if (status === 'skipped') return 'skipped';
+      if (['failed', 'blocked', 'escalated'].includes(status)) return 'failed';
+      return 'pending';
+    });
+    const count = (state) => states.filter((s) => s === state).length;
+
+    const skipped = count('skipped') + count('notTaken');
+    if (states.length > 0 && skipped === states.length) {
+      return { state: 'skipped', reason: count('notTaken') > 0 ? 'Branch not taken' : 'Dependencies skipped' };
+    }
+
+    const succeeded = count('succeeded');
+    const needed = requiredSuccesses(node.join, states.length - skipped);
+    if (succeeded + count('pending') < needed) {
+      const policy = node.join?.quorum ? `quorum ${node.join.quorum}` : node.join || 'all';
+      return { state: 'blocked', reason: `Join policy "${policy}" not met (${succeeded}/${needed} dependencies succeeded)` };
+    }
+    if (succeeded < needed) {
+      return { state: 'wait' };
+    }
+
+    if (node.kind === 'step' && node.step.condition && !this.evaluateCondition(node.step.condition, instance, node)) {
+      return { state: 'skipped', reason: 'Condition not met' };
+    }
+
+    return { state: 'ready' };
+  }
+
+  /**
+   * Run a ready node; resolves with the step result
+   */
+  async runNode(node, instance) {
+    if (node.kind === 'group') {
+      const result = this.joinGroup(node, instance);
+      this.settleNode(node, instance, 'completed', { result });
+      return result;
+    }
+
+    if (node.kind === 'branch') {
+      const result = this.selectBranch(node, instance);
+      console.log(`[WORKFLOW] Branch ${node.id}: ${node.step.branch.on} = ${result.value} -> ${result.selected.join(', ') || 'nothing'}`);
+      this.settleNode(node, instance, 'completed', { result });
+      return result;
+    }
+
+    const { step } = node;
+    console.log(`[WORKFLOW] Step ${node.id}: ${step.name}`);
+
+    let result;
+    try {
+      const task = this.buildTask(step, instance, {
+        id: `${instance.id}-${node.id}`,
+        previousStepOutput: this.dependencyOutput(node, instance),
+      });
+      const stepNumber = Object.keys(instance.nodes).indexOf(node.id) + 1;
+      await this.checkpointStep(instance, node.id, { step, stepNumber, task });
+      result = await this.executeStep(step, task, instance);
+    } catch (error) {
+      result = { error: error.message };
+    }
+
+    instance.stepResults.push({
+      step: step.name,
+      stepId: node.id,
+      role: step.role,
+      result,
+      completedAt: new Date().toISOString(),
+    });
+
+    if (result.error) {
+      console.warn(`[WORKFLOW] Step failed: ${step.name} (${result.error})`);
+      this.settleNode(node, instance, 'failed', { error: result.error });
+      await this.checkpointStep(instance, node.id, { status: 'failed', result, error: result.error });
+      return result;
+    }
+
+    if (result.escalate) {
+      this.settleNode(node, instance, 'escalated', { reason: result.escalateReason });
+      await this.checkpointStep(instance, node.id, { status: 'escalated', result });
+      return result;
+    }
+
+    this.settleNode(node, instance, 'completed', { result });
+    await this.checkpointStep(instance, node.id, { status: 'completed', result });
+    instance.context = { ...instance.context, lastStepOutput: result };
+    this.emit('stepCompleted', { instance, step, result });
+    return result;
+  }
+
+  /**
+   * Record a node's final status (and output when it completed)
+   */
+  settleNode(node, instance, status, { result, error, reason } = {}) {
+    instance.nodes[node.id] = {
+      ...instance.nodes[node.id],
+      status,
+      ...(error && { error }),
+      ...(reason && { reason }),
+      finishedAt: new Date().toISOString(),
+    };
+
+    if (status === 'completed') {
+      instance.outputs[node.id] = result;
+    }
+
+    if ((status === 'skipped' || status === 'blocked') && node.kind === 'step') {
+      console.log(`[WORKFLOW] Skipping step: ${node.name} (${reason})`);
+      instance.stepResults.push({ step: node.name, skipped: true, reason });
+    }
+  }
+
+  /**
+   * Output of a parallel group: which members succeeded, and their results so far
+   */
+  joinGroup(node, instance) {
+    const byStatus = (...statuses) => node.members.filter((id) => statuses.includes(instance.nodes[id].status));
+    return {
+      join: node.join || 'all',
+      succeeded: byStatus('completed'),
+      failed: byStatus('failed', 'blocked', 'escalated'),
+      skipped: byStatus('skipped'),
+      pending: byStatus('pending', 'running'),
+      results: Object.fromEntries(byStatus('completed').map((id) => [id, instance.outputs[id]])),
+    };
+  }
+
+  /**
+   * Pick the branch targets for the current value of `branch.on`
+   */
+  selectBranch(node, instance) {
+    const { on, cases = {}, default: fallback } = node.step.branch;
+    const value = getPath(instance.outputs, on);
+    const key = value === undefined || value === null ? null : String(value);
+    const selected = key !== null && Object.hasOwn(cases, key) ? cases[key] : fallback;
+    return { value, selected: asArray(selected) };
+  }
+
+  /**
+   * Output handed to a graph step: its single dependency's output, or outputs by step id
+   */
+  dependencyOutput(node, instance) {
+    const outputs = node.dependsOn.filter((depId) => depId in instance.outputs);
+    if (outputs.length <= 1) {
+      return instance.outputs[outputs[0]];
+    }
+    return Object.fromEntries(outputs.map((depId) => [depId, instance.outputs[depId]]));
+  }
+
+  /**
+   * A failed node is absorbed when every node depending on it still completed
+   * (e.g. an 'any' or quorum join, or a parallel group that met its join)
+   */
+  isAbsorbed(node, graph, instance) {
+    const dependents = [...graph.values()].filter((other) => other.dependsOn.includes(node.id));
+    return dependents.length > 0 && dependents.every((other) => instance.nodes[other.id].status === 'completed');
+  }
+
   /**
    * Execute a single workflow step
    */
@@ -152,7 +744,7 @@ class WorkflowEngine extends EventEmitter {
     }
 
     // Process task through agent
-    const result = await agent.processTask(task);
+    const result = this.applyEscalationPolicy(step, instance, await this.runWithTimeout(step, agent.processTask(task)));
 
     // Log the decision
     if (this.decisionLogger) {
@@ -166,23 +758,262 @@ class WorkflowEngine extends EventEmitter {
       });
     }
 
+    if (result.error && this.escalationPolicy(step, instance).onFailure === 'fail') {
+      throw new Error(`Step "${step.name}" failed: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve with the agent's result, or a timed-out error result after step.timeout
+   */
+  async runWithTimeout(step, work) {
+    if (!step.timeout) {
+      return work;
+    }
+
+    const timeoutMs = parseDuration(step.timeout);
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve({
+        error: `Step "${step.name}" timed out after ${step.timeout}`,
+        timedOut: true,
+      }), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([work, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Workflow-level escalation policy overridden per step:
+   * { onFailure: 'fail' | 'escalate', onTimeout: 'fail' | 'escalate', requireApproval, reason }
+   */
+  escalationPolicy(step, instance) {
+    return { ...instance.workflow.escalation, ...step.escalation };
+  }
+
+  /**
+   * Turn failures, timeouts or approval-gated steps into escalations as the policy asks
+   */
+  applyEscalationPolicy(step, instance, result) {
+    const policy = this.escalationPolicy(step, instance);
+    if (result.escalate) {
+      return result;
+    }
+
+    const escalate = (reason) => ({ ...result, escalate: true, escalateReason: policy.reason || reason });
+
+    if (result.timedOut && policy.onTimeout === 'escalate') {
+      return escalate(result.error);
+    }
+    if (result.error && policy.onFailure === 'escalate') {
+      return escalate(`Step "${step.name}" failed: ${result.error}`);
+    }
+    if (!result.error && policy.requireApproval) {
+      return escalate(`Step "${step.name}" requires approval`);
+    }
+
     return result;
   }
 
+  /**
+   * Escalation record kept on a paused instance
+   */
+  describeEscalation(step, id, result, index = null) {
+    return {
+      step: step.name,
+      stepId: id,
+      role: step.role,
+      reason: result.escalateReason,
+      index,
+      escalatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Persisted form of an instance (the workflow definition is re-resolved by id)
+   */
+  snapshot(instance) {
+    return {
+      instanceId: instance.id,
+      status: instance.status,
+      startedAt: instance.startedAt,
+      stepResults: instance.stepResults,
+      outputs: instance.outputs,
+      nodes: instance.nodes || null,
+      stepRecords: instance.stepRecords || {},
+      escalation: instance.escalation || null,
+      escalationReason: instance.escalationReason || null,
+      decisions: instance.decisions || [],
+      error: instance.error || null,
+    };
+  }
+
+  /**
+   * Checkpoint an instance to the workflows table (the first call creates its row).
+   * Persistence problems are logged, never fatal to the workflow itself.
+   */
+  async checkpoint(instance) {
+    if (!this.dbService?.isAvailable()) return;
+
+    const record = {
+      status: DB_STATUS[instance.status] || 'active',
+      context: instance.context,
+      currentStep: instance.currentStep,
+      metadata: this.snapshot(instance),
+    };
+
+    try {
+      if (!instance.dbId) {
+        const { workflow } = instance;
+        const { data, error } = await this.dbService.createWorkflow({
+          ...record,
+          workflowType: instance.workflowId,
+          name: workflow.name,
+          description: workflow.description,
+          totalSteps: flattenSteps(workflow).length,
+          triggerType: workflow.trigger || 'manual',
+        });
+        if (error) throw new Error(error.message);
+        instance.dbId = data.id;
+      } else {
+        const { error } = await this.dbService.updateWorkflow(instance.dbId, {
+          ...record,
+          ...(instance.completedAt && { completedAt: instance.completedAt }),
+        });
+        if (error) throw new Error(error.message);
+      }
+    } catch (error) {
+      console.warn(`[WORKFLOW] Checkpoint failed for ${instance.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Checkpoint a step to workflow_steps: with a task it records the step starting,
+   * otherwise its outcome ({ status, result, error })
+   */
+  async checkpointStep(instance, key, { step, stepNumber, task, status, result, error, completedAt } = {}) {
+    if (!instance.dbId || !this.dbService?.isAvailable()) return;
+
+    try {
+      const recordId = instance.stepRecords?.[key];
+
+      if (task && !recordId) {
+        const { data, error: dbError } = await this.dbService.createWorkflowStep({
+          workflowId: instance.dbId,
+          stepNumber,
+          roleId: step.role,
+          taskDescription: task.content,
+          status: 'running',
+          metadata: { stepId: key, name: step.name, taskId: task.id },
+        });
+        if (dbError) throw new Error(dbError.message);
+        instance.stepRecords = { ...instance.stepRecords, [key]: data.id };
+        return;
+      }
+
+      if (!recordId) return;
+
+      const updates = task
+        ? { status: 'running' }
+        : { status, result, ...(error && { error }), completedAt: completedAt || new Date().toISOString() };
+      const { error: dbError } = await this.dbService.updateWorkflowStep(recordId, updates);
+      if (dbError) throw new Error(dbError.message);
+    } catch (checkpointError) {
+      console.warn(`[WORKFLOW] Step checkpoint failed for ${instance.id}/${key}:`, checkpointError.message);
+    }
+  }
+
+  /**
+   * Reload unfinished instances from the workflows table after a restart.
+   * Escalated instances stay paused for resumeWorkflow; instances that were
+   * mid-step become 'interrupted' and continue from their last checkpoint when resumed.
+   * Call after registering the workflow definitions.
+   */
+  async rehydrate() {
+    if (!this.dbService?.isAvailable()) {
+      return [];
+    }
+
+    const { data, error } = await this.dbService.getActiveWorkflows(200);
+    if (error) {
+      console.warn('[WORKFLOW] Rehydrate failed:', error.message);
+      return [];
+    }
+
+    const restored = [];
+    for (const row of data) {
+      const saved = row.metadata || {};
+      const workflow = this.workflows.get(row.workflow_type);
+
+      if (!saved.instanceId || this.runningWorkflows.has(saved.instanceId)) continue;
+      if (!workflow) {
+        console.warn(`[WORKFLOW] Cannot rehydrate ${saved.instanceId}: workflow ${row.workflow_type} is not registered`);
+        continue;
+      }
+
+      const instance = {
+        id: saved.instanceId,
+        dbId: row.id,
+        workflowId: row.workflow_type,
+        workflow,
+        context: row.context || {},
+        currentStep: row.current_step || 0,
+        stepResults: saved.stepResults || [],
+        outputs: saved.outputs || {},
+        stepRecords: saved.stepRecords || {},
+        decisions: saved.decisions || [],
+        status: saved.status === 'escalated' ? 'escalated' : 'interrupted',
+        escalation: saved.escalation || null,
+        escalationReason: saved.escalationReason || null,
+        startedAt: saved.startedAt || row.created_at,
+        completedAt: null,
+      };
+
+      if (saved.nodes) {
+        // Steps that were in flight run again
+        instance.nodes = Object.fromEntries(Object.entries(saved.nodes).map(([id, node]) => [
+          id,
+          node.status === 'running' ? { status: 'pending' } : node,
+        ]));
+      }
+
+      this.runningWorkflows.set(instance.id, instance);
+      if (instance.status !== saved.status) {
+        await this.checkpoint(instance);
+      }
+      restored.push(instance);
+    }
+
+    console.log(`[WORKFLOW] Rehydrated ${restored.length} workflow instance(s)`);
+    return restored;
+  }
+
   /**
    * Build a task from step definition and context
+   * @param {Object} options - Graph overrides: { id, previousStepOutput }
    */
-  buildTask(step, instance) {
+  buildTask(step, instance, options = {}) {
     // Replace template variables in content
     let content = step.taskTemplate || step.name;
 
-    // Replace {{variable}} patterns with context values
-    content = content.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-      return instance.context[key] || match;
+    // Replace {{variable}} patterns with context values, {{step-id.field}} with step outputs
+    content = content.replace(/\{\{([\w.-]+)\}\}/g, (match, key) => {
+      if (/^\w+$/.test(key)) {
+        return instance.context[key] || match;
+      }
+      const value = getPath(instance.outputs, key);
+      if (value === undefined || value === null) return match;
+      return typeof value === 'object' ? JSON.stringify(value) : value;
     });
 
     return {
-      id: `${instance.id}-step-${instance.currentStep}`,
+      id: options.id || `${instance.id}-step-${instance.currentStep}`,
       content,
       priority: step.priority || 'MEDIUM',
       assigned_role: step.role,
@@ -190,19 +1021,43 @@ class WorkflowEngine extends EventEmitter {
       workflow: instance.workflow.name,
       workflowInstanceId: instance.id,
       context: instance.context,
-      previousStepOutput: instance.stepResults[instance.stepResults.length - 1]?.result,
+      previousStepOutput: 'previousStepOutput' in options
+        ? options.previousStepOutput
+        : instance.stepResults[instance.stepResults.length - 1]?.result,
     };
   }
 
   /**
    * Evaluate step condition
+   *
+   * Besides 'previousStepSuccess' / 'previousStepFailed' and functions, conditions
+   * can test named step outputs:
+   *   { step: 'financial-analysis', path: 'decision', matches: 'approve' }
+   *   { step, path, equals | notEquals | in | exists | status }
+   *   { all: [conditions] }, { any: [conditions] }, { not: condition }
    */
-  evaluateCondition(condition, instance) {
+  evaluateCondition(condition, instance, node) {
     if (typeof condition === 'function') {
-      return condition(instance.context, instance.stepResults);
+      return condition(instance.context, instance.stepResults, instance.outputs);
+    }
+
+    if (typeof condition === 'string' && !['previousStepSuccess', 'previousStepFailed'].includes(condition)) {
+      return this.evaluateExpression(condition, instance);
     }
 
     if (typeof condition === 'string') {
+      // In a step graph "previous" means the step's dependencies
+      if (node && instance.nodes) {
+        const statuses = node.dependsOn.map((depId) => instance.nodes[depId].status);
+        if (condition === 'previousStepSuccess') {
+          return statuses.every((status) => status === 'completed' || status === 'skipped');
+        }
+        if (condition === 'previousStepFailed') {
+          return statuses.some((status) => ['failed', 'blocked', 'escalated'].includes(status));
+        }
+        return true;
+      }
+
       // Simple condition evaluation
       const lastResult = instance.stepResults[instance.stepResults.length - 1];
       if (condition === 'previousStepSuccess') {
@@ -213,14 +1068,82 @@ class WorkflowEngine extends EventEmitter {
       }
     }
 
+    if (condition && typeof condition === 'object') {
+      return this.matchesCondition(condition, instance);
+    }
+
     return true;
   }
 
   /**
-   * Get workflow status
+   * Evaluate a condition expression (see expressions.js); a path's first segment
+   * names a step output, `context`, or a context value
+   */
+  evaluateExpression(source, instance) {
+    if (!this.expressions.has(source)) {
+      this.expressions.set(source, compileExpression(source));
+    }
+
+    return this.expressions.get(source)(([head, ...rest]) => {
+      const outputs = instance.outputs || {};
+      const root = Object.hasOwn(outputs, head) ? outputs[head]
+        : head === 'context' ? instance.context
+          : Object.hasOwn(instance.context || {}, head) ? instance.context[head] : undefined;
+      return rest.length ? getPath(root, rest.join('.')) : root;
+    });
+  }
+
+  /**
+   * Evaluate an object condition against named step outputs
+   */
+  matchesCondition(condition, instance) {
+    if (condition.all) {
+      return condition.all.every((c) => this.evaluateCondition(c, instance));
+    }
+    if (condition.any) {
+      return condition.any.some((c) => this.evaluateCondition(c, instance));
+    }
+    if (condition.not) {
+      return !this.evaluateCondition(condition.not, instance);
+    }
+
+    if (!condition.step) {
+      throw new Error(`Invalid condition: ${JSON.stringify(condition)} (expected step, all, any or not)`);
+    }
+
+    if ('status' in condition) {
+      const status = instance.nodes?.[condition.step]?.status || (condition.step in instance.outputs ? 'completed' : 'pending');
+      return status === condition.status;
+    }
+
+    const value = getPath(instance.outputs?.[condition.step], condition.path);
+
+    if ('exists' in condition) {
+      return (value !== undefined && value !== null) === Boolean(condition.exists);
+    }
+    if ('equals' in condition) {
+      return value === condition.equals;
+    }
+    if ('notEquals' in condition) {
+      return value !== condition.notEquals;
+    }
+    if ('in' in condition) {
+      return asArray(condition.in).includes(value);
+    }
+    if ('matches' in condition) {
+      const pattern = condition.matches instanceof RegExp ? condition.matches : new RegExp(condition.matches, 'i');
+      return value !== undefined && value !== null && pattern.test(String(value));
+    }
+
+    return Boolean(value);
+  }
+
+  /**
+   * Get workflow status (by instance id or workflows row id)
    */
   getWorkflowStatus(instanceId) {
-    return this.runningWorkflows.get(instanceId);
+    return this.runningWorkflows.get(instanceId) ||
+      this.listRunningWorkflows().find((instance) => instance.dbId && instance.dbId === instanceId);
   }
 
   /**
@@ -0,0 +1,211 @@
+/**
+ * MONOLITH OS - Declarative Workflow Loader
+ * Loads YAML/JSON workflow definitions from a directory, validates them
+ * against the workflow schema and registers them with a WorkflowEngine.
+ *
+ * With watch enabled, added or changed files are re-validated and re-registered,
+ * and deleted files unregister their workflow. A file that stops validating
+ * leaves the previously registered version in place.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EventEmitter } from 'events';
+import yaml from 'js-yaml';
+import { validateWorkflow, formatErrors } from './schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LIBRARY_DIR = path.join(__dirname, 'library');
+const ROLES_DIR = path.join(__dirname, '..', 'roles');
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+export const isWorkflowFile = (file) => EXTENSIONS.includes(path.extname(file).toLowerCase());
+
+/**
+ * Role ids that have an agent implementation (agents/roles/<role>/agent.js)
+ */
+export function listRoles(rolesDir = ROLES_DIR) {
+  return fs.readdirSync(rolesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(rolesDir, entry.name, 'agent.js')))
+    .map((entry) => entry.name);
+}
+
+/**
+ * Parse a YAML or JSON workflow file (YAML is loaded with the safe schema)
+ */
+export function parseWorkflowFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.safeLoad(text, { filename: file });
+  } catch (error) {
+    throw new Error(`Cannot parse ${path.basename(file)}: ${error.message}`);
+  }
+}
+
+/**
+ * Load and validate one workflow file
+ * @returns {Object} { workflow, errors } - workflow is null when the file is invalid
+ */
+export function loadWorkflowFile(file, options = {}) {
+  let definition;
+  try {
+    definition = parseWorkflowFile(file);
+  } catch (error) {
+    return { workflow: null, errors: [{ path: '', message: error.message }] };
+  }
+
+  const errors = validateWorkflow(definition, { roles: options.roles || listRoles() });
+  if (errors.length > 0) {
+    return { workflow: null, errors };
+  }
+
+  return { workflow: { ...definition, source: file }, errors: [] };
+}
+
+/**
+ * Load every workflow file in a directory
+ * @returns {Object} { workflows, invalid: [{ file, errors }] }
+ */
+export function loadWorkflowDirectory(dir = LIBRARY_DIR, options = {}) {
+  if (!fs.existsSync(dir)) {
+    return { workflows: [], invalid: [] };
+  }
+
+  const roles = options.roles || listRoles();
+  const workflows = [];
+  const invalid = [];
+
+  for (const name of fs.readdirSync(dir).filter(isWorkflowFile).sort()) {
+    const file = path.join(dir, name);
+    const { workflow, errors } = loadWorkflowFile(file, { roles });
+    if (workflow) {
+      workflows.push(workflow);
+    } else {
+      invalid.push({ file, errors });
+    }
+  }
+
+  return { workflows, invalid };
+}
+
+class WorkflowLoader extends EventEmitter {
+  /**
+   * @param {WorkflowEngine} engine - Engine to register workflows with
+   * @param {Object} config - { dir, roles, debounceMs }
+   */
+  constructor(engine, config = {}) {
+    super();
+
+    this.engine = engine;
+    this.dir = config.dir || process.env.WORKFLOWS_DIR || LIBRARY_DIR;
+    this.roles = config.roles || null;
+    this.debounceMs = config.debounceMs ?? 200;
+    this.files = new Map(); // file -> registered workflow id
+    this.pending = new Map(); // file -> debounce timer
+    this.watcher = null;
+  }
+
+  /**
+   * Load every file in the directory
+   * @returns {Array} Registered workflows
+   */
+  loadAll() {
+    if (!fs.existsSync(this.dir)) {
+      console.warn(`[WORKFLOW-LOADER] Directory not found: ${this.dir}`);
+      return [];
+    }
+
+    const loaded = fs.readdirSync(this.dir)
+      .filter(isWorkflowFile)
+      .sort()
+      .map((name) => this.loadFile(path.join(this.dir, name)))
+      .filter(Boolean);
+
+    console.log(`[WORKFLOW-LOADER] Loaded ${loaded.length} workflow(s) from ${this.dir}`);
+    return loaded;
+  }
+
+  /**
+   * Validate and (re-)register one file; invalid files keep the previous version
+   */
+  loadFile(file) {
+    const { workflow, errors } = loadWorkflowFile(file, { roles: this.roles || listRoles() });
+    const previousId = this.files.get(file);
+
+    if (workflow) {
+      try {
+        this.engine.registerWorkflow(workflow);
+      } catch (error) {
+        errors.push({ path: '/steps', message: error.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      console.warn(`[WORKFLOW-LOADER] ${path.basename(file)} is invalid:\n${formatErrors(errors)}`);
+      this.emit('invalid', { file, errors });
+      return null;
+    }
+
+    if (previousId && previousId !== workflow.id) {
+      this.engine.unregisterWorkflow(previousId);
+    }
+    this.files.set(file, workflow.id);
+    this.emit('loaded', { file, workflow });
+    return workflow;
+  }
+
+  /**
+   * Unregister the workflow a deleted file defined
+   */
+  removeFile(file) {
+    const workflowId = this.files.get(file);
+    if (!workflowId) return;
+
+    this.files.delete(file);
+    this.engine.unregisterWorkflow(workflowId);
+    this.emit('removed', { file, workflowId });
+  }
+
+  /**
+   * Load the directory and keep it in sync while the process runs
+   */
+  watch() {
+    this.loadAll();
+    if (this.watcher || !fs.existsSync(this.dir)) {
+      return this;
+    }
+
+    this.watcher = fs.watch(this.dir, (eventType, name) => {
+      if (!name || !isWorkflowFile(name)) return;
+
+      // Editors write files in several steps; act once the burst is over
+      const file = path.join(this.dir, name);
+      clearTimeout(this.pending.get(file));
+      this.pending.set(file, setTimeout(() => {
+        this.pending.delete(file);
+        if (fs.existsSync(file)) {
+          this.loadFile(file);
+        } else {
+          this.removeFile(file);
+        }
+      }, this.debounceMs));
+    });
+
+    console.log(`[WORKFLOW-LOADER] Watching ${this.dir} for changes`);
+    return this;
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    this.watcher?.close();
+    this.watcher = null;
+    this.pending.forEach((timer) => clearTimeout(timer));
+    this.pending.clear();
+  }
+}
+
+export default WorkflowLoader;
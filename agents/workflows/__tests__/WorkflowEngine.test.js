@@ -0,0 +1,615 @@
+/**
+ * Unit tests for WorkflowEngine
+ * Tests linear workflows, step graphs, parallel groups, join policies and branches
+ */
+
+import { jest } from '@jest/globals';
+import WorkflowEngine, { flattenSteps, isGraphWorkflow } from '../WorkflowEngine.js';
+import { vendorEvaluationWorkflow, newFeatureWorkflow } from '../definitions.js';
+
+/**
+ * Stub role agent; `respond(task)` returns the result, or a promise for it
+ */
+function stubAgent(respond = () => ({ decision: 'Approved' })) {
+  return { processTask: jest.fn(async (task) => respond(task)) };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * In-memory stand-in for the DatabaseService workflow operations
+ */
+function memoryDatabase() {
+  const db = {
+    workflows: new Map(),
+    steps: new Map(),
+    isAvailable: () => true,
+    createWorkflow: jest.fn(async (workflow) => {
+      const row = {
+        id: `wf-${db.workflows.size + 1}`,
+        workflow_type: workflow.workflowType,
+        name: workflow.name,
+        status: workflow.status,
+        context: workflow.context,
+        current_step: workflow.currentStep,
+        total_steps: workflow.totalSteps,
+        metadata: workflow.metadata,
+      };
+      db.workflows.set(row.id, row);
+      return { data: row, error: null };
+    }),
+    updateWorkflow: jest.fn(async (id, updates) => {
+      const row = db.workflows.get(id);
+      Object.assign(row, JSON.parse(JSON.stringify({ ...updates, current_step: updates.currentStep })));
+      return { data: row, error: null };
+    }),
+    getActiveWorkflows: jest.fn(async () => ({
+      data: [...db.workflows.values()].filter((row) => ['pending', 'active', 'paused'].includes(row.status)),
+      error: null,
+    })),
+    createWorkflowStep: jest.fn(async (step) => {
+      const row = { id: `step-${db.steps.size + 1}`, ...step };
+      db.steps.set(row.id, row);
+      return { data: row, error: null };
+    }),
+    updateWorkflowStep: jest.fn(async (id, updates) => {
+      Object.assign(db.steps.get(id), updates);
+      return { data: db.steps.get(id), error: null };
+    }),
+  };
+  return db;
+}
+
+describe('WorkflowEngine', () => {
+  let agents;
+  let engine;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    agents = {};
+    engine = new WorkflowEngine({ orchestrator: { agents }, dbService: { isAvailable: () => false } });
+  });
+
+  const run = (workflow, context = {}) => {
+    engine.registerWorkflow(workflow);
+    return engine.startWorkflow(workflow.id, context);
+  };
+
+  describe('linear workflows', () => {
+    it('should run steps in order, passing the previous output', async () => {
+      const order = [];
+      agents.cpo = stubAgent(() => { order.push('cpo'); return { decision: 'Spec ready' }; });
+      agents.cto = stubAgent(() => { order.push('cto'); return { decision: 'Feasible' }; });
+
+      const instance = await run({
+        id: 'linear',
+        name: 'Linear',
+        steps: [
+          { name: 'Spec', role: 'cpo', taskTemplate: 'Spec {{featureName}}' },
+          { name: 'Feasibility', role: 'cto', taskTemplate: 'Assess {{featureName}}', condition: 'previousStepSuccess' },
+        ],
+      }, { featureName: 'Search' });
+
+      expect(instance.status).toBe('completed');
+      expect(order).toEqual(['cpo', 'cto']);
+      expect(agents.cto.processTask.mock.calls[0][0]).toMatchObject({
+        id: `${instance.id}-step-1`,
+        content: 'Assess Search',
+        previousStepOutput: { decision: 'Spec ready' },
+      });
+      expect(instance.context.step_0_output).toEqual({ decision: 'Spec ready' });
+      expect(instance.outputs.feasibility).toEqual({ decision: 'Feasible' });
+    });
+
+    it('should keep the predefined linear definitions linear', () => {
+      expect(isGraphWorkflow(newFeatureWorkflow)).toBe(false);
+      expect(isGraphWorkflow(vendorEvaluationWorkflow)).toBe(true);
+    });
+
+    it('should stop at an escalating step', async () => {
+      agents.cfo = stubAgent(() => ({ escalate: true, escalateReason: 'Over budget' }));
+      agents.cto = stubAgent();
+
+      const instance = await run({
+        id: 'escalating',
+        name: 'Escalating',
+        steps: [{ name: 'Budget', role: 'cfo' }, { name: 'Build', role: 'cto' }],
+      });
+
+      expect(instance.status).toBe('escalated');
+      expect(instance.escalationReason).toBe('Over budget');
+      expect(agents.cto.processTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('registerWorkflow', () => {
+    it('should reject unknown dependencies', () => {
+      expect(() => engine.registerWorkflow({
+        id: 'bad',
+        name: 'Bad',
+        steps: [{ id: 'a', role: 'cfo', dependsOn: ['missing'] }],
+      })).toThrow('depends on unknown step "missing"');
+    });
+
+    it('should reject dependency cycles', () => {
+      expect(() => engine.registerWorkflow({
+        id: 'cycle',
+        name: 'Cycle',
+        steps: [
+          { id: 'a', role: 'cfo', dependsOn: ['b'] },
+          { id: 'b', role: 'cto', dependsOn: ['a'] },
+        ],
+      })).toThrow('dependency cycle');
+    });
+
+    it('should reject invalid join policies', () => {
+      expect(() => engine.registerWorkflow({
+        id: 'join',
+        name: 'Join',
+        steps: [{ id: 'a', role: 'cfo', join: 'most' }],
+      })).toThrow('Invalid join policy');
+    });
+  });
+
+  describe('parallel groups', () => {
+    it('should run group members concurrently and join them', async () => {
+      const gates = { cfo: deferred(), ciso: deferred(), clo: deferred() };
+      agents.coo = stubAgent(() => ({ decision: 'Fit' }));
+      for (const role of Object.keys(gates)) {
+        agents[role] = stubAgent(() => gates[role].promise);
+      }
+
+      engine.registerWorkflow(vendorEvaluationWorkflow);
+      const pending = engine.startWorkflow('vendor-evaluation', { vendorName: 'Acme' });
+      await flush();
+
+      // All three reviews started before any finished
+      expect(agents.cfo.processTask).toHaveBeenCalled();
+      expect(agents.ciso.processTask).toHaveBeenCalled();
+      expect(agents.clo.processTask).toHaveBeenCalled();
+      expect(agents.cfo.processTask.mock.calls[0][0]).toMatchObject({
+        content: 'Analyze vendor pricing and financial impact for: Acme',
+        previousStepOutput: { decision: 'Fit' },
+      });
+
+      gates.clo.resolve({ decision: 'Terms ok' });
+      gates.cfo.resolve({ decision: 'Within budget' });
+      gates.ciso.resolve({ decision: 'SOC2 verified' });
+      const instance = await pending;
+
+      expect(instance.status).toBe('completed');
+      expect(instance.outputs['vendor-reviews']).toMatchObject({
+        join: 'all',
+        succeeded: ['financial-analysis', 'security-review', 'contract-review'],
+        failed: [],
+      });
+      expect(instance.stepResults.map((r) => r.step)).toEqual([
+        'Operational Assessment', 'Contract Review', 'Financial Analysis', 'Security Review',
+      ]);
+    });
+
+    it('should fail an "all" group when a member fails', async () => {
+      agents.cfo = stubAgent();
+      agents.ciso = stubAgent(() => { throw new Error('Scanner offline'); });
+      agents.ceo = stubAgent();
+
+      engine.registerWorkflow({
+        id: 'all-join',
+        name: 'All Join',
+        steps: [
+          { id: 'reviews', parallel: [{ id: 'finance', role: 'cfo' }, { id: 'security', role: 'ciso' }] },
+          { id: 'sign-off', role: 'ceo' },
+        ],
+      });
+
+      await expect(engine.startWorkflow('all-join')).rejects.toThrow('Step "security" failed: Scanner offline');
+      expect(agents.ceo.processTask).not.toHaveBeenCalled();
+      expect(engine.listRunningWorkflows()[0].status).toBe('failed');
+    });
+
+    it('should absorb member failures when an "any" join is met', async () => {
+      agents.cfo = stubAgent(() => ({ error: 'Pricing unavailable' }));
+      agents.clo = stubAgent();
+      agents.ceo = stubAgent();
+
+      const instance = await run({
+        id: 'any-join',
+        name: 'Any Join',
+        steps: [
+          { id: 'reviews', join: 'any', parallel: [{ id: 'finance', role: 'cfo' }, { id: 'legal', role: 'clo' }] },
+          { id: 'sign-off', role: 'ceo' },
+        ],
+      });
+
+      expect(instance.status).toBe('completed');
+      expect(instance.nodes.finance.status).toBe('failed');
+      expect(agents.ceo.processTask).toHaveBeenCalled();
+    });
+
+    it('should wait for a quorum of dependencies', async () => {
+      agents.cfo = stubAgent();
+      agents.ciso = stubAgent(() => ({ error: 'No data' }));
+      agents.clo = stubAgent();
+      agents.ceo = stubAgent();
+
+      const instance = await run({
+        id: 'quorum',
+        name: 'Quorum',
+        steps: [
+          { id: 'finance', role: 'cfo', dependsOn: [] },
+          { id: 'security', role: 'ciso', dependsOn: [] },
+          { id: 'legal', role: 'clo', dependsOn: [] },
+          { id: 'decide', role: 'ceo', dependsOn: ['finance', 'security', 'legal'], join: { quorum: 2 } },
+        ],
+      });
+
+      expect(instance.status).toBe('completed');
+      expect(agents.ceo.processTask.mock.calls[0][0].previousStepOutput).toEqual({
+        finance: { decision: 'Approved' },
+        legal: { decision: 'Approved' },
+      });
+    });
+
+    it('should block a step whose quorum can no longer be met', async () => {
+      agents.cfo = stubAgent(() => ({ error: 'No data' }));
+      agents.ciso = stubAgent(() => ({ error: 'No data' }));
+      agents.ceo = stubAgent();
+
+      await expect(run({
+        id: 'quorum-missed',
+        name: 'Quorum Missed',
+        steps: [
+          { id: 'finance', role: 'cfo', dependsOn: [] },
+          { id: 'security', role: 'ciso', dependsOn: [] },
+          { id: 'decide', role: 'ceo', dependsOn: ['finance', 'security'], join: { quorum: 1 } },
+        ],
+      })).rejects.toThrow('failed: No data');
+
+      const instance = engine.listRunningWorkflows()[0];
+      expect(instance.nodes.decide).toMatchObject({ status: 'blocked' });
+      expect(instance.nodes.decide.reason).toContain('quorum 1');
+      expect(agents.ceo.processTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('branches and conditions', () => {
+    const triageWorkflow = {
+      id: 'triage',
+      name: 'Triage',
+      steps: [
+        { id: 'assess', role: 'ciso', taskTemplate: 'Assess {{incident}}' },
+        {
+          id: 'route',
+          branch: { on: 'assess.severity', cases: { high: ['war-room'] }, default: ['ticket'] },
+        },
+        { id: 'war-room', role: 'cto', taskTemplate: 'Run a war room: {{assess.summary}}' },
+        { id: 'ticket', role: 'devops', taskTemplate: 'File a ticket' },
+        { id: 'report', role: 'ceo', dependsOn: ['war-room', 'ticket'] },
+      ],
+    };
+
+    beforeEach(() => {
+      agents.cto = stubAgent();
+      agents.devops = stubAgent();
+      agents.ceo = stubAgent();
+    });
+
+    it('should run only the selected branch', async () => {
+      agents.ciso = stubAgent(() => ({ severity: 'high', summary: 'Data exposure' }));
+
+      const instance = await run(triageWorkflow, { incident: 'leak' });
+
+      expect(instance.status).toBe('completed');
+      expect(instance.outputs.route).toEqual({ value: 'high', selected: ['war-room'] });
+      expect(agents.cto.processTask.mock.calls[0][0].content).toBe('Run a war room: Data exposure');
+      expect(agents.devops.processTask).not.toHaveBeenCalled();
+      expect(instance.nodes.ticket).toMatchObject({ status: 'skipped', reason: 'Branch not taken' });
+      expect(agents.ceo.processTask).toHaveBeenCalled();
+    });
+
+    it('should fall back to the default branch', async () => {
+      agents.ciso = stubAgent(() => ({ severity: 'low' }));
+
+      const instance = await run(triageWorkflow);
+
+      expect(agents.cto.processTask).not.toHaveBeenCalled();
+      expect(agents.devops.processTask).toHaveBeenCalled();
+      expect(instance.status).toBe('completed');
+    });
+
+    it('should skip linear steps whose condition on a named output fails', async () => {
+      agents.cfo = stubAgent(() => ({ decision: 'Rejected: too expensive' }));
+      agents.clo = stubAgent();
+
+      const instance = await run({
+        id: 'conditional',
+        name: 'Conditional',
+        steps: [
+          { id: 'finance', name: 'Financial Analysis', role: 'cfo' },
+          {
+            name: 'Contract Review',
+            role: 'clo',
+            condition: { step: 'finance', path: 'decision', matches: '^approved' },
+          },
+        ],
+      });
+
+      expect(instance.status).toBe('completed');
+      expect(agents.clo.processTask).not.toHaveBeenCalled();
+      expect(instance.stepResults[1]).toEqual({ step: 'Contract Review', skipped: true, reason: 'Condition not met' });
+    });
+
+    it('should skip graph steps whose condition fails', async () => {
+      agents.cfo = stubAgent(() => ({ decision: 'Approved' }));
+      agents.clo = stubAgent();
+
+      const instance = await run({
+        id: 'graph-conditional',
+        name: 'Graph Conditional',
+        steps: [
+          { id: 'finance', role: 'cfo', dependsOn: [] },
+          { id: 'contract', role: 'clo', dependsOn: ['finance'], condition: { step: 'finance', path: 'decision', equals: 'Rejected' } },
+        ],
+      });
+
+      expect(instance.status).toBe('completed');
+      expect(instance.nodes.contract).toMatchObject({ status: 'skipped', reason: 'Condition not met' });
+    });
+
+    it('should combine object conditions', () => {
+      const instance = { outputs: { finance: { amount: 5000, decision: 'Approved' } }, stepResults: [], context: {} };
+
+      expect(engine.evaluateCondition({
+        all: [
+          { step: 'finance', path: 'decision', in: ['Approved', 'Conditional'] },
+          { not: { step: 'finance', path: 'amount', equals: 10000 } },
+          { any: [{ step: 'finance', path: 'missing', exists: true }, { step: 'finance', status: 'completed' }] },
+        ],
+      }, instance)).toBe(true);
+      expect(engine.evaluateCondition({ step: 'finance', path: 'amount', notEquals: 5000 }, instance)).toBe(false);
+    });
+  });
+
+  describe('escalation in a step graph', () => {
+    it('should finish in-flight steps and start nothing new', async () => {
+      agents.cfo = stubAgent(() => ({ escalate: true, escalateReason: 'Needs CEO approval' }));
+      agents.ciso = stubAgent();
+      agents.ceo = stubAgent();
+
+      const escalated = jest.fn();
+      engine.on('workflowEscalated', escalated);
+
+      const instance = await run({
+        id: 'graph-escalation',
+        name: 'Graph Escalation',
+        steps: [
+          { id: 'reviews', parallel: [{ id: 'finance', role: 'cfo' }, { id: 'security', role: 'ciso' }] },
+          { id: 'sign-off', role: 'ceo' },
+        ],
+      });
+
+      expect(instance.status).toBe('escalated');
+      expect(instance.escalationReason).toBe('Needs CEO approval');
+      expect(instance.nodes.security.status).toBe('completed');
+      expect(instance.nodes['sign-off'].status).toBe('pending');
+      expect(agents.ceo.processTask).not.toHaveBeenCalled();
+      expect(escalated).toHaveBeenCalledWith(expect.objectContaining({ step: expect.objectContaining({ id: 'finance' }) }));
+    });
+  });
+
+  describe('persistence and resume', () => {
+    const approvalWorkflow = {
+      id: 'approval',
+      name: 'Approval',
+      steps: [
+        { name: 'Budget', role: 'cfo', taskTemplate: 'Budget for {{project}}' },
+        { name: 'Build', role: 'cto', taskTemplate: 'Build {{project}}' },
+      ],
+    };
+    let db;
+
+    beforeEach(() => {
+      db = memoryDatabase();
+      agents.cfo = stubAgent(() => ({ decision: 'Needs approval', escalate: true, escalateReason: 'Over $10k' }));
+      agents.cto = stubAgent((task) => ({ decision: 'Building', previous: task.previousStepOutput }));
+    });
+
+    const restartEngine = () => {
+      const restarted = new WorkflowEngine({ orchestrator: { agents }, dbService: db });
+      restarted.registerWorkflow(approvalWorkflow);
+      return restarted;
+    };
+
+    it('should checkpoint the instance and its steps', async () => {
+      engine = restartEngine();
+      const instance = await engine.startWorkflow('approval', { project: 'Atlas' });
+
+      const row = db.workflows.get(instance.dbId);
+      expect(row).toMatchObject({ workflow_type: 'approval', status: 'paused', total_steps: 2 });
+      expect(row.metadata).toMatchObject({
+        instanceId: instance.id,
+        status: 'escalated',
+        escalation: { step: 'Budget', stepId: 'budget', role: 'cfo', reason: 'Over $10k', index: 0 },
+      });
+      expect([...db.steps.values()]).toEqual([
+        expect.objectContaining({ workflowId: instance.dbId, roleId: 'cfo', taskDescription: 'Budget for Atlas', status: 'escalated' }),
+      ]);
+    });
+
+    it('should resume an escalated workflow after a restart once approved', async () => {
+      const first = await restartEngine().startWorkflow('approval', { project: 'Atlas' });
+
+      engine = restartEngine();
+      const [restored] = await engine.rehydrate();
+      expect(restored).toMatchObject({ id: first.id, status: 'escalated', context: { project: 'Atlas' } });
+
+      const instance = await engine.resumeWorkflow(first.id, { decision: 'Approve', notes: 'Go ahead' });
+
+      expect(instance.status).toBe('completed');
+      expect(agents.cfo.processTask).toHaveBeenCalledTimes(1);
+      expect(agents.cto.processTask.mock.calls[0][0].previousStepOutput).toMatchObject({
+        decision: 'Needs approval',
+        ceoDecision: { decision: 'Approve', notes: 'Go ahead' },
+      });
+      expect(db.workflows.get(first.dbId).status).toBe('completed');
+      expect([...db.steps.values()].map((step) => step.status)).toEqual(['completed', 'completed']);
+    });
+
+    it('should end a denied workflow and keep a deferred one paused', async () => {
+      engine = restartEngine();
+      const instance = await engine.startWorkflow('approval');
+
+      await engine.resumeWorkflow(instance.id, 'Defer');
+      expect(instance.status).toBe('escalated');
+
+      await engine.resumeWorkflow(instance.dbId, 'Deny');
+      expect(instance.status).toBe('rejected');
+      expect(instance.decisions.map((d) => d.action)).toEqual(['defer', 'deny']);
+      expect(agents.cto.processTask).not.toHaveBeenCalled();
+      expect(db.workflows.get(instance.dbId).status).toBe('cancelled');
+
+      await expect(engine.resumeWorkflow(instance.id, 'Approve')).rejects.toThrow('only escalated or interrupted');
+    });
+
+    it('should require a recognisable decision', async () => {
+      engine = restartEngine();
+      const instance = await engine.startWorkflow('approval');
+
+      await expect(engine.resumeWorkflow(instance.id)).rejects.toThrow('waiting for a CEO decision');
+      await expect(engine.resumeWorkflow(instance.id, 'Maybe')).rejects.toThrow('Unknown decision');
+      await expect(engine.resumeWorkflow('missing', 'Approve')).rejects.toThrow('not found');
+    });
+
+    it('should continue interrupted instances from their last checkpoint', async () => {
+      agents.cfo = stubAgent(() => ({ decision: 'Approved' }));
+      const hang = deferred();
+      agents.cto = stubAgent(() => hang.promise);
+
+      const crashed = restartEngine();
+      crashed.startWorkflow('approval');
+      await flush();
+      expect(agents.cto.processTask).toHaveBeenCalledTimes(1);
+
+      // The process dies mid-step; a new engine picks the instance up
+      agents.cto = stubAgent(() => ({ decision: 'Built' }));
+      engine = restartEngine();
+      const [restored] = await engine.rehydrate();
+      expect(restored.status).toBe('interrupted');
+
+      const instance = await engine.resumeWorkflow(restored.id);
+      expect(instance.status).toBe('completed');
+      expect(agents.cfo.processTask).toHaveBeenCalledTimes(1);
+      expect(instance.stepResults.map((r) => r.result.decision)).toEqual(['Approved', 'Built']);
+    });
+
+    it('should resume escalated steps in a step graph', async () => {
+      const graphWorkflow = {
+        id: 'graph-approval',
+        name: 'Graph Approval',
+        steps: [
+          { id: 'reviews', parallel: [{ id: 'finance', role: 'cfo' }, { id: 'security', role: 'ciso' }] },
+          { id: 'sign-off', role: 'ceo' },
+        ],
+      };
+      agents.ciso = stubAgent();
+      agents.ceo = stubAgent();
+
+      const first = new WorkflowEngine({ orchestrator: { agents }, dbService: db });
+      first.registerWorkflow(graphWorkflow);
+      const escalatedInstance = await first.startWorkflow('graph-approval');
+
+      engine = new WorkflowEngine({ orchestrator: { agents }, dbService: db });
+      engine.registerWorkflow(graphWorkflow);
+      await engine.rehydrate();
+      const instance = await engine.resumeWorkflow(escalatedInstance.id, { approved: true });
+
+      expect(instance.status).toBe('completed');
+      expect(instance.nodes.finance.status).toBe('completed');
+      expect(instance.outputs.finance.ceoDecision.decision).toBe('Approve');
+      expect(agents.ciso.processTask).toHaveBeenCalledTimes(1);
+      expect(agents.ceo.processTask).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('timeouts and escalation policy', () => {
+    it('should escalate a step that times out when the policy asks', async () => {
+      agents.cfo = stubAgent(() => new Promise(() => {}));
+      agents.cto = stubAgent();
+
+      const instance = await run({
+        id: 'slow',
+        name: 'Slow',
+        escalation: { onTimeout: 'escalate' },
+        steps: [{ name: 'Budget', role: 'cfo', timeout: '20ms' }, { name: 'Build', role: 'cto' }],
+      });
+
+      expect(instance.status).toBe('escalated');
+      expect(instance.escalationReason).toBe('Step "Budget" timed out after 20ms');
+      expect(agents.cto.processTask).not.toHaveBeenCalled();
+    });
+
+    it('should fail the workflow on a failed step when onFailure is "fail"', async () => {
+      agents.cfo = stubAgent(() => ({ error: 'No budget data' }));
+      agents.cto = stubAgent();
+
+      await expect(run({
+        id: 'strict',
+        name: 'Strict',
+        escalation: { onFailure: 'fail' },
+        steps: [{ name: 'Budget', role: 'cfo' }, { name: 'Build', role: 'cto' }],
+      })).rejects.toThrow('Step "Budget" failed: No budget data');
+
+      const [instance] = engine.listRunningWorkflows();
+      expect(instance.status).toBe('failed');
+      expect(agents.cto.processTask).not.toHaveBeenCalled();
+    });
+
+    it('should let a step override the workflow policy', async () => {
+      agents.cfo = stubAgent(() => ({ decision: 'Approved' }));
+
+      const instance = await run({
+        id: 'gated',
+        name: 'Gated',
+        escalation: { requireApproval: false },
+        steps: [{ name: 'Budget', role: 'cfo', escalation: { requireApproval: true, reason: 'CEO signs off on budgets' } }],
+      });
+
+      expect(instance.status).toBe('escalated');
+      expect(instance.escalationReason).toBe('CEO signs off on budgets');
+    });
+
+    it('should evaluate expression conditions against outputs and context', async () => {
+      agents.cfo = stubAgent(() => ({ decision: 'Approved', risk: 'low' }));
+      agents.clo = stubAgent();
+      agents.ciso = stubAgent();
+
+      const instance = await run({
+        id: 'expressions',
+        name: 'Expressions',
+        steps: [
+          { id: 'cost', name: 'Cost', role: 'cfo' },
+          { name: 'Legal', role: 'clo', condition: "cost.decision matches 'approve' and amount >= 10000" },
+          { name: 'Security', role: 'ciso', condition: "cost.risk == 'high' or context.vendorTier in ['strategic']" },
+        ],
+      }, { amount: '25000', vendorTier: 'standard' });
+
+      expect(instance.status).toBe('completed');
+      expect(agents.clo.processTask).toHaveBeenCalledTimes(1);
+      expect(agents.ciso.processTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('flattenSteps', () => {
+    it('should expand parallel groups into their agent steps', () => {
+      expect(flattenSteps(vendorEvaluationWorkflow).map((s) => s.role)).toEqual(['coo', 'cfo', 'ciso', 'clo']);
+      expect(flattenSteps(newFeatureWorkflow)).toHaveLength(newFeatureWorkflow.steps.length);
+    });
+  });
+});
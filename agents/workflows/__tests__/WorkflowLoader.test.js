@@ -0,0 +1,160 @@
+/**
+ * Unit tests for declarative workflow loading, validation and hot reload
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WorkflowEngine from '../WorkflowEngine.js';
+import WorkflowLoader, { LIBRARY_DIR, loadWorkflowDirectory, loadWorkflowFile } from '../WorkflowLoader.js';
+import { validateWorkflow } from '../schema.js';
+
+const ROLES = ['ceo', 'cfo', 'clo', 'coo', 'cos', 'ciso'];
+
+const validWorkflow = (overrides = {}) => ({
+  id: 'renewal',
+  name: 'Renewal',
+  steps: [
+    { id: 'cost', name: 'Cost', role: 'cfo', timeout: '10m' },
+    {
+      id: 'reviews',
+      dependsOn: 'cost',
+      parallel: [
+        { name: 'Legal', role: 'clo', condition: "cost.decision matches 'approve'" },
+        { name: 'Security', role: 'ciso', escalation: { onFailure: 'escalate' } },
+      ],
+    },
+  ],
+  ...overrides,
+});
+
+const waitFor = async (predicate, timeoutMs = 3000) => {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe('validateWorkflow', () => {
+  it('should accept a valid definition', () => {
+    expect(validateWorkflow(validWorkflow(), { roles: ROLES })).toEqual([]);
+  });
+
+  it('should report schema errors with JSON pointers', () => {
+    const errors = validateWorkflow({
+      id: 'Bad Id',
+      name: 'Bad',
+      steps: [
+        { name: 'Cost', role: 'cfo', priority: 'URGENT', timeout: 'soon' },
+        { parallel: [{ name: 'Legal' }] },
+        { name: 'Extra', role: 'coo', retries: 3 },
+      ],
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: '/id' }),
+      expect.objectContaining({ path: '/steps/0/priority', message: expect.stringContaining('"URGENT"') }),
+      expect.objectContaining({ path: '/steps/0/timeout' }),
+      { path: '/steps/1/parallel/0', message: 'missing required property "role"' },
+      { path: '/steps/2/retries', message: 'unknown property "retries"' },
+    ]));
+  });
+
+  it('should report unknown roles and bad conditions', () => {
+    const workflow = validWorkflow();
+    workflow.steps[0].role = 'cxo';
+    workflow.steps[1].parallel[0].condition = 'costs.decision ==';
+    workflow.steps[1].parallel[1].condition = "costs.decision == 'ok'";
+
+    const errors = validateWorkflow(workflow, { roles: ROLES });
+
+    expect(errors.map((error) => error.path)).toEqual([
+      '/steps/0/role',
+      '/steps/1/parallel/0/condition',
+      '/steps/1/parallel/1/condition',
+    ]);
+    expect(errors[2].message).toContain('"costs.decision" does not refer to a step id');
+  });
+});
+
+describe('loading workflow files', () => {
+  it('should load the bundled library', () => {
+    const { workflows, invalid } = loadWorkflowDirectory(LIBRARY_DIR);
+
+    expect(invalid).toEqual([]);
+    expect(workflows.map((workflow) => workflow.id)).toContain('vendor-renewal');
+  });
+
+  it('should register bundled workflows with the engine', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const engine = new WorkflowEngine({ orchestrator: { agents: {} }, dbService: { isAvailable: () => false } });
+
+    const loaded = new WorkflowLoader(engine, { dir: LIBRARY_DIR }).loadAll();
+
+    expect(loaded.length).toBeGreaterThan(0);
+    expect(engine.listWorkflows().map((workflow) => workflow.id)).toContain('vendor-renewal');
+  });
+
+  it('should report files that do not parse', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflows-'));
+    try {
+      const file = path.join(dir, 'broken.yaml');
+      fs.writeFileSync(file, 'id: broken\nsteps: [\n');
+
+      const { workflow, errors } = loadWorkflowFile(file, { roles: ROLES });
+
+      expect(workflow).toBeNull();
+      expect(errors[0].message).toContain('Cannot parse broken.yaml');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('WorkflowLoader hot reload', () => {
+  let dir;
+  let engine;
+  let loader;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflows-'));
+    engine = new WorkflowEngine({ orchestrator: { agents: {} }, dbService: { isAvailable: () => false } });
+    loader = new WorkflowLoader(engine, { dir, roles: ROLES, debounceMs: 20 });
+  });
+
+  afterEach(() => {
+    loader.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should register, update and remove workflows as files change', async () => {
+    const file = path.join(dir, 'renewal.json');
+    fs.writeFileSync(file, JSON.stringify(validWorkflow()));
+    loader.watch();
+    expect(engine.workflows.get('renewal').name).toBe('Renewal');
+
+    fs.writeFileSync(file, JSON.stringify(validWorkflow({ name: 'Renewal v2' })));
+    await waitFor(() => engine.workflows.get('renewal')?.name === 'Renewal v2');
+
+    fs.unlinkSync(file);
+    await waitFor(() => !engine.workflows.has('renewal'));
+  });
+
+  it('should keep the previous version when an edit is invalid', async () => {
+    const file = path.join(dir, 'renewal.json');
+    fs.writeFileSync(file, JSON.stringify(validWorkflow()));
+    const invalid = jest.fn();
+    loader.on('invalid', invalid);
+    loader.watch();
+
+    fs.writeFileSync(file, JSON.stringify(validWorkflow({ name: 'Broken', steps: [{ name: 'Cost', role: 'cxo' }] })));
+    await waitFor(() => invalid.mock.calls.length > 0);
+
+    expect(invalid.mock.calls[0][0].errors[0]).toMatchObject({ path: '/steps/0/role' });
+    expect(engine.workflows.get('renewal').name).toBe('Renewal');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for workflow condition expressions
+ */
+
+import { compileExpression, objectLookup } from '../expressions.js';
+
+const evaluate = (source, data = {}) => compileExpression(source)(objectLookup(data));
+
+describe('compileExpression', () => {
+  const data = {
+    amount: '25000',
+    vendorTier: 'strategic',
+    review: { decision: 'Approved with conditions', findings: ['PII', 'SSO'], risk: 'low' },
+  };
+
+  it('should compare numbers, including numeric strings', () => {
+    expect(evaluate('amount >= 10000', data)).toBe(true);
+    expect(evaluate('amount < 10000', data)).toBe(false);
+    expect(evaluate('amount == 25000', data)).toBe(true);
+  });
+
+  it('should support matches, contains and in', () => {
+    expect(evaluate("review.decision matches '^approved'", data)).toBe(true);
+    expect(evaluate("review.findings contains 'pii'", data)).toBe(false);
+    expect(evaluate("review.findings contains 'PII'", data)).toBe(true);
+    expect(evaluate("vendorTier in ['strategic', 'critical']", data)).toBe(true);
+    expect(evaluate("review.decision contains 'conditions'", data)).toBe(true);
+  });
+
+  it('should combine with and, or, not and parentheses', () => {
+    expect(evaluate("not (review.risk == 'high') and amount > 1000", data)).toBe(true);
+    expect(evaluate("review.risk == 'high' || vendorTier != 'strategic'", data)).toBe(false);
+    expect(evaluate("!(review.risk == 'high') && (amount > 1 || false)", data)).toBe(true);
+  });
+
+  it('should treat missing paths as undefined', () => {
+    expect(evaluate('missing.value == null', data)).toBe(false);
+    expect(evaluate('not missing.value', data)).toBe(true);
+    expect(evaluate('missing.value > 1', data)).toBe(false);
+  });
+
+  it('should not reach into prototypes', () => {
+    expect(evaluate('review.constructor', data)).toBe(false);
+    expect(evaluate('review.__proto__', data)).toBe(false);
+    expect(evaluate('review.toString', data)).toBe(false);
+  });
+
+  it('should report syntax errors with a position', () => {
+    expect(() => compileExpression('amount >=')).toThrow('Invalid expression "amount >=": Expected a value at end of expression');
+    expect(() => compileExpression("review.decision == 'open")).toThrow('Unterminated string at position 19');
+    expect(() => compileExpression('amount; drop')).toThrow('Unexpected character ";" at position 6');
+    expect(() => compileExpression('(amount > 1')).toThrow('Expected ")"');
+  });
+
+  it('should list the paths an expression reads', () => {
+    expect(compileExpression("cost.decision == 'ok' and not context.urgent or tier in [a.b, 'x']").paths)
+      .toEqual(['cost.decision', 'context.urgent', 'tier', 'a.b']);
+  });
+});
@@ -52,7 +52,7 @@ export const newFeatureWorkflow = {
 
 /**
  * Vendor Evaluation Workflow
- * Involves: COO → CFO → CLO → CISO → CEO (if needed)
+ * Involves: COO → (CFO | CISO | CLO in parallel) → CEO (if needed)
  */
 export const vendorEvaluationWorkflow = {
   id: 'vendor-evaluation',
@@ -61,31 +61,40 @@ export const vendorEvaluationWorkflow = {
   trigger: 'manual',
   steps: [
     {
+      id: 'operational-assessment',
       name: 'Operational Assessment',
       role: 'coo',
       taskTemplate: 'Evaluate vendor capabilities and operational fit for: {{vendorName}}',
       priority: 'HIGH',
     },
     {
-      name: 'Financial Analysis',
-      role: 'cfo',
-      taskTemplate: 'Analyze vendor pricing and financial impact for: {{vendorName}}',
-      priority: 'HIGH',
-      condition: 'previousStepSuccess',
-    },
-    {
-      name: 'Security Review',
-      role: 'ciso',
-      taskTemplate: 'Conduct security assessment of vendor: {{vendorName}}',
-      priority: 'HIGH',
-      condition: 'previousStepSuccess',
-    },
-    {
-      name: 'Contract Review',
-      role: 'clo',
-      taskTemplate: 'Review and draft contract terms for vendor: {{vendorName}}',
-      priority: 'HIGH',
-      condition: 'previousStepSuccess',
+      id: 'vendor-reviews',
+      name: 'Finance, Security and Legal Reviews',
+      dependsOn: ['operational-assessment'],
+      join: 'all',
+      parallel: [
+        {
+          id: 'financial-analysis',
+          name: 'Financial Analysis',
+          role: 'cfo',
+          taskTemplate: 'Analyze vendor pricing and financial impact for: {{vendorName}}',
+          priority: 'HIGH',
+        },
+        {
+          id: 'security-review',
+          name: 'Security Review',
+          role: 'ciso',
+          taskTemplate: 'Conduct security assessment of vendor: {{vendorName}}',
+          priority: 'HIGH',
+        },
+        {
+          id: 'contract-review',
+          name: 'Contract Review',
+          role: 'clo',
+          taskTemplate: 'Review and draft contract terms for vendor: {{vendorName}}',
+          priority: 'HIGH',
+        },
+      ],
     },
   ],
 };
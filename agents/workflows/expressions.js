@@ -0,0 +1,273 @@
+/**
+ * MONOLITH OS - Workflow Condition Expressions
+ * A small, side-effect free expression language for declarative workflow conditions.
+ *
+ *   cost-review.decision matches 'approve' and not (terms-review.risk == 'high')
+ *   amount >= 10000 or vendorTier in ['strategic', 'critical']
+ *   security-review.findings contains 'PII'
+ *
+ * Operands are literals ('text', "text", 42, true, false, null, [lists]) or
+ * dotted paths, resolved through a lookup function supplied by the caller.
+ * Operators: == != < <= > >= matches contains in, and/&&, or/||, not/!, ( ).
+ * There are no function calls or assignments; nothing is ever eval'd.
+ */
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'matches', 'contains', 'true', 'false', 'null']);
+const COMPARISONS = new Set(['==', '!=', '<', '<=', '>', '>=', 'matches', 'contains', 'in']);
+const BLOCKED_SEGMENTS = new Set(['__proto__', 'prototype', 'constructor']);
+
+/**
+ * Split an expression into tokens: { type, value, position }
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        value += source[j] === '\\' && j + 1 < source.length ? source[++j] : source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new Error(`Unterminated string at position ${i}`);
+      }
+      tokens.push({ type: 'literal', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const operator = /^(==|!=|<=|>=|&&|\|\||<|>|!|\(|\)|\[|\]|,)/.exec(source.slice(i));
+    if (operator) {
+      const aliases = { '&&': 'and', '||': 'or', '!': 'not' };
+      tokens.push({ type: 'op', value: aliases[operator[0]] || operator[0], position: i });
+      i += operator[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][\w-]*(\.[A-Za-z_0-9][\w-]*)*/.exec(source.slice(i));
+    if (word) {
+      const value = word[0];
+      if (['true', 'false', 'null'].includes(value)) {
+        tokens.push({ type: 'literal', value: JSON.parse(value), position: i });
+      } else if (KEYWORDS.has(value)) {
+        tokens.push({ type: 'op', value, position: i });
+      } else {
+        tokens.push({ type: 'path', value: value.split('.'), position: i });
+      }
+      i += value.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" at position ${i}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const fail = (message) => {
+    const token = peek();
+    throw new Error(`${message} at ${token ? `position ${token.position}` : 'end of expression'}`);
+  };
+  const expect = (value) => {
+    if (!isOp(value)) fail(`Expected "${value}"`);
+    index++;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOp('or')) {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOp('and')) {
+      index++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isOp('not')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (token?.type === 'op' && COMPARISONS.has(token.value)) {
+      index++;
+      return { type: 'compare', operator: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('Expected a value');
+
+    if (token.type === 'literal') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'path') {
+      index++;
+      return { type: 'path', path: token.value };
+    }
+    if (isOp('(')) {
+      index++;
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    if (isOp('[')) {
+      index++;
+      const items = [];
+      while (!isOp(']')) {
+        items.push(parsePrimary());
+        if (!isOp(']')) expect(',');
+      }
+      index++;
+      return { type: 'list', items };
+    }
+
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    fail(`Unexpected "${peek().value}"`);
+  }
+  return ast;
+}
+
+const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return isNumeric(left) && isNumeric(right) ? Number(left) === Number(right) : left === right;
+    case '!=':
+      return !compare('==', left, right);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      if (!isNumeric(left) || !isNumeric(right)) return false;
+      const [a, b] = [Number(left), Number(right)];
+      return operator === '<' ? a < b : operator === '<=' ? a <= b : operator === '>' ? a > b : a >= b;
+    }
+    case 'matches':
+      return left !== undefined && left !== null && new RegExp(String(right), 'i').test(String(left));
+    case 'contains':
+      if (Array.isArray(left)) return left.some((item) => compare('==', item, right));
+      return left !== undefined && left !== null && String(left).toLowerCase().includes(String(right).toLowerCase());
+    case 'in':
+      return Array.isArray(right) ? right.some((item) => compare('==', left, item)) : compare('contains', right, left);
+    default:
+      throw new Error(`Unknown operator: ${operator}`);
+  }
+}
+
+function evaluate(node, lookup) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return node.path.some((segment) => BLOCKED_SEGMENTS.has(segment)) ? undefined : lookup(node.path);
+    case 'list':
+      return node.items.map((item) => evaluate(item, lookup));
+    case 'not':
+      return !evaluate(node.operand, lookup);
+    case 'and':
+      return Boolean(evaluate(node.left, lookup)) && Boolean(evaluate(node.right, lookup));
+    case 'or':
+      return Boolean(evaluate(node.left, lookup)) || Boolean(evaluate(node.right, lookup));
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, lookup), evaluate(node.right, lookup));
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Compile an expression once; the result evaluates it against a lookup
+ * @param {string} source - Expression text
+ * @returns {Function} (lookup: (pathSegments) => value) => boolean
+ */
+export function compileExpression(source) {
+  let ast;
+  try {
+    ast = parse(String(source));
+  } catch (error) {
+    throw new Error(`Invalid expression "${source}": ${error.message}`);
+  }
+  const compiled = (lookup) => Boolean(evaluate(ast, lookup));
+  compiled.paths = collectPaths(ast);
+  return compiled;
+}
+
+/**
+ * Every dotted path an expression reads, e.g. to check they name known steps
+ */
+function collectPaths(node) {
+  switch (node.type) {
+    case 'path':
+      return [node.path.join('.')];
+    case 'list':
+      return node.items.flatMap(collectPaths);
+    case 'not':
+      return collectPaths(node.operand);
+    case 'and':
+    case 'or':
+    case 'compare':
+      return [...collectPaths(node.left), ...collectPaths(node.right)];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Read a path from a plain object without reaching into prototypes
+ */
+export function objectLookup(root) {
+  return (path) => path.reduce(
+    (value, segment) => (value !== null && typeof value === 'object' && Object.hasOwn(value, segment) ? value[segment] : undefined),
+    root
+  );
+}
+
+export default compileExpression;
@@ -3,7 +3,10 @@
  * Export workflow engine and predefined workflows
  */
 
-import WorkflowEngine from './WorkflowEngine.js';
+import WorkflowEngine, { flattenSteps, isGraphWorkflow } from './WorkflowEngine.js';
+import WorkflowLoader, { loadWorkflowDirectory, loadWorkflowFile } from './WorkflowLoader.js';
+import { WORKFLOW_SCHEMA, validateWorkflow } from './schema.js';
+import { compileExpression } from './expressions.js';
 import workflows, {
   newFeatureWorkflow,
   vendorEvaluationWorkflow,
@@ -17,6 +20,14 @@ import workflows, {
 
 export {
   WorkflowEngine,
+  flattenSteps,
+  isGraphWorkflow,
+  WorkflowLoader,
+  loadWorkflowDirectory,
+  loadWorkflowFile,
+  WORKFLOW_SCHEMA,
+  validateWorkflow,
+  compileExpression,
   workflows,
   newFeatureWorkflow,
   vendorEvaluationWorkflow,
@@ -0,0 +1,278 @@
+/**
+ * MONOLITH OS - Workflow Definition Schema
+ * JSON Schema for declarative (YAML/JSON) workflows, a validator for the subset
+ * of JSON Schema it uses, and the checks a schema cannot express: roles that
+ * exist and condition expressions that parse and name known steps.
+ *
+ * Errors are { path, message } with a JSON pointer path, e.g.
+ *   { path: '/steps/2/parallel/0/role', message: 'unknown role "cxo"' }
+ */
+
+import { compileExpression } from './expressions.js';
+import { stepId } from './WorkflowEngine.js';
+
+const ID_PATTERN = '^[a-z0-9][a-z0-9-]*$';
+
+export const WORKFLOW_SCHEMA = {
+  $id: 'https://monolith.os/schemas/workflow.json',
+  type: 'object',
+  required: ['id', 'name', 'steps'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: ID_PATTERN },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    version: { type: ['string', 'number'] },
+    trigger: { enum: ['manual', 'automatic', 'scheduled'] },
+    escalation: { $ref: '#/definitions/escalation' },
+    steps: { type: 'array', minItems: 1, items: { $ref: '#/definitions/step' } },
+  },
+  definitions: {
+    duration: { type: ['string', 'number'], pattern: '^\\d+(ms|s|m|h|d)$', minimum: 1 },
+    escalation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        onFailure: { enum: ['fail', 'escalate'] },
+        onTimeout: { enum: ['fail', 'escalate'] },
+        requireApproval: { type: 'boolean' },
+        reason: { type: 'string' },
+      },
+    },
+    dependsOn: {
+      oneOf: [
+        { type: 'string', pattern: ID_PATTERN },
+        { type: 'array', items: { type: 'string', pattern: ID_PATTERN } },
+      ],
+    },
+    join: {
+      oneOf: [
+        { enum: ['all', 'any'] },
+        {
+          type: 'object',
+          required: ['quorum'],
+          additionalProperties: false,
+          properties: { quorum: { type: 'integer', minimum: 1 } },
+        },
+      ],
+    },
+    agentStep: {
+      type: 'object',
+      required: ['name', 'role'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: ID_PATTERN },
+        name: { type: 'string', minLength: 1 },
+        role: { type: 'string', minLength: 1 },
+        taskTemplate: { type: 'string', minLength: 1 },
+        priority: { enum: ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'] },
+        condition: { type: 'string', minLength: 1 },
+        dependsOn: { $ref: '#/definitions/dependsOn' },
+        join: { $ref: '#/definitions/join' },
+        timeout: { $ref: '#/definitions/duration' },
+        escalation: { $ref: '#/definitions/escalation' },
+      },
+    },
+    parallelStep: {
+      type: 'object',
+      required: ['parallel'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: ID_PATTERN },
+        name: { type: 'string' },
+        dependsOn: { $ref: '#/definitions/dependsOn' },
+        join: { $ref: '#/definitions/join' },
+        parallel: { type: 'array', minItems: 1, items: { $ref: '#/definitions/agentStep' } },
+      },
+    },
+    branchStep: {
+      type: 'object',
+      required: ['id', 'branch'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: ID_PATTERN },
+        name: { type: 'string' },
+        dependsOn: { $ref: '#/definitions/dependsOn' },
+        join: { $ref: '#/definitions/join' },
+        branch: {
+          type: 'object',
+          required: ['on'],
+          additionalProperties: false,
+          properties: {
+            on: { type: 'string', minLength: 1 },
+            cases: {
+              type: 'object',
+              additionalProperties: { $ref: '#/definitions/dependsOn' },
+            },
+            default: { $ref: '#/definitions/dependsOn' },
+          },
+        },
+      },
+    },
+    step: {
+      oneOf: [
+        { $ref: '#/definitions/parallelStep' },
+        { $ref: '#/definitions/branchStep' },
+        { $ref: '#/definitions/agentStep' },
+      ],
+    },
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+/**
+ * Validate a value against a (subset of) JSON Schema:
+ * type, enum, pattern, minLength, minimum, minItems, required, properties,
+ * additionalProperties, items, oneOf and local $refs
+ * @returns {Array} [{ path, message }]
+ */
+export function validateSchema(schema, value, root = schema, path = '') {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    return validateSchema(root.definitions[name], value, root, path);
+  }
+
+  if (schema.oneOf) {
+    const attempts = schema.oneOf.map((option) => validateSchema(option, value, root, path));
+    const passing = attempts.filter((errors) => errors.length === 0).length;
+    if (passing === 1) return [];
+    if (passing > 1) return [{ path, message: 'matches more than one allowed form' }];
+
+    // Report against the form the value was evidently aiming for: the one whose
+    // required keys it has, otherwise the one with the fewest complaints
+    const resolved = schema.oneOf.map((option) => (option.$ref ? root.definitions[option.$ref.replace('#/definitions/', '')] : option));
+    const intended = resolved.findIndex((option) =>
+      option.required && typeOf(value) === 'object' && option.required.every((key) => key in value)
+    );
+    const best = intended >= 0 ? intended : attempts.reduce((min, errors, i) => (errors.length < attempts[min].length ? i : min), 0);
+    return attempts[best];
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return [{ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${describe(value)} does not match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, root, `${path}/${index}`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path, message: `missing required property "${key}"` });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, item, root, `${path}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}/${key}`, message: `unknown property "${key}"` });
+      } else if (schema.additionalProperties) {
+        errors.push(...validateSchema(schema.additionalProperties, item, root, `${path}/${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Each agent step with its JSON pointer
+ */
+function agentStepsWithPaths(workflow) {
+  return workflow.steps.flatMap((step, index) => {
+    if (Array.isArray(step?.parallel)) {
+      return step.parallel.map((member, memberIndex) => ({ step: member, path: `/steps/${index}/parallel/${memberIndex}` }));
+    }
+    return step?.branch ? [] : [{ step, path: `/steps/${index}` }];
+  }).filter(({ step }) => step && typeof step === 'object');
+}
+
+/**
+ * Validate a workflow definition
+ * @param {Object} workflow - Parsed YAML/JSON definition
+ * @param {Object} options - { roles: known role ids (skips the role check when omitted) }
+ * @returns {Array} [{ path, message }], empty when valid
+ */
+export function validateWorkflow(workflow, options = {}) {
+  const errors = validateSchema(WORKFLOW_SCHEMA, workflow);
+  if (!Array.isArray(workflow?.steps)) {
+    return errors;
+  }
+
+  const roles = options.roles ? new Set(options.roles) : null;
+  const steps = agentStepsWithPaths(workflow);
+  const stepIds = new Set([
+    ...workflow.steps.filter((step) => step && typeof step === 'object').map((step, index) => stepId(step, index)),
+    ...steps.map(({ step }, index) => stepId(step, index)),
+  ]);
+
+  for (const { step, path } of steps) {
+    if (roles && typeof step.role === 'string' && !roles.has(step.role)) {
+      errors.push({ path: `${path}/role`, message: `unknown role "${step.role}" (known: ${[...roles].join(', ')})` });
+    }
+
+    if (typeof step.condition === 'string' && step.condition) {
+      try {
+        const expression = compileExpression(step.condition);
+        const unknownStep = expression.paths.find((p) => p.includes('.') && !stepIds.has(p.split('.')[0]) && !p.startsWith('context.'));
+        if (unknownStep) {
+          errors.push({ path: `${path}/condition`, message: `"${unknownStep}" does not refer to a step id (use context.<name> for context values)` });
+        }
+      } catch (error) {
+        errors.push({ path: `${path}/condition`, message: error.message });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * One-line rendering of validation errors
+ */
+export function formatErrors(errors) {
+  return errors.map((error) => `${error.path || '/'}: ${error.message}`).join('\n');
+}
@@ -158,16 +158,18 @@ export async function getQueueStatus() {
   if (serviceAvailable) {
     try {
       const result = await serviceRequest('/api/status');
+      const counts = result.pipeline?.counts;
 
       return {
         mode: 'live',
         isRunning: result.isRunning,
         registeredAgents: result.registeredAgents,
-        queuedTasks: result.queuedTasks,
-        inProgress: result.inProgress,
-        completed: result.completed,
+        queuedTasks: counts ? counts.queued : result.queuedTasks,
+        inProgress: counts ? counts.active : result.inProgress,
+        completed: counts ? counts.completed : result.completed,
         ceoQueue: result.ceoQueue,
         agents: result.agents || [],
+        pipeline: result.pipeline || null,
         serviceUrl: AGENT_SERVICE_URL
       };
     } catch (error) {
@@ -190,6 +192,48 @@ export async function getQueueStatus() {
   };
 }
 
+/**
+ * Get the scheduling pipeline's status model (task counts, per-agent work
+ * status, throughput) from the Agent Service
+ * @returns {Promise<object|null>} Pipeline status, or null if the service is unavailable
+ */
+export async function getPipelineStatus() {
+  if (!serviceAvailable) {
+    return null;
+  }
+
+  try {
+    return await serviceRequest('/api/pipeline/status');
+  } catch (error) {
+    console.warn('[AGENT-INTEGRATION] Pipeline status request failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Submit a task to the Agent Service's scheduling pipeline, which routes it
+ * and queues it on the shared task queue. Unlike queueTaskForAgent there is
+ * no mock fallback: the caller decides what to do while the service is down.
+ * @param {object} task - Task to submit
+ * @returns {Promise<object|null>} The task's status record, or null if the service is unavailable
+ */
+export async function submitTask(task) {
+  if (!serviceAvailable) {
+    return null;
+  }
+
+  try {
+    const result = await serviceRequest('/api/tasks/queue', {
+      method: 'POST',
+      body: JSON.stringify({ task })
+    });
+    return result.task || null;
+  } catch (error) {
+    console.warn('[AGENT-INTEGRATION] Task submission failed:', error.message);
+    return null;
+  }
+}
+
 /**
  * Start the orchestrator (requires Agent Service)
  * @returns {Promise<object>} Start result
@@ -279,6 +323,128 @@ export async function resolveEscalation(escalationId, decision) {
   };
 }
 
+/**
+ * Get decision follow-up checks
+ * @param {string} status - Follow-up status ('due' for the ones waiting on an answer)
+ * @returns {Promise<Array>} Follow-ups, soonest due first
+ */
+export async function getDecisionFollowUps(status = 'due') {
+  if (serviceAvailable) {
+    try {
+      const result = await serviceRequest(`/api/outcomes/follow-ups?status=${encodeURIComponent(status)}`);
+      return result.followUps || [];
+    } catch (error) {
+      console.warn('[AGENT-INTEGRATION] Follow-ups request failed:', error.message);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Answer a decision follow-up check
+ * @param {string} followUpId - The follow-up ID
+ * @param {object} outcome - { success, score, notes, recordedBy }
+ * @returns {Promise<object>} Result with the recorded outcome
+ */
+export async function recordFollowUpOutcome(followUpId, outcome) {
+  if (!serviceAvailable) {
+    return {
+      success: false,
+      mode: 'mock',
+      message: 'Agent Service not available'
+    };
+  }
+
+  try {
+    const result = await serviceRequest(`/api/outcomes/follow-ups/${encodeURIComponent(followUpId)}`, {
+      method: 'POST',
+      body: JSON.stringify(outcome)
+    });
+
+    return {
+      mode: 'live',
+      ...result
+    };
+  } catch (error) {
+    console.warn('[AGENT-INTEGRATION] Follow-up outcome failed:', error.message);
+    return {
+      success: false,
+      mode: 'live',
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Get decision accuracy per role
+ * @returns {Promise<object|null>} Accuracy summary, or null if the service is unavailable
+ */
+export async function getDecisionAccuracy() {
+  if (serviceAvailable) {
+    try {
+      return await serviceRequest('/api/outcomes');
+    } catch (error) {
+      console.warn('[AGENT-INTEGRATION] Decision accuracy request failed:', error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the CEO decision inbox
+ * @param {string} status - Item status ('open', 'deferred', 'delegated', 'decided' or 'all')
+ * @returns {Promise<object|null>} { items, summary }, or null if the service is unavailable
+ */
+export async function getDecisionInbox(status = 'open') {
+  if (serviceAvailable) {
+    try {
+      const result = await serviceRequest(`/api/inbox?status=${encodeURIComponent(status)}`);
+      return { items: result.items || [], summary: result.summary || null };
+    } catch (error) {
+      console.warn('[AGENT-INTEGRATION] Decision inbox request failed:', error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide, defer or delegate a CEO decision inbox item
+ * @param {string} itemId - Inbox item ID ("<source>:<id>")
+ * @param {object} action - { action, choice, notes, until, hours, to, actor }
+ * @returns {Promise<object>} Result with the updated item
+ */
+export async function actOnInboxItem(itemId, action) {
+  if (!serviceAvailable) {
+    return {
+      success: false,
+      mode: 'mock',
+      message: 'Agent Service not available'
+    };
+  }
+
+  try {
+    const result = await serviceRequest(`/api/inbox/${encodeURIComponent(itemId)}`, {
+      method: 'POST',
+      body: JSON.stringify(action)
+    });
+
+    return {
+      mode: 'live',
+      ...result
+    };
+  } catch (error) {
+    console.warn('[AGENT-INTEGRATION] Inbox action failed:', error.message);
+    return {
+      success: false,
+      mode: 'live',
+      message: error.message
+    };
+  }
+}
+
 /**
  * Get daily summary for CEO digest
  * @returns {Promise<object>} Daily summary
@@ -354,10 +520,17 @@ export function clearMockQueue() {
 export default {
   queueTaskForAgent,
   getQueueStatus,
+  getPipelineStatus,
+  submitTask,
   startOrchestrator,
   stopOrchestrator,
   getCEOQueue,
   resolveEscalation,
+  getDecisionFollowUps,
+  recordFollowUpOutcome,
+  getDecisionAccuracy,
+  getDecisionInbox,
+  actOnInboxItem,
   getDailySummary,
   isAgentsAvailable,
   getAgentServiceUrl,
@@ -6,6 +6,7 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { ROLES_HIERARCHY } from './rolesRoutes.js';
+import { getDecisionFollowUps, recordFollowUpOutcome, isAgentsAvailable } from './agentIntegration.js';
 
 const router = express.Router();
 
@@ -137,6 +138,72 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/decisions/follow-ups
+ * Returns decision follow-up checks waiting on a human answer
+ * Query params: ?status=due
+ */
+router.get('/follow-ups', async (req, res) => {
+  try {
+    const { status = 'due' } = req.query;
+    const followUps = await getDecisionFollowUps(status);
+
+    res.json({
+      followUps: followUps.map(followUp => ({
+        ...followUp,
+        role_name: getRoleFullName(followUp.role)
+      })),
+      mode: isAgentsAvailable() ? 'live' : 'mock'
+    });
+  } catch (error) {
+    console.error('[DECISIONS] Follow-ups error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve decision follow-ups'
+    });
+  }
+});
+
+/**
+ * POST /api/decisions/follow-ups/:id/outcome
+ * Records whether a past decision worked out
+ * Body: { success: boolean, notes?: string }
+ */
+router.post('/follow-ups/:id/outcome', async (req, res) => {
+  try {
+    const { success, score, notes } = req.body || {};
+
+    if (typeof success !== 'boolean') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'success must be true or false'
+      });
+    }
+
+    const result = await recordFollowUpOutcome(req.params.id, {
+      success,
+      score,
+      notes,
+      recordedBy: req.user?.email || req.user?.id || 'dashboard'
+    });
+
+    if (result.success === false) {
+      return res.status(result.mode === 'mock' ? 503 : 502).json({
+        error: 'Outcome Not Recorded',
+        message: result.message
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('[DECISIONS] Follow-up outcome error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record decision outcome'
+    });
+  }
+});
+
 /**
  * Categorize decision based on content
  */
@@ -10,13 +10,27 @@
  * - CoS health monitoring
  * - Baked amendments
  * - Autonomy statistics
+ *
+ * Knowledge version history: snapshots, diffs and guarded rollback
+ *
+ * Amendment propagation: proven amendments proposed to peers, their team
+ * lead review and lineage
  */
 
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
+import { KnowledgeVersioning } from '../../../agents/neural-stack/KnowledgeVersioning.js';
+import { AmendmentPropagation } from '../../../agents/neural-stack/AmendmentPropagation.js';
+import { createAuditLog, AuditCategory, AuditSeverity } from '../security/auditLogger.js';
 
 const router = express.Router();
 
+// Knowledge snapshots, diffs and rollbacks (same storage as the agent system)
+const knowledgeVersioning = new KnowledgeVersioning();
+
+// Cross-agent amendment propagation and lineage
+const amendmentPropagation = new AmendmentPropagation();
+
 // Initialize Supabase client
 const supabase = createClient(
   process.env.SUPABASE_URL || '',
@@ -424,6 +438,107 @@ router.post('/amendments/:id/reject', async (req, res) => {
   }
 });
 
+// ============================================================================
+// AMENDMENT PROPAGATION
+// ============================================================================
+
+const PROPAGATION_ERROR_STATUS = {
+  PROPAGATION_NOT_FOUND: 404,
+  NOT_TEAM_LEAD: 403,
+  NOT_PENDING: 409,
+  AMENDMENT_LIMIT: 422,
+};
+
+/**
+ * GET /api/neural-stack/amendments/propagations?team_lead=cmo&agent=seo_growth_lead
+ * Returns propagation lineages: each proven source amendment with its adapted copies
+ */
+router.get('/amendments/propagations', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+
+    const { data, error } = await amendmentPropagation.getLineages({
+      teamLead: req.query.team_lead || null,
+      agentRole: req.query.agent || null,
+      limit,
+    });
+
+    if (error) throw error;
+
+    res.json({
+      lineages: data,
+      pending: data.reduce((count, lineage) => count + lineage.summary.proposed, 0),
+    });
+  } catch (error) {
+    console.error('[NEURAL-STACK] amendments/propagations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/neural-stack/amendments/:id/lineage
+ * Returns the lineage of a source or adapted amendment
+ */
+router.get('/amendments/:id/lineage', async (req, res) => {
+  try {
+    const { data, error } = await amendmentPropagation.getLineage(req.params.id);
+
+    if (error?.code === 'PROPAGATION_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error) throw error;
+
+    res.json({ lineage: data });
+  } catch (error) {
+    console.error('[NEURAL-STACK] amendments/lineage error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/neural-stack/amendments/propagations/:id/approve
+ * Approve a proposed adapted amendment
+ * Body: { reviewer (team lead role, defaults to ceo), notes }
+ */
+router.post('/amendments/propagations/:id/approve', async (req, res) => {
+  try {
+    const { reviewer = 'ceo', notes = null } = req.body;
+    const { data, error } = await amendmentPropagation.approveProposal(req.params.id, reviewer, notes);
+
+    if (error) {
+      return res.status(PROPAGATION_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+
+    console.log(`[NEURAL-STACK] Propagation ${req.params.id} approved by ${reviewer}`);
+    res.json({ success: true, ...data });
+  } catch (error) {
+    console.error('[NEURAL-STACK] propagations/approve error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/neural-stack/amendments/propagations/:id/reject
+ * Reject a proposed adapted amendment
+ * Body: { reviewer (team lead role, defaults to ceo), reason }
+ */
+router.post('/amendments/propagations/:id/reject', async (req, res) => {
+  try {
+    const { reviewer = 'ceo', reason = null } = req.body;
+    const { data, error } = await amendmentPropagation.rejectProposal(req.params.id, reviewer, reason);
+
+    if (error) {
+      return res.status(PROPAGATION_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+
+    console.log(`[NEURAL-STACK] Propagation ${req.params.id} rejected by ${reviewer}`);
+    res.json({ success: true, ...data });
+  } catch (error) {
+    console.error('[NEURAL-STACK] propagations/reject error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // CROSS-AGENT HEATMAP
 // ============================================================================
@@ -843,13 +958,14 @@ router.get('/baked-amendments', async (req, res) => {
 
 /**
  * GET /api/neural-stack/baked-amendments/:agent/version-history
- * Returns version hash history for an agent
+ * Returns knowledge versions (newest first) and the bake hash history for an agent
  */
 router.get('/baked-amendments/:agent/version-history', async (req, res) => {
   try {
     const { agent } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
 
-    const { data: versions, error } = await supabase
+    const { data: bakes, error } = await supabase
       .from('baked_amendments')
       .select('previous_version_hash, new_version_hash, baked_at, trigger_pattern, amendment_type')
       .eq('agent_role', agent)
@@ -857,10 +973,15 @@ router.get('/baked-amendments/:agent/version-history', async (req, res) => {
 
     if (error) throw error;
 
+    const { data: versions, error: versionError } = await knowledgeVersioning.getVersionHistory(agent, limit);
+    if (versionError) console.warn('[NEURAL-STACK] knowledge versions error:', versionError);
+
     res.json({
       agent_role: agent,
-      versions: versions || [],
-      total_bakes: (versions || []).length,
+      versions,
+      current_version: versions[0]?.version_number || null,
+      bakes: bakes || [],
+      total_bakes: (bakes || []).length,
     });
   } catch (error) {
     console.error('[NEURAL-STACK] version-history error:', error);
@@ -868,6 +989,103 @@ router.get('/baked-amendments/:agent/version-history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/neural-stack/baked-amendments/:agent/version-history/diff?from=3&to=5
+ * Structured diff between two versions (to defaults to the current knowledge)
+ */
+router.get('/baked-amendments/:agent/version-history/diff', async (req, res) => {
+  try {
+    const { agent } = req.params;
+    const from = parseInt(req.query.from);
+    const to = req.query.to ? parseInt(req.query.to) : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from (and optional to) must be version numbers' });
+    }
+
+    const { data, error } = await knowledgeVersioning.diffVersions(agent, from, to);
+
+    if (error?.code === 'VERSION_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    console.error('[NEURAL-STACK] version-diff error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/neural-stack/baked-amendments/:agent/version-history/:version
+ * Returns a single version with its knowledge layers
+ */
+router.get('/baked-amendments/:agent/version-history/:version', async (req, res) => {
+  try {
+    const { agent, version } = req.params;
+    const { data, error } = await knowledgeVersioning.getVersion(agent, version);
+
+    if (error?.code === 'VERSION_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error) throw error;
+
+    res.json({ version: data });
+  } catch (error) {
+    console.error('[NEURAL-STACK] version error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/neural-stack/baked-amendments/:agent/version-history/:version/rollback
+ * Restores an agent's knowledge to an earlier version
+ * Body: { reason }
+ */
+router.post('/baked-amendments/:agent/version-history/:version/rollback', async (req, res) => {
+  const { agent, version } = req.params;
+  const { reason } = req.body;
+  const actor = req.user?.email || req.user?.id || 'ceo';
+
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({ error: 'A reason is required to roll back knowledge' });
+  }
+
+  try {
+    const { data, error } = await knowledgeVersioning.rollback(agent, parseInt(version), { actor, reason });
+
+    await createAuditLog({
+      action: error ? 'KNOWLEDGE_ROLLBACK_REJECTED' : 'KNOWLEDGE_ROLLBACK',
+      category: AuditCategory.DATA_MODIFICATION,
+      severity: error ? AuditSeverity.WARNING : AuditSeverity.INFO,
+      userId: req.user?.id || null,
+      targetResource: 'agent_knowledge',
+      resourceId: agent,
+      details: {
+        restoredVersion: parseInt(version),
+        newVersion: data?.version?.version_number || null,
+        deactivated: data?.deactivated || [],
+        reactivated: data?.reactivated || [],
+        reason,
+        error: error?.message || null,
+      },
+    });
+
+    if (error) {
+      const status = { VERSION_NOT_FOUND: 404, NO_CHANGE: 409, ROLLBACK_BLOCKED: 422 }[error.code] || 500;
+      return res.status(status).json({ error: error.message, violations: error.violations || [] });
+    }
+
+    console.log(`[NEURAL-STACK] ${agent} knowledge rolled back to v${version} by ${actor}`);
+
+    res.json({ success: true, ...data });
+  } catch (error) {
+    console.error('[NEURAL-STACK] rollback error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // PHASE 5E: AUTONOMY STATISTICS
 // ============================================================================
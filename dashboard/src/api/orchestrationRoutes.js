@@ -4,18 +4,24 @@
  *
  * Provides endpoints for:
  * - Task management (CRUD, queues, blocking)
- * - CEO decision workflow
+ * - CEO decision workflow and the unified CEO decision inbox
  * - System health and throughput metrics
  *
  * Tables used:
- * - monolith_task_queue
+ * - monolith_task_queue (dashboard task records; execution goes through the
+ *   scheduling pipeline and its shared task_queue_jobs queue)
  * - monolith_task_dependencies
  * - monolith_ceo_decisions
  */
 
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
-import { AgentExecutor, TokenTracker } from '../../../agents/orchestration/index.js';
+import { AgentExecutor, TokenTracker, ResolutionSystem } from '../../../agents/orchestration/index.js';
+import { SchedulingPipeline } from '../../../agents/core/SchedulingPipeline.js';
+import budgetEnforcer from '../../../agents/core/BudgetEnforcer.js';
+import { DecisionInbox, fromResolutionSystem } from '../../../agents/core/DecisionInbox.js';
+import { getPipelineStatus, submitTask, getDecisionInbox, actOnInboxItem } from './agentIntegration.js';
+import { createAuditLog, AuditCategory, AuditSeverity } from '../security/auditLogger.js';
 
 const router = express.Router();
 
@@ -26,6 +32,12 @@ const agentExecutor = new AgentExecutor({
   temperature: 0.7,
 });
 
+// AgentExecutor charges the shared budget enforcer; load the persisted caps and
+// this month's spend so calls made here count against the same budgets
+budgetEnforcer.loadCaps()
+  .then(() => budgetEnforcer.loadSpend())
+  .catch((error) => console.warn('[ORCHESTRATION] Budget caps unavailable:', error.message));
+
 // Initialize Supabase client
 const supabase = createClient(
   process.env.SUPABASE_URL || '',
@@ -52,6 +64,58 @@ function generateTaskId() {
   return `TASK-${dateStr}-${random}`;
 }
 
+// Agent roles reported by /health and /agents
+const AGENT_ROLES = [
+  'ceo', 'cfo', 'coo', 'cto', 'cmo', 'chro', 'ciso', 'clo',
+  'cos', 'cco', 'cpo', 'cro', 'devops', 'data', 'qa'
+];
+
+// Intake while the Agent Service is down: routes tasks onto the shared task
+// queue for the service's orchestrator to claim. Never started, so it runs
+// nothing itself. Created on first use.
+let intakePipeline = null;
+function getIntakePipeline() {
+  if (!intakePipeline) {
+    intakePipeline = new SchedulingPipeline({ servedRoles: AGENT_ROLES });
+  }
+  return intakePipeline;
+}
+
+// Task row priority (integer) -> scheduling priority
+function toPipelinePriority(priority) {
+  if (priority >= PRIORITY_MAP.critical) return 'CRITICAL';
+  if (priority >= PRIORITY_MAP.high) return 'HIGH';
+  if (priority >= PRIORITY_MAP.medium) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Send a monolith_task_queue row through the scheduling pipeline: the Agent
+ * Service's when it is running, else the intake pipeline
+ * @returns {Promise<object|null>} The task's pipeline status record, or null if it could not be queued
+ */
+async function submitToPipeline(row) {
+  const task = {
+    id: row.task_id,
+    title: row.title,
+    content: row.title,
+    description: row.description,
+    assigned_role: row.assigned_agent || undefined,
+    team: row.assigned_team || undefined,
+    priority: toPipelinePriority(row.priority),
+    tags: row.tags || [],
+    due_date: row.due_date,
+    metadata: { source: 'dashboard', queueRowId: row.id },
+  };
+
+  try {
+    return (await submitTask(task)) || (await getIntakePipeline().submit(task));
+  } catch (error) {
+    console.error(`[ORCHESTRATION] Task ${row.task_id} not submitted to the pipeline:`, error.message);
+    return null;
+  }
+}
+
 // Valid decision choices
 const VALID_DECISION_CHOICES = ['approve', 'reject', 'modify', 'escalate'];
 
@@ -133,6 +197,8 @@ router.post('/tasks', async (req, res) => {
 
     if (error) throw error;
 
+    const pipelineTask = await submitToPipeline(task);
+
     console.log(`[ORCHESTRATION] Task created: ${task.id} - ${title}`);
 
     res.status(201).json({
@@ -141,6 +207,7 @@ router.post('/tasks', async (req, res) => {
         ...task,
         assigned_agent_name: getRoleFullName(task.assigned_agent),
       },
+      pipeline: pipelineTask,
     });
   } catch (error) {
     console.error('[ORCHESTRATION] POST /tasks error:', error);
@@ -890,82 +957,166 @@ router.post('/decisions/:id/delegate', async (req, res) => {
 });
 
 // ============================================================================
-// SYSTEM STATUS ENDPOINTS
+// CEO DECISION INBOX ENDPOINTS
 // ============================================================================
 
+// When the Agent Service is not running the inbox falls back to the decisions
+// blocked tasks are waiting on (monolith_ceo_decisions), read in-process
+const fallbackInbox = new DecisionInbox({
+  sources: [fromResolutionSystem(new ResolutionSystem())],
+  executives: AGENT_ROLES.filter(role => role !== 'ceo'),
+});
+
 /**
- * GET /health
- * System health metrics
+ * Add display names to an inbox item
  */
-router.get('/health', async (req, res) => {
+function withRoleNames(item) {
+  return {
+    ...item,
+    decisionType: item.type,
+    requestingAgentName: getRoleFullName(item.requestingAgent),
+    delegatedToName: item.delegatedTo ? getRoleFullName(item.delegatedTo) : null,
+  };
+}
+
+/**
+ * GET /ceo-decisions
+ * Everything waiting on the CEO: orchestrator escalations, escalation engine
+ * reviews, blocked-task decisions, financial authorizations and amendment
+ * exceptions, with priority and SLA deadline, most urgent first
+ * Query: status (open by default, deferred, delegated, decided or all)
+ */
+router.get('/ceo-decisions', async (req, res) => {
   try {
-    // Get task counts by status
-    const { data: statusCounts, error: statusError } = await supabase
-      .from('monolith_task_queue')
-      .select('status');
-
-    if (statusError) throw statusError;
-
-    // Count by status
-    const counts = {
-      queued: 0,
-      active: 0,
-      blocked: 0,
-      completed: 0,
-      failed: 0,
-      cancelled: 0,
-      pending: 0,
-    };
+    const { status = 'open' } = req.query;
+
+    let inbox = await getDecisionInbox(status);
+    let mode = 'live';
+    if (!inbox) {
+      const items = await fallbackInbox.list({ status });
+      inbox = { items, summary: await fallbackInbox.getSummary() };
+      mode = 'local';
+    }
 
-    (statusCounts || []).forEach(t => {
-      if (counts.hasOwnProperty(t.status)) {
-        counts[t.status]++;
-      }
+    res.json({
+      decisions: inbox.items.map(withRoleNames),
+      summary: inbox.summary,
+      executives: AGENT_ROLES.filter(role => role !== 'ceo').map(id => ({ id, name: getRoleFullName(id) })),
+      total: inbox.items.length,
+      filter_status: status,
+      mode,
     });
+  } catch (error) {
+    console.error('[ORCHESTRATION] GET /ceo-decisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get pending CEO decisions count
-    const { data: pendingDecisions, error: decisionError } = await supabase
-      .from('monolith_ceo_decisions')
-      .select('id')
-      .eq('status', 'pending');
+/**
+ * POST /ceo-decisions/:id
+ * Act on an inbox item
+ * Body: { choice, notes } to decide, { action: 'defer', until, hours, notes }
+ * or { action: 'delegate', to, notes }
+ */
+router.post('/ceo-decisions/:id', async (req, res) => {
+  const { id } = req.params;
+  const actor = req.user?.email || req.user?.id || 'ceo';
+  const action = { ...req.body, actor };
 
-    if (decisionError) console.warn('[ORCHESTRATION] Decision count error:', decisionError.message);
+  try {
+    let item;
+    let mode = 'live';
+    const result = await actOnInboxItem(id, action);
 
-    // Get today's completed tasks for throughput
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    if (result.mode === 'live') {
+      if (!result.success) {
+        return res.status(400).json({ error: 'Decision Failed', message: result.message });
+      }
+      item = result.item;
+    } else {
+      item = await fallbackInbox.act(id, action);
+      mode = 'local';
+    }
 
-    const { data: completedToday, error: completedError } = await supabase
-      .from('monolith_task_queue')
-      .select('id, completed_at, started_at')
-      .eq('status', 'completed')
-      .gte('completed_at', today.toISOString());
+    if (item.status === 'delegated') {
+      await createAuditLog({
+        action: 'CEO_DECISION_DELEGATED',
+        category: AuditCategory.DATA_MODIFICATION,
+        severity: AuditSeverity.INFO,
+        userId: req.user?.id || null,
+        targetResource: 'ceo_decision',
+        resourceId: id,
+        details: {
+          title: item.title,
+          source: item.source,
+          delegatedTo: item.delegatedTo,
+          note: req.body.notes || null,
+        },
+      });
+    }
 
-    if (completedError) console.warn('[ORCHESTRATION] Completed today error:', completedError.message);
+    console.log(`[ORCHESTRATION] CEO decision ${id}: ${item.status.toUpperCase()}`);
 
-    // Calculate average completion time
-    let avgCompletionMinutes = 0;
-    const completedTasks = completedToday || [];
-    if (completedTasks.length > 0) {
-      const durations = completedTasks
-        .filter(t => t.started_at && t.completed_at)
-        .map(t => (new Date(t.completed_at) - new Date(t.started_at)) / 60000);
-
-      if (durations.length > 0) {
-        avgCompletionMinutes = Math.round(durations.reduce((a, b) => a + b, 0) / durations.length);
-      }
+    res.json({ success: true, decision: withRoleNames(item), mode });
+  } catch (error) {
+    if (error.code === 'ITEM_NOT_FOUND') {
+      return res.status(404).json({ error: 'Not Found', message: error.message });
+    }
+    if (error.code === 'INVALID_ACTION') {
+      return res.status(400).json({ error: 'Validation Error', message: error.message });
     }
+    console.error('[ORCHESTRATION] POST /ceo-decisions/:id error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// SYSTEM STATUS ENDPOINTS
+// ============================================================================
+
+/**
+ * Task status model: the scheduling pipeline's view from the Agent Service
+ * (the same one /api/v1/agents reports), or, when the service is not
+ * running, the same model built by the intake pipeline from the shared queue
+ */
+async function getTaskStatusModel() {
+  const pipeline = await getPipelineStatus();
+  if (pipeline) {
+    return pipeline;
+  }
+
+  const model = await getIntakePipeline().getStatus({ roles: AGENT_ROLES });
+
+  const { data: pendingDecisions, error: decisionError } = await supabase
+    .from('monolith_ceo_decisions')
+    .select('id')
+    .eq('status', 'pending');
+
+  if (decisionError) console.warn('[ORCHESTRATION] Decision count error:', decisionError.message);
+
+  return {
+    ...model,
+    pendingDecisions: (pendingDecisions || []).length,
+  };
+}
+
+/**
+ * GET /health
+ * System health metrics
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const model = await getTaskStatusModel();
+    const { counts } = model;
 
     res.json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
+      source: model.source,
       task_counts: counts,
-      total_tasks: (statusCounts || []).length,
-      pending_decisions: (pendingDecisions || []).length,
-      throughput: {
-        completed_today: completedTasks.length,
-        avg_completion_minutes: avgCompletionMinutes,
-      },
+      total_tasks: Object.values(counts).reduce((a, b) => a + b, 0),
+      pending_decisions: model.pendingDecisions,
+      throughput: model.throughput,
       summary: {
         queued: counts.queued,
         active: counts.active,
@@ -988,56 +1139,12 @@ router.get('/health', async (req, res) => {
  */
 router.get('/agents', async (req, res) => {
   try {
-    // Get all tasks grouped by agent
-    const { data: tasks, error: taskError } = await supabase
-      .from('monolith_task_queue')
-      .select('assigned_agent, status, started_at, title, id')
-      .in('status', ['queued', 'active', 'blocked']);
-
-    if (taskError) throw taskError;
-
-    // Define all agent roles
-    const agentRoles = [
-      'ceo', 'cfo', 'coo', 'cto', 'cmo', 'chro', 'ciso', 'clo',
-      'cos', 'cco', 'cpo', 'cro', 'devops', 'data', 'qa'
-    ];
-
-    // Build status for each agent
-    const agentStatus = agentRoles.map(role => {
-      const agentTasks = (tasks || []).filter(t => t.assigned_agent === role);
-      const activeTasks = agentTasks.filter(t => t.status === 'active');
-      const queuedTasks = agentTasks.filter(t => t.status === 'queued');
-      const blockedTasks = agentTasks.filter(t => t.status === 'blocked');
-
-      return {
-        role,
-        name: getRoleFullName(role),
-        active_task: activeTasks.length > 0 ? {
-          id: activeTasks[0].id,
-          title: activeTasks[0].title,
-          started_at: activeTasks[0].started_at,
-          duration_minutes: activeTasks[0].started_at
-            ? Math.round((Date.now() - new Date(activeTasks[0].started_at).getTime()) / 60000)
-            : null,
-        } : null,
-        queue_depth: queuedTasks.length,
-        blocked_count: blockedTasks.length,
-        status: activeTasks.length > 0 ? 'working' : queuedTasks.length > 0 ? 'ready' : 'idle',
-      };
-    });
-
-    // Summary counts
-    const summary = {
-      working: agentStatus.filter(a => a.status === 'working').length,
-      ready: agentStatus.filter(a => a.status === 'ready').length,
-      idle: agentStatus.filter(a => a.status === 'idle').length,
-      total_queued: agentStatus.reduce((sum, a) => sum + a.queue_depth, 0),
-      total_blocked: agentStatus.reduce((sum, a) => sum + a.blocked_count, 0),
-    };
+    const model = await getTaskStatusModel();
 
     res.json({
-      agents: agentStatus,
-      summary,
+      source: model.source,
+      agents: model.agents.map(agent => ({ ...agent, name: getRoleFullName(agent.role) })),
+      summary: model.summary,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -1162,6 +1269,7 @@ router.post('/tasks/bulk', async (req, res) => {
     }
 
     // Batch insert valid tasks
+    const insertedRows = [];
     if (validTasks.length > 0) {
       const { data: insertedTasks, error } = await supabase
         .from('monolith_task_queue')
@@ -1189,14 +1297,22 @@ router.post('/tasks/bulk', async (req, res) => {
           } else {
             results.success_count++;
             results.inserted_ids.push(singleTask.id);
+            insertedRows.push(singleTask);
           }
         }
       } else {
         results.success_count = (insertedTasks || []).length;
         results.inserted_ids = (insertedTasks || []).map(t => t.id);
+        insertedRows.push(...(insertedTasks || []));
       }
     }
 
+    // Imported tasks that still need doing go through the scheduling pipeline
+    results.pipeline_count = 0;
+    for (const row of insertedRows.filter(t => ['queued', 'pending'].includes(t.status))) {
+      if (await submitToPipeline(row)) results.pipeline_count++;
+    }
+
     console.log(`[ORCHESTRATION] Bulk import: ${results.success_count} success, ${results.error_count} errors`);
 
     res.status(results.error_count > 0 && results.success_count === 0 ? 400 : 201).json({
@@ -185,7 +185,9 @@ router.get('/status', async (req, res) => {
         queue: {
           pending: queueStatus.queuedTasks,
           inProgress: queueStatus.inProgress,
-          completed: queueStatus.completed || 0
+          completed: queueStatus.completed || 0,
+          blocked: queueStatus.pipeline?.counts.blocked || 0,
+          failed: queueStatus.pipeline?.counts.failed || 0
         },
         escalations: {
           pendingCEODecisions: ceoQueue.length
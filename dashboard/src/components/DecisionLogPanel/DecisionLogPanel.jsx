@@ -1,6 +1,8 @@
 /**
  * DecisionLogPanel Component
  * Displays a modal panel showing decision history with context, role, and timestamps.
+ * Follow-up checks that are due ("did this work out?") are listed above the log
+ * so outcomes can be recorded against the original decision.
  */
 import { useState, useEffect, useCallback } from 'react';
 import { getAbbrFromId } from '../../config/roleHierarchy';
@@ -121,6 +123,9 @@ const DecisionLogPanel = ({ isOpen, onClose, selectedRole = null }) => {
   const [error, setError] = useState(null);
   const [filterType, setFilterType] = useState(null);
   const [sortBy, setSortBy] = useState('time'); // 'time', 'impact', 'type'
+  const [followUps, setFollowUps] = useState([]);
+  const [followUpNotes, setFollowUpNotes] = useState({});
+  const [submittingFollowUp, setSubmittingFollowUp] = useState(null);
 
   // Fetch decisions
   const fetchDecisions = useCallback(async () => {
@@ -141,14 +146,57 @@ const DecisionLogPanel = ({ isOpen, onClose, selectedRole = null }) => {
     }
   }, []);
 
+  // Fetch follow-up checks waiting on an answer
+  const fetchFollowUps = useCallback(async () => {
+    try {
+      const response = await fetch('/api/decisions/follow-ups?status=due');
+      if (!response.ok) throw new Error('Failed to fetch follow-ups');
+      const data = await response.json();
+      setFollowUps(data.followUps || []);
+    } catch (err) {
+      console.warn('Follow-ups unavailable:', err.message);
+      setFollowUps([]);
+    }
+  }, []);
+
+  const refresh = useCallback(() => {
+    fetchDecisions();
+    fetchFollowUps();
+  }, [fetchDecisions, fetchFollowUps]);
+
   // Initial fetch and auto-refresh
   useEffect(() => {
     if (isOpen) {
-      fetchDecisions();
-      const interval = setInterval(fetchDecisions, 30000);
+      refresh();
+      const interval = setInterval(refresh, 30000);
       return () => clearInterval(interval);
     }
-  }, [isOpen, fetchDecisions]);
+  }, [isOpen, refresh]);
+
+  // Record whether a followed-up decision worked out
+  const submitFollowUp = async (followUpId, success) => {
+    try {
+      setSubmittingFollowUp(followUpId);
+      const response = await fetch(`/api/decisions/follow-ups/${followUpId}/outcome`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success, notes: followUpNotes[followUpId] || undefined }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to record outcome');
+      }
+      setFollowUps((prev) => prev.filter((f) => f.id !== followUpId));
+      setFollowUpNotes((prev) => {
+        const { [followUpId]: _removed, ...rest } = prev;
+        return rest;
+      });
+    } catch (err) {
+      console.warn('Follow-up outcome failed:', err.message);
+    } finally {
+      setSubmittingFollowUp(null);
+    }
+  };
 
   // Impact order for sorting
   const IMPACT_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
@@ -216,6 +264,9 @@ const DecisionLogPanel = ({ isOpen, onClose, selectedRole = null }) => {
 
   const filteredDecisions = getFilteredDecisions();
   const typeCounts = getTypeCounts();
+  const visibleFollowUps = selectedRole
+    ? followUps.filter((f) => f.role === selectedRole)
+    : followUps;
 
   if (!isOpen) return null;
 
@@ -291,6 +342,63 @@ const DecisionLogPanel = ({ isOpen, onClose, selectedRole = null }) => {
           ))}
         </div>
 
+        {/* Follow-ups due */}
+        {visibleFollowUps.length > 0 && (
+          <div className="p-4 border-b border-white/10">
+            <h3 className="text-sm font-bold text-neon-amber font-code mb-3">
+              FOLLOW-UPS DUE ({visibleFollowUps.length})
+            </h3>
+            <div className="space-y-3 max-h-60 overflow-y-auto">
+              {visibleFollowUps.map((followUp) => (
+                <div
+                  key={followUp.id}
+                  className="bg-black/30 border border-white/10 rounded-lg p-3"
+                  style={{ borderLeftWidth: '4px', borderLeftColor: '#ffb800' }}
+                >
+                  <div className="flex items-center gap-3 text-sm font-code">
+                    <span className="text-neon-amber font-medium">
+                      {getAbbrFromId(followUp.role)}
+                    </span>
+                    <span className="text-gray-500">|</span>
+                    <span className="text-gray-400">
+                      Decided {formatTimestamp(followUp.createdAt)}
+                    </span>
+                  </div>
+                  <p className="text-gray-100 mt-2">{followUp.question}</p>
+                  {followUp.decisionSummary && (
+                    <p className="text-gray-400 text-sm mt-1">{followUp.decisionSummary}</p>
+                  )}
+                  <div className="flex items-center gap-2 mt-3">
+                    <input
+                      type="text"
+                      value={followUpNotes[followUp.id] || ''}
+                      onChange={(e) =>
+                        setFollowUpNotes((prev) => ({ ...prev, [followUp.id]: e.target.value }))
+                      }
+                      placeholder="Notes (optional)"
+                      className="flex-1 bg-black/30 text-gray-300 border border-white/10 rounded px-2 py-1 text-sm"
+                    />
+                    <button
+                      onClick={() => submitFollowUp(followUp.id, true)}
+                      disabled={submittingFollowUp === followUp.id}
+                      className="px-3 py-1 rounded text-sm font-code bg-[var(--neon-cyan)] text-black hover:opacity-80 disabled:opacity-50"
+                    >
+                      Worked
+                    </button>
+                    <button
+                      onClick={() => submitFollowUp(followUp.id, false)}
+                      disabled={submittingFollowUp === followUp.id}
+                      className="px-3 py-1 rounded text-sm font-code bg-[var(--neon-crimson)] text-black hover:opacity-80 disabled:opacity-50"
+                    >
+                      Didn't work
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Content */}
         <div className="flex-1 overflow-y-auto p-4">
           {loading ? (
@@ -303,7 +411,7 @@ const DecisionLogPanel = ({ isOpen, onClose, selectedRole = null }) => {
               <span className="text-[var(--neon-crimson)] text-2xl">!</span>
               <p className="text-gray-400 mt-2">{error}</p>
               <button
-                onClick={fetchDecisions}
+                onClick={refresh}
                 className="mt-4 px-4 py-2 bg-[var(--neon-cyan)] text-black rounded hover:opacity-80 cyber-button"
               >
                 Retry
@@ -376,7 +484,7 @@ const DecisionLogPanel = ({ isOpen, onClose, selectedRole = null }) => {
         <div className="flex items-center justify-between p-4 border-t border-white/10 text-sm text-gray-500 font-code">
           <span>Auto-refresh: 30s</span>
           <button
-            onClick={fetchDecisions}
+            onClick={refresh}
             className="text-neon-cyan hover:text-[var(--neon-cyan)]/80"
           >
             Refresh Now
@@ -0,0 +1,167 @@
+/**
+ * AMENDMENT LINEAGE
+ * Cognalith Inc. | Monolith System
+ *
+ * Proven amendments and the adapted copies proposed to peers with
+ * overlapping specialties and the same failure pattern. Each copy shows the
+ * team lead it was proposed to, why the peer matched and its own evaluation
+ * outcome next to the source's. Pending proposals can be decided here.
+ */
+
+import React, { useState } from 'react';
+import { useAmendmentLineage } from '../../hooks/useNeuralStack.js';
+
+const STATUS_LABELS = {
+  proposed: 'Awaiting team lead',
+  approved: 'Evaluating',
+  rejected: 'Rejected',
+  proven: 'Proven',
+  reverted: 'Reverted',
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '-' : `${Math.round(rate * 100)}%`);
+
+const formatPattern = (type) => (type || '').replace(/_/g, ' ');
+
+/**
+ * Adapted copy of a source amendment
+ */
+function PropagationItem({ propagation, onApprove, onReject }) {
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const shared = propagation.overlap?.shared_specialties?.length > 0
+    ? propagation.overlap.shared_specialties
+    : propagation.overlap?.shared_terms || [];
+
+  const decide = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action(propagation.id, note.trim() || null);
+      setNote('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <li className={`lineage-propagation ${propagation.status}`}>
+      <div className="lineage-propagation-header">
+        <span className="lineage-branch">&#8627;</span>
+        <span className="lineage-role">{propagation.target_role}</span>
+        <span className="lineage-team-lead">via {propagation.team_lead_role.toUpperCase()}</span>
+        <span className={`lineage-status ${propagation.status}`}>{STATUS_LABELS[propagation.status] || propagation.status}</span>
+        {propagation.success_rate !== null && propagation.success_rate !== undefined && (
+          <span className="lineage-rate" title="Adapted amendment's own evaluation">
+            {propagation.success_count}/{propagation.success_count + propagation.failure_count} ({formatRate(propagation.success_rate)})
+          </span>
+        )}
+      </div>
+
+      <div className="lineage-propagation-meta">
+        {shared.length > 0 && <span>Shared: {shared.join(', ')}</span>}
+        {propagation.triggered_by === 'cross_agent_pattern' && <span className="lineage-cross-agent">cross-agent pattern</span>}
+      </div>
+
+      {propagation.status === 'proposed' && (
+        <div className="lineage-review">
+          <input
+            type="text"
+            placeholder="Notes (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <button className="refresh-btn-small" onClick={() => decide(onApprove)} disabled={busy}>Approve</button>
+          <button className="refresh-btn-small rollback" onClick={() => decide(onReject)} disabled={busy}>Reject</button>
+        </div>
+      )}
+      {error && <div className="error-banner-small">{error}</div>}
+    </li>
+  );
+}
+
+/**
+ * Source amendment with its propagations
+ */
+function LineageItem({ lineage, onApprove, onReject }) {
+  const { source, summary } = lineage;
+
+  return (
+    <div className="lineage-item">
+      <div className="lineage-source">
+        <span className="lineage-role">{lineage.source_role}</span>
+        <span className="lineage-pattern">{formatPattern(lineage.pattern_type)}</span>
+        {source && <code className="lineage-trigger">{source.trigger_pattern}</code>}
+        <span className="lineage-rates">
+          source {formatRate(lineage.source_success_rate)} &#183; copies {formatRate(lineage.adapted_success_rate)}
+        </span>
+      </div>
+      {source?.instruction_delta && <div className="lineage-delta">{source.instruction_delta}</div>}
+      <div className="lineage-summary">
+        {summary.total} propagated &#183; {summary.proposed} pending &#183; {summary.proven} proven &#183; {summary.reverted} reverted
+      </div>
+      <ul className="lineage-propagations">
+        {lineage.propagations.map((propagation) => (
+          <PropagationItem
+            key={propagation.id}
+            propagation={propagation}
+            onApprove={onApprove}
+            onReject={onReject}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Main Amendment Lineage panel
+ */
+export function AmendmentLineage({ agentRole = null }) {
+  const { lineages, pending, loading, error, refresh, approve, reject } = useAmendmentLineage(agentRole);
+
+  const handleApprove = (propagationId, notes) => approve(propagationId, undefined, notes);
+  const handleReject = (propagationId, reason) => reject(propagationId, undefined, reason);
+
+  return (
+    <div className="amendment-lineage">
+      <div className="panel-header">
+        <div className="header-left">
+          <span className="panel-icon">&#8644;</span>
+          <span>Amendment Propagation{agentRole ? `: ${agentRole.toUpperCase()}` : ''}</span>
+          {pending > 0 && <span className="lineage-pending-badge">{pending} pending</span>}
+        </div>
+        <div className="header-right">
+          <button className="refresh-btn-small" onClick={refresh} title="Refresh">
+            &#8635;
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-banner-small">{error}</div>}
+
+      <div className="lineage-list">
+        {loading && lineages.length === 0 ? (
+          <div className="neural-stack-loading">Loading...</div>
+        ) : lineages.length === 0 ? (
+          <div className="neural-stack-empty">No amendments have been propagated yet</div>
+        ) : (
+          lineages.map((lineage) => (
+            <LineageItem
+              key={lineage.source_amendment_id}
+              lineage={lineage}
+              onApprove={handleApprove}
+              onReject={handleReject}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AmendmentLineage;
@@ -0,0 +1,198 @@
+/**
+ * KNOWLEDGE VERSION HISTORY
+ * Cognalith Inc. | Monolith System
+ *
+ * Version history of the selected agent's knowledge. Each amendment
+ * activation, bake, revert and rollback records a version; any version can
+ * be compared with the current knowledge and restored (rollbacks are checked
+ * by AmendmentSafety and written to the audit log).
+ */
+
+import React, { useState } from 'react';
+import { useKnowledgeVersions } from '../../hooks/useNeuralStack.js';
+
+const REASON_LABELS = {
+  activated: 'Activated',
+  baked: 'Baked',
+  reverted: 'Reverted',
+  deactivated: 'Deactivated',
+  rolled_back: 'Rolled back',
+  captured: 'Captured',
+};
+
+const formatTime = (dateStr) => (dateStr ? new Date(dateStr).toLocaleString() : '');
+
+const formatValue = (value) => {
+  if (value === undefined) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 120 ? `${text.substring(0, 120)}...` : text;
+};
+
+/**
+ * Structured diff between a version and the current knowledge
+ */
+function VersionDiff({ diff, onClose }) {
+  return (
+    <div className="knowledge-diff">
+      <div className="knowledge-diff-header">
+        <span>
+          v{diff.from.version_number} &#8594; current
+          {' '}({diff.summary.added} added, {diff.summary.removed} removed, {diff.summary.changed} changed)
+        </span>
+        <button className="refresh-btn-small" onClick={onClose}>Close</button>
+      </div>
+      {diff.changes.length === 0 ? (
+        <div className="knowledge-diff-empty">No differences</div>
+      ) : (
+        <ul className="knowledge-diff-list">
+          {diff.changes.map((change) => (
+            <li key={change.path} className={`knowledge-diff-change ${change.type}`}>
+              <code className="diff-path">{change.path}</code>
+              {change.type !== 'added' && <div className="diff-before">- {formatValue(change.before)}</div>}
+              {change.type !== 'removed' && <div className="diff-after">+ {formatValue(change.after)}</div>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Single version row with compare and rollback actions
+ */
+function VersionItem({ version, isCurrent, onCompare, onRollback }) {
+  const [confirming, setConfirming] = useState(false);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleRollback = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onRollback(version.version_number, reason.trim());
+      setConfirming(false);
+      setReason('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={`knowledge-version-item ${isCurrent ? 'current' : ''}`}>
+      <div className="knowledge-version-header">
+        <span className="version-number">v{version.version_number}</span>
+        <span className={`version-reason ${version.reason}`}>
+          {REASON_LABELS[version.reason] || version.reason}
+          {version.restored_version && ` to v${version.restored_version}`}
+        </span>
+        <span className="version-hash" title={version.version_hash}>
+          <code>{version.version_hash?.substring(0, 8)}...</code>
+        </span>
+        <span className="version-meta">
+          {version.amendment_count} amendments &#183; {formatTime(version.created_at)}
+          {version.created_by && ` · ${version.created_by}`}
+        </span>
+        {isCurrent ? (
+          <span className="version-current-badge">Current</span>
+        ) : (
+          <span className="version-actions">
+            <button className="refresh-btn-small" onClick={() => onCompare(version.version_number)}>Compare</button>
+            <button className="refresh-btn-small rollback" onClick={() => setConfirming(!confirming)}>Roll back</button>
+          </span>
+        )}
+      </div>
+
+      {version.notes && <div className="knowledge-version-notes">{version.notes}</div>}
+
+      {confirming && (
+        <div className="knowledge-rollback-confirm">
+          <textarea
+            placeholder="Why is this agent's knowledge being rolled back?"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={2}
+          />
+          <button
+            className="refresh-btn-small rollback"
+            onClick={handleRollback}
+            disabled={busy || !reason.trim()}
+          >
+            {busy ? 'Rolling back...' : `Restore v${version.version_number}`}
+          </button>
+          {error && <div className="error-banner-small">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Main Knowledge Version History panel
+ */
+export function KnowledgeVersionHistory({ agentRole }) {
+  const { versions, loading, error, refresh, diff, rollback } = useKnowledgeVersions(agentRole);
+  const [activeDiff, setActiveDiff] = useState(null);
+  const [diffError, setDiffError] = useState(null);
+
+  const handleCompare = async (versionNumber) => {
+    setDiffError(null);
+    try {
+      setActiveDiff(await diff(versionNumber));
+    } catch (err) {
+      setDiffError(err.message);
+    }
+  };
+
+  const handleRollback = async (versionNumber, reason) => {
+    await rollback(versionNumber, reason);
+    setActiveDiff(null);
+  };
+
+  return (
+    <div className="knowledge-version-history">
+      <div className="panel-header">
+        <div className="header-left">
+          <span className="panel-icon">&#8634;</span>
+          <span>Knowledge Versions{agentRole ? `: ${agentRole.toUpperCase()}` : ''}</span>
+        </div>
+        <div className="header-right">
+          {agentRole && (
+            <button className="refresh-btn-small" onClick={refresh} title="Refresh">
+              &#8635;
+            </button>
+          )}
+        </div>
+      </div>
+
+      {(error || diffError) && <div className="error-banner-small">{error || diffError}</div>}
+
+      {activeDiff && <VersionDiff diff={activeDiff} onClose={() => setActiveDiff(null)} />}
+
+      <div className="knowledge-version-list">
+        {!agentRole ? (
+          <div className="neural-stack-empty">Select an agent to see its knowledge history</div>
+        ) : loading && versions.length === 0 ? (
+          <div className="neural-stack-loading">Loading...</div>
+        ) : versions.length === 0 ? (
+          <div className="neural-stack-empty">No knowledge versions recorded yet</div>
+        ) : (
+          versions.map((version, i) => (
+            <VersionItem
+              key={version.version_number}
+              version={version}
+              isCurrent={i === 0}
+              onCompare={handleCompare}
+              onRollback={handleRollback}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default KnowledgeVersionHistory;
@@ -10,6 +10,8 @@
  * - ExceptionQueueWidget
  * - CoSHealthIndicator
  * - BakingActivityWidget
+ * - KnowledgeVersionHistory (selected agent's knowledge versions and rollback)
+ * - AmendmentLineage (proven amendments propagated to peers, team lead review)
  *
  * PHASE 6A: Added team hierarchy visualization
  * - TeamOverviewPanel
@@ -56,6 +58,8 @@ import { AutonomyStatusPanel } from './AutonomyStatusPanel.jsx';
 import { ExceptionQueueWidget } from './ExceptionQueueWidget.jsx';
 import { CoSHealthIndicator } from './CoSHealthIndicator.jsx';
 import { BakingActivityWidget } from './BakingActivityWidget.jsx';
+import { KnowledgeVersionHistory } from './KnowledgeVersionHistory.jsx';
+import { AmendmentLineage } from './AmendmentLineage.jsx';
 // Phase 6A widgets
 import { TeamOverviewPanel } from './TeamOverviewPanel.jsx';
 import { TeamDrillDown } from './TeamDrillDown.jsx';
@@ -273,8 +277,16 @@ export function NeuralStackDashboard({ layout = LAYOUTS.default }) {
 
         {/* Phase 5E: Baking Activity Row */}
         <section className="neural-stack-section baking-section">
-          <div className="section-grid full-width">
+          <div className="section-grid half-half">
             <BakingActivityWidget limit={10} />
+            <KnowledgeVersionHistory agentRole={selectedAgent} />
+          </div>
+        </section>
+
+        {/* Amendment propagation lineage */}
+        <section className="neural-stack-section propagation-section">
+          <div className="section-grid full-width">
+            <AmendmentLineage agentRole={selectedAgent} />
           </div>
         </section>
 
@@ -330,6 +342,8 @@ export {
   ExceptionQueueWidget,
   CoSHealthIndicator,
   BakingActivityWidget,
+  KnowledgeVersionHistory,
+  AmendmentLineage,
   // Phase 6A widgets
   TeamOverviewPanel,
   TeamDrillDown,
@@ -2,14 +2,17 @@
  * CEO DECISION QUEUE - Phase 7
  * Cognalith Inc. | Monolith System
  *
- * Shows pending decisions for Frank (CEO).
+ * Shows pending decisions for Frank (CEO) from the unified decision inbox:
+ * escalations, blocked-task decisions, financial authorizations and
+ * amendment exceptions in one list, most urgent first.
  * Features:
  * - List of decision cards with title, requesting agent, decision type, priority
  * - Agent's recommendation displayed
  * - Options as clickable buttons
  * - Text input for decision notes
  * - "Decide" button to submit
- * - Visual urgency indicator based on waiting time
+ * - Delegate to a named executive or defer for 24 hours
+ * - Visual urgency indicator based on the SLA deadline
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -26,6 +29,8 @@ const DECISION_TYPES = {
   resource: { label: 'Resource', icon: '\u{1F465}', color: '#34d399' },
   escalation: { label: 'Escalation', icon: '\u26A0', color: 'var(--neon-crimson)' },
   policy: { label: 'Policy', icon: '\u{1F4DC}', color: '#f472b6' },
+  authorization: { label: 'Authorization', icon: '\u{1F511}', color: 'var(--neon-amber)' },
+  amendment: { label: 'Amendment', icon: '\u{1F9E0}', color: '#a78bfa' },
 };
 
 const PRIORITY_CONFIG = {
@@ -41,24 +46,51 @@ const URGENCY_THRESHOLDS = {
   medium: 24 * 60 * 60 * 1000, // 24 hours
 };
 
+const DEFER_HOURS = 24;
+
+const CLOCK_TICK_MS = 60 * 1000; // Wait and SLA times are shown to the minute
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
-function getUrgencyLevel(createdAt) {
+function getUrgencyLevel(createdAt, dueAt, now) {
+  if (dueAt) {
+    const remaining = new Date(dueAt).getTime() - now;
+    const window = new Date(dueAt).getTime() - new Date(createdAt).getTime();
+    if (remaining <= 0) return 'critical';
+    if (remaining < window * 0.25) return 'high';
+    if (remaining < window * 0.5) return 'medium';
+    return 'low';
+  }
   if (!createdAt) return 'low';
-  const waitTime = Date.now() - new Date(createdAt).getTime();
+  const waitTime = now - new Date(createdAt).getTime();
   if (waitTime > URGENCY_THRESHOLDS.critical) return 'critical';
   if (waitTime > URGENCY_THRESHOLDS.high) return 'high';
   if (waitTime > URGENCY_THRESHOLDS.medium) return 'medium';
   return 'low';
 }
 
-function formatWaitTime(createdAt) {
+function formatWaitTime(createdAt, now) {
   if (!createdAt) return '--';
-  const now = new Date();
-  const created = new Date(createdAt);
-  const diffMs = now - created;
+  return formatDuration(now - new Date(createdAt).getTime());
+}
+
+/**
+ * Current time, re-read every CLOCK_TICK_MS so urgency and SLA countdowns stay current
+ */
+function useNow() {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  return now;
+}
+
+function formatDuration(diffMs) {
   const diffMins = Math.floor(diffMs / 60000);
   const diffHours = Math.floor(diffMs / 3600000);
   const diffDays = Math.floor(diffMs / 86400000);
@@ -79,10 +111,11 @@ function truncateText(text, maxLength = 100) {
 // URGENCY INDICATOR COMPONENT
 // ============================================================================
 
-function UrgencyIndicator({ createdAt }) {
-  const urgency = getUrgencyLevel(createdAt);
+function UrgencyIndicator({ createdAt, dueAt, now }) {
+  const urgency = getUrgencyLevel(createdAt, dueAt, now);
   const config = PRIORITY_CONFIG[urgency] || PRIORITY_CONFIG.low;
-  const waitTime = formatWaitTime(createdAt);
+  const waitTime = formatWaitTime(createdAt, now);
+  const remaining = dueAt ? new Date(dueAt).getTime() - now : null;
 
   return (
     <div
@@ -92,7 +125,12 @@ function UrgencyIndicator({ createdAt }) {
       <span className="urgency-time" style={{ color: config.color }}>
         {'\u23F1'} {waitTime}
       </span>
-      {urgency === 'critical' && (
+      {remaining !== null && (
+        <span className="urgency-sla" style={{ color: config.color }}>
+          {remaining > 0 ? `SLA: ${formatDuration(remaining)} left` : `OVERDUE ${formatDuration(-remaining)}`}
+        </span>
+      )}
+      {urgency === 'critical' && remaining === null && (
         <span className="urgency-flash" style={{ color: config.color }}>
           URGENT
         </span>
@@ -105,10 +143,12 @@ function UrgencyIndicator({ createdAt }) {
 // DECISION CARD COMPONENT
 // ============================================================================
 
-function DecisionCard({ decision, onDecide }) {
+function DecisionCard({ decision, executives, onAction }) {
   const [selectedOption, setSelectedOption] = useState(null);
   const [notes, setNotes] = useState('');
+  const [delegateTo, setDelegateTo] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  const [actionError, setActionError] = useState(null);
 
   const {
     id,
@@ -120,23 +160,34 @@ function DecisionCard({ decision, onDecide }) {
     recommendation,
     options,
     createdAt,
+    dueAt,
     context,
+    escalationStep,
+    delegatedTo,
   } = decision;
 
   const typeConfig = DECISION_TYPES[decisionType] || { label: decisionType, icon: '\u2753', color: '#888' };
   const priorityConfig = PRIORITY_CONFIG[priority] || PRIORITY_CONFIG.medium;
-  const urgency = getUrgencyLevel(createdAt);
+  const now = useNow();
+  const urgency = getUrgencyLevel(createdAt, dueAt, now);
 
-  const handleSubmit = async () => {
-    if (!selectedOption) return;
+  const submit = async (action) => {
     setSubmitting(true);
+    setActionError(null);
     try {
-      await onDecide(id, selectedOption, notes);
+      await onAction(id, { ...action, notes });
+    } catch (err) {
+      setActionError(err.message);
     } finally {
       setSubmitting(false);
     }
   };
 
+  const handleSubmit = () => {
+    if (!selectedOption) return;
+    submit({ choice: selectedOption });
+  };
+
   return (
     <div
       className={`decision-card urgency-${urgency}`}
@@ -144,7 +195,7 @@ function DecisionCard({ decision, onDecide }) {
         borderTop: `3px solid ${urgency === 'critical' ? 'var(--neon-crimson)' : urgency === 'high' ? 'var(--neon-amber)' : 'rgba(0, 240, 255, 0.3)'}`,
       }}
     >
-      <UrgencyIndicator createdAt={createdAt} />
+      <UrgencyIndicator createdAt={createdAt} dueAt={dueAt} now={now} />
 
       <div className="decision-header">
         <div className="decision-meta">
@@ -160,10 +211,18 @@ function DecisionCard({ decision, onDecide }) {
           >
             {priorityConfig.label}
           </span>
+          {escalationStep && (
+            <span className="decision-escalation-badge">
+              {escalationStep.toUpperCase()}
+            </span>
+          )}
         </div>
         <div className="decision-agent">
           <span className="agent-label">From:</span>
           <span className="agent-name">{requestingAgent?.toUpperCase()}</span>
+          {delegatedTo && (
+            <span className="agent-delegated">Delegated to {delegatedTo.toUpperCase()}</span>
+          )}
         </div>
       </div>
 
@@ -221,7 +280,39 @@ function DecisionCard({ decision, onDecide }) {
         >
           {submitting ? 'Submitting...' : `Decide: ${selectedOption || 'Select an option'}`}
         </button>
+        <div className="decision-secondary-actions">
+          <button
+            className="defer-btn"
+            onClick={() => submit({ action: 'defer', hours: DEFER_HOURS })}
+            disabled={submitting}
+            title={`Bring this back in ${DEFER_HOURS} hours`}
+          >
+            Defer {DEFER_HOURS}h
+          </button>
+          <select
+            className="delegate-select"
+            value={delegateTo}
+            onChange={(e) => setDelegateTo(e.target.value)}
+            disabled={submitting}
+          >
+            <option value="">Delegate to...</option>
+            {executives.map((exec) => (
+              <option key={exec.id} value={exec.id}>{exec.name}</option>
+            ))}
+          </select>
+          <button
+            className="delegate-btn"
+            onClick={() => submit({ action: 'delegate', to: delegateTo })}
+            disabled={!delegateTo || submitting}
+          >
+            Delegate
+          </button>
+        </div>
       </div>
+
+      {actionError && (
+        <div className="error-banner-small">{actionError}</div>
+      )}
     </div>
   );
 }
@@ -269,9 +360,10 @@ function EmptyState() {
 // ============================================================================
 
 function StatsSummary({ decisions }) {
+  const now = useNow();
   const stats = decisions.reduce(
     (acc, d) => {
-      const urgency = getUrgencyLevel(d.createdAt);
+      const urgency = getUrgencyLevel(d.createdAt, d.dueAt, now);
       acc[urgency] = (acc[urgency] || 0) + 1;
       return acc;
     },
@@ -297,6 +389,7 @@ function StatsSummary({ decisions }) {
 
 export function CEODecisionQueue({ refreshInterval = 15000 }) {
   const [decisions, setDecisions] = useState([]);
+  const [executives, setExecutives] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -305,13 +398,9 @@ export function CEODecisionQueue({ refreshInterval = 15000 }) {
       const response = await fetch(`${API_BASE_URL}/api/orchestration/ceo-decisions`);
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
       const data = await response.json();
-      // Sort by urgency (oldest first, within priority)
-      const sorted = (data.decisions || []).sort((a, b) => {
-        const aTime = new Date(a.createdAt).getTime();
-        const bTime = new Date(b.createdAt).getTime();
-        return aTime - bTime;
-      });
-      setDecisions(sorted);
+      // Already sorted by priority, then SLA deadline
+      setDecisions(data.decisions || []);
+      setExecutives(data.executives || []);
       setError(null);
     } catch (err) {
       setError(err.message);
@@ -321,21 +410,19 @@ export function CEODecisionQueue({ refreshInterval = 15000 }) {
     }
   }, []);
 
-  const handleDecide = useCallback(async (decisionId, choice, notes) => {
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/orchestration/ceo-decisions/${decisionId}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ choice, notes }),
-      });
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      // Remove the decided item from the list
-      setDecisions((prev) => prev.filter((d) => d.id !== decisionId));
-    } catch (err) {
-      console.error('Failed to submit decision:', err);
-      // Still remove from UI for demo purposes
-      setDecisions((prev) => prev.filter((d) => d.id !== decisionId));
+  const handleAction = useCallback(async (decisionId, action) => {
+    const response = await fetch(`${API_BASE_URL}/api/orchestration/ceo-decisions/${encodeURIComponent(decisionId)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(action),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      console.error('Failed to submit decision:', data.message || data.error);
+      throw new Error(data.message || data.error || `HTTP ${response.status}`);
     }
+    // Decided, deferred and delegated items leave the CEO's open list
+    setDecisions((prev) => prev.filter((d) => d.id !== decisionId));
   }, []);
 
   useEffect(() => {
@@ -395,7 +482,8 @@ export function CEODecisionQueue({ refreshInterval = 15000 }) {
             <DecisionCard
               key={decision.id}
               decision={decision}
-              onDecide={handleDecide}
+              executives={executives}
+              onAction={handleAction}
             />
           ))
         )}
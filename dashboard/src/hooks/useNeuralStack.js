@@ -10,6 +10,9 @@
  * - useCoSHealth
  * - useBakedAmendments
  * - useAutonomyStats
+ *
+ * useKnowledgeVersions: knowledge version history, diffs and rollback
+ * useAmendmentLineage: propagated amendments, team lead review and lineage
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
@@ -53,7 +56,8 @@ async function postNeuralStack(endpoint, data) {
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `HTTP ${response.status}: ${response.statusText}`);
     }
 
     return await response.json();
@@ -471,6 +475,128 @@ export function useBakedAmendments(agentRole = null, limit = 50) {
   };
 }
 
+// ============================================================================
+// KNOWLEDGE VERSION HISTORY HOOK
+// ============================================================================
+
+export function useKnowledgeVersions(agentRole) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const base = agentRole ? `/baked-amendments/${encodeURIComponent(agentRole)}/version-history` : null;
+
+  const fetchVersions = useCallback(async () => {
+    if (!base) {
+      setVersions([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const data = await fetchNeuralStack(base);
+      setVersions(data.versions || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+      setVersions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [base]);
+
+  // Diff between two versions; without `to`, against the current knowledge
+  const diff = useCallback(async (from, to = null) => {
+    const params = new URLSearchParams({ from: String(from) });
+    if (to !== null) params.append('to', String(to));
+    return fetchNeuralStack(`${base}/diff?${params}`);
+  }, [base]);
+
+  const rollback = useCallback(async (version, reason) => {
+    const result = await postNeuralStack(`${base}/${version}/rollback`, { reason });
+    await fetchVersions();
+    return result;
+  }, [base, fetchVersions]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  return {
+    versions,
+    loading,
+    error,
+    refresh: fetchVersions,
+    diff,
+    rollback,
+  };
+}
+
+// ============================================================================
+// AMENDMENT PROPAGATION HOOK
+// ============================================================================
+
+export function useAmendmentLineage(agentRole = null, autoRefresh = true) {
+  const [lineages, setLineages] = useState([]);
+  const [pending, setPending] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const intervalRef = useRef(null);
+
+  const fetchLineages = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (agentRole) params.append('agent', agentRole);
+
+      const data = await fetchNeuralStack(`/amendments/propagations?${params}`);
+      setLineages(data.lineages || []);
+      setPending(data.pending || 0);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [agentRole]);
+
+  // Decide a proposal; without a reviewer the API records the CEO
+  const approve = useCallback(async (propagationId, reviewer, notes) => {
+    const result = await postNeuralStack(`/amendments/propagations/${propagationId}/approve`, { reviewer, notes });
+    await fetchLineages();
+    return result;
+  }, [fetchLineages]);
+
+  const reject = useCallback(async (propagationId, reviewer, reason) => {
+    const result = await postNeuralStack(`/amendments/propagations/${propagationId}/reject`, { reviewer, reason });
+    await fetchLineages();
+    return result;
+  }, [fetchLineages]);
+
+  useEffect(() => {
+    fetchLineages();
+
+    if (autoRefresh) {
+      intervalRef.current = setInterval(fetchLineages, REFRESH_INTERVAL);
+    }
+
+    return () => {
+      if (intervalRef.current) {
+        clearInterval(intervalRef.current);
+      }
+    };
+  }, [fetchLineages, autoRefresh]);
+
+  return {
+    lineages,
+    pending,
+    loading,
+    error,
+    refresh: fetchLineages,
+    approve,
+    reject,
+  };
+}
+
 // ============================================================================
 // PHASE 5E: AUTONOMY STATS HOOK
 // ============================================================================
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- TASK QUEUE LEASES - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Durable work queue behind TaskOrchestrator. Orchestrator processes claim a
+-- job by leasing it (compare-and-set on status/lease_token), extend the lease
+-- with heartbeats while the agent works, and complete it exactly once. Leases
+-- that expire (crashed process) return the job to the queue; jobs that run out
+-- of attempts are dead-lettered until requeued.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS task_queue_jobs (
+    id TEXT PRIMARY KEY, -- Task ID (external_id), so re-queuing a task is idempotent
+    role_id VARCHAR(50) NOT NULL, -- Agent role that processes the job
+    task JSONB NOT NULL, -- Task snapshot
+    priority_score INTEGER DEFAULT 50,
+    status VARCHAR(20) DEFAULT 'ready' CHECK (status IN ('ready', 'leased', 'completed', 'dead')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    available_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- Not claimable before (retry backoff)
+
+    -- Lease
+    lease_owner VARCHAR(255), -- Orchestrator worker ID
+    lease_token VARCHAR(64),
+    lease_expires_at TIMESTAMP WITH TIME ZONE,
+
+    -- Outcome
+    result JSONB,
+    last_error TEXT,
+    dead_lettered_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Claim scans ready jobs per role by priority; the reaper scans expired leases
+CREATE INDEX IF NOT EXISTS idx_task_queue_jobs_claim ON task_queue_jobs(status, role_id, priority_score DESC);
+CREATE INDEX IF NOT EXISTS idx_task_queue_jobs_lease ON task_queue_jobs(status, lease_expires_at);
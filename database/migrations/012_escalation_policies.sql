@@ -0,0 +1,24 @@
+-- ============================================================================
+-- ESCALATION POLICIES - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Versioned escalation policies for EscalationEngine. Each publish stores a
+-- new version of the policy document; activating a version retires the one
+-- that was active, so the history of which rules were in force is kept.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    document JSONB NOT NULL, -- Policy document (tags, rules)
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'retired')),
+    notes TEXT,
+    created_by VARCHAR(100),
+    activated_by VARCHAR(100),
+    activated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_escalation_policies_active ON escalation_policies(name, status);
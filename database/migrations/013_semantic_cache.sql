@@ -0,0 +1,25 @@
+-- ============================================================================
+-- SEMANTIC CACHE - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Persisted entries for the semantic response cache (intelligence/SemanticCache)
+-- when Redis is not connected. Each entry is scoped to a role and the knowledge
+-- version hash it was produced under; entries are deleted when that role's
+-- knowledge is baked or reverted.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS semantic_cache_entries (
+    id VARCHAR(64) PRIMARY KEY,
+    role_id VARCHAR(50),
+    version_hash VARCHAR(64),
+    content TEXT NOT NULL,
+    embedding JSONB NOT NULL, -- Normalised local embedding vector
+    response JSONB,
+    cost NUMERIC(10, 6) DEFAULT 0,
+    hits INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_semantic_cache_scope ON semantic_cache_entries(role_id, version_hash);
+CREATE INDEX IF NOT EXISTS idx_semantic_cache_expires ON semantic_cache_entries(expires_at);
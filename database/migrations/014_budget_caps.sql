@@ -0,0 +1,21 @@
+-- ============================================================================
+-- BUDGET CAPS - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- LLM spending caps enforced by BudgetEnforcer before every model call.
+-- A cap applies to a tenant, a role or a task ('*' for all of them) over a
+-- day, a month or the life of a task. Going over the soft limit downgrades
+-- to a cheaper model; going over the hard limit blocks the call.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS budget_caps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('tenant', 'role', 'task')),
+    scope_id VARCHAR(100) NOT NULL, -- Tenant id, role id, task id or '*'
+    period VARCHAR(20) NOT NULL CHECK (period IN ('day', 'month', 'task')),
+    soft_limit NUMERIC(12, 4), -- USD
+    hard_limit NUMERIC(12, 4), -- USD
+    updated_by VARCHAR(100),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope, scope_id, period)
+);
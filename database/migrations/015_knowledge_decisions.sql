@@ -0,0 +1,28 @@
+-- ============================================================================
+-- KNOWLEDGE DECISIONS - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Past agent decisions kept by the intelligence KnowledgeBase. Each decision
+-- stores a locally computed embedding of the task and its keyword counts so
+-- similar situations can be retrieved with hybrid keyword and vector scoring,
+-- together with the outcome recorded once the decision played out.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS knowledge_decisions (
+    id VARCHAR(64) PRIMARY KEY,
+    role_id VARCHAR(50),
+    task_id VARCHAR(100),
+    task JSONB,
+    analysis TEXT,
+    action TEXT,
+    category VARCHAR(50) NOT NULL DEFAULT 'general',
+    keywords JSONB NOT NULL DEFAULT '{}'::jsonb, -- Keyword counts of the task content
+    embedding JSONB NOT NULL, -- Normalised local embedding vector
+    outcome JSONB, -- { success, ..., recordedAt } once known
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_decisions_role ON knowledge_decisions(role_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_decisions_category ON knowledge_decisions(category);
+CREATE INDEX IF NOT EXISTS idx_knowledge_decisions_task ON knowledge_decisions(task_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_decisions_created ON knowledge_decisions(created_at);
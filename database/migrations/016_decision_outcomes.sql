@@ -0,0 +1,48 @@
+-- ============================================================================
+-- DECISION OUTCOMES - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Outcome tracking for agent decisions (intelligence/OutcomeTracker).
+-- Follow-up checks are scheduled when a decision is made (e.g. 30 and 90 days
+-- after a CFO approval) and answered from the dashboard. Outcomes come from
+-- those follow-ups, from humans directly and from measurable signals (task
+-- completion, audit grades); each is scored 0-1 and rolled up into per-role
+-- decision accuracy for routing and pattern detection.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS decision_follow_ups (
+    id VARCHAR(64) PRIMARY KEY,
+    decision_id VARCHAR(100) NOT NULL,
+    task_id VARCHAR(100),
+    role_id VARCHAR(50) NOT NULL,
+    rule_id VARCHAR(100) NOT NULL, -- Follow-up rule that scheduled the check
+    question TEXT NOT NULL,
+    decision_summary TEXT,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'due', 'completed', 'cancelled')),
+    outcome_id VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_decision_follow_ups_status ON decision_follow_ups(status, due_at);
+CREATE INDEX IF NOT EXISTS idx_decision_follow_ups_decision ON decision_follow_ups(decision_id);
+
+CREATE TABLE IF NOT EXISTS decision_outcomes (
+    id VARCHAR(64) PRIMARY KEY,
+    decision_id VARCHAR(100) NOT NULL,
+    task_id VARCHAR(100),
+    role_id VARCHAR(50) NOT NULL,
+    source VARCHAR(30) NOT NULL
+        CHECK (source IN ('task_completion', 'audit', 'follow_up', 'human')),
+    score NUMERIC(4, 3) NOT NULL CHECK (score >= 0 AND score <= 1),
+    success BOOLEAN NOT NULL,
+    notes TEXT,
+    follow_up_id VARCHAR(64),
+    recorded_by VARCHAR(100),
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_decision_outcomes_role ON decision_outcomes(role_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_decision_outcomes_decision ON decision_outcomes(decision_id);
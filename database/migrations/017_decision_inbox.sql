@@ -0,0 +1,34 @@
+-- ============================================================================
+-- DECISION INBOX - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- State for the unified CEO decision inbox (core/DecisionInbox). Items come
+-- from the existing CEO-bound queues (orchestrator escalations, escalation
+-- engine reviews, monolith_ceo_decisions, the escalation log and exception
+-- escalations); this table only tracks what the inbox adds on top of them:
+-- deferral, delegation, the auto-escalation level reached and reminders.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS decision_inbox_state (
+    item_id VARCHAR(200) PRIMARY KEY, -- "<source>:<source id>"
+    source VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'deferred', 'delegated', 'decided')),
+    escalation_level INTEGER NOT NULL DEFAULT 0,
+    deferred_until TIMESTAMP WITH TIME ZONE,
+    deferred_reason TEXT,
+    delegated_to VARCHAR(100),
+    delegated_by VARCHAR(100),
+    delegated_at TIMESTAMP WITH TIME ZONE,
+    delegation_note TEXT,
+    decided_choice VARCHAR(100),
+    decided_by VARCHAR(100),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_notes TEXT,
+    last_reminded_at TIMESTAMP WITH TIME ZONE,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_decision_inbox_state_status ON decision_inbox_state(status);
+CREATE INDEX IF NOT EXISTS idx_decision_inbox_state_delegate ON decision_inbox_state(delegated_to) WHERE status = 'delegated';
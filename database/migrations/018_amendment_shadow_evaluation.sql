@@ -0,0 +1,17 @@
+-- ============================================================================
+-- AMENDMENT SHADOW EVALUATION - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Before an amendment is activated autonomously, neural-stack/ShadowEvaluator
+-- replays a held-out set of the agent's past tasks (monolith_task_history)
+-- with and without the amendment and has the AuditAgent grade both outputs.
+-- The before/after summary is attached to the amendment; only amendments
+-- whose shadow evaluation passed are eligible for autonomous approval.
+-- ============================================================================
+
+ALTER TABLE monolith_amendments
+    ADD COLUMN IF NOT EXISTS shadow_status VARCHAR(30),  -- passed, failed, insufficient_data, error
+    ADD COLUMN IF NOT EXISTS shadow_evaluation JSONB,    -- samples, means, paired delta, 95% CI, per-task scores
+    ADD COLUMN IF NOT EXISTS shadow_evaluated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_monolith_amendments_shadow_status ON monolith_amendments(shadow_status);
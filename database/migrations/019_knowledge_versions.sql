@@ -0,0 +1,55 @@
+-- ============================================================================
+-- KNOWLEDGE VERSIONS - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Snapshots of an agent's knowledge layers (base, standard and the active
+-- amendments) taken by neural-stack/KnowledgeVersioning whenever the
+-- knowledge changes: an amendment is activated, baked, reverted or
+-- deactivated, or the knowledge is rolled back to an earlier version.
+-- Versions are numbered per agent and can be diffed and restored.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS monolith_knowledge_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_role TEXT NOT NULL,
+    version_number INTEGER NOT NULL,
+
+    -- Hash of all three layers; standard_hash matches the version hashes
+    -- recorded in baked_amendments
+    version_hash TEXT NOT NULL,
+    base_hash TEXT,
+    standard_hash TEXT,
+
+    -- Layer snapshot
+    base_knowledge JSONB DEFAULT '{}'::jsonb,
+    standard_knowledge JSONB DEFAULT '{}'::jsonb,
+    amendments JSONB DEFAULT '[]'::jsonb,  -- Active amendments: id, type, trigger, delta, mutation
+
+    -- What produced this version
+    reason VARCHAR(30) NOT NULL,  -- activated, baked, reverted, deactivated, rolled_back, captured
+    amendment_id TEXT,
+    restored_version INTEGER,     -- Version a rollback restored
+    created_by TEXT,
+    notes TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(agent_role, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_versions_agent ON monolith_knowledge_versions(agent_role, version_number);
+
+-- Rollbacks are validated and recorded in the safety log; the constraint
+-- type check also gains the Phase 5E types AmendmentSafety already logs
+ALTER TABLE monolith_safety_log DROP CONSTRAINT IF EXISTS monolith_safety_log_constraint_type_check;
+ALTER TABLE monolith_safety_log ADD CONSTRAINT monolith_safety_log_constraint_type_check CHECK (constraint_type IN (
+    'max_amendments_exceeded',
+    'protected_pattern_violation',
+    'auto_revert_triggered',
+    'evaluation_timeout',
+    'conflicting_amendment',
+    'cross_agent_pattern',
+    'consecutive_failures',
+    'rollback_blocked',
+    'knowledge_rollback'
+));
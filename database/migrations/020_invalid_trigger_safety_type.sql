@@ -0,0 +1,22 @@
+-- ============================================================================
+-- INVALID TRIGGER SAFETY TYPE
+-- Cognalith Inc. | Monolith System
+--
+-- AmendmentSafety.validateAmendment rejects amendments whose trigger
+-- expression cannot be parsed or can never match a task
+-- (neural-stack/TriggerExpression.js) and logs them as invalid_trigger.
+-- ============================================================================
+
+ALTER TABLE monolith_safety_log DROP CONSTRAINT IF EXISTS monolith_safety_log_constraint_type_check;
+ALTER TABLE monolith_safety_log ADD CONSTRAINT monolith_safety_log_constraint_type_check CHECK (constraint_type IN (
+    'max_amendments_exceeded',
+    'protected_pattern_violation',
+    'auto_revert_triggered',
+    'evaluation_timeout',
+    'conflicting_amendment',
+    'cross_agent_pattern',
+    'consecutive_failures',
+    'rollback_blocked',
+    'knowledge_rollback',
+    'invalid_trigger'
+));
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- AMENDMENT PROPAGATION - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- neural-stack/AmendmentPropagation proposes adapted copies of proven
+-- amendments to peers with overlapping specialties that show the same
+-- pattern type. Each proposal goes to the peer's team lead and is recorded
+-- here with its lineage (source -> adapted amendment) and why the peer
+-- matched. The adapted amendment's evaluation outcome is kept on this record,
+-- separate from the source amendment's counts.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS monolith_amendment_propagations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Lineage
+    source_amendment_id UUID NOT NULL REFERENCES monolith_amendments(id) ON DELETE CASCADE,
+    source_role TEXT NOT NULL,
+    adapted_amendment_id UUID REFERENCES monolith_amendments(id) ON DELETE SET NULL,
+    target_role TEXT NOT NULL,
+    team_lead_role TEXT NOT NULL,  -- Reviews the adapted amendment
+
+    -- Why the peer was chosen
+    pattern_type TEXT NOT NULL,
+    triggered_by VARCHAR(30) NOT NULL DEFAULT 'proven',  -- proven, cross_agent_pattern, manual
+    overlap JSONB DEFAULT '{}'::jsonb,   -- shared_specialties, shared_terms, score
+    evidence JSONB DEFAULT '{}'::jsonb,  -- patterns, reverted_amendments, confidence
+
+    -- Review and evaluation
+    status VARCHAR(20) NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'approved', 'rejected', 'proven', 'reverted')),
+    reviewed_by TEXT,
+    reviewed_at TIMESTAMPTZ,
+    review_notes TEXT,
+    success_count INTEGER DEFAULT 0,
+    failure_count INTEGER DEFAULT 0,
+    success_rate NUMERIC(4,3),
+    evaluated_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(source_amendment_id, target_role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_amendment_propagations_source ON monolith_amendment_propagations(source_amendment_id);
+CREATE INDEX IF NOT EXISTS idx_amendment_propagations_adapted ON monolith_amendment_propagations(adapted_amendment_id);
+CREATE INDEX IF NOT EXISTS idx_amendment_propagations_team_lead ON monolith_amendment_propagations(team_lead_role, status);
@@ -0,0 +1,13 @@
+-- ============================================================================
+-- TASK QUEUE START TIMES - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- The scheduling pipeline's task status model is built from task_queue_jobs,
+-- so every process reports the same view. started_at is set when a job is
+-- leased and gives the model active task durations and completion times.
+-- ============================================================================
+
+ALTER TABLE task_queue_jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+
+-- Status views list jobs per status by recency
+CREATE INDEX IF NOT EXISTS idx_task_queue_jobs_recent ON task_queue_jobs(status, updated_at DESC);
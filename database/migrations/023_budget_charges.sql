@@ -0,0 +1,23 @@
+-- ============================================================================
+-- BUDGET CHARGES - Database Schema
+-- Cognalith Inc. | Monolith System
+--
+-- Cost of every LLM call BudgetEnforcer lets through. The enforcer seeds its
+-- spend from this month's charges at startup and reads a call's tenant, role
+-- and task back before checking it, so budget caps hold across restarts and
+-- across the processes that make calls.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS budget_charges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id VARCHAR(100) NOT NULL,
+    role VARCHAR(100),
+    task_id VARCHAR(100),
+    model VARCHAR(100),
+    cost NUMERIC(12, 6) NOT NULL, -- USD
+    charged_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_charges_tenant ON budget_charges(tenant_id, charged_at);
+CREATE INDEX IF NOT EXISTS idx_budget_charges_role ON budget_charges(role, charged_at);
+CREATE INDEX IF NOT EXISTS idx_budget_charges_task ON budget_charges(task_id);
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- BUDGET SPEND - Database Function
+-- Cognalith Inc. | Monolith System
+--
+-- Totals of budget_charges per tenant, role and task, summed in the database
+-- so BudgetEnforcer never downloads the charges themselves. Called through
+-- rpc('budget_spend') when spend is seeded at startup and read back before a
+-- call is checked.
+--
+--   p_since     - earliest charge counted in period_cost (NULL for all time)
+--   p_day_start - earliest charge counted in day_cost
+--   p_scope     - 'tenant', 'role' or 'task' (NULL for all three)
+--   p_subject   - one tenant, role or task id (NULL for every subject)
+--   p_table     - charges table, for deployments using SUPABASE_TABLE_PREFIX
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION budget_spend(
+    p_since TIMESTAMP WITH TIME ZONE,
+    p_day_start TIMESTAMP WITH TIME ZONE,
+    p_scope TEXT DEFAULT NULL,
+    p_subject TEXT DEFAULT NULL,
+    p_table TEXT DEFAULT 'budget_charges'
+) RETURNS TABLE (
+    scope TEXT,
+    subject TEXT,
+    day_cost NUMERIC,
+    period_cost NUMERIC,
+    charges BIGINT
+) AS $$
+DECLARE
+    v_scope TEXT;
+    v_column TEXT;
+BEGIN
+    FOREACH v_scope IN ARRAY ARRAY['tenant', 'role', 'task'] LOOP
+        CONTINUE WHEN p_scope IS NOT NULL AND p_scope <> v_scope;
+        v_column := CASE v_scope WHEN 'tenant' THEN 'tenant_id' WHEN 'role' THEN 'role' ELSE 'task_id' END;
+
+        RETURN QUERY EXECUTE format(
+            'SELECT %L::TEXT, %I::TEXT,
+                    COALESCE(SUM(cost) FILTER (WHERE charged_at >= $2), 0),
+                    COALESCE(SUM(cost), 0),
+                    COUNT(*)
+               FROM %I
+              WHERE %I IS NOT NULL
+                AND ($1 IS NULL OR charged_at >= $1)
+                AND ($3 IS NULL OR %I = $3)
+              GROUP BY %I',
+            v_scope, v_column, p_table, v_column, v_column, v_column
+        ) USING p_since, p_day_start, p_subject;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql STABLE;
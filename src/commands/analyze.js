@@ -0,0 +1,105 @@
+/**
+ * Analyze Command
+ * Cross-functional analysis of a business topic by a panel of departments
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { getDepartment } from '../departments/index.js';
+
+// Which departments weigh in at each depth level
+export const DEPTH_PANELS = {
+    basic: ['ceo'],
+    standard: ['cfo', 'cto', 'ciso'],
+    deep: ['cfo', 'cto', 'ciso', 'chro'],
+};
+
+/**
+ * Build the prompt a panel member answers
+ */
+function buildPerspectivePrompt(topic, depth) {
+    const detail = depth === 'deep'
+        ? 'Provide a thorough analysis: key risks, opportunities, required approvals, metrics, and a phased recommendation.'
+        : 'Provide a concise analysis: top risks, opportunities, and your recommendation.';
+
+    return `Analyze the following business topic from your department's perspective.
+
+Topic: ${topic}
+
+${detail}`;
+}
+
+/**
+ * Build the CEO synthesis prompt from panel perspectives
+ */
+function buildSynthesisPrompt(topic, perspectives) {
+    const sections = perspectives
+        .map(p => `### ${p.department} (${p.title})\n${p.response}`)
+        .join('\n\n');
+
+    return `Your executive team analyzed the following topic.
+
+Topic: ${topic}
+
+${sections}
+
+Synthesize these perspectives into an executive recommendation. Identify where departments agree or conflict, state the decision you would make, and list the approvals and metrics required.`;
+}
+
+/**
+ * Analyze a topic across departments
+ * @param {string} topic - Business topic or scenario
+ * @param {Object} options - CLI options (depth: basic|standard|deep)
+ * @returns {Promise<Object>} Perspectives and synthesis
+ */
+export async function analyzeTopicCommand(topic, options = {}) {
+    const depth = options.depth || 'standard';
+    const panel = DEPTH_PANELS[depth];
+    if (!panel) {
+        throw new Error(`Invalid depth: ${depth}. Use one of: ${Object.keys(DEPTH_PANELS).join(', ')}`);
+    }
+
+    console.log(chalk.bold(`\n🔍 Analyzing: ${topic}`), chalk.gray(`(${depth})\n`));
+
+    const perspectives = [];
+    for (const role of panel) {
+        const department = getDepartment(role);
+        const spinner = ora(`${department.title} is analyzing...`).start();
+        try {
+            const result = await department.query(buildPerspectivePrompt(topic, depth), { json: true });
+            perspectives.push(result);
+            spinner.succeed(`${department.title} analysis complete`);
+        } catch (error) {
+            spinner.fail(`${department.title} analysis failed`);
+            throw error;
+        }
+    }
+
+    // A single-department panel needs no synthesis
+    let synthesis = null;
+    if (panel.length > 1) {
+        const spinner = ora('Chief Executive Officer is synthesizing...').start();
+        try {
+            synthesis = await getDepartment('ceo').query(buildSynthesisPrompt(topic, perspectives), { json: true });
+            spinner.succeed('Executive synthesis complete');
+        } catch (error) {
+            spinner.fail('Executive synthesis failed');
+            throw error;
+        }
+    }
+
+    for (const perspective of perspectives) {
+        console.log(chalk.bold.cyan(`\n## ${perspective.department} - ${perspective.title}\n`));
+        console.log(perspective.response);
+    }
+
+    if (synthesis) {
+        console.log(chalk.bold.green('\n## Executive Synthesis\n'));
+        console.log(synthesis.response);
+    }
+
+    console.log();
+    return { topic, depth, perspectives, synthesis };
+}
+
+export default analyzeTopicCommand;
@@ -0,0 +1,163 @@
+/**
+ * Decision Command
+ * Record, view and export business decisions through the agent DecisionLogger
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import databaseService from '../../agents/services/DatabaseService.js';
+import { DECISION_LOG_FILE, getPipeline } from '../departments/pipeline.js';
+
+const CSV_COLUMNS = ['id', 'role', 'decision', 'action', 'escalated', 'model', 'tokens', 'timestamp'];
+
+/**
+ * Normalize database rows and file entries to one shape
+ */
+function normalizeDecision(entry) {
+    return {
+        id: entry.id,
+        role: entry.role || entry.role_id || '',
+        decision: entry.decision || '',
+        action: entry.action || '',
+        escalated: !!entry.escalated,
+        model: entry.model || entry.model_used || '',
+        tokens: entry.tokens || 0,
+        metadata: entry.metadata || {},
+        timestamp: entry.timestamp || entry.logged_at || '',
+    };
+}
+
+/**
+ * Load decisions, newest first, from the database or the JSONL fallback file
+ * @param {Object} options - { limit, role }
+ * @returns {Promise<Array>} Normalized decisions
+ */
+export async function loadDecisions({ limit = 1000, role } = {}) {
+    if (databaseService.isAvailable()) {
+        const { data, error } = await databaseService.getRecentDecisions(limit, { role });
+        if (!error && data) {
+            return data.map(normalizeDecision);
+        }
+        console.warn(chalk.yellow(`Database read failed, using ${DECISION_LOG_FILE}`));
+    }
+
+    if (!(await fs.pathExists(DECISION_LOG_FILE))) {
+        return [];
+    }
+
+    const content = await fs.readFile(DECISION_LOG_FILE, 'utf-8');
+    const decisions = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            decisions.push(normalizeDecision(JSON.parse(line)));
+        } catch {
+            // Skip partially written lines
+        }
+    }
+
+    return decisions
+        .filter(d => !role || d.role === role)
+        .reverse()
+        .slice(0, limit);
+}
+
+/**
+ * Serialize decisions as CSV
+ */
+export function decisionsToCsv(decisions) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const d of decisions) {
+        lines.push(CSV_COLUMNS.map(column => JSON.stringify(d[column] ?? '')).join(','));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Parse the --metadata JSON option
+ */
+function parseMetadata(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid --metadata JSON: ${error.message}`);
+    }
+}
+
+async function logAction(details, options) {
+    if (!details) {
+        throw new Error('Decision text is required, e.g. monolith decision log "Approve Q3 hiring plan"');
+    }
+
+    const metadata = parseMetadata(options.metadata);
+    const id = await getPipeline().decisionLogger.log({
+        taskId: metadata.taskId || null,
+        role: metadata.role || 'ceo',
+        roleName: metadata.roleName || 'Chief Executive Officer',
+        decision: details,
+        action: 'manual_entry',
+        reasoning: metadata.reasoning,
+        escalated: false,
+        metadata: { ...metadata, source: 'cli' },
+        timestamp: new Date().toISOString(),
+    });
+
+    console.log(chalk.green(`\n✓ Decision logged: ${id}\n`));
+    return id;
+}
+
+async function viewAction(details) {
+    const limit = parseInt(details, 10) || 20;
+    const decisions = await loadDecisions({ limit });
+
+    if (decisions.length === 0) {
+        console.log(chalk.yellow('\nNo decisions logged yet\n'));
+        return decisions;
+    }
+
+    console.log(chalk.bold(`\n📋 Recent Decisions (${decisions.length}):\n`));
+    for (const d of decisions) {
+        const flag = d.escalated ? chalk.red(' [ESCALATED]') : '';
+        console.log(chalk.cyan(`  ${d.timestamp}`), chalk.gray(`${d.role.toUpperCase()}`) + flag);
+        console.log(chalk.white(`    ${d.decision || d.action}`));
+        console.log(chalk.gray(`    ${d.id}\n`));
+    }
+
+    return decisions;
+}
+
+async function exportAction(details) {
+    const filepath = details || `decisions-${new Date().toISOString().split('T')[0]}.json`;
+    const decisions = await loadDecisions({ limit: 10000 });
+
+    const content = path.extname(filepath).toLowerCase() === '.csv'
+        ? decisionsToCsv(decisions)
+        : JSON.stringify(decisions, null, 2);
+
+    await fs.outputFile(filepath, content);
+    console.log(chalk.green(`\n✓ Exported ${decisions.length} decisions to ${filepath}\n`));
+    return filepath;
+}
+
+/**
+ * Manage the decision log
+ * @param {string} action - log | view | export
+ * @param {string} details - Decision text, view limit, or export path
+ * @param {Object} options - CLI options (metadata)
+ */
+export async function logDecisionCommand(action, details, options = {}) {
+    switch (action) {
+        case 'log':
+            return logAction(details, options);
+        case 'view':
+            return viewAction(details);
+        case 'export':
+            return exportAction(details);
+        default:
+            throw new Error(`Unknown decision action: ${action}. Use log, view or export`);
+    }
+}
+
+export default logDecisionCommand;
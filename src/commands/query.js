@@ -0,0 +1,98 @@
+/**
+ * Query Command
+ * Ask a business role for guidance and render the response
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { resolveRole } from '../departments/index.js';
+import { withLogsOnStderr } from '../utils/output.js';
+
+/**
+ * Query a department and print the response
+ * @param {string} role - Role id of any registered agent (ceo, cfo, devops, ...)
+ * @param {string} question - Question to ask
+ * @param {Object} options - CLI options (json, verbose, confidential)
+ * @returns {Promise<Object>} Structured department response
+ */
+export async function queryDepartment(role, question, options = {}) {
+    const department = await resolveRole(role);
+
+    if (!question || !question.trim()) {
+        throw new Error(`A question is required, e.g. monolith query ${department.name} "What should we prioritize this quarter?"`);
+    }
+
+    // Spinner output would corrupt JSON on stdout
+    const spinner = options.json ? null : ora(`Consulting the ${department.title}...`).start();
+
+    // In text mode the answer is printed as it streams in
+    let streamed = false;
+    let midLine = false;
+    const endLine = () => {
+        if (midLine) {
+            process.stdout.write('\n');
+            midLine = false;
+        }
+    };
+    const onDelta = options.json ? undefined : (text) => {
+        if (!streamed) {
+            streamed = true;
+            spinner.stop();
+            console.log(chalk.bold(`\n${department.roleAbbr} - ${department.title}\n`));
+            if (options.verbose) {
+                console.log(chalk.gray(`Question: ${question}\n`));
+            }
+        }
+        process.stdout.write(text);
+        midLine = !text.endsWith('\n');
+    };
+
+    let result;
+    try {
+        // Always request the structured form so verbose output has metadata.
+        // Agent-stack diagnostics go to stderr so --json output stays parseable
+        // and never break into the middle of a streamed line
+        result = await withLogsOnStderr(
+            () => department.query(question, { json: true, confidential: options.confidential, onDelta }),
+            endLine
+        );
+    } catch (error) {
+        endLine();
+        spinner?.fail(`${department.name.toUpperCase()} did not respond`);
+        throw error;
+    }
+
+    spinner?.stop();
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return result;
+    }
+
+    if (streamed) {
+        endLine();
+    } else {
+        console.log(chalk.bold(`\n${result.department} - ${result.title}\n`));
+        if (options.verbose) {
+            console.log(chalk.gray(`Question: ${result.question}\n`));
+        }
+        console.log(result.response);
+    }
+
+    if (options.verbose) {
+        const usage = result.metadata?.usage || {};
+        console.log(chalk.gray('\n---'));
+        console.log(chalk.gray(`Model:         ${result.metadata?.model || 'unknown'} (${result.metadata?.provider || 'unknown'})`));
+        console.log(chalk.gray(`Task type:     ${result.metadata?.taskType || 'general'}`));
+        console.log(chalk.gray(`Input tokens:  ${usage.input_tokens ?? 0}`));
+        console.log(chalk.gray(`Output tokens: ${usage.output_tokens ?? 0}`));
+        console.log(chalk.gray(`Cost:          $${(result.metadata?.cost || 0).toFixed(4)}`));
+        console.log(chalk.gray(`Guidance:      ${result.metadata?.guidanceApplied || 0} amendment instruction(s)`));
+        console.log(chalk.gray(`Decision log:  ${result.metadata?.decisionId || 'not logged'}`));
+    }
+
+    console.log();
+    return result;
+}
+
+export default queryDepartment;
@@ -0,0 +1,200 @@
+/**
+ * Report Command
+ * Builds tabular business reports and renders them as text, JSON, CSV or HTML
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { flattenSteps } from '../../agents/workflows/WorkflowEngine.js';
+import { loadRoleRegistry } from '../departments/index.js';
+import { loadDecisions } from './decision.js';
+import { availableWorkflows } from './workflow.js';
+
+export const REPORT_FORMATS = ['text', 'json', 'csv', 'html'];
+
+/**
+ * Report builders keyed by report type.
+ * Each returns { title, columns, rows, summary }.
+ */
+const REPORT_BUILDERS = {
+    async decisions() {
+        const decisions = await loadDecisions({ limit: 10000 });
+        const byRole = {};
+        for (const d of decisions) {
+            byRole[d.role] = (byRole[d.role] || 0) + 1;
+        }
+
+        return {
+            title: 'Decision Log Report',
+            columns: ['timestamp', 'role', 'decision', 'escalated', 'model', 'tokens'],
+            rows: decisions,
+            summary: {
+                total: decisions.length,
+                escalated: decisions.filter(d => d.escalated).length,
+                totalTokens: decisions.reduce((sum, d) => sum + (d.tokens || 0), 0),
+                byRole,
+            },
+        };
+    },
+
+    async workflows() {
+        const rows = availableWorkflows().map(w => ({
+            id: w.id,
+            name: w.name,
+            trigger: w.trigger || 'manual',
+            steps: flattenSteps(w).length,
+            roles: [...new Set(flattenSteps(w).map(s => s.role))].join(' → '),
+        }));
+
+        return {
+            title: 'Workflow Catalog Report',
+            columns: ['id', 'name', 'trigger', 'steps', 'roles'],
+            rows,
+            summary: {
+                total: rows.length,
+                totalSteps: rows.reduce((sum, r) => sum + r.steps, 0),
+            },
+        };
+    },
+
+    async departments() {
+        const registry = await loadRoleRegistry();
+        const rows = [...registry.values()].map(d => ({
+            name: d.name,
+            title: d.title,
+            tier: d.tier,
+            reportsTo: d.reportsTo,
+            focus: d.focus,
+            actions: d.methods.length,
+        }));
+
+        return {
+            title: 'Department Directory Report',
+            columns: ['name', 'title', 'tier', 'reportsTo', 'focus', 'actions'],
+            rows,
+            summary: { total: rows.length },
+        };
+    },
+};
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function truncate(value, width) {
+    const text = String(value ?? '').replace(/\s+/g, ' ');
+    return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+/**
+ * Render a report in the requested format
+ */
+export function renderReport(report, format, generatedAt = new Date().toISOString()) {
+    const { title, columns, rows, summary } = report;
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify({ title, generatedAt, summary, rows }, null, 2);
+
+        case 'csv':
+            return [
+                columns.join(','),
+                ...rows.map(row => columns.map(c => csvCell(row[c])).join(',')),
+            ].join('\n');
+
+        case 'html': {
+            const header = columns.map(c => `<th>${escapeHtml(c)}</th>`).join('');
+            const body = rows
+                .map(row => `<tr>${columns.map(c => `<td>${escapeHtml(row[c])}</td>`).join('')}</tr>`)
+                .join('\n');
+            const summaryItems = Object.entries(summary)
+                .map(([k, v]) => `<li><strong>${escapeHtml(k)}:</strong> ${escapeHtml(typeof v === 'object' ? JSON.stringify(v) : v)}</li>`)
+                .join('');
+
+            return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 1000px; margin: 0 auto; color: #2d3748; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+    th { background: #edf2f7; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>Generated ${escapeHtml(generatedAt)}</p>
+  <ul>${summaryItems}</ul>
+  <table>
+    <thead><tr>${header}</tr></thead>
+    <tbody>
+${body}
+    </tbody>
+  </table>
+</body>
+</html>`;
+        }
+
+        case 'text':
+        default: {
+            const widths = columns.map(c =>
+                Math.min(40, Math.max(c.length, ...rows.map(r => String(r[c] ?? '').length)))
+            );
+            const line = cells => cells.map((cell, i) => truncate(cell, widths[i]).padEnd(widths[i])).join('  ');
+
+            return [
+                title,
+                `Generated ${generatedAt}`,
+                '',
+                line(columns),
+                widths.map(w => '-'.repeat(w)).join('  '),
+                ...rows.map(row => line(columns.map(c => row[c]))),
+                '',
+                ...Object.entries(summary).map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`),
+            ].join('\n');
+        }
+    }
+}
+
+/**
+ * Generate a report
+ * @param {string} type - decisions | workflows | departments
+ * @param {Object} options - CLI options (format, output)
+ * @returns {Promise<string>} Rendered report
+ */
+export async function generateReportCommand(type, options = {}) {
+    const builder = REPORT_BUILDERS[type];
+    if (!builder) {
+        throw new Error(`Unknown report type: ${type}. Available: ${Object.keys(REPORT_BUILDERS).join(', ')}`);
+    }
+
+    const format = (options.format || 'text').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format: ${format}. Use one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+
+    const report = await builder();
+    const rendered = renderReport(report, format);
+
+    if (options.output) {
+        await fs.outputFile(options.output, rendered);
+        console.log(chalk.green(`✓ ${report.title} written to ${options.output}`));
+    } else {
+        console.log(rendered);
+    }
+
+    return rendered;
+}
+
+export default generateReportCommand;
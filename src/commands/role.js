@@ -0,0 +1,90 @@
+/**
+ * Role Command
+ * Invokes a role agent's specialised method (e.g. `monolith cfo reviewExpense`)
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { getRoleAgent } from '../departments/pipeline.js';
+import { withLogsOnStderr } from '../utils/output.js';
+
+/**
+ * Parse a CLI argument as JSON when possible, otherwise keep the raw string
+ */
+export function parseArgument(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * Print a method result as readable sections
+ */
+function printResult(result) {
+    if (result === null || result === undefined) {
+        console.log(chalk.gray('(no result)'));
+        return;
+    }
+    if (typeof result !== 'object') {
+        console.log(result);
+        return;
+    }
+
+    for (const [key, value] of Object.entries(result)) {
+        if (typeof value === 'string' && (value.includes('\n') || value.length > 100)) {
+            console.log(chalk.bold.cyan(`\n## ${key}\n`));
+            console.log(value);
+        } else if (value !== null && typeof value === 'object') {
+            console.log(chalk.gray(`${key}:`), JSON.stringify(value));
+        } else {
+            console.log(chalk.gray(`${key}:`), value);
+        }
+    }
+}
+
+/**
+ * Run a specialised method on a discovered role agent
+ * @param {Object} role - Role definition from the registry
+ * @param {string} methodName - Method to invoke
+ * @param {string[]} rawArgs - Positional CLI arguments (JSON or plain strings)
+ * @param {Object} options - CLI options (json)
+ * @returns {Promise<*>} Method result
+ */
+export async function runRoleMethod(role, methodName, rawArgs = [], options = {}) {
+    const method = role.methods.find(m => m.name === methodName);
+    if (!method) {
+        throw new Error(`${role.roleAbbr} has no action "${methodName}". Available: ${role.methods.map(m => m.name).join(', ')}`);
+    }
+
+    const args = rawArgs.map(parseArgument);
+    if (args.length === 0 && method.params.length > 0) {
+        throw new Error(`${role.roleId} ${methodName} expects: ${method.params.join(', ')}`);
+    }
+
+    const spinner = options.json ? null : ora(`${role.roleAbbr} running ${methodName}...`).start();
+    const invoke = () => getRoleAgent(role)[methodName](...args);
+
+    let result;
+    try {
+        result = options.json ? await withLogsOnStderr(invoke) : await invoke();
+    } catch (error) {
+        spinner?.fail(`${role.roleAbbr} ${methodName} failed`);
+        throw error;
+    }
+
+    spinner?.stop();
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(chalk.bold(`\n${role.roleAbbr} - ${methodName}\n`));
+        printResult(result);
+        console.log();
+    }
+
+    return result;
+}
+
+export default runRoleMethod;
@@ -0,0 +1,147 @@
+/**
+ * Team Command
+ * Deploys, rolls back and inspects agent teams from declarative team manifests
+ */
+
+import chalk from 'chalk';
+import TeamDeployer, { OPERATIONS, diffValues } from '../../agents/teams/TeamDeployer.js';
+import { listTeamManifests, loadTeamManifest } from '../../agents/teams/TeamManifest.js';
+import { formatErrors } from '../../agents/teams/schema.js';
+
+const ACTIONS = ['deploy', 'rollback', 'status', 'diff'];
+
+const SYMBOLS = {
+    [OPERATIONS.CREATE]: chalk.green('+'),
+    [OPERATIONS.UPDATE]: chalk.yellow('~'),
+    [OPERATIONS.DELETE]: chalk.red('-'),
+};
+
+const STATE_COLORS = {
+    deployed: chalk.green,
+    drifted: chalk.yellow,
+    missing: chalk.red,
+};
+
+/**
+ * Format a stored value for display
+ */
+function formatValue(value) {
+    if (value === undefined) return '(unset)';
+    const text = (typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ');
+    return text.length > 100 ? `${text.substring(0, 100)}...` : text;
+}
+
+/**
+ * Print planned operations; with details, every changed field down to nested paths
+ */
+function printPlan(plan, { details = false } = {}) {
+    if (plan.operations.length === 0) {
+        console.log(chalk.green('No changes - storage matches the manifest\n'));
+        return;
+    }
+
+    console.log(chalk.bold(`Plan: ${plan.operations.length} operation(s)\n`));
+
+    for (const operation of plan.operations) {
+        console.log(`  ${SYMBOLS[operation.action]} ${operation.action.padEnd(7)}`, chalk.cyan(operation.table), chalk.white(operation.key));
+
+        if (operation.action === OPERATIONS.UPDATE) {
+            for (const change of operation.changes) {
+                if (!details) {
+                    console.log(chalk.gray(`        ${change.field}`));
+                    continue;
+                }
+                for (const { path, before, after } of diffValues(change.before, change.after, change.field)) {
+                    console.log(chalk.gray(`        ${path}:`), chalk.red(formatValue(before)), chalk.gray('→'), chalk.green(formatValue(after)));
+                }
+            }
+        } else if (details && operation.action === OPERATIONS.CREATE) {
+            for (const { field, after } of operation.changes) {
+                console.log(chalk.gray(`        ${field}:`), chalk.green(formatValue(after)));
+            }
+        }
+    }
+
+    console.log();
+}
+
+/**
+ * Print the deployment state of every member
+ */
+function printStatus(status) {
+    const teamColor = STATE_COLORS[status.team.state];
+    console.log(chalk.bold('Team record:'), teamColor(status.team.state), chalk.gray(status.team.drift.join(', ')));
+
+    for (const member of status.members) {
+        const color = STATE_COLORS[member.state];
+        console.log(`  ${member.role.padEnd(28)}`, chalk.gray(member.kind.padEnd(14)), color(member.state), chalk.gray(member.drift.join(', ')));
+    }
+
+    if (status.unmanaged.length > 0) {
+        console.log(chalk.yellow(`\nIn the team but not in the manifest: ${status.unmanaged.join(', ')}`));
+    }
+
+    console.log(status.deployed
+        ? chalk.green('\nDeployed and matches the manifest\n')
+        : chalk.yellow(`\nOut of date - run 'monolith team deploy ${status.team_id}'\n`));
+}
+
+/**
+ * Run a team action against a manifest
+ * @param {string} action - deploy, rollback, status or diff
+ * @param {string} manifest - Manifest file, or the id of a bundled team
+ * @param {Object} options - CLI options (dryRun)
+ */
+export async function teamCommand(action, manifest, options = {}) {
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown action: ${action}. Available: ${ACTIONS.join(', ')}`);
+    }
+
+    const { team, errors } = await loadTeamManifest(manifest);
+    if (!team) {
+        const available = listTeamManifests();
+        const hint = errors[0]?.message?.startsWith('Team manifest not found') && available.length > 0
+            ? `\nBundled teams: ${available.join(', ')}`
+            : '';
+        throw new Error(`Invalid team manifest ${manifest}:\n${formatErrors(errors)}${hint}`);
+    }
+
+    const deployer = new TeamDeployer();
+    if (!deployer.isAvailable()) {
+        throw new Error('No storage configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, DATABASE_URL, or STORAGE_ADAPTER=local');
+    }
+
+    console.log(chalk.bold(`\n👥 ${team.name}`), chalk.gray(`(${team.id}, lead: ${team.lead.role})\n`));
+
+    if (action === 'status') {
+        const { data, error } = await deployer.status(team);
+        if (error) throw new Error(error.message);
+        printStatus(data);
+        return data;
+    }
+
+    const { data: plan, error: planError } = action === 'rollback'
+        ? await deployer.planRollback(team)
+        : await deployer.plan(team);
+    if (planError) throw new Error(planError.message);
+
+    printPlan(plan, { details: action === 'diff' });
+
+    if (action === 'diff' || options.dryRun || plan.operations.length === 0) {
+        if (options.dryRun && plan.operations.length > 0) {
+            console.log(chalk.yellow('Dry run - nothing was applied\n'));
+        }
+        return plan;
+    }
+
+    const { data, error } = await deployer.apply(plan);
+    if (error) {
+        const undone = error.code === 'TEAM_DEPLOY_ROLLED_BACK'
+            ? 'Every applied change was undone.'
+            : 'Some changes could not be undone - check the log above.';
+        throw new Error(`${error.message}\n${undone}`);
+    }
+
+    console.log(chalk.green(`✓ ${action === 'rollback' ? 'Rolled back' : 'Deployed'} ${team.name} (${data.applied} operation(s))\n`));
+    return plan;
+}
@@ -0,0 +1,238 @@
+/**
+ * Workflow Command
+ * Executes multi-agent workflows through the agent system's WorkflowEngine
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+import WorkflowEngine, { flattenSteps } from '../../agents/workflows/WorkflowEngine.js';
+import { workflows } from '../../agents/workflows/definitions.js';
+import { isWorkflowFile, loadWorkflowDirectory, loadWorkflowFile } from '../../agents/workflows/WorkflowLoader.js';
+import { formatErrors } from '../../agents/workflows/schema.js';
+
+/**
+ * Built-in workflows plus the declarative library (library files override built-ins with the same id)
+ */
+export function availableWorkflows() {
+    const { workflows: library, invalid } = loadWorkflowDirectory();
+    for (const { file, errors } of invalid) {
+        console.warn(chalk.yellow(`Skipping invalid workflow ${path.basename(file)}:\n${formatErrors(errors)}`));
+    }
+    return [...workflows.filter(w => !library.some(l => l.id === w.id)), ...library];
+}
+
+/**
+ * Find a workflow definition by id or name (case-insensitive), or load it from a YAML/JSON file
+ */
+export function findWorkflow(name) {
+    if (isWorkflowFile(String(name)) && fs.existsSync(name)) {
+        const { workflow, errors } = loadWorkflowFile(path.resolve(name));
+        if (!workflow) {
+            throw new Error(`Invalid workflow file ${name}:\n${formatErrors(errors)}`);
+        }
+        return workflow;
+    }
+
+    const key = String(name || '').toLowerCase();
+    return availableWorkflows().find(w =>
+        w.id === key || w.name.toLowerCase() === key || w.name.toLowerCase().replace(/\s+/g, '-') === key
+    );
+}
+
+/**
+ * Parse the --context JSON option
+ */
+export function parseContext(raw) {
+    if (!raw) return {};
+    try {
+        const context = JSON.parse(raw);
+        if (!context || typeof context !== 'object' || Array.isArray(context)) {
+            throw new Error('must be a JSON object');
+        }
+        return context;
+    } catch (error) {
+        throw new Error(`Invalid --context JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Instantiate the role agents a workflow needs, sharing one router and logger
+ */
+async function loadAgents(workflow, { llmRouter, decisionLogger }) {
+    const agents = {};
+    const roles = [...new Set(flattenSteps(workflow).map(step => step.role))];
+
+    for (const role of roles) {
+        const { default: AgentClass } = await import(`../../agents/roles/${role}/agent.js`);
+        agents[role] = new AgentClass({ llmRouter, decisionLogger });
+    }
+
+    return agents;
+}
+
+/**
+ * Describe a step condition for display
+ */
+function describeCondition(condition) {
+    if (!condition) return 'always';
+    if (typeof condition === 'function') return 'custom function';
+    return typeof condition === 'object' ? JSON.stringify(condition) : condition;
+}
+
+/**
+ * Describe a join policy for display
+ */
+function describeJoin(join) {
+    return join?.quorum ? `quorum ${join.quorum}` : join || 'all';
+}
+
+/**
+ * Print the execution plan without running any agents
+ */
+function printPlan(engine, workflow, context) {
+    const instance = { id: `${workflow.id}-dry-run`, workflow, context, currentStep: 0, stepResults: [], outputs: {} };
+
+    console.log(chalk.bold(`\n⚙️  ${workflow.name}`), chalk.gray(`(${workflow.id})`));
+    console.log(chalk.gray(`${workflow.description}\n`));
+
+    const unresolved = new Set();
+
+    const printStep = (step, label, indent) => {
+        const task = engine.buildTask(step, instance);
+        for (const [, key] of task.content.matchAll(/\{\{(\w+)\}\}/g)) {
+            unresolved.add(key);
+        }
+
+        const details = [`priority: ${task.priority}`, `condition: ${describeCondition(step.condition)}`];
+        if (step.dependsOn) details.push(`after: ${[].concat(step.dependsOn).join(', ')}`);
+
+        console.log(chalk.cyan(`${indent}${label} ${step.name}`), chalk.gray(`[${step.role}]`));
+        console.log(chalk.white(`${indent}    ${task.content}`));
+        console.log(chalk.gray(`${indent}    ${details.join(', ')}\n`));
+    };
+
+    workflow.steps.forEach((step, index) => {
+        instance.currentStep = index;
+        const label = `${String(index + 1).padStart(2)}.`;
+
+        if (step.parallel) {
+            console.log(chalk.cyan(`  ${label} ${step.name}`), chalk.gray(`(parallel, join: ${describeJoin(step.join)})\n`));
+            step.parallel.forEach((member, memberIndex) => {
+                printStep(member, `${String.fromCharCode(97 + memberIndex)}.`, '        ');
+            });
+        } else if (step.branch) {
+            const cases = Object.entries(step.branch.cases || {}).map(([value, targets]) => `${value} → ${[].concat(targets).join(', ')}`);
+            if (step.branch.default) cases.push(`otherwise → ${[].concat(step.branch.default).join(', ')}`);
+            console.log(chalk.cyan(`  ${label} ${step.name || step.id}`), chalk.gray(`(branch on ${step.branch.on})`));
+            console.log(chalk.gray(`      ${cases.join('; ')}\n`));
+        } else {
+            printStep(step, label, '  ');
+        }
+    });
+
+    if (unresolved.size > 0) {
+        console.log(chalk.yellow(`Missing context values: ${[...unresolved].join(', ')}`));
+        console.log(chalk.gray(`Provide them with --context '{"${[...unresolved][0]}": "..."}'\n`));
+    }
+
+    console.log(chalk.yellow('Dry run - no agents were invoked\n'));
+}
+
+/**
+ * Print the results of a finished workflow instance
+ */
+function printResults(instance, options) {
+    const statusColor = instance.status === 'completed' ? chalk.green : chalk.yellow;
+    console.log(chalk.bold(`\n${instance.workflow.name}:`), statusColor(instance.status.toUpperCase()));
+
+    for (const stepResult of instance.stepResults) {
+        if (stepResult.skipped) {
+            console.log(chalk.gray(`  - ${stepResult.step} (skipped: ${stepResult.reason})`));
+            continue;
+        }
+
+        const result = stepResult.result || {};
+        if (result.error) {
+            console.log(chalk.red(`  ✗ ${stepResult.step} [${stepResult.role}]: ${result.error}`));
+            continue;
+        }
+
+        console.log(chalk.green(`  ✓ ${stepResult.step}`), chalk.gray(`[${stepResult.role}]`));
+        if (result.decision) {
+            console.log(chalk.white(`      Decision: ${result.decision}`));
+        }
+        if (options.verbose) {
+            if (result.analysis) console.log(chalk.gray(`      Analysis: ${result.analysis}`));
+            if (result.action) console.log(chalk.gray(`      Action: ${result.action}`));
+            if (result.handoff) console.log(chalk.gray(`      Handoff: ${result.handoff.context}`));
+        }
+    }
+
+    if (instance.status === 'escalated') {
+        console.log(chalk.yellow(`\nEscalated to CEO: ${instance.escalationReason || 'no reason given'}`));
+    }
+
+    console.log();
+}
+
+/**
+ * Execute a workflow by name
+ * @param {string} name - Workflow id or name
+ * @param {Object} options - CLI options (dryRun, verbose, context)
+ * @returns {Promise<Object|null>} Workflow instance, or null for dry runs
+ */
+export async function executeWorkflow(name, options = {}) {
+    const workflow = findWorkflow(name);
+    if (!workflow) {
+        throw new Error(`Unknown workflow: ${name}. Available: ${availableWorkflows().map(w => w.id).join(', ')}`);
+    }
+
+    const context = parseContext(options.context);
+
+    if (options.dryRun) {
+        printPlan(new WorkflowEngine(), workflow, context);
+        return null;
+    }
+
+    // Load the agent stack lazily so dry runs stay offline
+    const { default: LLMRouter } = await import('../../agents/core/LLMRouter.js');
+    const { default: DecisionLogger } = await import('../../agents/core/DecisionLogger.js');
+
+    const llmRouter = new LLMRouter();
+    const decisionLogger = new DecisionLogger();
+    const agents = await loadAgents(workflow, { llmRouter, decisionLogger });
+
+    const engine = new WorkflowEngine({ orchestrator: { agents }, decisionLogger });
+    engine.registerWorkflow(workflow);
+
+    const spinner = ora(`Running ${workflow.name}...`).start();
+    engine.on('stepCompleted', ({ step }) => {
+        spinner.text = `Running ${workflow.name}... completed "${step.name}"`;
+        if (options.verbose) {
+            spinner.stopAndPersist({ symbol: chalk.green('✓'), text: `${step.name} (${step.role})` });
+            spinner.start(`Running ${workflow.name}...`);
+        }
+    });
+
+    let instance;
+    try {
+        instance = await engine.startWorkflow(workflow.id, context);
+    } catch (error) {
+        spinner.fail(`${workflow.name} failed`);
+        throw error;
+    }
+    spinner.stop();
+
+    printResults(instance, options);
+
+    if (options.verbose) {
+        const usage = llmRouter.getUsageStats();
+        console.log(chalk.gray(`LLM calls: ${usage.totalCalls}, tokens: ${usage.totalInputTokens + usage.totalOutputTokens}, cost: $${usage.totalCost.toFixed(4)}\n`));
+    }
+
+    return instance;
+}
+
+export default executeWorkflow;
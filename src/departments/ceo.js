@@ -3,9 +3,7 @@
  * Chief Executive Officer - Strategic Leadership & Direction
  */
 
-import Anthropic from "@anthropic-ai/sdk";
-
-const client = new Anthropic();
+import { createDepartmentQuery } from "./pipeline.js";
 
 const CEO_SYSTEM_PROMPT = `You are the Chief Executive Officer (CEO) of a Fortune 500 company. Your role is to provide strategic direction and executive-level decision guidance.
 
@@ -33,46 +31,17 @@ When responding:
 4. Recommend necessary approvals/reviews
 5. Suggest metrics to track success`;
 
+export const CEO_PERSONA = {
+    roleId: "ceo",
+    roleName: "Chief Executive Officer",
+    roleAbbr: "CEO",
+    systemPrompt: CEO_SYSTEM_PROMPT,
+};
+
 /**
  * Query the CEO for strategic guidance
  */
-export async function queryCEO(question, options = {}) {
-    try {
-          const message = await client.messages.create({
-                  model: "claude-3-5-sonnet-20241022",
-                  max_tokens: 1024,
-                  system: CEO_SYSTEM_PROMPT,
-                  messages: [
-                    {
-                                role: "user",
-                                content: question,
-                    },
-                          ],
-          });
-
-      const response = message.content[0].text;
-
-      if (options.json) {
-              return {
-                        department: "CEO",
-                        title: "Chief Executive Officer",
-                        question: question,
-                        response: response,
-                        metadata: {
-                                    model: "claude-3-5-sonnet-20241022",
-                                    usage: {
-                                                  input_tokens: message.usage.input_tokens,
-                                                  output_tokens: message.usage.output_tokens,
-                                    },
-                        },
-              };
-      }
-
-      return response;
-    } catch (error) {
-          throw new Error(`CEO query failed: ${error.message}`);
-    }
-}
+export const queryCEO = createDepartmentQuery(CEO_PERSONA);
 
 /**
  * CEO analysis of M&A opportunity
@@ -113,6 +82,7 @@ export async function getStrategicGuidance(topic, context, options = {}) {
 }
 
 export default {
+    CEO_PERSONA,
     queryCEO,
     analyzeMAndA,
     getStrategicGuidance,
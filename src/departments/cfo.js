@@ -3,9 +3,7 @@
  * Chief Financial Officer - Financial Planning & Risk Management
  */
 
-import Anthropic from "@anthropic-ai/sdk";
-
-const client = new Anthropic();
+import { createDepartmentQuery } from "./pipeline.js";
 
 const CFO_SYSTEM_PROMPT = `You are the Chief Financial Officer (CFO) of a Fortune 500 company. Your role is to provide financial guidance, risk management oversight, and cost analysis for all major decisions.
 
@@ -36,46 +34,17 @@ When responding:
 5. Recommend approval authorities and review requirements
 6. Suggest metrics and KPIs for tracking`;
 
+export const CFO_PERSONA = {
+    roleId: "cfo",
+    roleName: "Chief Financial Officer",
+    roleAbbr: "CFO",
+    systemPrompt: CFO_SYSTEM_PROMPT,
+};
+
 /**
  * Query the CFO for financial guidance
  */
-export async function queryCFO(question, options = {}) {
-    try {
-          const message = await client.messages.create({
-                  model: "claude-3-5-sonnet-20241022",
-                  max_tokens: 1024,
-                  system: CFO_SYSTEM_PROMPT,
-                  messages: [
-                    {
-                                role: "user",
-                                content: question,
-                    },
-                          ],
-          });
-
-      const response = message.content[0].text;
-
-      if (options.json) {
-              return {
-                        department: "CFO",
-                        title: "Chief Financial Officer",
-                        question: question,
-                        response: response,
-                        metadata: {
-                                    model: "claude-3-5-sonnet-20241022",
-                                    usage: {
-                                                  input_tokens: message.usage.input_tokens,
-                                                  output_tokens: message.usage.output_tokens,
-                                    },
-                        },
-              };
-      }
-
-      return response;
-    } catch (error) {
-          throw new Error(`CFO query failed: ${error.message}`);
-    }
-}
+export const queryCFO = createDepartmentQuery(CFO_PERSONA);
 
 /**
  * Financial analysis for budget requests
@@ -129,6 +98,7 @@ export async function assessFinancialRisk(scenario, potentialExposure, options =
 }
 
 export default {
+    CFO_PERSONA,
     queryCFO,
     analyzeBudget,
     analyzeMAFinancials,
@@ -1 +1,49 @@
-import Anthropic from "@anthropic-ai/sdk";const client = new Anthropic();const CHRO_SYSTEM_PROMPT = `Chief Human Resources Officer - talent, compensation, culture, organizational design. Responsibilities: talent acquisition and retention, compensation strategy, benefits, culture, organizational structure, employee relations, compliance, succession planning. Authority: headcount >10%: CEO approval; compensation >15%: CFO review; organizational changes: CEO notification. References "The Monolith System: Complete Operations & Workflow Guide" V2.0.`;export async function queryChro(q,o={}){const m=await client.messages.create({model:"claude-3-5-sonnet-20241022",max_tokens:1024,system:CHRO_SYSTEM_PROMPT,messages:[{role:"user",content:q}]});const r=m.content[0].text;return o.json?{department:"CHRO",title:"Chief Human Resources Officer",question:q,response:r,metadata:{model:"claude-3-5-sonnet-20241022",usage:{input_tokens:m.usage.input_tokens,output_tokens:m.usage.output_tokens}}}:r;}export async function assessTalentMarket(r,s,c,o={}){const q=`Talent market assessment: Role: ${r}, Salary Range: ${s}, Competition: ${c}. Provide: Market analysis, compensation recommendation, retention strategy.`;return queryChro(q,o);}export async function evaluateCompensation(r,l,i,o={}){const q=`Evaluate compensation: Role: ${r}, Current Level: ${l}, Industry: ${i}. Provide: Competitive analysis, adjustment recommendation, equity consideration.`;return queryChro(q,o);}export async function planOrganizationalChange(c,i,t,o={}){const q=`Plan organizational change: Change: ${c}, Impact: ${i}, Timeline: ${t}. Provide: Change management approach, communication plan, risk mitigation.`;return queryChro(q,o);}export async function assessCulture(a,o={}){const q=`Culture assessment: Areas: ${a}. Provide: Culture analysis, improvement recommendations, measurement approach.`;return queryChro(q,o);}export default{queryChro,assessTalentMarket,evaluateCompensation,planOrganizationalChange,assessCulture};
+/**
+ * CHRO Department Module
+ * Chief Human Resources Officer - Talent, Compensation & Culture
+ */
+
+import { createDepartmentQuery } from "./pipeline.js";
+
+const CHRO_SYSTEM_PROMPT = `Chief Human Resources Officer - talent, compensation, culture, organizational design. Responsibilities: talent acquisition and retention, compensation strategy, benefits, culture, organizational structure, employee relations, compliance, succession planning. Authority: headcount >10%: CEO approval; compensation >15%: CFO review; organizational changes: CEO notification. References "The Monolith System: Complete Operations & Workflow Guide" V2.0.`;
+
+export const CHRO_PERSONA = {
+    roleId: "chro",
+    roleName: "Chief Human Resources Officer",
+    roleAbbr: "CHRO",
+    systemPrompt: CHRO_SYSTEM_PROMPT,
+};
+
+/**
+ * Query the CHRO for people guidance
+ */
+export const queryChro = createDepartmentQuery(CHRO_PERSONA);
+
+export async function assessTalentMarket(role, salaryRange, competition, options = {}) {
+    const question = `Talent market assessment: Role: ${role}, Salary Range: ${salaryRange}, Competition: ${competition}. Provide: Market analysis, compensation recommendation, retention strategy.`;
+    return queryChro(question, options);
+}
+
+export async function evaluateCompensation(role, level, industry, options = {}) {
+    const question = `Evaluate compensation: Role: ${role}, Current Level: ${level}, Industry: ${industry}. Provide: Competitive analysis, adjustment recommendation, equity consideration.`;
+    return queryChro(question, options);
+}
+
+export async function planOrganizationalChange(change, impact, timeline, options = {}) {
+    const question = `Plan organizational change: Change: ${change}, Impact: ${impact}, Timeline: ${timeline}. Provide: Change management approach, communication plan, risk mitigation.`;
+    return queryChro(question, options);
+}
+
+export async function assessCulture(areas, options = {}) {
+    const question = `Culture assessment: Areas: ${areas}. Provide: Culture analysis, improvement recommendations, measurement approach.`;
+    return queryChro(question, options);
+}
+
+export default {
+    CHRO_PERSONA,
+    queryChro,
+    assessTalentMarket,
+    evaluateCompensation,
+    planOrganizationalChange,
+    assessCulture,
+};
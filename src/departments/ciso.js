@@ -3,9 +3,7 @@
  * Chief Information Security Officer - Information Security & Risk Management
  */
 
-import Anthropic from "@anthropic-ai/sdk";
-
-const client = new Anthropic();
+import { createDepartmentQuery } from "./pipeline.js";
 
 const CISO_SYSTEM_PROMPT = `You are the Chief Information Security Officer (CISO) of a Fortune 500 company. Your role is to provide security guidance, risk assessment, and compliance oversight for all major decisions.
 
@@ -42,46 +40,17 @@ When responding:
 5. Advise on regulatory compliance requirements
 6. Suggest monitoring and incident response procedures`;
 
+export const CISO_PERSONA = {
+    roleId: "ciso",
+    roleName: "Chief Information Security Officer",
+    roleAbbr: "CISO",
+    systemPrompt: CISO_SYSTEM_PROMPT,
+};
+
 /**
  * Query the CISO for security guidance
  */
-export async function queryCISO(question, options = {}) {
-    try {
-          const message = await client.messages.create({
-                  model: "claude-3-5-sonnet-20241022",
-                  max_tokens: 1024,
-                  system: CISO_SYSTEM_PROMPT,
-                  messages: [
-                    {
-                                role: "user",
-                                content: question,
-                    },
-                          ],
-          });
-
-      const response = message.content[0].text;
-
-      if (options.json) {
-              return {
-                        department: "CISO",
-                        title: "Chief Information Security Officer",
-                        question: question,
-                        response: response,
-                        metadata: {
-                                    model: "claude-3-5-sonnet-20241022",
-                                    usage: {
-                                                  input_tokens: message.usage.input_tokens,
-                                                  output_tokens: message.usage.output_tokens,
-                                    },
-                        },
-              };
-      }
-
-      return response;
-    } catch (error) {
-          throw new Error(`CISO query failed: ${error.message}`);
-    }
-}
+export const queryCISO = createDepartmentQuery(CISO_PERSONA);
 
 /**
  * Security risk assessment
@@ -152,6 +121,7 @@ export async function reviewAccessControl(system, userCount, dataClassification,
 }
 
 export default {
+    CISO_PERSONA,
     queryCISO,
     assessSecurityRisk,
     assessCompliance,
@@ -3,9 +3,7 @@
  * Chief Technology Officer - Technology Strategy & Infrastructure
  */
 
-import Anthropic from "@anthropic-ai/sdk";
-
-const client = new Anthropic();
+import { createDepartmentQuery } from "./pipeline.js";
 
 const CTO_SYSTEM_PROMPT = `You are the Chief Technology Officer (CTO) of a Fortune 500 company. Your role is to provide technology strategy, architecture oversight, and technical guidance for all major initiatives.
 
@@ -35,35 +33,17 @@ When responding:
 5. Suggest implementation timeline
 6. Advise on vendor selection criteria`;
 
-export async function queryCTO(question, options = {}) {
-    try {
-          const message = await client.messages.create({
-                  model: "claude-3-5-sonnet-20241022",
-                  max_tokens: 1024,
-                  system: CTO_SYSTEM_PROMPT,
-                  messages: [{ role: "user", content: question }],
-          });
-          const response = message.content[0].text;
-          if (options.json) {
-                  return {
-                            department: "CTO",
-                            title: "Chief Technology Officer",
-                            question: question,
-                            response: response,
-                            metadata: {
-                                        model: "claude-3-5-sonnet-20241022",
-                                        usage: {
-                                                      input_tokens: message.usage.input_tokens,
-                                                      output_tokens: message.usage.output_tokens,
-                                        },
-                            },
-                  };
-          }
-          return response;
-    } catch (error) {
-          throw new Error(`CTO query failed: ${error.message}`);
-    }
-}
+export const CTO_PERSONA = {
+    roleId: "cto",
+    roleName: "Chief Technology Officer",
+    roleAbbr: "CTO",
+    systemPrompt: CTO_SYSTEM_PROMPT,
+};
+
+/**
+ * Query the CTO for technology guidance
+ */
+export const queryCTO = createDepartmentQuery(CTO_PERSONA);
 
 export async function assessTechStack(currentStack, objectives, constraints, options = {}) {
     const question = `Assess this technology stack decision:
@@ -102,6 +82,7 @@ export async function planCloudMigration(currentInfrastructure, targetCloud, tim
 }
 
 export default {
+    CTO_PERSONA,
     queryCTO,
     assessTechStack,
     evaluateVendor,
@@ -0,0 +1,79 @@
+/**
+ * Role Agent Discovery
+ * Finds the RoleAgent subclasses registered under agents/roles/ and
+ * describes their identity, authority limits and specialised methods
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import RoleAgent from "../../agents/core/RoleAgent.js";
+
+export const AGENT_ROLES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../agents/roles");
+
+// Methods every agent inherits are not role-specific actions
+const BASE_METHODS = new Set(Object.getOwnPropertyNames(RoleAgent.prototype));
+
+/**
+ * Read parameter names from a method's source
+ */
+function getParamNames(fn) {
+    const match = fn.toString().match(/^[^(]*\(([^)]*)\)/);
+    if (!match) return [];
+    return match[1]
+        .split(",")
+        .map(param => param.split("=")[0].trim())
+        .filter(Boolean);
+}
+
+/**
+ * List the async methods a RoleAgent subclass adds on top of the base class
+ * @param {Function} AgentClass - RoleAgent subclass
+ * @returns {Array<{name: string, params: string[]}>}
+ */
+export function getSpecialisedMethods(AgentClass) {
+    return Object.getOwnPropertyNames(AgentClass.prototype)
+        .filter(name => !BASE_METHODS.has(name))
+        .map(name => ({ name, fn: Object.getOwnPropertyDescriptor(AgentClass.prototype, name).value }))
+        .filter(({ fn }) => typeof fn === "function" && fn.constructor.name === "AsyncFunction")
+        .map(({ name, fn }) => ({ name, params: getParamNames(fn) }));
+}
+
+/**
+ * Import every agents/roles/<role>/agent.js and keep the RoleAgent subclasses
+ * @param {string} rolesDir - Directory to scan
+ * @returns {Promise<Array<Object>>} Role definitions sorted by tier, then role id
+ */
+export async function discoverRoleAgents(rolesDir = AGENT_ROLES_DIR) {
+    const roles = [];
+    const dirs = fs.readdirSync(rolesDir, { withFileTypes: true }).filter(entry => entry.isDirectory());
+
+    for (const dir of dirs) {
+        const file = path.join(rolesDir, dir.name, "agent.js");
+        if (!fs.existsSync(file)) continue;
+
+        const module = await import(pathToFileURL(file).href);
+        const AgentClass = module.default;
+        if (typeof AgentClass !== "function" || !(AgentClass.prototype instanceof RoleAgent)) continue;
+
+        // Each role module exports its static config alongside the class
+        const config = Object.values(module).find(value => value && typeof value === "object" && value.roleId);
+        if (!config) continue;
+
+        roles.push({
+            roleId: config.roleId,
+            roleName: config.roleName,
+            roleAbbr: config.roleAbbr,
+            tier: config.tier ?? 99,
+            responsibilities: config.responsibilities || [],
+            authorityLimits: config.authorityLimits || {},
+            reportsTo: config.reportsTo || "ceo",
+            AgentClass,
+            methods: getSpecialisedMethods(AgentClass),
+        });
+    }
+
+    return roles.sort((a, b) => a.tier - b.tier || a.roleId.localeCompare(b.roleId));
+}
+
+export default discoverRoleAgents;
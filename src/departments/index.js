@@ -0,0 +1,103 @@
+/**
+ * Department Registry
+ * Maps CLI role names to department personas and discovered role agents
+ */
+
+import { queryCEO } from "./ceo.js";
+import { queryCFO } from "./cfo.js";
+import { queryCISO } from "./ciso.js";
+import { queryCTO } from "./cto.js";
+import { queryChro } from "./chro.js";
+import { discoverRoleAgents } from "./discovery.js";
+import { createRoleQuery } from "./pipeline.js";
+
+export const DEPARTMENTS = {
+    ceo: {
+        name: "ceo",
+        title: "Chief Executive Officer",
+        focus: "Strategic Leadership & Direction",
+        query: queryCEO,
+    },
+    cfo: {
+        name: "cfo",
+        title: "Chief Financial Officer",
+        focus: "Financial Planning & Risk",
+        query: queryCFO,
+    },
+    ciso: {
+        name: "ciso",
+        title: "Chief Information Security Officer",
+        focus: "Security & Risk Management",
+        query: queryCISO,
+    },
+    cto: {
+        name: "cto",
+        title: "Chief Technology Officer",
+        focus: "Technology Strategy & Infrastructure",
+        query: queryCTO,
+    },
+    chro: {
+        name: "chro",
+        title: "Chief Human Resources Officer",
+        focus: "Talent, Compensation & Culture",
+        query: queryChro,
+    },
+};
+
+/**
+ * Look up a department by role name (case-insensitive)
+ */
+export function getDepartment(role) {
+    const department = DEPARTMENTS[String(role || "").toLowerCase()];
+    if (!department) {
+        throw new Error(`Unknown department: ${role}. Available: ${Object.keys(DEPARTMENTS).join(", ")}`);
+    }
+    return department;
+}
+
+/**
+ * List all registered departments
+ */
+export function listDepartments() {
+    return Object.values(DEPARTMENTS);
+}
+
+let roleRegistry = null;
+
+/**
+ * Build the registry of every queryable role.
+ * Discovered RoleAgent subclasses provide identity, authority limits and
+ * specialised methods; roles with a CLI persona keep answering through it.
+ * @returns {Promise<Map<string, Object>>} roleId -> role entry
+ */
+export async function loadRoleRegistry() {
+    if (roleRegistry) return roleRegistry;
+
+    roleRegistry = new Map();
+    for (const role of await discoverRoleAgents()) {
+        const persona = DEPARTMENTS[role.roleId];
+        roleRegistry.set(role.roleId, {
+            ...role,
+            name: role.roleId,
+            title: role.roleName,
+            focus: persona?.focus || role.responsibilities[0] || "",
+            query: persona ? persona.query : createRoleQuery(role),
+        });
+    }
+
+    return roleRegistry;
+}
+
+/**
+ * Resolve any registered role (case-insensitive) for querying
+ */
+export async function resolveRole(role) {
+    const registry = await loadRoleRegistry();
+    const entry = registry.get(String(role || "").toLowerCase());
+    if (!entry) {
+        throw new Error(`Unknown role: ${role}. Available: ${[...registry.keys()].join(", ")}`);
+    }
+    return entry;
+}
+
+export default DEPARTMENTS;
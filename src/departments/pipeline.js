@@ -0,0 +1,108 @@
+/**
+ * Department Pipeline
+ * Runs CLI department personas through the agent system's LLMRouter,
+ * KnowledgeComputer and DecisionLogger, the same stack RoleAgent uses
+ */
+
+import LLMRouter from "../../agents/core/LLMRouter.js";
+import RoleAgent from "../../agents/core/RoleAgent.js";
+import DecisionLogger from "../../agents/core/DecisionLogger.js";
+import KnowledgeComputer from "../../agents/neural-stack/KnowledgeComputer.js";
+
+export const DECISION_LOG_FILE = process.env.DECISION_LOG_FILE || "./logs/decisions.jsonl";
+
+let sharedPipeline = null;
+const agentInstances = new Map();
+
+/**
+ * Get the process-wide router, logger and knowledge computer
+ */
+export function getPipeline() {
+    if (!sharedPipeline) {
+        sharedPipeline = {
+            llmRouter: new LLMRouter(),
+            decisionLogger: new DecisionLogger({ logFile: DECISION_LOG_FILE }),
+            knowledgeComputer: new KnowledgeComputer(),
+        };
+    }
+    return sharedPipeline;
+}
+
+function getAgent(key, create) {
+    if (!agentInstances.has(key)) {
+        agentInstances.set(key, create());
+    }
+    return agentInstances.get(key);
+}
+
+/**
+ * Get (or create) the RoleAgent backing a CLI persona
+ */
+export function getPersonaAgent(persona) {
+    return getAgent(`persona:${persona.roleId}`, () => new RoleAgent({ ...persona, ...getPipeline() }));
+}
+
+/**
+ * Get (or create) an instance of a discovered RoleAgent subclass
+ */
+export function getRoleAgent(role) {
+    return getAgent(`agent:${role.roleId}`, () => new role.AgentClass({ ...getPipeline() }));
+}
+
+function createQuery(identity, resolveAgent) {
+    return async function queryRole(question, options = {}) {
+        try {
+            const result = await resolveAgent().consult(question, {
+                source: "cli",
+                confidential: options.confidential,
+                onDelta: options.onDelta,
+            });
+
+            if (!options.json) {
+                return result.content;
+            }
+
+            return {
+                department: identity.roleAbbr,
+                title: identity.roleName,
+                question,
+                response: result.content,
+                metadata: {
+                    model: result.model,
+                    provider: result.provider,
+                    taskType: result.taskType,
+                    guidanceApplied: result.guidance.length,
+                    decisionId: result.decisionId,
+                    latencyMs: result.latencyMs,
+                    cost: result.cost,
+                    usage: {
+                        input_tokens: result.inputTokens,
+                        output_tokens: result.outputTokens,
+                    },
+                },
+            };
+        } catch (error) {
+            throw new Error(`${identity.roleAbbr} query failed: ${error.message}`);
+        }
+    };
+}
+
+/**
+ * Create the query function for a department persona
+ * @param {Object} persona - { roleId, roleName, roleAbbr, systemPrompt }
+ * @returns {Function} async (question, options) => string | structured response
+ */
+export function createDepartmentQuery(persona) {
+    return createQuery(persona, () => getPersonaAgent(persona));
+}
+
+/**
+ * Create the query function for a discovered role agent
+ * @param {Object} role - Role definition from discoverRoleAgents()
+ * @returns {Function} async (question, options) => string | structured response
+ */
+export function createRoleQuery(role) {
+    return createQuery(role, () => getRoleAgent(role));
+}
+
+export default createDepartmentQuery;
@@ -4,20 +4,27 @@ import { program } from 'commander';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
 import { queryDepartment } from './commands/query.js';
-import { executeWorkflow } from './commands/workflow.js';
+import { executeWorkflow, availableWorkflows } from './commands/workflow.js';
 import { analyzeTopicCommand } from './commands/analyze.js';
 import { logDecisionCommand } from './commands/decision.js';
 import { generateReportCommand } from './commands/report.js';
+import { runRoleMethod } from './commands/role.js';
+import { teamCommand } from './commands/team.js';
+import { loadRoleRegistry } from './departments/index.js';
 
 dotenv.config();
 
-// Validate API key
-if (!process.env.ANTHROPIC_API_KEY) {
-    console.error(chalk.red('❌ Error: ANTHROPIC_API_KEY environment variable is not set'));
-    console.error(chalk.yellow('Please set ANTHROPIC_API_KEY in your .env file'));
+// Validate that at least one hosted LLM provider is configured for the LLMRouter
+// (LLM_PROVIDER=mock runs fully offline)
+const hasProviderKey = process.env.ANTHROPIC_API_KEY || process.env.OPENAI_API_KEY || process.env.GOOGLE_AI_API_KEY;
+if (!hasProviderKey && process.env.LLM_PROVIDER !== 'mock') {
+    console.error(chalk.red('❌ Error: no LLM provider API key is set'));
+    console.error(chalk.yellow('Please set ANTHROPIC_API_KEY (or OPENAI_API_KEY / GOOGLE_AI_API_KEY) in your .env file, or LLM_PROVIDER=mock to run offline'));
     process.exit(1);
 }
 
+const roles = [...(await loadRoleRegistry()).values()];
+
 program
   .name('monolith')
   .description('The Monolith System: AI-powered business operations and workflow execution')
@@ -26,9 +33,10 @@ program
 // Query command - Ask a business role for guidance
 program
   .command('query <role> [question]')
-  .description('Query a business role (e.g., ceo, cfo, ciso) for guidance')
+  .description('Query any business role (see `departments`) for guidance')
   .option('-v, --verbose', 'Show detailed response with metadata')
   .option('-j, --json', 'Output as JSON')
+  .option('--confidential', 'Route to a local model for privacy-sensitive questions')
   .action(async (role, question, options) => {
         try {
                 await queryDepartment(role, question, options);
@@ -41,9 +49,10 @@ program
 // Workflow command - Execute a business workflow
 program
   .command('workflow <name>')
-  .description('Execute a business workflow')
+  .description('Execute a business workflow (by id, or a YAML/JSON workflow file)')
   .option('-d, --dry-run', 'Show what would happen without executing')
   .option('-v, --verbose', 'Show detailed execution steps')
+  .option('-c, --context <json>', 'JSON object of workflow template values')
   .action(async (name, options) => {
         try {
                 await executeWorkflow(name, options);
@@ -53,6 +62,20 @@ program
         }
   });
 
+// Team command - Deploy agent teams from declarative manifests
+program
+  .command('team <action> <manifest>')
+  .description('Deploy, roll back, check or diff a team (deploy|rollback|status|diff, by team id or manifest file)')
+  .option('-d, --dry-run', 'Print the plan without applying it')
+  .action(async (action, manifest, options) => {
+        try {
+                await teamCommand(action, manifest, options);
+        } catch (error) {
+                console.error(chalk.red('Error managing team:'), error.message);
+                process.exit(1);
+        }
+  });
+
 // Analyze command - Deep dive analysis of a business topic
 program
   .command('analyze <topic>')
@@ -101,29 +124,64 @@ program
   .command('departments')
   .alias('depts')
   .description('List available business departments')
-  .action(() => {
-        console.log(chalk.bold('\n📊 Available Departments (MVP):\n'));
-        const departments = [
-          { name: 'ceo', title: 'Chief Executive Officer', focus: 'Strategic Leadership & Direction' },
-          { name: 'cfo', title: 'Chief Financial Officer', focus: 'Financial Planning & Risk' },
-          { name: 'ciso', title: 'Chief Information Security Officer', focus: 'Security & Risk Management' },
-              ];
-        departments.forEach(dept => {
-                console.log(chalk.cyan(`  ${dept.name.padEnd(8)}`), `-`, chalk.white(dept.title));
-                console.log(chalk.gray(`               ${dept.focus}\n`));
+  .option('-v, --verbose', 'Show responsibilities for each role')
+  .action((options) => {
+        console.log(chalk.bold(`\n📊 Available Departments (${roles.length}):\n`));
+        roles.forEach(role => {
+                console.log(chalk.cyan(`  ${role.name.padEnd(18)}`), `-`, chalk.white(role.title), chalk.gray(`(tier ${role.tier}, reports to ${role.reportsTo})`));
+                console.log(chalk.gray(`                       ${role.focus}`));
+                if (options.verbose) {
+                        role.responsibilities.forEach(item => console.log(chalk.gray(`                         • ${item}`)));
+                }
+
+                const limits = Object.entries(role.authorityLimits)
+                        .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('|') : value}`);
+                if (limits.length > 0) {
+                        console.log(chalk.gray(`                       Authority: ${limits.join(', ')}`));
+                }
+                if (role.methods.length > 0) {
+                        console.log(chalk.gray(`                       Actions: ${role.methods.map(m => m.name).join(', ')}`));
+                }
+                console.log();
         });
-        console.log(chalk.yellow('Phase 2 will add 15 additional departments\n'));
+        console.log(chalk.yellow('Run `monolith <role> <action> [args...]` to call a role action (JSON args are parsed)\n'));
   });
 
+// Role commands - Call a role's specialised methods (e.g. `cfo reviewExpense`)
+roles.forEach(role => {
+        if (role.methods.length === 0) return;
+
+        const roleCommand = program
+          .command(role.roleId)
+          .description(`${role.title} actions`);
+
+        role.methods.forEach(method => {
+                roleCommand
+                  .command(`${method.name} [args...]`)
+                  .description(`Args: ${method.params.join(', ') || 'none'}`)
+                  .option('-j, --json', 'Output as JSON')
+                  .action(async (args, options) => {
+                        try {
+                                await runRoleMethod(role, method.name, args, options);
+                        } catch (error) {
+                                console.error(chalk.red(`Error running ${role.roleId} ${method.name}:`), error.message);
+                                process.exit(1);
+                        }
+                  });
+        });
+});
+
 // Help for available workflows
 program
   .command('workflows')
   .alias('wfs')
   .description('List available workflows')
   .action(() => {
-        console.log(chalk.bold('\n⚙️  Available Workflows (MVP):\n'));
-        console.log(chalk.cyan('  ma-evaluation     '), '- M&A Evaluation & Integration');
-        console.log(chalk.gray('  More workflows coming in Phase 2+\n'));
+        console.log(chalk.bold('\n⚙️  Available Workflows:\n'));
+        availableWorkflows().forEach(wf => {
+                console.log(chalk.cyan(`  ${wf.id.padEnd(22)}`), `-`, chalk.white(wf.name));
+                console.log(chalk.gray(`                           ${wf.description}\n`));
+        });
   });
 
 program.parse(process.argv);
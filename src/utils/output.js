@@ -0,0 +1,26 @@
+/**
+ * Output Utilities
+ * Helpers for keeping machine-readable CLI output clean
+ */
+
+/**
+ * Run a function with console.log redirected to stderr
+ * The agent stack logs progress with console.log; this keeps it out of piped JSON
+ * @param {Function} fn - Async function to run
+ * @param {Function} [beforeLog] - Called before each redirected line (e.g. to end a streamed line)
+ * @returns {Promise<*>} The function's result
+ */
+export async function withLogsOnStderr(fn, beforeLog = null) {
+    const originalLog = console.log;
+    console.log = (...args) => {
+        beforeLog?.();
+        console.error(...args);
+    };
+    try {
+        return await fn();
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+export default withLogsOnStderr;